@@ -15,6 +15,7 @@ import { Icon, DivIcon } from 'leaflet';
 import { MapPin, ExternalLink, Maximize2 } from 'lucide-react';
 import { useMemo, useState } from 'react';
 import { MapModal } from './MapModal';
+import { MAP_TILE_URL_TEMPLATE, MAP_TILE_ATTRIBUTION } from '../utils/offlineMaps';
 
 /* ============================================================================
    MARKER CONFIGURATION
@@ -265,8 +266,8 @@ export function ActivityMapPreview({ activities, height = 180 }) {
         >
           {/* Dark theme map tiles from CartoDB */}
           <TileLayer
-            url="https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png"
-            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> &copy; <a href="https://carto.com/attributions">CARTO</a>'
+            url={MAP_TILE_URL_TEMPLATE}
+            attribution={MAP_TILE_ATTRIBUTION}
           />
           
           {/* Render numbered markers for each activity */}
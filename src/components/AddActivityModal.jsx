@@ -17,6 +17,7 @@
 
 import { useState, useEffect } from 'react';
 import { X, Plus, Save } from 'lucide-react';
+import { CurrencySelect } from './CurrencySelect';
 
 // ============================================================================
 // CONSTANTS
@@ -45,12 +46,6 @@ const ACTIVITY_CATEGORY_OPTIONS = [
  */
 const ACTIVITY_PRIORITY_OPTIONS = ['high', 'medium', 'low'];
 
-/**
- * Available currency options for cost estimation.
- * @constant {Array<string>}
- */
-const COST_CURRENCY_OPTIONS = ['USD', 'PHP', 'JPY'];
-
 /**
  * Default form data for a new activity.
  * @constant {Object}
@@ -450,16 +445,12 @@ export default function AddActivityModal({
               <label className="block text-xs md:text-sm font-medium text-zinc-300 mb-1">
                 Currency
               </label>
-              <select
+              <CurrencySelect
                 name="currency"
                 value={activityFormData.currency}
                 onChange={handleFormFieldChange}
                 className="w-full px-3 py-2 text-sm md:text-base bg-zinc-800 border border-zinc-600 rounded-lg text-white focus:outline-none focus:border-blue-500"
-              >
-                {COST_CURRENCY_OPTIONS.map(currencyOption => (
-                  <option key={currencyOption} value={currencyOption}>{currencyOption}</option>
-                ))}
-              </select>
+              />
             </div>
           </div>
 
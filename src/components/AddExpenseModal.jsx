@@ -0,0 +1,387 @@
+/**
+ * @fileoverview Add/Edit Expense Modal component.
+ *
+ * Provides a form modal for:
+ * - Recording money actually spent on a day
+ * - Editing a recorded expense
+ *
+ * Features:
+ * - Amount, currency, category and payer
+ * - How the amount is split between the trip's travelers
+ * - Optional link to the segment, meal or activity it paid for, which
+ *   prefills the category, amount and currency from the item's estimate
+ *
+ * @module components/AddExpenseModal
+ */
+
+import { useState, useEffect } from 'react';
+import { X, Plus, Save } from 'lucide-react';
+import { EXPENSE_CATEGORIES } from '../utils/expenses';
+import { validateSplit } from '../utils/costSplitting';
+import { getExchangeRatesSnapshot } from '../utils/exchangeRates';
+import { SplitEditor } from './SplitEditor';
+import { CurrencySelect } from './CurrencySelect';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Default form data for a new expense.
+ * @constant {Object}
+ */
+const DEFAULT_EXPENSE_FORM_DATA = {
+  date: '',
+  amount: '',
+  currency: 'USD',
+  category: 'food',
+  payer: '',
+  split: null,
+  linkedItemId: '',
+  note: ''
+};
+
+/** @constant {string} FIELD_CLASSES - Styling shared by every input */
+const FIELD_CLASSES = "w-full px-3 py-2 text-sm md:text-base bg-zinc-800 border border-zinc-600 rounded-lg text-white placeholder-zinc-500 focus:outline-none focus:border-blue-500";
+
+/** @constant {string} LABEL_CLASSES - Styling shared by every field label */
+const LABEL_CLASSES = "block text-xs md:text-sm font-medium text-zinc-300 mb-1";
+
+/** @constant {string} PAYER_SUGGESTIONS_ID - ID of the datalist offering the trip's travelers */
+const PAYER_SUGGESTIONS_ID = 'expense-payer-suggestions';
+
+// ============================================================================
+// PURE HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Converts form data to the expense fields passed to onSave.
+ * @pure
+ * @param {Object} formData - The form data
+ * @param {Object|null} existingExpense - Expense being edited, null for a new one
+ * @returns {Object} Expense fields
+ */
+function buildExpenseFromFormData(formData, existingExpense) {
+  return {
+    ...(existingExpense ? { id: existingExpense.id, createdAt: existingExpense.createdAt } : {}),
+    date: formData.date,
+    amount: parseFloat(formData.amount),
+    currency: formData.currency,
+    category: formData.category,
+    payer: formData.payer.trim(),
+    split: formData.split,
+    linkedItemId: formData.linkedItemId || null,
+    note: formData.note.trim()
+  };
+}
+
+/**
+ * Converts an existing expense to form data format.
+ * @pure
+ * @param {Object} expense - The expense to convert
+ * @returns {Object} Form data compatible object
+ */
+function convertExpenseToFormData(expense) {
+  return {
+    date: expense.date,
+    amount: String(expense.amount),
+    currency: expense.currency || 'USD',
+    category: expense.category || 'other',
+    payer: expense.payer || '',
+    split: expense.split || null,
+    linkedItemId: expense.linkedItemId || '',
+    note: expense.note || ''
+  };
+}
+
+// ============================================================================
+// MAIN COMPONENT
+// ============================================================================
+
+/**
+ * @typedef {Object} AddExpenseModalProps
+ * @property {boolean} isOpen - Whether the modal is visible
+ * @property {Function} onClose - Callback to close the modal
+ * @property {Function} onSave - Callback to store the expense (expenseData) => void
+ * @property {string} date - The day the expense is recorded on (YYYY-MM-DD)
+ * @property {Object|null} editingExpense - Expense to edit, null for a new one
+ * @property {Array<import('../utils/expenses').ExpenseLinkOption>} linkOptions - Items of the day the expense can be linked to
+ * @property {Array<string>} travelerNames - Names offered as payer and shown in the split
+ */
+
+/**
+ * Add/Edit Expense Modal component.
+ *
+ * @param {AddExpenseModalProps} props - Component properties
+ * @returns {JSX.Element|null} The modal component or null if closed
+ */
+export default function AddExpenseModal({
+  isOpen,
+  onClose,
+  onSave,
+  date,
+  editingExpense = null,
+  linkOptions,
+  travelerNames
+}) {
+  // ============================================================================
+  // STATE
+  // ============================================================================
+
+  /** @type {[Object, Function]} Current form data state */
+  const [expenseFormData, setExpenseFormData] = useState(DEFAULT_EXPENSE_FORM_DATA);
+
+  // Determine if we're in edit mode
+  const isInEditMode = !!editingExpense;
+
+  // A split needs someone to share the cost with
+  const canSplitExpense = travelerNames.length > 1;
+  const splitProblem = validateSplit(expenseFormData.split, parseFloat(expenseFormData.amount) || 0);
+
+  // ============================================================================
+  // EFFECTS
+  // ============================================================================
+
+  /**
+   * Populate form when editing an existing expense, or reset for a new one
+   * paid in the home currency.
+   */
+  useEffect(() => {
+    setExpenseFormData(editingExpense
+      ? convertExpenseToFormData(editingExpense)
+      : { ...DEFAULT_EXPENSE_FORM_DATA, date, payer: travelerNames[0] || '', currency: getExchangeRatesSnapshot().homeCurrency });
+  }, [editingExpense, isOpen, date, travelerNames]);
+
+  // ============================================================================
+  // EVENT HANDLERS
+  // ============================================================================
+
+  /**
+   * Handles form field changes.
+   * @param {React.ChangeEvent<HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement>} changeEvent - The change event
+   */
+  const handleFormFieldChange = (changeEvent) => {
+    const { name: fieldName, value: fieldValue } = changeEvent.target;
+    setExpenseFormData(previousFormData => ({ ...previousFormData, [fieldName]: fieldValue }));
+  };
+
+  /**
+   * Links the expense to an item and takes over its category, and its
+   * estimate while no amount has been entered.
+   * @param {React.ChangeEvent<HTMLSelectElement>} changeEvent - The change event
+   */
+  const handleLinkedItemChange = (changeEvent) => {
+    const linkedItemId = changeEvent.target.value;
+    const linkOption = linkOptions.find(option => option.itemId === linkedItemId);
+
+    setExpenseFormData(previousFormData => {
+      if (!linkOption) return { ...previousFormData, linkedItemId };
+
+      const shouldPrefillAmount = !previousFormData.amount && linkOption.estimatedCost;
+      return {
+        ...previousFormData,
+        linkedItemId,
+        category: linkOption.categoryKey,
+        amount: shouldPrefillAmount ? String(linkOption.estimatedCost) : previousFormData.amount,
+        currency: shouldPrefillAmount && linkOption.currency ? linkOption.currency : previousFormData.currency
+      };
+    });
+  };
+
+  /**
+   * Handles form submission for add/edit.
+   * @param {React.FormEvent} submitEvent - The form submission event
+   */
+  const handleFormSubmit = (submitEvent) => {
+    submitEvent.preventDefault();
+    if (splitProblem) return;
+
+    onSave(buildExpenseFromFormData(expenseFormData, editingExpense));
+
+    setExpenseFormData(DEFAULT_EXPENSE_FORM_DATA);
+    onClose();
+  };
+
+  // ============================================================================
+  // RENDER
+  // ============================================================================
+
+  // Early return if modal is closed
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center z-[3000] p-2 md:p-4">
+      <div className="bg-zinc-900 border border-zinc-700 rounded-xl w-full max-w-md max-h-[95vh] md:max-h-[90vh] overflow-y-auto">
+        {/* ================================================================
+            MODAL HEADER
+            ================================================================ */}
+        <div className="flex items-center justify-between p-3 md:p-4 border-b border-zinc-700 sticky top-0 bg-zinc-900 z-10">
+          <h2 className="text-base md:text-lg font-semibold text-white flex items-center gap-2">
+            {isInEditMode ? (
+              <>
+                <Save size={18} className="text-emerald-400" />
+                Edit Expense
+              </>
+            ) : (
+              <>
+                <Plus size={18} className="text-emerald-400" />
+                Add Expense
+              </>
+            )}
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-zinc-700 rounded-lg transition-colors"
+          >
+            <X size={20} className="text-zinc-400" />
+          </button>
+        </div>
+
+        {/* ================================================================
+            FORM
+            ================================================================ */}
+        <form onSubmit={handleFormSubmit} className="p-3 md:p-4 space-y-3 md:space-y-4">
+          {/* Linked Item Field */}
+          {linkOptions.length > 0 && (
+            <div>
+              <label className={LABEL_CLASSES}>Paid For</label>
+              <select
+                name="linkedItemId"
+                value={expenseFormData.linkedItemId}
+                onChange={handleLinkedItemChange}
+                className={FIELD_CLASSES}
+              >
+                <option value="">Nothing specific</option>
+                {linkOptions.map(linkOption => (
+                  <option key={linkOption.itemId} value={linkOption.itemId}>{linkOption.label}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {/* Amount & Currency Row */}
+          <div className="grid grid-cols-2 gap-2 md:gap-3">
+            <div>
+              <label className={LABEL_CLASSES}>Amount *</label>
+              <input
+                type="number"
+                name="amount"
+                value={expenseFormData.amount}
+                onChange={handleFormFieldChange}
+                required
+                placeholder="0"
+                min="0"
+                step="0.01"
+                className={FIELD_CLASSES}
+              />
+            </div>
+            <div>
+              <label className={LABEL_CLASSES}>Currency</label>
+              <CurrencySelect
+                name="currency"
+                value={expenseFormData.currency}
+                onChange={handleFormFieldChange}
+                className={FIELD_CLASSES}
+              />
+            </div>
+          </div>
+
+          {/* Category & Date Row */}
+          <div className="grid grid-cols-2 gap-2 md:gap-3">
+            <div>
+              <label className={LABEL_CLASSES}>Category</label>
+              <select
+                name="category"
+                value={expenseFormData.category}
+                onChange={handleFormFieldChange}
+                className={FIELD_CLASSES}
+              >
+                {EXPENSE_CATEGORIES.map(expenseCategory => (
+                  <option key={expenseCategory.key} value={expenseCategory.key}>
+                    {expenseCategory.emoji} {expenseCategory.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className={LABEL_CLASSES}>Date *</label>
+              <input
+                type="date"
+                name="date"
+                value={expenseFormData.date}
+                onChange={handleFormFieldChange}
+                required
+                className={FIELD_CLASSES}
+              />
+            </div>
+          </div>
+
+          {/* Payer Field */}
+          <div>
+            <label className={LABEL_CLASSES}>Paid By</label>
+            <input
+              type="text"
+              name="payer"
+              value={expenseFormData.payer}
+              onChange={handleFormFieldChange}
+              list={PAYER_SUGGESTIONS_ID}
+              placeholder="Who paid?"
+              className={FIELD_CLASSES}
+            />
+            <datalist id={PAYER_SUGGESTIONS_ID}>
+              {travelerNames.map(travelerName => (
+                <option key={travelerName} value={travelerName} />
+              ))}
+            </datalist>
+          </div>
+
+          {/* Split Field */}
+          {canSplitExpense && (
+            <div>
+              <label className={LABEL_CLASSES}>Split</label>
+              <SplitEditor
+                split={expenseFormData.split}
+                amount={parseFloat(expenseFormData.amount) || 0}
+                currency={expenseFormData.currency}
+                travelerNames={travelerNames}
+                onChange={nextSplit => setExpenseFormData(previousFormData => ({ ...previousFormData, split: nextSplit }))}
+              />
+            </div>
+          )}
+
+          {/* Note Field */}
+          <div>
+            <label className={LABEL_CLASSES}>Note</label>
+            <input
+              type="text"
+              name="note"
+              value={expenseFormData.note}
+              onChange={handleFormFieldChange}
+              placeholder="e.g., Taxi to the hotel"
+              className={FIELD_CLASSES}
+            />
+          </div>
+
+          {/* Submit Button */}
+          <button
+            type="submit"
+            disabled={Boolean(splitProblem)}
+            className="w-full py-2 md:py-2.5 text-sm md:text-base bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50 text-white font-medium rounded-lg transition-colors flex items-center justify-center gap-2"
+          >
+            {isInEditMode ? (
+              <>
+                <Save size={16} />
+                Save Changes
+              </>
+            ) : (
+              <>
+                <Plus size={16} />
+                Add Expense
+              </>
+            )}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,408 @@
+/**
+ * @fileoverview Add/Edit Meal Modal component.
+ *
+ * Provides a form modal for:
+ * - Creating new manual meals
+ * - Editing existing manual meals
+ *
+ * Features:
+ * - Meal type and restaurant
+ * - Reservation time, party size and confirmation number
+ * - Cost tracking with currency selection
+ *
+ * Imported meals are edited through EditSegmentModal instead, since they
+ * live in the trip's segments rather than the userMeals store.
+ *
+ * @module components/AddMealModal
+ */
+
+import { useState, useEffect } from 'react';
+import { X, Plus, Save } from 'lucide-react';
+import { CurrencySelect } from './CurrencySelect';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Available meal types.
+ * @constant {Array<string>}
+ */
+const MEAL_TYPE_OPTIONS = ['Breakfast', 'Brunch', 'Lunch', 'Dinner', 'Snack', 'Drinks'];
+
+/**
+ * Default form data for a new meal.
+ * @constant {Object}
+ */
+const DEFAULT_MEAL_FORM_DATA = {
+  type: 'Dinner',
+  restaurant: '',
+  location: '',
+  timeStart: '',
+  timeEnd: '',
+  partySize: '',
+  confirmationNumber: '',
+  estimatedCost: '',
+  currency: 'JPY',
+  notes: ''
+};
+
+/** @constant {string} FIELD_CLASSES - Styling shared by every input */
+const FIELD_CLASSES = "w-full px-3 py-2 text-sm md:text-base bg-zinc-800 border border-zinc-600 rounded-lg text-white placeholder-zinc-500 focus:outline-none focus:border-blue-500";
+
+/** @constant {string} LABEL_CLASSES - Styling shared by every field label */
+const LABEL_CLASSES = "block text-xs md:text-sm font-medium text-zinc-300 mb-1";
+
+// ============================================================================
+// PURE HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Formats a time range string from start and end times.
+ * @pure
+ * @param {string} startTime - The start time
+ * @param {string} endTime - The end time
+ * @returns {string} Formatted time range or empty string
+ */
+function formatTimeRangeString(startTime, endTime) {
+  if (startTime && endTime) {
+    return `${startTime} - ${endTime}`;
+  }
+  return startTime || '';
+}
+
+/**
+ * Generates a unique ID for a new manual meal.
+ * @returns {string} A unique meal ID with 'manual-meal-' prefix
+ */
+function generateManualMealId() {
+  return `manual-meal-${Date.now()}`;
+}
+
+/**
+ * Converts form data to a meal object shaped like the parsed meals.
+ * @pure
+ * @param {Object} formData - The form data
+ * @param {string|null} existingId - ID for edit mode, null for new meal
+ * @returns {Object} The meal object
+ */
+function buildMealFromFormData(formData, existingId) {
+  const parsedPartySize = parseInt(formData.partySize, 10);
+  return {
+    id: existingId || generateManualMealId(),
+    type: formData.type,
+    restaurant: formData.restaurant,
+    location: formData.location,
+    timeStart: formData.timeStart,
+    timeEnd: formData.timeEnd,
+    partySize: parsedPartySize > 0 ? parsedPartySize : null,
+    confirmationNumber: formData.confirmationNumber,
+    estimatedCost: formData.estimatedCost ? parseFloat(formData.estimatedCost) : null,
+    currency: formData.currency,
+    notes: formData.notes,
+    time: formatTimeRangeString(formData.timeStart, formData.timeEnd)
+  };
+}
+
+/**
+ * Converts an existing meal to form data format.
+ * @pure
+ * @param {Object} meal - The meal to convert
+ * @returns {Object} Form data compatible object
+ */
+function convertMealToFormData(meal) {
+  return {
+    type: meal.type || 'Dinner',
+    restaurant: meal.restaurant || '',
+    location: meal.location || '',
+    timeStart: meal.timeStart || '',
+    timeEnd: meal.timeEnd || '',
+    partySize: meal.partySize ? String(meal.partySize) : '',
+    confirmationNumber: meal.confirmationNumber || '',
+    estimatedCost: meal.estimatedCost ? String(meal.estimatedCost) : '',
+    currency: meal.currency || 'JPY',
+    notes: meal.notes || ''
+  };
+}
+
+// ============================================================================
+// MAIN COMPONENT
+// ============================================================================
+
+/**
+ * @typedef {Object} AddMealModalProps
+ * @property {boolean} isOpen - Whether the modal is visible
+ * @property {Function} onClose - Callback to close the modal
+ * @property {Function} onAdd - Callback to add a new meal
+ * @property {Function} onUpdate - Callback to update an existing meal
+ * @property {string} date - The date key for the meal (YYYY-MM-DD)
+ * @property {Object|null} editingMeal - Meal to edit, null for new meal
+ */
+
+/**
+ * Add/Edit Meal Modal component.
+ *
+ * @param {AddMealModalProps} props - Component properties
+ * @returns {JSX.Element|null} The modal component or null if closed
+ */
+export default function AddMealModal({
+  isOpen,
+  onClose,
+  onAdd,
+  onUpdate,
+  date,
+  editingMeal = null
+}) {
+  // ============================================================================
+  // STATE
+  // ============================================================================
+
+  /** @type {[Object, Function]} Current form data state */
+  const [mealFormData, setMealFormData] = useState(DEFAULT_MEAL_FORM_DATA);
+
+  // Determine if we're in edit mode
+  const isInEditMode = !!editingMeal;
+
+  // ============================================================================
+  // EFFECTS
+  // ============================================================================
+
+  /**
+   * Populate form when editing an existing meal, or reset for new meal.
+   */
+  useEffect(() => {
+    setMealFormData(editingMeal ? convertMealToFormData(editingMeal) : DEFAULT_MEAL_FORM_DATA);
+  }, [editingMeal, isOpen]);
+
+  // ============================================================================
+  // EVENT HANDLERS
+  // ============================================================================
+
+  /**
+   * Handles form field changes.
+   * @param {React.ChangeEvent<HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement>} changeEvent - The change event
+   */
+  const handleFormFieldChange = (changeEvent) => {
+    const { name: fieldName, value: fieldValue } = changeEvent.target;
+    setMealFormData(previousFormData => ({ ...previousFormData, [fieldName]: fieldValue }));
+  };
+
+  /**
+   * Handles form submission for add/edit.
+   * @param {React.FormEvent} submitEvent - The form submission event
+   */
+  const handleFormSubmit = (submitEvent) => {
+    submitEvent.preventDefault();
+
+    const mealObject = buildMealFromFormData(
+      mealFormData,
+      isInEditMode ? editingMeal.id : null
+    );
+
+    // CRITICAL PATH: Call appropriate callback based on mode
+    if (isInEditMode && onUpdate) {
+      onUpdate(mealObject, date);
+    } else {
+      onAdd(mealObject, date);
+    }
+
+    setMealFormData(DEFAULT_MEAL_FORM_DATA);
+    onClose();
+  };
+
+  // ============================================================================
+  // RENDER
+  // ============================================================================
+
+  // Early return if modal is closed
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center z-[3000] p-2 md:p-4">
+      <div className="bg-zinc-900 border border-zinc-700 rounded-xl w-full max-w-md max-h-[95vh] md:max-h-[90vh] overflow-y-auto">
+        {/* ================================================================
+            MODAL HEADER
+            ================================================================ */}
+        <div className="flex items-center justify-between p-3 md:p-4 border-b border-zinc-700 sticky top-0 bg-zinc-900 z-10">
+          <h2 className="text-base md:text-lg font-semibold text-white flex items-center gap-2">
+            {isInEditMode ? (
+              <>
+                <Save size={18} className="text-amber-400" />
+                Edit Meal
+              </>
+            ) : (
+              <>
+                <Plus size={18} className="text-amber-400" />
+                Add Meal
+              </>
+            )}
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-zinc-700 rounded-lg transition-colors"
+          >
+            <X size={20} className="text-zinc-400" />
+          </button>
+        </div>
+
+        {/* ================================================================
+            FORM
+            ================================================================ */}
+        <form onSubmit={handleFormSubmit} className="p-3 md:p-4 space-y-3 md:space-y-4">
+          {/* Meal Type & Restaurant Row */}
+          <div className="grid grid-cols-2 gap-2 md:gap-3">
+            <div>
+              <label className={LABEL_CLASSES}>Meal</label>
+              <select
+                name="type"
+                value={mealFormData.type}
+                onChange={handleFormFieldChange}
+                className={FIELD_CLASSES}
+              >
+                {MEAL_TYPE_OPTIONS.map(mealTypeOption => (
+                  <option key={mealTypeOption} value={mealTypeOption}>{mealTypeOption}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className={LABEL_CLASSES}>Restaurant *</label>
+              <input
+                type="text"
+                name="restaurant"
+                value={mealFormData.restaurant}
+                onChange={handleFormFieldChange}
+                required
+                placeholder="e.g., Ichiran Shibuya"
+                className={FIELD_CLASSES}
+              />
+            </div>
+          </div>
+
+          {/* Location Field */}
+          <div>
+            <label className={LABEL_CLASSES}>Location</label>
+            <input
+              type="text"
+              name="location"
+              value={mealFormData.location}
+              onChange={handleFormFieldChange}
+              placeholder="e.g., 1-22-7 Jinnan, Shibuya"
+              className={FIELD_CLASSES}
+            />
+          </div>
+
+          {/* Reservation Time Row */}
+          <div className="grid grid-cols-2 gap-2 md:gap-3">
+            <div>
+              <label className={LABEL_CLASSES}>Reservation Time</label>
+              <input
+                type="text"
+                name="timeStart"
+                value={mealFormData.timeStart}
+                onChange={handleFormFieldChange}
+                placeholder="7:00 PM"
+                className={FIELD_CLASSES}
+              />
+            </div>
+            <div>
+              <label className={LABEL_CLASSES}>End Time</label>
+              <input
+                type="text"
+                name="timeEnd"
+                value={mealFormData.timeEnd}
+                onChange={handleFormFieldChange}
+                placeholder="8:30 PM"
+                className={FIELD_CLASSES}
+              />
+            </div>
+          </div>
+
+          {/* Party Size & Confirmation Row */}
+          <div className="grid grid-cols-2 gap-2 md:gap-3">
+            <div>
+              <label className={LABEL_CLASSES}>Party Size</label>
+              <input
+                type="number"
+                name="partySize"
+                value={mealFormData.partySize}
+                onChange={handleFormFieldChange}
+                placeholder="2"
+                min="1"
+                step="1"
+                className={FIELD_CLASSES}
+              />
+            </div>
+            <div>
+              <label className={LABEL_CLASSES}>Confirmation #</label>
+              <input
+                type="text"
+                name="confirmationNumber"
+                value={mealFormData.confirmationNumber}
+                onChange={handleFormFieldChange}
+                placeholder="e.g., TBL-48213"
+                className={FIELD_CLASSES}
+              />
+            </div>
+          </div>
+
+          {/* Cost & Currency Row */}
+          <div className="grid grid-cols-2 gap-2 md:gap-3">
+            <div>
+              <label className={LABEL_CLASSES}>Estimated Cost</label>
+              <input
+                type="number"
+                name="estimatedCost"
+                value={mealFormData.estimatedCost}
+                onChange={handleFormFieldChange}
+                placeholder="0"
+                min="0"
+                step="0.01"
+                className={FIELD_CLASSES}
+              />
+            </div>
+            <div>
+              <label className={LABEL_CLASSES}>Currency</label>
+              <CurrencySelect
+                name="currency"
+                value={mealFormData.currency}
+                onChange={handleFormFieldChange}
+                className={FIELD_CLASSES}
+              />
+            </div>
+          </div>
+
+          {/* Notes Field */}
+          <div>
+            <label className={LABEL_CLASSES}>Notes</label>
+            <textarea
+              name="notes"
+              value={mealFormData.notes}
+              onChange={handleFormFieldChange}
+              placeholder="Dietary needs, dress code..."
+              rows={2}
+              className={`${FIELD_CLASSES} resize-none`}
+            />
+          </div>
+
+          {/* Submit Button */}
+          <button
+            type="submit"
+            className="w-full py-2 md:py-2.5 text-sm md:text-base bg-amber-600 hover:bg-amber-500 text-white font-medium rounded-lg transition-colors flex items-center justify-center gap-2"
+          >
+            {isInEditMode ? (
+              <>
+                <Save size={16} />
+                Save Changes
+              </>
+            ) : (
+              <>
+                <Plus size={16} />
+                Add Meal
+              </>
+            )}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
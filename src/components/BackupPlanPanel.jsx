@@ -0,0 +1,365 @@
+/**
+ * @fileoverview Editable backup plan of a travel segment
+ *
+ * Shows the segment's backup plan (template or user-edited) as a collapsible
+ * list, lets the user author, edit, reorder and delete options, and activate
+ * one of them when the segment is disrupted.
+ *
+ * @module components/BackupPlanPanel
+ */
+
+import { useState } from "react";
+import { ChevronDown, ChevronRight, ChevronUp, Pencil, Plus, RotateCcw, Save, Siren, Trash2, X } from "lucide-react";
+import { StatusPill } from "./StatusPill";
+import { STATUS } from "../constants/status";
+import { classNames } from "../utils/classNames";
+import { createBackupOption, moveBackupOption, renumberBackupOptions } from "../utils/backupPlans";
+
+/* ============================================================================
+   CONSTANTS
+   ============================================================================ */
+
+/** @constant {Array<string>} BACKUP_OPTION_STATUS_CODES - Statuses a backup option can take */
+const BACKUP_OPTION_STATUS_CODES = ['TO_BOOK', 'PLANNED', 'BOOKED', 'OPTIONAL'];
+
+/** @constant {string} FIELD_CLASSES - Shared styling of the editor inputs */
+const FIELD_CLASSES = "w-full px-2 py-1.5 text-xs bg-zinc-800 border border-zinc-600 rounded text-white placeholder-zinc-500 focus:outline-none focus:border-blue-500";
+
+/* ============================================================================
+   PURE HELPER FUNCTIONS
+   ============================================================================ */
+
+/**
+ * Gets priority-based styling classes for backup options
+ * @pure
+ * @param {number} priority - Priority level (1, 2, or 3)
+ * @returns {string} Tailwind CSS classes
+ */
+const getBackupOptionPriorityClasses = (priority) => {
+  switch (priority) {
+    case 1: return "bg-green-950/40 border border-green-900/50";
+    case 2: return "bg-amber-950/40 border border-amber-900/50";
+    case 3: return "bg-red-950/40 border border-red-900/50";
+    default: return "bg-zinc-950/40 border border-zinc-900/50";
+  }
+};
+
+/* ============================================================================
+   SUB-COMPONENTS
+   ============================================================================ */
+
+/**
+ * Editor for one backup option
+ *
+ * @component
+ * @param {Object} props
+ * @param {import('../utils/backupPlans').BackupOption} props.option - Option being edited
+ * @param {boolean} props.isFirst - Disables moving up
+ * @param {boolean} props.isLast - Disables moving down
+ * @param {Function} props.onChange - (fieldName, value) => void
+ * @param {Function} props.onMove - (offset) => void
+ * @param {Function} props.onRemove - () => void
+ * @returns {JSX.Element} Option editor
+ */
+function BackupOptionEditor({ option, isFirst, isLast, onChange, onMove, onRemove }) {
+  return (
+    <div className={classNames("rounded p-2 space-y-1.5", getBackupOptionPriorityClasses(option.priority))}>
+      <div className="flex items-center gap-1.5">
+        <span className="text-xs font-medium text-zinc-400 w-6 shrink-0">P{option.priority}</span>
+        <input
+          type="text"
+          value={option.title}
+          onChange={(event) => onChange('title', event.target.value)}
+          placeholder="Alternative (e.g., Next train on the same line)"
+          className={FIELD_CLASSES}
+        />
+        <button onClick={() => onMove(-1)} disabled={isFirst} className="p-1 text-zinc-400 hover:text-zinc-200 disabled:opacity-30" title="Move up">
+          <ChevronUp className="h-3.5 w-3.5" />
+        </button>
+        <button onClick={() => onMove(1)} disabled={isLast} className="p-1 text-zinc-400 hover:text-zinc-200 disabled:opacity-30" title="Move down">
+          <ChevronDown className="h-3.5 w-3.5" />
+        </button>
+        <button onClick={onRemove} className="p-1 text-zinc-400 hover:text-red-400" title="Delete option">
+          <Trash2 className="h-3.5 w-3.5" />
+        </button>
+      </div>
+      <textarea
+        value={option.description}
+        onChange={(event) => onChange('description', event.target.value)}
+        placeholder="What to do"
+        rows={2}
+        className={FIELD_CLASSES}
+      />
+      <div className="flex gap-1.5">
+        <input
+          type="text"
+          value={option.contact || ''}
+          onChange={(event) => onChange('contact', event.target.value)}
+          placeholder="Contact"
+          className={FIELD_CLASSES}
+        />
+        <select
+          value={option.status}
+          onChange={(event) => onChange('status', event.target.value)}
+          className={classNames(FIELD_CLASSES, "w-32 shrink-0")}
+        >
+          {BACKUP_OPTION_STATUS_CODES.map(statusCode => (
+            <option key={statusCode} value={statusCode}>{STATUS[statusCode].label}</option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+}
+
+/* ============================================================================
+   MAIN COMPONENT
+   ============================================================================ */
+
+/**
+ * Collapsible, editable backup plan of a travel segment
+ *
+ * Without a plan (no stored plan and no template rule applies) only an
+ * "Add backup plan" button is shown. Editing a template stores it as the
+ * segment's own plan; "Reset to template" drops the stored plan again.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Object} props.segment - Travel segment the plan belongs to
+ * @param {import('../utils/backupPlans').BackupPlan|null} props.backupPlan - Plan to show
+ * @param {Function} [props.onSave] - (segmentId, plan) => Promise<[Object, Error]>
+ * @param {Function} [props.onReset] - (segmentId) => Promise<[void, Error]>
+ * @param {Function} [props.onActivate] - (segmentId, plan, optionId) => Promise<[Object, Error]>
+ * @returns {JSX.Element|null} Backup plan section, or null with neither a plan nor editing
+ */
+export function BackupPlanPanel({ segment, backupPlan, onSave, onReset, onActivate }) {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [draftTrigger, setDraftTrigger] = useState('');
+  const [draftOptions, setDraftOptions] = useState([]);
+  const [pendingActivationOptionId, setPendingActivationOptionId] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [errorMessage, setErrorMessage] = useState(null);
+
+  if (!backupPlan && !onSave) return null;
+
+  const isDisrupted = Boolean(segment.disruption);
+
+  const startEditing = () => {
+    setDraftTrigger(backupPlan?.trigger || '');
+    setDraftOptions(backupPlan?.options || []);
+    setErrorMessage(null);
+    setIsEditing(true);
+    setIsExpanded(true);
+  };
+
+  const updateDraftOption = (optionId, fieldName, value) => {
+    setDraftOptions(previousOptions => previousOptions.map(option =>
+      option.id === optionId ? { ...option, [fieldName]: value } : option
+    ));
+  };
+
+  const removeDraftOption = (optionId) => {
+    setDraftOptions(previousOptions => renumberBackupOptions(previousOptions.filter(option => option.id !== optionId)));
+  };
+
+  const handleSave = async () => {
+    // Options without a title are unfinished rows, not alternatives
+    const finishedOptions = renumberBackupOptions(draftOptions.filter(option => option.title.trim()));
+    setIsSaving(true);
+    const [, saveErr] = await onSave(segment.id, {
+      trigger: draftTrigger.trim() || 'Disruption',
+      options: finishedOptions,
+      activeOptionId: backupPlan?.activeOptionId || null,
+      activatedAt: backupPlan?.activatedAt || null
+    });
+    setIsSaving(false);
+    if (saveErr) {
+      setErrorMessage(`Could not save the plan: ${saveErr.message}`);
+      return;
+    }
+    setIsEditing(false);
+  };
+
+  const handleReset = async () => {
+    const [, resetErr] = await onReset(segment.id);
+    if (resetErr) setErrorMessage(`Could not reset the plan: ${resetErr.message}`);
+  };
+
+  const handleActivate = async (optionId) => {
+    setPendingActivationOptionId(null);
+    const [, activateErr] = await onActivate(segment.id, backupPlan, optionId);
+    if (activateErr) setErrorMessage(`Could not activate the option: ${activateErr.message}`);
+  };
+
+  // No plan yet - offer to author one
+  if (!backupPlan && !isEditing) {
+    return (
+      <div className="mt-3 pt-3 border-t border-blue-900/20">
+        <button
+          onClick={startEditing}
+          className="flex items-center gap-2 text-xs font-medium text-red-400 hover:text-red-300"
+        >
+          <Plus className="h-3 w-3" />
+          Add backup plan
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mt-3 pt-3 border-t border-blue-900/20">
+      {/* Accordion Toggle Button */}
+      <button
+        onClick={() => setIsExpanded(!isExpanded)}
+        className="flex items-center gap-2 text-xs font-medium text-red-400 hover:text-red-300 text-left"
+      >
+        {isExpanded ? (
+          <ChevronDown className="h-3 w-3 shrink-0" />
+        ) : (
+          <ChevronRight className="h-3 w-3 shrink-0" />
+        )}
+        🚨 Backup Plan: {isEditing ? (draftTrigger || 'New plan') : backupPlan.trigger}
+        {backupPlan?.isCustom && !isEditing && (
+          <span className="text-[10px] uppercase tracking-wide text-zinc-500">Saved</span>
+        )}
+      </button>
+
+      {isExpanded && isEditing && (
+        <div className="mt-2 space-y-2 pl-5">
+          <input
+            type="text"
+            value={draftTrigger}
+            onChange={(event) => setDraftTrigger(event.target.value)}
+            placeholder="Trigger (e.g., Flight delay > 2 hrs)"
+            className={FIELD_CLASSES}
+          />
+          {draftOptions.map((draftOption, optionIndex) => (
+            <BackupOptionEditor
+              key={draftOption.id}
+              option={draftOption}
+              isFirst={optionIndex === 0}
+              isLast={optionIndex === draftOptions.length - 1}
+              onChange={(fieldName, value) => updateDraftOption(draftOption.id, fieldName, value)}
+              onMove={(offset) => setDraftOptions(previousOptions => moveBackupOption(previousOptions, draftOption.id, offset))}
+              onRemove={() => removeDraftOption(draftOption.id)}
+            />
+          ))}
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              onClick={() => setDraftOptions(previousOptions => [...previousOptions, createBackupOption(segment.id, previousOptions.length)])}
+              className="flex items-center gap-1 px-2 py-1 text-xs text-zinc-300 hover:text-white bg-zinc-800 hover:bg-zinc-700 rounded"
+            >
+              <Plus className="h-3 w-3" />
+              Add option
+            </button>
+            <div className="flex-1" />
+            <button
+              onClick={() => setIsEditing(false)}
+              className="flex items-center gap-1 px-2 py-1 text-xs text-zinc-400 hover:text-zinc-200"
+            >
+              <X className="h-3 w-3" />
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={isSaving}
+              className="flex items-center gap-1 px-2 py-1 text-xs font-medium text-white bg-blue-600 hover:bg-blue-500 disabled:opacity-50 rounded"
+            >
+              <Save className="h-3 w-3" />
+              {isSaving ? 'Saving...' : 'Save plan'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {isExpanded && !isEditing && (
+        <div className="mt-2 space-y-2 pl-5">
+          {backupPlan.options.length === 0 && (
+            <div className="text-xs text-zinc-500">No options yet.</div>
+          )}
+          {backupPlan.options.map((backupOption) => {
+            const isActiveOption = backupPlan.activeOptionId === backupOption.id;
+            return (
+              <div
+                key={backupOption.id}
+                className={classNames(
+                  "text-xs rounded p-2",
+                  getBackupOptionPriorityClasses(backupOption.priority),
+                  isActiveOption && "ring-1 ring-orange-500/70"
+                )}
+              >
+                <div className="flex items-start justify-between gap-2 mb-1">
+                  <div>
+                    <div className="font-medium text-zinc-100">
+                      P{backupOption.priority}: {backupOption.title}
+                    </div>
+                    <div className="text-zinc-400 mt-0.5">
+                      {backupOption.description}
+                    </div>
+                    {backupOption.contact && (
+                      <div className="text-zinc-500 mt-0.5 italic">
+                        Contact: {backupOption.contact}
+                      </div>
+                    )}
+                  </div>
+                  <div className="flex flex-col items-end gap-1.5 shrink-0">
+                    <StatusPill code={backupOption.status} />
+                    {isActiveOption && (
+                      <span className="text-[10px] font-semibold uppercase tracking-wide text-orange-300">Active</span>
+                    )}
+                    {onActivate && !isDisrupted && (
+                      pendingActivationOptionId === backupOption.id ? (
+                        <button
+                          onClick={() => handleActivate(backupOption.id)}
+                          className="flex items-center gap-1 px-2 py-0.5 text-[11px] font-medium text-white bg-orange-600 hover:bg-orange-500 rounded"
+                        >
+                          <Siren className="h-3 w-3" />
+                          Confirm
+                        </button>
+                      ) : (
+                        <button
+                          onClick={() => setPendingActivationOptionId(backupOption.id)}
+                          className="px-2 py-0.5 text-[11px] text-orange-300 hover:text-orange-200 border border-orange-800/60 rounded"
+                          title="Mark the segment disrupted and use this alternative"
+                        >
+                          Activate
+                        </button>
+                      )
+                    )}
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+
+          {onSave && (
+            <div className="flex flex-wrap items-center gap-3 pt-1">
+              <button
+                onClick={startEditing}
+                className="flex items-center gap-1 text-xs text-zinc-400 hover:text-zinc-200"
+              >
+                <Pencil className="h-3 w-3" />
+                Edit plan
+              </button>
+              {backupPlan.isCustom && onReset && !backupPlan.activeOptionId && (
+                <button
+                  onClick={handleReset}
+                  className="flex items-center gap-1 text-xs text-zinc-400 hover:text-zinc-200"
+                  title="Discard your edits and use the suggested options"
+                >
+                  <RotateCcw className="h-3 w-3" />
+                  Reset to template
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {errorMessage && (
+        <div className="mt-2 pl-5 text-xs text-red-400">{errorMessage}</div>
+      )}
+    </div>
+  );
+}
@@ -2,11 +2,14 @@
  * @fileoverview Component for displaying a saved boarding pass
  * 
  * Renders boarding pass data in a styled card format with
- * key flight information and delete functionality.
+ * key flight information, a scannable barcode with a full-screen
+ * gate mode, and delete functionality.
  */
 
-import React, { useState, useCallback } from "react";
-import { Trash2, Ticket, User, MapPin, Clock, Hash, ChevronDown, ChevronUp } from "lucide-react";
+import React, { useState, useCallback, useEffect, useMemo } from "react";
+import { Trash2, Ticket, User, MapPin, Clock, Hash, ChevronDown, ChevronUp, Maximize2, AlertTriangle } from "lucide-react";
+import { BoardingPassGateMode } from "./BoardingPassGateMode";
+import { buildBoardingPassBarcode } from "../utils/bcbp";
 
 /**
  * Extracts common boarding pass fields from JSON data
@@ -40,7 +43,12 @@ function extractBoardingPassFields(data) {
     confirmation: data.confirmation || data.pnr || data.confirmationCode || data.recordLocator || null,
     
     // Sequence number
-    sequence: data.sequence || data.sequenceNumber || data.seqNo || null
+    sequence: data.sequence || data.sequenceNumber || data.seqNo || null,
+    
+    // Route and date
+    departure: data.departure || data.from || null,
+    arrival: data.arrival || data.to || null,
+    date: data.date || null
   };
 }
 
@@ -52,14 +60,64 @@ function extractBoardingPassFields(data) {
  * @param {Object} props.boardingPass - The boarding pass data object
  * @param {Function} props.onDelete - Callback to delete the boarding pass (boardingPassId) => Promise
  * @param {string} props.segmentId - The segment ID this pass belongs to
+ * @param {Object} [props.flightSegment] - The linked flight segment, used to fill in a barcode for passes imported without one
+ * @param {Array<Object>} [props.mismatches] - Differences between the pass and its flight segment (see findBoardingPassMismatches)
  */
-export function BoardingPassCard({ boardingPass, onDelete, segmentId }) {
+export function BoardingPassCard({ boardingPass, onDelete, segmentId, flightSegment, mismatches = [] }) {
   const [isDeleting, setIsDeleting] = useState(false);
   const [showRawData, setShowRawData] = useState(false);
+  const [isGateModeOpen, setIsGateModeOpen] = useState(false);
+  const [barcodeModule, setBarcodeModule] = useState(null);
+  const [symbology, setSymbology] = useState(null);
 
   const fields = extractBoardingPassFields(boardingPass);
   const hasAnyField = Object.values(fields).some(v => v !== null);
 
+  // Original BCBP string if the pass was scanned, otherwise one rebuilt from the saved fields
+  const [barcodeText, barcodeBuildError] = useMemo(
+    () => (boardingPass.bcbp ? [boardingPass.bcbp, null] : buildBoardingPassBarcode(boardingPass, flightSegment)),
+    [boardingPass, flightSegment]
+  );
+  const isRebuiltBarcode = !boardingPass.bcbp && Boolean(barcodeText);
+
+  /**
+   * Lazily loads the barcode encoder (kept out of the main bundle)
+   */
+  useEffect(() => {
+    if (!barcodeText || barcodeModule) return;
+
+    let isEffectActive = true;
+    import("../utils/barcode").then((loadedModule) => {
+      if (isEffectActive) setBarcodeModule(loadedModule);
+    });
+
+    return () => { isEffectActive = false; };
+  }, [barcodeText, barcodeModule]);
+
+  const activeSymbology = symbology || barcodeModule?.DEFAULT_BARCODE_SYMBOLOGY;
+
+  // Render the barcode once the encoder is available
+  const [barcodeImageUrl, barcodeRenderError] = useMemo(() => {
+    if (!barcodeText || !barcodeModule) return [null, null];
+    const [svgMarkup, renderErr] = barcodeModule.renderBarcodeSvg(barcodeText, activeSymbology);
+    if (renderErr) return [null, renderErr];
+    return [barcodeModule.svgToDataUrl(svgMarkup), null];
+  }, [barcodeText, barcodeModule, activeSymbology]);
+
+  const barcodeErrorMessage = (barcodeRenderError || barcodeBuildError)?.message || null;
+
+  // Gate mode falls back to the segment for route and date
+  const gateModeFields = useMemo(() => {
+    const routeAirportCodes = flightSegment?.route?.match(/[A-Z]{3}/g) || [];
+    return {
+      ...fields,
+      flight: fields.flight || flightSegment?.flight || null,
+      departure: fields.departure || routeAirportCodes[0] || null,
+      arrival: fields.arrival || routeAirportCodes[routeAirportCodes.length - 1] || null,
+      date: fields.date || flightSegment?.date || null
+    };
+  }, [fields, flightSegment]);
+
   /**
    * Handles delete button click
    */
@@ -78,6 +136,13 @@ export function BoardingPassCard({ boardingPass, onDelete, segmentId }) {
     setShowRawData(prev => !prev);
   }, []);
 
+  /**
+   * Leaves gate mode
+   */
+  const closeGateMode = useCallback(() => {
+    setIsGateModeOpen(false);
+  }, []);
+
   return (
     <div className="mt-3 rounded-lg bg-gradient-to-br from-amber-950/30 via-orange-950/20 to-yellow-950/30 border border-amber-700/40 overflow-hidden">
       {/* Header */}
@@ -96,6 +161,19 @@ export function BoardingPassCard({ boardingPass, onDelete, segmentId }) {
         </button>
       </div>
 
+      {/* Segment Mismatch Warning */}
+      {mismatches.length > 0 && (
+        <div className="flex items-start gap-2 px-3 py-2 bg-red-950/40 border-b border-red-800/50 text-xs text-red-300">
+          <AlertTriangle className="h-3.5 w-3.5 mt-0.5 shrink-0 text-red-400" />
+          <div>
+            <div className="font-medium">This pass may belong to another flight</div>
+            {mismatches.map((mismatch) => (
+              <div key={mismatch.field} className="text-red-300/80">{mismatch.message}</div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Content */}
       <div className="p-3">
         {hasAnyField ? (
@@ -172,6 +250,41 @@ export function BoardingPassCard({ boardingPass, onDelete, segmentId }) {
           </p>
         )}
 
+        {/* Barcode preview - tap to open gate mode */}
+        {barcodeText ? (
+          <div className="mt-3">
+            <button
+              onClick={() => setIsGateModeOpen(true)}
+              className="block w-full p-2 bg-white rounded-lg"
+              title="Open gate mode"
+            >
+              {barcodeImageUrl ? (
+                <img src={barcodeImageUrl} alt="Boarding pass barcode" className="w-full max-h-24 object-contain" />
+              ) : (
+                <div className="h-16 flex items-center justify-center text-xs text-zinc-500">
+                  {barcodeErrorMessage || 'Loading barcode...'}
+                </div>
+              )}
+            </button>
+            <div className="flex items-center justify-between mt-1.5">
+              <span className="text-[10px] text-zinc-500">
+                {isRebuiltBarcode ? 'Barcode rebuilt from saved fields - may not scan at every gate' : 'Original barcode data'}
+              </span>
+              <button
+                onClick={() => setIsGateModeOpen(true)}
+                className="flex items-center gap-1 text-xs font-medium text-amber-300 hover:text-amber-200 transition-colors"
+              >
+                <Maximize2 className="h-3 w-3" />
+                Gate mode
+              </button>
+            </div>
+          </div>
+        ) : barcodeBuildError && (
+          <p className="mt-3 text-[11px] text-zinc-500">
+            No barcode: {barcodeBuildError.message}
+          </p>
+        )}
+
         {/* Raw JSON Toggle */}
         <button
           onClick={toggleRawData}
@@ -188,6 +301,18 @@ export function BoardingPassCard({ boardingPass, onDelete, segmentId }) {
           </pre>
         )}
       </div>
+
+      {/* Full-screen barcode for scanning */}
+      <BoardingPassGateMode
+        isOpen={isGateModeOpen}
+        onClose={closeGateMode}
+        fields={gateModeFields}
+        barcodeImageUrl={barcodeImageUrl}
+        barcodeError={barcodeErrorMessage}
+        symbologies={barcodeModule?.BARCODE_SYMBOLOGIES || {}}
+        symbology={activeSymbology}
+        onSymbologyChange={setSymbology}
+      />
     </div>
   );
 }
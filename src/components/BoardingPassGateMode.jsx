@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Full-screen "gate mode" view of a boarding pass barcode
+ *
+ * Shows the barcode on a white full-screen page so gate and security
+ * scanners can read it. While open it requests fullscreen and a screen
+ * wake lock so the display does not dim or lock in the queue.
+ */
+
+import React, { useEffect, useRef } from "react";
+import { X, Sun } from "lucide-react";
+import { classNames } from "../utils/classNames";
+
+/**
+ * Gate mode overlay
+ *
+ * @component
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether gate mode is shown
+ * @param {Function} props.onClose - Callback to leave gate mode
+ * @param {Object} props.fields - Normalized boarding pass fields (passenger, flight, seat, ...)
+ * @param {string|null} props.barcodeImageUrl - Rendered barcode image (data URL)
+ * @param {string|null} props.barcodeError - Error message if the barcode could not be rendered
+ * @param {Object<string, {label: string}>} props.symbologies - Available symbologies keyed by ID
+ * @param {string} props.symbology - Selected symbology ID
+ * @param {Function} props.onSymbologyChange - Called with a symbology ID
+ */
+export function BoardingPassGateMode({
+  isOpen,
+  onClose,
+  fields,
+  barcodeImageUrl,
+  barcodeError,
+  symbologies,
+  symbology,
+  onSymbologyChange
+}) {
+  const containerRef = useRef(null);
+
+  /**
+   * Enters fullscreen and keeps the screen awake while open.
+   * Both APIs are best effort - unsupported browsers just show the overlay.
+   */
+  useEffect(() => {
+    if (!isOpen) return;
+
+    let wakeLockSentinel = null;
+    let isEffectActive = true;
+
+    containerRef.current?.requestFullscreen?.().catch(() => {});
+    navigator.wakeLock?.request('screen')
+      .then((sentinel) => {
+        if (isEffectActive) wakeLockSentinel = sentinel;
+        else sentinel.release();
+      })
+      .catch(() => {});
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+
+    return () => {
+      isEffectActive = false;
+      document.removeEventListener('keydown', handleKeyDown);
+      wakeLockSentinel?.release().catch(() => {});
+      if (document.fullscreenElement) document.exitFullscreen?.().catch(() => {});
+    };
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      ref={containerRef}
+      className="fixed inset-0 z-[7000] flex flex-col bg-white text-zinc-900"
+    >
+      {/* Header */}
+      <div className="flex items-start justify-between p-4">
+        <div>
+          <div className="text-3xl font-bold tracking-tight">{fields.flight || 'Boarding Pass'}</div>
+          {(fields.departure || fields.arrival) && (
+            <div className="text-lg font-semibold text-zinc-600">
+              {fields.departure} → {fields.arrival}
+            </div>
+          )}
+          {fields.date && <div className="text-sm text-zinc-500">{fields.date}</div>}
+        </div>
+        <button
+          onClick={onClose}
+          className="p-3 rounded-full bg-zinc-100 hover:bg-zinc-200 text-zinc-700 transition-colors"
+          title="Exit gate mode"
+        >
+          <X className="h-6 w-6" />
+        </button>
+      </div>
+
+      {/* Barcode */}
+      <div className="flex-1 flex items-center justify-center px-4">
+        {barcodeImageUrl ? (
+          <img
+            src={barcodeImageUrl}
+            alt={`${symbologies[symbology]?.label} barcode`}
+            className="w-full max-w-xl [image-rendering:pixelated]"
+          />
+        ) : (
+          <p className="text-center text-red-600 text-sm">{barcodeError || 'Preparing barcode...'}</p>
+        )}
+      </div>
+
+      {/* Passenger details */}
+      <div className="grid grid-cols-3 gap-4 px-4 py-3 text-center">
+        <div className="col-span-3">
+          <div className="text-[11px] uppercase tracking-wider text-zinc-500">Passenger</div>
+          <div className="text-xl font-bold">{fields.passenger || '—'}</div>
+        </div>
+        <div>
+          <div className="text-[11px] uppercase tracking-wider text-zinc-500">Seat</div>
+          <div className="text-2xl font-bold">{fields.seat || '—'}</div>
+        </div>
+        <div>
+          <div className="text-[11px] uppercase tracking-wider text-zinc-500">Group</div>
+          <div className="text-2xl font-bold">{fields.boardingGroup || '—'}</div>
+        </div>
+        <div>
+          <div className="text-[11px] uppercase tracking-wider text-zinc-500">Seq</div>
+          <div className="text-2xl font-bold">{fields.sequence || '—'}</div>
+        </div>
+      </div>
+
+      {/* Footer: symbology switch and brightness hint */}
+      <div className="flex flex-col items-center gap-2 p-4">
+        <div className="inline-flex rounded-lg bg-zinc-100 p-1">
+          {Object.entries(symbologies).map(([symbologyId, symbologyConfig]) => (
+            <button
+              key={symbologyId}
+              onClick={() => onSymbologyChange(symbologyId)}
+              className={classNames(
+                "px-4 py-1.5 text-sm font-medium rounded-md transition-colors",
+                symbology === symbologyId ? "bg-white shadow text-zinc-900" : "text-zinc-500 hover:text-zinc-800"
+              )}
+            >
+              {symbologyConfig.label}
+            </button>
+          ))}
+        </div>
+        <div className="flex items-center gap-1.5 text-xs text-zinc-500">
+          <Sun className="h-3.5 w-3.5" />
+          Turn your screen brightness all the way up for scanning
+        </div>
+      </div>
+    </div>
+  );
+}
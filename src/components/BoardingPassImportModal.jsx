@@ -1,15 +1,39 @@
 /**
- * @fileoverview Modal component for importing boarding pass JSON data
+ * @fileoverview Modal component for importing boarding pass data
  * 
- * Allows users to paste boarding pass JSON and save it to IndexedDB
- * linked to a specific flight segment.
+ * Allows users to paste boarding pass JSON or the IATA BCBP string from
+ * the pass barcode and save it to IndexedDB linked to a specific flight segment.
  */
 
-import React, { useState, useCallback } from "react";
-import { X, Upload, AlertCircle, CheckCircle } from "lucide-react";
+import React, { useState, useCallback, useMemo } from "react";
+import { X, Upload, AlertCircle, AlertTriangle, CheckCircle } from "lucide-react";
+import { isBoardingPassBarcode, parseBoardingPassBarcode, selectBoardingPassLeg } from "../utils/bcbp";
+import { findBoardingPassMismatches } from "../utils/boardingPassCheck";
 
 /**
- * Modal for importing boarding pass JSON data
+ * Parses pasted boarding pass text as BCBP or JSON
+ * 
+ * @pure
+ * @param {string} inputText - Text from the textarea
+ * @param {string} [referenceDate] - Date the flight is expected near (YYYY-MM-DD)
+ * @returns {[{format: 'BCBP'|'JSON', data: Object}, null] | [null, Error]} Go-style result tuple
+ */
+function parseBoardingPassInput(inputText, referenceDate) {
+  if (isBoardingPassBarcode(inputText)) {
+    const [barcodeFields, barcodeErr] = parseBoardingPassBarcode(inputText, referenceDate ? { referenceDate } : {});
+    if (barcodeErr) return [null, new Error(`Invalid barcode data: ${barcodeErr.message}`)];
+    return [{ format: 'BCBP', data: barcodeFields }, null];
+  }
+
+  try {
+    return [{ format: 'JSON', data: JSON.parse(inputText) }, null];
+  } catch {
+    return [null, new Error('Invalid JSON format')];
+  }
+}
+
+/**
+ * Modal for importing boarding pass data (JSON or BCBP barcode string)
  * 
  * @component
  * @param {Object} props
@@ -18,30 +42,44 @@ import { X, Upload, AlertCircle, CheckCircle } from "lucide-react";
  * @param {Function} props.onSave - Callback to save boarding pass (segmentId, data) => Promise
  * @param {string} props.segmentId - The flight segment ID to link the boarding pass to
  * @param {string} props.flightInfo - Display string for the flight (e.g., "UA249 FLL → SFO")
+ * @param {Object} [props.flightSegment] - The flight segment, used to resolve BCBP dates and to cross-check the pass
  */
-export function BoardingPassImportModal({ isOpen, onClose, onSave, segmentId, flightInfo }) {
+export function BoardingPassImportModal({ isOpen, onClose, onSave, segmentId, flightInfo, flightSegment }) {
   const [jsonInput, setJsonInput] = useState('');
   const [parseError, setParseError] = useState(null);
   const [isSaving, setIsSaving] = useState(false);
   const [saveSuccess, setSaveSuccess] = useState(false);
+  const [selectedLegIndex, setSelectedLegIndex] = useState(0);
+  const [isMismatchConfirmed, setIsMismatchConfirmed] = useState(false);
+  const flightDate = flightSegment?.date;
+
+  // Parsed input drives the validation message, the leg picker and the preview
+  const [parsedInput, inputError] = useMemo(
+    () => (jsonInput.trim() ? parseBoardingPassInput(jsonInput, flightDate) : [null, null]),
+    [jsonInput, flightDate]
+  );
+  const barcodeLegs = parsedInput?.format === 'BCBP' ? parsedInput.data.legs : null;
+
+  // Multi-leg barcodes are saved with the selected leg's fields on top
+  const passDataToSave = useMemo(() => {
+    if (!parsedInput) return null;
+    return barcodeLegs ? selectBoardingPassLeg(parsedInput.data, selectedLegIndex) : parsedInput.data;
+  }, [parsedInput, barcodeLegs, selectedLegIndex]);
+
+  const segmentMismatches = useMemo(
+    () => findBoardingPassMismatches(passDataToSave, flightSegment),
+    [passDataToSave, flightSegment]
+  );
 
   /**
-   * Handles JSON input change and validates it
+   * Handles input change and resets feedback
    */
   const handleInputChange = useCallback((e) => {
-    const value = e.target.value;
-    setJsonInput(value);
+    setJsonInput(e.target.value);
     setParseError(null);
     setSaveSuccess(false);
-
-    // Try to parse for validation feedback
-    if (value.trim()) {
-      try {
-        JSON.parse(value);
-      } catch (err) {
-        setParseError('Invalid JSON format');
-      }
-    }
+    setSelectedLegIndex(0);
+    setIsMismatchConfirmed(false);
   }, []);
 
   /**
@@ -49,22 +87,25 @@ export function BoardingPassImportModal({ isOpen, onClose, onSave, segmentId, fl
    */
   const handleSave = useCallback(async () => {
     if (!jsonInput.trim()) {
-      setParseError('Please enter boarding pass JSON');
+      setParseError('Please enter boarding pass JSON or barcode data');
       return;
     }
 
-    let parsedData;
-    try {
-      parsedData = JSON.parse(jsonInput);
-    } catch (err) {
-      setParseError('Invalid JSON format');
+    if (inputError) {
+      setParseError(inputError.message);
+      return;
+    }
+
+    // CRITICAL PATH: A pass that does not match this flight needs a second click
+    if (segmentMismatches.length > 0 && !isMismatchConfirmed) {
+      setIsMismatchConfirmed(true);
       return;
     }
 
     setIsSaving(true);
     setParseError(null);
 
-    const [, error] = await onSave(segmentId, parsedData);
+    const [, error] = await onSave(segmentId, passDataToSave);
     
     setIsSaving(false);
     
@@ -81,7 +122,7 @@ export function BoardingPassImportModal({ isOpen, onClose, onSave, segmentId, fl
       setSaveSuccess(false);
       onClose();
     }, 1000);
-  }, [jsonInput, onSave, segmentId, onClose]);
+  }, [jsonInput, inputError, passDataToSave, segmentMismatches, isMismatchConfirmed, onSave, segmentId, onClose]);
 
   /**
    * Handles modal close
@@ -90,12 +131,16 @@ export function BoardingPassImportModal({ isOpen, onClose, onSave, segmentId, fl
     setJsonInput('');
     setParseError(null);
     setSaveSuccess(false);
+    setSelectedLegIndex(0);
+    setIsMismatchConfirmed(false);
     onClose();
   }, [onClose]);
 
   if (!isOpen) return null;
 
-  const isValidJson = jsonInput.trim() && !parseError;
+  const displayedError = parseError || inputError?.message || null;
+  const isValidInput = Boolean(parsedInput) && !displayedError;
+  const previewPass = parsedInput?.format === 'BCBP' ? passDataToSave : null;
 
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
@@ -128,28 +173,87 @@ export function BoardingPassImportModal({ isOpen, onClose, onSave, segmentId, fl
         {/* Body */}
         <div className="p-4">
           <label className="block text-sm font-medium text-zinc-300 mb-2">
-            Paste your boarding pass JSON
+            Paste your boarding pass JSON or barcode data
           </label>
           
           <textarea
             value={jsonInput}
             onChange={handleInputChange}
-            placeholder='{"passenger": "CAMERON/EARL", "seat": "24A", "gate": "B12", ...}'
+            placeholder={'{"passenger": "CAMERON/EARL", "seat": "24A", "gate": "B12", ...}\n\nor the scanned barcode text:\nM1CAMERON/EARL        EABC123 FLLSFOUA 0249 030Y024A0025 100'}
             className="w-full h-48 px-3 py-2 bg-zinc-800 border border-zinc-600 rounded-lg text-zinc-100 placeholder-zinc-500 font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none"
           />
 
           {/* Status Messages */}
-          {parseError && (
+          {displayedError && (
             <div className="flex items-center gap-2 mt-2 text-red-400 text-sm">
-              <AlertCircle className="h-4 w-4" />
-              <span>{parseError}</span>
+              <AlertCircle className="h-4 w-4 shrink-0" />
+              <span>{displayedError}</span>
             </div>
           )}
           
-          {isValidJson && !saveSuccess && (
+          {isValidInput && !saveSuccess && (
             <div className="flex items-center gap-2 mt-2 text-green-400 text-sm">
               <CheckCircle className="h-4 w-4" />
-              <span>Valid JSON</span>
+              <span>
+                {parsedInput.format === 'BCBP'
+                  ? `Valid boarding pass barcode${barcodeLegs ? ` (${barcodeLegs.length} legs)` : ''}`
+                  : 'Valid JSON'}
+              </span>
+            </div>
+          )}
+
+          {/* Leg picker for multi-leg barcodes */}
+          {isValidInput && barcodeLegs && (
+            <div className="mt-3">
+              <label className="block text-xs text-zinc-400 mb-1">Leg to attach to this flight</label>
+              <select
+                value={selectedLegIndex}
+                onChange={(e) => {
+                  setSelectedLegIndex(Number(e.target.value));
+                  setIsMismatchConfirmed(false);
+                }}
+                className="w-full px-3 py-2 bg-zinc-800 border border-zinc-600 rounded-lg text-zinc-100 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {barcodeLegs.map((leg, legIndex) => (
+                  <option key={legIndex} value={legIndex}>
+                    {leg.flight} {leg.departure} → {leg.arrival} ({leg.date})
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {/* Decoded barcode preview */}
+          {isValidInput && previewPass && (
+            <div className="mt-3 grid grid-cols-2 gap-x-4 gap-y-1 p-3 bg-zinc-800/60 rounded-lg text-xs">
+              <span className="text-zinc-500">Passenger</span>
+              <span className="text-zinc-200 font-medium">{previewPass.passenger}</span>
+              <span className="text-zinc-500">Flight</span>
+              <span className="text-zinc-200 font-medium">{previewPass.flight} {previewPass.departure} → {previewPass.arrival}</span>
+              <span className="text-zinc-500">Date</span>
+              <span className="text-zinc-200 font-medium">{previewPass.date}</span>
+              <span className="text-zinc-500">Seat / Seq</span>
+              <span className="text-zinc-200 font-medium">{previewPass.seat || '—'} / {previewPass.sequence || '—'}</span>
+              <span className="text-zinc-500">PNR</span>
+              <span className="text-zinc-200 font-mono">{previewPass.pnr}</span>
+            </div>
+          )}
+          
+          {/* Cross-check against the flight segment */}
+          {isValidInput && segmentMismatches.length > 0 && !saveSuccess && (
+            <div className="mt-3 p-3 bg-amber-950/40 border border-amber-700/50 rounded-lg">
+              <div className="flex items-center gap-2 text-amber-300 text-sm font-medium">
+                <AlertTriangle className="h-4 w-4 shrink-0" />
+                <span>This pass doesn't match {flightInfo || 'this flight'}</span>
+              </div>
+              <ul className="mt-1.5 ml-6 space-y-0.5 text-xs text-amber-200/80 list-disc">
+                {segmentMismatches.map((mismatch) => (
+                  <li key={mismatch.field}>{mismatch.message}</li>
+                ))}
+              </ul>
+              {isMismatchConfirmed && (
+                <p className="mt-2 text-xs text-amber-200">Click "Save Anyway" to attach it to this flight regardless.</p>
+              )}
             </div>
           )}
           
@@ -171,11 +275,11 @@ export function BoardingPassImportModal({ isOpen, onClose, onSave, segmentId, fl
           </button>
           <button
             onClick={handleSave}
-            disabled={!isValidJson || isSaving}
+            disabled={!isValidInput || isSaving}
             className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-500 disabled:bg-zinc-700 disabled:text-zinc-500 rounded-lg transition-colors"
           >
             <Upload className="h-4 w-4" />
-            {isSaving ? 'Saving...' : 'Save Boarding Pass'}
+            {isSaving ? 'Saving...' : (isMismatchConfirmed && segmentMismatches.length > 0 ? 'Save Anyway' : 'Save Boarding Pass')}
           </button>
         </div>
       </div>
@@ -0,0 +1,272 @@
+/**
+ * @fileoverview "To book" dashboard listing every item still waiting on a
+ * booking decision.
+ *
+ * @description Features include:
+ * - All TO_BOOK, PLANNED_WARN and IF_CONDITIONAL items across the trip
+ * - Grouped by urgency (days left) or by type, soonest first
+ * - Estimated cost per item and per group
+ * - One-click "Mark booked", or the status pill for booking details
+ * - Clicking an item jumps to its DayCard
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { X, ClipboardList, Layers, Plane, Building2, Utensils, MapPin, CheckCircle2 } from 'lucide-react';
+import { classNames } from '../utils/classNames';
+import { EditableStatusPill } from './EditableStatusPill';
+import { MoneyAmount } from './MoneyAmount';
+import { BOOKED_STATUS } from '../utils/statusWorkflow';
+import { collectBookingTasks, groupBookingTasks, sumEstimatedCostsByCurrency } from '../utils/bookingTasks';
+
+/* ============================================================================
+   CONSTANTS
+   ============================================================================ */
+
+/**
+ * Ways to group the task list
+ * @constant {Object.<string, string>}
+ */
+const GROUPING_MODES = {
+  urgency: 'By urgency',
+  kind: 'By type'
+};
+
+/**
+ * Icon shown for each item kind
+ * @constant {Object.<string, React.ComponentType>}
+ */
+const ITEM_KIND_ICONS = {
+  travel: Plane,
+  shelter: Building2,
+  meal: Utensils,
+  activity: MapPin
+};
+
+/**
+ * Heading color of each urgency group
+ * @constant {Object.<string, string>}
+ */
+const URGENCY_HEADING_CLASSES = {
+  pastDue: 'text-red-400',
+  thisWeek: 'text-orange-400',
+  thisMonth: 'text-amber-300',
+  later: 'text-zinc-400'
+};
+
+/* ============================================================================
+   PURE HELPER FUNCTIONS
+   ============================================================================ */
+
+/**
+ * Describes how far away an item's day is
+ * @pure
+ * @param {number} daysUntil - Days from today
+ * @returns {string} Label such as "Today", "In 3 days" or "2 days ago"
+ */
+function formatDaysUntilLabel(daysUntil) {
+  if (daysUntil === 0) return 'Today';
+  if (daysUntil === 1) return 'Tomorrow';
+  if (daysUntil === -1) return 'Yesterday';
+  return daysUntil > 0 ? `In ${daysUntil} days` : `${-daysUntil} days ago`;
+}
+
+/**
+ * Formats per-currency totals on one line
+ * @pure
+ * @param {Object<string, number>} costTotals - Totals keyed by currency
+ * @returns {string} Summary such as "12,000 JPY + 300 USD", empty without costs
+ */
+function formatCostTotals(costTotals) {
+  return Object.entries(costTotals)
+    .map(([costCurrency, costAmount]) => `${costAmount.toLocaleString()} ${costCurrency}`)
+    .join(' + ');
+}
+
+/* ============================================================================
+   MAIN COMPONENT
+   ============================================================================ */
+
+/**
+ * Full-screen "To book" dashboard.
+ *
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the dashboard is visible
+ * @param {Function} props.onClose - Called to close the dashboard
+ * @param {Array<Object>} props.days - Days with live statuses applied
+ * @param {Object} props.manualActivitiesByDate - User-added activities keyed by date
+ * @param {Object} props.deletedActivityIdsByDate - Soft-deleted activity IDs keyed by date
+ * @param {Object} props.manualMealsByDate - User-added meals keyed by date
+ * @param {Object} props.deletedMealIdsByDate - Soft-deleted meal IDs keyed by date
+ * @param {string} props.todayDateKey - Today's date (YYYY-MM-DD)
+ * @param {Function} [props.onChangeStatus] - Callback (item, nextStatus, bookingDetails) => Promise
+ * @param {Function} props.onSelectDay - Called with a date key to jump to that day
+ * @returns {JSX.Element|null}
+ */
+export function BookingDashboard({
+  isOpen,
+  onClose,
+  days,
+  manualActivitiesByDate,
+  deletedActivityIdsByDate,
+  manualMealsByDate,
+  deletedMealIdsByDate,
+  todayDateKey,
+  onChangeStatus,
+  onSelectDay
+}) {
+  /** @type {['urgency'|'kind', Function]} How the task list is grouped */
+  const [groupingMode, setGroupingMode] = useState('urgency');
+
+  // CRITICAL: Prevent body scroll when modal is open for proper UX
+  useEffect(() => {
+    if (isOpen) {
+      document.body.style.overflow = 'hidden';
+    }
+    return () => {
+      document.body.style.overflow = '';
+    };
+  }, [isOpen]);
+
+  const bookingTasks = useMemo(
+    () => collectBookingTasks(days, { manualActivitiesByDate, deletedActivityIdsByDate, manualMealsByDate, deletedMealIdsByDate }, todayDateKey),
+    [days, manualActivitiesByDate, deletedActivityIdsByDate, manualMealsByDate, deletedMealIdsByDate, todayDateKey]
+  );
+
+  const taskGroups = useMemo(() => groupBookingTasks(bookingTasks, groupingMode), [bookingTasks, groupingMode]);
+
+  const dateDisplayByKey = useMemo(
+    () => Object.fromEntries(days.map(dayEntry => [dayEntry.dateKey, dayEntry.dateDisplay || dayEntry.dateKey])),
+    [days]
+  );
+
+  // Early return if modal is closed
+  if (!isOpen) return null;
+
+  const totalCostSummary = formatCostTotals(sumEstimatedCostsByCurrency(bookingTasks));
+
+  return (
+    <div
+      className="fixed inset-0 z-[2000] flex items-center justify-center p-2 md:p-4 bg-black/80 backdrop-blur-sm"
+      onClick={onClose}
+    >
+      <div
+        className="relative w-full max-w-3xl h-[92vh] md:h-[85vh] flex flex-col bg-zinc-900 rounded-xl md:rounded-2xl border border-zinc-700 overflow-hidden shadow-2xl"
+        onClick={event => event.stopPropagation()}
+      >
+        {/* Modal Header with Title, Grouping and Close */}
+        <div className="flex items-center justify-between gap-2 border-b border-zinc-700 px-3 md:px-4 py-2.5 md:py-3">
+          <div className="flex items-center gap-2 md:gap-3 min-w-0">
+            <ClipboardList className="h-4 w-4 md:h-5 md:w-5 text-rose-400 flex-shrink-0" />
+            <span className="text-sm md:text-lg font-semibold text-white truncate">
+              To Book <span className="text-zinc-500">({bookingTasks.length})</span>
+            </span>
+          </div>
+          <div className="flex items-center gap-2 flex-shrink-0">
+            <Layers className="h-4 w-4 text-zinc-500 hidden sm:block" />
+            <div className="inline-flex rounded-lg bg-zinc-800 p-0.5">
+              {Object.entries(GROUPING_MODES).map(([modeKey, modeLabel]) => (
+                <button
+                  key={modeKey}
+                  onClick={() => setGroupingMode(modeKey)}
+                  className={classNames(
+                    "px-2.5 py-1 text-xs font-medium rounded-md transition-colors",
+                    groupingMode === modeKey ? "bg-zinc-600 text-white" : "text-zinc-400 hover:text-zinc-200"
+                  )}
+                >
+                  {modeLabel}
+                </button>
+              ))}
+            </div>
+            <button
+              onClick={onClose}
+              className="p-1.5 rounded-lg hover:bg-zinc-800 transition-colors"
+              aria-label="Close dashboard"
+            >
+              <X className="h-5 w-5 text-zinc-400" />
+            </button>
+          </div>
+        </div>
+
+        {/* Estimated cost of everything left to book */}
+        {totalCostSummary && (
+          <div className="px-3 md:px-4 py-2 border-b border-zinc-800 text-xs md:text-sm text-zinc-400">
+            Estimated still to spend: <span className="text-amber-300 font-medium">{totalCostSummary}</span>
+          </div>
+        )}
+
+        {/* Task Groups */}
+        <div className="flex-1 overflow-y-auto p-3 md:p-4 space-y-4 md:space-y-5">
+          {taskGroups.length === 0 && (
+            <div className="text-center py-12 text-zinc-500">
+              <CheckCircle2 className="h-8 w-8 mx-auto mb-2 text-emerald-500" />
+              <p className="text-base md:text-lg">Nothing left to book.</p>
+            </div>
+          )}
+
+          {taskGroups.map(taskGroup => {
+            const groupCostSummary = formatCostTotals(sumEstimatedCostsByCurrency(taskGroup.tasks));
+            return (
+              <section key={taskGroup.key}>
+                <div className="flex items-baseline justify-between gap-2 mb-2">
+                  <h3 className={classNames(
+                    "text-xs md:text-sm font-semibold uppercase tracking-wide",
+                    URGENCY_HEADING_CLASSES[taskGroup.key] || 'text-zinc-300'
+                  )}>
+                    {taskGroup.label} <span className="text-zinc-500">({taskGroup.tasks.length})</span>
+                  </h3>
+                  {groupCostSummary && (
+                    <span className="text-[11px] md:text-xs text-zinc-500">{groupCostSummary}</span>
+                  )}
+                </div>
+
+                <ul className="space-y-2">
+                  {taskGroup.tasks.map(bookingTask => {
+                    const ItemKindIcon = ITEM_KIND_ICONS[bookingTask.itemKind];
+                    return (
+                      <li
+                        key={bookingTask.item.id}
+                        className="flex items-center gap-2 md:gap-3 rounded-lg bg-zinc-800/50 border border-zinc-700/50 px-3 py-2"
+                      >
+                        <ItemKindIcon className="h-4 w-4 text-zinc-400 flex-shrink-0" />
+                        <button
+                          onClick={() => onSelectDay(bookingTask.dateKey)}
+                          className="flex-1 min-w-0 text-left"
+                          title="Go to day"
+                        >
+                          <span className="block text-sm md:text-base text-zinc-100 truncate hover:text-blue-300">
+                            {bookingTask.itemLabel}
+                          </span>
+                          <span className="block text-[11px] md:text-xs text-zinc-500">
+                            {dateDisplayByKey[bookingTask.dateKey]} · {formatDaysUntilLabel(bookingTask.daysUntil)}
+                            {bookingTask.item.estimatedCost && (
+                              <span className="text-amber-300/80"> · 💰 <MoneyAmount amount={bookingTask.item.estimatedCost} currency={bookingTask.item.currency} dateKey={bookingTask.dateKey} /></span>
+                            )}
+                          </span>
+                        </button>
+                        <EditableStatusPill
+                          item={bookingTask.item}
+                          itemLabel={bookingTask.itemLabel}
+                          onChangeStatus={onChangeStatus}
+                        />
+                        {onChangeStatus && (
+                          <button
+                            onClick={() => onChangeStatus(bookingTask.item, BOOKED_STATUS, null)}
+                            className="flex items-center gap-1 px-2 py-1 rounded-md text-xs font-medium bg-emerald-700/40 text-emerald-200 hover:bg-emerald-600/50 transition-colors flex-shrink-0"
+                            title="Mark booked"
+                          >
+                            <CheckCircle2 className="h-3.5 w-3.5" />
+                            <span className="hidden sm:inline">Booked</span>
+                          </button>
+                        )}
+                      </li>
+                    );
+                  })}
+                </ul>
+              </section>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Budget breakdown component - estimated vs actual costs.
+ *
+ * Shown inside the budget card:
+ * - Per category: estimated, actual and the difference
+ * - Per day (collapsible): estimated and actual, clicking a day jumps to it
+ *
+ * All amounts are in the home currency.
+ *
+ * @module components/BudgetBreakdown
+ */
+
+import { memo, useState, useSyncExternalStore } from "react";
+import { ChevronDown, ChevronRight } from "lucide-react";
+import { classNames } from "../utils/classNames";
+import { EXPENSE_CATEGORIES } from "../utils/expenses";
+import { formatHomeAmount, subscribeToExchangeRates, getExchangeRatesSnapshot } from "../utils/exchangeRates";
+
+/* ============================================================================
+   HELPER FUNCTIONS
+   ============================================================================ */
+
+/**
+ * Formats the difference between actual and estimated ("+$20", "-$5").
+ * @pure
+ * @param {import('../utils/expenses').CostComparison} costComparison - Totals to compare
+ * @returns {string} Signed difference
+ */
+function formatCostDifference(costComparison) {
+  const costDifference = costComparison.actual - costComparison.estimated;
+  return `${costDifference > 0 ? '+' : costDifference < 0 ? '-' : ''}${formatHomeAmount(Math.abs(costDifference))}`;
+}
+
+/**
+ * Picks the color of a difference: red when over the estimate.
+ * @pure
+ * @param {import('../utils/expenses').CostComparison} costComparison - Totals to compare
+ * @returns {string} Tailwind text color class
+ */
+function getCostDifferenceColorClass(costComparison) {
+  return costComparison.actual > costComparison.estimated ? "text-red-400" : "text-emerald-400";
+}
+
+/* ============================================================================
+   SUB-COMPONENTS
+   ============================================================================ */
+
+/**
+ * One row of the breakdown table.
+ * @param {Object} props
+ * @param {React.ReactNode} props.label - Row label
+ * @param {import('../utils/expenses').CostComparison} props.costComparison - Row totals
+ * @returns {JSX.Element} Table row
+ */
+function BreakdownRow({ label, costComparison }) {
+  return (
+    <>
+      <div className="text-zinc-300 truncate">{label}</div>
+      <div className="text-right text-zinc-400">{formatHomeAmount(costComparison.estimated)}</div>
+      <div className="text-right text-zinc-200 font-medium">{formatHomeAmount(costComparison.actual)}</div>
+      <div className={classNames("text-right", getCostDifferenceColorClass(costComparison))}>
+        {formatCostDifference(costComparison)}
+      </div>
+    </>
+  );
+}
+
+/* ============================================================================
+   MAIN COMPONENT
+   ============================================================================ */
+
+/**
+ * Estimated vs actual breakdown by category and by day.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Object<string, import('../utils/expenses').CostComparison>} props.comparisonByCategory - Totals keyed by category
+ * @param {Object<string, import('../utils/expenses').CostComparison>} props.comparisonByDate - Totals keyed by date
+ * @param {Array<Object>} props.days - Itinerary days, for order and labels
+ * @param {Function} props.onSelectDay - Callback with the clicked day's date key
+ * @returns {JSX.Element|null} Breakdown, or null when nothing was estimated or spent
+ */
+export const BudgetBreakdown = memo(function BudgetBreakdown({
+  comparisonByCategory,
+  comparisonByDate,
+  days,
+  onSelectDay
+}) {
+  const [isByDayVisible, setIsByDayVisible] = useState(false);
+
+  // Re-render when the home currency changes
+  useSyncExternalStore(subscribeToExchangeRates, getExchangeRatesSnapshot);
+
+  const categoriesWithCosts = EXPENSE_CATEGORIES.filter(expenseCategory =>
+    comparisonByCategory[expenseCategory.key].estimated > 0 || comparisonByCategory[expenseCategory.key].actual > 0
+  );
+  if (categoriesWithCosts.length === 0) return null;
+
+  const daysWithCosts = days.filter(dayEntry => comparisonByDate[dayEntry.dateKey]);
+
+  return (
+    <div className="mt-3 md:mt-4 pt-3 md:pt-4 border-t border-zinc-800 text-xs md:text-sm">
+      {/* Column Headings */}
+      <div className="grid grid-cols-[1fr_auto_auto_auto] gap-x-3 md:gap-x-6 gap-y-1.5">
+        <div className="text-zinc-500">By Category</div>
+        <div className="text-right text-zinc-500">Estimated</div>
+        <div className="text-right text-zinc-500">Actual</div>
+        <div className="text-right text-zinc-500">Diff</div>
+
+        {/* Category Rows */}
+        {categoriesWithCosts.map(expenseCategory => (
+          <BreakdownRow
+            key={expenseCategory.key}
+            label={`${expenseCategory.emoji} ${expenseCategory.label}`}
+            costComparison={comparisonByCategory[expenseCategory.key]}
+          />
+        ))}
+      </div>
+
+      {/* Day Rows (collapsible) */}
+      {daysWithCosts.length > 0 && (
+        <>
+          <button
+            onClick={() => setIsByDayVisible(!isByDayVisible)}
+            className="mt-3 flex items-center gap-1 text-zinc-500 hover:text-zinc-300 transition-colors"
+          >
+            {isByDayVisible ? <ChevronDown className="h-3.5 w-3.5" /> : <ChevronRight className="h-3.5 w-3.5" />}
+            By Day
+          </button>
+          {isByDayVisible && (
+            <div className="mt-1.5 grid grid-cols-[1fr_auto_auto_auto] gap-x-3 md:gap-x-6 gap-y-1.5 slide-down">
+              {daysWithCosts.map(dayEntry => (
+                <BreakdownRow
+                  key={dayEntry.dateKey}
+                  label={
+                    <button
+                      onClick={() => onSelectDay(dayEntry.dateKey)}
+                      className="hover:text-white hover:underline transition-colors text-left"
+                    >
+                      {dayEntry.dateDisplay}
+                    </button>
+                  }
+                  costComparison={comparisonByDate[dayEntry.dateKey]}
+                />
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+});
@@ -0,0 +1,411 @@
+/**
+ * @fileoverview Cost splitting dashboard - who paid what, and who owes whom.
+ *
+ * @description Features include:
+ * - Every item estimate and recorded expense, with its payer and split
+ * - Payer and split (evenly, by shares, exact amounts) editable per cost
+ * - Per-traveler balance: paid, share of the costs and the difference
+ * - Settle-up transfers ("A owes B ¥12,300") in a chosen currency
+ * - Costs in a currency without a rate are left out and listed, with a link to the rates
+ * - Clicking a cost jumps to its DayCard
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { X, Users, Pencil, Receipt, CheckCircle2, AlertCircle } from 'lucide-react';
+import { classNames } from '../utils/classNames';
+import {
+  collectSplittableCosts,
+  computeTravelerBalances,
+  computeSettlement,
+  describeSplit,
+  validateSplit
+} from '../utils/costSplitting';
+import { formatCurrencyAmount } from '../utils/exchangeRates';
+import { SplitEditor } from './SplitEditor';
+import { MoneyAmount } from './MoneyAmount';
+import { CurrencySelect } from './CurrencySelect';
+
+/* ============================================================================
+   CONSTANTS
+   ============================================================================ */
+
+/** @constant {string} SECTION_HEADING_CLASSES - Styling shared by section headings */
+const SECTION_HEADING_CLASSES = "text-xs md:text-sm font-semibold uppercase tracking-wide text-zinc-400 mb-2";
+
+/** @constant {string} FIELD_CLASSES - Styling of the payer and currency selects */
+const FIELD_CLASSES = "px-2 py-1 text-sm bg-zinc-800 border border-zinc-600 rounded-md text-white focus:outline-none focus:border-blue-500";
+
+/* ============================================================================
+   SUB-COMPONENTS
+   ============================================================================ */
+
+/**
+ * One cost with its payer and split, editable in place.
+ *
+ * @param {Object} props
+ * @param {import('../utils/costSplitting').SplittableCost} props.splittableCost - Cost to show
+ * @param {string} props.dateDisplay - Display date of the cost's day
+ * @param {Array<string>} props.travelerNames - All travelers of the trip
+ * @param {Function} [props.onSave] - Called with (splittableCost, payer, split); omitted when read-only
+ * @param {Function} props.onSelectDay - Called with a date key to jump to that day
+ * @returns {JSX.Element} Cost row
+ */
+function CostSplitRow({ splittableCost, dateDisplay, travelerNames, onSave, onSelectDay }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draftPayer, setDraftPayer] = useState(splittableCost.payer);
+  const [draftSplit, setDraftSplit] = useState(splittableCost.split);
+
+  /**
+   * Opens the editor on the stored payer and split.
+   */
+  const handleStartEditing = () => {
+    setDraftPayer(splittableCost.payer);
+    setDraftSplit(splittableCost.split);
+    setIsEditing(true);
+  };
+
+  /**
+   * Stores the edited payer and split.
+   */
+  const handleSave = () => {
+    onSave(splittableCost, draftPayer, draftSplit);
+    setIsEditing(false);
+  };
+
+  const splitProblem = validateSplit(draftSplit, splittableCost.amount);
+
+  return (
+    <li className="rounded-lg bg-zinc-800/50 border border-zinc-700/50 px-3 py-2">
+      <div className="flex items-center gap-2 md:gap-3">
+        {splittableCost.source === 'expense' && (
+          <Receipt className="h-4 w-4 text-emerald-400 flex-shrink-0" />
+        )}
+        <button
+          onClick={() => onSelectDay(splittableCost.dateKey)}
+          className="flex-1 min-w-0 text-left"
+          title="Go to day"
+        >
+          <span className="block text-sm md:text-base text-zinc-100 truncate hover:text-blue-300">
+            {splittableCost.label}
+          </span>
+          <span className="block text-[11px] md:text-xs text-zinc-500">
+            {dateDisplay} ·{' '}
+            {splittableCost.payer ? (
+              <span className="text-zinc-300">{splittableCost.payer} paid</span>
+            ) : (
+              <span className="text-amber-400">No payer yet</span>
+            )}
+            {' · '}{describeSplit(splittableCost.split, travelerNames)}
+          </span>
+        </button>
+        <span className="text-sm font-medium text-zinc-200 whitespace-nowrap flex-shrink-0">
+          <MoneyAmount amount={splittableCost.amount} currency={splittableCost.currency} dateKey={splittableCost.dateKey} />
+        </span>
+        {onSave && !isEditing && (
+          <button
+            onClick={handleStartEditing}
+            className="p-1 rounded text-zinc-400 hover:text-zinc-200 hover:bg-zinc-700 transition-colors flex-shrink-0"
+            title="Edit payer and split"
+          >
+            <Pencil className="h-3.5 w-3.5" />
+          </button>
+        )}
+      </div>
+
+      {/* Payer & Split Editor */}
+      {isEditing && (
+        <div className="mt-2 pt-2 border-t border-zinc-700/50 space-y-2 slide-down">
+          <label className="flex items-center gap-2 text-sm text-zinc-300">
+            Paid by
+            <select value={draftPayer} onChange={changeEvent => setDraftPayer(changeEvent.target.value)} className={FIELD_CLASSES}>
+              <option value="">Nobody yet</option>
+              {travelerNames.map(travelerName => (
+                <option key={travelerName} value={travelerName}>{travelerName}</option>
+              ))}
+              {draftPayer && !travelerNames.includes(draftPayer) && (
+                <option value={draftPayer}>{draftPayer}</option>
+              )}
+            </select>
+          </label>
+          <SplitEditor
+            split={draftSplit}
+            amount={splittableCost.amount}
+            currency={splittableCost.currency}
+            travelerNames={travelerNames}
+            onChange={setDraftSplit}
+          />
+          <div className="flex justify-end gap-2">
+            <button
+              onClick={() => setIsEditing(false)}
+              className="px-3 py-1 text-xs font-medium rounded-md bg-zinc-700 hover:bg-zinc-600 text-zinc-200 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={Boolean(splitProblem)}
+              className="px-3 py-1 text-xs font-medium rounded-md bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50 text-white transition-colors"
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      )}
+    </li>
+  );
+}
+
+/* ============================================================================
+   MAIN COMPONENT
+   ============================================================================ */
+
+/**
+ * Full-screen cost splitting and settle-up dashboard.
+ *
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the dashboard is visible
+ * @param {Function} props.onClose - Called to close the dashboard
+ * @param {Array<Object>} props.days - Days with live statuses applied
+ * @param {import('../utils/statusWorkflow').DayUserItems} props.userItems - User-added and soft-deleted items
+ * @param {Array<import('../utils/expenses').Expense>} props.expenses - Recorded expenses
+ * @param {Object<string, Object>} props.costSplits - Item cost splits keyed by item ID
+ * @param {Array<string>} props.travelerNames - Travelers of the trip
+ * @param {string} props.defaultCurrency - Settle-up currency shown first
+ * @param {Function} props.convertAmount - (amount, fromCurrency, toCurrency, dateKey) => converted amount, null without a rate
+ * @param {Function} [props.onAssignCostSplit] - Callback (itemId, {payer, split}|null) => Promise
+ * @param {Function} [props.onSaveExpense] - Callback (expenseData) => Promise
+ * @param {Function} [props.onOpenExchangeRates] - Opens the rates editor; omitted when read-only
+ * @param {Function} props.onSelectDay - Called with a date key to jump to that day
+ * @returns {JSX.Element|null}
+ */
+export function CostSplitDashboard({
+  isOpen,
+  onClose,
+  days,
+  userItems,
+  expenses,
+  costSplits,
+  travelerNames,
+  defaultCurrency,
+  convertAmount,
+  onAssignCostSplit,
+  onSaveExpense,
+  onOpenExchangeRates,
+  onSelectDay
+}) {
+  /** @type {[string, Function]} Currency balances and transfers are shown in */
+  const [settlementCurrency, setSettlementCurrency] = useState(defaultCurrency);
+
+  /** @type {[boolean, Function]} Whether only costs without a payer are listed */
+  const [isShowingUnassignedOnly, setIsShowingUnassignedOnly] = useState(false);
+
+  // CRITICAL: Prevent body scroll when modal is open for proper UX
+  useEffect(() => {
+    if (isOpen) {
+      document.body.style.overflow = 'hidden';
+    }
+    return () => {
+      document.body.style.overflow = '';
+    };
+  }, [isOpen]);
+
+  const splittableCosts = useMemo(
+    () => collectSplittableCosts(days, userItems, expenses, costSplits),
+    [days, userItems, expenses, costSplits]
+  );
+
+  // CRITICAL PATH: A cost without a rate is left out of the balances, never counted as 0
+  const { convertibleCosts, unconvertedCosts } = useMemo(() => {
+    const costsByConvertibility = { convertibleCosts: [], unconvertedCosts: [] };
+    splittableCosts.forEach(splittableCost => {
+      const isConvertible = convertAmount(1, splittableCost.currency, settlementCurrency, splittableCost.dateKey) !== null;
+      costsByConvertibility[isConvertible ? 'convertibleCosts' : 'unconvertedCosts'].push(splittableCost);
+    });
+    return costsByConvertibility;
+  }, [splittableCosts, convertAmount, settlementCurrency]);
+
+  const travelerBalances = useMemo(
+    () => computeTravelerBalances(
+      convertibleCosts,
+      travelerNames,
+      (amount, currencyCode, dateKey) => convertAmount(amount, currencyCode, settlementCurrency, dateKey)
+    ),
+    [convertibleCosts, travelerNames, convertAmount, settlementCurrency]
+  );
+
+  const settlementTransfers = useMemo(() => computeSettlement(travelerBalances), [travelerBalances]);
+
+  const dateDisplayByKey = useMemo(
+    () => Object.fromEntries(days.map(dayEntry => [dayEntry.dateKey, dayEntry.dateDisplay || dayEntry.dateKey])),
+    [days]
+  );
+
+  // Early return if modal is closed
+  if (!isOpen) return null;
+
+  const assignedCostCount = splittableCosts.filter(splittableCost => splittableCost.payer).length;
+  const listedCosts = isShowingUnassignedOnly
+    ? splittableCosts.filter(splittableCost => !splittableCost.payer)
+    : splittableCosts;
+  const canSplitCosts = travelerNames.length > 1;
+  const canEditCosts = Boolean(onAssignCostSplit && onSaveExpense);
+  const unconvertedAssignedCosts = unconvertedCosts.filter(splittableCost => splittableCost.payer);
+  const currenciesWithoutRate = [...new Set(unconvertedAssignedCosts.map(splittableCost => splittableCost.currency))].sort();
+
+  /**
+   * Stores the payer and split of a cost where it belongs: items in the
+   * cost splits store, expenses on the expense itself.
+   * @param {import('../utils/costSplitting').SplittableCost} splittableCost - Edited cost
+   * @param {string} payer - Traveler who pays, empty to unassign
+   * @param {Object|null} split - How the cost is shared
+   */
+  const handleSaveCostSplit = (splittableCost, payer, split) => {
+    if (splittableCost.source === 'expense') {
+      onSaveExpense({ ...splittableCost.expense, payer, split });
+      return;
+    }
+    onAssignCostSplit(splittableCost.costId, payer ? { payer, split } : null);
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-[2000] flex items-center justify-center p-2 md:p-4 bg-black/80 backdrop-blur-sm"
+      onClick={onClose}
+    >
+      <div
+        className="relative w-full max-w-3xl h-[92vh] md:h-[85vh] flex flex-col bg-zinc-900 rounded-xl md:rounded-2xl border border-zinc-700 overflow-hidden shadow-2xl"
+        onClick={event => event.stopPropagation()}
+      >
+        {/* Modal Header with Title, Currency and Close */}
+        <div className="flex items-center justify-between gap-2 border-b border-zinc-700 px-3 md:px-4 py-2.5 md:py-3">
+          <div className="flex items-center gap-2 md:gap-3 min-w-0">
+            <Users className="h-4 w-4 md:h-5 md:w-5 text-emerald-400 flex-shrink-0" />
+            <span className="text-sm md:text-lg font-semibold text-white truncate">Split Costs</span>
+          </div>
+          <div className="flex items-center gap-2 flex-shrink-0">
+            {canSplitCosts && (
+              <CurrencySelect
+                value={settlementCurrency}
+                onChange={changeEvent => setSettlementCurrency(changeEvent.target.value)}
+                className={FIELD_CLASSES}
+                aria-label="Settle-up currency"
+              />
+            )}
+            <button
+              onClick={onClose}
+              className="p-1.5 rounded-lg hover:bg-zinc-800 transition-colors"
+              aria-label="Close dashboard"
+            >
+              <X className="h-5 w-5 text-zinc-400" />
+            </button>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-3 md:p-4 space-y-5">
+          {!canSplitCosts && (
+            <div className="text-center py-12 text-zinc-500">
+              <Users className="h-8 w-8 mx-auto mb-2 text-zinc-600" />
+              <p className="text-base md:text-lg">Add at least two travelers to the trip to split costs.</p>
+            </div>
+          )}
+
+          {canSplitCosts && (
+            <>
+              {/* Balance per Traveler */}
+              <section>
+                <h3 className={SECTION_HEADING_CLASSES}>Balances</h3>
+                <div className="grid grid-cols-[1fr_auto_auto_auto] gap-x-3 md:gap-x-6 gap-y-1.5 text-xs md:text-sm">
+                  <div className="text-zinc-500">Traveler</div>
+                  <div className="text-right text-zinc-500">Paid</div>
+                  <div className="text-right text-zinc-500">Share</div>
+                  <div className="text-right text-zinc-500">Balance</div>
+                  {travelerBalances.map(travelerBalance => (
+                    <div key={travelerBalance.traveler} className="contents">
+                      <div className="text-zinc-200 truncate">{travelerBalance.traveler}</div>
+                      <div className="text-right text-zinc-400">{formatCurrencyAmount(travelerBalance.paid, settlementCurrency)}</div>
+                      <div className="text-right text-zinc-400">{formatCurrencyAmount(travelerBalance.owed, settlementCurrency)}</div>
+                      <div className={classNames(
+                        "text-right font-medium",
+                        travelerBalance.balance > 0 ? "text-emerald-400" : travelerBalance.balance < 0 ? "text-red-400" : "text-zinc-400"
+                      )}>
+                        {travelerBalance.balance > 0 ? '+' : ''}{formatCurrencyAmount(travelerBalance.balance, settlementCurrency)}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+
+                {/* Costs left out for a missing rate */}
+                {currenciesWithoutRate.length > 0 && (
+                  <button
+                    onClick={onOpenExchangeRates}
+                    disabled={!onOpenExchangeRates}
+                    className="mt-3 flex items-center gap-1.5 text-xs md:text-sm text-amber-300 hover:text-amber-200 transition text-left"
+                  >
+                    <AlertCircle className="h-4 w-4 flex-shrink-0" />
+                    No exchange rate from {currenciesWithoutRate.join(', ')} to {settlementCurrency}; {unconvertedAssignedCosts.length} {unconvertedAssignedCosts.length === 1 ? 'cost is' : 'costs are'} left out of the balances
+                  </button>
+                )}
+              </section>
+
+              {/* Settle-up Transfers */}
+              <section>
+                <h3 className={SECTION_HEADING_CLASSES}>Settle Up</h3>
+                {settlementTransfers.length === 0 ? (
+                  <p className="flex items-center gap-2 text-sm text-zinc-400">
+                    <CheckCircle2 className="h-4 w-4 text-emerald-500" /> Everyone is settled up.
+                  </p>
+                ) : (
+                  <ul className="space-y-1.5">
+                    {settlementTransfers.map(settlementTransfer => (
+                      <li
+                        key={`${settlementTransfer.from}-${settlementTransfer.to}`}
+                        className="flex items-center gap-2 rounded-lg bg-emerald-950/30 border border-emerald-900/50 px-3 py-2 text-sm md:text-base"
+                      >
+                        <span className="text-zinc-100">{settlementTransfer.from}</span>
+                        <span className="text-zinc-500">owes</span>
+                        <span className="text-zinc-100">{settlementTransfer.to}</span>
+                        <span className="ml-auto font-semibold text-emerald-300">
+                          {formatCurrencyAmount(settlementTransfer.amount, settlementCurrency)}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </section>
+
+              {/* Costs with Payer & Split */}
+              <section>
+                <div className="flex items-baseline justify-between gap-2">
+                  <h3 className={SECTION_HEADING_CLASSES}>
+                    Costs <span className="text-zinc-500">({assignedCostCount} of {splittableCosts.length} with a payer)</span>
+                  </h3>
+                  <label className="flex items-center gap-1.5 text-xs text-zinc-400 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={isShowingUnassignedOnly}
+                      onChange={changeEvent => setIsShowingUnassignedOnly(changeEvent.target.checked)}
+                      className="accent-emerald-500"
+                    />
+                    No payer only
+                  </label>
+                </div>
+                <ul className="space-y-2">
+                  {listedCosts.map(splittableCost => (
+                    <CostSplitRow
+                      key={`${splittableCost.source}-${splittableCost.costId}`}
+                      splittableCost={splittableCost}
+                      dateDisplay={dateDisplayByKey[splittableCost.dateKey] || splittableCost.dateKey}
+                      travelerNames={travelerNames}
+                      onSave={canEditCosts ? handleSaveCostSplit : undefined}
+                      onSelectDay={onSelectDay}
+                    />
+                  ))}
+                </ul>
+              </section>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Currency picker offering every ISO 4217 currency
+ * @module components/CurrencySelect
+ */
+
+import { useSyncExternalStore } from "react";
+import { listCurrencyCodes, subscribeToExchangeRates, getExchangeRatesSnapshot } from "../utils/exchangeRates";
+
+/** @constant {Array<string>} ALL_CURRENCY_CODES - ISO 4217 codes known to the browser */
+const ALL_CURRENCY_CODES = listCurrencyCodes();
+
+/**
+ * CurrencySelect Component
+ * 
+ * A select listing the trip's currencies (home currency and every currency
+ * with an exchange rate) first, then all ISO 4217 currencies. A value
+ * outside both lists is kept as an option so editing never changes it,
+ * and an empty value shows a placeholder.
+ * 
+ * @param {Object} props - Component props
+ * @param {string} [props.name] - Form field name
+ * @param {string} props.value - Selected ISO 4217 code
+ * @param {Function} props.onChange - Change handler of the select
+ * @param {string} [props.className] - Styling of the select
+ * @param {...*} [props.selectProps] - Other attributes passed to the select (e.g. aria-label)
+ * @returns {JSX.Element} Rendered select
+ * 
+ * @example
+ * <CurrencySelect name="currency" value={formData.currency} onChange={handleFormFieldChange} />
+ */
+export function CurrencySelect({ name, value, onChange, className, ...selectProps }) {
+  // Re-render when rates or the home currency change
+  const rateTable = useSyncExternalStore(subscribeToExchangeRates, getExchangeRatesSnapshot);
+  const tripCurrencyCodes = [...new Set([rateTable.homeCurrency, ...rateTable.rates.map(exchangeRate => exchangeRate.currency)])];
+  const isValueListed = !value || tripCurrencyCodes.includes(value) || ALL_CURRENCY_CODES.includes(value);
+
+  return (
+    <select name={name} value={value} onChange={onChange} className={className} {...selectProps}>
+      {!value && <option value="" disabled>Choose a currency</option>}
+      {!isValueListed && <option value={value}>{value}</option>}
+      <optgroup label="Trip currencies">
+        {tripCurrencyCodes.map(currencyCode => (
+          <option key={currencyCode} value={currencyCode}>{currencyCode}</option>
+        ))}
+      </optgroup>
+      <optgroup label="All currencies">
+        {ALL_CURRENCY_CODES.filter(currencyCode => !tripCurrencyCodes.includes(currencyCode)).map(currencyCode => (
+          <option key={currencyCode} value={currencyCode}>{currencyCode}</option>
+        ))}
+      </optgroup>
+    </select>
+  );
+}
@@ -8,7 +8,8 @@
  * - Copy-to-clipboard functionality
  * - Region badge based on timezone
  * - Today highlighting
- * - Activity management (add, edit, delete)
+ * - Activity and meal management (add, edit, delete)
+ * - Expense recording, compared with the day's estimated costs
  * 
  * @module components/DayCard
  */
@@ -19,10 +20,16 @@ import { TravelSection } from "./sections/TravelSection";
 import { ShelterSection } from "./sections/ShelterSection";
 import { MealsSection } from "./sections/MealsSection";
 import { ActivitiesSection } from "./sections/ActivitiesSection";
+import { ExpensesSection } from "./sections/ExpensesSection";
 import { DayMetadata } from "./DayMetadata";
 import AddActivityModal from "./AddActivityModal";
+import AddMealModal from "./AddMealModal";
+import AddExpenseModal from "./AddExpenseModal";
 import { MapPreview } from "./MapPreview";
 import { classNames } from "../utils/classNames";
+import { resolveDayItemInstants } from "../data/itinerary";
+import { findDayScheduleConflicts, groupConflictsByItemId } from "../utils/scheduleConflicts";
+import { buildExpenseLinkOptions } from "../utils/expenses";
 
 // ============================================================================
 // CONSTANTS
@@ -43,6 +50,17 @@ const SECTION_NAMES = {
   shelter: "shelter",
   meals: "meals",
   activities: "activities",
+  expenses: "expenses",
+};
+
+/**
+ * Grid classes for the row of add buttons, by button count.
+ * @constant {Object.<number, string>}
+ */
+const ADD_BUTTON_GRID_CLASSES = {
+  1: "",
+  2: "grid-cols-2",
+  3: "grid-cols-3",
 };
 
 /**
@@ -115,17 +133,25 @@ function isDayToday(dateKey) {
 
 /**
  * Merges original and manual activities, filtering out deleted ones.
+ * Manual activities are stored without instants, so they get them here in
+ * the day's zone like the parsed ones.
  * @pure
  * @param {Array} originalActivities - Activities from the original itinerary
  * @param {Array} manualActivities - User-added activities
  * @param {Array<string>} deletedActivityIds - IDs of deleted activities
+ * @param {string} dateKey - The day's date key
+ * @param {string|null} dayTimeZone - The day's IANA zone
  * @returns {Array} Combined and filtered activities list
  */
-function mergeAndFilterActivities(originalActivities, manualActivities, deletedActivityIds) {
+function mergeAndFilterActivities(originalActivities, manualActivities, deletedActivityIds, dateKey, dayTimeZone) {
   const filteredOriginalActivities = (originalActivities || []).filter(
     activity => !deletedActivityIds.includes(activity.id)
   );
-  return [...filteredOriginalActivities, ...manualActivities];
+  const timedManualActivities = manualActivities.map(activity => ({
+    ...activity,
+    instants: resolveDayItemInstants(activity, dateKey, dayTimeZone)
+  }));
+  return [...filteredOriginalActivities, ...timedManualActivities];
 }
 
 /**
@@ -250,6 +276,25 @@ function formatDayAsPlainText(dayData) {
  * @property {Function} onAddActivity - Callback to add a new activity
  * @property {Function} onRemoveActivity - Callback to remove an activity
  * @property {Function} onUpdateActivity - Callback to update an activity
+ * @property {Array} [manualMeals] - User-added meals for this day
+ * @property {Array<string>} [deletedMealIds] - IDs of deleted imported meals
+ * @property {Function} [onAddMeal] - Callback to add a meal (mealData, dateKey)
+ * @property {Function} [onUpdateMeal] - Callback to update a user-added meal (mealData, dateKey)
+ * @property {Function} [onRemoveMeal] - Callback to remove a meal (mealId, dateKey)
+ * @property {Array<Object>} [connections] - Flight connections whose onward flight departs this day
+ * @property {Object} [backupPlans] - User-edited backup plans keyed by segment ID
+ * @property {Function} [onSaveBackupPlan] - Callback to store an edited plan (segmentId, plan) => Promise
+ * @property {Function} [onResetBackupPlan] - Callback to go back to the template (segmentId) => Promise
+ * @property {Function} [onActivateBackupOption] - Callback to activate an option (segmentId, plan, optionId) => Promise
+ * @property {Function} [onDeactivateBackupPlan] - Callback to restore a disrupted segment (segmentId) => Promise
+ * @property {Function} [onEditSegment] - Callback to edit an imported segment (segmentKind, segmentId) => void
+ * @property {Function} [onChangeStatus] - Callback to change an item's status (item, nextStatus, bookingDetails) => Promise
+ * @property {Array<Object>} [expenses] - Expenses recorded on this day
+ * @property {{estimated: number, actual: number}} [costComparison] - Day's estimated and actual totals in the budget currency
+ * @property {Array<string>} [travelerNames] - Travelers offered as expense payer
+ * @property {Function} [onSaveExpense] - Callback to add or update an expense (expenseData) => void
+ * @property {Function} [onRemoveExpense] - Callback to remove an expense (expenseId) => void
+ * @property {import('../utils/searchIndex').SearchHighlight|null} [searchHighlight] - Search terms to mark in the sections
  */
 
 /**
@@ -274,10 +319,29 @@ export const DayCard = memo(function DayCard({
   onAddActivity,
   onRemoveActivity,
   onUpdateActivity,
+  manualMeals = EMPTY_ARRAY,
+  deletedMealIds = EMPTY_ARRAY,
+  onAddMeal,
+  onUpdateMeal,
+  onRemoveMeal,
   todayDateKey,
   boardingPasses,
   onAddBoardingPass,
   onDeleteBoardingPass,
+  backupPlans,
+  onSaveBackupPlan,
+  onResetBackupPlan,
+  onActivateBackupOption,
+  onDeactivateBackupPlan,
+  onEditSegment,
+  onChangeStatus,
+  connections = EMPTY_ARRAY,
+  expenses = EMPTY_ARRAY,
+  costComparison,
+  travelerNames = EMPTY_ARRAY,
+  onSaveExpense,
+  onRemoveExpense,
+  searchHighlight = null,
 }) {
   // ============================================================================
   // LOCAL STATE
@@ -292,20 +356,72 @@ export const DayCard = memo(function DayCard({
   /** @type {[Object|null, Function]} Activity being edited, null if adding new */
   const [activityBeingEdited, setActivityBeingEdited] = useState(null);
 
+  /** @type {[boolean, Function]} Whether the add/edit meal modal is open */
+  const [isMealModalOpen, setIsMealModalOpen] = useState(false);
+
+  /** @type {[Object|null, Function]} Manual meal being edited, null if adding new */
+  const [mealBeingEdited, setMealBeingEdited] = useState(null);
+
+  /** @type {[boolean, Function]} Whether the add/edit expense modal is open */
+  const [isExpenseModalOpen, setIsExpenseModalOpen] = useState(false);
+
+  /** @type {[Object|null, Function]} Expense being edited, null if adding new */
+  const [expenseBeingEdited, setExpenseBeingEdited] = useState(null);
+
   // ============================================================================
   // COMPUTED VALUES (Memoized)
   // ============================================================================
   
   // CRITICAL PATH: Merge and filter activities for display
   const combinedActivitiesList = useMemo(
-    () => mergeAndFilterActivities(day.activities, manualActivities, deletedActivityIds),
-    [day.activities, manualActivities, deletedActivityIds]
+    () => mergeAndFilterActivities(day.activities, manualActivities, deletedActivityIds, day.dateKey, day.ianaTimeZone),
+    [day.activities, manualActivities, deletedActivityIds, day.dateKey, day.ianaTimeZone]
+  );
+
+  // Meals are timed like activities, so they share the merge
+  const combinedMealsList = useMemo(
+    () => mergeAndFilterActivities(day.meals, manualMeals, deletedMealIds, day.dateKey, day.ianaTimeZone),
+    [day.meals, manualMeals, deletedMealIds, day.dateKey, day.ianaTimeZone]
+  );
+
+  // CRITICAL PATH: Conflicts include manual activities and meals, so they follow every add/edit/delete
+  const scheduleConflicts = useMemo(
+    () => findDayScheduleConflicts({ ...day, meals: combinedMealsList }, combinedActivitiesList),
+    [day, combinedMealsList, combinedActivitiesList]
+  );
+
+  const conflictsByItemId = useMemo(
+    () => groupConflictsByItemId(scheduleConflicts),
+    [scheduleConflicts]
+  );
+
+  const connectionsByOutboundId = useMemo(
+    () => Object.fromEntries(connections.map(flightConnection => [flightConnection.outboundFlight.id, flightConnection])),
+    [connections]
   );
 
   const manualActivityIdsList = useMemo(
     () => manualActivities.length > 0 ? extractActivityIds(manualActivities) : EMPTY_ARRAY,
     [manualActivities]
   );
+
+  const manualMealIdsList = useMemo(
+    () => manualMeals.length > 0 ? extractActivityIds(manualMeals) : EMPTY_ARRAY,
+    [manualMeals]
+  );
+  
+  // Items an expense can be linked to, with the names shown on linked expenses
+  const expenseLinkOptions = useMemo(() => buildExpenseLinkOptions([
+    ...day.travel.map(item => ({ itemKind: 'travel', item })),
+    ...(day.shelter?.id ? [{ itemKind: 'shelter', item: day.shelter }] : []),
+    ...combinedMealsList.map(item => ({ itemKind: 'meal', item })),
+    ...combinedActivitiesList.map(item => ({ itemKind: 'activity', item }))
+  ]), [day.travel, day.shelter, combinedMealsList, combinedActivitiesList]);
+
+  const linkedItemLabels = useMemo(
+    () => Object.fromEntries(expenseLinkOptions.map(linkOption => [linkOption.itemId, linkOption.label])),
+    [expenseLinkOptions]
+  );
   
   const regionBadgeConfig = useMemo(
     () => getRegionBadgeConfig(day.timezone, day.tz),
@@ -395,6 +511,72 @@ export const DayCard = memo(function DayCard({
     setActivityBeingEdited(null);
   }, []);
 
+  /**
+   * Handles adding a new meal through the modal.
+   * @param {Object} mealData - The new meal data
+   */
+  const handleMealAdd = useCallback((mealData) => {
+    onAddMeal?.(mealData, day.dateKey);
+  }, [onAddMeal, day.dateKey]);
+
+  /**
+   * Handles updating a user-added meal.
+   * @param {Object} mealData - The updated meal data
+   */
+  const handleMealUpdate = useCallback((mealData) => {
+    onUpdateMeal?.(mealData, day.dateKey);
+  }, [onUpdateMeal, day.dateKey]);
+
+  /**
+   * Handles removing a meal.
+   * @param {string} mealId - The ID of the meal to remove
+   */
+  const handleMealRemove = useCallback((mealId) => {
+    onRemoveMeal?.(mealId, day.dateKey);
+  }, [onRemoveMeal, day.dateKey]);
+
+  /**
+   * Opens the meal modal in edit mode for a user-added meal.
+   * @param {Object} mealToEdit - The meal to edit
+   */
+  const handleMealEdit = useCallback((mealToEdit) => {
+    setMealBeingEdited(mealToEdit);
+    setIsMealModalOpen(true);
+  }, []);
+
+  /**
+   * Closes the meal modal and clears edit state.
+   */
+  const handleMealModalClose = useCallback(() => {
+    setIsMealModalOpen(false);
+    setMealBeingEdited(null);
+  }, []);
+
+  /**
+   * Handles adding or updating an expense through the modal.
+   * @param {Object} expenseData - The expense data
+   */
+  const handleExpenseSave = useCallback((expenseData) => {
+    onSaveExpense?.(expenseData);
+  }, [onSaveExpense]);
+
+  /**
+   * Opens the expense modal in edit mode for a specific expense.
+   * @param {Object} expenseToEdit - The expense to edit
+   */
+  const handleExpenseEdit = useCallback((expenseToEdit) => {
+    setExpenseBeingEdited(expenseToEdit);
+    setIsExpenseModalOpen(true);
+  }, []);
+
+  /**
+   * Closes the expense modal and clears edit state.
+   */
+  const handleExpenseModalClose = useCallback(() => {
+    setIsExpenseModalOpen(false);
+    setExpenseBeingEdited(null);
+  }, []);
+
   // ============================================================================
   // RENDER
   // ============================================================================
@@ -474,7 +656,7 @@ export const DayCard = memo(function DayCard({
           </div>
 
           {/* Bottom Row: Metadata Tags */}
-          <DayMetadata day={day} />
+          <DayMetadata day={day} scheduleConflicts={scheduleConflicts} connections={connections} />
         </div>
 
         {/* RIGHT COLUMN - Map Preview (40%) - Desktop only */}
@@ -504,6 +686,16 @@ export const DayCard = memo(function DayCard({
             boardingPasses={boardingPasses}
             onAddBoardingPass={onAddBoardingPass}
             onDeleteBoardingPass={onDeleteBoardingPass}
+            backupPlans={backupPlans}
+            onSaveBackupPlan={onSaveBackupPlan}
+            onResetBackupPlan={onResetBackupPlan}
+            onActivateBackupOption={onActivateBackupOption}
+            onDeactivateBackupPlan={onDeactivateBackupPlan}
+            onEditSegment={onEditSegment}
+            onChangeStatus={onChangeStatus}
+            conflictsByItemId={conflictsByItemId}
+            connectionsByOutboundId={connectionsByOutboundId}
+            searchHighlight={searchHighlight}
           />
 
           {/* Shelter Section */}
@@ -512,14 +704,24 @@ export const DayCard = memo(function DayCard({
               shelter={day.shelter}
               isExpanded={checkIsSectionExpanded(SECTION_NAMES.shelter)}
               onToggle={() => onToggleSection(SECTION_NAMES.shelter)}
+              onEditSegment={onEditSegment}
+              onChangeStatus={onChangeStatus}
+              searchHighlight={searchHighlight}
             />
           )}
 
           {/* Meals Section */}
           <MealsSection
-            items={day.meals}
+            meals={combinedMealsList}
             isExpanded={checkIsSectionExpanded(SECTION_NAMES.meals)}
             onToggle={() => onToggleSection(SECTION_NAMES.meals)}
+            manualMealIds={manualMealIdsList}
+            onEditMeal={onUpdateMeal ? handleMealEdit : undefined}
+            onRemoveMeal={onRemoveMeal ? handleMealRemove : undefined}
+            onEditSegment={onEditSegment}
+            onChangeStatus={onChangeStatus}
+            dateKey={day.dateKey}
+            searchHighlight={searchHighlight}
           />
 
           {/* Activities Section */}
@@ -530,16 +732,51 @@ export const DayCard = memo(function DayCard({
             manualActivityIds={manualActivityIdsList}
             onRemoveActivity={handleActivityRemove}
             onEditActivity={handleActivityEdit}
+            conflictsByItemId={conflictsByItemId}
+            onChangeStatus={onChangeStatus}
+            dateKey={day.dateKey}
+            searchHighlight={searchHighlight}
+          />
+
+          {/* Expenses Section */}
+          <ExpensesSection
+            expenses={expenses}
+            costComparison={costComparison}
+            linkedItemLabels={linkedItemLabels}
+            isExpanded={checkIsSectionExpanded(SECTION_NAMES.expenses)}
+            onToggle={() => onToggleSection(SECTION_NAMES.expenses)}
+            onEditExpense={onSaveExpense ? handleExpenseEdit : undefined}
+            onRemoveExpense={onRemoveExpense}
           />
 
-          {/* Add Activity Button */}
-          <button
-            onClick={() => setIsActivityModalOpen(true)}
-            className="w-full py-2 px-3 md:px-4 border-2 border-dashed border-zinc-700 hover:border-blue-500 rounded-xl text-sm md:text-base text-zinc-400 hover:text-blue-400 transition-colors flex items-center justify-center gap-2"
-          >
-            <Plus size={16} className="md:w-[18px] md:h-[18px]" />
-            Add Activity
-          </button>
+          {/* Add Meal, Activity & Expense Buttons */}
+          <div className={classNames("grid gap-2 md:gap-3", ADD_BUTTON_GRID_CLASSES[1 + Boolean(onAddMeal) + Boolean(onSaveExpense)])}>
+            {onAddMeal && (
+              <button
+                onClick={() => setIsMealModalOpen(true)}
+                className="w-full py-2 px-3 md:px-4 border-2 border-dashed border-zinc-700 hover:border-amber-500 rounded-xl text-sm md:text-base text-zinc-400 hover:text-amber-400 transition-colors flex items-center justify-center gap-2"
+              >
+                <Plus size={16} className="md:w-[18px] md:h-[18px]" />
+                Add Meal
+              </button>
+            )}
+            <button
+              onClick={() => setIsActivityModalOpen(true)}
+              className="w-full py-2 px-3 md:px-4 border-2 border-dashed border-zinc-700 hover:border-blue-500 rounded-xl text-sm md:text-base text-zinc-400 hover:text-blue-400 transition-colors flex items-center justify-center gap-2"
+            >
+              <Plus size={16} className="md:w-[18px] md:h-[18px]" />
+              Add Activity
+            </button>
+            {onSaveExpense && (
+              <button
+                onClick={() => setIsExpenseModalOpen(true)}
+                className="w-full py-2 px-3 md:px-4 border-2 border-dashed border-zinc-700 hover:border-emerald-500 rounded-xl text-sm md:text-base text-zinc-400 hover:text-emerald-400 transition-colors flex items-center justify-center gap-2"
+              >
+                <Plus size={16} className="md:w-[18px] md:h-[18px]" />
+                Add Expense
+              </button>
+            )}
+          </div>
         </div>
       )}
 
@@ -552,6 +789,27 @@ export const DayCard = memo(function DayCard({
         date={day.dateKey}
         editingActivity={activityBeingEdited}
       />
+
+      {/* Add/Edit Meal Modal */}
+      <AddMealModal
+        isOpen={isMealModalOpen}
+        onClose={handleMealModalClose}
+        onAdd={handleMealAdd}
+        onUpdate={handleMealUpdate}
+        date={day.dateKey}
+        editingMeal={mealBeingEdited}
+      />
+
+      {/* Add/Edit Expense Modal */}
+      <AddExpenseModal
+        isOpen={isExpenseModalOpen}
+        onClose={handleExpenseModalClose}
+        onSave={handleExpenseSave}
+        date={day.dateKey}
+        editingExpense={expenseBeingEdited}
+        linkOptions={expenseLinkOptions}
+        travelerNames={travelerNames}
+      />
     </div>
   );
 });
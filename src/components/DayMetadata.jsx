@@ -6,11 +6,13 @@
  * - Locations visited
  * - Estimated cost with currencies
  * - Number of unbooked items
+ * - Schedule conflicts (overlaps, impossible sequences, tight gaps)
+ * - Flight connections below or close to the minimum connection time
  * 
  * @module components/DayMetadata
  */
 
-import { Plane, MapPin, DollarSign, AlertCircle } from "lucide-react";
+import { Plane, MapPin, DollarSign, AlertCircle, AlertTriangle, Repeat } from "lucide-react";
 import { classNames } from "../utils/classNames";
 
 // ============================================================================
@@ -69,6 +71,26 @@ function shouldShowUnbookedWarning(hasUnbookedItems, unbookedItemCount) {
   return hasUnbookedItems && unbookedItemCount > 0;
 }
 
+/**
+ * Formats the schedule conflict badge label.
+ * @pure
+ * @param {number} conflictCount - Number of conflicts
+ * @returns {string} Label such as "1 conflict" or "3 conflicts"
+ */
+function formatConflictCount(conflictCount) {
+  return `${conflictCount} ${conflictCount === 1 ? 'conflict' : 'conflicts'}`;
+}
+
+/**
+ * Picks the connections worth flagging on the day header.
+ * @pure
+ * @param {Array<Object>} connections - Flight connections departing this day
+ * @returns {Array<Object>} Tight, risky and impossible connections
+ */
+function selectWorrisomeConnections(connections) {
+  return connections.filter(flightConnection => flightConnection.risk !== 'ok');
+}
+
 // ============================================================================
 // MAIN COMPONENT
 // ============================================================================
@@ -87,6 +109,8 @@ function shouldShowUnbookedWarning(hasUnbookedItems, unbookedItemCount) {
  * @typedef {Object} DayMetadataProps
  * @property {Object} day - The day object containing metadata
  * @property {DayMetadataInfo} day.metadata - Metadata information for the day
+ * @property {Array<import('../utils/scheduleConflicts').ScheduleConflict>} [scheduleConflicts] - Conflicts found in the day
+ * @property {Array<import('../utils/connections').FlightConnection>} [connections] - Flight connections departing this day
  */
 
 /**
@@ -97,11 +121,13 @@ function shouldShowUnbookedWarning(hasUnbookedItems, unbookedItemCount) {
  * - Purple badge(s) for locations
  * - Amber badge for estimated costs
  * - Red badge for unbooked items (warning)
+ * - Red (errors) or amber (warnings only) badge for schedule conflicts
+ * - Red (risky) or amber (tight) badge for flight connections
  * 
  * @param {DayMetadataProps} props - Component properties
  * @returns {JSX.Element|null} The metadata badges or null if no metadata
  */
-export function DayMetadata({ day }) {
+export function DayMetadata({ day, scheduleConflicts = [], connections = [] }) {
   // CRITICAL PATH: Early return if no metadata available
   if (!day.metadata) return null;
 
@@ -115,6 +141,8 @@ export function DayMetadata({ day }) {
     hasUnbooked: hasUnbookedItems 
   } = day.metadata;
 
+  const worrisomeConnections = selectWorrisomeConnections(connections);
+
   return (
     <div className="flex items-center gap-4 flex-wrap mt-2">
       {/* Travel Day Indicator Badge */}
@@ -162,6 +190,44 @@ export function DayMetadata({ day }) {
           </span>
         </div>
       )}
+
+      {/* Schedule Conflicts Badge */}
+      {scheduleConflicts.length > 0 && (() => {
+        const hasConflictError = scheduleConflicts.some(conflict => conflict.severity === 'error');
+        return (
+          <div
+            className={classNames(
+              "flex items-center gap-2 px-4 py-2.5 rounded-full border",
+              hasConflictError ? "bg-red-800/50 border-red-600/60" : "bg-amber-800/50 border-amber-600/60"
+            )}
+            title={scheduleConflicts.map(conflict => conflict.message).join('\n')}
+          >
+            <AlertTriangle className={classNames("h-5 w-5", hasConflictError ? "text-red-300" : "text-amber-300")} />
+            <span className={classNames("text-base font-medium", hasConflictError ? "text-red-200" : "text-amber-200")}>
+              {formatConflictCount(scheduleConflicts.length)}
+            </span>
+          </div>
+        );
+      })()}
+
+      {/* Flight Connection Badge */}
+      {worrisomeConnections.length > 0 && (() => {
+        const hasRiskyConnection = worrisomeConnections.some(flightConnection => flightConnection.risk !== 'tight');
+        return (
+          <div
+            className={classNames(
+              "flex items-center gap-2 px-4 py-2.5 rounded-full border",
+              hasRiskyConnection ? "bg-red-800/50 border-red-600/60" : "bg-amber-800/50 border-amber-600/60"
+            )}
+            title={worrisomeConnections.map(flightConnection => flightConnection.message).join('\n')}
+          >
+            <Repeat className={classNames("h-5 w-5", hasRiskyConnection ? "text-red-300" : "text-amber-300")} />
+            <span className={classNames("text-base font-medium", hasRiskyConnection ? "text-red-200" : "text-amber-200")}>
+              {hasRiskyConnection ? 'Risky connection' : 'Tight connection'}
+            </span>
+          </div>
+        );
+      })()}
     </div>
   );
 }
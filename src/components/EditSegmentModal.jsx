@@ -0,0 +1,399 @@
+/**
+ * @fileoverview Edit Segment Modal component.
+ *
+ * Edits an imported itinerary segment in place - a travel segment, a stay
+ * or a meal - so typos in times, addresses or flight numbers can be fixed
+ * without editing the JSON and importing it again.
+ *
+ * The form works on the raw segment as stored in IndexedDB (not the parsed
+ * per-day copy) and only sends the fields the user changed.
+ *
+ * @module components/EditSegmentModal
+ */
+
+import { useState, useEffect } from 'react';
+import { X, Save } from 'lucide-react';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * @typedef {Object} SegmentFormField
+ * @property {string} name - Form value key
+ * @property {string} label - Field label
+ * @property {'text'|'date'|'number'|'textarea'} [type] - Input type (text by default)
+ * @property {string} [placeholder] - Placeholder text
+ * @property {string} [step] - Step of number inputs (0.01 by default)
+ * @property {boolean} [required] - Whether the field must be filled in
+ * @property {boolean} [isHalfWidth] - Render in a two-column row
+ */
+
+/** @constant {Array<SegmentFormField>} COST_FORM_FIELDS - Cost fields shared by every kind */
+const COST_FORM_FIELDS = [
+  { name: 'estimatedCost', label: 'Estimated Cost', type: 'number', placeholder: '0', isHalfWidth: true },
+  { name: 'currency', label: 'Currency', placeholder: 'USD', isHalfWidth: true }
+];
+
+/**
+ * Form fields per segment kind.
+ * @constant {Object<string, Array<SegmentFormField>>}
+ */
+const SEGMENT_FORM_FIELDS = {
+  travel: [
+    { name: 'route', label: 'Route', placeholder: 'e.g., SFO → NRT' },
+    { name: 'date', label: 'Departure Date', type: 'date', required: true, isHalfWidth: true },
+    { name: 'dateEnd', label: 'Arrival Date', type: 'date', isHalfWidth: true },
+    { name: 'timeStart', label: 'Departure Time', placeholder: '10:30 AM', isHalfWidth: true },
+    { name: 'timeEnd', label: 'Arrival Time', placeholder: '2:45 PM', isHalfWidth: true },
+    { name: 'airline', label: 'Airline / Operator', isHalfWidth: true },
+    { name: 'flight', label: 'Flight Number', placeholder: 'e.g., UA249', isHalfWidth: true },
+    { name: 'departureAirport', label: 'From', placeholder: 'e.g., SFO - San Francisco International', isHalfWidth: true },
+    { name: 'arrivalAirport', label: 'To', placeholder: 'e.g., NRT - Narita International', isHalfWidth: true },
+    { name: 'cabinClass', label: 'Cabin Class', isHalfWidth: true },
+    { name: 'bookingRef', label: 'Booking Reference', isHalfWidth: true },
+    { name: 'details', label: 'Details', type: 'textarea', required: true },
+    ...COST_FORM_FIELDS
+  ],
+  shelter: [
+    { name: 'name', label: 'Name', required: true },
+    { name: 'address', label: 'Address' },
+    { name: 'type', label: 'Type', placeholder: 'e.g., Hotel, Airbnb' },
+    { name: 'date', label: 'Check-in Date', type: 'date', required: true, isHalfWidth: true },
+    { name: 'dateEnd', label: 'Check-out Date', type: 'date', isHalfWidth: true },
+    { name: 'checkIn', label: 'Check-in Time', placeholder: '3:00 PM', isHalfWidth: true },
+    { name: 'checkOut', label: 'Check-out Time', placeholder: '11:00 AM', isHalfWidth: true },
+    { name: 'notes', label: 'Notes', type: 'textarea' },
+    ...COST_FORM_FIELDS
+  ],
+  meal: [
+    { name: 'details', label: 'Meal', placeholder: 'e.g., Dinner', required: true, isHalfWidth: true },
+    { name: 'restaurant', label: 'Restaurant', placeholder: 'e.g., Ichiran Shibuya', isHalfWidth: true },
+    { name: 'location', label: 'Location' },
+    { name: 'date', label: 'Date', type: 'date', required: true },
+    { name: 'timeStart', label: 'Reservation Time', placeholder: '7:00 PM', isHalfWidth: true },
+    { name: 'timeEnd', label: 'End Time', placeholder: '8:30 PM', isHalfWidth: true },
+    { name: 'partySize', label: 'Party Size', type: 'number', step: '1', placeholder: '2', isHalfWidth: true },
+    { name: 'confirmationNumber', label: 'Confirmation #', isHalfWidth: true },
+    ...COST_FORM_FIELDS
+  ]
+};
+
+/**
+ * Modal titles per segment kind.
+ * @constant {Object<string, string>}
+ */
+const SEGMENT_KIND_TITLES = {
+  travel: 'Edit Travel',
+  shelter: 'Edit Stay',
+  meal: 'Edit Meal'
+};
+
+/** @constant {Array<string>} SHELTER_OBJECT_FIELDS - Stay fields kept in the segment's nested `shelter` object */
+const SHELTER_OBJECT_FIELDS = ['name', 'address', 'type', 'notes', 'checkOut'];
+
+/** @constant {string} FIELD_CLASSES - Styling shared by every input */
+const FIELD_CLASSES = "w-full px-3 py-2 text-sm md:text-base bg-zinc-800 border border-zinc-600 rounded-lg text-white placeholder-zinc-500 focus:outline-none focus:border-blue-500";
+
+// ============================================================================
+// PURE HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Reads the form values of a raw segment.
+ * @pure
+ * @param {'travel'|'shelter'|'meal'} segmentKind - Which form to fill
+ * @param {Object} segment - Raw segment from the stored itinerary
+ * @returns {Object<string, string>} Form values (empty strings for missing fields)
+ */
+function readSegmentFormValues(segmentKind, segment) {
+  const readValues = {};
+  for (const formField of SEGMENT_FORM_FIELDS[segmentKind]) {
+    readValues[formField.name] = segment[formField.name];
+  }
+
+  if (segmentKind === 'travel') {
+    readValues.flight = segment.flight || segment.flightNumber;
+  }
+
+  if (segmentKind === 'shelter') {
+    // Same fallbacks as the parser, so the form shows what the card shows
+    const shelterObject = segment.shelter || {};
+    readValues.name = shelterObject.name || segment.location || segment.details;
+    readValues.address = shelterObject.address;
+    readValues.type = shelterObject.type;
+    readValues.notes = shelterObject.notes || segment.note;
+    readValues.checkIn = segment.timeStart || shelterObject.checkIn;
+    readValues.checkOut = shelterObject.checkOut;
+  }
+
+  if (segmentKind === 'meal') {
+    readValues.confirmationNumber = segment.confirmationNumber || segment.bookingRef;
+  }
+
+  return Object.fromEntries(
+    Object.entries(readValues).map(([fieldName, fieldValue]) => [fieldName, fieldValue == null ? '' : String(fieldValue)])
+  );
+}
+
+/**
+ * Converts a form value to what is stored: trimmed text, numbers for
+ * costs, null for cleared fields.
+ * @pure
+ * @param {string} fieldName - Form value key
+ * @param {string} formValue - Value typed by the user
+ * @returns {string|number|null} Stored value
+ */
+function normalizeFormValue(fieldName, formValue) {
+  const trimmedValue = formValue.trim();
+  if (!trimmedValue) return null;
+  if (fieldName === 'estimatedCost') {
+    const parsedCost = parseFloat(trimmedValue);
+    return Number.isFinite(parsedCost) ? parsedCost : null;
+  }
+  if (fieldName === 'partySize') {
+    const parsedPartySize = parseInt(trimmedValue, 10);
+    return parsedPartySize > 0 ? parsedPartySize : null;
+  }
+  return trimmedValue;
+}
+
+/**
+ * Builds the raw segment updates for the fields the user changed.
+ * @pure
+ * @param {'travel'|'shelter'|'meal'} segmentKind - Which form was edited
+ * @param {Object} segment - Raw segment being edited
+ * @param {Object<string, string>} initialValues - Form values when the modal opened
+ * @param {Object<string, string>} formValues - Form values on submit
+ * @returns {Object} Updates to merge into the segment (empty if nothing changed)
+ */
+function buildSegmentUpdates(segmentKind, segment, initialValues, formValues) {
+  const changedValues = {};
+  for (const [fieldName, formValue] of Object.entries(formValues)) {
+    if (formValue.trim() !== initialValues[fieldName].trim()) {
+      changedValues[fieldName] = normalizeFormValue(fieldName, formValue);
+    }
+  }
+
+  if (segmentKind === 'travel' && 'flight' in changedValues && !segment.flight && segment.flightNumber) {
+    // Keep writing to the key the import used
+    changedValues.flightNumber = changedValues.flight;
+    delete changedValues.flight;
+  }
+
+  if (segmentKind !== 'shelter') return changedValues;
+
+  // CRITICAL PATH: Stay details live in the nested shelter object, the check-in time in timeStart
+  const segmentUpdates = {};
+  const shelterUpdates = {};
+  for (const [fieldName, storedValue] of Object.entries(changedValues)) {
+    if (SHELTER_OBJECT_FIELDS.includes(fieldName)) shelterUpdates[fieldName] = storedValue;
+    else if (fieldName === 'checkIn') segmentUpdates.timeStart = storedValue;
+    else segmentUpdates[fieldName] = storedValue;
+  }
+
+  if (Object.keys(shelterUpdates).length > 0) {
+    // Segments imported without a shelter object get one built from the whole form
+    const baseShelter = segment.shelter || Object.fromEntries(
+      SHELTER_OBJECT_FIELDS.map(fieldName => [fieldName, normalizeFormValue(fieldName, formValues[fieldName])])
+    );
+    segmentUpdates.shelter = { ...baseShelter, ...shelterUpdates };
+  }
+
+  return segmentUpdates;
+}
+
+/**
+ * Checks the dates of a form.
+ * @pure
+ * @param {Object<string, string>} formValues - Form values on submit
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSegmentFormValues(formValues) {
+  if (formValues.dateEnd && formValues.date && formValues.dateEnd < formValues.date) {
+    return 'The end date cannot be before the start date.';
+  }
+  return null;
+}
+
+// ============================================================================
+// MAIN COMPONENT
+// ============================================================================
+
+/**
+ * @typedef {Object} EditSegmentModalProps
+ * @property {boolean} isOpen - Whether the modal is visible
+ * @property {Function} onClose - Callback to close the modal
+ * @property {Function} onSave - Callback (segmentId, segmentUpdates) => Promise<[Object, Error]>
+ * @property {'travel'|'shelter'|'meal'} segmentKind - Which form to show
+ * @property {Object|null} segment - Raw segment to edit
+ */
+
+/**
+ * Edit Segment Modal component.
+ *
+ * @param {EditSegmentModalProps} props - Component properties
+ * @returns {JSX.Element|null} The modal component or null if closed
+ */
+export function EditSegmentModal({ isOpen, onClose, onSave, segmentKind, segment }) {
+  // ============================================================================
+  // STATE
+  // ============================================================================
+
+  /** @type {[Object, Function]} Form values when the modal opened */
+  const [initialFormValues, setInitialFormValues] = useState({});
+
+  /** @type {[Object, Function]} Current form values */
+  const [segmentFormValues, setSegmentFormValues] = useState({});
+
+  /** @type {[string|null, Function]} Validation or save error */
+  const [formErrorMessage, setFormErrorMessage] = useState(null);
+
+  /** @type {[boolean, Function]} Whether a save is in flight */
+  const [isSaving, setIsSaving] = useState(false);
+
+  // ============================================================================
+  // EFFECTS
+  // ============================================================================
+
+  /**
+   * Fill the form from the segment whenever the modal opens.
+   */
+  useEffect(() => {
+    if (!isOpen || !segment) return;
+    const readValues = readSegmentFormValues(segmentKind, segment);
+    setInitialFormValues(readValues);
+    setSegmentFormValues(readValues);
+    setFormErrorMessage(null);
+  }, [isOpen, segment, segmentKind]);
+
+  // ============================================================================
+  // EVENT HANDLERS
+  // ============================================================================
+
+  /**
+   * Handles form field changes.
+   * @param {React.ChangeEvent<HTMLInputElement|HTMLTextAreaElement>} changeEvent - The change event
+   */
+  const handleFormFieldChange = (changeEvent) => {
+    const { name: fieldName, value: fieldValue } = changeEvent.target;
+    setSegmentFormValues(previousValues => ({ ...previousValues, [fieldName]: fieldValue }));
+  };
+
+  /**
+   * Validates and saves the changed fields.
+   * @param {React.FormEvent} submitEvent - The form submission event
+   */
+  const handleFormSubmit = async (submitEvent) => {
+    submitEvent.preventDefault();
+
+    const validationError = validateSegmentFormValues(segmentFormValues);
+    if (validationError) {
+      setFormErrorMessage(validationError);
+      return;
+    }
+
+    const segmentUpdates = buildSegmentUpdates(segmentKind, segment, initialFormValues, segmentFormValues);
+    if (Object.keys(segmentUpdates).length === 0) {
+      onClose();
+      return;
+    }
+
+    setIsSaving(true);
+    const [, saveErr] = await onSave(segment.id, segmentUpdates);
+    setIsSaving(false);
+    if (saveErr) {
+      setFormErrorMessage(`Could not save: ${saveErr.message}`);
+      return;
+    }
+    onClose();
+  };
+
+  // ============================================================================
+  // RENDER
+  // ============================================================================
+
+  if (!isOpen || !segment) return null;
+
+  /**
+   * Renders one labelled input.
+   * @param {SegmentFormField} formField - Field to render
+   * @returns {JSX.Element} Labelled input
+   */
+  const renderFormField = (formField) => (
+    <div key={formField.name} className={formField.isHalfWidth ? '' : 'col-span-2'}>
+      <label className="block text-xs md:text-sm font-medium text-zinc-300 mb-1">
+        {formField.label}{formField.required ? ' *' : ''}
+      </label>
+      {formField.type === 'textarea' ? (
+        <textarea
+          name={formField.name}
+          value={segmentFormValues[formField.name] ?? ''}
+          onChange={handleFormFieldChange}
+          required={formField.required}
+          placeholder={formField.placeholder}
+          rows={3}
+          className={`${FIELD_CLASSES} resize-none`}
+        />
+      ) : (
+        <input
+          type={formField.type || 'text'}
+          name={formField.name}
+          value={segmentFormValues[formField.name] ?? ''}
+          onChange={handleFormFieldChange}
+          required={formField.required}
+          placeholder={formField.placeholder}
+          min={formField.type === 'number' ? '0' : undefined}
+          step={formField.type === 'number' ? (formField.step || '0.01') : undefined}
+          className={FIELD_CLASSES}
+        />
+      )}
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center z-[3000] p-2 md:p-4">
+      <div className="bg-zinc-900 border border-zinc-700 rounded-xl w-full max-w-lg max-h-[95vh] md:max-h-[90vh] overflow-y-auto">
+        {/* ================================================================
+            MODAL HEADER
+            ================================================================ */}
+        <div className="flex items-center justify-between p-3 md:p-4 border-b border-zinc-700 sticky top-0 bg-zinc-900 z-10">
+          <h2 className="text-base md:text-lg font-semibold text-white flex items-center gap-2">
+            <Save size={18} className="text-amber-400" />
+            {SEGMENT_KIND_TITLES[segmentKind]}
+            <span className="text-xs font-normal text-zinc-500">{segment.id}</span>
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-zinc-700 rounded-lg transition-colors"
+          >
+            <X size={20} className="text-zinc-400" />
+          </button>
+        </div>
+
+        {/* ================================================================
+            FORM
+            ================================================================ */}
+        <form onSubmit={handleFormSubmit} className="p-3 md:p-4 space-y-3 md:space-y-4">
+          <div className="grid grid-cols-2 gap-2 md:gap-3">
+            {SEGMENT_FORM_FIELDS[segmentKind].map(renderFormField)}
+          </div>
+
+          {formErrorMessage && (
+            <div className="text-sm text-red-400">{formErrorMessage}</div>
+          )}
+
+          {/* Submit Button */}
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="w-full py-2 md:py-2.5 text-sm md:text-base bg-amber-600 hover:bg-amber-500 disabled:opacity-50 text-white font-medium rounded-lg transition-colors flex items-center justify-center gap-2"
+          >
+            <Save size={16} />
+            {isSaving ? 'Saving...' : 'Save Changes'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Status pill that opens the status change modal when clicked
+ * @module components/EditableStatusPill
+ */
+
+import { useState } from "react";
+import { StatusPill } from "./StatusPill";
+import StatusChangeModal from "./StatusChangeModal";
+
+/** @constant {string} DISRUPTED_STATUS - Managed through backup plans, not the status menu */
+const DISRUPTED_STATUS = 'DISRUPTED';
+
+/**
+ * EditableStatusPill Component
+ *
+ * Shows an item's status pill. When a change callback is given (and the
+ * item is not disrupted by a backup plan), clicking the pill opens the
+ * status change modal.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.item - Segment, meal or activity (needs id and status)
+ * @param {string} props.itemLabel - Name shown in the modal header
+ * @param {Function} [props.onChangeStatus] - Callback (item, nextStatus, bookingDetails) => Promise
+ * @returns {JSX.Element} Rendered status pill
+ */
+export function EditableStatusPill({ item, itemLabel, onChangeStatus }) {
+  /** @type {[boolean, Function]} Whether the status change modal is open */
+  const [isStatusModalOpen, setIsStatusModalOpen] = useState(false);
+
+  if (!onChangeStatus || !item.id || item.status === DISRUPTED_STATUS) {
+    return <StatusPill code={item.status} />;
+  }
+
+  /**
+   * Opens the modal without toggling the section the pill sits in.
+   * @param {React.MouseEvent} clickEvent - Click event
+   */
+  const handlePillClick = (clickEvent) => {
+    clickEvent.stopPropagation();
+    setIsStatusModalOpen(true);
+  };
+
+  return (
+    <>
+      <StatusPill code={item.status} onClick={handlePillClick} />
+      <StatusChangeModal
+        isOpen={isStatusModalOpen}
+        onClose={() => setIsStatusModalOpen(false)}
+        onChangeStatus={onChangeStatus}
+        item={item}
+        itemLabel={itemLabel}
+      />
+    </>
+  );
+}
@@ -0,0 +1,414 @@
+/**
+ * @fileoverview Exchange Rates Modal component.
+ *
+ * Edits the active trip's rate table:
+ * - Pick the home currency totals are shown in
+ * - Add, edit or remove rates of any ISO 4217 currency
+ * - Lock a rate on a date (e.g. the day cash was exchanged)
+ * - Add rates for currencies the budget cannot convert yet
+ *
+ * @module components/ExchangeRatesModal
+ */
+
+import { useState, useEffect } from 'react';
+import { X, ArrowLeftRight, Plus, Save, Pencil, Trash2, Lock } from 'lucide-react';
+import { CurrencySelect } from './CurrencySelect';
+import { validateExchangeRate, rebaseRateTable } from '../utils/exchangeRates';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Default form data for a new rate.
+ * @constant {Object}
+ */
+const DEFAULT_RATE_FORM_DATA = {
+  currency: '',
+  rate: '',
+  lockedOn: ''
+};
+
+/** @constant {string} FIELD_CLASSES - Styling shared by every input */
+const FIELD_CLASSES = "w-full px-3 py-2 text-sm md:text-base bg-zinc-800 border border-zinc-600 rounded-lg text-white placeholder-zinc-500 focus:outline-none focus:border-blue-500";
+
+/** @constant {string} LABEL_CLASSES - Styling shared by every field label */
+const LABEL_CLASSES = "block text-xs md:text-sm font-medium text-zinc-300 mb-1";
+
+/** @constant {string} SECTION_HEADING_CLASSES - Styling shared by section headings */
+const SECTION_HEADING_CLASSES = "text-xs font-medium uppercase tracking-wide text-zinc-500 mb-2";
+
+// ============================================================================
+// PURE HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Identifies a rate within a table (one per currency and lock day).
+ * @pure
+ * @param {import('../utils/exchangeRates').ExchangeRate} exchangeRate - Rate to identify
+ * @returns {string} Rate key
+ */
+function getExchangeRateKey(exchangeRate) {
+  return `${exchangeRate.currency}|${exchangeRate.lockedOn || ''}`;
+}
+
+/**
+ * Converts form data to a stored rate.
+ * @pure
+ * @param {Object} formData - Rate form data
+ * @returns {import('../utils/exchangeRates').ExchangeRate} Exchange rate
+ */
+function buildExchangeRateFromFormData(formData) {
+  return {
+    currency: formData.currency,
+    rate: parseFloat(formData.rate) || 0,
+    lockedOn: formData.lockedOn || null
+  };
+}
+
+/**
+ * Sorts rates by currency, unlocked first, then by lock day.
+ * @pure
+ * @param {Array<import('../utils/exchangeRates').ExchangeRate>} exchangeRates - Rates to sort
+ * @returns {Array<import('../utils/exchangeRates').ExchangeRate>} Sorted copy
+ */
+function sortExchangeRates(exchangeRates) {
+  return [...exchangeRates].sort((firstRate, secondRate) => (
+    firstRate.currency.localeCompare(secondRate.currency)
+    || (firstRate.lockedOn || '').localeCompare(secondRate.lockedOn || '')
+  ));
+}
+
+// ============================================================================
+// MAIN COMPONENT
+// ============================================================================
+
+/**
+ * @typedef {Object} ExchangeRatesModalProps
+ * @property {boolean} isOpen - Whether the modal is visible
+ * @property {Function} onClose - Callback to close the modal
+ * @property {import('../utils/exchangeRates').RateTable} rateTable - Rate table of the active trip
+ * @property {Array<string>} currenciesWithoutRate - Currencies in use that cannot be converted
+ * @property {Function} onSave - Callback to store the table (rateTable) => Promise
+ */
+
+/**
+ * Exchange Rates Modal component.
+ *
+ * @param {ExchangeRatesModalProps} props - Component properties
+ * @returns {JSX.Element|null} The modal component or null if closed
+ */
+export default function ExchangeRatesModal({
+  isOpen,
+  onClose,
+  rateTable,
+  currenciesWithoutRate,
+  onSave
+}) {
+  // ============================================================================
+  // STATE
+  // ============================================================================
+
+  /** @type {[Object, Function]} Current form data state */
+  const [rateFormData, setRateFormData] = useState(DEFAULT_RATE_FORM_DATA);
+
+  /** @type {[string|null, Function]} Key of the rate being edited, null when adding */
+  const [editingRateKey, setEditingRateKey] = useState(null);
+
+  /** @type {[string|null, Function]} Validation or save problem shown under the form */
+  const [formErrorMessage, setFormErrorMessage] = useState(null);
+
+  // ============================================================================
+  // EFFECTS
+  // ============================================================================
+
+  /**
+   * Start with an empty form whenever the modal opens.
+   */
+  useEffect(() => {
+    setRateFormData(DEFAULT_RATE_FORM_DATA);
+    setEditingRateKey(null);
+    setFormErrorMessage(null);
+  }, [isOpen]);
+
+  // ============================================================================
+  // EVENT HANDLERS
+  // ============================================================================
+
+  /**
+   * Handles form field changes.
+   * @param {React.ChangeEvent<HTMLInputElement>} changeEvent - The change event
+   */
+  const handleFormFieldChange = (changeEvent) => {
+    const { name: fieldName, value: fieldValue } = changeEvent.target;
+    setRateFormData(previousFormData => ({ ...previousFormData, [fieldName]: fieldValue }));
+  };
+
+  /**
+   * Switches the home currency, re-expressing every rate in it.
+   * @param {React.ChangeEvent<HTMLSelectElement>} changeEvent - The change event
+   */
+  const handleHomeCurrencyChange = async (changeEvent) => {
+    const nextHomeCurrency = changeEvent.target.value;
+    const rebasedRateTable = rebaseRateTable(rateTable, nextHomeCurrency)
+      || (confirm(`${nextHomeCurrency} has no exchange rate yet. Switch anyway and start with an empty rate table?`)
+        ? { homeCurrency: nextHomeCurrency, rates: [] }
+        : null);
+    if (!rebasedRateTable) return;
+
+    const [, saveErr] = await onSave(rebasedRateTable);
+    setFormErrorMessage(saveErr ? saveErr.message : null);
+  };
+
+  /**
+   * Fills the form to add a rate for a currency the budget cannot convert.
+   * @param {string} currencyCode - Currency without a rate
+   */
+  const handleAddMissingClick = (currencyCode) => {
+    setEditingRateKey(null);
+    setFormErrorMessage(null);
+    setRateFormData({ ...DEFAULT_RATE_FORM_DATA, currency: currencyCode });
+  };
+
+  /**
+   * Fills the form to edit a rate.
+   * @param {import('../utils/exchangeRates').ExchangeRate} exchangeRate - Rate to edit
+   */
+  const handleEditClick = (exchangeRate) => {
+    setEditingRateKey(getExchangeRateKey(exchangeRate));
+    setFormErrorMessage(null);
+    setRateFormData({
+      currency: exchangeRate.currency,
+      rate: String(exchangeRate.rate),
+      lockedOn: exchangeRate.lockedOn || ''
+    });
+  };
+
+  /**
+   * Removes a rate. Costs in that currency fall back to its other rates,
+   * or stop counting towards totals when none is left.
+   * @param {import('../utils/exchangeRates').ExchangeRate} exchangeRate - Rate to remove
+   */
+  const handleDeleteClick = async (exchangeRate) => {
+    const removedRateKey = getExchangeRateKey(exchangeRate);
+    const [, saveErr] = await onSave({
+      ...rateTable,
+      rates: rateTable.rates.filter(existingRate => getExchangeRateKey(existingRate) !== removedRateKey)
+    });
+    if (saveErr) setFormErrorMessage(saveErr.message);
+  };
+
+  /**
+   * Handles form submission for add/edit.
+   * @param {React.FormEvent} submitEvent - The form submission event
+   */
+  const handleFormSubmit = async (submitEvent) => {
+    submitEvent.preventDefault();
+
+    const exchangeRate = buildExchangeRateFromFormData(rateFormData);
+    const otherRates = rateTable.rates.filter(existingRate => getExchangeRateKey(existingRate) !== editingRateKey);
+    const validationMessage = validateExchangeRate(exchangeRate, { ...rateTable, rates: otherRates });
+    if (validationMessage) {
+      setFormErrorMessage(validationMessage);
+      return;
+    }
+
+    const [, saveErr] = await onSave({ ...rateTable, rates: [...otherRates, exchangeRate] });
+    if (saveErr) {
+      setFormErrorMessage(saveErr.message);
+      return;
+    }
+
+    setRateFormData(DEFAULT_RATE_FORM_DATA);
+    setEditingRateKey(null);
+    setFormErrorMessage(null);
+  };
+
+  // ============================================================================
+  // RENDER
+  // ============================================================================
+
+  // Early return if modal is closed
+  if (!isOpen) return null;
+
+  const homeCurrency = rateTable.homeCurrency;
+
+  return (
+    <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center z-[3000] p-2 md:p-4">
+      <div className="bg-zinc-900 border border-zinc-700 rounded-xl w-full max-w-lg max-h-[95vh] md:max-h-[90vh] overflow-y-auto">
+        {/* ================================================================
+            MODAL HEADER
+            ================================================================ */}
+        <div className="flex items-center justify-between p-3 md:p-4 border-b border-zinc-700 sticky top-0 bg-zinc-900 z-10">
+          <h2 className="text-base md:text-lg font-semibold text-white flex items-center gap-2">
+            <ArrowLeftRight size={18} className="text-emerald-400" />
+            Exchange Rates
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-zinc-700 rounded-lg transition-colors"
+            aria-label="Close dialog"
+          >
+            <X size={20} className="text-zinc-400" />
+          </button>
+        </div>
+
+        <div className="p-3 md:p-4 space-y-5">
+          {/* ================================================================
+              HOME CURRENCY
+              ================================================================ */}
+          <div>
+            <h3 className={SECTION_HEADING_CLASSES}>Home currency</h3>
+            <CurrencySelect
+              value={homeCurrency}
+              onChange={handleHomeCurrencyChange}
+              className={FIELD_CLASSES}
+              aria-label="Home currency"
+            />
+            <p className="mt-1 text-xs text-zinc-500">Budget totals and settle-ups are shown in this currency.</p>
+          </div>
+
+          {/* ================================================================
+              MISSING RATES
+              ================================================================ */}
+          {currenciesWithoutRate.length > 0 && (
+            <div>
+              <h3 className={SECTION_HEADING_CLASSES}>Missing rates</h3>
+              <ul className="space-y-2">
+                {currenciesWithoutRate.map(currencyCode => (
+                  <li key={currencyCode} className="flex items-center justify-between gap-2 rounded-lg bg-amber-950/20 border border-amber-900/50 px-3 py-2">
+                    <span className="text-sm text-amber-200">
+                      <span className="font-mono">{currencyCode}</span> amounts are left out of totals
+                    </span>
+                    <button
+                      onClick={() => handleAddMissingClick(currencyCode)}
+                      className="flex items-center gap-1 px-2 py-1 rounded-md text-xs font-medium bg-emerald-700/40 text-emerald-200 hover:bg-emerald-600/50 transition-colors flex-shrink-0"
+                    >
+                      <Plus className="h-3.5 w-3.5" />
+                      Add Rate
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {/* ================================================================
+              RATES
+              ================================================================ */}
+          <div>
+            <h3 className={SECTION_HEADING_CLASSES}>Rates</h3>
+            {rateTable.rates.length === 0 ? (
+              <p className="text-sm text-zinc-500">No rates yet. Only {homeCurrency} amounts count towards totals.</p>
+            ) : (
+              <ul className="space-y-2">
+                {sortExchangeRates(rateTable.rates).map(exchangeRate => (
+                  <li key={getExchangeRateKey(exchangeRate)} className="flex items-center justify-between gap-2 rounded-lg bg-zinc-800/60 border border-zinc-700/50 px-3 py-2">
+                    <div className="min-w-0">
+                      <div className="text-sm text-zinc-200">
+                        1 {homeCurrency} = <span className="font-medium">{exchangeRate.rate.toLocaleString()}</span> {exchangeRate.currency}
+                      </div>
+                      <div className="flex items-center gap-1 text-xs text-zinc-500">
+                        {exchangeRate.lockedOn ? (
+                          <>
+                            <Lock className="h-3 w-3" />
+                            Locked on {exchangeRate.lockedOn}
+                          </>
+                        ) : 'Unlocked'}
+                      </div>
+                    </div>
+                    <div className="flex items-center gap-1 flex-shrink-0">
+                      <button
+                        onClick={() => handleEditClick(exchangeRate)}
+                        className="p-1 rounded text-zinc-400 hover:text-zinc-200 hover:bg-zinc-700/60 transition-colors"
+                        title="Edit rate"
+                      >
+                        <Pencil className="h-3.5 w-3.5" />
+                      </button>
+                      <button
+                        onClick={() => handleDeleteClick(exchangeRate)}
+                        className="p-1 rounded text-red-400 hover:text-red-200 hover:bg-red-900/40 transition-colors"
+                        title="Remove rate"
+                      >
+                        <Trash2 className="h-3.5 w-3.5" />
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {/* ================================================================
+              ADD / EDIT FORM
+              ================================================================ */}
+          <form onSubmit={handleFormSubmit} className="space-y-3 rounded-lg border border-zinc-700 p-3">
+            <h3 className={SECTION_HEADING_CLASSES}>{editingRateKey ? 'Edit rate' : 'New rate'}</h3>
+
+            <div className="grid grid-cols-2 gap-2 md:gap-3">
+              <div>
+                <label className={LABEL_CLASSES}>Currency *</label>
+                <CurrencySelect
+                  name="currency"
+                  value={rateFormData.currency}
+                  onChange={handleFormFieldChange}
+                  required
+                  className={FIELD_CLASSES}
+                />
+              </div>
+              <div>
+                <label className={LABEL_CLASSES}>Per 1 {homeCurrency} *</label>
+                <input
+                  type="number"
+                  name="rate"
+                  value={rateFormData.rate}
+                  onChange={handleFormFieldChange}
+                  required
+                  min="0"
+                  step="any"
+                  placeholder="e.g., 150"
+                  className={FIELD_CLASSES}
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className={LABEL_CLASSES}>Locked on</label>
+              <input
+                type="date"
+                name="lockedOn"
+                value={rateFormData.lockedOn}
+                onChange={handleFormFieldChange}
+                className={FIELD_CLASSES}
+              />
+              <p className="mt-1 text-xs text-zinc-500">Optional. Costs from this day on use this rate.</p>
+            </div>
+
+            <div className="flex justify-end gap-2 pt-1">
+              {editingRateKey && (
+                <button
+                  type="button"
+                  onClick={() => handleAddMissingClick('')}
+                  className="px-3 py-1.5 text-sm bg-zinc-800 hover:bg-zinc-700 text-zinc-300 rounded-lg transition-colors"
+                >
+                  Cancel
+                </button>
+              )}
+              <button
+                type="submit"
+                className="px-3 py-1.5 text-sm bg-emerald-600 hover:bg-emerald-500 text-white font-medium rounded-lg transition-colors flex items-center gap-1.5"
+              >
+                {editingRateKey ? <Save size={14} /> : <Plus size={14} />}
+                {editingRateKey ? 'Save' : 'Add Rate'}
+              </button>
+            </div>
+
+            {formErrorMessage && (
+              <p className="text-xs md:text-sm text-red-400">{formErrorMessage}</p>
+            )}
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Text with search matches marked.
+ *
+ * Marks every occurrence of the search terms, ignoring case and accents
+ * (see utils/searchIndex). Renders the plain text without terms.
+ *
+ * @module components/HighlightedText
+ */
+
+import { memo } from "react";
+import { findMatchRanges } from "../utils/searchIndex";
+
+/**
+ * @constant {string} SEARCH_MATCH_CLASSES - Styling of a marked match
+ */
+const SEARCH_MATCH_CLASSES = "bg-amber-400/30 text-inherit rounded-sm px-0.5 -mx-0.5";
+
+/**
+ * @constant {string} SEARCH_MATCH_ITEM_CLASSES - Outline of an item matching the search
+ */
+export const SEARCH_MATCH_ITEM_CLASSES = "ring-1 ring-inset ring-amber-400/50";
+
+/**
+ * Text with search matches marked.
+ *
+ * @param {Object} props - Component props
+ * @param {string|null|undefined} props.text - Text to show
+ * @param {Array<string>} [props.searchTerms] - Normalized search terms
+ * @returns {JSX.Element|string|null} Marked text
+ */
+export const HighlightedText = memo(function HighlightedText({ text, searchTerms }) {
+  if (text === null || text === undefined) return null;
+
+  const textValue = String(text);
+  const matchRanges = searchTerms ? findMatchRanges(textValue, searchTerms) : [];
+  if (matchRanges.length === 0) return textValue;
+
+  const textPieces = [];
+  let pieceStart = 0;
+  for (const [matchStart, matchEnd] of matchRanges) {
+    if (matchStart > pieceStart) textPieces.push(textValue.slice(pieceStart, matchStart));
+    textPieces.push(
+      <mark key={matchStart} className={SEARCH_MATCH_CLASSES}>
+        {textValue.slice(matchStart, matchEnd)}
+      </mark>
+    );
+    pieceStart = matchEnd;
+  }
+  if (pieceStart < textValue.length) textPieces.push(textValue.slice(pieceStart));
+
+  return <>{textPieces}</>;
+});
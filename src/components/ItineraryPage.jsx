@@ -4,38 +4,60 @@
  * This is the primary view component that:
  * - Displays the complete trip itinerary as expandable day cards
  * - Shows budget tracking with progress visualization
- * - Handles search/filter functionality
- * - Manages activity CRUD operations (add, update, delete)
+ * - Records actual expenses and compares them with estimated costs
+ * - Searches every field of the day model, marking matches in the sections
+ * - Manages activity and meal CRUD operations (add, update, delete)
+ * - Edits imported travel, stay and meal segments
+ * - Moves items between statuses, keeping booking details and history
+ * - Lists everything still to book in one dashboard
+ * - Registers user-defined statuses, including unknown ones found in the data
+ * - Converts costs to the home currency with the trip's exchange rates
+ * - Downloads the trip's map tiles for offline use
+ * - Notifies before boarding, departures, check-in/out and activities
+ * - Shows a live "Now / Next" banner during the trip, in the traveler's local time
  * - Coordinates with IndexedDB for data persistence
+ * - Switches between trips stored in the trip library
  * 
  * @module components/ItineraryPage
  */
 
-import { useState, useMemo, useCallback, useEffect } from "react";
-import { Search, Eye, EyeOff, AlertCircle, Wallet, Loader2, Download } from "lucide-react";
-import { parseItineraryData, getTripMeta, ITINERARY_DAYS as FALLBACK_DAYS, TRIP_BUDGET as FALLBACK_BUDGET, TRIP_NAME as FALLBACK_NAME } from "../data/itinerary";
+import { useState, useMemo, useCallback, useEffect, useRef } from "react";
+import { Search, Eye, EyeOff, AlertCircle, Wallet, Loader2, Download, CalendarPlus, Ticket, Globe2, ClipboardList, Tags, Users, ArrowLeftRight, DownloadCloud, Bell, Radio } from "lucide-react";
+import { parseItineraryData, getTripMeta, findRawSegment, ITINERARY_DAYS as FALLBACK_DAYS, TRIP_BUDGET as FALLBACK_BUDGET, TRIP_NAME as FALLBACK_NAME } from "../data/itinerary";
 import { useItineraryDB } from "../db";
-import { clearAllData, downloadUserDataAsJson } from "../db/indexedDB";
+import { clearAllData, downloadUserDataAsJson, downloadItineraryAsIcs } from "../db/indexedDB";
 import { DayCard } from "./DayCard";
 import { SetupWizard } from "./SetupWizard";
 import { classNames } from "../utils/classNames";
 import { DateNavigation } from "./DateNavigation";
+import { LiveTripBanner } from "./LiveTripBanner";
+import { TripSwitcher } from "./TripSwitcher";
+import { TripOverviewMap } from "./TripOverviewMap";
+import { BookingDashboard } from "./BookingDashboard";
+import { CostSplitDashboard } from "./CostSplitDashboard";
+import { EditSegmentModal } from "./EditSegmentModal";
+import StatusSettingsModal from "./StatusSettingsModal";
+import ExchangeRatesModal from "./ExchangeRatesModal";
+import OfflineMapsModal from "./OfflineMapsModal";
+import RemindersModal from "./RemindersModal";
+import { summarizeBoardingPassCoverage } from "../utils/boardingPassCheck";
+import { analyzeTripConnections, resolveConnectionRules } from "../utils/connections";
+import { loadAirportDatabase, isAirportDatabaseLoaded } from "../utils/airports";
+import { applyLiveStatuses, applyStatusRecordsToLookup } from "../utils/statusWorkflow";
+import { findUnregisteredStatusCodes } from "../utils/statusRegistry";
+import { collectEstimatedCosts, compareEstimatedAndActual, sumAmountsByCurrency, groupExpensesByDate } from "../utils/expenses";
+import { collectTripTimeline, resolveLiveTripState } from "../utils/liveTrip";
+import { buildSearchIndex, parseSearchTerms, searchItinerary } from "../utils/searchIndex";
+import { utcToZonedDateTime, getDeviceTimeZone } from "../utils/timezones";
+import { collectReminderMoments, findDueReminders, describeReminder } from "../utils/reminders";
+import { getNotificationPermission, showNotification } from "../utils/notifications";
+import { convertWithRateTable, findCurrenciesWithoutRate, formatHomeAmount, formatCurrencyAmount } from "../utils/exchangeRates";
+import { BudgetBreakdown } from "./BudgetBreakdown";
 
 // ============================================================================
 // CONSTANTS
 // ============================================================================
 
-/**
- * Approximate exchange rates for budget calculation (relative to USD).
- * These are used for rough budget tracking, not financial transactions.
- * @constant {Object.<string, number>}
- */
-const CURRENCY_EXCHANGE_RATES_TO_USD = {
-  'USD': 1,
-  'PHP': 0.018,  // ~56 PHP per USD
-  'JPY': 0.0067  // ~150 JPY per USD
-};
-
 /**
  * Prefix for manually-added activity IDs.
  * Used to distinguish user-created activities from imported ones.
@@ -43,6 +65,12 @@ const CURRENCY_EXCHANGE_RATES_TO_USD = {
  */
 const MANUAL_ACTIVITY_ID_PREFIX = 'manual-';
 
+/**
+ * Prefix for manually-added meal IDs.
+ * @constant {string}
+ */
+const MANUAL_MEAL_ID_PREFIX = 'manual-meal-';
+
 /**
  * Empty array constant to avoid creating new array references on every render.
  * Used as default value for days without manual/deleted activities.
@@ -50,21 +78,29 @@ const MANUAL_ACTIVITY_ID_PREFIX = 'manual-';
  */
 const EMPTY_ARRAY = [];
 
-// ============================================================================
-// PURE HELPER FUNCTIONS
-// ============================================================================
+/**
+ * Longest wait before due reminders are checked again, so a clock change or
+ * a sleeping device cannot delay a reminder by more than this.
+ * @constant {number}
+ */
+const MAX_REMINDER_WAIT_MILLISECONDS = 60 * 60 * 1000;
 
 /**
- * Converts a currency amount to USD using approximate exchange rates.
- * @pure
- * @param {number} amount - The amount in the source currency
- * @param {string} currencyCode - The ISO currency code (e.g., 'USD', 'PHP', 'JPY')
- * @returns {number} The approximate USD equivalent
+ * How often the live clock (countdowns, today's date) moves on.
+ * @constant {number}
  */
-function convertCurrencyToUSD(amount, currencyCode) {
-  const exchangeRate = CURRENCY_EXCHANGE_RATES_TO_USD[currencyCode] || 1;
-  return amount * exchangeRate;
-}
+const LIVE_CLOCK_TICK_MILLISECONDS = 30 * 1000;
+
+/**
+ * Most days a search opens by itself - a short query can match most of the
+ * trip, and every open day renders its maps.
+ * @constant {number}
+ */
+const MAX_AUTO_EXPANDED_SEARCH_DAYS = 5;
+
+// ============================================================================
+// PURE HELPER FUNCTIONS
+// ============================================================================
 
 /**
  * Checks if an activity ID belongs to a manually-added activity.
@@ -77,24 +113,13 @@ function isManualActivityId(activityId) {
 }
 
 /**
- * Generates a unique identifier for a shelter cost to prevent duplicate counting.
- * @pure
- * @param {Object} shelter - The shelter data
- * @returns {string} A unique identifier for the shelter cost
- */
-function generateShelterCostIdentifier(shelter) {
-  return `shelter-${shelter.name}-${shelter.estimatedCost}`;
-}
-
-/**
- * Generates a unique identifier for an activity to prevent duplicate counting.
+ * Checks if a meal ID belongs to a manually-added meal.
  * @pure
- * @param {Object} activity - The activity data
- * @param {string} dateKey - The date key for the activity
- * @returns {string} A unique identifier for the activity
+ * @param {string} mealId - The meal ID to check
+ * @returns {boolean} True if the meal was manually added
  */
-function generateActivityCostIdentifier(activity, dateKey) {
-  return activity.id || `activity-${dateKey}-${activity.name}`;
+function isManualMealId(mealId) {
+  return mealId?.startsWith(MANUAL_MEAL_ID_PREFIX) ?? false;
 }
 
 /**
@@ -128,23 +153,15 @@ function calculateTripDateRangeDisplay(itineraryDays) {
 }
 
 /**
- * Filters itinerary days based on a search query.
+ * Filters itinerary days down to the ones matching a search.
  * @pure
  * @param {Array} itineraryDays - Array of day objects to filter
- * @param {string} searchQuery - The search query string
+ * @param {import('../utils/searchIndex').SearchResult|null} searchResult - Result of the search, null without a query
  * @returns {Array} Filtered array of day objects
  */
-function filterItineraryBySearchQuery(itineraryDays, searchQuery) {
-  if (!searchQuery.trim()) return itineraryDays;
-
-  const normalizedQuery = searchQuery.toLowerCase();
-  return itineraryDays.filter((dayEntry) => {
-    return (
-      dayEntry.dateDisplay.toLowerCase().includes(normalizedQuery) ||
-      dayEntry.summary.toLowerCase().includes(normalizedQuery) ||
-      dayEntry.timezone.toLowerCase().includes(normalizedQuery)
-    );
-  });
+function filterItineraryBySearchResult(itineraryDays, searchResult) {
+  if (!searchResult) return itineraryDays;
+  return itineraryDays.filter(dayEntry => searchResult.matchingDateKeys.has(dayEntry.dateKey));
 }
 
 /**
@@ -214,6 +231,54 @@ export function ItineraryPage() {
   /** @type {[string, Function]} Current search query */
   const [searchQueryText, setSearchQueryText] = useState("");
   
+  /** @type {[boolean, Function]} Whether the trip overview map is open */
+  const [isTripMapOpen, setIsTripMapOpen] = useState(false);
+  
+  /** @type {[boolean, Function]} Whether the "To book" dashboard is open */
+  const [isBookingDashboardOpen, setIsBookingDashboardOpen] = useState(false);
+  
+  /** @type {[boolean, Function]} Whether the cost splitting dashboard is open */
+  const [isCostSplitDashboardOpen, setIsCostSplitDashboardOpen] = useState(false);
+  
+  /** @type {[boolean, Function]} Whether the status settings modal is open */
+  const [isStatusSettingsOpen, setIsStatusSettingsOpen] = useState(false);
+  
+  /** @type {[boolean, Function]} Whether the exchange rates modal is open */
+  const [isExchangeRatesOpen, setIsExchangeRatesOpen] = useState(false);
+  
+  /** @type {[boolean, Function]} Whether the offline maps modal is open */
+  const [isOfflineMapsOpen, setIsOfflineMapsOpen] = useState(false);
+  
+  /** @type {[boolean, Function]} Whether the reminders modal is open */
+  const [isRemindersOpen, setIsRemindersOpen] = useState(false);
+  
+  /** @type {[boolean, Function]} Whether the live "Now / Next" banner is shown during the trip */
+  const [isLiveModeOn, setIsLiveModeOn] = useState(true);
+  
+  /** @type {[number, Function]} Current time, moved on by the live clock */
+  const [nowMilliseconds, setNowMilliseconds] = useState(Date.now);
+  
+  /** @type {[{segmentKind: string, segmentId: string}|null, Function]} Segment open in the edit modal */
+  const [segmentEditTarget, setSegmentEditTarget] = useState(null);
+  
+  /** @type {[boolean, Function]} Whether the lazily loaded airport database is available */
+  const [isAirportDatabaseReady, setIsAirportDatabaseReady] = useState(isAirportDatabaseLoaded);
+  
+  /**
+   * Loads the airport database chunk; the itinerary is re-parsed once it
+   * arrives so airport names, zones and location flags fill in.
+   */
+  useEffect(() => {
+    if (isAirportDatabaseReady) return;
+    
+    let isEffectActive = true;
+    loadAirportDatabase().then(([, loadErr]) => {
+      if (isEffectActive && !loadErr) setIsAirportDatabaseReady(true);
+    });
+    
+    return () => { isEffectActive = false; };
+  }, [isAirportDatabaseReady]);
+  
   // ============================================================================
   // DATABASE INTEGRATION
   // ============================================================================
@@ -227,16 +292,49 @@ export function ItineraryPage() {
     itineraryData: storedItineraryData,
     manualActivities: manualActivitiesByDate,
     deletedActivities: deletedActivityIdsByDate,
+    manualMeals: manualMealsByDate,
+    deletedMeals: deletedMealIdsByDate,
     boardingPasses: boardingPassesBySegment,
+    backupPlans: backupPlansBySegment,
+    itemStatuses: itemStatusesById,
+    expenses: recordedExpenses,
+    costSplits: costSplitsByItemId,
+    rateTable: tripRateTable,
+    customStatuses,
+    activeTripId,
+    tripLibrary,
     addActivity: addActivityToDatabase,
     updateActivity: updateActivityInDatabase,
     removeActivity: removeActivityFromDatabase,
     deleteOriginalActivity: deleteOriginalActivityFromDatabase,
+    addMeal: addMealToDatabase,
+    updateMeal: updateMealInDatabase,
+    removeMeal: removeMealFromDatabase,
+    deleteOriginalMeal: deleteOriginalMealFromDatabase,
+    updateSegment: updateSegmentInDatabase,
     importJsonData: importJsonToDatabase,
     completeSetup: completeSetupWizard,
     resetDatabase: resetAllDatabaseData,
     addBoardingPass: addBoardingPassToDatabase,
-    deleteBoardingPass: deleteBoardingPassFromDatabase
+    deleteBoardingPass: deleteBoardingPassFromDatabase,
+    saveBackupPlan: saveBackupPlanToDatabase,
+    resetBackupPlan: resetBackupPlanInDatabase,
+    activateBackupOption: activateBackupOptionInDatabase,
+    deactivateBackupPlan: deactivateBackupPlanInDatabase,
+    changeItemStatus: changeItemStatusInDatabase,
+    saveCustomStatuses: saveCustomStatusesToDatabase,
+    saveExpense: saveExpenseToDatabase,
+    removeExpense: removeExpenseFromDatabase,
+    assignCostSplit: assignCostSplitInDatabase,
+    saveRateTable: saveRateTableToDatabase,
+    reminderSettings,
+    reminders: scheduledReminders,
+    saveReminderSettings: saveReminderSettingsToDatabase,
+    syncReminders: syncRemindersInDatabase,
+    markRemindersNotified: markRemindersNotifiedInDatabase,
+    switchTrip: switchToTrip,
+    addTrip: openWizardForNewTrip,
+    deleteTrip: deleteTripFromLibrary
   } = useItineraryDB();
   
   // ============================================================================
@@ -247,48 +345,187 @@ export function ItineraryPage() {
    * Parse the itinerary data from IndexedDB (or use fallback).
    * Memoized to prevent unnecessary re-parsing.
    */
-  const { parsedItineraryDays, tripBudgetConfig, tripDisplayName } = useMemo(() => {
+  const { importedItineraryDays, tripBudgetConfig, tripDisplayName, tripConnectionRules, tripTravelerNames } = useMemo(() => {
     if (!isDatabaseReady || !storedItineraryData) {
+      const fallbackMetadata = getTripMeta();
       return {
-        parsedItineraryDays: FALLBACK_DAYS,
+        importedItineraryDays: FALLBACK_DAYS,
         tripBudgetConfig: FALLBACK_BUDGET,
-        tripDisplayName: FALLBACK_NAME
+        tripDisplayName: FALLBACK_NAME,
+        tripConnectionRules: resolveConnectionRules(fallbackMetadata.connectionRules),
+        tripTravelerNames: fallbackMetadata.travelers.map(traveler => traveler.name).filter(Boolean)
       };
     }
     
     const tripMetadata = getTripMeta(storedItineraryData);
     return {
-      parsedItineraryDays: parseItineraryData(storedItineraryData),
+      importedItineraryDays: parseItineraryData(storedItineraryData),
       tripBudgetConfig: tripMetadata.budget,
-      tripDisplayName: tripMetadata.tripName
+      tripDisplayName: tripMetadata.tripName,
+      tripConnectionRules: resolveConnectionRules(tripMetadata.connectionRules),
+      tripTravelerNames: tripMetadata.travelers.map(traveler => traveler.name).filter(Boolean)
     };
-  }, [isDatabaseReady, storedItineraryData]);
+    // isAirportDatabaseReady: parser lookups resolve more airports once the chunk has loaded
+  }, [isDatabaseReady, storedItineraryData, isAirportDatabaseReady]);
   
-  // Ensure manual activities is always an object (for safety)
-  const manualActivitiesLookup = manualActivitiesByDate || {};
+  // Manual activities and meals with the user's status changes applied
+  const manualActivitiesLookup = useMemo(
+    () => applyStatusRecordsToLookup(manualActivitiesByDate || {}, itemStatusesById),
+    [manualActivitiesByDate, itemStatusesById]
+  );
+  const manualMealsLookup = useMemo(
+    () => applyStatusRecordsToLookup(manualMealsByDate || {}, itemStatusesById),
+    [manualMealsByDate, itemStatusesById]
+  );
+
+  // User-added and soft-deleted items, as the day item helpers expect them
+  const dayUserItems = useMemo(() => ({
+    manualActivitiesByDate: manualActivitiesLookup,
+    deletedActivityIdsByDate,
+    manualMealsByDate: manualMealsLookup,
+    deletedMealIdsByDate
+  }), [manualActivitiesLookup, deletedActivityIdsByDate, manualMealsLookup, deletedMealIdsByDate]);
 
   /**
-   * Today's date key - memoized to avoid recalculation.
-   * Note: Only updates on component mount, which is fine for a day-level precision.
+   * Imported days with the user's status changes applied and the unbooked
+   * counts recomputed, so badges and budget totals follow every change.
    */
-  const todayDateKey = useMemo(() => new Date().toISOString().split('T')[0], []);
+  const parsedItineraryDays = useMemo(
+    () => applyLiveStatuses(importedItineraryDays, itemStatusesById, dayUserItems),
+    [importedItineraryDays, itemStatusesById, dayUserItems]
+  );
+
+  // Recorded expenses grouped by the day they were spent
+  const expensesByDate = useMemo(() => groupExpensesByDate(recordedExpenses), [recordedExpenses]);
+
+  // Every timed item of the trip, in order, for the live state
+  const tripTimeline = useMemo(
+    () => collectTripTimeline(parsedItineraryDays, dayUserItems),
+    [parsedItineraryDays, dayUserItems]
+  );
+
+  // Where the traveler is in the trip right now (null for a trip without days)
+  const liveTripState = useMemo(
+    () => resolveLiveTripState(parsedItineraryDays, tripTimeline, nowMilliseconds),
+    [parsedItineraryDays, tripTimeline, nowMilliseconds]
+  );
+
+  /**
+   * Today's date key in the traveler's local time (per the itinerary's zones),
+   * not the UTC date - a Tokyo evening is still the same trip day.
+   */
+  const todayDateKey = liveTripState
+    ? liveTripState.liveDateKey
+    : utcToZonedDateTime(nowMilliseconds, getDeviceTimeZone()).dateKey;
+
+  // Timed moments of the trip that can be reminded of
+  const reminderMoments = useMemo(
+    () => collectReminderMoments(parsedItineraryDays, dayUserItems, boardingPassesBySegment),
+    [parsedItineraryDays, dayUserItems, boardingPassesBySegment]
+  );
+
+  // ============================================================================
+  // REMINDER EFFECTS
+  // ============================================================================
+
+  /**
+   * Reschedules the stored reminders whenever the trip's moments or the
+   * lead times change. Already shown reminders stay marked as shown.
+   */
+  useEffect(() => {
+    if (!isDatabaseReady || !storedItineraryData) return;
+    syncRemindersInDatabase(reminderMoments);
+  }, [isDatabaseReady, storedItineraryData, reminderMoments, syncRemindersInDatabase]);
+
+  /**
+   * Shows due reminders and waits for the next one while the app is open.
+   * Timers are paused in background tabs, so returning to the app re-checks.
+   */
+  useEffect(() => {
+    if (!reminderSettings.isEnabled || getNotificationPermission() !== 'granted') return;
+
+    let nextCheckTimeoutId = null;
+
+    const notifyDueReminders = async () => {
+      clearTimeout(nextCheckTimeoutId);
+      const nowMilliseconds = Date.now();
+      const dueReminders = findDueReminders(scheduledReminders, nowMilliseconds);
+
+      if (dueReminders.length > 0) {
+        for (const dueReminder of dueReminders) {
+          await showNotification(dueReminder.title, describeReminder(dueReminder, nowMilliseconds), dueReminder.reminderId);
+        }
+        // Updates scheduledReminders, which runs this effect again
+        await markRemindersNotifiedInDatabase(dueReminders.map(dueReminder => dueReminder.reminderId));
+        return;
+      }
+
+      const nextRemindAt = scheduledReminders
+        .filter(reminder => !reminder.notifiedAt && reminder.remindAt > nowMilliseconds)
+        .reduce((earliest, reminder) => Math.min(earliest, reminder.remindAt), Infinity);
+      if (Number.isFinite(nextRemindAt)) {
+        nextCheckTimeoutId = setTimeout(notifyDueReminders, Math.min(nextRemindAt - nowMilliseconds, MAX_REMINDER_WAIT_MILLISECONDS));
+      }
+    };
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') notifyDueReminders();
+    };
+
+    notifyDueReminders();
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      clearTimeout(nextCheckTimeoutId);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [reminderSettings.isEnabled, scheduledReminders, markRemindersNotifiedInDatabase]);
+
+  // ============================================================================
+  // LIVE CLOCK EFFECT
+  // ============================================================================
+
+  /**
+   * Moves the live clock on. Timers are paused in background tabs, so
+   * returning to the app catches up at once.
+   */
+  useEffect(() => {
+    const tickIntervalId = setInterval(() => setNowMilliseconds(Date.now()), LIVE_CLOCK_TICK_MILLISECONDS);
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') setNowMilliseconds(Date.now());
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      clearInterval(tickIntervalId);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, []);
 
   // ============================================================================
   // AUTO-EXPAND TODAY EFFECT
   // ============================================================================
   
+  // Trip and day last expanded automatically ("tripId:dateKey")
+  const lastAutoExpandedDayRef = useRef(null);
+
   /**
-   * Automatically expands and scrolls to today's date card on page load.
+   * Automatically expands and scrolls to today's date card once per trip
+   * and date. Status changes and item edits re-parse the days, so without
+   * the ref every edit would collapse the open days and scroll away.
    */
   useEffect(() => {
     if (!isDatabaseReady) return;
     
+    const autoExpandKey = `${activeTripId}:${todayDateKey}`;
+    if (lastAutoExpandedDayRef.current === autoExpandKey) return;
+    
     // CRITICAL PATH: Check if today exists in the itinerary
-    const todayExistsInItinerary = parsedItineraryDays.some(
+    const todayExistsInItinerary = importedItineraryDays.some(
       dayEntry => dayEntry.dateKey === todayDateKey
     );
     
     if (todayExistsInItinerary) {
+      lastAutoExpandedDayRef.current = autoExpandKey;
       setExpandedDayKeys(new Set([todayDateKey]));
       
       // Scroll to today's card after DOM updates
@@ -299,7 +536,7 @@ export function ItineraryPage() {
         }
       }, 100);
     }
-  }, [isDatabaseReady, parsedItineraryDays, todayDateKey]);
+  }, [isDatabaseReady, activeTripId, importedItineraryDays, todayDateKey]);
 
   // ============================================================================
   // ACTIVITY MANAGEMENT CALLBACKS
@@ -352,95 +589,186 @@ export function ItineraryPage() {
     }
   }, [removeActivityFromDatabase, deleteOriginalActivityFromDatabase]);
 
+  // ============================================================================
+  // MEAL MANAGEMENT CALLBACKS
+  // ============================================================================
+
+  /**
+   * Adds a new manual meal for a specific date.
+   * @param {Object} mealData - The meal data to add
+   * @param {string} dateKey - The date key (YYYY-MM-DD) to add the meal to
+   */
+  const handleAddManualMeal = useCallback(async (mealData, dateKey) => {
+    const [, addErr] = await addMealToDatabase(dateKey, mealData);
+    if (addErr) {
+      console.error('Failed to add meal:', addErr);
+    }
+  }, [addMealToDatabase]);
+
+  /**
+   * Updates an existing manual meal.
+   * @param {Object} mealData - The updated meal data (must include id)
+   * @param {string} dateKey - The date key for the meal
+   */
+  const handleUpdateManualMeal = useCallback(async (mealData, dateKey) => {
+    const [, updateErr] = await updateMealInDatabase(dateKey, mealData.id, mealData);
+    if (updateErr) {
+      console.error('Failed to update meal:', updateErr);
+    }
+  }, [updateMealInDatabase]);
+
+  /**
+   * Removes a meal - handles both manual and imported meals.
+   * Manual meals are deleted, imported ones are soft-deleted.
+   * @param {string} mealId - The ID of the meal to remove
+   * @param {string} dateKey - The date key for the meal
+   */
+  const handleRemoveMeal = useCallback(async (mealId, dateKey) => {
+    const [, removeErr] = isManualMealId(mealId)
+      ? await removeMealFromDatabase(dateKey, mealId)
+      : await deleteOriginalMealFromDatabase(dateKey, mealId);
+    if (removeErr) {
+      console.error('Failed to remove meal:', removeErr);
+    }
+  }, [removeMealFromDatabase, deleteOriginalMealFromDatabase]);
+
+  // ============================================================================
+  // EXPENSE MANAGEMENT CALLBACKS
+  // ============================================================================
+
+  /**
+   * Adds a new expense or updates an existing one.
+   * @param {Object} expenseData - The expense data (with id when editing)
+   */
+  const handleSaveExpense = useCallback(async (expenseData) => {
+    const [, saveErr] = await saveExpenseToDatabase(expenseData);
+    if (saveErr) {
+      console.error('Failed to save expense:', saveErr);
+    }
+  }, [saveExpenseToDatabase]);
+
+  /**
+   * Removes a recorded expense.
+   * @param {string} expenseId - The ID of the expense to remove
+   */
+  const handleRemoveExpense = useCallback(async (expenseId) => {
+    const [, removeErr] = await removeExpenseFromDatabase(expenseId);
+    if (removeErr) {
+      console.error('Failed to remove expense:', removeErr);
+    }
+  }, [removeExpenseFromDatabase]);
+
+  /**
+   * Sets who pays an item's estimated cost and how it is shared.
+   * @param {string} itemId - The segment, meal or activity ID
+   * @param {{payer: string, split: Object|null}|null} costSplit - Payer and split, null to unassign
+   */
+  const handleAssignCostSplit = useCallback(async (itemId, costSplit) => {
+    const [, assignErr] = await assignCostSplitInDatabase(itemId, costSplit);
+    if (assignErr) {
+      console.error('Failed to assign cost split:', assignErr);
+    }
+  }, [assignCostSplitInDatabase]);
+
+  /**
+   * Converts an amount between currencies with the trip's rate table.
+   * Callers leave amounts without a rate out and say so.
+   * @param {number} amount - Amount in the source currency
+   * @param {string} fromCurrencyCode - ISO code of the source currency
+   * @param {string} toCurrencyCode - ISO code of the target currency
+   * @param {string} [dateKey] - Day of the amount, for locked rates
+   * @returns {number|null} Converted amount, null without a rate
+   */
+  const convertBetweenCurrencies = useCallback((amount, fromCurrencyCode, toCurrencyCode, dateKey) => {
+    return convertWithRateTable(tripRateTable, amount, fromCurrencyCode, toCurrencyCode, dateKey);
+  }, [tripRateTable]);
+
+  // ============================================================================
+  // SEGMENT EDITING
+  // ============================================================================
+
+  /**
+   * Opens the edit modal for an imported segment.
+   * @param {'travel'|'shelter'|'meal'} segmentKind - Which form to show
+   * @param {string} segmentId - ID of the segment to edit
+   */
+  const handleEditSegment = useCallback((segmentKind, segmentId) => {
+    setSegmentEditTarget({ segmentKind, segmentId });
+  }, []);
+
+  /**
+   * Raw segment behind the item being edited (null while the fallback
+   * itinerary is shown, which is not stored anywhere).
+   */
+  const segmentBeingEdited = useMemo(() => {
+    if (!segmentEditTarget) return null;
+    return findRawSegment(storedItineraryData, segmentEditTarget.segmentId)?.segment || null;
+  }, [segmentEditTarget, storedItineraryData]);
+
   // ============================================================================
   // BUDGET CALCULATIONS
   // ============================================================================
 
   /**
-   * Calculates total costs across all days, with proper deduplication.
-   * Aggregates costs from travel, shelter, activities, and manual activities.
+   * Totals estimated costs (each item once) and recorded expenses in the
+   * home currency, trip-wide, per category and per day. Costs and a budget
+   * in a currency without a rate are left out and listed instead.
    */
   const budgetTotals = useMemo(() => {
-    const costAccumulatorByCurrency = {};
-    let totalUnbookedItemCount = 0;
-    let totalCostInUSD = 0;
-    
-    // Track segment IDs we've already counted to avoid duplicates
-    const countedCostIdentifiers = new Set();
+    const homeCurrency = tripRateTable.homeCurrency;
     
-    // CRITICAL PATH: Iterate through all days to aggregate costs
-    parsedItineraryDays.forEach(dayEntry => {
-      // Aggregate costs from travel segments (only count each segment once)
-      dayEntry.travel?.forEach(travelSegment => {
-        if (travelSegment.estimatedCost && travelSegment.currency && travelSegment.id) {
-          if (!countedCostIdentifiers.has(travelSegment.id)) {
-            countedCostIdentifiers.add(travelSegment.id);
-            const currencyCode = travelSegment.currency;
-            costAccumulatorByCurrency[currencyCode] = (costAccumulatorByCurrency[currencyCode] || 0) + travelSegment.estimatedCost;
-            totalCostInUSD += convertCurrencyToUSD(travelSegment.estimatedCost, currencyCode);
-          }
-        }
-      });
-      
-      // Aggregate costs from shelter - only count on first day of stay
-      if (dayEntry.shelter?.estimatedCost && dayEntry.shelter?.currency) {
-        const isFirstDayOfMultiDayStay = !dayEntry.shelter.isMultiDayStay || dayEntry.shelter.dayOfStay === 1;
-        const shelterCostId = generateShelterCostIdentifier(dayEntry.shelter);
-        
-        if (isFirstDayOfMultiDayStay && !countedCostIdentifiers.has(shelterCostId)) {
-          countedCostIdentifiers.add(shelterCostId);
-          const currencyCode = dayEntry.shelter.currency;
-          costAccumulatorByCurrency[currencyCode] = (costAccumulatorByCurrency[currencyCode] || 0) + dayEntry.shelter.estimatedCost;
-          totalCostInUSD += convertCurrencyToUSD(dayEntry.shelter.estimatedCost, currencyCode);
-        }
-      }
-      
-      // Aggregate costs from existing activities
-      dayEntry.activities?.forEach(activityItem => {
-        if (activityItem.estimatedCost && activityItem.currency) {
-          const activityCostId = generateActivityCostIdentifier(activityItem, dayEntry.dateKey);
-          // Skip if this activity was soft-deleted
-          if (deletedActivityIdsByDate[dayEntry.dateKey]?.includes(activityCostId)) return;
-          if (!countedCostIdentifiers.has(activityCostId)) {
-            countedCostIdentifiers.add(activityCostId);
-            const currencyCode = activityItem.currency;
-            costAccumulatorByCurrency[currencyCode] = (costAccumulatorByCurrency[currencyCode] || 0) + activityItem.estimatedCost;
-            totalCostInUSD += convertCurrencyToUSD(activityItem.estimatedCost, currencyCode);
-          }
-        }
-      });
-      
-      // Count unbooked items
-      if (dayEntry.metadata?.unbootedCount) {
-        totalUnbookedItemCount += dayEntry.metadata.unbootedCount;
-      }
+    // CRITICAL PATH: Estimated costs come from live days, so soft-deletes and manual items count
+    const estimatedCosts = collectEstimatedCosts(parsedItineraryDays, dayUserItems);
+    const costComparison = compareEstimatedAndActual(
+      estimatedCosts,
+      recordedExpenses,
+      (amount, currencyCode, dateKey) => convertBetweenCurrencies(amount, currencyCode, homeCurrency, dateKey) ?? 0
+    );
+    const currenciesWithoutRate = findCurrenciesWithoutRate(tripRateTable, [
+      ...estimatedCosts.map(estimatedCost => estimatedCost.currency),
+      ...recordedExpenses.map(expenseRecord => expenseRecord.currency)
+    ]);
+
+    // Each cost at its own day's rate, so the chips add up to the estimated total
+    const homeAmountByCurrency = {};
+    estimatedCosts.forEach(estimatedCost => {
+      const homeAmount = convertBetweenCurrencies(estimatedCost.amount, estimatedCost.currency, homeCurrency, estimatedCost.dateKey);
+      if (homeAmount === null) return;
+      homeAmountByCurrency[estimatedCost.currency] = (homeAmountByCurrency[estimatedCost.currency] || 0) + homeAmount;
     });
     
-    // Aggregate costs from manually-added activities
-    Object.entries(manualActivitiesLookup).forEach(([dateKey, activitiesForDate]) => {
-      activitiesForDate.forEach(manualActivity => {
-        if (manualActivity.estimatedCost && manualActivity.currency) {
-          const currencyCode = manualActivity.currency;
-          costAccumulatorByCurrency[currencyCode] = (costAccumulatorByCurrency[currencyCode] || 0) + manualActivity.estimatedCost;
-          totalCostInUSD += convertCurrencyToUSD(manualActivity.estimatedCost, currencyCode);
-        }
-      });
-    });
+    const totalUnbookedItemCount = parsedItineraryDays.reduce(
+      (unbookedCount, dayEntry) => unbookedCount + (dayEntry.metadata?.unbootedCount || 0),
+      0
+    );
     
-    // Calculate budget summary values
-    const totalBudgetAmount = tripBudgetConfig.total || 3500;
-    const remainingBudgetAmount = totalBudgetAmount - totalCostInUSD;
-    const budgetUsedPercentage = (totalCostInUSD / totalBudgetAmount) * 100;
+    // Calculate budget summary values (the budget is set in the trip's budget currency)
+    const budgetCurrency = tripBudgetConfig.currency || homeCurrency;
+    const totalBudgetAmount = convertWithRateTable(tripRateTable, tripBudgetConfig.total || 3500, budgetCurrency, homeCurrency);
+    const totalCostInHomeCurrency = costComparison.trip.estimated;
+    // CRITICAL PATH: Without a budget rate, remaining and used stay unknown rather than compared 1:1
+    const remainingBudgetAmount = totalBudgetAmount === null ? null : totalBudgetAmount - totalCostInHomeCurrency;
+    const budgetUsedPercentage = totalBudgetAmount === null ? null : (totalCostInHomeCurrency / totalBudgetAmount) * 100;
     
     return { 
-      costByCurrency: costAccumulatorByCurrency, 
+      costByCurrency: sumAmountsByCurrency(estimatedCosts), 
+      homeAmountByCurrency,
+      currenciesWithoutRate,
+      budgetCurrencyWithoutRate: totalBudgetAmount === null ? budgetCurrency : null,
+      // Everything the rates editor offers to add, the budget currency included
+      currenciesMissingFromRates: totalBudgetAmount === null
+        ? [...new Set([...currenciesWithoutRate, budgetCurrency])].sort()
+        : currenciesWithoutRate,
       totalUnbooked: totalUnbookedItemCount, 
-      totalUSD: totalCostInUSD, 
+      estimatedTotal: totalCostInHomeCurrency, 
+      actualTotal: costComparison.trip.actual,
+      comparisonByCategory: costComparison.byCategory,
+      comparisonByDate: costComparison.byDate,
       budget: totalBudgetAmount, 
       remaining: remainingBudgetAmount, 
       percentUsed: budgetUsedPercentage 
     };
-  }, [manualActivitiesLookup, deletedActivityIdsByDate, parsedItineraryDays, tripBudgetConfig]);
+  }, [parsedItineraryDays, dayUserItems, recordedExpenses, tripBudgetConfig, tripRateTable, convertBetweenCurrencies]);
 
   /**
    * Formatted trip date range for header display.
@@ -449,12 +777,83 @@ export function ItineraryPage() {
     return calculateTripDateRangeDisplay(parsedItineraryDays);
   }, [parsedItineraryDays]);
 
+  /**
+   * Upcoming flights without a boarding pass and passes that don't match their flight.
+   */
+  const boardingPassCoverage = useMemo(() => {
+    return summarizeBoardingPassCoverage(parsedItineraryDays, boardingPassesBySegment, todayDateKey);
+  }, [parsedItineraryDays, boardingPassesBySegment, todayDateKey]);
+
+  /**
+   * Flight connections rated against the minimum connection rules, keyed by
+   * the date the onward flight departs.
+   */
+  const connectionsByDate = useMemo(() => {
+    const connectionsLookup = {};
+    for (const flightConnection of analyzeTripConnections(parsedItineraryDays, tripConnectionRules)) {
+      if (!connectionsLookup[flightConnection.dateKey]) connectionsLookup[flightConnection.dateKey] = [];
+      connectionsLookup[flightConnection.dateKey].push(flightConnection);
+    }
+    return connectionsLookup;
+    // isAirportDatabaseReady: transfer types need airport countries
+  }, [parsedItineraryDays, tripConnectionRules, isAirportDatabaseReady]);
+
+  /**
+   * Statuses used in the imported data that aren't built in or registered.
+   */
+  const unregisteredStatusCodes = useMemo(() => {
+    return findUnregisteredStatusCodes(storedItineraryData, customStatuses);
+  }, [storedItineraryData, customStatuses]);
+
+  // Full-text index over every day and item, boarding passes included
+  const itinerarySearchIndex = useMemo(
+    () => buildSearchIndex(parsedItineraryDays, dayUserItems, boardingPassesBySegment),
+    [parsedItineraryDays, dayUserItems, boardingPassesBySegment]
+  );
+
+  /**
+   * Result of the current search query, null without one.
+   */
+  const itinerarySearchResult = useMemo(() => {
+    const searchTerms = parseSearchTerms(searchQueryText);
+    if (searchTerms.length === 0) return null;
+    return { ...searchItinerary(itinerarySearchIndex, searchTerms), searchTerms };
+  }, [itinerarySearchIndex, searchQueryText]);
+
+  // Terms and items the day cards mark (null without a search)
+  const searchHighlight = useMemo(() => (
+    itinerarySearchResult && {
+      searchTerms: itinerarySearchResult.searchTerms,
+      matchedItemIds: itinerarySearchResult.matchedItemIds
+    }
+  ), [itinerarySearchResult]);
+
   /**
    * Filtered itinerary based on current search query.
    */
   const filteredItineraryDays = useMemo(() => {
-    return filterItineraryBySearchQuery(parsedItineraryDays, searchQueryText);
-  }, [searchQueryText, parsedItineraryDays]);
+    return filterItineraryBySearchResult(parsedItineraryDays, itinerarySearchResult);
+  }, [itinerarySearchResult, parsedItineraryDays]);
+
+  // ============================================================================
+  // SEARCH AUTO-EXPAND EFFECT
+  // ============================================================================
+
+  /**
+   * Opens the sections holding a match, and their days when only a few
+   * match. Sections the user opened stay open.
+   */
+  useEffect(() => {
+    if (!itinerarySearchResult || itinerarySearchResult.matchedSectionKeys.size === 0) return;
+
+    const matchedSectionKeys = Array.from(itinerarySearchResult.matchedSectionKeys);
+    setExpandedSectionKeys(prevExpanded => new Set([...prevExpanded, ...matchedSectionKeys]));
+
+    const matchedDayKeys = new Set(matchedSectionKeys.map(sectionKey => sectionKey.split(':')[0]));
+    if (matchedDayKeys.size <= MAX_AUTO_EXPANDED_SEARCH_DAYS) {
+      setExpandedDayKeys(prevExpanded => new Set([...prevExpanded, ...matchedDayKeys]));
+    }
+  }, [itinerarySearchResult]);
 
   // ============================================================================
   // UI TOGGLE HANDLERS
@@ -507,13 +906,38 @@ export function ItineraryPage() {
     setExpandedDayKeys(new Set([dayKey]));
     
     // Expand all sections for the clicked day
-    const sectionNames = ['travel', 'shelter', 'meals', 'activities'];
+    const sectionNames = ['travel', 'shelter', 'meals', 'activities', 'expenses'];
     const newExpandedSections = new Set(
       sectionNames.map(section => `${dayKey}:${section}`)
     );
     setExpandedSectionKeys(newExpandedSections);
   }, []);
 
+  /**
+   * Handles picking a day on the trip overview map, the "To book" or the
+   * cost splitting dashboard - closes the overlay, expands the day and
+   * scrolls to its card.
+   * @param {string} dayKey - Date key of the clicked marker or item
+   */
+  const handleOverlayDaySelect = useCallback((dayKey) => {
+    setIsTripMapOpen(false);
+    setIsBookingDashboardOpen(false);
+    setIsCostSplitDashboardOpen(false);
+    
+    // A search that hides the day would leave nothing to scroll to
+    if (!filteredItineraryDays.some(dayEntry => dayEntry.dateKey === dayKey)) {
+      setSearchQueryText("");
+    }
+    handleDateNavigationClick(dayKey);
+    
+    setTimeout(() => {
+      const dayCardElement = document.getElementById(`day-${dayKey}`);
+      if (dayCardElement) {
+        dayCardElement.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      }
+    }, 100);
+  }, [filteredItineraryDays, handleDateNavigationClick]);
+
   // ============================================================================
   // CONDITIONAL RENDERS (Loading, Setup, Error States)
   // ============================================================================
@@ -552,6 +976,7 @@ export function ItineraryPage() {
         onComplete={completeSetupWizard}
         onImportJson={importJsonToDatabase}
         onReset={resetAllDatabaseData}
+        onCancel={tripLibrary.length > 0 ? completeSetupWizard : undefined}
       />
     );
   }
@@ -589,6 +1014,16 @@ export function ItineraryPage() {
         onDateClick={handleDateNavigationClick}
       />
       
+      {/* Live "Now / Next" banner while the trip is running */}
+      {isLiveModeOn && liveTripState?.phase === 'during' && (
+        <LiveTripBanner
+          liveTripState={liveTripState}
+          nowMilliseconds={nowMilliseconds}
+          onSelectDay={handleOverlayDaySelect}
+          onClose={() => setIsLiveModeOn(false)}
+        />
+      )}
+      
       {/* ================================================================
           HEADER SECTION
           ================================================================ */}
@@ -599,9 +1034,16 @@ export function ItineraryPage() {
             <p className="text-sm md:text-base text-zinc-400 mb-4 md:mb-6">{tripDateRangeDisplay}</p>
           </div>
           <div className="flex gap-2">
+            <TripSwitcher
+              trips={tripLibrary}
+              activeTripId={activeTripId}
+              onSwitchTrip={switchToTrip}
+              onAddTrip={openWizardForNewTrip}
+              onDeleteTrip={deleteTripFromLibrary}
+            />
             <button
               onClick={async () => {
-                const [, exportErr] = await downloadUserDataAsJson();
+                const [, exportErr] = await downloadUserDataAsJson(activeTripId);
                 if (exportErr) {
                   console.error('Failed to export data:', exportErr);
                   alert('Failed to export data. Check console for details.');
@@ -614,7 +1056,21 @@ export function ItineraryPage() {
             </button>
             <button
               onClick={async () => {
-                if (confirm('Reset all data? You will need to upload your JSON file again.')) {
+                const [, calendarErr] = await downloadItineraryAsIcs(activeTripId);
+                if (calendarErr) {
+                  console.error('Failed to export calendar:', calendarErr);
+                  alert('Failed to export calendar. Check console for details.');
+                }
+              }}
+              className="flex items-center gap-1.5 px-3 py-1.5 text-xs text-zinc-400 hover:text-blue-400 hover:bg-zinc-800/50 rounded-lg transition-colors border border-zinc-800 hover:border-blue-500/30"
+              title="Download as calendar (.ics)"
+            >
+              <CalendarPlus className="h-3.5 w-3.5" />
+              Calendar
+            </button>
+            <button
+              onClick={async () => {
+                if (confirm('Reset all data? Every trip in your library will be removed and you will need to upload your JSON files again.')) {
                   const [, clearErr] = await clearAllData();
                   if (clearErr) {
                     console.error('Failed to clear data:', clearErr);
@@ -639,8 +1095,21 @@ export function ItineraryPage() {
             <div className="flex items-center gap-2">
               <Wallet className="h-4 w-4 md:h-5 md:w-5 text-emerald-400" />
               <span className="text-sm md:text-base font-semibold text-zinc-200">Trip Budget</span>
+              {storedItineraryData && (
+                <button
+                  onClick={() => setIsExchangeRatesOpen(true)}
+                  className="flex items-center gap-1 px-2 py-0.5 rounded-md text-xs text-zinc-400 hover:text-zinc-200 hover:bg-zinc-800 transition-colors"
+                >
+                  <ArrowLeftRight className="h-3.5 w-3.5" />
+                  Rates
+                </button>
+              )}
             </div>
-            <span className="text-lg md:text-2xl font-bold text-white">${budgetTotals.budget.toLocaleString()} USD</span>
+            <span className="text-lg md:text-2xl font-bold text-white">
+              {budgetTotals.budget === null
+                ? `${(tripBudgetConfig.total || 3500).toLocaleString()} ${budgetTotals.budgetCurrencyWithoutRate}`
+                : `${formatHomeAmount(budgetTotals.budget)} ${tripRateTable.homeCurrency}`}
+            </span>
           </div>
           
           {/* Budget Progress Bar */}
@@ -650,34 +1119,43 @@ export function ItineraryPage() {
                 "absolute left-0 top-0 h-full rounded-full transition-all",
                 getBudgetProgressBarColorClass(budgetTotals.percentUsed)
               )}
-              style={{ width: `${Math.min(budgetTotals.percentUsed, 100)}%` }}
+              style={{ width: `${Math.min(budgetTotals.percentUsed ?? 0, 100)}%` }}
             />
           </div>
           
           {/* Budget Statistics Row */}
-          <div className="grid grid-cols-3 gap-2 md:gap-4 text-center">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2 md:gap-4 text-center">
             <div>
-              <div className="text-xs text-zinc-500 mb-1">Spent</div>
+              <div className="text-xs text-zinc-500 mb-1">Estimated</div>
               <div className="text-base md:text-lg font-bold text-amber-400">
-                ${Math.round(budgetTotals.totalUSD).toLocaleString()}
+                {formatHomeAmount(budgetTotals.estimatedTotal)}
+              </div>
+            </div>
+            <div>
+              <div className="text-xs text-zinc-500 mb-1">Actual</div>
+              <div className={classNames(
+                "text-base md:text-lg font-bold",
+                budgetTotals.actualTotal > budgetTotals.estimatedTotal ? "text-red-400" : "text-sky-400"
+              )}>
+                {formatHomeAmount(budgetTotals.actualTotal)}
               </div>
             </div>
             <div>
               <div className="text-xs text-zinc-500 mb-1">Remaining</div>
               <div className={classNames(
                 "text-base md:text-lg font-bold",
-                getRemainingBudgetColorClass(budgetTotals.remaining)
+                budgetTotals.remaining === null ? "text-zinc-500" : getRemainingBudgetColorClass(budgetTotals.remaining)
               )}>
-                ${Math.round(budgetTotals.remaining).toLocaleString()}
+                {budgetTotals.remaining === null ? '—' : formatHomeAmount(budgetTotals.remaining)}
               </div>
             </div>
             <div>
               <div className="text-xs text-zinc-500 mb-1">Used</div>
               <div className={classNames(
                 "text-base md:text-lg font-bold",
-                getPercentUsedColorClass(budgetTotals.percentUsed)
+                budgetTotals.percentUsed === null ? "text-zinc-500" : getPercentUsedColorClass(budgetTotals.percentUsed)
               )}>
-                {Math.round(budgetTotals.percentUsed)}%
+                {budgetTotals.percentUsed === null ? '—' : `${Math.round(budgetTotals.percentUsed)}%`}
               </div>
             </div>
           </div>
@@ -691,17 +1169,52 @@ export function ItineraryPage() {
                   <span key={currencyCode} className="px-2 py-1 bg-zinc-800 rounded-lg text-xs md:text-sm">
                     <span className="text-zinc-400">{currencyCode}:</span>{' '}
                     <span className="text-zinc-200 font-medium">{currencyAmount.toLocaleString()}</span>
+                    {currencyCode !== tripRateTable.homeCurrency && budgetTotals.homeAmountByCurrency[currencyCode] !== undefined && (
+                      <span className="text-zinc-500">
+                        {' '}≈ {formatCurrencyAmount(budgetTotals.homeAmountByCurrency[currencyCode], tripRateTable.homeCurrency, true)}
+                      </span>
+                    )}
                   </span>
                 ))}
               </div>
             </div>
           )}
+
+          {/* Missing Exchange Rates Notice */}
+          {budgetTotals.currenciesWithoutRate.length > 0 && (
+            <button
+              onClick={() => setIsExchangeRatesOpen(true)}
+              disabled={!storedItineraryData}
+              className="mt-3 flex items-center gap-1.5 text-xs md:text-sm text-amber-300 hover:text-amber-200 transition text-left"
+            >
+              <AlertCircle className="h-4 w-4 flex-shrink-0" />
+              No exchange rate for {budgetTotals.currenciesWithoutRate.join(', ')}; these costs are left out of the totals
+            </button>
+          )}
+          {budgetTotals.budgetCurrencyWithoutRate && (
+            <button
+              onClick={() => setIsExchangeRatesOpen(true)}
+              disabled={!storedItineraryData}
+              className="mt-3 flex items-center gap-1.5 text-xs md:text-sm text-amber-300 hover:text-amber-200 transition text-left"
+            >
+              <AlertCircle className="h-4 w-4 flex-shrink-0" />
+              No exchange rate for the budget currency {budgetTotals.budgetCurrencyWithoutRate}; remaining and used are unknown
+            </button>
+          )}
+
+          {/* Estimated vs Actual Breakdown */}
+          <BudgetBreakdown
+            comparisonByCategory={budgetTotals.comparisonByCategory}
+            comparisonByDate={budgetTotals.comparisonByDate}
+            days={parsedItineraryDays}
+            onSelectDay={handleOverlayDaySelect}
+          />
         </div>
 
         {/* ================================================================
             STATS CARDS ROW
             ================================================================ */}
-        <div className="grid grid-cols-2 gap-3 md:gap-4 mb-4 md:mb-6">
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-3 md:gap-4 mb-4 md:mb-6">
           {/* Items to Book Card */}
           <div className={classNames(
             "border rounded-xl p-3 md:p-4",
@@ -731,6 +1244,42 @@ export function ItineraryPage() {
               {parsedItineraryDays.length} days
             </div>
           </div>
+
+          {/* Boarding Pass Coverage Card */}
+          {boardingPassCoverage.flightCount > 0 && (
+            <div className={classNames(
+              "col-span-2 md:col-span-1 border rounded-xl p-3 md:p-4",
+              boardingPassCoverage.flightsMissingPasses.length > 0 || boardingPassCoverage.mismatchedPassCount > 0
+                ? "bg-amber-950/30 border-amber-800/60"
+                : "bg-zinc-900/60 border-zinc-800"
+            )}>
+              <div className="flex items-center gap-2 text-zinc-400 text-xs md:text-sm mb-1">
+                <Ticket className="h-3 w-3 md:h-4 md:w-4" />
+                <span>Boarding Passes</span>
+              </div>
+              <div className={classNames(
+                "text-lg md:text-xl font-bold",
+                boardingPassCoverage.flightsMissingPasses.length > 0 ? "text-amber-400" : "text-emerald-400"
+              )}>
+                {boardingPassCoverage.flightsMissingPasses.length > 0
+                  ? `${boardingPassCoverage.flightsMissingPasses.length} flights missing`
+                  : 'All flights covered ✓'}
+              </div>
+              {boardingPassCoverage.flightsMissingPasses.length > 0 && (
+                <div
+                  className="mt-1 text-[11px] text-zinc-500 truncate"
+                  title={boardingPassCoverage.flightsMissingPasses.map(flight => `${flight.flight || ''} ${flight.route || ''} (${flight.date})`).join('\n')}
+                >
+                  {boardingPassCoverage.flightsMissingPasses.map(flight => flight.flight || flight.route).join(', ')}
+                </div>
+              )}
+              {boardingPassCoverage.mismatchedPassCount > 0 && (
+                <div className="mt-1 text-[11px] text-red-400">
+                  ⚠️ {boardingPassCoverage.mismatchedPassCount} pass{boardingPassCoverage.mismatchedPassCount === 1 ? '' : 'es'} don't match their flight
+                </div>
+              )}
+            </div>
+          )}
         </div>
 
         {/* ================================================================
@@ -742,7 +1291,7 @@ export function ItineraryPage() {
             <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 md:h-5 md:w-5 text-zinc-500" />
             <input
               type="text"
-              placeholder="Search by date, location..."
+              placeholder="Search activities, stays, meals, flights, notes..."
               value={searchQueryText}
               onChange={(changeEvent) => setSearchQueryText(changeEvent.target.value)}
               className="w-full pl-9 md:pl-10 pr-4 py-2 text-sm md:text-base rounded-lg bg-zinc-900 border border-zinc-800 text-zinc-100 placeholder-zinc-500 focus:outline-none focus:ring-2 focus:ring-blue-600"
@@ -768,12 +1317,82 @@ export function ItineraryPage() {
               <span className="hidden sm:inline">{areBackupPlansVisible ? "Hide Backup Plans" : "Show Backup Plans"}</span>
               <span className="sm:hidden">{areBackupPlansVisible ? "Hide" : "Backups"}</span>
             </button>
+            {!isLiveModeOn && liveTripState?.phase === 'during' && (
+              <button
+                onClick={() => setIsLiveModeOn(true)}
+                className="flex items-center gap-1.5 md:gap-2 px-3 md:px-4 py-2 rounded-lg text-sm md:text-base font-medium transition bg-blue-600 hover:bg-blue-500 text-white"
+              >
+                <Radio className="h-4 w-4" />
+                <span className="hidden sm:inline">Now / Next</span>
+                <span className="sm:hidden">Live</span>
+              </button>
+            )}
+            <button
+              onClick={() => setIsTripMapOpen(true)}
+              className="flex items-center gap-1.5 md:gap-2 px-3 md:px-4 py-2 rounded-lg text-sm md:text-base font-medium transition bg-zinc-800 hover:bg-zinc-700 text-zinc-100"
+            >
+              <Globe2 className="h-4 w-4" />
+              <span className="hidden sm:inline">Trip Map</span>
+              <span className="sm:hidden">Map</span>
+            </button>
+            <button
+              onClick={() => setIsOfflineMapsOpen(true)}
+              className="flex items-center gap-1.5 md:gap-2 px-3 md:px-4 py-2 rounded-lg text-sm md:text-base font-medium transition bg-zinc-800 hover:bg-zinc-700 text-zinc-100"
+            >
+              <DownloadCloud className="h-4 w-4" />
+              <span className="hidden sm:inline">Offline Maps</span>
+              <span className="sm:hidden">Offline</span>
+            </button>
+            <button
+              onClick={() => setIsRemindersOpen(true)}
+              className="flex items-center gap-1.5 md:gap-2 px-3 md:px-4 py-2 rounded-lg text-sm md:text-base font-medium transition bg-zinc-800 hover:bg-zinc-700 text-zinc-100"
+            >
+              <Bell className="h-4 w-4" />
+              <span className="hidden sm:inline">Reminders</span>
+              <span className="sm:hidden">Alerts</span>
+            </button>
+            <button
+              onClick={() => setIsBookingDashboardOpen(true)}
+              className="flex items-center gap-1.5 md:gap-2 px-3 md:px-4 py-2 rounded-lg text-sm md:text-base font-medium transition bg-zinc-800 hover:bg-zinc-700 text-zinc-100"
+            >
+              <ClipboardList className="h-4 w-4" />
+              <span className="hidden sm:inline">To Book</span>
+              <span className="sm:hidden">Book</span>
+            </button>
+            <button
+              onClick={() => setIsCostSplitDashboardOpen(true)}
+              className="flex items-center gap-1.5 md:gap-2 px-3 md:px-4 py-2 rounded-lg text-sm md:text-base font-medium transition bg-zinc-800 hover:bg-zinc-700 text-zinc-100"
+            >
+              <Users className="h-4 w-4" />
+              <span className="hidden sm:inline">Split Costs</span>
+              <span className="sm:hidden">Split</span>
+            </button>
+            {storedItineraryData && (
+              <button
+                onClick={() => setIsStatusSettingsOpen(true)}
+                className="flex items-center gap-1.5 md:gap-2 px-3 md:px-4 py-2 rounded-lg text-sm md:text-base font-medium transition bg-zinc-800 hover:bg-zinc-700 text-zinc-100"
+              >
+                <Tags className="h-4 w-4" />
+                <span>Statuses</span>
+              </button>
+            )}
           </div>
 
           {/* Filter Summary */}
           <div className="text-xs md:text-sm text-zinc-400">
             Showing {filteredItineraryDays.length} of {parsedItineraryDays.length} days
           </div>
+
+          {/* Unregistered Statuses Notice */}
+          {unregisteredStatusCodes.length > 0 && (
+            <button
+              onClick={() => setIsStatusSettingsOpen(true)}
+              className="flex items-center gap-1.5 text-xs md:text-sm text-amber-300 hover:text-amber-200 transition"
+            >
+              <AlertCircle className="h-4 w-4 flex-shrink-0" />
+              Register {unregisteredStatusCodes.length} unknown {unregisteredStatusCodes.length === 1 ? 'status' : 'statuses'} found in your itinerary: {unregisteredStatusCodes.join(', ')}
+            </button>
+          )}
         </div>
       </div>
 
@@ -797,10 +1416,29 @@ export function ItineraryPage() {
             onAddActivity={handleAddManualActivity}
             onRemoveActivity={handleRemoveActivity}
             onUpdateActivity={handleUpdateManualActivity}
+            manualMeals={manualMealsLookup[dayEntry.dateKey] || EMPTY_ARRAY}
+            deletedMealIds={deletedMealIdsByDate[dayEntry.dateKey] || EMPTY_ARRAY}
+            onAddMeal={handleAddManualMeal}
+            onUpdateMeal={handleUpdateManualMeal}
+            onRemoveMeal={handleRemoveMeal}
             todayDateKey={todayDateKey}
             boardingPasses={boardingPassesBySegment}
             onAddBoardingPass={addBoardingPassToDatabase}
             onDeleteBoardingPass={deleteBoardingPassFromDatabase}
+            backupPlans={backupPlansBySegment}
+            onSaveBackupPlan={saveBackupPlanToDatabase}
+            onResetBackupPlan={resetBackupPlanInDatabase}
+            onActivateBackupOption={activateBackupOptionInDatabase}
+            onDeactivateBackupPlan={deactivateBackupPlanInDatabase}
+            onEditSegment={storedItineraryData ? handleEditSegment : undefined}
+            onChangeStatus={storedItineraryData ? changeItemStatusInDatabase : undefined}
+            connections={connectionsByDate[dayEntry.dateKey] || EMPTY_ARRAY}
+            expenses={expensesByDate[dayEntry.dateKey] || EMPTY_ARRAY}
+            costComparison={budgetTotals.comparisonByDate[dayEntry.dateKey]}
+            travelerNames={tripTravelerNames}
+            onSaveExpense={storedItineraryData ? handleSaveExpense : undefined}
+            onRemoveExpense={storedItineraryData ? handleRemoveExpense : undefined}
+            searchHighlight={searchHighlight}
           />
         ))}
 
@@ -812,6 +1450,92 @@ export function ItineraryPage() {
           </div>
         )}
       </div>
+
+      {/* Trip Overview Map Modal */}
+      <TripOverviewMap
+        isOpen={isTripMapOpen}
+        onClose={() => setIsTripMapOpen(false)}
+        days={parsedItineraryDays}
+        manualActivitiesByDate={manualActivitiesLookup}
+        deletedActivityIdsByDate={deletedActivityIdsByDate}
+        onSelectDay={handleOverlayDaySelect}
+      />
+
+      {/* Offline Maps Modal */}
+      <OfflineMapsModal
+        isOpen={isOfflineMapsOpen}
+        onClose={() => setIsOfflineMapsOpen(false)}
+        days={parsedItineraryDays}
+        manualActivitiesByDate={manualActivitiesLookup}
+        deletedActivityIdsByDate={deletedActivityIdsByDate}
+      />
+
+      {/* Reminders Modal */}
+      <RemindersModal
+        isOpen={isRemindersOpen}
+        onClose={() => setIsRemindersOpen(false)}
+        reminderSettings={reminderSettings}
+        reminders={scheduledReminders}
+        onSaveSettings={saveReminderSettingsToDatabase}
+      />
+
+      {/* "To Book" Dashboard Modal */}
+      <BookingDashboard
+        isOpen={isBookingDashboardOpen}
+        onClose={() => setIsBookingDashboardOpen(false)}
+        days={parsedItineraryDays}
+        manualActivitiesByDate={manualActivitiesLookup}
+        deletedActivityIdsByDate={deletedActivityIdsByDate}
+        manualMealsByDate={manualMealsLookup}
+        deletedMealIdsByDate={deletedMealIdsByDate}
+        todayDateKey={todayDateKey}
+        onChangeStatus={storedItineraryData ? changeItemStatusInDatabase : undefined}
+        onSelectDay={handleOverlayDaySelect}
+      />
+
+      {/* Cost Splitting Dashboard Modal */}
+      <CostSplitDashboard
+        isOpen={isCostSplitDashboardOpen}
+        onClose={() => setIsCostSplitDashboardOpen(false)}
+        days={parsedItineraryDays}
+        userItems={dayUserItems}
+        expenses={recordedExpenses}
+        costSplits={costSplitsByItemId}
+        travelerNames={tripTravelerNames}
+        defaultCurrency={tripRateTable.homeCurrency}
+        convertAmount={convertBetweenCurrencies}
+        onAssignCostSplit={storedItineraryData ? handleAssignCostSplit : undefined}
+        onSaveExpense={storedItineraryData ? handleSaveExpense : undefined}
+        onOpenExchangeRates={storedItineraryData ? () => setIsExchangeRatesOpen(true) : undefined}
+        onSelectDay={handleOverlayDaySelect}
+      />
+
+      {/* Status Settings Modal */}
+      <StatusSettingsModal
+        isOpen={isStatusSettingsOpen}
+        onClose={() => setIsStatusSettingsOpen(false)}
+        customStatuses={customStatuses}
+        unregisteredStatusCodes={unregisteredStatusCodes}
+        onSave={saveCustomStatusesToDatabase}
+      />
+
+      {/* Exchange Rates Modal */}
+      <ExchangeRatesModal
+        isOpen={isExchangeRatesOpen}
+        onClose={() => setIsExchangeRatesOpen(false)}
+        rateTable={tripRateTable}
+        currenciesWithoutRate={budgetTotals.currenciesMissingFromRates}
+        onSave={saveRateTableToDatabase}
+      />
+
+      {/* Edit Segment Modal */}
+      <EditSegmentModal
+        isOpen={Boolean(segmentBeingEdited)}
+        onClose={() => setSegmentEditTarget(null)}
+        onSave={updateSegmentInDatabase}
+        segmentKind={segmentEditTarget?.segmentKind}
+        segment={segmentBeingEdited}
+      />
     </div>
   );
 }
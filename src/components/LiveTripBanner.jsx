@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Live "Now / Next" banner for the current trip day.
+ *
+ * Sticks to the top of the itinerary while the trip is running.
+ * Features:
+ * - Local time of the traveler, or "In flight" while aboard
+ * - The current item with the time left, and the next item with a countdown
+ * - The stay for tonight (or the next one) with its address
+ * - Jumps to the live day's card
+ *
+ * @module components/LiveTripBanner
+ */
+
+import { memo } from "react";
+import { Radio, Plane, MapPin, X } from "lucide-react";
+import { formatCountdown, formatLocalClockTime } from "../utils/liveTrip";
+
+/* ============================================================================
+   HELPER FUNCTIONS
+   ============================================================================ */
+
+/**
+ * Builds a maps search link for an address.
+ * @param {string} address - Address or place name
+ * @returns {string} Google Maps URL
+ */
+function buildMapsSearchUrl(address) {
+  return `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(address)}`;
+}
+
+/**
+ * Formats a trip day for the banner (e.g., "Sat, Feb 7").
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @returns {string} Formatted date
+ */
+function formatBannerDate(dateKey) {
+  return new Date(dateKey + 'T00:00:00').toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric'
+  });
+}
+
+/* ============================================================================
+   SUB-COMPONENTS
+   ============================================================================ */
+
+/**
+ * One "Now" or "Next" line of the banner.
+ * @param {Object} props - Component props
+ * @param {string} props.heading - Line heading
+ * @param {string} props.label - Item label, or what to show without an item
+ * @param {string|null} props.timing - Countdown and time, null without an item
+ * @returns {JSX.Element} Banner line
+ */
+function BannerLine({ heading, label, timing }) {
+  return (
+    <div className="flex items-baseline gap-2 min-w-0">
+      <span className="w-10 flex-shrink-0 text-[10px] font-semibold uppercase tracking-wide text-zinc-500">{heading}</span>
+      <span className="truncate text-sm text-zinc-100">{label}</span>
+      {timing && <span className="flex-shrink-0 text-xs text-zinc-400">{timing}</span>}
+    </div>
+  );
+}
+
+/* ============================================================================
+   MAIN COMPONENT
+   ============================================================================ */
+
+/**
+ * Live banner of the current trip day.
+ *
+ * @param {Object} props - Component props
+ * @param {import('../utils/liveTrip').LiveTripState} props.liveTripState - Live state of the trip
+ * @param {number} props.nowMilliseconds - Current time, ticking
+ * @param {Function} props.onSelectDay - Callback to jump to a day (dateKey)
+ * @param {Function} props.onClose - Callback to turn live mode off
+ * @returns {JSX.Element} Sticky banner
+ */
+export const LiveTripBanner = memo(function LiveTripBanner({
+  liveTripState,
+  nowMilliseconds,
+  onSelectDay,
+  onClose
+}) {
+  const { liveDateKey, liveDay, timeZone, isInFlight, currentEntry, nextEntry, nextStay } = liveTripState;
+
+  const currentTiming = currentEntry
+    ? `${isInFlight ? 'lands' : 'ends'} in ${formatCountdown(currentEntry.endUtc, nowMilliseconds)}`
+    : null;
+  const nextTiming = nextEntry
+    ? `in ${formatCountdown(nextEntry.startUtc, nowMilliseconds)} · ${formatLocalClockTime(nextEntry.startUtc, nextEntry.startTimeZone)}`
+    : null;
+  const stayAddress = nextStay && (nextStay.shelter.address || nextStay.shelter.name);
+
+  return (
+    <div className="sticky top-0 z-[1100] max-w-6xl mx-auto lg:mr-32 mb-4 md:mb-6 pt-2 bg-zinc-950/90 backdrop-blur">
+      <div className="border border-blue-800/60 bg-blue-950/40 rounded-xl p-3 space-y-1.5">
+        {/* Day and local time */}
+        <div className="flex items-center justify-between gap-2">
+          <button
+            onClick={() => liveDay && onSelectDay(liveDateKey)}
+            disabled={!liveDay}
+            className="flex items-center gap-2 text-xs font-medium text-blue-300 hover:text-blue-200 disabled:hover:text-blue-300 transition-colors"
+            title={liveDay ? "Go to today's card" : undefined}
+          >
+            <Radio className="h-3.5 w-3.5 text-red-400 animate-pulse" />
+            Live · {formatBannerDate(liveDateKey)}
+            <span className="text-zinc-400 font-normal flex items-center gap-1">
+              {isInFlight
+                ? <><Plane className="h-3 w-3" /> In flight</>
+                : formatLocalClockTime(nowMilliseconds, timeZone)}
+            </span>
+          </button>
+          <button
+            onClick={onClose}
+            className="p-1 rounded-md text-zinc-500 hover:text-zinc-300 hover:bg-zinc-800 transition-colors"
+            aria-label="Turn off live mode"
+          >
+            <X className="h-3.5 w-3.5" />
+          </button>
+        </div>
+
+        <BannerLine heading="Now" label={currentEntry ? currentEntry.label : 'Free time'} timing={currentTiming} />
+        <BannerLine heading="Next" label={nextEntry ? nextEntry.label : 'Nothing else planned'} timing={nextTiming} />
+
+        {/* Stay to head to */}
+        {nextStay && (
+          <div className="flex items-baseline gap-2 min-w-0">
+            <span className="w-10 flex-shrink-0 text-[10px] font-semibold uppercase tracking-wide text-zinc-500">
+              {nextStay.isTonight ? 'Tonight' : 'Stay'}
+            </span>
+            <a
+              href={buildMapsSearchUrl(stayAddress)}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="flex items-center gap-1 min-w-0 text-sm text-zinc-300 hover:text-blue-300 transition-colors"
+            >
+              <MapPin className="h-3.5 w-3.5 flex-shrink-0 text-emerald-400" />
+              <span className="truncate">
+                {nextStay.shelter.name}
+                {nextStay.shelter.address && <span className="text-zinc-500"> · {nextStay.shelter.address}</span>}
+              </span>
+            </a>
+            {!nextStay.isTonight && (
+              <span className="flex-shrink-0 text-xs text-zinc-500">from {formatBannerDate(nextStay.dateKey)}</span>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+});
@@ -14,6 +14,7 @@ import { X, MapPin, ExternalLink } from 'lucide-react';
 import { MapContainer, TileLayer, Marker, Popup, Polyline } from 'react-leaflet';
 import { Icon, DivIcon } from 'leaflet';
 import { useEffect } from 'react';
+import { MAP_TILE_URL_TEMPLATE, MAP_TILE_ATTRIBUTION } from '../utils/offlineMaps';
 
 /* ============================================================================
    MARKER ICON CONFIGURATION
@@ -364,8 +365,8 @@ export function MapModal({ isOpen, onClose, type, data }) {
             style={{ height: '100%', width: '100%' }}
           >
             <TileLayer
-              url="https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png"
-              attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> &copy; <a href="https://carto.com/attributions">CARTO</a>'
+              url={MAP_TILE_URL_TEMPLATE}
+              attribution={MAP_TILE_ATTRIBUTION}
             />
             
             {/* Render markers for each location */}
@@ -16,6 +16,7 @@ import { Icon } from 'leaflet';
 import { MapPin, ExternalLink, Maximize2, Copy, Check } from 'lucide-react';
 import { useState, memo, useCallback } from 'react';
 import { MapModal } from './MapModal';
+import { MAP_TILE_URL_TEMPLATE, MAP_TILE_ATTRIBUTION } from '../utils/offlineMaps';
 
 // ============================================================================
 // CONSTANTS
@@ -293,8 +294,8 @@ export const MapPreview = memo(function MapPreview({ coordinates, name, address,
         >
           {/* Dark theme map tiles from CartoDB */}
           <TileLayer
-            url="https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png"
-            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> &copy; <a href="https://carto.com/attributions">CARTO</a>'
+            url={MAP_TILE_URL_TEMPLATE}
+            attribution={MAP_TILE_ATTRIBUTION}
           />
           
           {/* Location Marker with Popup */}
@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Amount display in its original and the home currency
+ * @module components/MoneyAmount
+ */
+
+import { useSyncExternalStore } from "react";
+import {
+  convertToHomeCurrency,
+  formatHomeAmount,
+  subscribeToExchangeRates,
+  getExchangeRatesSnapshot
+} from "../utils/exchangeRates";
+
+/**
+ * MoneyAmount Component
+ * 
+ * Shows an amount as entered ("12,000 JPY") followed by its approximate
+ * value in the trip's home currency ("≈ $80"). The home value is left out
+ * for amounts already in the home currency, and replaced by a hint when
+ * the currency has no exchange rate.
+ * 
+ * @param {Object} props - Component props
+ * @param {number} props.amount - Amount in its original currency
+ * @param {string} props.currency - ISO 4217 code of the amount
+ * @param {string} [props.dateKey] - Day of the amount, for rates locked on a date
+ * @returns {JSX.Element} Rendered amount
+ * 
+ * @example
+ * <MoneyAmount amount={12000} currency="JPY" dateKey="2026-02-03" />
+ */
+export function MoneyAmount({ amount, currency, dateKey }) {
+  // Re-render when rates or the home currency change
+  const rateTable = useSyncExternalStore(subscribeToExchangeRates, getExchangeRatesSnapshot);
+  const isHomeCurrency = currency === rateTable.homeCurrency;
+  const amountInHomeCurrency = isHomeCurrency ? null : convertToHomeCurrency(amount, currency, dateKey);
+
+  return (
+    <span>
+      {amount.toLocaleString()} {currency}
+      {!isHomeCurrency && (
+        <span className="opacity-60" title={amountInHomeCurrency === null ? `No exchange rate for ${currency}` : `In ${rateTable.homeCurrency}`}>
+          {amountInHomeCurrency === null ? ' · no rate' : ` ≈ ${formatHomeAmount(amountInHomeCurrency)}`}
+        </span>
+      )}
+    </span>
+  );
+}
@@ -0,0 +1,372 @@
+/**
+ * @fileoverview Offline Maps Modal component.
+ *
+ * Downloads the map tiles of the trip so maps keep working without a
+ * connection:
+ * - Pick the zoom levels to download
+ * - See how many tiles that is before starting
+ * - Follow the download, or cancel it
+ * - See how much storage the app uses, and clear the tiles again
+ *
+ * @module components/OfflineMapsModal
+ */
+
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { X, DownloadCloud, HardDrive, Trash2 } from 'lucide-react';
+import { Browser } from 'leaflet';
+import { collectTripMapData } from '../utils/tripMap';
+import {
+  OFFLINE_ZOOM_LEVELS,
+  DEFAULT_OFFLINE_ZOOM_LEVELS,
+  MAX_OFFLINE_TILE_COUNT,
+  APPROXIMATE_TILE_BYTES,
+  collectTripTileBounds,
+  listTilesForBounds,
+  buildTileUrl,
+  downloadMapTiles,
+  getOfflineStorageUsage,
+  clearMapTiles
+} from '../utils/offlineMaps';
+import { classNames } from '../utils/classNames';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** @constant {string} SECTION_HEADING_CLASSES - Styling shared by section headings */
+const SECTION_HEADING_CLASSES = "text-xs font-medium uppercase tracking-wide text-zinc-500 mb-2";
+
+// ============================================================================
+// PURE HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Formats a byte count for display ("12.4 MB").
+ * @pure
+ * @param {number} byteCount - Number of bytes
+ * @returns {string} Human-readable size
+ */
+function formatByteCount(byteCount) {
+  if (byteCount < 1024 * 1024) return `${Math.round(byteCount / 1024)} KB`;
+  if (byteCount < 1024 * 1024 * 1024) return `${(byteCount / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(byteCount / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
+
+// ============================================================================
+// MAIN COMPONENT
+// ============================================================================
+
+/**
+ * @typedef {Object} OfflineMapsModalProps
+ * @property {boolean} isOpen - Whether the modal is visible
+ * @property {Function} onClose - Callback to close the modal
+ * @property {Array<Object>} days - Parsed days of the trip
+ * @property {Object<string, Array<Object>>} manualActivitiesByDate - User-added activities keyed by date
+ * @property {Object<string, Array<string>>} deletedActivityIdsByDate - Hidden activity IDs keyed by date
+ */
+
+/**
+ * Offline Maps Modal component.
+ *
+ * @param {OfflineMapsModalProps} props - Component properties
+ * @returns {JSX.Element|null} The modal component or null if closed
+ */
+export default function OfflineMapsModal({
+  isOpen,
+  onClose,
+  days,
+  manualActivitiesByDate,
+  deletedActivityIdsByDate
+}) {
+  // ============================================================================
+  // STATE
+  // ============================================================================
+
+  /** @type {[Array<number>, Function]} Zoom levels to download */
+  const [selectedZoomLevels, setSelectedZoomLevels] = useState(DEFAULT_OFFLINE_ZOOM_LEVELS);
+
+  /** @type {[{finishedCount: number, totalCount: number}|null, Function]} Progress of the running download */
+  const [downloadProgress, setDownloadProgress] = useState(null);
+
+  /** @type {[Object|null, Function]} Storage usage and cached tile count */
+  const [storageUsage, setStorageUsage] = useState(null);
+
+  /** @type {[{isError: boolean, text: string}|null, Function]} Outcome of the last action */
+  const [statusMessage, setStatusMessage] = useState(null);
+
+  /** @type {React.MutableRefObject<AbortController|null>} Aborts the running download */
+  const downloadAbortControllerRef = useRef(null);
+
+  // ============================================================================
+  // DERIVED DATA
+  // ============================================================================
+
+  /**
+   * Boxes around every day's stays and activities, and around airports.
+   */
+  const tripTileBounds = useMemo(() => {
+    if (!isOpen) return [];
+    const { stops } = collectTripMapData(days, manualActivitiesByDate, deletedActivityIdsByDate);
+    return collectTripTileBounds(stops, days);
+  }, [isOpen, days, manualActivitiesByDate, deletedActivityIdsByDate]);
+
+  /**
+   * Tile URLs for the selected zoom levels, as Leaflet requests them on this screen.
+   */
+  const tripTileUrls = useMemo(() => (
+    listTilesForBounds(tripTileBounds, selectedZoomLevels).map(tile => buildTileUrl(tile, Browser.retina))
+  ), [tripTileBounds, selectedZoomLevels]);
+
+  const isDownloadTooLarge = tripTileUrls.length > MAX_OFFLINE_TILE_COUNT;
+
+  // ============================================================================
+  // EFFECTS
+  // ============================================================================
+
+  /**
+   * Refresh the storage usage whenever the modal opens, and cancel a
+   * running download when it closes.
+   */
+  useEffect(() => {
+    if (!isOpen) return;
+
+    let isEffectActive = true;
+    setStatusMessage(null);
+    getOfflineStorageUsage().then(([usage, usageErr]) => {
+      if (!isEffectActive) return;
+      if (usageErr) setStatusMessage({ isError: true, text: usageErr.message });
+      else setStorageUsage(usage);
+    });
+
+    return () => {
+      isEffectActive = false;
+      downloadAbortControllerRef.current?.abort();
+    };
+  }, [isOpen]);
+
+  // ============================================================================
+  // EVENT HANDLERS
+  // ============================================================================
+
+  /**
+   * Adds or removes a zoom level.
+   * @param {number} zoomLevel - Zoom level to toggle
+   */
+  const handleZoomLevelToggle = (zoomLevel) => {
+    setSelectedZoomLevels(previousZoomLevels => (
+      previousZoomLevels.includes(zoomLevel)
+        ? previousZoomLevels.filter(selectedZoomLevel => selectedZoomLevel !== zoomLevel)
+        : [...previousZoomLevels, zoomLevel].sort((firstZoom, secondZoom) => firstZoom - secondZoom)
+    ));
+  };
+
+  /**
+   * Reloads the storage usage after the cache changed.
+   */
+  const refreshStorageUsage = async () => {
+    const [usage, usageErr] = await getOfflineStorageUsage();
+    if (!usageErr) setStorageUsage(usage);
+  };
+
+  /**
+   * Downloads the tiles of the selected zoom levels.
+   */
+  const handleDownloadClick = async () => {
+    const downloadAbortController = new AbortController();
+    downloadAbortControllerRef.current = downloadAbortController;
+    setStatusMessage(null);
+    setDownloadProgress({ finishedCount: 0, totalCount: tripTileUrls.length });
+
+    const [downloadResult, downloadErr] = await downloadMapTiles(
+      tripTileUrls,
+      (finishedCount, totalCount) => setDownloadProgress({ finishedCount, totalCount }),
+      downloadAbortController.signal
+    );
+
+    downloadAbortControllerRef.current = null;
+    setDownloadProgress(null);
+    await refreshStorageUsage();
+
+    if (downloadErr) {
+      setStatusMessage({ isError: true, text: downloadErr.message });
+    } else if (downloadResult.failedCount > 0) {
+      setStatusMessage({ isError: true, text: `${downloadResult.failedCount} tiles failed to download. Try again to fill the gaps.` });
+    } else {
+      setStatusMessage({ isError: false, text: 'Maps for this trip are ready offline.' });
+    }
+  };
+
+  /**
+   * Removes every downloaded tile.
+   */
+  const handleClearClick = async () => {
+    if (!confirm('Remove all downloaded map tiles? Maps will need a connection again.')) return;
+
+    const [, clearErr] = await clearMapTiles();
+    await refreshStorageUsage();
+    setStatusMessage(clearErr
+      ? { isError: true, text: clearErr.message }
+      : { isError: false, text: 'Downloaded map tiles removed.' });
+  };
+
+  // ============================================================================
+  // RENDER
+  // ============================================================================
+
+  // Early return if modal is closed
+  if (!isOpen) return null;
+
+  const isDownloading = Boolean(downloadProgress);
+
+  return (
+    <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center z-[3000] p-2 md:p-4">
+      <div className="bg-zinc-900 border border-zinc-700 rounded-xl w-full max-w-lg max-h-[95vh] md:max-h-[90vh] overflow-y-auto">
+        {/* ================================================================
+            MODAL HEADER
+            ================================================================ */}
+        <div className="flex items-center justify-between p-3 md:p-4 border-b border-zinc-700 sticky top-0 bg-zinc-900 z-10">
+          <h2 className="text-base md:text-lg font-semibold text-white flex items-center gap-2">
+            <DownloadCloud size={18} className="text-sky-400" />
+            Offline Maps
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-zinc-700 rounded-lg transition-colors"
+            aria-label="Close dialog"
+          >
+            <X size={20} className="text-zinc-400" />
+          </button>
+        </div>
+
+        <div className="p-3 md:p-4 space-y-5">
+          {/* ================================================================
+              ZOOM LEVELS
+              ================================================================ */}
+          <div>
+            <h3 className={SECTION_HEADING_CLASSES}>Zoom levels</h3>
+            <div className="flex flex-wrap gap-1.5">
+              {OFFLINE_ZOOM_LEVELS.map(zoomLevel => (
+                <button
+                  key={zoomLevel}
+                  type="button"
+                  onClick={() => handleZoomLevelToggle(zoomLevel)}
+                  disabled={isDownloading}
+                  className={classNames(
+                    "w-10 py-1.5 rounded-lg border text-sm transition-colors disabled:opacity-50",
+                    selectedZoomLevels.includes(zoomLevel)
+                      ? "border-sky-500 bg-sky-900/40 text-sky-200"
+                      : "border-zinc-700 text-zinc-400 hover:text-zinc-200 hover:bg-zinc-800"
+                  )}
+                >
+                  {zoomLevel}
+                </button>
+              ))}
+            </div>
+            <p className="mt-2 text-xs text-zinc-500">
+              12-13 show a whole city, 15-16 are street level. Each extra level roughly quadruples the download.
+            </p>
+          </div>
+
+          {/* ================================================================
+              DOWNLOAD
+              ================================================================ */}
+          <div className="rounded-lg border border-zinc-700 p-3 space-y-3">
+            <div className="text-sm text-zinc-300">
+              {tripTileBounds.length === 0
+                ? 'No stays or activities with coordinates yet - only the world overview can be downloaded.'
+                : `${tripTileBounds.length} areas, ${tripTileUrls.length.toLocaleString()} tiles (about ${formatByteCount(tripTileUrls.length * APPROXIMATE_TILE_BYTES)})`}
+            </div>
+
+            {isDownloadTooLarge && (
+              <p className="text-xs text-amber-300">
+                That is more than {MAX_OFFLINE_TILE_COUNT.toLocaleString()} tiles. Drop the highest zoom levels to download.
+              </p>
+            )}
+
+            {isDownloading && (
+              <div>
+                <div className="relative h-2 bg-zinc-800 rounded-full overflow-hidden">
+                  <div
+                    className="absolute left-0 top-0 h-full rounded-full bg-sky-500 transition-all"
+                    style={{ width: `${(downloadProgress.finishedCount / Math.max(downloadProgress.totalCount, 1)) * 100}%` }}
+                  />
+                </div>
+                <div className="mt-1 text-xs text-zinc-500">
+                  {downloadProgress.finishedCount.toLocaleString()} of {downloadProgress.totalCount.toLocaleString()} tiles
+                </div>
+              </div>
+            )}
+
+            <div className="flex justify-end gap-2">
+              {isDownloading ? (
+                <button
+                  onClick={() => downloadAbortControllerRef.current?.abort()}
+                  className="px-3 py-1.5 text-sm bg-zinc-800 hover:bg-zinc-700 text-zinc-300 rounded-lg transition-colors"
+                >
+                  Cancel
+                </button>
+              ) : (
+                <button
+                  onClick={handleDownloadClick}
+                  disabled={isDownloadTooLarge}
+                  className="px-3 py-1.5 text-sm bg-sky-600 hover:bg-sky-500 text-white font-medium rounded-lg transition-colors flex items-center gap-1.5 disabled:opacity-50"
+                >
+                  <DownloadCloud size={14} />
+                  Download Maps for This Trip
+                </button>
+              )}
+            </div>
+
+            {statusMessage && (
+              <p className={classNames("text-xs md:text-sm", statusMessage.isError ? "text-red-400" : "text-emerald-400")}>
+                {statusMessage.text}
+              </p>
+            )}
+          </div>
+
+          {/* ================================================================
+              STORAGE USAGE
+              ================================================================ */}
+          <div>
+            <h3 className={SECTION_HEADING_CLASSES}>Storage</h3>
+            {storageUsage ? (
+              <div className="space-y-2">
+                {storageUsage.usageBytes !== null && storageUsage.quotaBytes ? (
+                  <>
+                    <div className="relative h-2 bg-zinc-800 rounded-full overflow-hidden">
+                      <div
+                        className="absolute left-0 top-0 h-full rounded-full bg-emerald-500"
+                        style={{ width: `${Math.min((storageUsage.usageBytes / storageUsage.quotaBytes) * 100, 100)}%` }}
+                      />
+                    </div>
+                    <div className="flex items-center gap-1.5 text-xs text-zinc-400">
+                      <HardDrive className="h-3.5 w-3.5" />
+                      {formatByteCount(storageUsage.usageBytes)} used of {formatByteCount(storageUsage.quotaBytes)} available
+                    </div>
+                  </>
+                ) : (
+                  <div className="text-xs text-zinc-500">This browser does not report storage usage.</div>
+                )}
+                <div className="flex items-center justify-between gap-2">
+                  <span className="text-sm text-zinc-300">{storageUsage.cachedTileCount.toLocaleString()} map tiles downloaded</span>
+                  {storageUsage.cachedTileCount > 0 && (
+                    <button
+                      onClick={handleClearClick}
+                      disabled={isDownloading}
+                      className="flex items-center gap-1 px-2 py-1 rounded-md text-xs text-red-400 hover:text-red-200 hover:bg-red-900/40 transition-colors disabled:opacity-50"
+                    >
+                      <Trash2 className="h-3.5 w-3.5" />
+                      Clear
+                    </button>
+                  )}
+                </div>
+              </div>
+            ) : (
+              <div className="text-xs text-zinc-500">Checking storage…</div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
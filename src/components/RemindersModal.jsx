@@ -0,0 +1,349 @@
+/**
+ * @fileoverview Reminders Modal component.
+ *
+ * Settings of the trip's reminders:
+ * - Allow notifications and switch reminders on or off
+ * - Lead time per kind of moment (boarding, flight and ground departure,
+ *   check-in, check-out, activity start), or no reminder for a kind
+ * - Send a test notification
+ * - Preview the upcoming reminders with their local times
+ *
+ * Reminders are checked by the open page only (browsers cannot wake a
+ * closed web app at a set time), which the modal states up front.
+ *
+ * @module components/RemindersModal
+ */
+
+import { useState, useEffect } from 'react';
+import { X, Bell, BellOff, Save, Send, AlertCircle } from 'lucide-react';
+import { REMINDER_KINDS, findUpcomingReminders, formatReminderMoment } from '../utils/reminders';
+import { getNotificationPermission, requestNotificationPermission, showNotification } from '../utils/notifications';
+import { classNames } from '../utils/classNames';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** @constant {string} LEAD_INPUT_CLASSES - Styling of the lead time inputs */
+const LEAD_INPUT_CLASSES = "w-20 px-2 py-1 text-sm text-right bg-zinc-800 border border-zinc-600 rounded-md text-white focus:outline-none focus:border-blue-500 disabled:opacity-50";
+
+/** @constant {string} SECTION_HEADING_CLASSES - Styling shared by section headings */
+const SECTION_HEADING_CLASSES = "text-xs font-medium uppercase tracking-wide text-zinc-500 mb-2";
+
+/** @constant {number} UPCOMING_PREVIEW_COUNT - Upcoming reminders listed */
+const UPCOMING_PREVIEW_COUNT = 12;
+
+/**
+ * @constant {Object<string, string>} PERMISSION_DESCRIPTIONS - Explanation per notification permission
+ */
+const PERMISSION_DESCRIPTIONS = {
+  granted: 'Notifications are allowed.',
+  default: 'Allow notifications to get reminders.',
+  denied: 'Notifications are blocked. Allow them for this site in the browser settings.',
+  unsupported: 'This browser cannot show notifications.'
+};
+
+// ============================================================================
+// PURE HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Converts the lead time form to stored lead minutes per kind.
+ * @pure
+ * @param {Object<string, {isOn: boolean, minutes: string}>} leadFormData - Form state per kind
+ * @returns {Object<string, number|null>} Lead minutes, null for kinds switched off
+ */
+function buildLeadMinutesFromFormData(leadFormData) {
+  return Object.fromEntries(
+    Object.entries(leadFormData).map(([kindKey, leadField]) => [
+      kindKey,
+      leadField.isOn ? Math.max(0, parseInt(leadField.minutes, 10) || 0) : null
+    ])
+  );
+}
+
+/**
+ * Converts stored lead minutes to the lead time form.
+ * @pure
+ * @param {Object<string, number|null>} leadMinutesByKind - Stored lead minutes
+ * @returns {Object<string, {isOn: boolean, minutes: string}>} Form state per kind
+ */
+function buildLeadFormData(leadMinutesByKind) {
+  return Object.fromEntries(
+    Object.entries(REMINDER_KINDS).map(([kindKey, reminderKind]) => {
+      const leadMinutes = leadMinutesByKind[kindKey];
+      return [kindKey, {
+        isOn: Number.isFinite(leadMinutes),
+        minutes: String(Number.isFinite(leadMinutes) ? leadMinutes : reminderKind.defaultLeadMinutes)
+      }];
+    })
+  );
+}
+
+// ============================================================================
+// MAIN COMPONENT
+// ============================================================================
+
+/**
+ * @typedef {Object} RemindersModalProps
+ * @property {boolean} isOpen - Whether the modal is visible
+ * @property {Function} onClose - Callback to close the modal
+ * @property {import('../utils/reminders').ReminderSettings} reminderSettings - Stored settings
+ * @property {Array<import('../utils/reminders').Reminder>} reminders - Scheduled reminders
+ * @property {Function} onSaveSettings - Callback to store the settings (reminderSettings) => Promise
+ */
+
+/**
+ * Reminders Modal component.
+ *
+ * @param {RemindersModalProps} props - Component properties
+ * @returns {JSX.Element|null} The modal component or null if closed
+ */
+export default function RemindersModal({
+  isOpen,
+  onClose,
+  reminderSettings,
+  reminders,
+  onSaveSettings
+}) {
+  // ============================================================================
+  // STATE
+  // ============================================================================
+
+  /** @type {[Object, Function]} Lead time form state per kind */
+  const [leadFormData, setLeadFormData] = useState(() => buildLeadFormData(reminderSettings.leadMinutesByKind));
+
+  /** @type {[string, Function]} Current notification permission */
+  const [notificationPermission, setNotificationPermission] = useState(getNotificationPermission);
+
+  /** @type {[string|null, Function]} Problem shown under the settings */
+  const [formErrorMessage, setFormErrorMessage] = useState(null);
+
+  // ============================================================================
+  // EFFECTS
+  // ============================================================================
+
+  /**
+   * Start from the stored settings whenever the modal opens.
+   */
+  useEffect(() => {
+    setLeadFormData(buildLeadFormData(reminderSettings.leadMinutesByKind));
+    setNotificationPermission(getNotificationPermission());
+    setFormErrorMessage(null);
+  }, [isOpen, reminderSettings]);
+
+  // ============================================================================
+  // EVENT HANDLERS
+  // ============================================================================
+
+  /**
+   * Updates one field of a kind's lead time.
+   * @param {string} kindKey - Key of REMINDER_KINDS
+   * @param {string} fieldName - isOn or minutes
+   * @param {boolean|string} fieldValue - New value
+   */
+  const handleLeadFieldChange = (kindKey, fieldName, fieldValue) => {
+    setLeadFormData(previousFormData => ({
+      ...previousFormData,
+      [kindKey]: { ...previousFormData[kindKey], [fieldName]: fieldValue }
+    }));
+  };
+
+  /**
+   * Stores settings and reports a failed save.
+   * @param {import('../utils/reminders').ReminderSettings} nextSettings - Settings to store
+   */
+  const saveSettings = async (nextSettings) => {
+    const [, saveErr] = await onSaveSettings(nextSettings);
+    setFormErrorMessage(saveErr ? saveErr.message : null);
+  };
+
+  /**
+   * Switches reminders on (asking for permission first) or off.
+   */
+  const handleToggleClick = async () => {
+    if (reminderSettings.isEnabled) {
+      await saveSettings({ ...reminderSettings, isEnabled: false });
+      return;
+    }
+
+    const [permission, permissionErr] = notificationPermission === 'granted'
+      ? ['granted', null]
+      : await requestNotificationPermission();
+    if (permissionErr) {
+      setFormErrorMessage(permissionErr.message);
+      return;
+    }
+
+    setNotificationPermission(permission);
+    if (permission === 'granted') {
+      await saveSettings({ ...reminderSettings, isEnabled: true });
+    }
+  };
+
+  /**
+   * Stores the lead times.
+   */
+  const handleSaveClick = async () => {
+    await saveSettings({ ...reminderSettings, leadMinutesByKind: buildLeadMinutesFromFormData(leadFormData) });
+  };
+
+  /**
+   * Shows a notification right away to check the setup.
+   */
+  const handleTestClick = async () => {
+    const [, notifyErr] = await showNotification('🔔 Reminders are working', 'This is how trip reminders will look.', 'reminder-test');
+    setFormErrorMessage(notifyErr ? notifyErr.message : null);
+  };
+
+  // ============================================================================
+  // RENDER
+  // ============================================================================
+
+  // Early return if modal is closed
+  if (!isOpen) return null;
+
+  const upcomingReminders = findUpcomingReminders(reminders, Date.now()).slice(0, UPCOMING_PREVIEW_COUNT);
+  const isPermissionBlocked = notificationPermission === 'denied' || notificationPermission === 'unsupported';
+
+  return (
+    <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center z-[3000] p-2 md:p-4">
+      <div className="bg-zinc-900 border border-zinc-700 rounded-xl w-full max-w-lg max-h-[95vh] md:max-h-[90vh] overflow-y-auto">
+        {/* ================================================================
+            MODAL HEADER
+            ================================================================ */}
+        <div className="flex items-center justify-between p-3 md:p-4 border-b border-zinc-700 sticky top-0 bg-zinc-900 z-10">
+          <h2 className="text-base md:text-lg font-semibold text-white flex items-center gap-2">
+            <Bell size={18} className="text-amber-400" />
+            Reminders
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-zinc-700 rounded-lg transition-colors"
+            aria-label="Close dialog"
+          >
+            <X size={20} className="text-zinc-400" />
+          </button>
+        </div>
+
+        <div className="p-3 md:p-4 space-y-5">
+          {/* ================================================================
+              NOTIFICATIONS SWITCH
+              ================================================================ */}
+          <div className="flex items-center justify-between gap-3 rounded-lg bg-zinc-800/60 border border-zinc-700/50 px-3 py-2">
+            <div className="min-w-0">
+              <div className="text-sm text-zinc-200">
+                {reminderSettings.isEnabled ? 'Reminders are on' : 'Reminders are off'}
+              </div>
+              <div className="text-xs text-zinc-500">{PERMISSION_DESCRIPTIONS[notificationPermission]}</div>
+            </div>
+            <div className="flex items-center gap-1.5 flex-shrink-0">
+              {reminderSettings.isEnabled && notificationPermission === 'granted' && (
+                <button
+                  onClick={handleTestClick}
+                  className="p-1.5 rounded-lg text-zinc-400 hover:text-zinc-200 hover:bg-zinc-700/60 transition-colors"
+                  title="Send a test notification"
+                >
+                  <Send className="h-4 w-4" />
+                </button>
+              )}
+              <button
+                onClick={handleToggleClick}
+                disabled={!reminderSettings.isEnabled && isPermissionBlocked}
+                className={classNames(
+                  "flex items-center gap-1.5 px-3 py-1.5 text-sm font-medium rounded-lg transition-colors disabled:opacity-50",
+                  reminderSettings.isEnabled
+                    ? "bg-zinc-700 hover:bg-zinc-600 text-zinc-200"
+                    : "bg-amber-600 hover:bg-amber-500 text-white"
+                )}
+              >
+                {reminderSettings.isEnabled ? <BellOff size={14} /> : <Bell size={14} />}
+                {reminderSettings.isEnabled ? 'Turn Off' : 'Turn On'}
+              </button>
+            </div>
+          </div>
+
+          {/* Reminders need the app open */}
+          <p className="flex items-start gap-2 rounded-lg bg-amber-950/20 border border-amber-900/50 px-3 py-2 text-xs md:text-sm text-amber-200">
+            <AlertCircle className="h-4 w-4 flex-shrink-0 mt-0.5 text-amber-400" />
+            <span>
+              Reminders only fire while the itinerary is open in a tab or as the installed app. Once it is closed,
+              nothing is sent - keep phone alarms for boarding and departures.
+            </span>
+          </p>
+
+          {/* ================================================================
+              LEAD TIMES
+              ================================================================ */}
+          <div>
+            <h3 className={SECTION_HEADING_CLASSES}>Remind me before</h3>
+            <ul className="space-y-1.5">
+              {Object.entries(REMINDER_KINDS).map(([kindKey, reminderKind]) => (
+                <li key={kindKey} className="flex items-center justify-between gap-3 text-sm">
+                  <label className="flex items-center gap-2 text-zinc-200 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={leadFormData[kindKey].isOn}
+                      onChange={changeEvent => handleLeadFieldChange(kindKey, 'isOn', changeEvent.target.checked)}
+                      className="accent-amber-500"
+                    />
+                    {reminderKind.emoji} {reminderKind.label}
+                  </label>
+                  <span className="flex items-center gap-1.5 text-xs text-zinc-500">
+                    <input
+                      type="number"
+                      min="0"
+                      step="5"
+                      value={leadFormData[kindKey].minutes}
+                      onChange={changeEvent => handleLeadFieldChange(kindKey, 'minutes', changeEvent.target.value)}
+                      disabled={!leadFormData[kindKey].isOn}
+                      className={LEAD_INPUT_CLASSES}
+                      aria-label={`${reminderKind.label} lead time in minutes`}
+                    />
+                    min
+                  </span>
+                </li>
+              ))}
+            </ul>
+            <p className="mt-2 text-xs text-zinc-500">
+              Boarding reminders need a boarding pass with a boarding time. Times follow each item's own time zone.
+            </p>
+            <div className="flex justify-end pt-2">
+              <button
+                onClick={handleSaveClick}
+                className="px-3 py-1.5 text-sm bg-amber-600 hover:bg-amber-500 text-white font-medium rounded-lg transition-colors flex items-center gap-1.5"
+              >
+                <Save size={14} />
+                Save
+              </button>
+            </div>
+            {formErrorMessage && (
+              <p className="text-xs md:text-sm text-red-400">{formErrorMessage}</p>
+            )}
+          </div>
+
+          {/* ================================================================
+              UPCOMING REMINDERS
+              ================================================================ */}
+          <div>
+            <h3 className={SECTION_HEADING_CLASSES}>Upcoming</h3>
+            {upcomingReminders.length === 0 ? (
+              <p className="text-sm text-zinc-500">No upcoming moments with a time.</p>
+            ) : (
+              <ul className="space-y-2">
+                {upcomingReminders.map(reminder => (
+                  <li key={reminder.reminderId} className="rounded-lg bg-zinc-800/60 border border-zinc-700/50 px-3 py-2">
+                    <div className="text-sm text-zinc-200 truncate">{reminder.title}</div>
+                    <div className="text-xs text-zinc-500">
+                      {formatReminderMoment(reminder)} · reminder {new Date(reminder.remindAt).toLocaleString(undefined, { weekday: 'short', hour: 'numeric', minute: '2-digit' })}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
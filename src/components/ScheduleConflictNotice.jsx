@@ -0,0 +1,44 @@
+/**
+ * @fileoverview Inline schedule conflict notice
+ * @module components/ScheduleConflictNotice
+ */
+
+import { AlertTriangle } from "lucide-react";
+import { classNames } from "../utils/classNames";
+
+/**
+ * ScheduleConflictNotice Component
+ *
+ * Lists the schedule conflicts an item is involved in, directly under the
+ * item. Red when any conflict is an error, amber when all are warnings.
+ *
+ * @param {Object} props - Component props
+ * @param {Array<import('../utils/scheduleConflicts').ScheduleConflict>} [props.conflicts] - Conflicts involving the item
+ * @returns {JSX.Element|null} Rendered notice, or null without conflicts
+ *
+ * @example
+ * <ScheduleConflictNotice conflicts={conflictsByItemId[activity.id]} />
+ */
+export function ScheduleConflictNotice({ conflicts }) {
+  if (!conflicts || conflicts.length === 0) return null;
+
+  const hasError = conflicts.some(conflict => conflict.severity === 'error');
+
+  return (
+    <div
+      className={classNames(
+        "flex items-start gap-2 mt-2 px-3 py-2 rounded-lg border text-xs md:text-sm",
+        hasError
+          ? "bg-red-950/40 border-red-800/50 text-red-300"
+          : "bg-amber-950/40 border-amber-800/50 text-amber-300"
+      )}
+    >
+      <AlertTriangle className={classNames("h-4 w-4 mt-0.5 shrink-0", hasError ? "text-red-400" : "text-amber-400")} />
+      <div className="space-y-0.5 min-w-0">
+        {conflicts.map((conflict) => (
+          <div key={conflict.id}>{conflict.message}</div>
+        ))}
+      </div>
+    </div>
+  );
+}
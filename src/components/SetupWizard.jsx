@@ -2,9 +2,10 @@
  * @fileoverview Setup Wizard component for first-time itinerary import.
  * 
  * Provides a multi-step modal wizard that guides users through:
- * 1. Uploading a JSON itinerary file (drag-drop or file picker)
- * 2. Importing and validating the data into IndexedDB
- * 3. Displaying import statistics and completion status
+ * 1. Uploading a JSON itinerary or .ics calendar file (drag-drop or file picker)
+ * 2. Reviewing how calendar events map to flights, lodging and events, and the zone of UTC times (.ics only)
+ * 3. Importing and validating the data into IndexedDB
+ * 4. Displaying import statistics and completion status
  * 
  * Also includes data reset functionality with confirmation dialog.
  * 
@@ -12,8 +13,17 @@
  */
 
 import { useState, useRef } from 'react';
-import { Upload, Database, CheckCircle2, Loader2, AlertCircle, Plane, MapPin, Calendar, FileJson, FileUp, Trash2 } from 'lucide-react';
+import { Upload, Database, CheckCircle2, Loader2, AlertCircle, Plane, MapPin, Calendar, CalendarDays, FileJson, FileUp, ListChecks, Trash2 } from 'lucide-react';
 import { classNames } from '../utils/classNames';
+import {
+  parseIcsCalendar,
+  buildItineraryFromCalendarEvents,
+  needsCalendarTimeZoneChoice,
+  resolveCalendarEventPoints,
+  CALENDAR_EVENT_CATEGORIES
+} from '../utils/icsImport';
+import { loadAirportDatabase } from '../utils/airports';
+import { TIMEZONE_LABEL_TO_IANA } from '../utils/timezones';
 
 // ============================================================================
 // CONSTANTS
@@ -22,15 +32,29 @@ import { classNames } from '../utils/classNames';
 /** @constant {number} WIZARD_STEP_UPLOAD - First step: file upload */
 const WIZARD_STEP_UPLOAD = 1;
 
-/** @constant {number} WIZARD_STEP_IMPORTING - Second step: data import in progress */
-const WIZARD_STEP_IMPORTING = 2;
+/** @constant {number} WIZARD_STEP_REVIEW - Calendar uploads only: review event categories */
+const WIZARD_STEP_REVIEW = 2;
 
-/** @constant {number} WIZARD_STEP_COMPLETE - Third step: import complete */
-const WIZARD_STEP_COMPLETE = 3;
+/** @constant {number} WIZARD_STEP_IMPORTING - Data import in progress */
+const WIZARD_STEP_IMPORTING = 3;
 
-/** @constant {string} ACCEPTED_FILE_EXTENSION - Required file extension for upload */
+/** @constant {number} WIZARD_STEP_COMPLETE - Final step: import complete */
+const WIZARD_STEP_COMPLETE = 4;
+
+/** @constant {string} ACCEPTED_FILE_EXTENSION - File extension of itinerary JSON uploads */
 const ACCEPTED_FILE_EXTENSION = '.json';
 
+/** @constant {string} ACCEPTED_CALENDAR_EXTENSION - File extension of calendar uploads */
+const ACCEPTED_CALENDAR_EXTENSION = '.ics';
+
+/**
+ * @constant {Array<string>} TIME_ZONE_OPTIONS - Zones offered for UTC calendar times
+ * (every zone the runtime knows, else the zones of the label table)
+ */
+const TIME_ZONE_OPTIONS = typeof Intl.supportedValuesOf === 'function'
+  ? ['UTC', ...Intl.supportedValuesOf('timeZone')]
+  : [...new Set(Object.values(TIMEZONE_LABEL_TO_IANA))].sort();
+
 // ============================================================================
 // PURE HELPER FUNCTIONS
 // ============================================================================
@@ -61,6 +85,40 @@ function hasValidJsonExtension(fileName) {
   return fileName?.endsWith(ACCEPTED_FILE_EXTENSION) ?? false;
 }
 
+/**
+ * Checks if a filename has the iCalendar extension.
+ * @pure
+ * @param {string} fileName - The name of the file to check
+ * @returns {boolean} True if the file has a .ics extension
+ */
+function hasCalendarExtension(fileName) {
+  return fileName?.toLowerCase().endsWith(ACCEPTED_CALENDAR_EXTENSION) ?? false;
+}
+
+/**
+ * Derives a trip name from an uploaded file name (e.g., "tokyo-trip.ics" → "tokyo-trip").
+ * @pure
+ * @param {string} fileName - The name of the uploaded file
+ * @returns {string} File name without its extension
+ */
+function stripFileExtension(fileName) {
+  return fileName.replace(/\.[^.]+$/, '');
+}
+
+/**
+ * Formats the local start of a calendar event for the review list (e.g., "Feb 6, 12:35 PM").
+ * @param {Object} calendarEvent - Parsed calendar event
+ * @returns {string} Short date and time label
+ */
+function formatCalendarEventStart(calendarEvent) {
+  const { dateKey, hours, minutes } = resolveCalendarEventPoints(calendarEvent).start;
+  const dateLabel = new Date(`${dateKey}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  if (hours === null) return `${dateLabel} · All day`;
+
+  const meridiem = hours < 12 ? 'AM' : 'PM';
+  return `${dateLabel}, ${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${meridiem}`;
+}
+
 /**
  * Extracts the trip count from parsed JSON data.
  * @pure
@@ -100,6 +158,8 @@ function getStepIconComponent(currentStep) {
   switch (currentStep) {
     case WIZARD_STEP_UPLOAD:
       return <Upload className="h-8 w-8 text-white" />;
+    case WIZARD_STEP_REVIEW:
+      return <ListChecks className="h-8 w-8 text-white" />;
     case WIZARD_STEP_IMPORTING:
       return <Loader2 className="h-8 w-8 text-white animate-spin" />;
     case WIZARD_STEP_COMPLETE:
@@ -119,6 +179,8 @@ function getStepTitleText(currentStep) {
   switch (currentStep) {
     case WIZARD_STEP_UPLOAD:
       return "Upload Itinerary 📁";
+    case WIZARD_STEP_REVIEW:
+      return "Review Events 🗓️";
     case WIZARD_STEP_IMPORTING:
       return "Setting Up...";
     case WIZARD_STEP_COMPLETE:
@@ -137,13 +199,15 @@ function getStepTitleText(currentStep) {
 function getStepSubtitleText(currentStep) {
   switch (currentStep) {
     case WIZARD_STEP_UPLOAD:
-      return "Import your travel itinerary JSON file";
+      return "Import your itinerary JSON or calendar file";
+    case WIZARD_STEP_REVIEW:
+      return "Check how each calendar event is imported";
     case WIZARD_STEP_IMPORTING:
       return "Importing your trip data";
     case WIZARD_STEP_COMPLETE:
       return "Your itinerary is ready to go";
     default:
-      return "Import your travel itinerary JSON file";
+      return "Import your itinerary JSON or calendar file";
   }
 }
 
@@ -242,8 +306,9 @@ function ResetConfirmDialog({
 /**
  * @typedef {Object} SetupWizardProps
  * @property {Function} onComplete - Callback when setup is finished and user clicks "Start Exploring"
- * @property {Function} onImportJson - Async callback to import JSON data, returns ImportStatistics
+ * @property {Function} onImportJson - Async callback to import JSON data (also used for converted .ics calendars), returns ImportStatistics
  * @property {Function} [onReset] - Optional callback to reset all data
+ * @property {Function} [onCancel] - Optional callback to close the wizard when adding another trip to the library
  */
 
 /**
@@ -251,7 +316,7 @@ function ResetConfirmDialog({
  * 
  * Handles the complete flow of:
  * - File selection via drag-drop or file picker
- * - JSON validation and parsing
+ * - JSON validation and parsing, or .ics parsing with a category review step
  * - Import process with loading state
  * - Success display with statistics
  * - Optional data reset functionality
@@ -259,12 +324,12 @@ function ResetConfirmDialog({
  * @param {SetupWizardProps} props - Component properties
  * @returns {JSX.Element} The wizard modal component
  */
-export function SetupWizard({ onComplete, onImportJson, onReset }) {
+export function SetupWizard({ onComplete, onImportJson, onReset, onCancel }) {
   // ============================================================================
   // STATE MANAGEMENT
   // ============================================================================
   
-  /** @type {[number, Function]} Current wizard step (1: Upload, 2: Importing, 3: Complete) */
+  /** @type {[number, Function]} Current wizard step (1: Upload, 2: Review, 3: Importing, 4: Complete) */
   const [currentWizardStep, setCurrentWizardStep] = useState(WIZARD_STEP_UPLOAD);
   
   /** @type {[string|null, Function]} Error message to display, if any */
@@ -279,6 +344,12 @@ export function SetupWizard({ onComplete, onImportJson, onReset }) {
   /** @type {[string|null, Function]} Name of the uploaded file */
   const [uploadedFileName, setUploadedFileName] = useState(null);
   
+  /** @type {[Array<Object>|null, Function]} Parsed .ics events with their (possibly overridden) categories */
+  const [calendarImportEvents, setCalendarImportEvents] = useState(null);
+  
+  /** @type {[string, Function]} Trip name for a calendar import */
+  const [calendarTripName, setCalendarTripName] = useState('');
+  
   /** @type {[boolean, Function]} Whether a file is being dragged over the drop zone */
   const [isDraggingFileOver, setIsDraggingFileOver] = useState(false);
   
@@ -296,7 +367,7 @@ export function SetupWizard({ onComplete, onImportJson, onReset }) {
   // ============================================================================
 
   /**
-   * Processes an uploaded file - reads, parses, and validates the JSON.
+   * Processes an uploaded file - reads, parses, and validates the JSON or .ics calendar.
    * @param {File} uploadedFile - The file object from input or drop event
    * @returns {Promise<void>}
    */
@@ -306,9 +377,11 @@ export function SetupWizard({ onComplete, onImportJson, onReset }) {
     
     if (!uploadedFile) return;
     
+    const isCalendarFile = hasCalendarExtension(uploadedFile.name);
+    
     // Validate file extension
-    if (!hasValidJsonExtension(uploadedFile.name)) {
-      setErrorMessage('Please upload a JSON file');
+    if (!isCalendarFile && !hasValidJsonExtension(uploadedFile.name)) {
+      setErrorMessage('Please upload a JSON or .ics calendar file');
       return;
     }
 
@@ -323,6 +396,23 @@ export function SetupWizard({ onComplete, onImportJson, onReset }) {
       return;
     }
 
+    // Calendar files are converted after the review step
+    if (isCalendarFile) {
+      // Airport zones place flight times given in UTC; without them the review step asks
+      await loadAirportDatabase();
+      const [parsedCalendar, calendarErr] = parseIcsCalendar(fileTextContent);
+      if (calendarErr) {
+        setErrorMessage(calendarErr.message);
+        return;
+      }
+
+      setCalendarImportEvents(parsedCalendar.events);
+      setCalendarTripName(parsedCalendar.calendarName || stripFileExtension(uploadedFile.name));
+      setParsedJsonData(null);
+      setUploadedFileName(uploadedFile.name);
+      return;
+    }
+
     // CRITICAL PATH: Parse JSON with Go-style error handling
     const [parsedData, parseErr] = (() => {
       try {
@@ -346,9 +436,32 @@ export function SetupWizard({ onComplete, onImportJson, onReset }) {
     
     // Store valid data in state
     setParsedJsonData(parsedData);
+    setCalendarImportEvents(null);
     setUploadedFileName(uploadedFile.name);
   };
 
+  /**
+   * Overrides the guessed category of one calendar event.
+   * @param {number} eventIndex - Index of the event in the review list
+   * @param {string} category - New category (a CALENDAR_EVENT_CATEGORIES key)
+   */
+  const handleCalendarEventCategoryChange = (eventIndex, category) => {
+    setCalendarImportEvents(previousEvents => previousEvents.map((calendarEvent, index) =>
+      index === eventIndex ? { ...calendarEvent, category } : calendarEvent
+    ));
+  };
+
+  /**
+   * Picks the zone the UTC times of one calendar event are shown in.
+   * @param {number} eventIndex - Index of the event in the review list
+   * @param {string} timeZone - IANA zone
+   */
+  const handleCalendarEventTimeZoneChange = (eventIndex, timeZone) => {
+    setCalendarImportEvents(previousEvents => previousEvents.map((calendarEvent, index) =>
+      index === eventIndex ? { ...calendarEvent, timeZone } : calendarEvent
+    ));
+  };
+
   /**
    * Handles file input change event from the hidden input element.
    * @param {React.ChangeEvent<HTMLInputElement>} changeEvent - The input change event
@@ -417,26 +530,23 @@ export function SetupWizard({ onComplete, onImportJson, onReset }) {
   // ============================================================================
 
   /**
-   * Initiates the import process with the uploaded JSON data.
+   * Imports itinerary JSON through the onImportJson callback.
    * Transitions through wizard steps and handles success/failure.
+   * @param {Object} itineraryJsonData - Itinerary JSON to import
+   * @param {number} failureStep - Step to return to if the import fails
    * @returns {Promise<void>}
    */
-  const handleStartImportProcess = async () => {
-    if (!parsedJsonData) {
-      setErrorMessage('Please upload a JSON file first');
-      return;
-    }
-
+  const runItineraryImport = async (itineraryJsonData, failureStep) => {
     // CRITICAL PATH: Transition to importing step
     setCurrentWizardStep(WIZARD_STEP_IMPORTING);
     setErrorMessage(null);
     
     // CRITICAL PATH: Call the import callback and wait for statistics
-    const [resultStatistics, importErr] = await onImportJson(parsedJsonData);
+    const [resultStatistics, importErr] = await onImportJson(itineraryJsonData);
     if (importErr) {
-      // On failure, return to upload step with error message
+      // On failure, return to the previous step with error message
       setErrorMessage(importErr.message);
-      setCurrentWizardStep(WIZARD_STEP_UPLOAD);
+      setCurrentWizardStep(failureStep);
       return;
     }
     
@@ -444,6 +554,43 @@ export function SetupWizard({ onComplete, onImportJson, onReset }) {
     setCurrentWizardStep(WIZARD_STEP_COMPLETE);
   };
 
+  /**
+   * Starts the import of the uploaded file.
+   * JSON imports directly; calendars go to the review step first.
+   * @returns {Promise<void>}
+   */
+  const handleStartImportProcess = async () => {
+    if (calendarImportEvents) {
+      setErrorMessage(null);
+      setCurrentWizardStep(WIZARD_STEP_REVIEW);
+      return;
+    }
+
+    if (!parsedJsonData) {
+      setErrorMessage('Please upload a JSON file first');
+      return;
+    }
+
+    await runItineraryImport(parsedJsonData, WIZARD_STEP_UPLOAD);
+  };
+
+  /**
+   * Converts the reviewed calendar events to itinerary JSON and imports them.
+   * @returns {Promise<void>}
+   */
+  const handleCalendarImport = async () => {
+    const hasIncludedEvents = calendarImportEvents.some(calendarEvent => calendarEvent.category !== 'skip');
+    if (!hasIncludedEvents) {
+      setErrorMessage('Select at least one event to import');
+      return;
+    }
+
+    const convertedItineraryData = buildItineraryFromCalendarEvents(calendarImportEvents, {
+      tripName: calendarTripName.trim() || stripFileExtension(uploadedFileName)
+    });
+    await runItineraryImport(convertedItineraryData, WIZARD_STEP_REVIEW);
+  };
+
   /**
    * Handles confirmed reset - clears all data and resets wizard state.
    * @returns {Promise<void>}
@@ -465,6 +612,8 @@ export function SetupWizard({ onComplete, onImportJson, onReset }) {
     // Reset all wizard state to initial values
     setCurrentWizardStep(WIZARD_STEP_UPLOAD);
     setParsedJsonData(null);
+    setCalendarImportEvents(null);
+    setCalendarTripName('');
     setUploadedFileName(null);
     setImportStatistics(null);
     setErrorMessage(null);
@@ -476,9 +625,14 @@ export function SetupWizard({ onComplete, onImportJson, onReset }) {
   // COMPUTED VALUES
   // ============================================================================
   
-  const hasValidFileUploaded = parsedJsonData !== null;
+  const isCalendarUpload = calendarImportEvents !== null;
+  const hasValidFileUploaded = parsedJsonData !== null || isCalendarUpload;
   const tripCountFromUploadedFile = extractTripCountFromJson(parsedJsonData);
+  const includedCalendarEventCount = calendarImportEvents?.filter(calendarEvent => calendarEvent.category !== 'skip').length ?? 0;
   const dropZoneClasses = getDropZoneClassNames(isDraggingFileOver, hasValidFileUploaded);
+  const wizardStepSequence = isCalendarUpload
+    ? [WIZARD_STEP_UPLOAD, WIZARD_STEP_REVIEW, WIZARD_STEP_IMPORTING, WIZARD_STEP_COMPLETE]
+    : [WIZARD_STEP_UPLOAD, WIZARD_STEP_IMPORTING, WIZARD_STEP_COMPLETE];
 
   // ============================================================================
   // RENDER
@@ -523,7 +677,7 @@ export function SetupWizard({ onComplete, onImportJson, onReset }) {
           {currentWizardStep === WIZARD_STEP_UPLOAD && (
             <div className="space-y-4">
               <p className="text-zinc-300 text-sm leading-relaxed">
-                Upload your travel itinerary JSON file to get started. Your data stays private and is stored only in your browser.
+                Upload your travel itinerary JSON file, or an .ics calendar with your flight and hotel invites, to get started. Your data stays private and is stored only in your browser.
               </p>
               
               {/* File Drop Zone / Upload Area */}
@@ -538,7 +692,7 @@ export function SetupWizard({ onComplete, onImportJson, onReset }) {
                 <input
                   ref={fileInputElementRef}
                   type="file"
-                  accept=".json"
+                  accept={`${ACCEPTED_FILE_EXTENSION},${ACCEPTED_CALENDAR_EXTENSION},text/calendar`}
                   onChange={handleFileInputChange}
                   className="hidden"
                 />
@@ -547,12 +701,16 @@ export function SetupWizard({ onComplete, onImportJson, onReset }) {
                   /* File Selected State */
                   <div className="space-y-2">
                     <div className="inline-flex items-center justify-center w-12 h-12 bg-emerald-500/20 rounded-full">
-                      <FileJson className="h-6 w-6 text-emerald-400" />
+                      {isCalendarUpload
+                        ? <CalendarDays className="h-6 w-6 text-emerald-400" />
+                        : <FileJson className="h-6 w-6 text-emerald-400" />}
                     </div>
                     <div>
                       <p className="text-emerald-400 font-medium">{uploadedFileName}</p>
                       <p className="text-xs text-zinc-500 mt-1">
-                        {tripCountFromUploadedFile} trips found • Click to change
+                        {isCalendarUpload
+                          ? `${calendarImportEvents.length} events found`
+                          : `${tripCountFromUploadedFile} trips found`} • Click to change
                       </p>
                     </div>
                   </div>
@@ -563,7 +721,7 @@ export function SetupWizard({ onComplete, onImportJson, onReset }) {
                       <FileUp className="h-6 w-6 text-zinc-400" />
                     </div>
                     <div>
-                      <p className="text-zinc-300 font-medium">Drop your JSON file here</p>
+                      <p className="text-zinc-300 font-medium">Drop your JSON or .ics file here</p>
                       <p className="text-xs text-zinc-500 mt-1">or click to browse</p>
                     </div>
                   </div>
@@ -612,13 +770,109 @@ export function SetupWizard({ onComplete, onImportJson, onReset }) {
                     : "bg-zinc-800 text-zinc-500 cursor-not-allowed"
                 )}
               >
-                <Upload className="h-4 w-4" />
-                Import Itinerary
+                {isCalendarUpload ? <ListChecks className="h-4 w-4" /> : <Upload className="h-4 w-4" />}
+                {isCalendarUpload ? 'Review Events' : 'Import Itinerary'}
               </button>
             </div>
           )}
 
-          {/* Step 2: Import In Progress */}
+          {/* Step 2 (calendar uploads): Review and override event categories */}
+          {currentWizardStep === WIZARD_STEP_REVIEW && calendarImportEvents && (
+            <div className="space-y-4">
+              <div>
+                <label className="block text-xs text-zinc-400 mb-1">Trip name</label>
+                <input
+                  type="text"
+                  value={calendarTripName}
+                  onChange={(changeEvent) => setCalendarTripName(changeEvent.target.value)}
+                  className="w-full px-3 py-2 bg-zinc-800 border border-zinc-700 rounded-lg text-sm text-zinc-200 focus:outline-none focus:border-blue-500"
+                />
+              </div>
+
+              {/* Event list with category overrides */}
+              <div className="max-h-72 overflow-y-auto space-y-2 pr-1">
+                {calendarImportEvents.map((calendarEvent, eventIndex) => (
+                  <div
+                    key={`${calendarEvent.uid}-${eventIndex}`}
+                    className={classNames(
+                      "flex items-center gap-3 p-2.5 bg-zinc-800/50 border border-zinc-800 rounded-lg",
+                      calendarEvent.category === 'skip' && "opacity-50"
+                    )}
+                  >
+                    <div className="flex-1 min-w-0">
+                      <div className="text-sm text-zinc-200 truncate" title={calendarEvent.summary}>
+                        {calendarEvent.summary || 'Untitled event'}
+                      </div>
+                      <div className="text-[11px] text-zinc-500 truncate">
+                        {formatCalendarEventStart(calendarEvent)}
+                        {calendarEvent.location && ` • ${calendarEvent.location}`}
+                      </div>
+                      {/* UTC times the airports cannot place: ask for the local zone */}
+                      {needsCalendarTimeZoneChoice(calendarEvent) && (
+                        <label className="mt-1 flex items-center gap-1.5 text-[11px] text-amber-400/90">
+                          Given in UTC, show in
+                          <select
+                            value={calendarEvent.timeZone || 'UTC'}
+                            onChange={(changeEvent) => handleCalendarEventTimeZoneChange(eventIndex, changeEvent.target.value)}
+                            className="min-w-0 px-1.5 py-0.5 bg-zinc-900 border border-zinc-700 rounded text-[11px] text-zinc-300 focus:outline-none focus:border-blue-500"
+                          >
+                            {!TIME_ZONE_OPTIONS.includes(calendarEvent.timeZone || 'UTC') && (
+                              <option value={calendarEvent.timeZone}>{calendarEvent.timeZone}</option>
+                            )}
+                            {TIME_ZONE_OPTIONS.map(timeZoneOption => (
+                              <option key={timeZoneOption} value={timeZoneOption}>{timeZoneOption}</option>
+                            ))}
+                          </select>
+                        </label>
+                      )}
+                    </div>
+                    <select
+                      value={calendarEvent.category}
+                      onChange={(changeEvent) => handleCalendarEventCategoryChange(eventIndex, changeEvent.target.value)}
+                      className="shrink-0 px-2 py-1 bg-zinc-900 border border-zinc-700 rounded-md text-xs text-zinc-300 focus:outline-none focus:border-blue-500"
+                    >
+                      {Object.entries(CALENDAR_EVENT_CATEGORIES).map(([categoryKey, categoryLabel]) => (
+                        <option key={categoryKey} value={categoryKey}>{categoryLabel}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+
+              {/* Error Message Display */}
+              {errorMessage && (
+                <div className="flex items-center gap-2 p-3 bg-red-500/20 border border-red-500/30 rounded-lg">
+                  <AlertCircle className="h-4 w-4 text-red-400 shrink-0" />
+                  <span className="text-sm text-red-300">{errorMessage}</span>
+                </div>
+              )}
+
+              {/* Review Actions */}
+              <div className="flex gap-3">
+                <button
+                  onClick={() => { setErrorMessage(null); setCurrentWizardStep(WIZARD_STEP_UPLOAD); }}
+                  className="py-3 px-4 bg-zinc-800 hover:bg-zinc-700 text-zinc-300 font-medium rounded-xl transition-colors"
+                >
+                  Back
+                </button>
+                <button
+                  onClick={handleCalendarImport}
+                  disabled={includedCalendarEventCount === 0}
+                  className={classNames(
+                    "flex-1 py-3 px-4 font-semibold rounded-xl transition-all duration-200 flex items-center justify-center gap-2",
+                    includedCalendarEventCount > 0
+                      ? "bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-500 hover:to-purple-500 text-white shadow-lg shadow-blue-500/25"
+                      : "bg-zinc-800 text-zinc-500 cursor-not-allowed"
+                  )}
+                >
+                  <Upload className="h-4 w-4" />
+                  Import {includedCalendarEventCount} Events
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Step 3: Import In Progress */}
           {currentWizardStep === WIZARD_STEP_IMPORTING && (
             <div className="space-y-4 py-4">
               {/* Animated Loading Spinner */}
@@ -648,7 +902,7 @@ export function SetupWizard({ onComplete, onImportJson, onReset }) {
             </div>
           )}
 
-          {/* Step 3: Import Complete */}
+          {/* Step 4: Import Complete */}
           {currentWizardStep === WIZARD_STEP_COMPLETE && (
             <div className="space-y-4">
               {/* Success Icon and Message */}
@@ -697,7 +951,7 @@ export function SetupWizard({ onComplete, onImportJson, onReset }) {
         <div className="px-6 pb-4 space-y-3">
           {/* Step Progress Indicator Dots */}
           <div className="flex justify-center gap-2">
-            {[WIZARD_STEP_UPLOAD, WIZARD_STEP_IMPORTING, WIZARD_STEP_COMPLETE].map(stepNumber => (
+            {wizardStepSequence.map(stepNumber => (
               <div
                 key={stepNumber}
                 className={classNames(
@@ -708,6 +962,16 @@ export function SetupWizard({ onComplete, onImportJson, onReset }) {
             ))}
           </div>
           
+          {/* Cancel Button - Only shown when a trip library already exists */}
+          {onCancel && currentWizardStep === WIZARD_STEP_UPLOAD && (
+            <button
+              onClick={onCancel}
+              className="w-full py-2 px-3 text-xs text-zinc-400 hover:text-zinc-200 hover:bg-zinc-800/50 rounded-lg transition-colors"
+            >
+              Back to my trips
+            </button>
+          )}
+          
           {/* Reset Button - Only shown when onReset callback is provided */}
           {onReset && (
             <button
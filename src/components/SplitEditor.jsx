@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Split editor - how a cost is shared between travelers.
+ *
+ * Used by the expense form and the cost splitting dashboard:
+ * - Evenly: tick who takes part
+ * - By shares: a share count per traveler
+ * - Exact amounts: an amount per traveler, the rest stays with the payer
+ *
+ * @module components/SplitEditor
+ */
+
+import { classNames } from "../utils/classNames";
+import { SPLIT_MODES, createEvenSplit, changeSplitMode, validateSplit } from "../utils/costSplitting";
+
+/* ============================================================================
+   CONSTANTS
+   ============================================================================ */
+
+/** @constant {string} PORTION_INPUT_CLASSES - Styling of share and amount inputs */
+const PORTION_INPUT_CLASSES = "w-24 px-2 py-1 text-sm text-right bg-zinc-800 border border-zinc-600 rounded-md text-white focus:outline-none focus:border-blue-500";
+
+/* ============================================================================
+   MAIN COMPONENT
+   ============================================================================ */
+
+/**
+ * Controlled editor of a cost split.
+ *
+ * @component
+ * @param {Object} props
+ * @param {import('../utils/costSplitting').CostSplit|null} props.split - Current split (null for evenly between everyone)
+ * @param {number} props.amount - Amount of the cost
+ * @param {string} props.currency - Currency of the cost
+ * @param {Array<string>} props.travelerNames - All travelers of the trip
+ * @param {Function} props.onChange - Called with the edited split
+ * @returns {JSX.Element} Split editor
+ */
+export function SplitEditor({ split, amount, currency, travelerNames, onChange }) {
+  const costSplit = split || createEvenSplit(travelerNames);
+  const splitProblem = validateSplit(costSplit, amount);
+  const exactTotal = travelerNames.reduce((portionTotal, travelerName) => portionTotal + (Number(costSplit.portions[travelerName]) || 0), 0);
+
+  /**
+   * Sets the portion of one traveler.
+   * @param {string} travelerName - Traveler to update
+   * @param {number} portion - New portion
+   */
+  const handlePortionChange = (travelerName, portion) => {
+    onChange({ ...costSplit, portions: { ...costSplit.portions, [travelerName]: portion } });
+  };
+
+  return (
+    <div className="space-y-2">
+      {/* Split Mode Toggle */}
+      <div className="inline-flex rounded-lg bg-zinc-800 p-0.5">
+        {SPLIT_MODES.map(splitMode => (
+          <button
+            key={splitMode.key}
+            type="button"
+            onClick={() => onChange(changeSplitMode(costSplit, splitMode.key, amount || 0, travelerNames))}
+            className={classNames(
+              "px-2.5 py-1 text-xs font-medium rounded-md transition-colors",
+              costSplit.mode === splitMode.key ? "bg-zinc-600 text-white" : "text-zinc-400 hover:text-zinc-200"
+            )}
+          >
+            {splitMode.label}
+          </button>
+        ))}
+      </div>
+
+      {/* Portion per Traveler */}
+      <ul className="space-y-1.5">
+        {travelerNames.map(travelerName => {
+          const travelerPortion = costSplit.portions[travelerName] || 0;
+          return (
+            <li key={travelerName} className="flex items-center justify-between gap-3 text-sm">
+              {costSplit.mode === 'even' ? (
+                <label className="flex items-center gap-2 text-zinc-200 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={travelerPortion > 0}
+                    onChange={changeEvent => handlePortionChange(travelerName, changeEvent.target.checked ? 1 : 0)}
+                    className="accent-emerald-500"
+                  />
+                  {travelerName}
+                </label>
+              ) : (
+                <>
+                  <span className="text-zinc-200 truncate">{travelerName}</span>
+                  <span className="flex items-center gap-1.5 text-xs text-zinc-500">
+                    <input
+                      type="number"
+                      min="0"
+                      step={costSplit.mode === 'shares' ? '1' : '0.01'}
+                      value={travelerPortion}
+                      onChange={changeEvent => handlePortionChange(travelerName, parseFloat(changeEvent.target.value) || 0)}
+                      className={PORTION_INPUT_CLASSES}
+                    />
+                    {costSplit.mode === 'shares' ? 'shares' : currency}
+                  </span>
+                </>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      {/* Validation & Remainder */}
+      {splitProblem ? (
+        <p className="text-xs text-red-400">{splitProblem}</p>
+      ) : costSplit.mode === 'exact' && amount > exactTotal && (
+        <p className="text-xs text-zinc-500">
+          {(Math.round((amount - exactTotal) * 100) / 100).toLocaleString()} {currency} left with the payer
+        </p>
+      )}
+    </div>
+  );
+}
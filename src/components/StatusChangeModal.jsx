@@ -0,0 +1,388 @@
+/**
+ * @fileoverview Status Change Modal component.
+ *
+ * Opened from a clickable status pill. Lets the user:
+ * - Move a segment, meal or activity to another status
+ * - Enter booking details (confirmation #, vendor, price, booked date)
+ *   when marking it as booked
+ * - Review the item's status history
+ *
+ * @module components/StatusChangeModal
+ */
+
+import { useState, useEffect } from 'react';
+import { X, Save, History, ArrowRight } from 'lucide-react';
+import { StatusPill } from './StatusPill';
+import { BOOKED_STATUS } from '../utils/statusWorkflow';
+import { getStatusConfiguration, listSelectableStatusCodes } from '../utils/statusRegistry';
+import { classNames } from '../utils/classNames';
+import { CurrencySelect } from './CurrencySelect';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** @constant {string} FIELD_CLASSES - Styling shared by every input */
+const FIELD_CLASSES = "w-full px-3 py-2 text-sm md:text-base bg-zinc-800 border border-zinc-600 rounded-lg text-white placeholder-zinc-500 focus:outline-none focus:border-blue-500";
+
+/** @constant {string} LABEL_CLASSES - Styling shared by every field label */
+const LABEL_CLASSES = "block text-xs md:text-sm font-medium text-zinc-300 mb-1";
+
+// ============================================================================
+// PURE HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Formats a date as a local YYYY-MM-DD key (the date input's format).
+ * @pure
+ * @param {Date} dateObject - Date to format
+ * @returns {string} Local date key
+ */
+function formatLocalDateKey(dateObject) {
+  const monthNumber = String(dateObject.getMonth() + 1).padStart(2, '0');
+  const dayNumber = String(dateObject.getDate()).padStart(2, '0');
+  return `${dateObject.getFullYear()}-${monthNumber}-${dayNumber}`;
+}
+
+/**
+ * Builds the booking form for an item: its stored booking when it has one,
+ * otherwise what the item already knows (airline, restaurant, cost).
+ * @param {Object} item - Item being booked
+ * @returns {Object} Booking form data
+ */
+function buildBookingFormData(item) {
+  const storedBooking = item.booking || {};
+  const knownPrice = storedBooking.price ?? item.estimatedCost;
+  return {
+    confirmationNumber: storedBooking.confirmationNumber || item.confirmationNumber || '',
+    vendor: storedBooking.vendor || item.airline || item.restaurant || '',
+    price: knownPrice ? String(knownPrice) : '',
+    currency: storedBooking.currency || item.currency || 'USD',
+    bookedOn: storedBooking.bookedOn || formatLocalDateKey(new Date())
+  };
+}
+
+/**
+ * Converts booking form data to the stored booking details.
+ * @pure
+ * @param {Object} formData - Booking form data
+ * @returns {Object} Booking details
+ */
+function buildBookingDetailsFromFormData(formData) {
+  return {
+    confirmationNumber: formData.confirmationNumber.trim(),
+    vendor: formData.vendor.trim(),
+    price: formData.price ? parseFloat(formData.price) : null,
+    currency: formData.currency,
+    bookedOn: formData.bookedOn
+  };
+}
+
+/**
+ * Formats when a status change was made (e.g., "Mar 3, 2:15 PM").
+ * @pure
+ * @param {number} changedAt - Change timestamp in milliseconds
+ * @returns {string} Formatted timestamp
+ */
+function formatStatusChangeTime(changedAt) {
+  return new Date(changedAt).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
+
+/**
+ * Summarizes the booking details of a history entry on one line.
+ * @pure
+ * @param {Object|null} booking - Booking details
+ * @returns {string} Summary such as "ANA · #ABC123 · 420 USD", empty without booking
+ */
+function summarizeBooking(booking) {
+  if (!booking) return '';
+  return [
+    booking.vendor,
+    booking.confirmationNumber && `#${booking.confirmationNumber}`,
+    booking.price != null && `${booking.price} ${booking.currency}`
+  ].filter(Boolean).join(' · ');
+}
+
+// ============================================================================
+// MAIN COMPONENT
+// ============================================================================
+
+/**
+ * @typedef {Object} StatusChangeModalProps
+ * @property {boolean} isOpen - Whether the modal is visible
+ * @property {Function} onClose - Callback to close the modal
+ * @property {Function} onChangeStatus - Callback (item, nextStatus, bookingDetails) => Promise
+ * @property {Object} item - Segment, meal or activity whose status changes
+ * @property {string} itemLabel - Name shown in the header
+ */
+
+/**
+ * Status Change Modal component.
+ *
+ * @param {StatusChangeModalProps} props - Component properties
+ * @returns {JSX.Element|null} The modal component or null if closed
+ */
+export default function StatusChangeModal({
+  isOpen,
+  onClose,
+  onChangeStatus,
+  item,
+  itemLabel
+}) {
+  // ============================================================================
+  // STATE
+  // ============================================================================
+
+  /** @type {[Object|null, Function]} Booking form data, set while entering booking details */
+  const [bookingFormData, setBookingFormData] = useState(null);
+
+  /** @type {[boolean, Function]} Whether a change is being saved */
+  const [isSaving, setIsSaving] = useState(false);
+
+  // ============================================================================
+  // EFFECTS
+  // ============================================================================
+
+  /**
+   * Start on the status list whenever the modal opens.
+   */
+  useEffect(() => {
+    setBookingFormData(null);
+    setIsSaving(false);
+  }, [isOpen, item?.id]);
+
+  // ============================================================================
+  // EVENT HANDLERS
+  // ============================================================================
+
+  /**
+   * Saves a status change and closes the modal.
+   * @param {string} nextStatus - Status to move to
+   * @param {Object|null} bookingDetails - Booking details when booked
+   */
+  const saveStatusChange = async (nextStatus, bookingDetails) => {
+    setIsSaving(true);
+    const [, changeErr] = await onChangeStatus(item, nextStatus, bookingDetails);
+    setIsSaving(false);
+    if (changeErr) return;
+    onClose();
+  };
+
+  /**
+   * Handles picking a status. Booked asks for booking details first.
+   * @param {string} statusCode - Picked status code
+   */
+  const handleStatusSelect = (statusCode) => {
+    if (statusCode === BOOKED_STATUS) {
+      setBookingFormData(buildBookingFormData(item));
+      return;
+    }
+    if (statusCode === item.status) {
+      onClose();
+      return;
+    }
+    saveStatusChange(statusCode, null);
+  };
+
+  /**
+   * Handles booking form field changes.
+   * @param {React.ChangeEvent<HTMLInputElement|HTMLSelectElement>} changeEvent - The change event
+   */
+  const handleBookingFieldChange = (changeEvent) => {
+    const { name: fieldName, value: fieldValue } = changeEvent.target;
+    setBookingFormData(previousFormData => ({ ...previousFormData, [fieldName]: fieldValue }));
+  };
+
+  /**
+   * Handles booking form submission.
+   * @param {React.FormEvent} submitEvent - The form submission event
+   */
+  const handleBookingSubmit = (submitEvent) => {
+    submitEvent.preventDefault();
+    saveStatusChange(BOOKED_STATUS, buildBookingDetailsFromFormData(bookingFormData));
+  };
+
+  // ============================================================================
+  // RENDER
+  // ============================================================================
+
+  // Early return if modal is closed
+  if (!isOpen || !item) return null;
+
+  const statusHistory = item.statusHistory || [];
+
+  return (
+    <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center z-[3000] p-2 md:p-4">
+      <div className="bg-zinc-900 border border-zinc-700 rounded-xl w-full max-w-md max-h-[95vh] md:max-h-[90vh] overflow-y-auto">
+        {/* ================================================================
+            MODAL HEADER
+            ================================================================ */}
+        <div className="flex items-center justify-between p-3 md:p-4 border-b border-zinc-700 sticky top-0 bg-zinc-900 z-10">
+          <div className="min-w-0">
+            <h2 className="text-base md:text-lg font-semibold text-white">
+              {bookingFormData ? 'Booking Details' : 'Change Status'}
+            </h2>
+            <p className="text-xs md:text-sm text-zinc-400 truncate">{itemLabel}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-zinc-700 rounded-lg transition-colors"
+            aria-label="Close dialog"
+          >
+            <X size={20} className="text-zinc-400" />
+          </button>
+        </div>
+
+        {bookingFormData ? (
+          /* ================================================================
+              BOOKING FORM
+              ================================================================ */
+          <form onSubmit={handleBookingSubmit} className="p-3 md:p-4 space-y-3 md:space-y-4">
+            <div className="grid grid-cols-2 gap-2 md:gap-3">
+              <div>
+                <label className={LABEL_CLASSES}>Confirmation #</label>
+                <input
+                  type="text"
+                  name="confirmationNumber"
+                  value={bookingFormData.confirmationNumber}
+                  onChange={handleBookingFieldChange}
+                  placeholder="e.g., ABC123"
+                  className={FIELD_CLASSES}
+                />
+              </div>
+              <div>
+                <label className={LABEL_CLASSES}>Vendor</label>
+                <input
+                  type="text"
+                  name="vendor"
+                  value={bookingFormData.vendor}
+                  onChange={handleBookingFieldChange}
+                  placeholder="e.g., ANA, Booking.com"
+                  className={FIELD_CLASSES}
+                />
+              </div>
+            </div>
+
+            <div className="grid grid-cols-2 gap-2 md:gap-3">
+              <div>
+                <label className={LABEL_CLASSES}>Price</label>
+                <input
+                  type="number"
+                  name="price"
+                  value={bookingFormData.price}
+                  onChange={handleBookingFieldChange}
+                  placeholder="0"
+                  min="0"
+                  step="0.01"
+                  className={FIELD_CLASSES}
+                />
+              </div>
+              <div>
+                <label className={LABEL_CLASSES}>Currency</label>
+                <CurrencySelect
+                  name="currency"
+                  value={bookingFormData.currency}
+                  onChange={handleBookingFieldChange}
+                  className={FIELD_CLASSES}
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className={LABEL_CLASSES}>Booked On</label>
+              <input
+                type="date"
+                name="bookedOn"
+                value={bookingFormData.bookedOn}
+                onChange={handleBookingFieldChange}
+                className={FIELD_CLASSES}
+              />
+            </div>
+
+            <div className="flex gap-2">
+              <button
+                type="button"
+                onClick={() => setBookingFormData(null)}
+                className="flex-1 py-2 md:py-2.5 text-sm md:text-base bg-zinc-800 hover:bg-zinc-700 text-zinc-300 rounded-lg transition-colors"
+              >
+                Back
+              </button>
+              <button
+                type="submit"
+                disabled={isSaving}
+                className="flex-1 py-2 md:py-2.5 text-sm md:text-base bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50 text-white font-medium rounded-lg transition-colors flex items-center justify-center gap-2"
+              >
+                <Save size={16} />
+                Mark Booked
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className="p-3 md:p-4 space-y-4">
+            {/* ================================================================
+                STATUS OPTIONS
+                ================================================================ */}
+            <div className="grid grid-cols-2 gap-2">
+              {listSelectableStatusCodes().map(statusCode => {
+                const statusConfiguration = getStatusConfiguration(statusCode);
+                const StatusIconComponent = statusConfiguration.icon;
+                return (
+                  <button
+                    key={statusCode}
+                    onClick={() => handleStatusSelect(statusCode)}
+                    disabled={isSaving}
+                    className={classNames(
+                      "flex items-center gap-2 rounded-lg px-3 py-2 text-xs md:text-sm font-medium transition-opacity hover:opacity-80 disabled:opacity-50",
+                      statusConfiguration.cls,
+                      statusCode === item.status && "ring-2 ring-white/60"
+                    )}
+                  >
+                    <StatusIconComponent className="h-4 w-4 shrink-0" />
+                    {statusConfiguration.label}
+                  </button>
+                );
+              })}
+            </div>
+
+            {/* ================================================================
+                STATUS HISTORY
+                ================================================================ */}
+            <div>
+              <h3 className="flex items-center gap-1.5 text-xs font-medium uppercase tracking-wide text-zinc-500 mb-2">
+                <History className="h-3.5 w-3.5" />
+                History
+              </h3>
+              {statusHistory.length === 0 ? (
+                <p className="text-xs md:text-sm text-zinc-500">No changes yet — the status comes from the imported itinerary.</p>
+              ) : (
+                <ul className="space-y-2">
+                  {[...statusHistory].reverse().map(statusChange => (
+                    <li key={statusChange.changedAt} className="rounded-lg bg-zinc-800/60 border border-zinc-700/50 px-3 py-2">
+                      <div className="flex flex-wrap items-center gap-1.5">
+                        <StatusPill code={statusChange.from} />
+                        <ArrowRight className="h-3.5 w-3.5 text-zinc-500" />
+                        <StatusPill code={statusChange.to} />
+                        <span className="ml-auto text-[10px] md:text-xs text-zinc-500">{formatStatusChangeTime(statusChange.changedAt)}</span>
+                      </div>
+                      {statusChange.booking && (
+                        <p className="mt-1 text-xs text-zinc-400">
+                          {summarizeBooking(statusChange.booking)}
+                          {statusChange.booking.bookedOn && ` · booked ${statusChange.booking.bookedOn}`}
+                        </p>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
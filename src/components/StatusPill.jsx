@@ -3,49 +3,46 @@
  * @module components/StatusPill
  */
 
-import { STATUS } from "../constants/status";
+import { useSyncExternalStore } from "react";
+import { getStatusConfiguration, subscribeToStatusRegistry, getStatusRegistrySnapshot } from "../utils/statusRegistry";
 import { classNames } from "../utils/classNames";
 
-/**
- * Retrieves the status configuration for a given status code.
- * Falls back to UNSET status if code is not found.
- * 
- * @pure
- * @param {string} statusCode - The status code to look up
- * @returns {Object} Status configuration with label, icon, and cls
- */
-function getStatusConfiguration(statusCode) {
-  return STATUS[statusCode] || STATUS.UNSET;
-}
-
 /**
  * StatusPill Component
  * 
  * Displays a small colored pill badge indicating the booking/planning status
- * of an itinerary item. Includes an icon and label.
+ * of an itinerary item. Includes an icon and label. Renders as a button
+ * when given an onClick handler. User-defined and unregistered statuses are
+ * looked up in the status registry.
  * 
  * @param {Object} props - Component props
  * @param {string} props.code - Status code (BOOKED, PLANNED, TO_BOOK, etc.)
+ * @param {Function} [props.onClick] - Click handler; makes the pill a button
  * @returns {JSX.Element} Rendered status pill
  * 
  * @example
  * <StatusPill code="BOOKED" />
- * <StatusPill code="TO_BOOK" />
+ * <StatusPill code="TO_BOOK" onClick={openStatusMenu} />
  */
-export function StatusPill({ code: statusCode }) {
+export function StatusPill({ code: statusCode, onClick }) {
+  // Re-render when statuses are registered or edited
+  useSyncExternalStore(subscribeToStatusRegistry, getStatusRegistrySnapshot);
   const statusConfiguration = getStatusConfiguration(statusCode);
   const StatusIconComponent = statusConfiguration.icon;
+  const PillElement = onClick ? 'button' : 'span';
   
   return (
-    <span
+    <PillElement
       className={classNames(
         "inline-flex items-center gap-1.5 rounded-full px-2.5 py-1 text-xs font-medium",
-        statusConfiguration.cls
+        statusConfiguration.cls,
+        onClick && "hover:opacity-80 transition-opacity"
       )}
-      title={statusConfiguration.label}
+      title={onClick ? `${statusConfiguration.label} · change status` : statusConfiguration.label}
+      onClick={onClick}
     >
       <StatusIconComponent className="h-3.5 w-3.5" />
       {statusConfiguration.label}
-    </span>
+    </PillElement>
   );
 }
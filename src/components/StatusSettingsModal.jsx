@@ -0,0 +1,414 @@
+/**
+ * @fileoverview Status Settings Modal component.
+ *
+ * Manages the status registry:
+ * - Register statuses found in the itinerary that the app doesn't know yet
+ * - Define new statuses with a label, icon and color
+ * - Edit or remove user-defined statuses
+ * - Preview the built-in statuses (read-only)
+ *
+ * @module components/StatusSettingsModal
+ */
+
+import { useState, useEffect } from 'react';
+import { X, Tags, Plus, Save, Pencil, Trash2 } from 'lucide-react';
+import { StatusPill } from './StatusPill';
+import { STATUS, STATUS_ICON_OPTIONS, STATUS_COLOR_OPTIONS } from '../constants/status';
+import {
+  DEFAULT_STATUS_ICON,
+  DEFAULT_STATUS_COLOR,
+  formatStatusCodeLabel,
+  normalizeStatusCode,
+  validateCustomStatus
+} from '../utils/statusRegistry';
+import { classNames } from '../utils/classNames';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Default form data for a new status.
+ * @constant {Object}
+ */
+const DEFAULT_STATUS_FORM_DATA = {
+  code: '',
+  label: '',
+  icon: DEFAULT_STATUS_ICON,
+  color: DEFAULT_STATUS_COLOR
+};
+
+/** @constant {string} FIELD_CLASSES - Styling shared by every input */
+const FIELD_CLASSES = "w-full px-3 py-2 text-sm md:text-base bg-zinc-800 border border-zinc-600 rounded-lg text-white placeholder-zinc-500 focus:outline-none focus:border-blue-500 disabled:opacity-60";
+
+/** @constant {string} LABEL_CLASSES - Styling shared by every field label */
+const LABEL_CLASSES = "block text-xs md:text-sm font-medium text-zinc-300 mb-1";
+
+/** @constant {string} SECTION_HEADING_CLASSES - Styling shared by section headings */
+const SECTION_HEADING_CLASSES = "text-xs font-medium uppercase tracking-wide text-zinc-500 mb-2";
+
+// ============================================================================
+// PURE HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Converts form data to a stored status definition.
+ * @pure
+ * @param {Object} formData - Status form data
+ * @returns {Object} Status definition
+ */
+function buildStatusDefinitionFromFormData(formData) {
+  return {
+    code: normalizeStatusCode(formData.code) || '',
+    label: formData.label.trim(),
+    icon: formData.icon,
+    color: formData.color
+  };
+}
+
+// ============================================================================
+// MAIN COMPONENT
+// ============================================================================
+
+/**
+ * @typedef {Object} StatusSettingsModalProps
+ * @property {boolean} isOpen - Whether the modal is visible
+ * @property {Function} onClose - Callback to close the modal
+ * @property {Array<Object>} customStatuses - User-defined status definitions
+ * @property {Array<string>} unregisteredStatusCodes - Codes used in the itinerary but not registered
+ * @property {Function} onSave - Callback to store the definitions (definitions) => Promise
+ */
+
+/**
+ * Status Settings Modal component.
+ *
+ * @param {StatusSettingsModalProps} props - Component properties
+ * @returns {JSX.Element|null} The modal component or null if closed
+ */
+export default function StatusSettingsModal({
+  isOpen,
+  onClose,
+  customStatuses,
+  unregisteredStatusCodes,
+  onSave
+}) {
+  // ============================================================================
+  // STATE
+  // ============================================================================
+
+  /** @type {[Object, Function]} Current form data state */
+  const [statusFormData, setStatusFormData] = useState(DEFAULT_STATUS_FORM_DATA);
+
+  /** @type {[string|null, Function]} Code of the status being edited, null when adding */
+  const [editingStatusCode, setEditingStatusCode] = useState(null);
+
+  /** @type {[string|null, Function]} Validation or save problem shown under the form */
+  const [formErrorMessage, setFormErrorMessage] = useState(null);
+
+  // ============================================================================
+  // EFFECTS
+  // ============================================================================
+
+  /**
+   * Start with an empty form whenever the modal opens.
+   */
+  useEffect(() => {
+    setStatusFormData(DEFAULT_STATUS_FORM_DATA);
+    setEditingStatusCode(null);
+    setFormErrorMessage(null);
+  }, [isOpen]);
+
+  // ============================================================================
+  // EVENT HANDLERS
+  // ============================================================================
+
+  /**
+   * Handles form field changes.
+   * @param {React.ChangeEvent<HTMLInputElement>} changeEvent - The change event
+   */
+  const handleFormFieldChange = (changeEvent) => {
+    const { name: fieldName, value: fieldValue } = changeEvent.target;
+    setStatusFormData(previousFormData => ({ ...previousFormData, [fieldName]: fieldValue }));
+  };
+
+  /**
+   * Fills the form to register a status found in the itinerary.
+   * @param {string} statusCode - Unregistered status code
+   */
+  const handleRegisterClick = (statusCode) => {
+    setEditingStatusCode(null);
+    setFormErrorMessage(null);
+    setStatusFormData({ ...DEFAULT_STATUS_FORM_DATA, code: statusCode, label: formatStatusCodeLabel(statusCode) });
+  };
+
+  /**
+   * Fills the form to edit a user-defined status.
+   * @param {Object} statusDefinition - Definition to edit
+   */
+  const handleEditClick = (statusDefinition) => {
+    setEditingStatusCode(statusDefinition.code);
+    setFormErrorMessage(null);
+    setStatusFormData({ ...DEFAULT_STATUS_FORM_DATA, ...statusDefinition });
+  };
+
+  /**
+   * Removes a user-defined status. Items using it keep their code and
+   * show up as unregistered again.
+   * @param {Object} statusDefinition - Definition to remove
+   */
+  const handleDeleteClick = async (statusDefinition) => {
+    if (!confirm(`Remove the "${statusDefinition.label}" status? Items using it keep the ${statusDefinition.code} code.`)) return;
+    const [, saveErr] = await onSave(customStatuses.filter(existingDefinition => existingDefinition.code !== statusDefinition.code));
+    if (saveErr) setFormErrorMessage(saveErr.message);
+  };
+
+  /**
+   * Handles form submission for add/edit.
+   * @param {React.FormEvent} submitEvent - The form submission event
+   */
+  const handleFormSubmit = async (submitEvent) => {
+    submitEvent.preventDefault();
+
+    const statusDefinition = buildStatusDefinitionFromFormData(statusFormData);
+    const otherDefinitions = customStatuses.filter(existingDefinition => existingDefinition.code !== editingStatusCode);
+    const validationMessage = validateCustomStatus(statusDefinition, otherDefinitions);
+    if (validationMessage) {
+      setFormErrorMessage(validationMessage);
+      return;
+    }
+
+    // CRITICAL PATH: Edits keep their position in the list, new statuses go last
+    const nextDefinitions = editingStatusCode
+      ? customStatuses.map(existingDefinition => (existingDefinition.code === editingStatusCode ? statusDefinition : existingDefinition))
+      : [...customStatuses, statusDefinition];
+
+    const [, saveErr] = await onSave(nextDefinitions);
+    if (saveErr) {
+      setFormErrorMessage(saveErr.message);
+      return;
+    }
+
+    setStatusFormData(DEFAULT_STATUS_FORM_DATA);
+    setEditingStatusCode(null);
+    setFormErrorMessage(null);
+  };
+
+  // ============================================================================
+  // RENDER
+  // ============================================================================
+
+  // Early return if modal is closed
+  if (!isOpen) return null;
+
+  const PreviewIconComponent = STATUS_ICON_OPTIONS[statusFormData.icon];
+
+  return (
+    <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center z-[3000] p-2 md:p-4">
+      <div className="bg-zinc-900 border border-zinc-700 rounded-xl w-full max-w-lg max-h-[95vh] md:max-h-[90vh] overflow-y-auto">
+        {/* ================================================================
+            MODAL HEADER
+            ================================================================ */}
+        <div className="flex items-center justify-between p-3 md:p-4 border-b border-zinc-700 sticky top-0 bg-zinc-900 z-10">
+          <h2 className="text-base md:text-lg font-semibold text-white flex items-center gap-2">
+            <Tags size={18} className="text-sky-400" />
+            Statuses
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-zinc-700 rounded-lg transition-colors"
+            aria-label="Close dialog"
+          >
+            <X size={20} className="text-zinc-400" />
+          </button>
+        </div>
+
+        <div className="p-3 md:p-4 space-y-5">
+          {/* ================================================================
+              UNREGISTERED STATUSES
+              ================================================================ */}
+          {unregisteredStatusCodes.length > 0 && (
+            <div>
+              <h3 className={SECTION_HEADING_CLASSES}>Found in your itinerary</h3>
+              <ul className="space-y-2">
+                {unregisteredStatusCodes.map(statusCode => (
+                  <li key={statusCode} className="flex items-center justify-between gap-2 rounded-lg bg-amber-950/20 border border-amber-900/50 px-3 py-2">
+                    <div className="flex items-center gap-2 min-w-0">
+                      <StatusPill code={statusCode} />
+                      <span className="text-xs text-zinc-500 font-mono truncate">{statusCode}</span>
+                    </div>
+                    <button
+                      onClick={() => handleRegisterClick(statusCode)}
+                      className="flex items-center gap-1 px-2 py-1 rounded-md text-xs font-medium bg-sky-700/40 text-sky-200 hover:bg-sky-600/50 transition-colors flex-shrink-0"
+                    >
+                      <Plus className="h-3.5 w-3.5" />
+                      Register
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {/* ================================================================
+              USER-DEFINED STATUSES
+              ================================================================ */}
+          {customStatuses.length > 0 && (
+            <div>
+              <h3 className={SECTION_HEADING_CLASSES}>Your statuses</h3>
+              <ul className="space-y-2">
+                {customStatuses.map(statusDefinition => (
+                  <li key={statusDefinition.code} className="flex items-center justify-between gap-2 rounded-lg bg-zinc-800/60 border border-zinc-700/50 px-3 py-2">
+                    <div className="flex items-center gap-2 min-w-0">
+                      <StatusPill code={statusDefinition.code} />
+                      <span className="text-xs text-zinc-500 font-mono truncate">{statusDefinition.code}</span>
+                    </div>
+                    <div className="flex items-center gap-1 flex-shrink-0">
+                      <button
+                        onClick={() => handleEditClick(statusDefinition)}
+                        className="p-1 rounded text-zinc-400 hover:text-zinc-200 hover:bg-zinc-700/60 transition-colors"
+                        title="Edit status"
+                      >
+                        <Pencil className="h-3.5 w-3.5" />
+                      </button>
+                      <button
+                        onClick={() => handleDeleteClick(statusDefinition)}
+                        className="p-1 rounded text-red-400 hover:text-red-200 hover:bg-red-900/40 transition-colors"
+                        title="Remove status"
+                      >
+                        <Trash2 className="h-3.5 w-3.5" />
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {/* ================================================================
+              ADD / EDIT FORM
+              ================================================================ */}
+          <form onSubmit={handleFormSubmit} className="space-y-3 rounded-lg border border-zinc-700 p-3">
+            <h3 className={SECTION_HEADING_CLASSES}>{editingStatusCode ? `Edit ${editingStatusCode}` : 'New status'}</h3>
+
+            <div className="grid grid-cols-2 gap-2 md:gap-3">
+              <div>
+                <label className={LABEL_CLASSES}>Code *</label>
+                <input
+                  type="text"
+                  name="code"
+                  value={statusFormData.code}
+                  onChange={handleFormFieldChange}
+                  disabled={Boolean(editingStatusCode)}
+                  required
+                  placeholder="e.g., WAITLISTED"
+                  className={`${FIELD_CLASSES} font-mono uppercase`}
+                />
+              </div>
+              <div>
+                <label className={LABEL_CLASSES}>Label *</label>
+                <input
+                  type="text"
+                  name="label"
+                  value={statusFormData.label}
+                  onChange={handleFormFieldChange}
+                  required
+                  placeholder="e.g., Waitlisted"
+                  className={FIELD_CLASSES}
+                />
+              </div>
+            </div>
+
+            {/* Icon Picker */}
+            <div>
+              <label className={LABEL_CLASSES}>Icon</label>
+              <div className="flex flex-wrap gap-1.5">
+                {Object.entries(STATUS_ICON_OPTIONS).map(([iconName, IconComponent]) => (
+                  <button
+                    key={iconName}
+                    type="button"
+                    onClick={() => setStatusFormData(previousFormData => ({ ...previousFormData, icon: iconName }))}
+                    className={classNames(
+                      "p-2 rounded-lg border transition-colors",
+                      statusFormData.icon === iconName
+                        ? "border-sky-500 bg-sky-900/40 text-sky-200"
+                        : "border-zinc-700 text-zinc-400 hover:text-zinc-200 hover:bg-zinc-800"
+                    )}
+                    title={iconName}
+                  >
+                    <IconComponent className="h-4 w-4" />
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {/* Color Picker */}
+            <div>
+              <label className={LABEL_CLASSES}>Color</label>
+              <div className="flex flex-wrap gap-1.5">
+                {Object.entries(STATUS_COLOR_OPTIONS).map(([colorName, colorClasses]) => (
+                  <button
+                    key={colorName}
+                    type="button"
+                    onClick={() => setStatusFormData(previousFormData => ({ ...previousFormData, color: colorName }))}
+                    className={classNames(
+                      "rounded-full px-2.5 py-1 text-xs font-medium",
+                      colorClasses,
+                      statusFormData.color === colorName && "outline outline-2 outline-offset-1 outline-white/70"
+                    )}
+                  >
+                    {colorName}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {/* Preview & Submit */}
+            <div className="flex items-center justify-between gap-2 pt-1">
+              <span className={classNames(
+                "inline-flex items-center gap-1.5 rounded-full px-2.5 py-1 text-xs font-medium",
+                STATUS_COLOR_OPTIONS[statusFormData.color]
+              )}>
+                <PreviewIconComponent className="h-3.5 w-3.5" />
+                {statusFormData.label || 'Preview'}
+              </span>
+              <div className="flex gap-2">
+                {editingStatusCode && (
+                  <button
+                    type="button"
+                    onClick={() => handleRegisterClick('')}
+                    className="px-3 py-1.5 text-sm bg-zinc-800 hover:bg-zinc-700 text-zinc-300 rounded-lg transition-colors"
+                  >
+                    Cancel
+                  </button>
+                )}
+                <button
+                  type="submit"
+                  className="px-3 py-1.5 text-sm bg-sky-600 hover:bg-sky-500 text-white font-medium rounded-lg transition-colors flex items-center gap-1.5"
+                >
+                  {editingStatusCode ? <Save size={14} /> : <Plus size={14} />}
+                  {editingStatusCode ? 'Save' : 'Add Status'}
+                </button>
+              </div>
+            </div>
+
+            {formErrorMessage && (
+              <p className="text-xs md:text-sm text-red-400">{formErrorMessage}</p>
+            )}
+          </form>
+
+          {/* ================================================================
+              BUILT-IN STATUSES
+              ================================================================ */}
+          <div>
+            <h3 className={SECTION_HEADING_CLASSES}>Built-in</h3>
+            <div className="flex flex-wrap gap-1.5">
+              {Object.keys(STATUS).map(statusCode => (
+                <StatusPill key={statusCode} code={statusCode} />
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
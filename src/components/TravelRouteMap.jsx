@@ -1,57 +1,48 @@
 /**
  * @fileoverview Travel route map component for displaying flight paths
- * between departure and arrival airports with curved path visualization.
+ * between departure and arrival airports along great-circle arcs.
  * 
  * @description Features include:
- * - Airport coordinate lookup by IATA code
- * - Curved flight path (great circle approximation)
- * - Automatic zoom level calculation based on distance
+ * - Airport coordinate lookup by IATA/ICAO code (shared offline airport database)
+ * - Great-circle flight path, split at the antimeridian
+ * - Map view fitted to the route
+ * - Great-circle distance and rough flight time
  * - Dark theme map tiles
  * - Departure/arrival markers with popups
  */
 
+import { useState, useEffect } from 'react';
 import { MapContainer, TileLayer, Marker, Polyline, Popup } from 'react-leaflet';
 import { Icon } from 'leaflet';
 import { Plane } from 'lucide-react';
+import { findAirportInText, loadAirportDatabase, isAirportDatabaseLoaded } from '../utils/airports';
+import { MAP_TILE_URL_TEMPLATE } from '../utils/offlineMaps';
+import {
+  calculateCenterLongitude,
+  calculateGreatCircleDistanceKm,
+  calculatePathBounds,
+  estimateFlightMinutes,
+  interpolateGreatCircle,
+  kilometersToMiles,
+  normalizeLongitude,
+  splitPathAtAntimeridian
+} from '../utils/geo';
 
 /* ============================================================================
-   AIRPORT COORDINATES DATABASE
+   FLIGHT PATH CONFIGURATION
    ============================================================================ */
 
 /**
- * Airport and station coordinates lookup table
- * @constant {Object.<string, {lat: number, lng: number, name: string}>}
- */
-const AIRPORT_COORDINATES_DATABASE = {
-  // US Airports
-  'FLL': { lat: 26.0726, lng: -80.1527, name: 'Fort Lauderdale' },
-  'SFO': { lat: 37.6213, lng: -122.3790, name: 'San Francisco' },
-  'DEN': { lat: 39.8561, lng: -104.6737, name: 'Denver' },
-  
-  // Philippines Airports
-  'MNL': { lat: 14.5086, lng: 121.0194, name: 'Manila' },
-  'BCD': { lat: 10.7764, lng: 123.0148, name: 'Bacolod' },
-  
-  // Japan Airports
-  'NRT': { lat: 35.7720, lng: 140.3929, name: 'Tokyo Narita' },
-  'HND': { lat: 35.5494, lng: 139.7798, name: 'Tokyo Haneda' },
-  
-  // Train stations (for Shinkansen)
-  'UENO': { lat: 35.7141, lng: 139.7774, name: 'Ueno Station' },
-  'JOETSU': { lat: 37.1033, lng: 138.2531, name: 'Jōetsumyōkō Station' },
-};
-
-/**
- * Number of points to use for curved flight path interpolation
+ * Number of points to use for great-circle path interpolation
  * @constant {number}
  */
-const FLIGHT_PATH_INTERPOLATION_POINTS = 50;
+const FLIGHT_PATH_INTERPOLATION_POINTS = 64;
 
 /**
- * Multiplier for flight path curve offset calculation
- * @constant {number}
+ * Padding around the route when fitting the map view, in pixels
+ * @constant {{padding: [number, number]}}
  */
-const CURVE_OFFSET_MULTIPLIER = 0.1;
+const ROUTE_BOUNDS_OPTIONS = { padding: [28, 28] };
 
 /* ============================================================================
    MARKER ICON CONFIGURATION
@@ -101,101 +92,38 @@ const FLIGHT_PATH_STYLE = {
    ============================================================================ */
 
 /**
- * Extracts 3-letter IATA airport code from airport string
- * @pure
- * @param {string} airportString - String containing airport code (e.g., "FLL - Fort Lauderdale...")
- * @returns {string|null} 3-letter IATA code or null if not found
- */
-const extractAirportCodeFromString = (airportString) => {
-  if (!airportString) return null;
-  const airportCodeMatch = airportString.match(/^([A-Z]{3})/);
-  return airportCodeMatch ? airportCodeMatch[1] : null;
-};
-
-/**
- * Looks up airport coordinates by IATA code
- * @pure
- * @param {string} airportCode - 3-letter IATA airport code
- * @returns {{lat: number, lng: number, name: string}|null} Coordinate data or null
- */
-const lookupAirportCoordinates = (airportCode) => {
-  return airportCode ? AIRPORT_COORDINATES_DATABASE[airportCode] : null;
-};
-
-/**
- * Calculates center point between two coordinate pairs
- * @pure
- * @param {{lat: number, lng: number}} departureCoords - Departure airport coordinates
- * @param {{lat: number, lng: number}} arrivalCoords - Arrival airport coordinates
- * @returns {[number, number]} Center point as [latitude, longitude]
- */
-const calculateMapCenterBetweenAirports = (departureCoords, arrivalCoords) => {
-  const centerLatitude = (departureCoords.lat + arrivalCoords.lat) / 2;
-  const centerLongitude = (departureCoords.lng + arrivalCoords.lng) / 2;
-  return [centerLatitude, centerLongitude];
-};
-
-/**
- * Calculates appropriate zoom level based on coordinate distance
+ * Builds the drawable geometry of a route: great-circle arc pieces and
+ * marker positions, all in one longitude window centred on the route so
+ * the view never wraps the wrong way around the globe.
  * @pure
  * @param {{lat: number, lng: number}} departureCoords - Departure coordinates
  * @param {{lat: number, lng: number}} arrivalCoords - Arrival coordinates
- * @returns {number} Zoom level (1-6)
+ * @returns {{pathPieces: Array<Array<[number, number]>>, departurePosition: [number, number], arrivalPosition: [number, number], bounds: Array}} Route geometry
  */
-const calculateZoomLevelFromDistance = (departureCoords, arrivalCoords) => {
-  const latitudeDifference = Math.abs(departureCoords.lat - arrivalCoords.lat);
-  const longitudeDifference = Math.abs(departureCoords.lng - arrivalCoords.lng);
-  const maximumDifference = Math.max(latitudeDifference, longitudeDifference);
-  
-  if (maximumDifference > 100) return 1;
-  if (maximumDifference > 50) return 2;
-  if (maximumDifference > 20) return 3;
-  if (maximumDifference > 10) return 4;
-  if (maximumDifference > 5) return 5;
-  return 6;
+const buildRouteGeometry = (departureCoords, arrivalCoords) => {
+  const arcPoints = interpolateGreatCircle(departureCoords, arrivalCoords, FLIGHT_PATH_INTERPOLATION_POINTS);
+  const centerLongitude = calculateCenterLongitude(arcPoints);
+  const pathPieces = splitPathAtAntimeridian(arcPoints, centerLongitude);
+
+  return {
+    pathPieces,
+    departurePosition: [departureCoords.lat, normalizeLongitude(departureCoords.lng, centerLongitude)],
+    arrivalPosition: [arrivalCoords.lat, normalizeLongitude(arrivalCoords.lng, centerLongitude)],
+    bounds: calculatePathBounds(pathPieces)
+  };
 };
 
 /**
- * Calculates maximum coordinate difference for curve offset calculation
+ * Formats minutes as "14h 30m"
  * @pure
- * @param {{lat: number, lng: number}} departureCoords - Departure coordinates
- * @param {{lat: number, lng: number}} arrivalCoords - Arrival coordinates
- * @returns {number} Maximum coordinate difference
+ * @param {number} totalMinutes - Duration in minutes
+ * @returns {string} Formatted duration
  */
-const calculateMaxCoordinateDifference = (departureCoords, arrivalCoords) => {
-  const latitudeDifference = Math.abs(departureCoords.lat - arrivalCoords.lat);
-  const longitudeDifference = Math.abs(departureCoords.lng - arrivalCoords.lng);
-  return Math.max(latitudeDifference, longitudeDifference);
-};
-
-/**
- * Creates curved arc path between two points (great circle approximation)
- * @pure
- * @param {[number, number]} startPosition - Start coordinates [lat, lng]
- * @param {[number, number]} endPosition - End coordinates [lat, lng]
- * @param {number} maxDifference - Maximum coordinate difference for curve calculation
- * @returns {Array<[number, number]>} Array of interpolated points forming arc
- */
-const createCurvedFlightPath = (startPosition, endPosition, maxDifference) => {
-  const interpolatedPoints = [];
-  
-  for (let pointIndex = 0; pointIndex <= FLIGHT_PATH_INTERPOLATION_POINTS; pointIndex++) {
-    const interpolationFactor = pointIndex / FLIGHT_PATH_INTERPOLATION_POINTS;
-    
-    // Linear interpolation between start and end points
-    const interpolatedLatitude = startPosition[0] + (endPosition[0] - startPosition[0]) * interpolationFactor;
-    const interpolatedLongitude = startPosition[1] + (endPosition[1] - startPosition[1]) * interpolationFactor;
-    
-    // Calculate curve offset using sine wave for natural arc appearance
-    const curveOffset = Math.sin(interpolationFactor * Math.PI) * (maxDifference * CURVE_OFFSET_MULTIPLIER);
-    
-    interpolatedPoints.push([
-      interpolatedLatitude + curveOffset * 0.3, 
-      interpolatedLongitude
-    ]);
-  }
-  
-  return interpolatedPoints;
+const formatFlightDuration = (totalMinutes) => {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  if (hours === 0) return `${minutes}m`;
+  return minutes === 0 ? `${hours}h` : `${hours}h ${minutes}m`;
 };
 
 /* ============================================================================
@@ -214,34 +142,42 @@ const createCurvedFlightPath = (startPosition, endPosition, maxDifference) => {
  * @returns {JSX.Element|null} Route map or null if coordinates unavailable
  */
 export function TravelRouteMap({ departureAirport, arrivalAirport, route, type }) {
-  // Extract IATA codes from airport strings
-  const departureAirportCode = extractAirportCodeFromString(departureAirport);
-  const arrivalAirportCode = extractAirportCodeFromString(arrivalAirport);
-  
-  // Lookup coordinates for both airports
-  const departureCoordinates = lookupAirportCoordinates(departureAirportCode);
-  const arrivalCoordinates = lookupAirportCoordinates(arrivalAirportCode);
+  /** @type {[boolean, Function]} Whether the lazily loaded airport database is available */
+  const [isAirportDatabaseReady, setIsAirportDatabaseReady] = useState(isAirportDatabaseLoaded);
+
+  /**
+   * Loads the airport database chunk on first render
+   */
+  useEffect(() => {
+    if (isAirportDatabaseReady) return;
+
+    let isEffectActive = true;
+    loadAirportDatabase().then(([, loadErr]) => {
+      if (isEffectActive && !loadErr) setIsAirportDatabaseReady(true);
+    });
+
+    return () => { isEffectActive = false; };
+  }, [isAirportDatabaseReady]);
+
+  // Lookup coordinates for both airports (codes like "FLL - Fort Lauderdale" or "Tokyo (NRT)")
+  const departureCoordinates = findAirportInText(departureAirport);
+  const arrivalCoordinates = findAirportInText(arrivalAirport);
   
   // CRITICAL: Early return if coordinates unavailable - can't render map
   if (!departureCoordinates || !arrivalCoordinates) {
     return null;
   }
+
+  const departureAirportCode = departureCoordinates.code;
+  const arrivalAirportCode = arrivalCoordinates.code;
   
-  // Convert coordinates to Leaflet position format [lat, lng]
-  const departureMarkerPosition = [departureCoordinates.lat, departureCoordinates.lng];
-  const arrivalMarkerPosition = [arrivalCoordinates.lat, arrivalCoordinates.lng];
-  
-  // Calculate map center and zoom level
-  const mapCenterPosition = calculateMapCenterBetweenAirports(departureCoordinates, arrivalCoordinates);
-  const mapZoomLevel = calculateZoomLevelFromDistance(departureCoordinates, arrivalCoordinates);
-  
-  // Generate curved flight path between airports
-  const maxCoordDifference = calculateMaxCoordinateDifference(departureCoordinates, arrivalCoordinates);
-  const curvedFlightPathPositions = createCurvedFlightPath(
-    departureMarkerPosition, 
-    arrivalMarkerPosition,
-    maxCoordDifference
-  );
+  // CRITICAL PATH: Great-circle arc and view bounds in a route-centred longitude window
+  const routeGeometry = buildRouteGeometry(departureCoordinates, arrivalCoordinates);
+
+  // Distance and rough flight time for the info badge (flight time only makes sense for flights)
+  const routeDistanceKm = calculateGreatCircleDistanceKm(departureCoordinates, arrivalCoordinates);
+  const isFlightRoute = !type || type.toLowerCase() === 'flight';
+  const estimatedFlightMinutes = isFlightRoute ? estimateFlightMinutes(routeDistanceKm) : null;
 
   // Generate route label (custom or default format)
   const routeDisplayLabel = route || `${departureAirportCode} → ${arrivalAirportCode}`;
@@ -256,10 +192,17 @@ export function TravelRouteMap({ departureAirport, arrivalAirport, route, type }
         </span>
       </div>
 
-      {/* Interactive Map Container */}
+      {/* Distance and estimated flight time */}
+      <div className="absolute bottom-2 left-2 z-[1000] bg-zinc-900/90 backdrop-blur-sm px-2 py-1 rounded-md border border-zinc-700/50 text-[11px] text-zinc-300">
+        {Math.round(routeDistanceKm).toLocaleString()} km · {Math.round(kilometersToMiles(routeDistanceKm)).toLocaleString()} mi
+        {estimatedFlightMinutes !== null && ` · ~${formatFlightDuration(estimatedFlightMinutes)}`}
+      </div>
+
+      {/* Interactive Map Container (remounted per route - MapContainer bounds are only read on mount) */}
       <MapContainer
-        center={mapCenterPosition}
-        zoom={mapZoomLevel}
+        key={`${departureAirportCode}-${arrivalAirportCode}`}
+        bounds={routeGeometry.bounds}
+        boundsOptions={ROUTE_BOUNDS_OPTIONS}
         scrollWheelZoom={false}
         dragging={true}
         zoomControl={false}
@@ -269,17 +212,17 @@ export function TravelRouteMap({ departureAirport, arrivalAirport, route, type }
       >
         {/* Dark theme map tiles from CartoDB */}
         <TileLayer
-          url="https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png"
+          url={MAP_TILE_URL_TEMPLATE}
         />
         
-        {/* Curved Flight Path Polyline */}
+        {/* Great-circle Flight Path (one piece per side of the seam) */}
         <Polyline
-          positions={curvedFlightPathPositions}
+          positions={routeGeometry.pathPieces}
           pathOptions={FLIGHT_PATH_STYLE}
         />
         
         {/* Departure Airport Marker */}
-        <Marker position={departureMarkerPosition} icon={DEPARTURE_AIRPORT_MARKER_ICON}>
+        <Marker position={routeGeometry.departurePosition} icon={DEPARTURE_AIRPORT_MARKER_ICON}>
           <Popup>
             <div className="text-sm">
               <div className="font-semibold">✈️ Departure</div>
@@ -289,7 +232,7 @@ export function TravelRouteMap({ departureAirport, arrivalAirport, route, type }
         </Marker>
         
         {/* Arrival Airport Marker */}
-        <Marker position={arrivalMarkerPosition} icon={ARRIVAL_AIRPORT_MARKER_ICON}>
+        <Marker position={routeGeometry.arrivalPosition} icon={ARRIVAL_AIRPORT_MARKER_ICON}>
           <Popup>
             <div className="text-sm">
               <div className="font-semibold">📍 Arrival</div>
@@ -0,0 +1,455 @@
+/**
+ * @fileoverview Full-screen overview map of the whole trip.
+ *
+ * @description Features include:
+ * - Every shelter, activity with coordinates and flight arc on one map
+ * - Markers and arcs colored by day or by region
+ * - Day slider to show a single day, or all days at once
+ * - Marker clustering that regroups on zoom
+ * - Clicking a marker or arc jumps to that day's DayCard
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { X, Globe2, Layers } from 'lucide-react';
+import { MapContainer, TileLayer, Marker, Polyline, Tooltip, useMap, useMapEvents } from 'react-leaflet';
+import { DivIcon, latLngBounds } from 'leaflet';
+import { classNames } from '../utils/classNames';
+import { collectTripMapData, getDayColor, getRegionColor, clusterProjectedPoints } from '../utils/tripMap';
+import { MAP_TILE_URL_TEMPLATE, MAP_TILE_ATTRIBUTION } from '../utils/offlineMaps';
+import {
+  calculateCenterLongitude,
+  calculatePathBounds,
+  interpolateGreatCircle,
+  normalizeLongitude,
+  splitPathAtAntimeridian
+} from '../utils/geo';
+
+/* ============================================================================
+   CONSTANTS
+   ============================================================================ */
+
+/**
+ * Emoji shown inside markers by stop kind
+ * @constant {Object.<string, string>}
+ */
+const STOP_KIND_EMOJI = {
+  shelter: '🏨',
+  activity: '📍',
+  airport: '✈️'
+};
+
+/**
+ * Color modes for markers and arcs
+ * @constant {Object.<string, string>}
+ */
+const COLOR_MODES = {
+  day: 'By day',
+  region: 'By region'
+};
+
+/** @constant {number} Markers closer than this many pixels are clustered */
+const CLUSTER_RADIUS_PIXELS = 44;
+
+/** @constant {number} Points interpolated per flight arc */
+const FLIGHT_ARC_POINT_COUNT = 48;
+
+/**
+ * Options for fitting the view to the visible markers
+ * @constant {Object}
+ */
+const FIT_BOUNDS_OPTIONS = { padding: [48, 48], maxZoom: 13 };
+
+/* ============================================================================
+   PURE HELPER FUNCTIONS
+   ============================================================================ */
+
+/**
+ * Creates a colored circular marker icon with an emoji
+ * @pure
+ * @param {string} markerColor - CSS color
+ * @param {string} markerEmoji - Emoji for the stop kind
+ * @returns {DivIcon} Leaflet DivIcon
+ */
+const createStopMarkerIcon = (markerColor, markerEmoji) => {
+  return new DivIcon({
+    html: `
+      <div style="
+        background-color: ${markerColor};
+        border: 2px solid white;
+        border-radius: 50%;
+        width: 30px;
+        height: 30px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        font-size: 14px;
+        box-shadow: 0 2px 5px rgba(0,0,0,0.45);
+      ">${markerEmoji}</div>
+    `,
+    className: 'trip-overview-marker',
+    iconSize: [30, 30],
+    iconAnchor: [15, 15]
+  });
+};
+
+/**
+ * Creates a cluster marker icon showing how many stops it holds
+ * @pure
+ * @param {number} stopCount - Number of stops in the cluster
+ * @returns {DivIcon} Leaflet DivIcon
+ */
+const createClusterMarkerIcon = (stopCount) => {
+  const clusterSize = stopCount >= 20 ? 46 : stopCount >= 6 ? 40 : 34;
+  return new DivIcon({
+    html: `
+      <div style="
+        background-color: rgba(24, 24, 27, 0.9);
+        border: 3px solid #60a5fa;
+        border-radius: 50%;
+        width: ${clusterSize}px;
+        height: ${clusterSize}px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        font-size: 13px;
+        font-weight: bold;
+        color: white;
+        box-shadow: 0 3px 6px rgba(0,0,0,0.5);
+      ">${stopCount}</div>
+    `,
+    className: 'trip-overview-cluster',
+    iconSize: [clusterSize, clusterSize],
+    iconAnchor: [clusterSize / 2, clusterSize / 2]
+  });
+};
+
+/**
+ * Checks whether a stop or flight belongs to the selected day
+ * @pure
+ * @param {{dayIndex: number, lastDayIndex?: number}} mapItem - Stop or flight
+ * @param {number|null} selectedDayIndex - Selected day, or null for all days
+ * @returns {boolean} True if the item should be shown
+ */
+const isVisibleOnDay = (mapItem, selectedDayIndex) => {
+  if (selectedDayIndex === null) return true;
+  return selectedDayIndex >= mapItem.dayIndex && selectedDayIndex <= (mapItem.lastDayIndex ?? mapItem.dayIndex);
+};
+
+/* ============================================================================
+   MAP CHILD COMPONENTS
+   ============================================================================ */
+
+/**
+ * Fits the map view to the visible markers whenever the selection changes
+ * @param {Object} props
+ * @param {Array|null} props.bounds - [[south, west], [north, east]]
+ */
+function FitMapToBounds({ bounds }) {
+  const map = useMap();
+  const boundsKey = bounds ? bounds.flat().map(value => value.toFixed(4)).join(',') : '';
+
+  useEffect(() => {
+    if (bounds) map.fitBounds(bounds, FIT_BOUNDS_OPTIONS);
+    // boundsKey: refit only when the box actually changes, not on every render
+  }, [map, boundsKey]);
+
+  return null;
+}
+
+/**
+ * Stop markers, clustered in screen space and regrouped after every zoom
+ * @param {Object} props
+ * @param {Array<Object>} props.stops - Visible stops with display positions and colors
+ * @param {Function} props.onSelectDay - Called with a date key when a marker is clicked
+ */
+function ClusteredStopMarkers({ stops, onSelectDay }) {
+  const map = useMap();
+  const [zoomLevel, setZoomLevel] = useState(() => map.getZoom());
+
+  useMapEvents({
+    zoomend: () => setZoomLevel(map.getZoom())
+  });
+
+  const stopClusters = useMemo(() => {
+    // At maximum zoom nothing can be pulled apart any further - show every stop
+    if (zoomLevel >= map.getMaxZoom()) return stops.map(stop => [stop]);
+
+    const projectedStops = stops.map(stop => {
+      const pixelPoint = map.project(stop.position, zoomLevel);
+      return { ...stop, x: pixelPoint.x, y: pixelPoint.y };
+    });
+    return clusterProjectedPoints(projectedStops, CLUSTER_RADIUS_PIXELS);
+  }, [map, stops, zoomLevel]);
+
+  return stopClusters.map((stopCluster) => {
+    if (stopCluster.length === 1) {
+      const stop = stopCluster[0];
+      return (
+        <Marker
+          key={stop.id}
+          position={stop.position}
+          icon={createStopMarkerIcon(stop.color, STOP_KIND_EMOJI[stop.kind])}
+          eventHandlers={{ click: () => onSelectDay(stop.dateKey) }}
+        >
+          <Tooltip direction="top" offset={[0, -14]}>
+            <div className="text-xs">
+              <div className="font-semibold">{stop.name}</div>
+              {stop.detail && <div>{stop.detail}</div>}
+              <div className="text-zinc-500">
+                {stop.dateDisplay}{stop.nightCount > 1 ? ` · ${stop.nightCount} nights` : ''}
+              </div>
+            </div>
+          </Tooltip>
+        </Marker>
+      );
+    }
+
+    const clusterBounds = latLngBounds(stopCluster.map(stop => stop.position));
+    return (
+      <Marker
+        key={`cluster-${stopCluster[0].id}`}
+        position={clusterBounds.getCenter()}
+        icon={createClusterMarkerIcon(stopCluster.length)}
+        eventHandlers={{
+          click: () => map.fitBounds(clusterBounds, { padding: [60, 60], maxZoom: map.getMaxZoom() })
+        }}
+      >
+        <Tooltip direction="top" offset={[0, -18]}>
+          <div className="text-xs">
+            {stopCluster.slice(0, 5).map(stop => <div key={stop.id}>{STOP_KIND_EMOJI[stop.kind]} {stop.name}</div>)}
+            {stopCluster.length > 5 && <div className="text-zinc-500">+{stopCluster.length - 5} more</div>}
+          </div>
+        </Tooltip>
+      </Marker>
+    );
+  });
+}
+
+/* ============================================================================
+   MAIN COMPONENT
+   ============================================================================ */
+
+/**
+ * Trip overview map modal
+ *
+ * @component
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the modal is visible
+ * @param {Function} props.onClose - Callback to close the modal
+ * @param {Array<Object>} props.days - All parsed days of the trip
+ * @param {Object<string, Array<Object>>} props.manualActivitiesByDate - User-added activities keyed by date
+ * @param {Object<string, Array<string>>} props.deletedActivityIdsByDate - Hidden activity IDs keyed by date
+ * @param {Function} props.onSelectDay - Called with a date key when a marker or arc is clicked
+ * @returns {JSX.Element|null} Map modal or null if not open
+ */
+export function TripOverviewMap({ isOpen, onClose, days, manualActivitiesByDate, deletedActivityIdsByDate, onSelectDay }) {
+  /** @type {['day'|'region', Function]} How markers and arcs are colored */
+  const [colorMode, setColorMode] = useState('day');
+
+  /** @type {[number|null, Function]} Day shown on its own, or null for the whole trip */
+  const [selectedDayIndex, setSelectedDayIndex] = useState(null);
+
+  // CRITICAL: Prevent body scroll when modal is open for proper UX
+  useEffect(() => {
+    if (isOpen) {
+      document.body.style.overflow = 'hidden';
+    }
+    return () => {
+      document.body.style.overflow = '';
+    };
+  }, [isOpen]);
+
+  const tripMapData = useMemo(
+    () => collectTripMapData(days, manualActivitiesByDate, deletedActivityIdsByDate),
+    [days, manualActivitiesByDate, deletedActivityIdsByDate]
+  );
+
+  // CRITICAL PATH: Visible stops and arcs, placed in one longitude window so trans-Pacific trips stay together
+  const visibleMapLayers = useMemo(() => {
+    const { stops, flights, regions } = tripMapData;
+
+    /**
+     * Color of a stop or flight in the current mode
+     * @param {{dayIndex: number, region: string}} mapItem - Stop or flight
+     * @returns {string} CSS color
+     */
+    const getItemColor = (mapItem) => colorMode === 'region'
+      ? getRegionColor(mapItem.region, regions)
+      : getDayColor(mapItem.dayIndex, days.length);
+
+    const visibleStops = stops.filter(stop => isVisibleOnDay(stop, selectedDayIndex));
+    const visibleFlights = flights.filter(flight => isVisibleOnDay(flight, selectedDayIndex));
+    const flightArcs = visibleFlights.map(flight => ({
+      flight,
+      arcPoints: interpolateGreatCircle(flight.departure, flight.arrival, FLIGHT_ARC_POINT_COUNT)
+    }));
+
+    const centerLongitude = calculateCenterLongitude([
+      ...visibleStops.map(stop => [stop.lat, stop.lng]),
+      ...flightArcs.flatMap(flightArc => flightArc.arcPoints)
+    ]);
+
+    const positionedStops = visibleStops.map(stop => ({
+      ...stop,
+      position: [stop.lat, normalizeLongitude(stop.lng, centerLongitude)],
+      color: getItemColor(stop),
+      dateDisplay: days[stop.dayIndex]?.dateDisplay || stop.dateKey
+    }));
+    const positionedArcs = flightArcs.map(({ flight, arcPoints }) => ({
+      flight,
+      pathPieces: splitPathAtAntimeridian(arcPoints, centerLongitude),
+      color: getItemColor(flight)
+    }));
+
+    const mapBounds = calculatePathBounds([
+      positionedStops.map(stop => stop.position),
+      ...positionedArcs.flatMap(positionedArc => positionedArc.pathPieces)
+    ]);
+
+    return { positionedStops, positionedArcs, mapBounds, regions };
+  }, [tripMapData, colorMode, selectedDayIndex, days]);
+
+  // Early return if modal is closed - skip rendering the map
+  if (!isOpen) return null;
+
+  const selectedDay = selectedDayIndex === null ? null : days[selectedDayIndex];
+  const hasVisibleItems = visibleMapLayers.positionedStops.length > 0 || visibleMapLayers.positionedArcs.length > 0;
+
+  return (
+    <div
+      className="fixed inset-0 z-[2000] flex items-center justify-center p-2 md:p-4 bg-black/80 backdrop-blur-sm"
+      onClick={onClose}
+    >
+      <div
+        className="relative w-full max-w-6xl h-[92vh] md:h-[85vh] flex flex-col bg-zinc-900 rounded-xl md:rounded-2xl border border-zinc-700 overflow-hidden shadow-2xl"
+        onClick={event => event.stopPropagation()}
+      >
+        {/* Modal Header with Title, Color Mode and Close */}
+        <div className="flex items-center justify-between gap-2 border-b border-zinc-700 px-3 md:px-4 py-2.5 md:py-3">
+          <div className="flex items-center gap-2 md:gap-3 min-w-0">
+            <Globe2 className="h-4 w-4 md:h-5 md:w-5 text-blue-400 flex-shrink-0" />
+            <span className="text-sm md:text-lg font-semibold text-white truncate">Trip Map</span>
+          </div>
+          <div className="flex items-center gap-2 flex-shrink-0">
+            <Layers className="h-4 w-4 text-zinc-500 hidden sm:block" />
+            <div className="inline-flex rounded-lg bg-zinc-800 p-0.5">
+              {Object.entries(COLOR_MODES).map(([modeKey, modeLabel]) => (
+                <button
+                  key={modeKey}
+                  onClick={() => setColorMode(modeKey)}
+                  className={classNames(
+                    "px-2.5 py-1 text-xs font-medium rounded-md transition-colors",
+                    colorMode === modeKey ? "bg-zinc-600 text-white" : "text-zinc-400 hover:text-zinc-200"
+                  )}
+                >
+                  {modeLabel}
+                </button>
+              ))}
+            </div>
+            <button
+              onClick={onClose}
+              className="p-1.5 md:p-2 hover:bg-zinc-700 rounded-lg transition-colors text-zinc-400 hover:text-white"
+            >
+              <X size={20} />
+            </button>
+          </div>
+        </div>
+
+        {/* Interactive Map Container */}
+        <div className="relative flex-1 min-h-0">
+          <MapContainer
+            center={[20, 0]}
+            zoom={2}
+            scrollWheelZoom={true}
+            dragging={true}
+            zoomControl={true}
+            attributionControl={true}
+            style={{ height: '100%', width: '100%' }}
+          >
+            <TileLayer
+              url={MAP_TILE_URL_TEMPLATE}
+              attribution={MAP_TILE_ATTRIBUTION}
+            />
+            <FitMapToBounds bounds={visibleMapLayers.mapBounds} />
+
+            {/* Flight arcs */}
+            {visibleMapLayers.positionedArcs.map(({ flight, pathPieces, color }) => (
+              <Polyline
+                key={flight.id}
+                positions={pathPieces}
+                pathOptions={{ color, weight: 2.5, opacity: 0.85, dashArray: '8, 8' }}
+                eventHandlers={{ click: () => onSelectDay(flight.dateKey) }}
+              >
+                <Tooltip sticky>
+                  <div className="text-xs">
+                    <div className="font-semibold">✈️ {flight.label}</div>
+                    <div className="text-zinc-500">{days[flight.dayIndex]?.dateDisplay || flight.dateKey}</div>
+                  </div>
+                </Tooltip>
+              </Polyline>
+            ))}
+
+            <ClusteredStopMarkers stops={visibleMapLayers.positionedStops} onSelectDay={onSelectDay} />
+          </MapContainer>
+
+          {!hasVisibleItems && (
+            <div className="absolute inset-x-0 top-4 z-[1000] flex justify-center pointer-events-none">
+              <div className="px-3 py-1.5 rounded-lg bg-zinc-900/90 border border-zinc-700 text-xs text-zinc-400">
+                Nothing with a known location {selectedDay ? 'on this day' : 'in this trip'}
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Day Slider and Legend */}
+        <div className="border-t border-zinc-700 px-3 md:px-4 py-2.5 md:py-3 space-y-2">
+          <div className="flex items-center gap-3">
+            <button
+              onClick={() => setSelectedDayIndex(null)}
+              className={classNames(
+                "px-2.5 py-1 text-xs font-medium rounded-md border transition-colors flex-shrink-0",
+                selectedDayIndex === null
+                  ? "bg-blue-600 border-blue-500 text-white"
+                  : "border-zinc-700 text-zinc-400 hover:text-zinc-200"
+              )}
+            >
+              All days
+            </button>
+            <input
+              type="range"
+              min={0}
+              max={Math.max(days.length - 1, 0)}
+              value={selectedDayIndex ?? 0}
+              onChange={(changeEvent) => setSelectedDayIndex(Number(changeEvent.target.value))}
+              className="flex-1 accent-blue-500"
+              aria-label="Day"
+            />
+            <span className="w-28 md:w-36 text-right text-xs text-zinc-300 truncate flex-shrink-0">
+              {selectedDay ? `Day ${selectedDayIndex + 1} · ${selectedDay.dateDisplay}` : `${days.length} days`}
+            </span>
+          </div>
+
+          {colorMode === 'region' ? (
+            <div className="flex flex-wrap gap-3 text-[11px] text-zinc-400">
+              {visibleMapLayers.regions.map(region => (
+                <span key={region} className="flex items-center gap-1.5">
+                  <span className="h-2.5 w-2.5 rounded-full" style={{ backgroundColor: getRegionColor(region, visibleMapLayers.regions) }} />
+                  {region}
+                </span>
+              ))}
+            </div>
+          ) : (
+            <div className="flex items-center gap-2 text-[11px] text-zinc-400">
+              <span>{days[0]?.dateDisplay}</span>
+              <span
+                className="h-1.5 flex-1 max-w-xs rounded-full"
+                style={{ background: `linear-gradient(to right, ${getDayColor(0, 3)}, ${getDayColor(1, 3)}, ${getDayColor(2, 3)})` }}
+              />
+              <span>{days[days.length - 1]?.dateDisplay}</span>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
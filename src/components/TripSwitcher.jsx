@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Trip switcher dropdown for the trip library.
+ *
+ * Shows the active trip and lets the user:
+ * - Switch to another stored trip
+ * - Import another trip (opens the setup wizard)
+ * - Delete a trip and its user data
+ *
+ * @module components/TripSwitcher
+ */
+
+import { memo, useState, useCallback, useEffect, useRef } from "react";
+import { ChevronDown, Check, Plus, Trash2, Briefcase } from "lucide-react";
+import { classNames } from "../utils/classNames";
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Formats the import timestamp of a trip for the dropdown (e.g., "Added Jan 15, 2025").
+ * @pure
+ * @param {number} [createdAt] - Import timestamp in milliseconds
+ * @returns {string} Formatted label, empty for trips migrated without a timestamp
+ */
+function formatTripCreatedLabel(createdAt) {
+  if (!createdAt) return '';
+  const createdDate = new Date(createdAt);
+  return `Added ${createdDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`;
+}
+
+// ============================================================================
+// MAIN COMPONENT
+// ============================================================================
+
+/**
+ * Trip switcher dropdown.
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.trips - Trip metadata records ({ id, tripName, createdAt })
+ * @param {string|null} props.activeTripId - ID of the trip currently shown
+ * @param {Function} props.onSwitchTrip - Called with a trip ID to switch to
+ * @param {Function} props.onAddTrip - Called to import another trip
+ * @param {Function} props.onDeleteTrip - Called with a trip ID to delete
+ * @returns {JSX.Element}
+ */
+export const TripSwitcher = memo(function TripSwitcher({
+  trips,
+  activeTripId,
+  onSwitchTrip,
+  onAddTrip,
+  onDeleteTrip
+}) {
+  /** @type {[boolean, Function]} Whether the dropdown is open */
+  const [isMenuOpen, setIsMenuOpen] = useState(false);
+
+  /** @type {React.RefObject<HTMLDivElement>} Wrapper used to detect outside clicks */
+  const switcherContainerRef = useRef(null);
+
+  /**
+   * Closes the dropdown when clicking anywhere outside of it.
+   */
+  useEffect(() => {
+    if (!isMenuOpen) return;
+
+    const handleDocumentMouseDown = (mouseEvent) => {
+      if (switcherContainerRef.current?.contains(mouseEvent.target)) return;
+      setIsMenuOpen(false);
+    };
+
+    document.addEventListener('mousedown', handleDocumentMouseDown);
+    return () => document.removeEventListener('mousedown', handleDocumentMouseDown);
+  }, [isMenuOpen]);
+
+  /**
+   * Switches to the selected trip and closes the dropdown.
+   * @param {string} tripId - ID of the selected trip
+   */
+  const handleTripSelect = useCallback((tripId) => {
+    setIsMenuOpen(false);
+    if (tripId === activeTripId) return;
+    onSwitchTrip(tripId);
+  }, [activeTripId, onSwitchTrip]);
+
+  /**
+   * Asks for confirmation, then deletes the trip.
+   * @param {Object} tripMeta - Metadata of the trip to delete
+   */
+  const handleTripDelete = useCallback((tripMeta) => {
+    if (!confirm(`Delete "${tripMeta.tripName}" and all of its notes, activities and boarding passes?`)) return;
+    setIsMenuOpen(false);
+    onDeleteTrip(tripMeta.id);
+  }, [onDeleteTrip]);
+
+  /**
+   * Opens the setup wizard for another trip.
+   */
+  const handleAddTripClick = useCallback(() => {
+    setIsMenuOpen(false);
+    onAddTrip();
+  }, [onAddTrip]);
+
+  return (
+    <div ref={switcherContainerRef} className="relative">
+      <button
+        onClick={() => setIsMenuOpen(previousOpen => !previousOpen)}
+        className="flex items-center gap-1.5 px-3 py-1.5 text-xs text-zinc-400 hover:text-blue-400 hover:bg-zinc-800/50 rounded-lg transition-colors border border-zinc-800 hover:border-blue-500/30"
+        title="Switch trip"
+      >
+        <Briefcase className="h-3.5 w-3.5" />
+        Trips ({trips.length})
+        <ChevronDown className={classNames("h-3.5 w-3.5 transition-transform", isMenuOpen && "rotate-180")} />
+      </button>
+
+      {isMenuOpen && (
+        <div className="absolute right-0 mt-2 w-64 z-50 bg-zinc-900 border border-zinc-700 rounded-xl shadow-2xl overflow-hidden">
+          <div className="max-h-72 overflow-y-auto py-1">
+            {trips.map(tripMeta => {
+              const isActiveTrip = tripMeta.id === activeTripId;
+
+              return (
+                <div
+                  key={tripMeta.id}
+                  className={classNames(
+                    "group flex items-center gap-2 px-3 py-2 transition-colors",
+                    isActiveTrip ? "bg-blue-600/10" : "hover:bg-zinc-800"
+                  )}
+                >
+                  <button
+                    onClick={() => handleTripSelect(tripMeta.id)}
+                    className="flex-1 min-w-0 flex items-center gap-2 text-left"
+                  >
+                    <Check className={classNames("h-3.5 w-3.5 shrink-0", isActiveTrip ? "text-blue-400" : "text-transparent")} />
+                    <span className="min-w-0">
+                      <span className={classNames("block text-sm truncate", isActiveTrip ? "text-blue-300 font-medium" : "text-zinc-200")}>
+                        {tripMeta.tripName}
+                      </span>
+                      {tripMeta.createdAt && (
+                        <span className="block text-[10px] text-zinc-500">{formatTripCreatedLabel(tripMeta.createdAt)}</span>
+                      )}
+                    </span>
+                  </button>
+                  <button
+                    onClick={() => handleTripDelete(tripMeta)}
+                    className="p-1 rounded text-zinc-600 hover:text-red-400 hover:bg-zinc-700/50 opacity-0 group-hover:opacity-100 transition-opacity"
+                    title={`Delete ${tripMeta.tripName}`}
+                  >
+                    <Trash2 className="h-3.5 w-3.5" />
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+          <button
+            onClick={handleAddTripClick}
+            className="w-full flex items-center gap-2 px-3 py-2.5 text-sm text-emerald-400 hover:bg-zinc-800 border-t border-zinc-800 transition-colors"
+          >
+            <Plus className="h-4 w-4" />
+            Import another trip
+          </button>
+        </div>
+      )}
+    </div>
+  );
+});
+
+export default TripSwitcher;
@@ -9,6 +9,7 @@
  * - Google Maps integration for locations
  * - Edit and delete functionality for manual activities
  * - Copy location to clipboard
+ * - Inline schedule conflict notices
  */
 
 import { useState, memo, useCallback } from "react";
@@ -16,6 +17,10 @@ import { ChevronDown, ChevronRight, MapPin, X, ExternalLink, Clock, DollarSign,
 import { classNames } from "../../utils/classNames";
 import { ActivityMapPreview } from "../ActivityMapPreview";
 import DeleteConfirmModal from "../DeleteConfirmModal";
+import { ScheduleConflictNotice } from "../ScheduleConflictNotice";
+import { EditableStatusPill } from "../EditableStatusPill";
+import { MoneyAmount } from "../MoneyAmount";
+import { HighlightedText, SEARCH_MATCH_ITEM_CLASSES } from "../HighlightedText";
 
 /* ============================================================================
    STYLE CONSTANTS
@@ -161,6 +166,10 @@ const isManuallyAddedActivity = (activity, manualActivityIdList) => {
  * @param {Array<string>} [props.manualActivityIds=[]] - IDs of user-added activities
  * @param {Function} [props.onRemoveActivity] - Callback to remove an activity
  * @param {Function} [props.onEditActivity] - Callback to edit an activity
+ * @param {Object<string, Array<Object>>} [props.conflictsByItemId={}] - Schedule conflicts keyed by item ID
+ * @param {Function} [props.onChangeStatus] - Callback to change an activity's status (item, nextStatus, bookingDetails) => Promise
+ * @param {string} [props.dateKey] - The day's date key, for exchange rates locked on a date
+ * @param {import('../../utils/searchIndex').SearchHighlight|null} [props.searchHighlight] - Search terms to mark and the items matching them
  * @returns {JSX.Element|null} Activities section or null if no items
  */
 export const ActivitiesSection = memo(function ActivitiesSection({ 
@@ -169,7 +178,11 @@ export const ActivitiesSection = memo(function ActivitiesSection({
   onToggle,
   manualActivityIds = [],
   onRemoveActivity,
-  onEditActivity
+  onEditActivity,
+  conflictsByItemId = {},
+  onChangeStatus,
+  dateKey,
+  searchHighlight
 }) {
   const [deleteConfirmationModal, setDeleteConfirmationModal] = useState({ isOpen: false, activity: null });
   const [copiedLocationActivityId, setCopiedLocationActivityId] = useState(null);
@@ -220,6 +233,8 @@ export const ActivitiesSection = memo(function ActivitiesSection({
   // Early return if no activities to display (AFTER all hooks)
   if (!items || items.length === 0) return null;
 
+  const searchTerms = searchHighlight?.searchTerms;
+
   return (
     <div className="border border-teal-900/50 rounded-lg overflow-hidden bg-teal-950/20">
       {/* Section Toggle Header */}
@@ -260,6 +275,9 @@ export const ActivitiesSection = memo(function ActivitiesSection({
                 const priorityClasses = getPriorityStyleClasses(activity.priority);
                 const googleMapsUrl = buildGoogleMapsUrlForActivity(activity);
                 const activityDisplayNumber = activityIndex + 1;
+                const activityStatusPill = (activity.status || (activity.id && onChangeStatus)) && (
+                  <EditableStatusPill item={activity} itemLabel={activity.name} onChangeStatus={onChangeStatus} />
+                );
 
                 return (
                 <div 
@@ -271,7 +289,8 @@ export const ActivitiesSection = memo(function ActivitiesSection({
                     /* Mobile styles */
                     "border border-teal-800/50 md:border-0 md:border-l-3",
                     priorityClasses,
-                    isUserAddedActivity && "ring-1 ring-blue-700/50"
+                    isUserAddedActivity && "ring-1 ring-blue-700/50",
+                    searchHighlight?.matchedItemIds.has(activity.id) && SEARCH_MATCH_ITEM_CLASSES
                   )}
                 >
                   {/* MOBILE LAYOUT */}
@@ -283,7 +302,7 @@ export const ActivitiesSection = memo(function ActivitiesSection({
                       </span>
                       {activity.icon && <span className="text-xl">{activity.icon}</span>}
                       <span className="flex-1 font-semibold text-teal-100 text-sm truncate">
-                        {activity.name}
+                        <HighlightedText text={activity.name} searchTerms={searchTerms} />
                       </span>
                       {(activity.timeStart || activity.time) && (
                         <span className="text-xs text-teal-300 bg-teal-900/60 px-2.5 py-1 rounded-full flex-shrink-0">
@@ -298,7 +317,7 @@ export const ActivitiesSection = memo(function ActivitiesSection({
                       {activity.location && (
                         <div className="flex items-center gap-2">
                           <MapPin className="h-4 w-4 text-teal-400 flex-shrink-0" />
-                          <span className="text-xs text-teal-300 flex-1 truncate">{activity.location}</span>
+                          <span className="text-xs text-teal-300 flex-1 truncate"><HighlightedText text={activity.location} searchTerms={searchTerms} /></span>
                           <a
                             href={googleMapsUrl}
                             target="_blank"
@@ -313,17 +332,18 @@ export const ActivitiesSection = memo(function ActivitiesSection({
                       
                       {/* Tags row - compact on mobile */}
                       <div className="flex items-center gap-1.5 flex-wrap">
+                        {activityStatusPill}
                         {activity.category && (
                           <span className={classNames(
                             "text-[11px] px-2.5 py-1 rounded-full border",
                             getCategoryStyleClasses(activity.category)
                           )}>
-                            {activity.category}
+                            <HighlightedText text={activity.category} searchTerms={searchTerms} />
                           </span>
                         )}
                         {activity.estimatedCost && (
                           <span className="text-[11px] px-2.5 py-1 rounded-full bg-amber-900/40 text-amber-300 border border-amber-700/50">
-                            💰 {activity.estimatedCost.toLocaleString()} {activity.currency}
+                            💰 <MoneyAmount amount={activity.estimatedCost} currency={activity.currency} dateKey={dateKey} />
                           </span>
                         )}
                         {isUserAddedActivity && (
@@ -332,6 +352,8 @@ export const ActivitiesSection = memo(function ActivitiesSection({
                           </span>
                         )}
                       </div>
+
+                      <ScheduleConflictNotice conflicts={conflictsByItemId[activity.id]} />
                     </div>
                     
                     {/* Mobile Actions Bar - 44px touch targets */}
@@ -407,7 +429,7 @@ export const ActivitiesSection = memo(function ActivitiesSection({
                           <span className="text-lg">{activity.icon}</span>
                         )}
                         <span className="text-base font-medium text-teal-100 truncate">
-                          {activity.name}
+                          <HighlightedText text={activity.name} searchTerms={searchTerms} />
                         </span>
                       </div>
                       
@@ -425,12 +447,13 @@ export const ActivitiesSection = memo(function ActivitiesSection({
                     
                     {/* Tags row */}
                     <div className="flex items-center gap-2 mt-2 flex-wrap">
+                      {activityStatusPill}
                       {activity.category && (
                         <span className={classNames(
                           "text-sm px-2.5 py-1 rounded-full border",
                           getCategoryStyleClasses(activity.category)
                         )}>
-                          {activity.category}
+                          <HighlightedText text={activity.category} searchTerms={searchTerms} />
                         </span>
                       )}
                       {isUserAddedActivity && (
@@ -441,7 +464,7 @@ export const ActivitiesSection = memo(function ActivitiesSection({
                       {activity.estimatedCost && (
                         <span className="flex items-center gap-1 text-sm px-2.5 py-1 rounded-full bg-amber-900/40 text-amber-300 border border-amber-700/50">
                           <DollarSign className="h-3.5 w-3.5" />
-                          {activity.estimatedCost.toLocaleString()} {activity.currency}
+                          <MoneyAmount amount={activity.estimatedCost} currency={activity.currency} dateKey={dateKey} />
                         </span>
                       )}
                     </div>
@@ -451,7 +474,7 @@ export const ActivitiesSection = memo(function ActivitiesSection({
                       <div className="flex items-center gap-2 mt-2">
                         <MapPin className="h-4 w-4 text-teal-400 flex-shrink-0" />
                         <span className="text-sm text-teal-300 truncate">
-                          {activity.location}
+                          <HighlightedText text={activity.location} searchTerms={searchTerms} />
                         </span>
                         <button
                           onClick={(event) => handleCopyLocationToClipboard(event, activity)}
@@ -476,6 +499,11 @@ export const ActivitiesSection = memo(function ActivitiesSection({
                         </a>
                       </div>
                     )}
+
+                    {/* Schedule conflicts - kept clear of the edit/delete buttons */}
+                    <div className="pr-16">
+                      <ScheduleConflictNotice conflicts={conflictsByItemId[activity.id]} />
+                    </div>
                   </div>
                 </div>
               );
@@ -0,0 +1,186 @@
+/**
+ * @fileoverview Expenses section component listing the money actually
+ * spent on a day, next to the day's estimated costs.
+ *
+ * @description Features include:
+ * - Collapsible section with actual vs estimated total in the header
+ * - Amount, category, payer, note and linked item display
+ * - Edit and delete actions for every expense
+ * - Emerald color theme for spending-related content
+ */
+
+import { memo, useState, useCallback, useSyncExternalStore } from "react";
+import { ChevronDown, ChevronRight, Receipt, Pencil, Trash2, User, Link2 } from "lucide-react";
+import { classNames } from "../../utils/classNames";
+import { getExpenseCategory } from "../../utils/expenses";
+import { formatHomeAmount, subscribeToExchangeRates, getExchangeRatesSnapshot } from "../../utils/exchangeRates";
+import DeleteConfirmModal from "../DeleteConfirmModal";
+import { MoneyAmount } from "../MoneyAmount";
+
+/* ============================================================================
+   HELPER FUNCTIONS
+   ============================================================================ */
+
+/**
+ * Builds the heading of an expense row ("🍽️ Food & drink · Ramen").
+ * @pure
+ * @param {import('../../utils/expenses').Expense} expense - Expense to label
+ * @returns {string} Expense heading
+ */
+const getExpenseHeading = (expense) => {
+  const expenseCategory = getExpenseCategory(expense.category);
+  return [`${expenseCategory.emoji} ${expenseCategory.label}`, expense.note].filter(Boolean).join(' · ');
+};
+
+/* ============================================================================
+   MAIN COMPONENT
+   ============================================================================ */
+
+/**
+ * Expandable section displaying recorded expenses for a day
+ *
+ * @component
+ * @param {Object} props
+ * @param {Array<import('../../utils/expenses').Expense>} props.expenses - Expenses recorded on the day
+ * @param {import('../../utils/expenses').CostComparison} [props.costComparison] - Day's estimated and actual totals
+ * @param {Object<string, string>} props.linkedItemLabels - Names of the day's items keyed by item ID
+ * @param {boolean} props.isExpanded - Whether the section is expanded
+ * @param {Function} props.onToggle - Callback to toggle section expansion
+ * @param {Function} [props.onEditExpense] - Callback to edit an expense (expense) => void
+ * @param {Function} [props.onRemoveExpense] - Callback to remove an expense (expenseId) => void
+ * @returns {JSX.Element|null} Expenses section or null if nothing was spent or estimated
+ */
+export const ExpensesSection = memo(function ExpensesSection({
+  expenses,
+  costComparison,
+  linkedItemLabels,
+  isExpanded,
+  onToggle,
+  onEditExpense,
+  onRemoveExpense
+}) {
+  const [expensePendingDeletion, setExpensePendingDeletion] = useState(null);
+
+  // Re-render when the home currency changes
+  useSyncExternalStore(subscribeToExchangeRates, getExchangeRatesSnapshot);
+
+  /**
+   * Handles the confirmed deletion of an expense
+   */
+  const handleConfirmExpenseDeletion = useCallback(() => {
+    if (expensePendingDeletion && onRemoveExpense) {
+      onRemoveExpense(expensePendingDeletion.id);
+    }
+    setExpensePendingDeletion(null);
+  }, [expensePendingDeletion, onRemoveExpense]);
+
+  // Early return if there is nothing to compare (AFTER all hooks)
+  if (expenses.length === 0 && !costComparison?.estimated) return null;
+
+  const actualTotal = costComparison?.actual || 0;
+  const estimatedTotal = costComparison?.estimated || 0;
+  const isOverEstimate = estimatedTotal > 0 && actualTotal > estimatedTotal;
+
+  return (
+    <div className="border border-emerald-900/50 rounded-lg overflow-hidden bg-emerald-950/20">
+      {/* Section Toggle Header */}
+      <button
+        onClick={onToggle}
+        className="w-full px-3 md:px-4 py-2 md:py-2.5 hover:bg-emerald-900/20 transition flex items-center justify-between bg-emerald-900/30"
+      >
+        <div className="flex items-center gap-2 md:gap-3">
+          <Receipt className="h-4 w-4 md:h-5 md:w-5 text-emerald-400" />
+          <span className="text-sm md:text-base font-medium text-emerald-200">
+            💸 Expenses <span className="text-emerald-500">({expenses.length})</span>
+          </span>
+        </div>
+        <div className="flex items-center gap-2 md:gap-3">
+          <span className="text-xs md:text-sm">
+            <span className={classNames("font-semibold", isOverEstimate ? "text-red-400" : "text-emerald-300")}>
+              {formatHomeAmount(actualTotal)}
+            </span>
+            <span className="text-emerald-500"> of {formatHomeAmount(estimatedTotal)} est.</span>
+          </span>
+          {isExpanded ? (
+            <ChevronDown className="h-4 w-4 md:h-5 md:w-5 text-emerald-400" />
+          ) : (
+            <ChevronRight className="h-4 w-4 md:h-5 md:w-5 text-emerald-400" />
+          )}
+        </div>
+      </button>
+
+      {/* Expandable Expense List */}
+      {isExpanded && (
+        <div className="divide-y divide-emerald-900/30 bg-emerald-950/10 slide-down">
+          {expenses.length === 0 && (
+            <div className="px-3 md:px-4 py-2 md:py-3 text-xs md:text-sm text-emerald-500">
+              No expenses recorded for this day yet.
+            </div>
+          )}
+          {expenses.map(expenseItem => (
+            <div key={expenseItem.id} className="px-3 md:px-4 py-2 md:py-3">
+              <div className="flex items-start justify-between gap-2 md:gap-3">
+                {/* Expense Details */}
+                <div className="min-w-0 flex-1">
+                  <div className="text-sm md:text-base font-medium text-emerald-100 truncate">
+                    {getExpenseHeading(expenseItem)}
+                  </div>
+                  {(expenseItem.payer || linkedItemLabels[expenseItem.linkedItemId]) && (
+                    <div className="flex flex-wrap items-center gap-x-3 gap-y-1 mt-0.5 text-xs md:text-sm text-emerald-400">
+                      {expenseItem.payer && (
+                        <span className="flex items-center gap-1">
+                          <User className="h-3 w-3 md:h-3.5 md:w-3.5" /> {expenseItem.payer}
+                        </span>
+                      )}
+                      {linkedItemLabels[expenseItem.linkedItemId] && (
+                        <span className="flex items-center gap-1 min-w-0">
+                          <Link2 className="h-3 w-3 md:h-3.5 md:w-3.5 flex-shrink-0" />
+                          <span className="truncate">{linkedItemLabels[expenseItem.linkedItemId]}</span>
+                        </span>
+                      )}
+                    </div>
+                  )}
+                </div>
+                {/* Amount */}
+                <div className="text-sm md:text-base font-semibold text-emerald-200 whitespace-nowrap flex-shrink-0">
+                  <MoneyAmount amount={expenseItem.amount} currency={expenseItem.currency} dateKey={expenseItem.date} />
+                </div>
+                {/* Edit & Delete */}
+                {(onEditExpense || onRemoveExpense) && (
+                  <div className="flex items-center gap-1 flex-shrink-0">
+                    {onEditExpense && (
+                      <button
+                        onClick={() => onEditExpense(expenseItem)}
+                        className="p-1 rounded text-emerald-400 hover:text-emerald-200 hover:bg-emerald-900/40 transition-colors"
+                        title="Edit expense"
+                      >
+                        <Pencil className="h-3.5 w-3.5" />
+                      </button>
+                    )}
+                    {onRemoveExpense && (
+                      <button
+                        onClick={() => setExpensePendingDeletion(expenseItem)}
+                        className="p-1 rounded text-red-400 hover:text-red-200 hover:bg-red-900/40 transition-colors"
+                        title="Delete expense"
+                      >
+                        <Trash2 className="h-3.5 w-3.5" />
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Delete Confirmation Modal */}
+      <DeleteConfirmModal
+        isOpen={Boolean(expensePendingDeletion)}
+        onClose={() => setExpensePendingDeletion(null)}
+        onConfirm={handleConfirmExpenseDeletion}
+        activityName={expensePendingDeletion ? getExpenseHeading(expensePendingDeletion) : ''}
+      />
+    </div>
+  );
+});
@@ -4,13 +4,19 @@
  * 
  * @description Features include:
  * - Collapsible section with meal count badge
- * - Meal type, location, time, and details display
+ * - Meal type, restaurant, location, time, and details display
+ * - Reservation details: party size, confirmation number, cost
+ * - Edit and delete actions for imported and user-added meals
  * - Amber color theme for meal-related content
  */
 
-import { memo } from "react";
-import { ChevronDown, ChevronRight, Utensils } from "lucide-react";
+import { memo, useState, useCallback } from "react";
+import { ChevronDown, ChevronRight, Utensils, Pencil, Trash2, Users, Hash } from "lucide-react";
 import { classNames } from "../../utils/classNames";
+import DeleteConfirmModal from "../DeleteConfirmModal";
+import { EditableStatusPill } from "../EditableStatusPill";
+import { MoneyAmount } from "../MoneyAmount";
+import { HighlightedText, SEARCH_MATCH_ITEM_CLASSES } from "../HighlightedText";
 
 /* ============================================================================
    TYPE DEFINITIONS
@@ -18,12 +24,33 @@ import { classNames } from "../../utils/classNames";
 
 /**
  * @typedef {Object} Meal
+ * @property {string} id - Segment ID of the meal, or a 'manual-meal-' ID for user-added ones
  * @property {string} type - Meal type (e.g., "Breakfast", "Lunch", "Dinner")
- * @property {string} [location] - Restaurant or venue name
+ * @property {string} [restaurant] - Restaurant name
+ * @property {string} [location] - Address or venue
  * @property {string} [time] - Scheduled meal time
- * @property {string} [details] - Additional meal details or notes
+ * @property {number} [partySize] - Number of diners on the reservation
+ * @property {string} [confirmationNumber] - Reservation confirmation number
+ * @property {number} [estimatedCost] - Estimated cost amount
+ * @property {string} [currency] - Currency code for cost
+ * @property {string} [details] - Additional meal details
+ * @property {string} [notes] - User notes
  */
 
+/* ============================================================================
+   HELPER FUNCTIONS
+   ============================================================================ */
+
+/**
+ * Builds the heading of a meal row ("Dinner · Ichiran").
+ * @pure
+ * @param {Meal} meal - Meal to label
+ * @returns {string} Meal heading
+ */
+const getMealHeading = (meal) => {
+  return [meal.type, meal.restaurant].filter(Boolean).join(' · ');
+};
+
 /* ============================================================================
    MAIN COMPONENT
    ============================================================================ */
@@ -36,13 +63,54 @@ import { classNames } from "../../utils/classNames";
  * @param {Array<Meal>} props.meals - Array of meal objects to display
  * @param {boolean} props.isExpanded - Whether the section is expanded
  * @param {Function} props.onToggle - Callback to toggle section expansion
+ * @param {Array<string>} [props.manualMealIds=[]] - IDs of user-added meals
+ * @param {Function} [props.onEditMeal] - Callback to edit a user-added meal (meal) => void
+ * @param {Function} [props.onRemoveMeal] - Callback to remove a meal (mealId) => void
+ * @param {Function} [props.onEditSegment] - Callback to edit an imported meal's segment ('meal', segmentId) => void
+ * @param {Function} [props.onChangeStatus] - Callback to change a meal's status (item, nextStatus, bookingDetails) => Promise
+ * @param {string} [props.dateKey] - The day's date key, for exchange rates locked on a date
+ * @param {import('../../utils/searchIndex').SearchHighlight|null} [props.searchHighlight] - Search terms to mark and the items matching them
  * @returns {JSX.Element|null} Meals section or null if no meals
  */
-export const MealsSection = memo(function MealsSection({ meals, isExpanded, onToggle }) {
-  // Early return if no meals to display
+export const MealsSection = memo(function MealsSection({
+  meals,
+  isExpanded,
+  onToggle,
+  manualMealIds = [],
+  onEditMeal,
+  onRemoveMeal,
+  onEditSegment,
+  onChangeStatus,
+  dateKey,
+  searchHighlight
+}) {
+  const [mealPendingDeletion, setMealPendingDeletion] = useState(null);
+
+  /**
+   * Opens the right editor: the meal modal for user-added meals, the
+   * segment editor for imported ones.
+   * @param {Meal} meal - Meal to edit
+   */
+  const handleEditMeal = useCallback((meal) => {
+    if (manualMealIds.includes(meal.id)) onEditMeal?.(meal);
+    else onEditSegment?.('meal', meal.id);
+  }, [manualMealIds, onEditMeal, onEditSegment]);
+
+  /**
+   * Handles the confirmed deletion of a meal
+   */
+  const handleConfirmMealDeletion = useCallback(() => {
+    if (mealPendingDeletion && onRemoveMeal) {
+      onRemoveMeal(mealPendingDeletion.id);
+    }
+    setMealPendingDeletion(null);
+  }, [mealPendingDeletion, onRemoveMeal]);
+
+  // Early return if no meals to display (AFTER all hooks)
   if (!meals || meals.length === 0) return null;
 
   const mealCount = meals.length;
+  const searchTerms = searchHighlight?.searchTerms;
 
   return (
     <div className="border border-amber-900/50 rounded-lg overflow-hidden bg-amber-950/20">
@@ -67,36 +135,109 @@ export const MealsSection = memo(function MealsSection({ meals, isExpanded, onTo
       {/* Expandable Meal List */}
       {isExpanded && (
         <div className="divide-y divide-amber-900/30 bg-amber-950/10 slide-down">
-          {meals.map((mealItem, mealIndex) => (
-            <div key={mealIndex} className="px-3 md:px-4 py-2 md:py-3">
-              <div className="flex items-start justify-between gap-2 md:gap-3">
-                {/* Meal Details */}
-                <div className="min-w-0 flex-1">
-                  <div className="text-sm md:text-base font-medium text-amber-100">
-                    {mealItem.type}
+          {meals.map((mealItem, mealIndex) => {
+            const isUserAddedMeal = manualMealIds.includes(mealItem.id);
+            const canEditMeal = mealItem.id && (isUserAddedMeal ? onEditMeal : onEditSegment);
+            const showMealStatus = mealItem.status || (mealItem.id && onChangeStatus);
+            return (
+              <div
+                key={mealItem.id || mealIndex}
+                className={classNames("px-3 md:px-4 py-2 md:py-3", searchHighlight?.matchedItemIds.has(mealItem.id) && SEARCH_MATCH_ITEM_CLASSES)}
+              >
+                <div className="flex items-start justify-between gap-2 md:gap-3">
+                  {/* Meal Details */}
+                  <div className="min-w-0 flex-1">
+                    <div className="text-sm md:text-base font-medium text-amber-100 flex items-center gap-2">
+                      <span className="truncate"><HighlightedText text={getMealHeading(mealItem)} searchTerms={searchTerms} /></span>
+                      {isUserAddedMeal && (
+                        <span className="text-[10px] md:text-xs px-1.5 py-0.5 rounded bg-amber-800/50 text-amber-300 flex-shrink-0">
+                          Added
+                        </span>
+                      )}
+                    </div>
+                    {mealItem.location && (
+                      <div className="text-xs md:text-sm text-amber-400 mt-0.5 truncate">
+                        📍 <HighlightedText text={mealItem.location} searchTerms={searchTerms} />
+                      </div>
+                    )}
+                    {mealItem.details && mealItem.details !== mealItem.type && (
+                      <div className="text-xs md:text-sm text-amber-300 mt-0.5">
+                        <HighlightedText text={mealItem.details} searchTerms={searchTerms} />
+                      </div>
+                    )}
+                    {(mealItem.partySize || mealItem.confirmationNumber || mealItem.estimatedCost) && (
+                      <div className="flex flex-wrap items-center gap-x-3 gap-y-1 mt-1 text-xs md:text-sm text-amber-300">
+                        {mealItem.partySize && (
+                          <span className="flex items-center gap-1">
+                            <Users className="h-3 w-3 md:h-3.5 md:w-3.5" /> {mealItem.partySize}
+                          </span>
+                        )}
+                        {mealItem.confirmationNumber && (
+                          <span className="flex items-center gap-1 font-mono">
+                            <Hash className="h-3 w-3 md:h-3.5 md:w-3.5" /> <HighlightedText text={mealItem.confirmationNumber} searchTerms={searchTerms} />
+                          </span>
+                        )}
+                        {mealItem.estimatedCost && (
+                          <span>💰 <MoneyAmount amount={mealItem.estimatedCost} currency={mealItem.currency} dateKey={dateKey} /></span>
+                        )}
+                      </div>
+                    )}
+                    {mealItem.notes && (
+                      <div className="text-xs md:text-sm text-amber-400/80 mt-1 italic">
+                        <HighlightedText text={mealItem.notes} searchTerms={searchTerms} />
+                      </div>
+                    )}
                   </div>
-                  {mealItem.location && (
-                    <div className="text-xs md:text-sm text-amber-400 mt-0.5 truncate">
-                      📍 {mealItem.location}
+                  {/* Meal Time */}
+                  {mealItem.time && (
+                    <div className="text-xs md:text-sm text-amber-400 whitespace-nowrap flex-shrink-0">
+                      ⏰ {mealItem.time}
                     </div>
                   )}
-                  {mealItem.details && (
-                    <div className="text-xs md:text-sm text-amber-300 mt-0.5">
-                      {mealItem.details}
+                  {/* Status, Edit & Delete */}
+                  {(showMealStatus || canEditMeal || onRemoveMeal) && (
+                    <div className="flex items-center gap-1 flex-shrink-0">
+                      {showMealStatus && (
+                        <EditableStatusPill
+                          item={mealItem}
+                          itemLabel={getMealHeading(mealItem)}
+                          onChangeStatus={onChangeStatus}
+                        />
+                      )}
+                      {canEditMeal && (
+                        <button
+                          onClick={() => handleEditMeal(mealItem)}
+                          className="p-1 rounded text-amber-400 hover:text-amber-200 hover:bg-amber-900/40 transition-colors"
+                          title="Edit meal"
+                        >
+                          <Pencil className="h-3.5 w-3.5" />
+                        </button>
+                      )}
+                      {onRemoveMeal && mealItem.id && (
+                        <button
+                          onClick={() => setMealPendingDeletion(mealItem)}
+                          className="p-1 rounded text-red-400 hover:text-red-200 hover:bg-red-900/40 transition-colors"
+                          title="Delete meal"
+                        >
+                          <Trash2 className="h-3.5 w-3.5" />
+                        </button>
+                      )}
                     </div>
                   )}
                 </div>
-                {/* Meal Time */}
-                {mealItem.time && (
-                  <div className="text-xs md:text-sm text-amber-400 whitespace-nowrap flex-shrink-0">
-                    ⏰ {mealItem.time}
-                  </div>
-                )}
               </div>
-            </div>
-          ))}
+            );
+          })}
         </div>
       )}
+
+      {/* Delete Confirmation Modal */}
+      <DeleteConfirmModal
+        isOpen={Boolean(mealPendingDeletion)}
+        onClose={() => setMealPendingDeletion(null)}
+        onConfirm={handleConfirmMealDeletion}
+        activityName={mealPendingDeletion ? getMealHeading(mealPendingDeletion) : ''}
+      />
     </div>
   );
 });
@@ -12,9 +12,11 @@
  */
 
 import { useState, memo, useCallback } from "react";
-import { ChevronDown, ChevronRight, Building2, MapPin, Home, Clock, Calendar, StickyNote, Copy, Check } from "lucide-react";
+import { ChevronDown, ChevronRight, Building2, MapPin, Home, Clock, Calendar, StickyNote, Copy, Check, Pencil } from "lucide-react";
 import { classNames } from "../../utils/classNames";
 import { MapPreview } from "../MapPreview";
+import { EditableStatusPill } from "../EditableStatusPill";
+import { HighlightedText } from "../HighlightedText";
 
 /* ============================================================================
    CONSTANTS
@@ -80,9 +82,12 @@ const shouldShowCheckOutTime = (shelter) => {
  * @param {ShelterData} props.shelter - Shelter/accommodation data
  * @param {boolean} props.isExpanded - Whether the section is expanded
  * @param {Function} props.onToggle - Callback to toggle section expansion
+ * @param {Function} [props.onEditSegment] - Callback to edit the stay's segment ('shelter', segmentId) => void
+ * @param {Function} [props.onChangeStatus] - Callback to change the stay's status (item, nextStatus, bookingDetails) => Promise
+ * @param {import('../../utils/searchIndex').SearchHighlight|null} [props.searchHighlight] - Search terms to mark and the items matching them
  * @returns {JSX.Element|null} Shelter section or null if no data
  */
-export const ShelterSection = memo(function ShelterSection({ shelter, isExpanded, onToggle }) {
+export const ShelterSection = memo(function ShelterSection({ shelter, isExpanded, onToggle, onEditSegment, onChangeStatus, searchHighlight }) {
   const [hasAddressBeenCopied, setHasAddressBeenCopied] = useState(false);
 
   // Early return if no shelter data to display
@@ -113,6 +118,7 @@ export const ShelterSection = memo(function ShelterSection({ shelter, isExpanded
   const displayCheckOutTime = shouldShowCheckOutTime(shelter);
   const hasMapCoordinates = Boolean(shelter.coordinates);
   const hasMultiDayStayInfo = shelter.isMultiDayStay && shelter.dayOfStay && shelter.totalStayDays;
+  const searchTerms = searchHighlight?.searchTerms;
 
   return (
     <div className="border border-purple-900/50 rounded-lg overflow-hidden bg-purple-950/20">
@@ -145,13 +151,33 @@ export const ShelterSection = memo(function ShelterSection({ shelter, isExpanded
               <div>
                 {shelter.name && (
                   <div className="mb-2 md:mb-3">
-                    <div className="text-base md:text-lg font-semibold text-purple-100">
-                      {shelter.name}
+                    <div className="flex items-start justify-between gap-2">
+                      <div className="text-base md:text-lg font-semibold text-purple-100">
+                        <HighlightedText text={shelter.name} searchTerms={searchTerms} />
+                      </div>
+                      <div className="flex items-center gap-1.5 flex-shrink-0">
+                        {shelter.status && (
+                          <EditableStatusPill
+                            item={shelter}
+                            itemLabel={shelter.name}
+                            onChangeStatus={onChangeStatus}
+                          />
+                        )}
+                        {onEditSegment && shelter.id && (
+                          <button
+                            onClick={() => onEditSegment('shelter', shelter.id)}
+                            className="p-1.5 rounded-lg text-purple-400 hover:text-purple-200 hover:bg-purple-800/50 transition-colors"
+                            title="Edit stay details"
+                          >
+                            <Pencil className="h-3.5 w-3.5" />
+                          </button>
+                        )}
+                      </div>
                     </div>
                     {shelter.address && (
                       <div className="flex items-center gap-1.5 md:gap-2 text-xs md:text-sm text-purple-300 mt-1">
                         <MapPin className="h-3.5 w-3.5 md:h-4 md:w-4 text-purple-400" />
-                        <span className="truncate">{shelter.address}</span>
+                        <span className="truncate"><HighlightedText text={shelter.address} searchTerms={searchTerms} /></span>
                         <button
                           onClick={handleCopyAddressToClipboard}
                           className={classNames(
@@ -176,7 +202,7 @@ export const ShelterSection = memo(function ShelterSection({ shelter, isExpanded
                 {shelter.type && (
                   <div className="flex items-center gap-1 md:gap-1.5 px-2 md:px-3 py-1 md:py-1.5 rounded-full bg-purple-900/40 border border-purple-700/50 text-xs md:text-sm text-purple-200">
                     <Home className="h-3.5 w-3.5 md:h-4 md:w-4 text-purple-400" />
-                    <span>{shelter.type}</span>
+                    <span><HighlightedText text={shelter.type} searchTerms={searchTerms} /></span>
                   </div>
                 )}
                 {/* Check-in Time */}
@@ -220,7 +246,7 @@ export const ShelterSection = memo(function ShelterSection({ shelter, isExpanded
           {shelter.notes && (
             <div className="flex items-start gap-1.5 md:gap-2 mt-2 md:mt-3 pt-2 md:pt-3 border-t border-purple-900/30 text-xs md:text-sm text-purple-300">
               <StickyNote className="h-3.5 w-3.5 md:h-4 md:w-4 text-purple-400 flex-shrink-0 mt-0.5" />
-              <span className="italic">{shelter.notes}</span>
+              <span className="italic"><HighlightedText text={shelter.notes} searchTerms={searchTerms} /></span>
             </div>
           )}
         </div>
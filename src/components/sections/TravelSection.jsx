@@ -6,18 +6,26 @@
  * - Flight/transport segment cards with route visualization
  * - Special styling for buffer time segments
  * - Embedded route maps for flights
- * - Collapsible backup plan accordion
+ * - Editable backup plans with activation of an alternative
  * - Flight details (airline, aircraft, cabin class, duration)
  * - Boarding pass integration (import, display, delete)
  */
 
 import React, { useState, memo } from "react";
-import { ChevronDown, ChevronRight, Plane, Clock, Timer, MapPin, Armchair, Coffee, Hourglass, ShieldCheck, Ticket, HelpCircle, X, Copy, Check } from "lucide-react";
+import { ChevronDown, ChevronRight, Plane, Clock, Timer, MapPin, Armchair, Coffee, Hourglass, ShieldCheck, Ticket, HelpCircle, X, Copy, Check, Repeat, Luggage, Siren, RotateCcw, Pencil } from "lucide-react";
 import { StatusPill } from "../StatusPill";
+import { EditableStatusPill } from "../EditableStatusPill";
 import { TravelRouteMap } from "../TravelRouteMap";
 import { BoardingPassCard } from "../BoardingPassCard";
 import { BoardingPassImportModal } from "../BoardingPassImportModal";
+import { ScheduleConflictNotice } from "../ScheduleConflictNotice";
+import { BackupPlanPanel } from "../BackupPlanPanel";
+import { HighlightedText, SEARCH_MATCH_ITEM_CLASSES } from "../HighlightedText";
 import { classNames } from "../../utils/classNames";
+import { isFlightSegment, findBoardingPassMismatches } from "../../utils/boardingPassCheck";
+import { TRANSFER_TYPE_LABELS } from "../../utils/connections";
+import { formatDurationMinutes } from "../../utils/timezones";
+import { resolveSegmentBackupPlan } from "../../utils/backupPlans";
 
 /* ============================================================================
    TYPE DEFINITIONS
@@ -30,6 +38,7 @@ import { classNames } from "../../utils/classNames";
  * @property {string} [status] - Segment status code
  * @property {string} [time] - Departure/arrival time
  * @property {string} [duration] - Travel duration
+ * @property {Object} [instants] - UTC start/end and IANA zones from the parser
  * @property {string} [type] - Travel type (Flight, Train, etc.)
  * @property {string} [airline] - Airline name
  * @property {string} [flight] - Flight number
@@ -39,23 +48,7 @@ import { classNames } from "../../utils/classNames";
  * @property {string} [arrivalAirport] - Arrival airport with code
  * @property {string} [location] - Location (for buffer segments)
  * @property {string} [details] - Additional details
- * @property {Object} [backupPlan] - Backup plan information
- */
-
-/**
- * @typedef {Object} BackupPlan
- * @property {string} trigger - Condition that triggers backup plan
- * @property {Array<BackupOption>} options - Array of backup options
- */
-
-/**
- * @typedef {Object} BackupOption
- * @property {string} id - Option identifier
- * @property {number} priority - Priority level (1 = highest)
- * @property {string} title - Option title
- * @property {string} description - Option description
- * @property {string} [contact] - Contact information
- * @property {string} status - Option status
+ * @property {Object} [disruption] - Backup option activated in place of the segment
  */
 
 /* ============================================================================
@@ -70,16 +63,6 @@ import { classNames } from "../../utils/classNames";
  */
 const isBufferTimeSegment = (travelItem) => travelItem.status === 'BUFFER';
 
-/**
- * Determines if a travel segment is a flight (can have boarding pass)
- * @pure
- * @param {TravelSegment} travelItem - Travel segment to check
- * @returns {boolean} True if item is a flight
- */
-const isFlightSegment = (travelItem) => {
-  return travelItem.type === 'Flight' || Boolean(travelItem.flight);
-};
-
 /**
  * Determines if a travel segment has route map data
  * @pure
@@ -91,18 +74,36 @@ const hasRouteMapData = (travelItem) => {
 };
 
 /**
- * Gets priority-based styling classes for backup options
+ * Gets the duration shown for a travel segment: the one written in the data,
+ * otherwise the elapsed time between its instants (correct across zones and
+ * the date line)
  * @pure
- * @param {number} priority - Priority level (1, 2, or 3)
- * @returns {string} Tailwind CSS classes
+ * @param {TravelSegment} travelItem - Travel segment
+ * @returns {string|null} Duration such as "14h 35m", or null if unknown
+ */
+const getTravelDurationLabel = (travelItem) => {
+  if (travelItem.duration) return travelItem.duration;
+
+  // Without an end time the instants only carry a placeholder length
+  const instants = travelItem.instants;
+  if (!travelItem.timeEnd || !instants || instants.isAllDay || instants.endUtc <= instants.startUtc) return null;
+
+  const elapsedMinutes = Math.round((instants.endUtc - instants.startUtc) / 60000);
+  const hours = Math.floor(elapsedMinutes / 60);
+  const minutes = elapsedMinutes % 60;
+  if (hours === 0) return `${minutes}m`;
+  return minutes === 0 ? `${hours}h` : `${hours}h ${minutes}m`;
+};
+
+/**
+ * Styling and verdict label per connection risk
+ * @constant {Object.<string, {cls: string, label: string}>}
  */
-const getBackupOptionPriorityClasses = (priority) => {
-  switch (priority) {
-    case 1: return "bg-green-950/40 border border-green-900/50";
-    case 2: return "bg-amber-950/40 border border-amber-900/50";
-    case 3: return "bg-red-950/40 border border-red-900/50";
-    default: return "bg-zinc-950/40 border border-zinc-900/50";
-  }
+const CONNECTION_RISK_STYLES = {
+  ok: { cls: "bg-emerald-950/30 border-emerald-800/50 text-emerald-300", label: "OK" },
+  tight: { cls: "bg-amber-950/40 border-amber-700/50 text-amber-300", label: "Tight" },
+  risky: { cls: "bg-red-950/40 border-red-700/60 text-red-300", label: "Risky" },
+  missed: { cls: "bg-red-950/60 border-red-600/70 text-red-200", label: "Impossible" }
 };
 
 /**
@@ -242,6 +243,7 @@ function BoardingPassHelpModal({ isOpen, onClose }) {
             <h3 className="text-sm font-semibold text-blue-300 mb-2">💡 Tips</h3>
             <ul className="text-xs text-blue-200 space-y-1">
               <li>• Works with email confirmations, Apple/Google Wallet, PDFs, or photos</li>
+              <li>• No AI needed if you can scan the barcode: paste the scanned text (starts with "M1") directly</li>
               <li>• Add multiple passes for each traveler on the same flight</li>
               <li>• The raw JSON is always viewable if you need to check details</li>
             </ul>
@@ -342,64 +344,96 @@ function BufferSegmentCard({ bufferSegmentItem }) {
 }
 
 /**
- * Collapsible accordion component for displaying backup plan options
+ * Connection strip shown above a flight that continues from the previous one:
+ * time on the ground against the minimum connection time, and what drives
+ * that minimum (transfer type, terminal or airport change, self-transfer)
  * 
  * @component
  * @param {Object} props
- * @param {BackupPlan} props.backupPlanData - Backup plan information
- * @returns {JSX.Element} Expandable backup plan section
+ * @param {import('../../utils/connections').FlightConnection} [props.flightConnection] - Connection into this flight
+ * @returns {JSX.Element|null} Connection strip or null if the flight is not a connection
  */
-function BackupPlanAccordion({ backupPlanData }) {
-  const [isAccordionExpanded, setIsAccordionExpanded] = useState(false);
+function ConnectionStrip({ flightConnection }) {
+  if (!flightConnection) return null;
 
-  const toggleAccordionExpansion = () => setIsAccordionExpanded(!isAccordionExpanded);
+  const riskStyle = CONNECTION_RISK_STYLES[flightConnection.risk];
+  const hasTerminalChange = flightConnection.arrivalTerminal && flightConnection.departureTerminal
+    && flightConnection.arrivalTerminal !== flightConnection.departureTerminal;
 
   return (
-    <div className="mt-3 pt-3 border-t border-blue-900/20">
-      {/* Accordion Toggle Button */}
-      <button
-        onClick={toggleAccordionExpansion}
-        className="flex items-center gap-2 text-xs font-medium text-red-400 hover:text-red-300"
-      >
-        {isAccordionExpanded ? (
-          <ChevronDown className="h-3 w-3" />
-        ) : (
-          <ChevronRight className="h-3 w-3" />
+    <div className={classNames("mb-3 rounded-lg border px-3 py-2 text-xs md:text-sm", riskStyle.cls)}>
+      <div className="flex items-center justify-between gap-2">
+        <div className="flex items-center gap-2 min-w-0">
+          <Repeat className="h-4 w-4 shrink-0" />
+          <span className="font-medium truncate">
+            Connection at {flightConnection.airportCode || 'airport'} · {flightConnection.connectionMinutes < 0 ? '-' : ''}{formatDurationMinutes(flightConnection.connectionMinutes)}
+          </span>
+        </div>
+        <span className="shrink-0 rounded-full border border-current px-2 py-0.5 text-[11px] font-semibold uppercase tracking-wide">
+          {riskStyle.label}
+        </span>
+      </div>
+      <div className="mt-1.5 flex flex-wrap items-center gap-x-3 gap-y-1 opacity-90">
+        <span>Minimum {formatDurationMinutes(flightConnection.requiredMinutes)}</span>
+        <span>{TRANSFER_TYPE_LABELS[flightConnection.transferType] || 'Transfer type unknown'}</span>
+        {flightConnection.isAirportChange && (
+          <span>Airport change {flightConnection.airportCode} → {flightConnection.departureAirportCode}</span>
         )}
-        🚨 Backup Plan: {backupPlanData.trigger}
-      </button>
+        {hasTerminalChange && (
+          <span>Terminal {flightConnection.arrivalTerminal} → {flightConnection.departureTerminal}</span>
+        )}
+        {flightConnection.isSelfTransfer && (
+          <span className="flex items-center gap-1" title={flightConnection.selfTransferReason || undefined}>
+            <Luggage className="h-3.5 w-3.5" />
+            Self-transfer: collect bags and check in again
+          </span>
+        )}
+      </div>
+      {flightConnection.risk !== 'ok' && (
+        <div className="mt-1.5">{flightConnection.message}</div>
+      )}
+    </div>
+  );
+}
 
-      {/* Expandable Options List */}
-      {isAccordionExpanded && (
-        <div className="mt-2 space-y-2 pl-5">
-          {backupPlanData.options.map((backupOption) => (
-            <div
-              key={backupOption.id}
-              className={classNames(
-                "text-xs rounded p-2",
-                getBackupOptionPriorityClasses(backupOption.priority)
-              )}
-            >
-              <div className="flex items-start justify-between gap-2 mb-1">
-                <div>
-                  <div className="font-medium text-zinc-100">
-                    P{backupOption.priority}: {backupOption.title}
-                  </div>
-                  <div className="text-zinc-400 mt-0.5">
-                    {backupOption.description}
-                  </div>
-                  {backupOption.contact && (
-                    <div className="text-zinc-500 mt-0.5 italic">
-                      Contact: {backupOption.contact}
-                    </div>
-                  )}
-                </div>
-                <StatusPill code={backupOption.status} />
-              </div>
-            </div>
-          ))}
+/**
+ * Banner shown on a segment after one of its backup options was activated:
+ * the alternative now in use, and a way back to the original plan
+ * 
+ * @component
+ * @param {Object} props
+ * @param {Object} props.disruption - Disruption record stored on the segment
+ * @param {Function} [props.onRestore] - Callback to undo the disruption
+ * @returns {JSX.Element} Disruption banner
+ */
+function DisruptionBanner({ disruption, onRestore }) {
+  const activatedAtLabel = disruption.activatedAt
+    ? new Date(disruption.activatedAt).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+    : null;
+
+  return (
+    <div className="mb-3 rounded-lg border border-orange-700/60 bg-orange-950/40 px-3 py-2 text-xs md:text-sm text-orange-200">
+      <div className="flex items-start justify-between gap-2">
+        <div className="flex items-start gap-2 min-w-0">
+          <Siren className="h-4 w-4 mt-0.5 shrink-0 text-orange-400" />
+          <div className="min-w-0">
+            <div className="font-medium">Disrupted · using backup: {disruption.title}</div>
+            {disruption.description && <div className="text-orange-300/80 mt-0.5">{disruption.description}</div>}
+            {disruption.contact && <div className="text-orange-300/60 mt-0.5 italic">Contact: {disruption.contact}</div>}
+            {activatedAtLabel && <div className="text-orange-300/60 mt-0.5">Activated {activatedAtLabel}</div>}
+          </div>
         </div>
-      )}
+        {onRestore && (
+          <button
+            onClick={onRestore}
+            className="flex items-center gap-1 shrink-0 px-2 py-1 text-xs text-orange-200 hover:text-white border border-orange-700/60 rounded-lg"
+            title="Undo the disruption and go back to the original segment"
+          >
+            <RotateCcw className="h-3.5 w-3.5" />
+            Restore
+          </button>
+        )}
+      </div>
     </div>
   );
 }
@@ -416,10 +450,20 @@ function BackupPlanAccordion({ backupPlanData }) {
  * @param {Array<TravelSegment>} props.items - Array of travel segment items
  * @param {boolean} props.isExpanded - Whether the section is expanded
  * @param {Function} props.onToggle - Callback to toggle section expansion
- * @param {boolean} [props.showBackupPlans] - Whether to show backup plan accordions
+ * @param {boolean} [props.showBackupPlans] - Whether to show backup plans
  * @param {Object} [props.boardingPasses] - Boarding passes keyed by segment ID
  * @param {Function} [props.onAddBoardingPass] - Callback to add boarding pass (segmentId, data) => Promise
  * @param {Function} [props.onDeleteBoardingPass] - Callback to delete boarding pass (segmentId, passId) => Promise
+ * @param {Object<string, Array<Object>>} [props.conflictsByItemId={}] - Schedule conflicts keyed by item ID
+ * @param {Object<string, Object>} [props.connectionsByOutboundId={}] - Flight connections keyed by the onward flight's ID
+ * @param {Object<string, Object>} [props.backupPlans={}] - User-edited backup plans keyed by segment ID
+ * @param {Function} [props.onSaveBackupPlan] - Callback to store an edited plan (segmentId, plan) => Promise
+ * @param {Function} [props.onResetBackupPlan] - Callback to go back to the template (segmentId) => Promise
+ * @param {Function} [props.onActivateBackupOption] - Callback to activate an option (segmentId, plan, optionId) => Promise
+ * @param {Function} [props.onDeactivateBackupPlan] - Callback to restore a disrupted segment (segmentId) => Promise
+ * @param {Function} [props.onEditSegment] - Callback to edit the imported segment ('travel', segmentId) => void
+ * @param {Function} [props.onChangeStatus] - Callback to change a segment's status (item, nextStatus, bookingDetails) => Promise
+ * @param {import('../../utils/searchIndex').SearchHighlight|null} [props.searchHighlight] - Search terms to mark and the items matching them
  * @returns {JSX.Element|null} Travel section or null if no items
  */
 export const TravelSection = memo(function TravelSection({ 
@@ -429,12 +473,23 @@ export const TravelSection = memo(function TravelSection({
   showBackupPlans,
   boardingPasses = {},
   onAddBoardingPass,
-  onDeleteBoardingPass
+  onDeleteBoardingPass,
+  conflictsByItemId = {},
+  connectionsByOutboundId = {},
+  backupPlans = {},
+  onSaveBackupPlan,
+  onResetBackupPlan,
+  onActivateBackupOption,
+  onDeactivateBackupPlan,
+  onEditSegment,
+  onChangeStatus,
+  searchHighlight
 }) {
   // State for boarding pass import modal
   const [importModalOpen, setImportModalOpen] = useState(false);
   const [importModalSegment, setImportModalSegment] = useState(null);
   const [importModalFlightInfo, setImportModalFlightInfo] = useState('');
+  const [importModalFlightSegment, setImportModalFlightSegment] = useState(null);
   
   // State for help modal
   const [helpModalOpen, setHelpModalOpen] = useState(false);
@@ -443,6 +498,7 @@ export const TravelSection = memo(function TravelSection({
   if (!items || items.length === 0) return null;
 
   const travelSegmentCount = items.length;
+  const searchTerms = searchHighlight?.searchTerms;
 
   /**
    * Opens the boarding pass import modal for a specific segment
@@ -451,6 +507,7 @@ export const TravelSection = memo(function TravelSection({
     const flightInfo = `${segment.flight || ''} ${segment.route || ''}`.trim();
     setImportModalSegment(segment.id);
     setImportModalFlightInfo(flightInfo);
+    setImportModalFlightSegment(segment);
     setImportModalOpen(true);
   };
 
@@ -461,6 +518,7 @@ export const TravelSection = memo(function TravelSection({
     setImportModalOpen(false);
     setImportModalSegment(null);
     setImportModalFlightInfo('');
+    setImportModalFlightSegment(null);
   };
 
   return (
@@ -491,7 +549,21 @@ export const TravelSection = memo(function TravelSection({
             isBufferTimeSegment(travelItem) ? (
               <BufferSegmentCard key={travelItem.id} bufferSegmentItem={travelItem} />
             ) : (
-            <div key={travelItem.id} className="p-3 md:p-4">
+            <div
+              key={travelItem.id}
+              className={classNames("p-3 md:p-4", searchHighlight?.matchedItemIds.has(travelItem.id) && SEARCH_MATCH_ITEM_CLASSES)}
+            >
+              {/* Connection from the previous flight */}
+              <ConnectionStrip flightConnection={connectionsByOutboundId[travelItem.id]} />
+
+              {/* Activated backup option */}
+              {travelItem.disruption && (
+                <DisruptionBanner
+                  disruption={travelItem.disruption}
+                  onRestore={onDeactivateBackupPlan && (() => onDeactivateBackupPlan(travelItem.id))}
+                />
+              )}
+
               {/* Two Column Layout: Details (60%) + Map (40%) - stacked on mobile */}
               <div className="flex flex-col md:flex-row gap-3 md:gap-4 md:min-h-[180px]">
                 {/* LEFT COLUMN - Travel Details */}
@@ -501,16 +573,33 @@ export const TravelSection = memo(function TravelSection({
                     <div className="flex items-start justify-between gap-2 md:gap-3 mb-2 md:mb-3">
                       <div>
                         <div className="font-semibold text-blue-100 text-base md:text-lg">
-                          {travelItem.route}
+                          <HighlightedText text={travelItem.route} searchTerms={searchTerms} />
                         </div>
                         {travelItem.flight && (
                           <div className="text-xs md:text-sm text-blue-400 mt-1">
-                            {travelItem.airline} {travelItem.flight}
+                            <HighlightedText text={[travelItem.airline, travelItem.flight].filter(Boolean).join(' ')} searchTerms={searchTerms} />
                             {travelItem.aircraft && <span className="text-blue-500"> • {travelItem.aircraft}</span>}
                           </div>
                         )}
                       </div>
-                      {travelItem.status && <StatusPill code={travelItem.status} />}
+                      <div className="flex items-center gap-1.5 shrink-0">
+                        {travelItem.status && (
+                          <EditableStatusPill
+                            item={travelItem}
+                            itemLabel={travelItem.route}
+                            onChangeStatus={onChangeStatus}
+                          />
+                        )}
+                        {onEditSegment && (
+                          <button
+                            onClick={() => onEditSegment('travel', travelItem.id)}
+                            className="p-1.5 rounded-lg text-blue-400 hover:text-blue-200 hover:bg-blue-900/40 transition-colors"
+                            title="Edit travel details"
+                          >
+                            <Pencil className="h-3.5 w-3.5" />
+                          </button>
+                        )}
+                      </div>
                     </div>
                   </div>
 
@@ -522,16 +611,16 @@ export const TravelSection = memo(function TravelSection({
                         <span>{travelItem.time}</span>
                       </div>
                     )}
-                    {travelItem.duration && (
+                    {getTravelDurationLabel(travelItem) && (
                       <div className="flex items-center gap-1 md:gap-1.5 px-2 md:px-3 py-1 md:py-1.5 rounded-full bg-blue-900/40 border border-blue-700/50">
                         <Timer className="h-3.5 w-3.5 md:h-4 md:w-4 text-blue-400" />
-                        <span>{travelItem.duration}</span>
+                        <span>{getTravelDurationLabel(travelItem)}</span>
                       </div>
                     )}
                     {travelItem.cabinClass && (
                       <div className="flex items-center gap-1 md:gap-1.5 px-2 md:px-3 py-1 md:py-1.5 rounded-full bg-blue-900/40 border border-blue-700/50">
                         <Armchair className="h-3.5 w-3.5 md:h-4 md:w-4 text-blue-400" />
-                        <span>{travelItem.cabinClass}</span>
+                        <span><HighlightedText text={travelItem.cabinClass} searchTerms={searchTerms} /></span>
                       </div>
                     )}
                   </div>
@@ -557,22 +646,33 @@ export const TravelSection = memo(function TravelSection({
                     <div className="flex items-center gap-1.5 md:gap-2 text-xs md:text-sm text-blue-300">
                       <Plane className="h-3.5 w-3.5 md:h-4 md:w-4 text-blue-400 rotate-[-45deg]" />
                       <span className="text-blue-400 font-medium">From:</span>
-                      <span className="truncate">{travelItem.departureAirport}</span>
+                      <span className="truncate"><HighlightedText text={travelItem.departureAirport} searchTerms={searchTerms} /></span>
                     </div>
                   )}
                   {travelItem.arrivalAirport && (
                     <div className="flex items-center gap-1.5 md:gap-2 text-xs md:text-sm text-blue-300">
                       <MapPin className="h-3.5 w-3.5 md:h-4 md:w-4 text-blue-400" />
                       <span className="text-blue-400 font-medium">To:</span>
-                      <span className="truncate">{travelItem.arrivalAirport}</span>
+                      <span className="truncate"><HighlightedText text={travelItem.arrivalAirport} searchTerms={searchTerms} /></span>
                     </div>
                   )}
                 </div>
               )}
 
-              {/* Backup Plan Accordion */}
-              {showBackupPlans && travelItem.backupPlan && (
-                <BackupPlanAccordion backupPlanData={travelItem.backupPlan} />
+              {/* Schedule Conflicts */}
+              <ScheduleConflictNotice conflicts={conflictsByItemId[travelItem.id]} />
+
+              {/* Backup Plan - on the departure card only */}
+              {showBackupPlans && !travelItem.isArrival && (
+                <BackupPlanPanel
+                  segment={travelItem}
+                  backupPlan={resolveSegmentBackupPlan(travelItem, backupPlans[travelItem.id], {
+                    connection: connectionsByOutboundId[travelItem.id]
+                  })}
+                  onSave={onSaveBackupPlan}
+                  onReset={onResetBackupPlan}
+                  onActivate={onActivateBackupOption}
+                />
               )}
 
               {/* Boarding Pass Section - Only for flights */}
@@ -584,6 +684,8 @@ export const TravelSection = memo(function TravelSection({
                       key={pass.id}
                       boardingPass={pass}
                       segmentId={travelItem.id}
+                      flightSegment={travelItem}
+                      mismatches={findBoardingPassMismatches(pass, travelItem)}
                       onDelete={onDeleteBoardingPass}
                     />
                   ))}
@@ -622,6 +724,7 @@ export const TravelSection = memo(function TravelSection({
         onSave={onAddBoardingPass}
         segmentId={importModalSegment}
         flightInfo={importModalFlightInfo}
+        flightSegment={importModalFlightSegment}
       />
 
       {/* Boarding Pass Help Modal */}
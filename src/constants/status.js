@@ -10,6 +10,14 @@ import {
   Clock,
   Filter,
   MountainSnow,
+  Siren,
+  HelpCircle,
+  Hourglass,
+  Wallet,
+  Star,
+  Flag,
+  Ban,
+  Ticket,
 } from "lucide-react";
 
 /**
@@ -33,6 +41,7 @@ import {
  * @property {StatusConfiguration} WEEKEND_SKI - Weekend ski trip (teal)
  * @property {StatusConfiguration} OPTIONAL - Optional activity (zinc)
  * @property {StatusConfiguration} IF_CONDITIONAL - Conditional on other factors (fuchsia)
+ * @property {StatusConfiguration} DISRUPTED - Replaced by an activated backup plan (orange)
  * @property {StatusConfiguration} UNSET - No status set (zinc)
  */
 export const STATUS = {
@@ -92,6 +101,13 @@ export const STATUS = {
     cls: "bg-fuchsia-950/60 text-fuchsia-200 ring-1 ring-fuchsia-800/60",
   },
   
+  /** Disrupted - a backup plan option has been activated in its place */
+  DISRUPTED: {
+    label: "Disrupted",
+    icon: Siren,
+    cls: "bg-orange-950/60 text-orange-200 ring-1 ring-orange-700/60",
+  },
+  
   /** Default/unset status - displays with neutral zinc styling */
   UNSET: {
     label: "Unspecified",
@@ -99,3 +115,43 @@ export const STATUS = {
     cls: "bg-zinc-900/60 text-zinc-300 ring-1 ring-zinc-700/60",
   },
 };
+
+/**
+ * Icons a user-defined status can use, keyed by the name stored in settings.
+ * 
+ * @constant {Object.<string, React.ComponentType>}
+ */
+export const STATUS_ICON_OPTIONS = {
+  CheckCircle2,
+  AlertTriangle,
+  XCircle,
+  Clock,
+  Hourglass,
+  Wallet,
+  Ticket,
+  Star,
+  Flag,
+  Filter,
+  Ban,
+  HelpCircle,
+};
+
+/**
+ * Colors a user-defined status can use, keyed by the name stored in settings.
+ * Class strings are written out in full so Tailwind keeps them in the build.
+ * 
+ * @constant {Object.<string, string>}
+ */
+export const STATUS_COLOR_OPTIONS = {
+  emerald: "bg-emerald-950/60 text-emerald-200 ring-1 ring-emerald-800/60",
+  sky: "bg-sky-950/60 text-sky-200 ring-1 ring-sky-800/60",
+  indigo: "bg-indigo-950/60 text-indigo-200 ring-1 ring-indigo-800/60",
+  violet: "bg-violet-950/60 text-violet-200 ring-1 ring-violet-800/60",
+  fuchsia: "bg-fuchsia-950/60 text-fuchsia-200 ring-1 ring-fuchsia-800/60",
+  rose: "bg-rose-950/60 text-rose-200 ring-1 ring-rose-800/60",
+  orange: "bg-orange-950/60 text-orange-200 ring-1 ring-orange-700/60",
+  amber: "bg-amber-950/60 text-amber-200 ring-1 ring-amber-800/60",
+  lime: "bg-lime-950/60 text-lime-200 ring-1 ring-lime-800/60",
+  teal: "bg-teal-950/60 text-teal-200 ring-1 ring-teal-800/60",
+  zinc: "bg-zinc-900/60 text-zinc-300 ring-1 ring-zinc-700/60",
+};
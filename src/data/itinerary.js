@@ -8,6 +8,23 @@
  */
 
 import rawItineraryData from './rawItinerary.json';
+import {
+  countryCodeToFlagEmoji,
+  findAirportCodeCandidates,
+  findAirportInText,
+  formatAirportLabel,
+  lookupCityCountryCode
+} from '../utils/airports';
+import {
+  resolveIanaTimeZone,
+  resolveSegmentTimeZones,
+  resolveWallClockTiming,
+  wallClockTimingToInstants,
+  parseClockTime,
+  addDaysToDateKey,
+  zonedDateTimeToUtc
+} from '../utils/timezones';
+import { normalizeStatusCode } from '../utils/statusRegistry';
 
 // =============================================================================
 // CONSTANTS
@@ -17,7 +34,8 @@ import rawItineraryData from './rawItinerary.json';
 const MAX_DATE_RANGE_ITERATIONS = 365;
 
 /**
- * @constant {Object} STATUS_CODE_MAPPING - Maps status strings to normalized codes
+ * @constant {Object} STATUS_CODE_MAPPING - Maps status strings to normalized codes.
+ * Codes missing here are kept as written (see resolveStatusCode).
  */
 const STATUS_CODE_MAPPING = {
   'BOOKED': 'BOOKED',
@@ -28,6 +46,7 @@ const STATUS_CODE_MAPPING = {
   'WEEKEND_SKI': 'WEEKEND_SKI',
   'OPTIONAL': 'OPTIONAL',
   'IF_CONDITIONAL': 'IF_CONDITIONAL',
+  'DISRUPTED': 'DISRUPTED',
   'UNSET': 'UNSET'
 };
 
@@ -36,6 +55,12 @@ const STATUS_CODE_MAPPING = {
  */
 const TRAVEL_SEGMENT_TYPES = ['flight', 'travel', 'transit', 'bus', 'airport'];
 
+/** @constant {string} DEFAULT_STAY_CHECK_IN_TIME - Assumed check-in when a stay gives none */
+const DEFAULT_STAY_CHECK_IN_TIME = '3:00 PM';
+
+/** @constant {string} DEFAULT_STAY_CHECK_OUT_TIME - Assumed check-out when a stay gives none */
+const DEFAULT_STAY_CHECK_OUT_TIME = '11:00 AM';
+
 /**
  * @constant {Array<string>} ACTIVITY_SEGMENT_TYPES - Segment types that count as activities
  */
@@ -120,45 +145,70 @@ function extractLocationFromSegment(segmentData) {
 }
 
 /**
- * Extracts location key for flagging (airport code or city name).
+ * @constant {Object<string, string>} LOCATION_FLAG_OVERRIDES - Place names shown
+ * with a custom marker instead of their country flag
+ */
+const LOCATION_FLAG_OVERRIDES = {
+  'Joetsu': '⛷️ Joetsu',
+  'Myoko': '⛷️ Myoko'
+};
+
+/**
+ * Extracts location key for flagging (country flag plus city name).
+ * Airport codes resolve through the airport database; plain place names
+ * are matched against the cities it serves.
  * 
  * @pure
  * @param {string|null} locationString - Location string
  * @returns {string|null} Location key for display
+ * 
+ * @example
+ * extractLocationKeyForFlag('MNL') // Returns '🇵🇭 Manila' (once the airport database is loaded)
  */
 function extractLocationKeyForFlag(locationString) {
   if (!locationString) return null;
   
-  // Extract airport/city codes (3-letter codes)
-  const codeMatch = locationString.match(/\b([A-Z]{3})\b/);
-  if (codeMatch) return codeMatch[1];
+  for (const [placeName, flagDisplay] of Object.entries(LOCATION_FLAG_OVERRIDES)) {
+    if (locationString.includes(placeName)) {
+      return flagDisplay;
+    }
+  }
   
-  // Map city names to flag representations
-  const cityFlagMap = {
-    'Tokyo': '🇯🇵 Tokyo',
-    'Joetsu': '⛷️ Joetsu',
-    'Myoko': '⛷️ Myoko',
-    'Manila': '🇵🇭 Manila',
-    'MNL': '🇵🇭 Manila',
-    'Bacolod': '🇵🇭 Bacolod',
-    'BCD': '🇵🇭 Bacolod',
-    'San Francisco': '🇺🇸 San Francisco',
-    'SFO': '🇺🇸 San Francisco',
-    'Denver': '🇺🇸 Denver',
-    'DEN': '🇺🇸 Denver',
-    'Miami': '🇺🇸 Miami',
-    'FLL': '🇺🇸 Miami'
-  };
+  // Airport/station codes ("MNL", "Tokyo (NRT)")
+  const mentionedAirport = findAirportInText(locationString);
+  if (mentionedAirport) {
+    return `${countryCodeToFlagEmoji(mentionedAirport.countryCode)} ${mentionedAirport.city}`.trim();
+  }
+  const unresolvedCode = findAirportCodeCandidates(locationString).find(code => code.length === 3);
+  if (unresolvedCode) return unresolvedCode;
   
-  for (const [cityName, flagDisplay] of Object.entries(cityFlagMap)) {
-    if (locationString.includes(cityName)) {
-      return flagDisplay;
+  // City names ("Shibuya, Tokyo")
+  for (const placePart of locationString.split(',').reverse()) {
+    const countryCode = lookupCityCountryCode(placePart);
+    if (countryCode) {
+      return `${countryCodeToFlagEmoji(countryCode)} ${placePart.trim()}`;
     }
   }
   
   return locationString;
 }
 
+/**
+ * Resolves the departure and arrival airports of a travel segment.
+ * Explicit airport fields win over codes in the route ("SFO → MNL").
+ * 
+ * @pure
+ * @param {Object} segmentData - Raw segment data
+ * @returns {{departure: Object|null, arrival: Object|null}} Airport records (null if unknown)
+ */
+function resolveSegmentAirports(segmentData) {
+  const routeParts = segmentData.route ? segmentData.route.split('→') : [];
+  return {
+    departure: findAirportInText(segmentData.departureAirport) || findAirportInText(routeParts[0]),
+    arrival: findAirportInText(segmentData.arrivalAirport) || (routeParts.length > 1 ? findAirportInText(routeParts[routeParts.length - 1]) : null)
+  };
+}
+
 // =============================================================================
 // PURE HELPER FUNCTIONS - Date/Time Formatting
 // =============================================================================
@@ -234,6 +284,20 @@ function getDateRangeBetween(startDateString, endDateString) {
 // PURE HELPER FUNCTIONS - Data Transformation
 // =============================================================================
 
+/**
+ * Resolves a segment's status string to a status code. Unknown statuses
+ * (e.g., WAITLISTED) are kept so they can be registered, not collapsed to UNSET.
+ *
+ * @pure
+ * @param {string|undefined} rawStatus - Status as written in the JSON
+ * @returns {string} Status code
+ */
+function resolveStatusCode(rawStatus) {
+  const statusCode = normalizeStatusCode(rawStatus);
+  if (!statusCode) return 'UNSET';
+  return STATUS_CODE_MAPPING[statusCode] || statusCode;
+}
+
 /**
  * Gets trip metadata from any data source.
  * 
@@ -245,52 +309,11 @@ export function getTripMeta(itineraryData = rawItineraryData) {
   return {
     tripName: itineraryData.tripName || 'Travel Itinerary',
     budget: itineraryData.budget || { total: 0, currency: 'USD' },
-    travelers: itineraryData.travelers || []
+    travelers: itineraryData.travelers || [],
+    connectionRules: itineraryData.connectionRules || null
   };
 }
 
-/**
- * Generates backup plan for flight segments.
- * 
- * @pure
- * @param {Object} flightSegment - Flight segment data
- * @returns {Object|null} Backup plan object or null
- */
-function generateFlightBackupPlan(flightSegment) {
-  if (!flightSegment.status || flightSegment.status === 'BOOKED' || flightSegment.status === 'TO_BOOK') {
-    return {
-      trigger: 'Flight delay (>2 hrs) or cancellation',
-      options: [
-        {
-          id: `bp-${flightSegment.id}-1`,
-          priority: 1,
-          title: 'Next available flight same route',
-          description: 'Rebook on next available flight to same destination',
-          status: 'TO_BOOK',
-          contact: 'Airline customer service / online rebooking'
-        },
-        {
-          id: `bp-${flightSegment.id}-2`,
-          priority: 2,
-          title: 'Alternate route via different hub',
-          description: 'Consider booking via alternate routing if available',
-          status: 'TO_BOOK',
-          contact: 'Airline customer service'
-        },
-        {
-          id: `bp-${flightSegment.id}-3`,
-          priority: 3,
-          title: 'Ground transportation alternative',
-          description: 'Use ground transport if delay < 24hrs and destination reachable',
-          status: 'TO_BOOK',
-          contact: 'Local transportation providers'
-        }
-      ]
-    };
-  }
-  return null;
-}
-
 /**
  * Creates an empty day entry structure.
  * 
@@ -335,20 +358,36 @@ function createEmptyDayEntry(dateKey, tripData, segmentData) {
  * @returns {Object} Standardized segment data
  */
 function createStandardizedSegmentData(segmentData, dateIndexInRange, totalDatesInRange) {
+  const isTravelSegment = TRAVEL_SEGMENT_TYPES.includes(segmentData.type.toLowerCase());
+  const segmentAirports = isTravelSegment ? resolveSegmentAirports(segmentData) : { departure: null, arrival: null };
+  // Airport zones only fill in for segments that carry no zone labels at all
+  const hasTimeZoneLabels = Boolean(segmentData.tz || segmentData.tzFrom || segmentData.tzTo || segmentData.tzLabel);
+
   return {
     id: segmentData.id,
     type: segmentData.type,
     route: segmentData.route || null,
     time: formatTimeRange(segmentData.timeStart, segmentData.timeEnd),
+    date: segmentData.date,
+    dateEnd: segmentData.dateEnd || null,
+    timeStart: segmentData.timeStart || null,
+    timeEnd: segmentData.timeEnd || null,
+    tz: segmentData.tz || null,
+    tzFrom: segmentData.tzFrom || (!hasTimeZoneLabels && segmentAirports.departure?.tz) || null,
+    tzTo: segmentData.tzTo || (!hasTimeZoneLabels && segmentAirports.arrival?.tz) || null,
+    tzLabel: segmentData.tzLabel || null,
     duration: segmentData.duration || null,
-    status: STATUS_CODE_MAPPING[segmentData.status] || 'UNSET',
+    status: resolveStatusCode(segmentData.status),
     details: segmentData.details,
     airline: segmentData.airline || extractAirlineCodeFromDetails(segmentData.details),
-    flight: segmentData.flight || extractFlightNumberFromDetails(segmentData.details),
+    flight: segmentData.flight || segmentData.flightNumber || extractFlightNumberFromDetails(segmentData.details),
     aircraft: segmentData.aircraft || null,
     cabinClass: segmentData.cabinClass || null,
-    departureAirport: segmentData.departureAirport || null,
-    arrivalAirport: segmentData.arrivalAirport || null,
+    bookingRef: segmentData.bookingRef || null,
+    legs: segmentData.legs || null,
+    disruption: segmentData.disruption || null,
+    departureAirport: segmentData.departureAirport || (segmentAirports.departure && formatAirportLabel(segmentAirports.departure)) || null,
+    arrivalAirport: segmentData.arrivalAirport || (segmentAirports.arrival && formatAirportLabel(segmentAirports.arrival)) || null,
     location: segmentData.location,
     name: segmentData.details,
     estimatedCost: segmentData.estimatedCost || null,
@@ -415,20 +454,20 @@ function parseItineraryFromData(itineraryData = rawItineraryData) {
           }
         }
         
-        // Update day timezone and location info
-        if (segmentData.tz || segmentData.tzFrom) {
-          dayEntry.timezone = segmentData.tz || segmentData.tzFrom;
-        }
-        if (extractLocationFromSegment(segmentData) && !dayEntry.location) {
-          dayEntry.location = extractLocationFromSegment(segmentData);
-        }
-
         const standardizedSegment = createStandardizedSegmentData(
           segmentData,
           dateIndexInRange,
           segmentDateRange.length
         );
 
+        // Update day timezone (labels, or airport zones for unlabeled travel) and location info
+        if (standardizedSegment.tz || standardizedSegment.tzFrom) {
+          dayEntry.timezone = standardizedSegment.tz || standardizedSegment.tzFrom;
+        }
+        if (extractLocationFromSegment(segmentData) && !dayEntry.location) {
+          dayEntry.location = extractLocationFromSegment(segmentData);
+        }
+
         // Update day metadata
         updateDayMetadata(dayEntry, segmentData, segmentTypeLowercase, dateIndexInRange);
 
@@ -464,7 +503,7 @@ function updateDayMetadata(dayEntry, segmentData, segmentType, dateIndex) {
   }
   
   // Track unbooked items (only on first date)
-  if (segmentData.status === 'TO_BOOK' && dateIndex === 0) {
+  if (resolveStatusCode(segmentData.status) === 'TO_BOOK' && dateIndex === 0) {
     dayEntry.metadata.unbootedCount += 1;
     dayEntry.metadata.hasUnbooked = true;
   }
@@ -556,10 +595,6 @@ function processTravelSegment(dayEntry, segmentData, standardizedSegment, segmen
       crossesDateline: crossesDateline && segmentType === 'flight'
     };
     
-    if (segmentType === 'flight' && isDepartureDate) {
-      travelEntryData.backupPlan = generateFlightBackupPlan(segmentData);
-    }
-    
     dayEntry.travel.push(travelEntryData);
   }
 }
@@ -578,9 +613,18 @@ function processShelterSegment(dayEntry, segmentData, segmentDateRange, dateInde
   
   const isFirstNight = dateIndex === 0;
   const totalStayNights = segmentDateRange.length - 1; // Last day is checkout
+  const stayDateFields = {
+    id: segmentData.id,
+    status: resolveStatusCode(segmentData.status),
+    dateStart: segmentDateRange[0],
+    dateEnd: segmentDateRange[segmentDateRange.length - 1],
+    tz: segmentData.tz || null,
+    tzLabel: segmentData.tzLabel || null
+  };
   
   if (segmentData.shelter) {
     dayEntry.shelter = {
+      ...stayDateFields,
       name: segmentData.shelter.name,
       address: segmentData.shelter.address,
       type: segmentData.shelter.type || null,
@@ -597,6 +641,7 @@ function processShelterSegment(dayEntry, segmentData, segmentDateRange, dateInde
     };
   } else {
     dayEntry.shelter = {
+      ...stayDateFields,
       name: segmentData.location || segmentData.details,
       address: extractAddressFromDetails(segmentData.details),
       checkIn: isFirstNight ? (segmentData.timeStart || null) : null,
@@ -621,7 +666,16 @@ function processMealSegment(dayEntry, segmentData) {
     type: segmentData.details,
     location: segmentData.location,
     time: formatTimeRange(segmentData.timeStart, segmentData.timeEnd),
-    details: segmentData.details
+    timeStart: segmentData.timeStart || null,
+    timeEnd: segmentData.timeEnd || null,
+    status: resolveStatusCode(segmentData.status),
+    details: segmentData.details,
+    restaurant: segmentData.restaurant || null,
+    partySize: segmentData.partySize || null,
+    confirmationNumber: segmentData.confirmationNumber || segmentData.bookingRef || null,
+    estimatedCost: segmentData.estimatedCost || null,
+    currency: segmentData.currency || null,
+    notes: segmentData.note || null
   });
 }
 
@@ -647,6 +701,7 @@ function processActivitySegment(dayEntry, segmentData) {
         estimatedCost: activityItem.estimatedCost,
         currency: activityItem.currency,
         notes: activityItem.notes,
+        status: resolveStatusCode(segmentData.status),
         coordinates: activityItem.coordinates || null
       });
     }
@@ -656,6 +711,9 @@ function processActivitySegment(dayEntry, segmentData) {
       name: segmentData.details,
       location: segmentData.location,
       time: formatTimeRange(segmentData.timeStart, segmentData.timeEnd),
+      timeStart: segmentData.timeStart || null,
+      timeEnd: segmentData.timeEnd || null,
+      status: resolveStatusCode(segmentData.status),
       description: segmentData.details,
       type: segmentData.type
     });
@@ -671,6 +729,9 @@ function processLayoverSegment(dayEntry, segmentData) {
     name: `Layover: ${segmentData.details}`,
     location: segmentData.location,
     time: formatTimeRange(segmentData.timeStart, segmentData.timeEnd),
+    timeStart: segmentData.timeStart || null,
+    timeEnd: segmentData.timeEnd || null,
+    status: resolveStatusCode(segmentData.status),
     description: segmentData.details,
     type: 'layover'
   });
@@ -685,27 +746,136 @@ function processDefaultSegment(dayEntry, segmentData) {
     name: segmentData.details,
     location: segmentData.location,
     time: formatTimeRange(segmentData.timeStart, segmentData.timeEnd),
+    timeStart: segmentData.timeStart || null,
+    timeEnd: segmentData.timeEnd || null,
+    status: resolveStatusCode(segmentData.status),
     description: segmentData.details,
     type: segmentData.type
   });
 }
 
+// =============================================================================
+// ABSOLUTE TIME (UTC instants + IANA zones)
+// =============================================================================
+
+/**
+ * Resolves the IANA zone of a day: its labels first, then the zone the
+ * day's first travel segment departs from.
+ * 
+ * @pure
+ * @param {Object} dayEntry - Day entry
+ * @returns {string|null} IANA zone or null if nothing identifies one
+ */
+function resolveDayTimeZone(dayEntry) {
+  return resolveIanaTimeZone(dayEntry.tz)
+    || resolveIanaTimeZone(dayEntry.timezone)
+    || dayEntry.travel.map(travelItem => resolveSegmentTimeZones(travelItem).startTimeZone).find(Boolean)
+    || null;
+}
+
+/**
+ * Computes the instants of a travel segment. Flights start in their
+ * departure zone and end in their arrival zone.
+ * 
+ * @pure
+ * @param {Object} travelItem - Standardized travel segment
+ * @param {string|null} dayTimeZone - Fallback zone of the day
+ * @returns {import('../utils/timezones').ItemInstants|null} Instants or null if no zone is known
+ */
+function resolveTravelInstants(travelItem, dayTimeZone) {
+  const { startTimeZone, endTimeZone } = resolveSegmentTimeZones(travelItem);
+  return wallClockTimingToInstants(resolveWallClockTiming({
+    startDate: travelItem.date,
+    startTime: travelItem.timeStart,
+    endTime: travelItem.timeEnd,
+    endDate: travelItem.dateEnd,
+    startTimeZone: startTimeZone || dayTimeZone,
+    endTimeZone: endTimeZone || startTimeZone || dayTimeZone
+  }));
+}
+
+/**
+ * Computes the instants of a stay, from check-in on the first night to
+ * check-out on the last day. Missing times fall back to usual hotel times.
+ * 
+ * @pure
+ * @param {Object} shelter - Shelter of the first night (carries checkIn)
+ * @param {string|null} dayTimeZone - Fallback zone of the day
+ * @returns {import('../utils/timezones').ItemInstants|null} Instants or null if no zone is known
+ */
+function resolveStayInstants(shelter, dayTimeZone) {
+  const stayTimeZone = resolveSegmentTimeZones(shelter).startTimeZone || dayTimeZone;
+  if (!stayTimeZone) return null;
+
+  // Single-date stays have no checkout date in the data - assume one night
+  const checkOutDateKey = shelter.dateEnd && shelter.dateEnd !== shelter.dateStart
+    ? shelter.dateEnd
+    : addDaysToDateKey(shelter.dateStart, 1);
+  const checkInClock = parseClockTime(shelter.checkIn) || parseClockTime(DEFAULT_STAY_CHECK_IN_TIME);
+  const checkOutClock = parseClockTime(shelter.checkOut) || parseClockTime(DEFAULT_STAY_CHECK_OUT_TIME);
+
+  return {
+    startUtc: zonedDateTimeToUtc(shelter.dateStart, checkInClock.hours, checkInClock.minutes, stayTimeZone),
+    endUtc: zonedDateTimeToUtc(checkOutDateKey, checkOutClock.hours, checkOutClock.minutes, stayTimeZone),
+    startTimeZone: stayTimeZone,
+    endTimeZone: stayTimeZone,
+    isAllDay: false
+  };
+}
+
 /**
- * Finalizes day entries by converting map to sorted array.
+ * Finalizes day entries by converting map to sorted array and attaching
+ * absolute instants to the day and every item in it.
  * 
  * @param {Map} dayEntriesMap - Map of date keys to day entries
  * @returns {Array<Object>} Sorted array of day entries
  */
 function finalizeDayEntries(dayEntriesMap) {
+  const stayInstantsById = new Map();
+
   return Array.from(dayEntriesMap.values())
     .sort((dayA, dayB) => new Date(dayA.dateKey) - new Date(dayB.dateKey))
-    .map(dayEntry => ({
-      ...dayEntry,
-      metadata: {
-        ...dayEntry.metadata,
-        costCurrencies: Array.from(dayEntry.metadata.costCurrencies)
+    .map(dayEntry => {
+      const dayTimeZone = resolveDayTimeZone(dayEntry);
+
+      // CRITICAL PATH: A stay is copied onto every night - only the first night knows its check-in
+      let shelter = dayEntry.shelter;
+      if (shelter.id) {
+        if (!stayInstantsById.has(shelter.id)) {
+          stayInstantsById.set(shelter.id, resolveStayInstants(shelter, dayTimeZone));
+        }
+        shelter = { ...shelter, instants: stayInstantsById.get(shelter.id) };
       }
-    }));
+
+      return {
+        ...dayEntry,
+        ianaTimeZone: dayTimeZone,
+        instants: wallClockTimingToInstants(resolveWallClockTiming({
+          startDate: dayEntry.dateKey,
+          startTime: null,
+          endTime: null,
+          startTimeZone: dayTimeZone,
+          endTimeZone: dayTimeZone
+        })),
+        travel: dayEntry.travel.map(travelItem => ({
+          ...travelItem,
+          instants: resolveTravelInstants(travelItem, dayTimeZone)
+        })),
+        shelter,
+        meals: dayEntry.meals.map(mealItem => ({
+          ...mealItem,
+          instants: resolveDayItemInstants(mealItem, dayEntry.dateKey, dayTimeZone)
+        })),
+        activities: dayEntry.activities.map(activityItem => ({
+          ...activityItem,
+          instants: resolveDayItemInstants(activityItem, dayEntry.dateKey, dayTimeZone)
+        })),
+        metadata: {
+          ...dayEntry.metadata,
+          costCurrencies: Array.from(dayEntry.metadata.costCurrencies)
+        }
+      };
+    });
 }
 
 // =============================================================================
@@ -729,6 +899,31 @@ export function parseItineraryData(itineraryData) {
   return parseItineraryFromData(itineraryData);
 }
 
+/**
+ * Computes the instants of a meal or activity held on one day, in the day's
+ * zone. Exported so user-added activities (stored outside the parsed
+ * itinerary) get the same treatment.
+ * 
+ * @pure
+ * @param {Object} dayItem - Meal or activity with timeStart/timeEnd
+ * @param {string} dateKey - Date of the day (YYYY-MM-DD)
+ * @param {string|null} dayTimeZone - IANA zone of the day (dayEntry.ianaTimeZone)
+ * @returns {import('../utils/timezones').ItemInstants|null} Instants or null if the zone is unknown
+ * 
+ * @example
+ * resolveDayItemInstants({ timeStart: '7:00 PM' }, '2026-02-07', 'Asia/Tokyo')
+ * // Returns { startUtc: 1770458400000, endUtc: 1770462000000, startTimeZone: 'Asia/Tokyo', ... }
+ */
+export function resolveDayItemInstants(dayItem, dateKey, dayTimeZone) {
+  return wallClockTimingToInstants(resolveWallClockTiming({
+    startDate: dateKey,
+    startTime: dayItem.timeStart,
+    endTime: dayItem.timeEnd,
+    startTimeZone: dayTimeZone,
+    endTimeZone: dayTimeZone
+  }));
+}
+
 /**
  * Gets segments by type for a given day.
  * 
@@ -753,4 +948,22 @@ export function getSegmentsByType(dayEntry, segmentType) {
   }
 }
 
+/**
+ * Finds a raw segment and the trip leg holding it in unparsed itinerary data.
+ * Parsed items keep their segment's ID, so this maps an item on screen back
+ * to what is stored.
+ * 
+ * @pure
+ * @param {Object|null} itineraryData - Raw itinerary data with trips
+ * @param {string} segmentId - ID of the segment
+ * @returns {{tripLeg: Object, segment: Object}|null} Leg and segment, or null if not found
+ */
+export function findRawSegment(itineraryData, segmentId) {
+  for (const tripLeg of itineraryData?.trips || []) {
+    const matchingSegment = (tripLeg.segments || []).find(segment => segment.id === segmentId);
+    if (matchingSegment) return { tripLeg, segment: matchingSegment };
+  }
+  return null;
+}
+
 export default ITINERARY_DAYS;
@@ -20,27 +20,76 @@
  * DATA STRUCTURE:
  * ===============
  * 
- * tripMeta (single record):
- *   { id: 'main', tripName, budget: { total, currency }, travelers: [] }
+ * The database holds a library of trips. Every record below except settings
+ * carries the `tripId` of the trip it belongs to.
  * 
- * trips (keyed by trip name):
- *   { name, region, segments: [...] }
+ * tripMeta (keyed by trip ID):
+ *   { id: 'trip-1706000000000', tripName, budget: { total, currency }, travelers: [], connectionRules?, createdAt }
+ *   - connectionRules: optional minimum connection time overrides (see utils/connections)
+ *   - Databases migrated from v3 keep their single trip under id 'main'
+ * 
+ * trips (keyed by [tripId, name], indexed by tripId):
+ *   { tripId, name, region, segments: [...] }
  *   - Each segment contains: id, date, dateEnd?, type, details, shelter?, activities?, etc.
  * 
- * userActivities (keyed by date):
- *   { date: 'YYYY-MM-DD', items: [{ id, name, time, location, ... }] }
+ * userActivities (keyed by [tripId, date], indexed by tripId):
+ *   { tripId, date: 'YYYY-MM-DD', items: [{ id, name, time, location, ... }] }
  *   - User-added activities that don't exist in original JSON
  * 
- * deletedActivities (keyed by date):
- *   { date: 'YYYY-MM-DD', ids: ['seg-001-activity-1', ...] }
+ * deletedActivities (keyed by [tripId, date], indexed by tripId):
+ *   { tripId, date: 'YYYY-MM-DD', ids: ['seg-001-activity-1', ...] }
  *   - IDs of original activities user has deleted
  * 
+ * userMeals (keyed by [tripId, date], indexed by tripId):
+ *   { tripId, date: 'YYYY-MM-DD', items: [{ id, type, restaurant, timeStart, partySize, confirmationNumber, estimatedCost, currency, ... }] }
+ *   - User-added meals that don't exist in original JSON
+ * 
+ * deletedMeals (keyed by [tripId, date], indexed by tripId):
+ *   { tripId, date: 'YYYY-MM-DD', ids: ['seg-014', ...] }
+ *   - IDs of original meal segments user has deleted
+ * 
+ * itemStatuses (keyed by [tripId, itemId], indexed by tripId):
+ *   { tripId, itemId, status, booking: { confirmationNumber, vendor, price, currency, bookedOn } | null, history: [{ from, to, changedAt, booking }], updatedAt }
+ *   - Status changes the user made on segments, meals and activities (see utils/statusWorkflow)
+ * 
+ * expenses (keyed by [tripId, id], indexed by tripId):
+ *   { tripId, id: 'expense-1706000000000', date: 'YYYY-MM-DD', amount, currency, category, payer, split, linkedItemId, note, createdAt, updatedAt }
+ *   - Money actually spent, compared with estimated costs in the budget (see utils/expenses)
+ *   - split: how the amount is shared between travelers, null to share it evenly (see utils/costSplitting)
+ * 
+ * costSplits (keyed by [tripId, itemId], indexed by tripId):
+ *   { tripId, itemId, payer, split: { mode: 'even'|'shares'|'exact', portions: { [traveler]: number } } | null, updatedAt }
+ *   - Who pays an item's estimated cost and how it is shared (see utils/costSplitting)
+ * 
+ * reminders (keyed by [tripId, reminderId], indexed by tripId):
+ *   { tripId, reminderId: 'departure:seg-001', kind, itemId, dateKey, title, timeZone, eventAt, remindAt, notifiedAt }
+ *   - Scheduled reminders and when they were shown (see utils/reminders); rebuilt from the itinerary, not exported
+ * 
+ * boardingPasses (keyed by id, indexed by segmentId and tripId):
+ *   { id, tripId, segmentId, ...passFields }
+ * 
+ * backupPlans (keyed by [tripId, segmentId], indexed by tripId):
+ *   { tripId, segmentId, trigger, options: [{ id, priority, title, description, contact, status }], activeOptionId, activatedAt, updatedAt }
+ *   - Only segments whose plan the user edited; others use templates (see utils/backupPlans)
+ *   - Activating an option also marks the segment DISRUPTED with a `disruption` record in trips
+ * 
  * settings:
  *   { key: 'initialized', value: true, timestamp }
- * 
+ *   { key: 'activeTripId', value: 'trip-1706000000000', timestamp }
+ *   { key: 'customStatuses', value: [{ code: 'WAITLISTED', label, icon, color }], timestamp }
+ *   - customStatuses: user-defined statuses of the status registry (see utils/statusRegistry)
+ *   { key: 'rateTable:trip-1706000000000', value: { homeCurrency: 'USD', rates: [{ currency: 'JPY', rate: 150, lockedOn: '2026-02-01' | null }] }, timestamp }
+ *   - rateTable:<tripId>: exchange rates and home currency of one trip (see utils/exchangeRates)
+ *   { key: 'reminderSettings:trip-1706000000000', value: { isEnabled: true, leadMinutesByKind: { boarding: 30, departure: 180, ... } }, timestamp }
+ *   - reminderSettings:<tripId>: reminder lead times of one trip (see utils/reminders)
+ *
  * @typedef {[T, null] | [null, Error]} Result<T> - Go-style result tuple
  */
 
+import { parseItineraryData } from '../data/itinerary';
+import { buildItineraryCalendar } from '../utils/icalendar';
+import { loadAirportDatabase } from '../utils/airports';
+
 // =============================================================================
 // CONSTANTS & CONFIGURATION
 // =============================================================================
@@ -49,11 +98,17 @@
 const DATABASE_NAME = 'TravelItineraryDB';
 
 /** @constant {number} DATABASE_VERSION - Current schema version (increment on schema changes) */
-const DATABASE_VERSION = 3;
+const DATABASE_VERSION = 10;
 
 /** @constant {number} MAX_DATE_RANGE_ITERATIONS - Safety limit for date range loops */
 const MAX_DATE_RANGE_ITERATIONS = 365;
 
+/** @constant {string} LEGACY_TRIP_ID - Trip ID assigned to data migrated from the single-trip schema (v3 and earlier) */
+const LEGACY_TRIP_ID = 'main';
+
+/** @constant {string} TRIP_ID_INDEX - Name of the index scoping records to a trip */
+const TRIP_ID_INDEX = 'tripId';
+
 /**
  * @constant {Object} STORE_NAMES - Object store names for IndexedDB
  * @property {string} TRIP_META - Store for trip metadata (name, budget, travelers)
@@ -61,6 +116,14 @@ const MAX_DATE_RANGE_ITERATIONS = 365;
  * @property {string} USER_ACTIVITIES - Store for user-added activities by date
  * @property {string} DELETED_ACTIVITIES - Store for soft-deleted activity IDs by date
  * @property {string} SETTINGS - Store for app settings
+ * @property {string} BOARDING_PASSES - Store for boarding passes by segment
+ * @property {string} BACKUP_PLANS - Store for user-edited backup plans by segment
+ * @property {string} USER_MEALS - Store for user-added meals by date
+ * @property {string} DELETED_MEALS - Store for soft-deleted meal IDs by date
+ * @property {string} ITEM_STATUSES - Store for user status changes by item
+ * @property {string} EXPENSES - Store for recorded expenses
+ * @property {string} COST_SPLITS - Store for payer and split of item costs
+ * @property {string} REMINDERS - Store for scheduled reminders
  */
 const STORE_NAMES = {
   TRIP_META: 'tripMeta',
@@ -68,7 +131,14 @@ const STORE_NAMES = {
   USER_ACTIVITIES: 'userActivities',
   DELETED_ACTIVITIES: 'deletedActivities',
   SETTINGS: 'settings',
-  BOARDING_PASSES: 'boardingPasses'
+  BOARDING_PASSES: 'boardingPasses',
+  BACKUP_PLANS: 'backupPlans',
+  USER_MEALS: 'userMeals',
+  DELETED_MEALS: 'deletedMeals',
+  ITEM_STATUSES: 'itemStatuses',
+  EXPENSES: 'expenses',
+  COST_SPLITS: 'costSplits',
+  REMINDERS: 'reminders'
 };
 
 // =============================================================================
@@ -153,18 +223,30 @@ function extractAllDatesFromTrips(tripsArray) {
   return uniqueDates;
 }
 
+/**
+ * Generates a unique ID for a newly imported trip.
+ * @returns {string} Trip ID (e.g., 'trip-1706000000000')
+ */
+function generateTripId() {
+  return `trip-${Date.now()}`;
+}
+
 /**
  * Creates a standardized trip metadata object from JSON data.
  * @pure
  * @param {Object} jsonData - Raw JSON data from import
+ * @param {string} tripId - ID of the trip in the library
+ * @param {number} createdAt - Timestamp of the import
  * @returns {Object} Normalized trip metadata object
  */
-function createTripMetadataRecord(jsonData) {
+function createTripMetadataRecord(jsonData, tripId, createdAt) {
   return {
-    id: 'main',
+    id: tripId,
     tripName: jsonData.tripName || 'My Trip',
     budget: jsonData.budget || { total: 0, currency: 'USD' },
-    travelers: jsonData.travelers || []
+    travelers: jsonData.travelers || [],
+    connectionRules: jsonData.connectionRules || null,
+    createdAt
   };
 }
 
@@ -172,10 +254,12 @@ function createTripMetadataRecord(jsonData) {
  * Creates a standardized trip record from raw trip data.
  * @pure
  * @param {Object} tripData - Raw trip data from JSON
+ * @param {string} tripId - ID of the trip the record belongs to
  * @returns {Object} Normalized trip record
  */
-function createTripRecord(tripData) {
+function createTripRecord(tripData, tripId) {
   return {
+    tripId,
     name: tripData.name,
     region: tripData.region,
     segments: tripData.segments || []
@@ -206,6 +290,82 @@ function aggregateRecordsByDate(records, propertyName) {
 // DATABASE INITIALIZATION
 // =============================================================================
 
+/**
+ * Creates an object store whose records are scoped to a trip.
+ * The primary key is [tripId, naturalKey] and a tripId index allows
+ * loading or deleting everything that belongs to one trip.
+ * 
+ * @param {IDBDatabase} database - Database being upgraded
+ * @param {string} storeName - Name of the store to create
+ * @param {string} naturalKey - Per-trip unique field ('name', 'date', 'segmentId', 'itemId' or 'id')
+ * @returns {IDBObjectStore} The created store
+ */
+function createTripScopedStore(database, storeName, naturalKey) {
+  const tripScopedStore = database.createObjectStore(storeName, { keyPath: [TRIP_ID_INDEX, naturalKey] });
+  tripScopedStore.createIndex(TRIP_ID_INDEX, TRIP_ID_INDEX, { unique: false });
+  
+  if (storeName === STORE_NAMES.TRIPS) {
+    tripScopedStore.createIndex('region', 'region', { unique: false });
+  }
+  
+  return tripScopedStore;
+}
+
+/**
+ * Rebuilds a single-trip store (keyed by name or date) as a trip-scoped store.
+ * Existing records are read through the upgrade transaction, the store is
+ * recreated with a compound key, and the records are tagged with LEGACY_TRIP_ID.
+ * 
+ * @param {IDBDatabase} database - Database being upgraded
+ * @param {IDBTransaction} upgradeTransaction - The versionchange transaction
+ * @param {string} storeName - Name of the store to migrate
+ * @param {string} naturalKey - Per-trip unique field ('name' or 'date')
+ */
+function migrateStoreToTripScope(database, upgradeTransaction, storeName, naturalKey) {
+  if (!database.objectStoreNames.contains(storeName)) return;
+
+  const legacyStore = upgradeTransaction.objectStore(storeName);
+  if (Array.isArray(legacyStore.keyPath)) return;
+
+  const getAllRequest = legacyStore.getAll();
+  getAllRequest.onsuccess = () => {
+    const legacyRecords = getAllRequest.result || [];
+    
+    // CRITICAL PATH: Key paths are immutable, so the store must be recreated
+    database.deleteObjectStore(storeName);
+    const tripScopedStore = createTripScopedStore(database, storeName, naturalKey);
+    
+    for (const legacyRecord of legacyRecords) {
+      tripScopedStore.put({ ...legacyRecord, tripId: LEGACY_TRIP_ID });
+    }
+    console.log(`📦 Migrated ${legacyRecords.length} ${storeName} records to trip '${LEGACY_TRIP_ID}'`);
+  };
+}
+
+/**
+ * Adds the tripId index to the boarding passes store and tags existing
+ * passes with LEGACY_TRIP_ID.
+ * 
+ * @param {IDBTransaction} upgradeTransaction - The versionchange transaction
+ */
+function migrateBoardingPassesToTripScope(upgradeTransaction) {
+  const boardingPassesStore = upgradeTransaction.objectStore(STORE_NAMES.BOARDING_PASSES);
+  if (boardingPassesStore.indexNames.contains(TRIP_ID_INDEX)) return;
+
+  boardingPassesStore.createIndex(TRIP_ID_INDEX, TRIP_ID_INDEX, { unique: false });
+
+  const cursorRequest = boardingPassesStore.openCursor();
+  cursorRequest.onsuccess = () => {
+    const cursor = cursorRequest.result;
+    if (!cursor) return;
+    
+    if (!cursor.value.tripId) {
+      cursor.update({ ...cursor.value, tripId: LEGACY_TRIP_ID });
+    }
+    cursor.continue();
+  };
+}
+
 /**
  * Initializes the IndexedDB database connection.
  * Creates the database and object stores if they don't exist.
@@ -242,6 +402,7 @@ export function initDB() {
     // CRITICAL PATH: Schema migration handler
     openRequest.onupgradeneeded = (event) => {
       const database = event.target.result;
+      const upgradeTransaction = event.target.transaction;
       const previousVersion = event.oldVersion;
       console.log(`📦 Upgrading IndexedDB from v${previousVersion} to v${DATABASE_VERSION}...`);
 
@@ -260,20 +421,26 @@ export function initDB() {
         database.createObjectStore(STORE_NAMES.TRIP_META, { keyPath: 'id' });
       }
 
-      // Create trips store with region index
+      // v4: Rebuild single-trip stores with [tripId, key] compound keys
+      if (previousVersion > 0 && previousVersion < 4) {
+        migrateStoreToTripScope(database, upgradeTransaction, STORE_NAMES.TRIPS, 'name');
+        migrateStoreToTripScope(database, upgradeTransaction, STORE_NAMES.USER_ACTIVITIES, 'date');
+        migrateStoreToTripScope(database, upgradeTransaction, STORE_NAMES.DELETED_ACTIVITIES, 'date');
+      }
+
+      // Create trips store (keyed by [tripId, name]) with region index
       if (!database.objectStoreNames.contains(STORE_NAMES.TRIPS)) {
-        const tripsStore = database.createObjectStore(STORE_NAMES.TRIPS, { keyPath: 'name' });
-        tripsStore.createIndex('region', 'region', { unique: false });
+        createTripScopedStore(database, STORE_NAMES.TRIPS, 'name');
       }
 
-      // Create user activities store (keyed by date)
+      // Create user activities store (keyed by [tripId, date])
       if (!database.objectStoreNames.contains(STORE_NAMES.USER_ACTIVITIES)) {
-        database.createObjectStore(STORE_NAMES.USER_ACTIVITIES, { keyPath: 'date' });
+        createTripScopedStore(database, STORE_NAMES.USER_ACTIVITIES, 'date');
       }
 
-      // Create deleted activities store (keyed by date)
+      // Create deleted activities store (keyed by [tripId, date])
       if (!database.objectStoreNames.contains(STORE_NAMES.DELETED_ACTIVITIES)) {
-        database.createObjectStore(STORE_NAMES.DELETED_ACTIVITIES, { keyPath: 'date' });
+        createTripScopedStore(database, STORE_NAMES.DELETED_ACTIVITIES, 'date');
       }
 
       // Create settings store
@@ -281,10 +448,46 @@ export function initDB() {
         database.createObjectStore(STORE_NAMES.SETTINGS, { keyPath: 'key' });
       }
 
-      // Create boarding passes store (v3) - keyed by id with segmentId index
+      // Create boarding passes store (v3) - keyed by id with segmentId and tripId indexes
       if (!database.objectStoreNames.contains(STORE_NAMES.BOARDING_PASSES)) {
         const boardingPassesStore = database.createObjectStore(STORE_NAMES.BOARDING_PASSES, { keyPath: 'id' });
         boardingPassesStore.createIndex('segmentId', 'segmentId', { unique: false });
+        boardingPassesStore.createIndex(TRIP_ID_INDEX, TRIP_ID_INDEX, { unique: false });
+      } else {
+        migrateBoardingPassesToTripScope(upgradeTransaction);
+      }
+
+      // Create backup plans store (v5) - keyed by [tripId, segmentId]
+      if (!database.objectStoreNames.contains(STORE_NAMES.BACKUP_PLANS)) {
+        createTripScopedStore(database, STORE_NAMES.BACKUP_PLANS, 'segmentId');
+      }
+
+      // Create user and deleted meals stores (v6) - keyed by [tripId, date]
+      if (!database.objectStoreNames.contains(STORE_NAMES.USER_MEALS)) {
+        createTripScopedStore(database, STORE_NAMES.USER_MEALS, 'date');
+      }
+      if (!database.objectStoreNames.contains(STORE_NAMES.DELETED_MEALS)) {
+        createTripScopedStore(database, STORE_NAMES.DELETED_MEALS, 'date');
+      }
+
+      // Create item statuses store (v7) - keyed by [tripId, itemId]
+      if (!database.objectStoreNames.contains(STORE_NAMES.ITEM_STATUSES)) {
+        createTripScopedStore(database, STORE_NAMES.ITEM_STATUSES, 'itemId');
+      }
+
+      // Create expenses store (v8) - keyed by [tripId, id]
+      if (!database.objectStoreNames.contains(STORE_NAMES.EXPENSES)) {
+        createTripScopedStore(database, STORE_NAMES.EXPENSES, 'id');
+      }
+
+      // Create cost splits store (v9) - keyed by [tripId, itemId]
+      if (!database.objectStoreNames.contains(STORE_NAMES.COST_SPLITS)) {
+        createTripScopedStore(database, STORE_NAMES.COST_SPLITS, 'itemId');
+      }
+
+      // Create reminders store (v10) - keyed by [tripId, reminderId]
+      if (!database.objectStoreNames.contains(STORE_NAMES.REMINDERS)) {
+        createTripScopedStore(database, STORE_NAMES.REMINDERS, 'reminderId');
       }
       
       console.log('✅ IndexedDB stores created/updated');
@@ -343,28 +546,222 @@ export async function markInitialized() {
   });
 }
 
+/**
+ * Retrieves the ID of the trip currently shown in the app.
+ * @async
+ * @returns {Promise<[string|null, null] | [null, Error]>} Go-style result tuple
+ */
+export async function getActiveTripId() {
+  const [, dbErr] = await initDB();
+  if (dbErr) return [null, wrapError('getActiveTripId', dbErr)];
+
+  return new Promise((resolve) => {
+    const transaction = databaseConnection.transaction([STORE_NAMES.SETTINGS], 'readonly');
+    const settingsStore = transaction.objectStore(STORE_NAMES.SETTINGS);
+    const getRequest = settingsStore.get('activeTripId');
+
+    getRequest.onsuccess = () => resolve([getRequest.result?.value || null, null]);
+    getRequest.onerror = () => resolve([null, getRequest.error || new Error('Failed to get active trip')]);
+  });
+}
+
+/**
+ * Persists the ID of the trip currently shown in the app.
+ * @async
+ * @param {string} tripId - ID of the trip to activate
+ * @returns {Promise<[void, null] | [null, Error]>} Go-style result tuple
+ */
+export async function setActiveTripId(tripId) {
+  const [, dbErr] = await initDB();
+  if (dbErr) return [null, wrapError('setActiveTripId', dbErr)];
+
+  return new Promise((resolve) => {
+    const transaction = databaseConnection.transaction([STORE_NAMES.SETTINGS], 'readwrite');
+    const settingsStore = transaction.objectStore(STORE_NAMES.SETTINGS);
+    const putRequest = settingsStore.put({ key: 'activeTripId', value: tripId, timestamp: Date.now() });
+
+    putRequest.onsuccess = () => resolve([undefined, null]);
+    putRequest.onerror = () => resolve([null, putRequest.error || new Error('Failed to set active trip')]);
+  });
+}
+
+/**
+ * Retrieves the user-defined statuses of the status registry.
+ * Shared by every trip in the library.
+ * @async
+ * @returns {Promise<[Array<Object>, null] | [null, Error]>} Go-style result tuple
+ */
+export async function getCustomStatuses() {
+  const [, dbErr] = await initDB();
+  if (dbErr) return [null, wrapError('getCustomStatuses', dbErr)];
+
+  return new Promise((resolve) => {
+    const transaction = databaseConnection.transaction([STORE_NAMES.SETTINGS], 'readonly');
+    const settingsStore = transaction.objectStore(STORE_NAMES.SETTINGS);
+    const getRequest = settingsStore.get('customStatuses');
+
+    getRequest.onsuccess = () => resolve([getRequest.result?.value || [], null]);
+    getRequest.onerror = () => resolve([null, getRequest.error || new Error('Failed to get custom statuses')]);
+  });
+}
+
+/**
+ * Builds the settings key of a trip's rate table.
+ * @pure
+ * @param {string} tripId - ID of the trip
+ * @returns {string} Settings key
+ */
+function getRateTableSettingKey(tripId) {
+  return `rateTable:${tripId}`;
+}
+
+/**
+ * Retrieves the exchange rate table of a trip.
+ * @async
+ * @param {string} tripId - ID of the trip
+ * @returns {Promise<[Object|null, null] | [null, Error]>} Go-style result tuple, null when the trip has none yet
+ */
+export async function getRateTable(tripId) {
+  const [, dbErr] = await initDB();
+  if (dbErr) return [null, wrapError('getRateTable', dbErr)];
+
+  return new Promise((resolve) => {
+    const transaction = databaseConnection.transaction([STORE_NAMES.SETTINGS], 'readonly');
+    const settingsStore = transaction.objectStore(STORE_NAMES.SETTINGS);
+    const getRequest = settingsStore.get(getRateTableSettingKey(tripId));
+
+    getRequest.onsuccess = () => resolve([getRequest.result?.value || null, null]);
+    getRequest.onerror = () => resolve([null, getRequest.error || new Error('Failed to get rate table')]);
+  });
+}
+
+/**
+ * Persists the exchange rate table of a trip.
+ * @async
+ * @param {string} tripId - ID of the trip
+ * @param {Object} rateTable - Table ({ homeCurrency, rates: [{ currency, rate, lockedOn }] })
+ * @returns {Promise<[Object, null] | [null, Error]>} Go-style result tuple with the stored table
+ */
+export async function saveRateTable(tripId, rateTable) {
+  const [, dbErr] = await initDB();
+  if (dbErr) return [null, wrapError('saveRateTable', dbErr)];
+
+  return new Promise((resolve) => {
+    const transaction = databaseConnection.transaction([STORE_NAMES.SETTINGS], 'readwrite');
+    const settingsStore = transaction.objectStore(STORE_NAMES.SETTINGS);
+    const putRequest = settingsStore.put({ key: getRateTableSettingKey(tripId), value: rateTable, timestamp: Date.now() });
+
+    putRequest.onsuccess = () => {
+      console.log(`💱 Saved ${rateTable.rates.length} exchange rates (home ${rateTable.homeCurrency})`);
+      resolve([rateTable, null]);
+    };
+    putRequest.onerror = () => resolve([null, putRequest.error || new Error('Failed to save rate table')]);
+  });
+}
+
+/**
+ * Builds the settings key of a trip's reminder settings.
+ * @pure
+ * @param {string} tripId - ID of the trip
+ * @returns {string} Settings key
+ */
+function getReminderSettingsKey(tripId) {
+  return `reminderSettings:${tripId}`;
+}
+
+/**
+ * Retrieves the reminder settings of a trip.
+ * @async
+ * @param {string} tripId - ID of the trip
+ * @returns {Promise<[Object|null, null] | [null, Error]>} Go-style result tuple, null when the trip has none yet
+ */
+export async function getReminderSettings(tripId) {
+  const [, dbErr] = await initDB();
+  if (dbErr) return [null, wrapError('getReminderSettings', dbErr)];
+
+  return new Promise((resolve) => {
+    const transaction = databaseConnection.transaction([STORE_NAMES.SETTINGS], 'readonly');
+    const settingsStore = transaction.objectStore(STORE_NAMES.SETTINGS);
+    const getRequest = settingsStore.get(getReminderSettingsKey(tripId));
+
+    getRequest.onsuccess = () => resolve([getRequest.result?.value || null, null]);
+    getRequest.onerror = () => resolve([null, getRequest.error || new Error('Failed to get reminder settings')]);
+  });
+}
+
+/**
+ * Persists the reminder settings of a trip.
+ * @async
+ * @param {string} tripId - ID of the trip
+ * @param {Object} reminderSettings - Settings ({ isEnabled, leadMinutesByKind })
+ * @returns {Promise<[Object, null] | [null, Error]>} Go-style result tuple with the stored settings
+ */
+export async function saveReminderSettings(tripId, reminderSettings) {
+  const [, dbErr] = await initDB();
+  if (dbErr) return [null, wrapError('saveReminderSettings', dbErr)];
+
+  return new Promise((resolve) => {
+    const transaction = databaseConnection.transaction([STORE_NAMES.SETTINGS], 'readwrite');
+    const settingsStore = transaction.objectStore(STORE_NAMES.SETTINGS);
+    const putRequest = settingsStore.put({ key: getReminderSettingsKey(tripId), value: reminderSettings, timestamp: Date.now() });
+
+    putRequest.onsuccess = () => {
+      console.log(`⏰ Saved reminder settings (${reminderSettings.isEnabled ? 'on' : 'off'})`);
+      resolve([reminderSettings, null]);
+    };
+    putRequest.onerror = () => resolve([null, putRequest.error || new Error('Failed to save reminder settings')]);
+  });
+}
+
+/**
+ * Persists the user-defined statuses of the status registry.
+ * @async
+ * @param {Array<Object>} statusDefinitions - Definitions ({ code, label, icon, color })
+ * @returns {Promise<[Array<Object>, null] | [null, Error]>} Go-style result tuple
+ */
+export async function saveCustomStatuses(statusDefinitions) {
+  const [, dbErr] = await initDB();
+  if (dbErr) return [null, wrapError('saveCustomStatuses', dbErr)];
+
+  return new Promise((resolve) => {
+    const transaction = databaseConnection.transaction([STORE_NAMES.SETTINGS], 'readwrite');
+    const settingsStore = transaction.objectStore(STORE_NAMES.SETTINGS);
+    const putRequest = settingsStore.put({ key: 'customStatuses', value: statusDefinitions, timestamp: Date.now() });
+
+    putRequest.onsuccess = () => {
+      console.log(`🏷️ Saved ${statusDefinitions.length} custom statuses`);
+      resolve([statusDefinitions, null]);
+    };
+    putRequest.onerror = () => resolve([null, putRequest.error || new Error('Failed to save custom statuses')]);
+  });
+}
+
 // =============================================================================
 // DATA IMPORT OPERATIONS
 // =============================================================================
 
 /**
- * Imports JSON itinerary data into IndexedDB (first-time setup).
+ * Imports JSON itinerary data into IndexedDB as a new trip in the library.
  * This is the primary entry point for loading trip data from a JSON file.
  * Stores tripMeta, trips (with all segments), and initializes empty
- * userActivities and deletedActivities for each date.
+ * userActivities and deletedActivities for each date, all under a new trip ID.
  * 
  * @async
  * @param {Object} jsonItineraryData - The parsed JSON itinerary data
  * @param {string} [jsonItineraryData.tripName] - Name of the trip
  * @param {Object} [jsonItineraryData.budget] - Budget information
  * @param {Array} [jsonItineraryData.travelers] - List of travelers
+ * @param {Object} [jsonItineraryData.connectionRules] - Minimum connection time overrides
  * @param {Array} [jsonItineraryData.trips] - Array of trip objects
- * @returns {Promise<[void, null] | [null, Error]>} Go-style result tuple
+ * @returns {Promise<[string, null] | [null, Error]>} Go-style result tuple with the new trip ID
  */
 export async function importItineraryData(jsonItineraryData) {
   const [, dbErr] = await initDB();
   if (dbErr) return [null, wrapError('importItineraryData', dbErr)];
   
+  const importedAt = Date.now();
+  const tripId = generateTripId();
+  
   return new Promise((resolve) => {
     // CRITICAL PATH: Create transaction spanning all required stores
     const transaction = databaseConnection.transaction(
@@ -374,13 +771,13 @@ export async function importItineraryData(jsonItineraryData) {
 
     transaction.onerror = () => resolve([null, transaction.error || new Error('Import transaction failed')]);
     transaction.oncomplete = () => {
-      console.log('✅ Itinerary data imported to IndexedDB');
-      resolve([undefined, null]);
+      console.log('✅ Itinerary data imported to IndexedDB:', tripId);
+      resolve([tripId, null]);
     };
 
     // Store trip metadata
     const tripMetaStore = transaction.objectStore(STORE_NAMES.TRIP_META);
-    const tripMetadataRecord = createTripMetadataRecord(jsonItineraryData);
+    const tripMetadataRecord = createTripMetadataRecord(jsonItineraryData, tripId, importedAt);
     tripMetaStore.put(tripMetadataRecord);
 
     // Store trips with all their segments
@@ -388,7 +785,7 @@ export async function importItineraryData(jsonItineraryData) {
     const tripsArray = jsonItineraryData.trips || [];
     
     for (const tripData of tripsArray) {
-      const tripRecord = createTripRecord(tripData);
+      const tripRecord = createTripRecord(tripData, tripId);
       tripsStore.put(tripRecord);
     }
 
@@ -398,8 +795,8 @@ export async function importItineraryData(jsonItineraryData) {
     const allTripDates = extractAllDatesFromTrips(tripsArray);
 
     for (const dateString of allTripDates) {
-      userActivitiesStore.put({ date: dateString, items: [] });
-      deletedActivitiesStore.put({ date: dateString, ids: [] });
+      userActivitiesStore.put({ tripId, date: dateString, items: [] });
+      deletedActivitiesStore.put({ tripId, date: dateString, ids: [] });
     }
   });
 }
@@ -409,41 +806,117 @@ export async function importItineraryData(jsonItineraryData) {
 // =============================================================================
 
 /**
- * Retrieves the trip metadata from the database.
+ * Retrieves the metadata of one trip from the database.
  * @async
+ * @param {string} tripId - ID of the trip
  * @returns {Promise<[Object|null, null] | [null, Error]>} Go-style result tuple
  */
-export async function getTripMeta() {
+export async function getTripMeta(tripId) {
   const [, dbErr] = await initDB();
   if (dbErr) return [null, wrapError('getTripMeta', dbErr)];
 
   return new Promise((resolve) => {
     const transaction = databaseConnection.transaction([STORE_NAMES.TRIP_META], 'readonly');
     const tripMetaStore = transaction.objectStore(STORE_NAMES.TRIP_META);
-    const getRequest = tripMetaStore.get('main');
+    const getRequest = tripMetaStore.get(tripId);
 
     getRequest.onsuccess = () => resolve([getRequest.result || null, null]);
     getRequest.onerror = () => resolve([null, getRequest.error || new Error('Failed to get trip metadata')]);
   });
 }
 
+/**
+ * Retrieves the metadata of every trip in the library, oldest first.
+ * @async
+ * @returns {Promise<[Array<Object>, null] | [null, Error]>} Go-style result tuple
+ */
+export async function getAllTripMetas() {
+  const [, dbErr] = await initDB();
+  if (dbErr) return [null, wrapError('getAllTripMetas', dbErr)];
+
+  return new Promise((resolve) => {
+    const transaction = databaseConnection.transaction([STORE_NAMES.TRIP_META], 'readonly');
+    const tripMetaStore = transaction.objectStore(STORE_NAMES.TRIP_META);
+    const getAllRequest = tripMetaStore.getAll();
+
+    getAllRequest.onsuccess = () => {
+      const tripLibrary = (getAllRequest.result || [])
+        .slice()
+        .sort((tripA, tripB) => (tripA.createdAt || 0) - (tripB.createdAt || 0));
+      resolve([tripLibrary, null]);
+    };
+    getAllRequest.onerror = () => resolve([null, getAllRequest.error || new Error('Failed to get trip library')]);
+  });
+}
+
+/**
+ * Deletes a trip and every record scoped to it (segments, user and deleted
+ * activities, user and deleted meals, boarding passes, backup plans, item statuses, expenses).
+ * @async
+ * @param {string} tripId - ID of the trip to delete
+ * @returns {Promise<[void, null] | [null, Error]>} Go-style result tuple
+ */
+export async function deleteTrip(tripId) {
+  const [, dbErr] = await initDB();
+  if (dbErr) return [null, wrapError('deleteTrip', dbErr)];
+
+  return new Promise((resolve) => {
+    const tripScopedStoreNames = [
+      STORE_NAMES.TRIPS,
+      STORE_NAMES.USER_ACTIVITIES,
+      STORE_NAMES.DELETED_ACTIVITIES,
+      STORE_NAMES.BOARDING_PASSES,
+      STORE_NAMES.BACKUP_PLANS,
+      STORE_NAMES.USER_MEALS,
+      STORE_NAMES.DELETED_MEALS,
+      STORE_NAMES.ITEM_STATUSES,
+      STORE_NAMES.EXPENSES,
+      STORE_NAMES.COST_SPLITS,
+      STORE_NAMES.REMINDERS
+    ];
+    const transaction = databaseConnection.transaction([STORE_NAMES.TRIP_META, STORE_NAMES.SETTINGS, ...tripScopedStoreNames], 'readwrite');
+
+    transaction.onerror = () => resolve([null, transaction.error || new Error('Failed to delete trip')]);
+    transaction.oncomplete = () => {
+      console.log('🗑️ Trip deleted:', tripId);
+      resolve([undefined, null]);
+    };
+
+    transaction.objectStore(STORE_NAMES.TRIP_META).delete(tripId);
+    transaction.objectStore(STORE_NAMES.SETTINGS).delete(getRateTableSettingKey(tripId));
+    transaction.objectStore(STORE_NAMES.SETTINGS).delete(getReminderSettingsKey(tripId));
+
+    // CRITICAL PATH: Delete every record found through the tripId index
+    for (const storeName of tripScopedStoreNames) {
+      const tripScopedStore = transaction.objectStore(storeName);
+      const getKeysRequest = tripScopedStore.index(TRIP_ID_INDEX).getAllKeys(tripId);
+      getKeysRequest.onsuccess = () => {
+        for (const primaryKey of getKeysRequest.result || []) {
+          tripScopedStore.delete(primaryKey);
+        }
+      };
+    }
+  });
+}
+
 // =============================================================================
 // TRIPS OPERATIONS
 // =============================================================================
 
 /**
- * Retrieves all trips from the database.
+ * Retrieves all trip legs (with their segments) belonging to one trip.
  * @async
+ * @param {string} tripId - ID of the trip
  * @returns {Promise<[Array<Object>, null] | [null, Error]>} Go-style result tuple
  */
-export async function getAllTrips() {
+export async function getAllTrips(tripId) {
   const [, dbErr] = await initDB();
   if (dbErr) return [null, wrapError('getAllTrips', dbErr)];
 
   return new Promise((resolve) => {
     const transaction = databaseConnection.transaction([STORE_NAMES.TRIPS], 'readonly');
     const tripsStore = transaction.objectStore(STORE_NAMES.TRIPS);
-    const getAllRequest = tripsStore.getAll();
+    const getAllRequest = tripsStore.index(TRIP_ID_INDEX).getAll(tripId);
 
     getAllRequest.onsuccess = () => resolve([getAllRequest.result || [], null]);
     getAllRequest.onerror = () => resolve([null, getAllRequest.error || new Error('Failed to get trips')]);
@@ -451,16 +924,17 @@ export async function getAllTrips() {
 }
 
 /**
- * Retrieves the complete itinerary data structure from the database.
+ * Retrieves the complete itinerary data structure of one trip.
  * Reconstructs the original JSON structure from stored data.
  * @async
+ * @param {string} tripId - ID of the trip
  * @returns {Promise<[Object|null, null] | [null, Error]>} Go-style result tuple
  */
-export async function getItineraryData() {
-  const [tripMetadata, metaErr] = await getTripMeta();
+export async function getItineraryData(tripId) {
+  const [tripMetadata, metaErr] = await getTripMeta(tripId);
   if (metaErr) return [null, wrapError('getItineraryData', metaErr)];
 
-  const [allTrips, tripsErr] = await getAllTrips();
+  const [allTrips, tripsErr] = await getAllTrips(tripId);
   if (tripsErr) return [null, wrapError('getItineraryData', tripsErr)];
 
   if (!tripMetadata) return [null, null];
@@ -469,6 +943,7 @@ export async function getItineraryData() {
     tripName: tripMetadata.tripName,
     budget: tripMetadata.budget,
     travelers: tripMetadata.travelers,
+    connectionRules: tripMetadata.connectionRules || null,
     trips: allTrips
   }, null];
 }
@@ -480,17 +955,18 @@ export async function getItineraryData() {
 /**
  * Retrieves user-added activities for a specific date.
  * @async
+ * @param {string} tripId - ID of the trip
  * @param {string} dateString - ISO date string (YYYY-MM-DD)
  * @returns {Promise<[Array<Object>, null] | [null, Error]>} Go-style result tuple
  */
-export async function getUserActivitiesForDate(dateString) {
+export async function getUserActivitiesForDate(tripId, dateString) {
   const [, dbErr] = await initDB();
   if (dbErr) return [null, wrapError('getUserActivitiesForDate', dbErr)];
 
   return new Promise((resolve) => {
     const transaction = databaseConnection.transaction([STORE_NAMES.USER_ACTIVITIES], 'readonly');
     const userActivitiesStore = transaction.objectStore(STORE_NAMES.USER_ACTIVITIES);
-    const getRequest = userActivitiesStore.get(dateString);
+    const getRequest = userActivitiesStore.get([tripId, dateString]);
 
     getRequest.onsuccess = () => resolve([getRequest.result?.items || [], null]);
     getRequest.onerror = () => resolve([null, getRequest.error || new Error('Failed to get user activities')]);
@@ -500,21 +976,22 @@ export async function getUserActivitiesForDate(dateString) {
 /**
  * Adds a new user activity to a specific date.
  * @async
+ * @param {string} tripId - ID of the trip
  * @param {string} dateString - ISO date string (YYYY-MM-DD)
  * @param {Object} activityData - The activity to add
  * @returns {Promise<[Object, null] | [null, Error]>} Go-style result tuple with added activity
  */
-export async function addActivity(dateString, activityData) {
+export async function addActivity(tripId, dateString, activityData) {
   const [, dbErr] = await initDB();
   if (dbErr) return [null, wrapError('addActivity', dbErr)];
 
   return new Promise((resolve) => {
     const transaction = databaseConnection.transaction([STORE_NAMES.USER_ACTIVITIES], 'readwrite');
     const userActivitiesStore = transaction.objectStore(STORE_NAMES.USER_ACTIVITIES);
-    const getRequest = userActivitiesStore.get(dateString);
+    const getRequest = userActivitiesStore.get([tripId, dateString]);
 
     getRequest.onsuccess = () => {
-      const existingRecord = getRequest.result || { date: dateString, items: [] };
+      const existingRecord = getRequest.result || { tripId, date: dateString, items: [] };
       
       // CRITICAL PATH: Append new activity to existing items
       existingRecord.items.push(activityData);
@@ -530,22 +1007,23 @@ export async function addActivity(dateString, activityData) {
 /**
  * Updates an existing user activity.
  * @async
+ * @param {string} tripId - ID of the trip
  * @param {string} dateString - ISO date string (YYYY-MM-DD)
  * @param {string} activityId - ID of the activity to update
  * @param {Object} activityUpdates - Fields to update
  * @returns {Promise<[Object|undefined, null] | [null, Error]>} Go-style result tuple with updated activity
  */
-export async function updateActivity(dateString, activityId, activityUpdates) {
+export async function updateActivity(tripId, dateString, activityId, activityUpdates) {
   const [, dbErr] = await initDB();
   if (dbErr) return [null, wrapError('updateActivity', dbErr)];
 
   return new Promise((resolve) => {
     const transaction = databaseConnection.transaction([STORE_NAMES.USER_ACTIVITIES], 'readwrite');
     const userActivitiesStore = transaction.objectStore(STORE_NAMES.USER_ACTIVITIES);
-    const getRequest = userActivitiesStore.get(dateString);
+    const getRequest = userActivitiesStore.get([tripId, dateString]);
 
     getRequest.onsuccess = () => {
-      const existingRecord = getRequest.result || { date: dateString, items: [] };
+      const existingRecord = getRequest.result || { tripId, date: dateString, items: [] };
       const activityIndex = existingRecord.items.findIndex(activity => activity.id === activityId);
       
       if (activityIndex !== -1) {
@@ -564,21 +1042,22 @@ export async function updateActivity(dateString, activityId, activityUpdates) {
 /**
  * Removes a user activity from a specific date.
  * @async
+ * @param {string} tripId - ID of the trip
  * @param {string} dateString - ISO date string (YYYY-MM-DD)
  * @param {string} activityId - ID of the activity to remove
  * @returns {Promise<[void, null] | [null, Error]>} Go-style result tuple
  */
-export async function removeActivity(dateString, activityId) {
+export async function removeActivity(tripId, dateString, activityId) {
   const [, dbErr] = await initDB();
   if (dbErr) return [null, wrapError('removeActivity', dbErr)];
 
   return new Promise((resolve) => {
     const transaction = databaseConnection.transaction([STORE_NAMES.USER_ACTIVITIES], 'readwrite');
     const userActivitiesStore = transaction.objectStore(STORE_NAMES.USER_ACTIVITIES);
-    const getRequest = userActivitiesStore.get(dateString);
+    const getRequest = userActivitiesStore.get([tripId, dateString]);
 
     getRequest.onsuccess = () => {
-      const existingRecord = getRequest.result || { date: dateString, items: [] };
+      const existingRecord = getRequest.result || { tripId, date: dateString, items: [] };
       
       // CRITICAL PATH: Filter out the removed activity
       existingRecord.items = existingRecord.items.filter(activity => activity.id !== activityId);
@@ -598,17 +1077,18 @@ export async function removeActivity(dateString, activityId) {
 /**
  * Retrieves soft-deleted activity IDs for a specific date.
  * @async
+ * @param {string} tripId - ID of the trip
  * @param {string} dateString - ISO date string (YYYY-MM-DD)
  * @returns {Promise<[Array<string>, null] | [null, Error]>} Go-style result tuple
  */
-export async function getDeletedForDate(dateString) {
+export async function getDeletedForDate(tripId, dateString) {
   const [, dbErr] = await initDB();
   if (dbErr) return [null, wrapError('getDeletedForDate', dbErr)];
 
   return new Promise((resolve) => {
     const transaction = databaseConnection.transaction([STORE_NAMES.DELETED_ACTIVITIES], 'readonly');
     const deletedActivitiesStore = transaction.objectStore(STORE_NAMES.DELETED_ACTIVITIES);
-    const getRequest = deletedActivitiesStore.get(dateString);
+    const getRequest = deletedActivitiesStore.get([tripId, dateString]);
 
     getRequest.onsuccess = () => resolve([getRequest.result?.ids || [], null]);
     getRequest.onerror = () => resolve([null, getRequest.error || new Error('Failed to get deleted activities')]);
@@ -620,21 +1100,22 @@ export async function getDeletedForDate(dateString) {
  * This doesn't remove the activity from the original data, but records
  * that it should be hidden from the user interface.
  * @async
+ * @param {string} tripId - ID of the trip
  * @param {string} dateString - ISO date string (YYYY-MM-DD)
  * @param {string} activityId - ID of the activity to mark as deleted
  * @returns {Promise<[void, null] | [null, Error]>} Go-style result tuple
  */
-export async function markActivityDeleted(dateString, activityId) {
+export async function markActivityDeleted(tripId, dateString, activityId) {
   const [, dbErr] = await initDB();
   if (dbErr) return [null, wrapError('markActivityDeleted', dbErr)];
 
   return new Promise((resolve) => {
     const transaction = databaseConnection.transaction([STORE_NAMES.DELETED_ACTIVITIES], 'readwrite');
     const deletedActivitiesStore = transaction.objectStore(STORE_NAMES.DELETED_ACTIVITIES);
-    const getRequest = deletedActivitiesStore.get(dateString);
+    const getRequest = deletedActivitiesStore.get([tripId, dateString]);
 
     getRequest.onsuccess = () => {
-      const existingRecord = getRequest.result || { date: dateString, ids: [] };
+      const existingRecord = getRequest.result || { tripId, date: dateString, ids: [] };
       
       // CRITICAL PATH: Only add if not already deleted
       const isAlreadyDeleted = existingRecord.ids.includes(activityId);
@@ -651,18 +1132,19 @@ export async function markActivityDeleted(dateString, activityId) {
 }
 
 /**
- * Retrieves all user-added activities grouped by date.
+ * Retrieves all user-added activities of a trip grouped by date.
  * @async
+ * @param {string} tripId - ID of the trip
  * @returns {Promise<[Object, null] | [null, Error]>} Go-style result tuple with date-keyed object
  */
-export async function getAllManualActivities() {
+export async function getAllManualActivities(tripId) {
   const [, dbErr] = await initDB();
   if (dbErr) return [null, wrapError('getAllManualActivities', dbErr)];
 
   return new Promise((resolve) => {
     const transaction = databaseConnection.transaction([STORE_NAMES.USER_ACTIVITIES], 'readonly');
     const userActivitiesStore = transaction.objectStore(STORE_NAMES.USER_ACTIVITIES);
-    const getAllRequest = userActivitiesStore.getAll();
+    const getAllRequest = userActivitiesStore.index(TRIP_ID_INDEX).getAll(tripId);
 
     getAllRequest.onsuccess = () => {
       const allRecords = getAllRequest.result || [];
@@ -674,18 +1156,19 @@ export async function getAllManualActivities() {
 }
 
 /**
- * Retrieves all soft-deleted activity IDs grouped by date.
+ * Retrieves all soft-deleted activity IDs of a trip grouped by date.
  * @async
+ * @param {string} tripId - ID of the trip
  * @returns {Promise<[Object, null] | [null, Error]>} Go-style result tuple with date-keyed object
  */
-export async function getAllDeletedActivities() {
+export async function getAllDeletedActivities(tripId) {
   const [, dbErr] = await initDB();
   if (dbErr) return [null, wrapError('getAllDeletedActivities', dbErr)];
 
   return new Promise((resolve) => {
     const transaction = databaseConnection.transaction([STORE_NAMES.DELETED_ACTIVITIES], 'readonly');
     const deletedActivitiesStore = transaction.objectStore(STORE_NAMES.DELETED_ACTIVITIES);
-    const getAllRequest = deletedActivitiesStore.getAll();
+    const getAllRequest = deletedActivitiesStore.index(TRIP_ID_INDEX).getAll(tripId);
 
     getAllRequest.onsuccess = () => {
       const allRecords = getAllRequest.result || [];
@@ -697,69 +1180,250 @@ export async function getAllDeletedActivities() {
 }
 
 // =============================================================================
-// TRIP SEGMENT OPERATIONS
+// MEALS OPERATIONS
 // =============================================================================
 
 /**
- * Updates a specific segment within a trip.
+ * Adds a new user meal to a specific date.
  * @async
- * @param {string} tripName - Name of the trip containing the segment
- * @param {string} segmentId - ID of the segment to update
- * @param {Object} segmentUpdates - Fields to update on the segment
- * @returns {Promise<[Object|null, null] | [null, Error]>} Go-style result tuple with updated segment
+ * @param {string} tripId - ID of the trip
+ * @param {string} dateString - ISO date string (YYYY-MM-DD)
+ * @param {Object} mealData - The meal to add
+ * @returns {Promise<[Object, null] | [null, Error]>} Go-style result tuple with added meal
  */
-export async function updateTripSegment(tripName, segmentId, segmentUpdates) {
+export async function addMeal(tripId, dateString, mealData) {
   const [, dbErr] = await initDB();
-  if (dbErr) return [null, wrapError('updateTripSegment', dbErr)];
+  if (dbErr) return [null, wrapError('addMeal', dbErr)];
 
   return new Promise((resolve) => {
-    const transaction = databaseConnection.transaction([STORE_NAMES.TRIPS], 'readwrite');
-    const tripsStore = transaction.objectStore(STORE_NAMES.TRIPS);
-    const getRequest = tripsStore.get(tripName);
+    const transaction = databaseConnection.transaction([STORE_NAMES.USER_MEALS], 'readwrite');
+    const userMealsStore = transaction.objectStore(STORE_NAMES.USER_MEALS);
+    const getRequest = userMealsStore.get([tripId, dateString]);
 
     getRequest.onsuccess = () => {
-      const tripRecord = getRequest.result;
-      
-      if (!tripRecord) {
-        resolve([null, null]);
-        return;
-      }
-
-      const segmentToUpdate = tripRecord.segments.find(segment => segment.id === segmentId);
+      const existingRecord = getRequest.result || { tripId, date: dateString, items: [] };
       
-      if (!segmentToUpdate) {
-        resolve([null, null]);
-        return;
-      }
-
-      // CRITICAL PATH: Mutate segment in place and save
-      Object.assign(segmentToUpdate, segmentUpdates);
+      // CRITICAL PATH: Append new meal to existing items
+      existingRecord.items.push(mealData);
       
-      const putRequest = tripsStore.put(tripRecord);
-      putRequest.onsuccess = () => resolve([segmentToUpdate, null]);
-      putRequest.onerror = () => resolve([null, putRequest.error || new Error('Failed to update segment')]);
+      const putRequest = userMealsStore.put(existingRecord);
+      putRequest.onsuccess = () => resolve([mealData, null]);
+      putRequest.onerror = () => resolve([null, putRequest.error || new Error('Failed to add meal')]);
     };
-    getRequest.onerror = () => resolve([null, getRequest.error || new Error('Failed to get trip')]);
+    getRequest.onerror = () => resolve([null, getRequest.error || new Error('Failed to get existing meals')]);
   });
 }
 
-// =============================================================================
-// BOARDING PASS OPERATIONS
-// =============================================================================
-
 /**
- * Adds a new boarding pass to the database.
+ * Updates an existing user meal.
  * @async
- * @param {Object} boardingPassData - The boarding pass data (must include segmentId)
- * @returns {Promise<[Object, null] | [null, Error]>} Go-style result tuple with added boarding pass
+ * @param {string} tripId - ID of the trip
+ * @param {string} dateString - ISO date string (YYYY-MM-DD)
+ * @param {string} mealId - ID of the meal to update
+ * @param {Object} mealUpdates - Fields to update
+ * @returns {Promise<[Object|undefined, null] | [null, Error]>} Go-style result tuple with updated meal
  */
-export async function addBoardingPass(boardingPassData) {
+export async function updateMeal(tripId, dateString, mealId, mealUpdates) {
   const [, dbErr] = await initDB();
-  if (dbErr) return [null, wrapError('addBoardingPass', dbErr)];
+  if (dbErr) return [null, wrapError('updateMeal', dbErr)];
 
-  // Generate unique ID if not provided
-  const boardingPass = {
-    ...boardingPassData,
+  return new Promise((resolve) => {
+    const transaction = databaseConnection.transaction([STORE_NAMES.USER_MEALS], 'readwrite');
+    const userMealsStore = transaction.objectStore(STORE_NAMES.USER_MEALS);
+    const getRequest = userMealsStore.get([tripId, dateString]);
+
+    getRequest.onsuccess = () => {
+      const existingRecord = getRequest.result || { tripId, date: dateString, items: [] };
+      const mealIndex = existingRecord.items.findIndex(meal => meal.id === mealId);
+      
+      if (mealIndex !== -1) {
+        // CRITICAL PATH: Update meal in place
+        existingRecord.items[mealIndex] = { ...existingRecord.items[mealIndex], ...mealUpdates };
+      }
+      
+      const putRequest = userMealsStore.put(existingRecord);
+      putRequest.onsuccess = () => resolve([existingRecord.items[mealIndex], null]);
+      putRequest.onerror = () => resolve([null, putRequest.error || new Error('Failed to update meal')]);
+    };
+    getRequest.onerror = () => resolve([null, getRequest.error || new Error('Failed to get existing meals')]);
+  });
+}
+
+/**
+ * Removes a user meal from a specific date.
+ * @async
+ * @param {string} tripId - ID of the trip
+ * @param {string} dateString - ISO date string (YYYY-MM-DD)
+ * @param {string} mealId - ID of the meal to remove
+ * @returns {Promise<[void, null] | [null, Error]>} Go-style result tuple
+ */
+export async function removeMeal(tripId, dateString, mealId) {
+  const [, dbErr] = await initDB();
+  if (dbErr) return [null, wrapError('removeMeal', dbErr)];
+
+  return new Promise((resolve) => {
+    const transaction = databaseConnection.transaction([STORE_NAMES.USER_MEALS], 'readwrite');
+    const userMealsStore = transaction.objectStore(STORE_NAMES.USER_MEALS);
+    const getRequest = userMealsStore.get([tripId, dateString]);
+
+    getRequest.onsuccess = () => {
+      const existingRecord = getRequest.result || { tripId, date: dateString, items: [] };
+      
+      // CRITICAL PATH: Filter out the removed meal
+      existingRecord.items = existingRecord.items.filter(meal => meal.id !== mealId);
+      
+      const putRequest = userMealsStore.put(existingRecord);
+      putRequest.onsuccess = () => resolve([undefined, null]);
+      putRequest.onerror = () => resolve([null, putRequest.error || new Error('Failed to remove meal')]);
+    };
+    getRequest.onerror = () => resolve([null, getRequest.error || new Error('Failed to get existing meals')]);
+  });
+}
+
+/**
+ * Marks an original meal segment as soft-deleted, like markActivityDeleted.
+ * @async
+ * @param {string} tripId - ID of the trip
+ * @param {string} dateString - ISO date string (YYYY-MM-DD)
+ * @param {string} mealId - ID of the meal to mark as deleted
+ * @returns {Promise<[void, null] | [null, Error]>} Go-style result tuple
+ */
+export async function markMealDeleted(tripId, dateString, mealId) {
+  const [, dbErr] = await initDB();
+  if (dbErr) return [null, wrapError('markMealDeleted', dbErr)];
+
+  return new Promise((resolve) => {
+    const transaction = databaseConnection.transaction([STORE_NAMES.DELETED_MEALS], 'readwrite');
+    const deletedMealsStore = transaction.objectStore(STORE_NAMES.DELETED_MEALS);
+    const getRequest = deletedMealsStore.get([tripId, dateString]);
+
+    getRequest.onsuccess = () => {
+      const existingRecord = getRequest.result || { tripId, date: dateString, ids: [] };
+      
+      // CRITICAL PATH: Only add if not already deleted
+      if (!existingRecord.ids.includes(mealId)) {
+        existingRecord.ids.push(mealId);
+      }
+      
+      const putRequest = deletedMealsStore.put(existingRecord);
+      putRequest.onsuccess = () => resolve([undefined, null]);
+      putRequest.onerror = () => resolve([null, putRequest.error || new Error('Failed to mark meal deleted')]);
+    };
+    getRequest.onerror = () => resolve([null, getRequest.error || new Error('Failed to get deleted records')]);
+  });
+}
+
+/**
+ * Retrieves all user-added meals of a trip grouped by date.
+ * @async
+ * @param {string} tripId - ID of the trip
+ * @returns {Promise<[Object, null] | [null, Error]>} Go-style result tuple with date-keyed object
+ */
+export async function getAllManualMeals(tripId) {
+  const [, dbErr] = await initDB();
+  if (dbErr) return [null, wrapError('getAllManualMeals', dbErr)];
+
+  return new Promise((resolve) => {
+    const transaction = databaseConnection.transaction([STORE_NAMES.USER_MEALS], 'readonly');
+    const userMealsStore = transaction.objectStore(STORE_NAMES.USER_MEALS);
+    const getAllRequest = userMealsStore.index(TRIP_ID_INDEX).getAll(tripId);
+
+    getAllRequest.onsuccess = () => {
+      const mealsByDate = aggregateRecordsByDate(getAllRequest.result || [], 'items');
+      resolve([mealsByDate, null]);
+    };
+    getAllRequest.onerror = () => resolve([null, getAllRequest.error || new Error('Failed to get manual meals')]);
+  });
+}
+
+/**
+ * Retrieves all soft-deleted meal IDs of a trip grouped by date.
+ * @async
+ * @param {string} tripId - ID of the trip
+ * @returns {Promise<[Object, null] | [null, Error]>} Go-style result tuple with date-keyed object
+ */
+export async function getAllDeletedMeals(tripId) {
+  const [, dbErr] = await initDB();
+  if (dbErr) return [null, wrapError('getAllDeletedMeals', dbErr)];
+
+  return new Promise((resolve) => {
+    const transaction = databaseConnection.transaction([STORE_NAMES.DELETED_MEALS], 'readonly');
+    const deletedMealsStore = transaction.objectStore(STORE_NAMES.DELETED_MEALS);
+    const getAllRequest = deletedMealsStore.index(TRIP_ID_INDEX).getAll(tripId);
+
+    getAllRequest.onsuccess = () => {
+      const deletedIdsByDate = aggregateRecordsByDate(getAllRequest.result || [], 'ids');
+      resolve([deletedIdsByDate, null]);
+    };
+    getAllRequest.onerror = () => resolve([null, getAllRequest.error || new Error('Failed to get deleted meals')]);
+  });
+}
+
+// =============================================================================
+// TRIP SEGMENT OPERATIONS
+// =============================================================================
+
+/**
+ * Updates a specific segment within a trip.
+ * @async
+ * @param {string} tripId - ID of the trip
+ * @param {string} tripName - Name of the trip leg containing the segment
+ * @param {string} segmentId - ID of the segment to update
+ * @param {Object} segmentUpdates - Fields to update on the segment
+ * @returns {Promise<[Object|null, null] | [null, Error]>} Go-style result tuple with updated segment
+ */
+export async function updateTripSegment(tripId, tripName, segmentId, segmentUpdates) {
+  const [, dbErr] = await initDB();
+  if (dbErr) return [null, wrapError('updateTripSegment', dbErr)];
+
+  return new Promise((resolve) => {
+    const transaction = databaseConnection.transaction([STORE_NAMES.TRIPS], 'readwrite');
+    const tripsStore = transaction.objectStore(STORE_NAMES.TRIPS);
+    const getRequest = tripsStore.get([tripId, tripName]);
+
+    getRequest.onsuccess = () => {
+      const tripRecord = getRequest.result;
+      
+      if (!tripRecord) {
+        resolve([null, null]);
+        return;
+      }
+
+      const segmentToUpdate = tripRecord.segments.find(segment => segment.id === segmentId);
+      
+      if (!segmentToUpdate) {
+        resolve([null, null]);
+        return;
+      }
+
+      // CRITICAL PATH: Mutate segment in place and save
+      Object.assign(segmentToUpdate, segmentUpdates);
+      
+      const putRequest = tripsStore.put(tripRecord);
+      putRequest.onsuccess = () => resolve([segmentToUpdate, null]);
+      putRequest.onerror = () => resolve([null, putRequest.error || new Error('Failed to update segment')]);
+    };
+    getRequest.onerror = () => resolve([null, getRequest.error || new Error('Failed to get trip')]);
+  });
+}
+
+// =============================================================================
+// BOARDING PASS OPERATIONS
+// =============================================================================
+
+/**
+ * Adds a new boarding pass to the database.
+ * @async
+ * @param {Object} boardingPassData - The boarding pass data (must include tripId and segmentId)
+ * @returns {Promise<[Object, null] | [null, Error]>} Go-style result tuple with added boarding pass
+ */
+export async function addBoardingPass(boardingPassData) {
+  const [, dbErr] = await initDB();
+  if (dbErr) return [null, wrapError('addBoardingPass', dbErr)];
+
+  // Generate unique ID if not provided
+  const boardingPass = {
+    ...boardingPassData,
     id: boardingPassData.id || `bp-${boardingPassData.segmentId}-${Date.now()}`,
     importedAt: Date.now()
   };
@@ -778,12 +1442,13 @@ export async function addBoardingPass(boardingPassData) {
 }
 
 /**
- * Retrieves all boarding passes for a specific flight segment.
+ * Retrieves all boarding passes for a specific flight segment of a trip.
  * @async
+ * @param {string} tripId - ID of the trip
  * @param {string} segmentId - The segment ID to get boarding passes for
  * @returns {Promise<[Array<Object>, null] | [null, Error]>} Go-style result tuple
  */
-export async function getBoardingPassesBySegment(segmentId) {
+export async function getBoardingPassesBySegment(tripId, segmentId) {
   const [, dbErr] = await initDB();
   if (dbErr) return [null, wrapError('getBoardingPassesBySegment', dbErr)];
 
@@ -793,24 +1458,29 @@ export async function getBoardingPassesBySegment(segmentId) {
     const segmentIndex = boardingPassesStore.index('segmentId');
     const getRequest = segmentIndex.getAll(segmentId);
 
-    getRequest.onsuccess = () => resolve([getRequest.result || [], null]);
+    getRequest.onsuccess = () => {
+      // Segment IDs are only unique within a trip
+      const tripBoardingPasses = (getRequest.result || []).filter(boardingPass => boardingPass.tripId === tripId);
+      resolve([tripBoardingPasses, null]);
+    };
     getRequest.onerror = () => resolve([null, getRequest.error || new Error('Failed to get boarding passes')]);
   });
 }
 
 /**
- * Retrieves all boarding passes from the database.
+ * Retrieves all boarding passes of a trip.
  * @async
+ * @param {string} tripId - ID of the trip
  * @returns {Promise<[Array<Object>, null] | [null, Error]>} Go-style result tuple
  */
-export async function getAllBoardingPasses() {
+export async function getAllBoardingPasses(tripId) {
   const [, dbErr] = await initDB();
   if (dbErr) return [null, wrapError('getAllBoardingPasses', dbErr)];
 
   return new Promise((resolve) => {
     const transaction = databaseConnection.transaction([STORE_NAMES.BOARDING_PASSES], 'readonly');
     const boardingPassesStore = transaction.objectStore(STORE_NAMES.BOARDING_PASSES);
-    const getAllRequest = boardingPassesStore.getAll();
+    const getAllRequest = boardingPassesStore.index(TRIP_ID_INDEX).getAll(tripId);
 
     getAllRequest.onsuccess = () => resolve([getAllRequest.result || [], null]);
     getAllRequest.onerror = () => resolve([null, getAllRequest.error || new Error('Failed to get all boarding passes')]);
@@ -873,31 +1543,553 @@ export async function deleteBoardingPass(boardingPassId) {
   });
 }
 
+// =============================================================================
+// BACKUP PLAN OPERATIONS
+// =============================================================================
+
+/**
+ * Retrieves all user-edited backup plans of a trip.
+ * @async
+ * @param {string} tripId - ID of the trip
+ * @returns {Promise<[Array<Object>, null] | [null, Error]>} Go-style result tuple
+ */
+export async function getAllBackupPlans(tripId) {
+  const [, dbErr] = await initDB();
+  if (dbErr) return [null, wrapError('getAllBackupPlans', dbErr)];
+
+  return new Promise((resolve) => {
+    const transaction = databaseConnection.transaction([STORE_NAMES.BACKUP_PLANS], 'readonly');
+    const backupPlansStore = transaction.objectStore(STORE_NAMES.BACKUP_PLANS);
+    const getAllRequest = backupPlansStore.index(TRIP_ID_INDEX).getAll(tripId);
+
+    getAllRequest.onsuccess = () => resolve([getAllRequest.result || [], null]);
+    getAllRequest.onerror = () => resolve([null, getAllRequest.error || new Error('Failed to get backup plans')]);
+  });
+}
+
+/**
+ * Creates a standardized backup plan record.
+ * @pure
+ * @param {string} tripId - ID of the trip
+ * @param {string} segmentId - Segment the plan belongs to
+ * @param {Object} backupPlan - Plan with trigger and options
+ * @returns {Object} Record for the backup plans store
+ */
+function createBackupPlanRecord(tripId, segmentId, backupPlan) {
+  return {
+    tripId,
+    segmentId,
+    trigger: backupPlan.trigger || 'Disruption',
+    options: backupPlan.options || [],
+    activeOptionId: backupPlan.activeOptionId || null,
+    activatedAt: backupPlan.activatedAt || null,
+    updatedAt: Date.now()
+  };
+}
+
+/**
+ * Saves the user-edited backup plan of a segment, replacing any stored one.
+ * @async
+ * @param {string} tripId - ID of the trip
+ * @param {string} segmentId - Segment the plan belongs to
+ * @param {Object} backupPlan - Plan with trigger, options and activation fields
+ * @returns {Promise<[Object, null] | [null, Error]>} Go-style result tuple with the stored record
+ */
+export async function saveBackupPlan(tripId, segmentId, backupPlan) {
+  const [, dbErr] = await initDB();
+  if (dbErr) return [null, wrapError('saveBackupPlan', dbErr)];
+
+  const backupPlanRecord = createBackupPlanRecord(tripId, segmentId, backupPlan);
+
+  return new Promise((resolve) => {
+    const transaction = databaseConnection.transaction([STORE_NAMES.BACKUP_PLANS], 'readwrite');
+    const backupPlansStore = transaction.objectStore(STORE_NAMES.BACKUP_PLANS);
+    const putRequest = backupPlansStore.put(backupPlanRecord);
+
+    putRequest.onsuccess = () => resolve([backupPlanRecord, null]);
+    putRequest.onerror = () => resolve([null, putRequest.error || new Error('Failed to save backup plan')]);
+  });
+}
+
+/**
+ * Deletes the stored backup plan of a segment, so its template shows again.
+ * @async
+ * @param {string} tripId - ID of the trip
+ * @param {string} segmentId - Segment the plan belongs to
+ * @returns {Promise<[void, null] | [null, Error]>} Go-style result tuple
+ */
+export async function deleteBackupPlan(tripId, segmentId) {
+  const [, dbErr] = await initDB();
+  if (dbErr) return [null, wrapError('deleteBackupPlan', dbErr)];
+
+  return new Promise((resolve) => {
+    const transaction = databaseConnection.transaction([STORE_NAMES.BACKUP_PLANS], 'readwrite');
+    const backupPlansStore = transaction.objectStore(STORE_NAMES.BACKUP_PLANS);
+    const deleteRequest = backupPlansStore.delete([tripId, segmentId]);
+
+    deleteRequest.onsuccess = () => resolve([undefined, null]);
+    deleteRequest.onerror = () => resolve([null, deleteRequest.error || new Error('Failed to delete backup plan')]);
+  });
+}
+
+/**
+ * Finds the trip leg record holding a segment.
+ * @pure
+ * @param {Array<Object>} tripRecords - Trip leg records of one trip
+ * @param {string} segmentId - Segment to find
+ * @returns {[Object, Object]|[null, null]} The leg record and the segment inside it
+ */
+function findSegmentInTripRecords(tripRecords, segmentId) {
+  for (const tripRecord of tripRecords) {
+    const matchingSegment = (tripRecord.segments || []).find(segment => segment.id === segmentId);
+    if (matchingSegment) return [tripRecord, matchingSegment];
+  }
+  return [null, null];
+}
+
+/**
+ * Activates a backup option: the segment switches to the DISRUPTED status
+ * with a `disruption` record of the chosen alternative, and the plan is
+ * stored with the option marked active. Both writes share one transaction.
+ * @async
+ * @param {string} tripId - ID of the trip
+ * @param {string} segmentId - Disrupted segment
+ * @param {Object} backupPlan - Plan shown to the user (template or stored)
+ * @param {string} optionId - Option taken instead of the segment
+ * @returns {Promise<[Object|null, null] | [null, Error]>} Go-style result tuple with the updated segment (null if not found)
+ */
+export async function activateBackupOption(tripId, segmentId, backupPlan, optionId) {
+  const [, dbErr] = await initDB();
+  if (dbErr) return [null, wrapError('activateBackupOption', dbErr)];
+
+  const chosenOption = (backupPlan.options || []).find(option => option.id === optionId);
+  if (!chosenOption) return [null, new Error(`activateBackupOption: option ${optionId} not in plan`)];
+
+  const activatedAt = Date.now();
+
+  return new Promise((resolve) => {
+    const transaction = databaseConnection.transaction([STORE_NAMES.TRIPS, STORE_NAMES.BACKUP_PLANS], 'readwrite');
+    const tripsStore = transaction.objectStore(STORE_NAMES.TRIPS);
+    const getAllRequest = tripsStore.index(TRIP_ID_INDEX).getAll(tripId);
+    let disruptedSegment = null;
+
+    transaction.onerror = () => resolve([null, transaction.error || new Error('Failed to activate backup option')]);
+    transaction.oncomplete = () => {
+      if (disruptedSegment) console.log('🚨 Backup plan activated:', segmentId, chosenOption.title);
+      resolve([disruptedSegment, null]);
+    };
+
+    getAllRequest.onsuccess = () => {
+      const [tripRecord, segmentToDisrupt] = findSegmentInTripRecords(getAllRequest.result || [], segmentId);
+      if (!segmentToDisrupt) return;
+
+      // CRITICAL PATH: Keep the original status so the disruption can be undone
+      const previousStatus = segmentToDisrupt.disruption?.previousStatus ?? segmentToDisrupt.status ?? null;
+      segmentToDisrupt.status = 'DISRUPTED';
+      segmentToDisrupt.disruption = {
+        optionId: chosenOption.id,
+        title: chosenOption.title,
+        description: chosenOption.description || '',
+        contact: chosenOption.contact || '',
+        activatedAt,
+        previousStatus
+      };
+      tripsStore.put(tripRecord);
+
+      transaction.objectStore(STORE_NAMES.BACKUP_PLANS).put(createBackupPlanRecord(tripId, segmentId, {
+        ...backupPlan,
+        activeOptionId: chosenOption.id,
+        activatedAt
+      }));
+      disruptedSegment = segmentToDisrupt;
+    };
+  });
+}
+
+/**
+ * Undoes an activated backup option: the segment gets its previous status
+ * back and the stored plan no longer marks an option active.
+ * @async
+ * @param {string} tripId - ID of the trip
+ * @param {string} segmentId - Disrupted segment
+ * @returns {Promise<[Object|null, null] | [null, Error]>} Go-style result tuple with the restored segment (null if not found)
+ */
+export async function deactivateBackupPlan(tripId, segmentId) {
+  const [, dbErr] = await initDB();
+  if (dbErr) return [null, wrapError('deactivateBackupPlan', dbErr)];
+
+  return new Promise((resolve) => {
+    const transaction = databaseConnection.transaction([STORE_NAMES.TRIPS, STORE_NAMES.BACKUP_PLANS], 'readwrite');
+    const tripsStore = transaction.objectStore(STORE_NAMES.TRIPS);
+    const backupPlansStore = transaction.objectStore(STORE_NAMES.BACKUP_PLANS);
+    const getAllRequest = tripsStore.index(TRIP_ID_INDEX).getAll(tripId);
+    const getPlanRequest = backupPlansStore.get([tripId, segmentId]);
+    let restoredSegment = null;
+
+    transaction.onerror = () => resolve([null, transaction.error || new Error('Failed to deactivate backup plan')]);
+    transaction.oncomplete = () => resolve([restoredSegment, null]);
+
+    getAllRequest.onsuccess = () => {
+      const [tripRecord, segmentToRestore] = findSegmentInTripRecords(getAllRequest.result || [], segmentId);
+      if (!segmentToRestore?.disruption) return;
+
+      if (segmentToRestore.disruption.previousStatus) {
+        segmentToRestore.status = segmentToRestore.disruption.previousStatus;
+      } else {
+        delete segmentToRestore.status;
+      }
+      delete segmentToRestore.disruption;
+      tripsStore.put(tripRecord);
+      restoredSegment = segmentToRestore;
+    };
+
+    getPlanRequest.onsuccess = () => {
+      const storedPlan = getPlanRequest.result;
+      if (!storedPlan) return;
+      backupPlansStore.put({ ...storedPlan, activeOptionId: null, activatedAt: null, updatedAt: Date.now() });
+    };
+  });
+}
+
+// =============================================================================
+// ITEM STATUS OPERATIONS
+// =============================================================================
+
+/**
+ * Retrieves the status records of every item the user changed in a trip.
+ * @async
+ * @param {string} tripId - ID of the trip
+ * @returns {Promise<[Array<Object>, null] | [null, Error]>} Go-style result tuple
+ */
+export async function getAllItemStatuses(tripId) {
+  const [, dbErr] = await initDB();
+  if (dbErr) return [null, wrapError('getAllItemStatuses', dbErr)];
+
+  return new Promise((resolve) => {
+    const transaction = databaseConnection.transaction([STORE_NAMES.ITEM_STATUSES], 'readonly');
+    const itemStatusesStore = transaction.objectStore(STORE_NAMES.ITEM_STATUSES);
+    const getAllRequest = itemStatusesStore.index(TRIP_ID_INDEX).getAll(tripId);
+
+    getAllRequest.onsuccess = () => resolve([getAllRequest.result || [], null]);
+    getAllRequest.onerror = () => resolve([null, getAllRequest.error || new Error('Failed to get item statuses')]);
+  });
+}
+
+/**
+ * Saves the status record of an item, replacing the stored one.
+ * @async
+ * @param {string} tripId - ID of the trip
+ * @param {string} itemId - Segment, meal or activity ID
+ * @param {Object} statusRecord - Record with status, booking and history
+ * @returns {Promise<[Object, null] | [null, Error]>} Go-style result tuple with the stored record
+ */
+export async function saveItemStatus(tripId, itemId, statusRecord) {
+  const [, dbErr] = await initDB();
+  if (dbErr) return [null, wrapError('saveItemStatus', dbErr)];
+
+  const itemStatusRecord = {
+    tripId,
+    itemId,
+    status: statusRecord.status,
+    booking: statusRecord.booking || null,
+    history: statusRecord.history || [],
+    updatedAt: Date.now()
+  };
+
+  return new Promise((resolve) => {
+    const transaction = databaseConnection.transaction([STORE_NAMES.ITEM_STATUSES], 'readwrite');
+    const itemStatusesStore = transaction.objectStore(STORE_NAMES.ITEM_STATUSES);
+    const putRequest = itemStatusesStore.put(itemStatusRecord);
+
+    putRequest.onsuccess = () => resolve([itemStatusRecord, null]);
+    putRequest.onerror = () => resolve([null, putRequest.error || new Error('Failed to save item status')]);
+  });
+}
+
+// =============================================================================
+// EXPENSE OPERATIONS
+// =============================================================================
+
+/**
+ * Retrieves every expense recorded for a trip.
+ * @async
+ * @param {string} tripId - ID of the trip
+ * @returns {Promise<[Array<Object>, null] | [null, Error]>} Go-style result tuple
+ */
+export async function getAllExpenses(tripId) {
+  const [, dbErr] = await initDB();
+  if (dbErr) return [null, wrapError('getAllExpenses', dbErr)];
+
+  return new Promise((resolve) => {
+    const transaction = databaseConnection.transaction([STORE_NAMES.EXPENSES], 'readonly');
+    const expensesStore = transaction.objectStore(STORE_NAMES.EXPENSES);
+    const getAllRequest = expensesStore.index(TRIP_ID_INDEX).getAll(tripId);
+
+    getAllRequest.onsuccess = () => {
+      const tripExpenses = (getAllRequest.result || []).sort((firstExpense, secondExpense) => firstExpense.createdAt - secondExpense.createdAt);
+      resolve([tripExpenses, null]);
+    };
+    getAllRequest.onerror = () => resolve([null, getAllRequest.error || new Error('Failed to get expenses')]);
+  });
+}
+
+/**
+ * Creates a standardized expense record.
+ * @pure
+ * @param {string} tripId - ID of the trip
+ * @param {Object} expenseData - Expense fields (id is generated for new expenses)
+ * @returns {Object} Record for the expenses store
+ */
+function createExpenseRecord(tripId, expenseData) {
+  const savedAt = Date.now();
+  return {
+    tripId,
+    id: expenseData.id || `expense-${savedAt}`,
+    date: expenseData.date,
+    amount: Number(expenseData.amount) || 0,
+    currency: expenseData.currency || 'USD',
+    category: expenseData.category || 'other',
+    payer: expenseData.payer || '',
+    split: expenseData.split || null,
+    linkedItemId: expenseData.linkedItemId || null,
+    note: expenseData.note || '',
+    createdAt: expenseData.createdAt || savedAt,
+    updatedAt: savedAt
+  };
+}
+
+/**
+ * Saves an expense, adding it or replacing the stored one with the same ID.
+ * @async
+ * @param {string} tripId - ID of the trip
+ * @param {Object} expenseData - Expense fields (id is generated for new expenses)
+ * @returns {Promise<[Object, null] | [null, Error]>} Go-style result tuple with the stored record
+ */
+export async function saveExpense(tripId, expenseData) {
+  const [, dbErr] = await initDB();
+  if (dbErr) return [null, wrapError('saveExpense', dbErr)];
+
+  const expenseRecord = createExpenseRecord(tripId, expenseData);
+
+  return new Promise((resolve) => {
+    const transaction = databaseConnection.transaction([STORE_NAMES.EXPENSES], 'readwrite');
+    const expensesStore = transaction.objectStore(STORE_NAMES.EXPENSES);
+    const putRequest = expensesStore.put(expenseRecord);
+
+    putRequest.onsuccess = () => {
+      console.log('💸 Expense saved:', expenseRecord.id);
+      resolve([expenseRecord, null]);
+    };
+    putRequest.onerror = () => resolve([null, putRequest.error || new Error('Failed to save expense')]);
+  });
+}
+
+/**
+ * Deletes a recorded expense.
+ * @async
+ * @param {string} tripId - ID of the trip
+ * @param {string} expenseId - ID of the expense to delete
+ * @returns {Promise<[void, null] | [null, Error]>} Go-style result tuple
+ */
+export async function deleteExpense(tripId, expenseId) {
+  const [, dbErr] = await initDB();
+  if (dbErr) return [null, wrapError('deleteExpense', dbErr)];
+
+  return new Promise((resolve) => {
+    const transaction = databaseConnection.transaction([STORE_NAMES.EXPENSES], 'readwrite');
+    const expensesStore = transaction.objectStore(STORE_NAMES.EXPENSES);
+    const deleteRequest = expensesStore.delete([tripId, expenseId]);
+
+    deleteRequest.onsuccess = () => resolve([undefined, null]);
+    deleteRequest.onerror = () => resolve([null, deleteRequest.error || new Error('Failed to delete expense')]);
+  });
+}
+
+// =============================================================================
+// COST SPLIT OPERATIONS
+// =============================================================================
+
+/**
+ * Retrieves the payer and split of every item cost assigned in a trip.
+ * @async
+ * @param {string} tripId - ID of the trip
+ * @returns {Promise<[Array<Object>, null] | [null, Error]>} Go-style result tuple
+ */
+export async function getAllCostSplits(tripId) {
+  const [, dbErr] = await initDB();
+  if (dbErr) return [null, wrapError('getAllCostSplits', dbErr)];
+
+  return new Promise((resolve) => {
+    const transaction = databaseConnection.transaction([STORE_NAMES.COST_SPLITS], 'readonly');
+    const costSplitsStore = transaction.objectStore(STORE_NAMES.COST_SPLITS);
+    const getAllRequest = costSplitsStore.index(TRIP_ID_INDEX).getAll(tripId);
+
+    getAllRequest.onsuccess = () => resolve([getAllRequest.result || [], null]);
+    getAllRequest.onerror = () => resolve([null, getAllRequest.error || new Error('Failed to get cost splits')]);
+  });
+}
+
+/**
+ * Saves who pays an item's cost and how it is shared, replacing the stored record.
+ * @async
+ * @param {string} tripId - ID of the trip
+ * @param {string} itemId - Segment, meal or activity ID
+ * @param {{payer: string, split: Object|null}} costSplit - Payer and split (null split shares evenly)
+ * @returns {Promise<[Object, null] | [null, Error]>} Go-style result tuple with the stored record
+ */
+export async function saveCostSplit(tripId, itemId, costSplit) {
+  const [, dbErr] = await initDB();
+  if (dbErr) return [null, wrapError('saveCostSplit', dbErr)];
+
+  const costSplitRecord = {
+    tripId,
+    itemId,
+    payer: costSplit.payer || '',
+    split: costSplit.split || null,
+    updatedAt: Date.now()
+  };
+
+  return new Promise((resolve) => {
+    const transaction = databaseConnection.transaction([STORE_NAMES.COST_SPLITS], 'readwrite');
+    const costSplitsStore = transaction.objectStore(STORE_NAMES.COST_SPLITS);
+    const putRequest = costSplitsStore.put(costSplitRecord);
+
+    putRequest.onsuccess = () => resolve([costSplitRecord, null]);
+    putRequest.onerror = () => resolve([null, putRequest.error || new Error('Failed to save cost split')]);
+  });
+}
+
+/**
+ * Deletes the payer and split of an item, leaving its cost unassigned.
+ * @async
+ * @param {string} tripId - ID of the trip
+ * @param {string} itemId - Segment, meal or activity ID
+ * @returns {Promise<[void, null] | [null, Error]>} Go-style result tuple
+ */
+export async function deleteCostSplit(tripId, itemId) {
+  const [, dbErr] = await initDB();
+  if (dbErr) return [null, wrapError('deleteCostSplit', dbErr)];
+
+  return new Promise((resolve) => {
+    const transaction = databaseConnection.transaction([STORE_NAMES.COST_SPLITS], 'readwrite');
+    const costSplitsStore = transaction.objectStore(STORE_NAMES.COST_SPLITS);
+    const deleteRequest = costSplitsStore.delete([tripId, itemId]);
+
+    deleteRequest.onsuccess = () => resolve([undefined, null]);
+    deleteRequest.onerror = () => resolve([null, deleteRequest.error || new Error('Failed to delete cost split')]);
+  });
+}
+
+// =============================================================================
+// REMINDER OPERATIONS
+// =============================================================================
+
+/**
+ * Retrieves the scheduled reminders of a trip.
+ * @async
+ * @param {string} tripId - ID of the trip
+ * @returns {Promise<[Array<Object>, null] | [null, Error]>} Go-style result tuple
+ */
+export async function getAllReminders(tripId) {
+  const [, dbErr] = await initDB();
+  if (dbErr) return [null, wrapError('getAllReminders', dbErr)];
+
+  return new Promise((resolve) => {
+    const transaction = databaseConnection.transaction([STORE_NAMES.REMINDERS], 'readonly');
+    const remindersStore = transaction.objectStore(STORE_NAMES.REMINDERS);
+    const getAllRequest = remindersStore.index(TRIP_ID_INDEX).getAll(tripId);
+
+    getAllRequest.onsuccess = () => resolve([getAllRequest.result || [], null]);
+    getAllRequest.onerror = () => resolve([null, getAllRequest.error || new Error('Failed to get reminders')]);
+  });
+}
+
+/**
+ * Replaces every scheduled reminder of a trip.
+ * @async
+ * @param {string} tripId - ID of the trip
+ * @param {Array<Object>} reminders - Reminders (see utils/reminders)
+ * @returns {Promise<[Array<Object>, null] | [null, Error]>} Go-style result tuple with the stored records
+ */
+export async function replaceReminders(tripId, reminders) {
+  const [, dbErr] = await initDB();
+  if (dbErr) return [null, wrapError('replaceReminders', dbErr)];
+
+  const reminderRecords = reminders.map(reminder => ({ ...reminder, tripId }));
+
+  return new Promise((resolve) => {
+    const transaction = databaseConnection.transaction([STORE_NAMES.REMINDERS], 'readwrite');
+    const remindersStore = transaction.objectStore(STORE_NAMES.REMINDERS);
+
+    transaction.onerror = () => resolve([null, transaction.error || new Error('Failed to save reminders')]);
+    transaction.oncomplete = () => resolve([reminderRecords, null]);
+
+    // CRITICAL PATH: Remove the trip's old reminders before writing the new schedule
+    const getKeysRequest = remindersStore.index(TRIP_ID_INDEX).getAllKeys(tripId);
+    getKeysRequest.onsuccess = () => {
+      for (const primaryKey of getKeysRequest.result || []) {
+        remindersStore.delete(primaryKey);
+      }
+      for (const reminderRecord of reminderRecords) {
+        remindersStore.put(reminderRecord);
+      }
+    };
+  });
+}
+
 // =============================================================================
 // DATABASE MANAGEMENT OPERATIONS
 // =============================================================================
 
 /**
- * Exports all user data (manual activities, deleted activities, trip meta) as JSON.
+ * Exports all user data of a trip (manual and deleted activities and meals, backup plans, item statuses, expenses, cost splits, rate table, reminder settings, trip meta) as JSON.
  * This allows users to backup their data and transfer it to other devices.
  * @async
+ * @param {string} tripId - ID of the trip
  * @returns {Promise<[Object, null] | [null, Error]>} Go-style result tuple with export data
  */
-export async function exportAllUserData() {
+export async function exportAllUserData(tripId) {
   const [, dbErr] = await initDB();
   if (dbErr) return [null, wrapError('exportAllUserData', dbErr)];
 
   // Gather all user data
-  const [manualActivities, manualErr] = await getAllManualActivities();
+  const [manualActivities, manualErr] = await getAllManualActivities(tripId);
   if (manualErr) return [null, wrapError('exportAllUserData.manualActivities', manualErr)];
 
-  const [deletedActivities, deletedErr] = await getAllDeletedActivities();
+  const [deletedActivities, deletedErr] = await getAllDeletedActivities(tripId);
   if (deletedErr) return [null, wrapError('exportAllUserData.deletedActivities', deletedErr)];
 
-  const [tripMeta, metaErr] = await getTripMeta();
+  const [manualMeals, manualMealsErr] = await getAllManualMeals(tripId);
+  if (manualMealsErr) return [null, wrapError('exportAllUserData.manualMeals', manualMealsErr)];
+
+  const [deletedMeals, deletedMealsErr] = await getAllDeletedMeals(tripId);
+  if (deletedMealsErr) return [null, wrapError('exportAllUserData.deletedMeals', deletedMealsErr)];
+
+  const [backupPlans, backupPlansErr] = await getAllBackupPlans(tripId);
+  if (backupPlansErr) return [null, wrapError('exportAllUserData.backupPlans', backupPlansErr)];
+
+  const [itemStatuses, itemStatusesErr] = await getAllItemStatuses(tripId);
+  if (itemStatusesErr) return [null, wrapError('exportAllUserData.itemStatuses', itemStatusesErr)];
+
+  const [expenses, expensesErr] = await getAllExpenses(tripId);
+  if (expensesErr) return [null, wrapError('exportAllUserData.expenses', expensesErr)];
+
+  const [costSplits, costSplitsErr] = await getAllCostSplits(tripId);
+  if (costSplitsErr) return [null, wrapError('exportAllUserData.costSplits', costSplitsErr)];
+
+  const [rateTable, rateTableErr] = await getRateTable(tripId);
+  if (rateTableErr) return [null, wrapError('exportAllUserData.rateTable', rateTableErr)];
+
+  const [reminderSettings, reminderSettingsErr] = await getReminderSettings(tripId);
+  if (reminderSettingsErr) return [null, wrapError('exportAllUserData.reminderSettings', reminderSettingsErr)];
+
+  const [customStatuses, customStatusesErr] = await getCustomStatuses();
+  if (customStatusesErr) return [null, wrapError('exportAllUserData.customStatuses', customStatusesErr)];
+
+  const [tripMeta, metaErr] = await getTripMeta(tripId);
   if (metaErr) return [null, wrapError('exportAllUserData.tripMeta', metaErr)];
 
-  const [trips, tripsErr] = await getAllTrips();
+  const [trips, tripsErr] = await getAllTrips(tripId);
   if (tripsErr) return [null, wrapError('exportAllUserData.trips', tripsErr)];
 
   const exportData = {
@@ -906,44 +2098,105 @@ export async function exportAllUserData() {
     tripMeta,
     trips,
     manualActivities,
-    deletedActivities
+    deletedActivities,
+    manualMeals,
+    deletedMeals,
+    backupPlans,
+    itemStatuses,
+    expenses,
+    costSplits,
+    rateTable,
+    reminderSettings,
+    customStatuses
   };
 
   return [exportData, null];
 }
 
 /**
- * Downloads the exported user data as a JSON file.
- * @async
- * @returns {Promise<[void, null] | [null, Error]>} Go-style result tuple
+ * Triggers a browser download of text content.
+ * @param {string} fileContent - File contents
+ * @param {string} mimeType - MIME type of the file
+ * @param {string} fileName - Suggested file name
  */
-export async function downloadUserDataAsJson() {
-  const [exportData, exportErr] = await exportAllUserData();
-  if (exportErr) return [null, exportErr];
-
-  const jsonString = JSON.stringify(exportData, null, 2);
-  const blob = new Blob([jsonString], { type: 'application/json' });
+function triggerFileDownload(fileContent, mimeType, fileName) {
+  const blob = new Blob([fileContent], { type: mimeType });
   const url = URL.createObjectURL(blob);
   
   const link = document.createElement('a');
   link.href = url;
-  link.download = `travel-itinerary-backup-${new Date().toISOString().split('T')[0]}.json`;
+  link.download = fileName;
   document.body.appendChild(link);
   link.click();
   document.body.removeChild(link);
   URL.revokeObjectURL(url);
+}
+
+/**
+ * Downloads the exported user data of a trip as a JSON file.
+ * @async
+ * @param {string} tripId - ID of the trip
+ * @returns {Promise<[void, null] | [null, Error]>} Go-style result tuple
+ */
+export async function downloadUserDataAsJson(tripId) {
+  const [exportData, exportErr] = await exportAllUserData(tripId);
+  if (exportErr) return [null, exportErr];
+
+  const jsonString = JSON.stringify(exportData, null, 2);
+  triggerFileDownload(jsonString, 'application/json', `travel-itinerary-backup-${new Date().toISOString().split('T')[0]}.json`);
 
   return [undefined, null];
 }
 
 /**
- * Imports user data from a previously exported JSON file.
+ * Downloads the whole itinerary of a trip as an iCalendar (.ics) file.
+ * Includes flights, stays, meals, imported activities and manual activities;
+ * soft-deleted activities are left out.
+ * @async
+ * @param {string} tripId - ID of the trip
+ * @returns {Promise<[void, null] | [null, Error]>} Go-style result tuple
+ */
+export async function downloadItineraryAsIcs(tripId) {
+  const [itineraryData, itineraryErr] = await getItineraryData(tripId);
+  if (itineraryErr) return [null, wrapError('downloadItineraryAsIcs.itinerary', itineraryErr)];
+  if (!itineraryData) return [null, new Error('downloadItineraryAsIcs: trip not found')];
+
+  const [manualActivities, manualErr] = await getAllManualActivities(tripId);
+  if (manualErr) return [null, wrapError('downloadItineraryAsIcs.manualActivities', manualErr)];
+
+  const [deletedActivities, deletedErr] = await getAllDeletedActivities(tripId);
+  if (deletedErr) return [null, wrapError('downloadItineraryAsIcs.deletedActivities', deletedErr)];
+
+  const [manualMeals, manualMealsErr] = await getAllManualMeals(tripId);
+  if (manualMealsErr) return [null, wrapError('downloadItineraryAsIcs.manualMeals', manualMealsErr)];
+
+  const [deletedMeals, deletedMealsErr] = await getAllDeletedMeals(tripId);
+  if (deletedMealsErr) return [null, wrapError('downloadItineraryAsIcs.deletedMeals', deletedMealsErr)];
+
+  // Airport zones fill in flight times for segments without zone labels; export without them if the chunk fails
+  await loadAirportDatabase();
+
+  const calendarText = buildItineraryCalendar(parseItineraryData(itineraryData), {
+    tripName: itineraryData.tripName,
+    manualActivities,
+    deletedActivities,
+    manualMeals,
+    deletedMeals
+  });
+  triggerFileDownload(calendarText, 'text/calendar', `travel-itinerary-${new Date().toISOString().split('T')[0]}.ics`);
+
+  return [undefined, null];
+}
+
+/**
+ * Imports user data from a previously exported JSON file into a trip.
  * Merges with existing data (doesn't overwrite).
  * @async
+ * @param {string} tripId - ID of the trip to merge the data into
  * @param {Object} importData - The exported data object
  * @returns {Promise<[void, null] | [null, Error]>} Go-style result tuple
  */
-export async function importUserData(importData) {
+export async function importUserData(tripId, importData) {
   const [, dbErr] = await initDB();
   if (dbErr) return [null, wrapError('importUserData', dbErr)];
 
@@ -956,7 +2209,7 @@ export async function importUserData(importData) {
   if (importData.manualActivities) {
     for (const [date, activities] of Object.entries(importData.manualActivities)) {
       for (const activity of activities) {
-        const [, addErr] = await addManualActivity(date, activity);
+        const [, addErr] = await addActivity(tripId, date, activity);
         if (addErr) {
           console.warn(`Failed to import activity for ${date}:`, addErr);
         }
@@ -968,7 +2221,7 @@ export async function importUserData(importData) {
   if (importData.deletedActivities) {
     for (const [date, ids] of Object.entries(importData.deletedActivities)) {
       for (const id of ids) {
-        const [, delErr] = await markActivityDeleted(date, id);
+        const [, delErr] = await markActivityDeleted(tripId, date, id);
         if (delErr) {
           console.warn(`Failed to import deleted activity for ${date}:`, delErr);
         }
@@ -976,6 +2229,101 @@ export async function importUserData(importData) {
     }
   }
 
+  // Import manual meals
+  if (importData.manualMeals) {
+    for (const [date, meals] of Object.entries(importData.manualMeals)) {
+      for (const meal of meals) {
+        const [, addErr] = await addMeal(tripId, date, meal);
+        if (addErr) {
+          console.warn(`Failed to import meal for ${date}:`, addErr);
+        }
+      }
+    }
+  }
+
+  // Import deleted meals
+  if (importData.deletedMeals) {
+    for (const [date, ids] of Object.entries(importData.deletedMeals)) {
+      for (const id of ids) {
+        const [, delErr] = await markMealDeleted(tripId, date, id);
+        if (delErr) {
+          console.warn(`Failed to import deleted meal for ${date}:`, delErr);
+        }
+      }
+    }
+  }
+
+  // Import backup plans (replace the stored plan of the same segment)
+  if (Array.isArray(importData.backupPlans)) {
+    for (const backupPlan of importData.backupPlans) {
+      const [, saveErr] = await saveBackupPlan(tripId, backupPlan.segmentId, backupPlan);
+      if (saveErr) {
+        console.warn(`Failed to import backup plan for ${backupPlan.segmentId}:`, saveErr);
+      }
+    }
+  }
+
+  // Import item statuses (replace the stored record of the same item)
+  if (Array.isArray(importData.itemStatuses)) {
+    for (const itemStatus of importData.itemStatuses) {
+      const [, saveErr] = await saveItemStatus(tripId, itemStatus.itemId, itemStatus);
+      if (saveErr) {
+        console.warn(`Failed to import status of ${itemStatus.itemId}:`, saveErr);
+      }
+    }
+  }
+
+  // Import expenses (replace the stored expense with the same ID)
+  if (Array.isArray(importData.expenses)) {
+    for (const expense of importData.expenses) {
+      const [, saveErr] = await saveExpense(tripId, expense);
+      if (saveErr) {
+        console.warn(`Failed to import expense ${expense.id}:`, saveErr);
+      }
+    }
+  }
+
+  // Import cost splits (replace the stored split of the same item)
+  if (Array.isArray(importData.costSplits)) {
+    for (const costSplit of importData.costSplits) {
+      const [, saveErr] = await saveCostSplit(tripId, costSplit.itemId, costSplit);
+      if (saveErr) {
+        console.warn(`Failed to import cost split of ${costSplit.itemId}:`, saveErr);
+      }
+    }
+  }
+
+  // Import the rate table (replaces the stored one)
+  if (importData.rateTable && Array.isArray(importData.rateTable.rates)) {
+    const [, saveErr] = await saveRateTable(tripId, importData.rateTable);
+    if (saveErr) {
+      console.warn('Failed to import rate table:', saveErr);
+    }
+  }
+
+  // Import reminder settings (replace the stored ones)
+  if (importData.reminderSettings?.leadMinutesByKind) {
+    const [, saveErr] = await saveReminderSettings(tripId, importData.reminderSettings);
+    if (saveErr) {
+      console.warn('Failed to import reminder settings:', saveErr);
+    }
+  }
+
+  // Import custom statuses (keep the stored definition when a code is already registered)
+  if (Array.isArray(importData.customStatuses)) {
+    const [storedStatuses, getStatusesErr] = await getCustomStatuses();
+    if (getStatusesErr) {
+      console.warn('Failed to read custom statuses:', getStatusesErr);
+    } else {
+      const storedCodes = new Set(storedStatuses.map(statusDefinition => statusDefinition.code));
+      const newStatuses = importData.customStatuses.filter(statusDefinition => !storedCodes.has(statusDefinition.code));
+      const [, saveStatusesErr] = await saveCustomStatuses([...storedStatuses, ...newStatuses]);
+      if (saveStatusesErr) {
+        console.warn('Failed to import custom statuses:', saveStatusesErr);
+      }
+    }
+  }
+
   console.log('✅ User data imported successfully');
   return [undefined, null];
 }
@@ -997,7 +2345,14 @@ export async function clearAllData() {
       STORE_NAMES.USER_ACTIVITIES,
       STORE_NAMES.DELETED_ACTIVITIES,
       STORE_NAMES.SETTINGS,
-      STORE_NAMES.BOARDING_PASSES
+      STORE_NAMES.BOARDING_PASSES,
+      STORE_NAMES.BACKUP_PLANS,
+      STORE_NAMES.USER_MEALS,
+      STORE_NAMES.DELETED_MEALS,
+      STORE_NAMES.ITEM_STATUSES,
+      STORE_NAMES.EXPENSES,
+      STORE_NAMES.COST_SPLITS,
+      STORE_NAMES.REMINDERS
     ];
     
     const transaction = databaseConnection.transaction(allStoreNames, 'readwrite');
@@ -4,6 +4,11 @@
  * Provides a centralized state management layer for itinerary data,
  * handling loading, CRUD operations, and setup wizard flow.
  * 
+ * TRIP LIBRARY:
+ * =============
+ * The database can hold several trips. The hook loads one trip at a time
+ * (the active trip, persisted in settings) and scopes every write to it.
+ * 
  * ERROR HANDLING PATTERN:
  * =======================
  * All DB functions return Go-style [value, error] tuples.
@@ -19,18 +24,54 @@ import {
   markInitialized,
   importItineraryData,
   getItineraryData,
+  getAllTripMetas,
+  getActiveTripId,
+  setActiveTripId,
+  deleteTrip as deleteTripFromDB,
   getAllManualActivities,
   getAllDeletedActivities,
   addActivity,
   updateActivity,
   removeActivity,
   markActivityDeleted,
+  getAllManualMeals,
+  getAllDeletedMeals,
+  addMeal,
+  updateMeal,
+  removeMeal,
+  markMealDeleted,
   clearAllData,
   getAllBoardingPasses,
   addBoardingPass as addBoardingPassToDB,
   deleteBoardingPass as deleteBoardingPassFromDB,
-  getBoardingPassesBySegment
+  getAllBackupPlans,
+  saveBackupPlan as saveBackupPlanToDB,
+  deleteBackupPlan as deleteBackupPlanFromDB,
+  activateBackupOption as activateBackupOptionInDB,
+  deactivateBackupPlan as deactivateBackupPlanInDB,
+  getAllItemStatuses,
+  saveItemStatus,
+  getCustomStatuses,
+  saveCustomStatuses as saveCustomStatusesToDB,
+  getAllExpenses,
+  saveExpense as saveExpenseToDB,
+  deleteExpense as deleteExpenseFromDB,
+  getAllCostSplits,
+  saveCostSplit as saveCostSplitToDB,
+  deleteCostSplit as deleteCostSplitFromDB,
+  getRateTable,
+  saveRateTable as saveRateTableToDB,
+  getReminderSettings,
+  saveReminderSettings as saveReminderSettingsToDB,
+  getAllReminders,
+  replaceReminders,
+  updateTripSegment
 } from './indexedDB';
+import { findRawSegment } from '../data/itinerary';
+import { createStatusChange } from '../utils/statusWorkflow';
+import { setCustomStatuses } from '../utils/statusRegistry';
+import { createDefaultRateTable, setActiveRateTable, DEFAULT_HOME_CURRENCY } from '../utils/exchangeRates';
+import { createDefaultReminderSettings, completeReminderSettings, scheduleReminders } from '../utils/reminders';
 
 // =============================================================================
 // CONSTANTS
@@ -256,6 +297,161 @@ function removeBoardingPassFromState(previousState, segmentId, boardingPassId) {
   };
 }
 
+/**
+ * Replaces one segment in the itinerary data immutably.
+ * 
+ * @pure
+ * @param {Object} previousItineraryData - Previous itinerary data state
+ * @param {string} segmentId - ID of the segment to replace
+ * @param {Object} updatedSegment - Segment as stored after the update
+ * @returns {Object} New itinerary data object
+ */
+function replaceSegmentInItineraryData(previousItineraryData, segmentId, updatedSegment) {
+  return {
+    ...previousItineraryData,
+    trips: previousItineraryData.trips.map(tripLeg => (
+      tripLeg.segments?.some(segment => segment.id === segmentId)
+        ? { ...tripLeg, segments: tripLeg.segments.map(segment => segment.id === segmentId ? updatedSegment : segment) }
+        : tripLeg
+    ))
+  };
+}
+
+/**
+ * Organizes stored backup plans into a lookup object keyed by segmentId.
+ * 
+ * @pure
+ * @param {Array<Object>} backupPlansArray - Backup plan records
+ * @returns {Object} Object keyed by segmentId with one plan each
+ */
+function organizeBackupPlansBySegment(backupPlansArray) {
+  return Object.fromEntries(backupPlansArray.map(backupPlan => [backupPlan.segmentId, backupPlan]));
+}
+
+/**
+ * Organizes stored status records into a lookup object keyed by item ID.
+ * 
+ * @pure
+ * @param {Array<Object>} itemStatusesArray - Item status records
+ * @returns {Object} Object keyed by itemId with one record each
+ */
+function organizeItemStatusesById(itemStatusesArray) {
+  return Object.fromEntries(itemStatusesArray.map(itemStatus => [itemStatus.itemId, itemStatus]));
+}
+
+/**
+ * Organizes stored cost splits into a lookup object keyed by item ID.
+ * 
+ * @pure
+ * @param {Array<Object>} costSplitsArray - Cost split records
+ * @returns {Object} Object keyed by itemId with one record each
+ */
+function organizeCostSplitsById(costSplitsArray) {
+  return Object.fromEntries(costSplitsArray.map(costSplit => [costSplit.itemId, costSplit]));
+}
+
+/**
+ * Removes a segment's backup plan from state immutably.
+ * 
+ * @pure
+ * @param {Object} previousState - Previous backup plans state object
+ * @param {string} segmentId - The segment ID
+ * @returns {Object} New state object without the plan
+ */
+function removeBackupPlanFromState(previousState, segmentId) {
+  const remainingPlans = { ...previousState };
+  delete remainingPlans[segmentId];
+  return remainingPlans;
+}
+
+/**
+ * Picks the trip to show: the persisted active trip if it is still in the
+ * library, otherwise the most recently imported trip.
+ * 
+ * @pure
+ * @param {Array<Object>} tripLibrary - Trip metadata records, oldest first
+ * @param {string|null} storedActiveTripId - Trip ID persisted in settings
+ * @returns {string|null} Trip ID to load, or null if the library is empty
+ */
+function resolveActiveTripId(tripLibrary, storedActiveTripId) {
+  if (tripLibrary.length === 0) return null;
+  
+  const isStoredTripInLibrary = tripLibrary.some(tripMeta => tripMeta.id === storedActiveTripId);
+  if (isStoredTripInLibrary) return storedActiveTripId;
+  
+  return tripLibrary[tripLibrary.length - 1].id;
+}
+
+// =============================================================================
+// DATA LOADING
+// =============================================================================
+
+/**
+ * Loads the itinerary and all user data scoped to one trip.
+ * 
+ * @async
+ * @param {string} tripId - ID of the trip to load
+ * @returns {Promise<[Object, null] | [null, Error]>} Go-style result tuple with
+ *   { itineraryData, manualActivities, deletedActivities, manualMeals, deletedMeals, boardingPasses, backupPlans, itemStatuses, expenses, costSplits, rateTable, reminderSettings, reminders }
+ */
+async function loadTripScopedData(tripId) {
+  const [loadedItineraryData, itineraryErr] = await getItineraryData(tripId);
+  if (itineraryErr) return [null, itineraryErr];
+
+  const [loadedManualActivities, manualErr] = await getAllManualActivities(tripId);
+  if (manualErr) return [null, manualErr];
+
+  const [loadedDeletedActivities, deletedErr] = await getAllDeletedActivities(tripId);
+  if (deletedErr) return [null, deletedErr];
+
+  const [loadedManualMeals, manualMealsErr] = await getAllManualMeals(tripId);
+  if (manualMealsErr) return [null, manualMealsErr];
+
+  const [loadedDeletedMeals, deletedMealsErr] = await getAllDeletedMeals(tripId);
+  if (deletedMealsErr) return [null, deletedMealsErr];
+
+  const [loadedBoardingPasses, boardingPassErr] = await getAllBoardingPasses(tripId);
+  if (boardingPassErr) return [null, boardingPassErr];
+
+  const [loadedBackupPlans, backupPlanErr] = await getAllBackupPlans(tripId);
+  if (backupPlanErr) return [null, backupPlanErr];
+
+  const [loadedItemStatuses, itemStatusErr] = await getAllItemStatuses(tripId);
+  if (itemStatusErr) return [null, itemStatusErr];
+
+  const [loadedExpenses, expensesErr] = await getAllExpenses(tripId);
+  if (expensesErr) return [null, expensesErr];
+
+  const [loadedCostSplits, costSplitsErr] = await getAllCostSplits(tripId);
+  if (costSplitsErr) return [null, costSplitsErr];
+
+  const [loadedRateTable, rateTableErr] = await getRateTable(tripId);
+  if (rateTableErr) return [null, rateTableErr];
+
+  const [loadedReminderSettings, reminderSettingsErr] = await getReminderSettings(tripId);
+  if (reminderSettingsErr) return [null, reminderSettingsErr];
+
+  const [loadedReminders, remindersErr] = await getAllReminders(tripId);
+  if (remindersErr) return [null, remindersErr];
+
+  return [{
+    itineraryData: loadedItineraryData,
+    manualActivities: loadedManualActivities,
+    deletedActivities: loadedDeletedActivities,
+    manualMeals: loadedManualMeals,
+    deletedMeals: loadedDeletedMeals,
+    boardingPasses: organizeBoardingPassesBySegment(loadedBoardingPasses),
+    backupPlans: organizeBackupPlansBySegment(loadedBackupPlans),
+    itemStatuses: organizeItemStatusesById(loadedItemStatuses),
+    expenses: loadedExpenses,
+    costSplits: organizeCostSplitsById(loadedCostSplits),
+    // Trips without a stored table start from the defaults, in the budget currency
+    rateTable: loadedRateTable || createDefaultRateTable(loadedItineraryData?.budget?.currency || DEFAULT_HOME_CURRENCY),
+    reminderSettings: completeReminderSettings(loadedReminderSettings),
+    reminders: loadedReminders.sort((firstReminder, secondReminder) => firstReminder.remindAt - secondReminder.remindAt)
+  }, null];
+}
+
 // =============================================================================
 // MAIN HOOK
 // =============================================================================
@@ -274,13 +470,46 @@ function removeBoardingPassFromState(previousState, segmentId, boardingPassId) {
  * @property {Object|null} itineraryData - The loaded itinerary data
  * @property {Object} manualActivities - User-added activities by date
  * @property {Object} deletedActivities - Deleted activity IDs by date
+ * @property {Object} manualMeals - User-added meals by date
+ * @property {Object} deletedMeals - Deleted meal IDs by date
+ * @property {string|null} activeTripId - ID of the trip currently loaded
+ * @property {Array<Object>} tripLibrary - Metadata of every stored trip
  * @property {Function} addActivity - Add a new activity
  * @property {Function} updateActivity - Update an existing activity
  * @property {Function} removeActivity - Remove a manual activity
  * @property {Function} deleteOriginalActivity - Mark original activity as deleted
+ * @property {Function} addMeal - Add a new meal
+ * @property {Function} updateMeal - Update a manual meal
+ * @property {Function} removeMeal - Remove a manual meal
+ * @property {Function} deleteOriginalMeal - Mark an imported meal as deleted
  * @property {Function} importJsonData - Import JSON data (first-time setup)
  * @property {Function} completeSetup - Complete setup wizard
  * @property {Function} resetDatabase - Reset all data
+ * @property {Function} switchTrip - Load another trip from the library
+ * @property {Function} addTrip - Open the setup wizard to import another trip
+ * @property {Function} deleteTrip - Remove a trip from the library
+ * @property {Function} updateSegment - Edit an imported segment (travel, stay, meal)
+ * @property {Object} backupPlans - User-edited backup plans keyed by segment ID
+ * @property {Function} saveBackupPlan - Store an edited backup plan
+ * @property {Function} resetBackupPlan - Drop an edited plan in favour of its template
+ * @property {Function} activateBackupOption - Mark a segment disrupted and record the chosen option
+ * @property {Function} deactivateBackupPlan - Restore a disrupted segment
+ * @property {Object} itemStatuses - User status records keyed by item ID
+ * @property {Function} changeItemStatus - Move an item to another status, recording history
+ * @property {Array<Object>} customStatuses - User-defined statuses of the status registry
+ * @property {Function} saveCustomStatuses - Replace the user-defined statuses
+ * @property {Array<Object>} expenses - Recorded expenses of the trip, oldest first
+ * @property {Function} saveExpense - Add or update an expense
+ * @property {Function} removeExpense - Delete an expense
+ * @property {Object} costSplits - Payer and split of item costs keyed by item ID
+ * @property {Function} assignCostSplit - Set or clear who pays an item's cost and how it is shared
+ * @property {Object} rateTable - Exchange rates and home currency of the trip
+ * @property {Function} saveRateTable - Replace the trip's exchange rates and home currency
+ * @property {Object} reminderSettings - Whether reminders are on and their lead time per kind
+ * @property {Function} saveReminderSettings - Replace the trip's reminder settings
+ * @property {Array<Object>} reminders - Scheduled reminders, soonest first
+ * @property {Function} syncReminders - Reschedule reminders for the trip's current moments
+ * @property {Function} markRemindersNotified - Record that reminders were shown
  */
 export function useItineraryDB() {
   // ==========================================================================
@@ -308,9 +537,68 @@ export function useItineraryDB() {
   /** @type {[Object, Function]} Deleted activity IDs keyed by date */
   const [deletedActivitiesState, setDeletedActivitiesState] = useState({});
 
+  /** @type {[Object, Function]} User-added meals keyed by date */
+  const [manualMealsState, setManualMealsState] = useState({});
+
+  /** @type {[Object, Function]} Deleted meal IDs keyed by date */
+  const [deletedMealsState, setDeletedMealsState] = useState({});
+
   /** @type {[Object, Function]} Boarding passes keyed by segment ID */
   const [boardingPassesState, setBoardingPassesState] = useState({});
 
+  /** @type {[Object, Function]} User-edited backup plans keyed by segment ID */
+  const [backupPlansState, setBackupPlansState] = useState({});
+
+  /** @type {[Object, Function]} User status records keyed by item ID */
+  const [itemStatusesState, setItemStatusesState] = useState({});
+
+  /** @type {[Array<Object>, Function]} Recorded expenses, oldest first */
+  const [expensesState, setExpensesState] = useState([]);
+
+  /** @type {[Object, Function]} Payer and split of item costs keyed by item ID */
+  const [costSplitsState, setCostSplitsState] = useState({});
+
+  /** @type {[Object, Function]} Exchange rates and home currency of the trip */
+  const [rateTableState, setRateTableState] = useState(() => createDefaultRateTable(DEFAULT_HOME_CURRENCY));
+
+  /** @type {[Object, Function]} Reminder switch and lead times of the trip */
+  const [reminderSettingsState, setReminderSettingsState] = useState(createDefaultReminderSettings);
+
+  /** @type {[Array<Object>, Function]} Scheduled reminders, soonest first */
+  const [remindersState, setRemindersState] = useState([]);
+
+  /** @type {[Array<Object>, Function]} User-defined statuses, shared by all trips */
+  const [customStatusesState, setCustomStatusesState] = useState([]);
+
+  /** @type {[string|null, Function]} ID of the trip currently loaded */
+  const [activeTripIdState, setActiveTripIdState] = useState(null);
+
+  /** @type {[Array<Object>, Function]} Metadata of every trip in the library */
+  const [tripLibraryState, setTripLibraryState] = useState([]);
+
+  /**
+   * Copies a loaded trip bundle into state.
+   * @param {string} tripId - ID of the loaded trip
+   * @param {Object} tripData - Result of loadTripScopedData
+   */
+  const applyTripDataToState = (tripId, tripData) => {
+    setActiveTripIdState(tripId);
+    setItineraryDataState(tripData.itineraryData);
+    setManualActivitiesState(tripData.manualActivities);
+    setDeletedActivitiesState(tripData.deletedActivities);
+    setManualMealsState(tripData.manualMeals);
+    setDeletedMealsState(tripData.deletedMeals);
+    setBoardingPassesState(tripData.boardingPasses);
+    setBackupPlansState(tripData.backupPlans);
+    setItemStatusesState(tripData.itemStatuses);
+    setExpensesState(tripData.expenses);
+    setCostSplitsState(tripData.costSplits);
+    setActiveRateTable(tripData.rateTable);
+    setRateTableState(tripData.rateTable);
+    setReminderSettingsState(tripData.reminderSettings);
+    setRemindersState(tripData.reminders);
+  };
+
   // ==========================================================================
   // INITIALIZATION EFFECT
   // ==========================================================================
@@ -351,47 +639,57 @@ export function useItineraryDB() {
         return;
       }
 
-      // CRITICAL PATH: Load existing data from IndexedDB
-      console.log('📂 Loading data from IndexedDB...');
-      
-      const [loadedItineraryData, itineraryErr] = await getItineraryData();
-      if (itineraryErr) {
-        console.error('❌ Failed to load itinerary data:', itineraryErr);
-        setErrorMessageState(itineraryErr.message);
+      // CRITICAL PATH: Resolve which trip of the library to load
+      const [tripLibrary, libraryErr] = await getAllTripMetas();
+      if (libraryErr) {
+        console.error('❌ Failed to load trip library:', libraryErr);
+        setErrorMessageState(libraryErr.message);
         setShowSetupWizardState(true);
         setIsLoadingState(false);
         return;
       }
 
-      const [loadedManualActivities, manualErr] = await getAllManualActivities();
-      if (manualErr) {
-        console.error('❌ Failed to load manual activities:', manualErr);
-        setErrorMessageState(manualErr.message);
+      const [storedActiveTripId, activeTripErr] = await getActiveTripId();
+      if (activeTripErr) {
+        console.error('❌ Failed to load active trip:', activeTripErr);
+        setErrorMessageState(activeTripErr.message);
         setShowSetupWizardState(true);
         setIsLoadingState(false);
         return;
       }
 
-      const [loadedDeletedActivities, deletedErr] = await getAllDeletedActivities();
-      if (deletedErr) {
-        console.error('❌ Failed to load deleted activities:', deletedErr);
-        setErrorMessageState(deletedErr.message);
+      // Custom statuses only change how pills look, so a failure is not fatal
+      const [storedCustomStatuses, customStatusesErr] = await getCustomStatuses();
+      if (customStatusesErr) {
+        console.warn('⚠️ Failed to load custom statuses:', customStatusesErr);
+      } else {
+        setCustomStatuses(storedCustomStatuses);
+        setCustomStatusesState(storedCustomStatuses);
+      }
+
+      setTripLibraryState(tripLibrary);
+      const tripIdToLoad = resolveActiveTripId(tripLibrary, storedActiveTripId);
+      if (!tripIdToLoad) {
+        console.warn('⚠️ Trip library is empty, showing setup wizard');
         setShowSetupWizardState(true);
         setIsLoadingState(false);
         return;
       }
 
-      const [loadedBoardingPasses, boardingPassErr] = await getAllBoardingPasses();
-      if (boardingPassErr) {
-        console.error('❌ Failed to load boarding passes:', boardingPassErr);
-        setErrorMessageState(boardingPassErr.message);
+      // CRITICAL PATH: Load existing data from IndexedDB
+      console.log('📂 Loading data from IndexedDB...');
+      
+      const [loadedTripData, loadErr] = await loadTripScopedData(tripIdToLoad);
+      if (loadErr) {
+        console.error('❌ Failed to load trip data:', loadErr);
+        setErrorMessageState(loadErr.message);
         setShowSetupWizardState(true);
         setIsLoadingState(false);
         return;
       }
 
       // Validate loaded data
-      if (!isValidItineraryData(loadedItineraryData)) {
+      if (!isValidItineraryData(loadedTripData.itineraryData)) {
         console.warn('⚠️ No itinerary data found, showing setup wizard');
         setShowSetupWizardState(true);
         setIsLoadingState(false);
@@ -399,10 +697,7 @@ export function useItineraryDB() {
       }
 
       // Update state with loaded data
-      setItineraryDataState(loadedItineraryData);
-      setManualActivitiesState(loadedManualActivities);
-      setDeletedActivitiesState(loadedDeletedActivities);
-      setBoardingPassesState(organizeBoardingPassesBySegment(loadedBoardingPasses));
+      applyTripDataToState(tripIdToLoad, loadedTripData);
       setIsDataReadyState(true);
       setIsLoadingState(false);
       console.log('✅ Data loaded from IndexedDB');
@@ -416,59 +711,30 @@ export function useItineraryDB() {
   // ==========================================================================
   
   /**
-   * Loads data from IndexedDB and updates state.
-   * Used internally for refresh after import.
+   * Loads one trip from IndexedDB and updates state.
+   * Used internally when switching trips or after deleting the active trip.
    * 
+   * @param {string} tripId - ID of the trip to load
    * @returns {Promise<[boolean, null] | [null, Error]>} Go-style result tuple
    */
-  const loadDataFromDatabase = useCallback(async () => {
-    const [loadedItineraryData, itineraryErr] = await getItineraryData();
-    if (itineraryErr) {
-      console.error('❌ Failed to load data from IndexedDB:', itineraryErr);
-      setErrorMessageState(itineraryErr.message);
+  const loadDataFromDatabase = useCallback(async (tripId) => {
+    const [loadedTripData, loadErr] = await loadTripScopedData(tripId);
+    if (loadErr) {
+      console.error('❌ Failed to load data from IndexedDB:', loadErr);
+      setErrorMessageState(loadErr.message);
       setShowSetupWizardState(true);
       setIsLoadingState(false);
-      return [null, itineraryErr];
+      return [null, loadErr];
     }
 
-    const [loadedManualActivities, manualErr] = await getAllManualActivities();
-    if (manualErr) {
-      console.error('❌ Failed to load manual activities:', manualErr);
-      setErrorMessageState(manualErr.message);
-      setShowSetupWizardState(true);
-      setIsLoadingState(false);
-      return [null, manualErr];
-    }
-
-    const [loadedDeletedActivities, deletedErr] = await getAllDeletedActivities();
-    if (deletedErr) {
-      console.error('❌ Failed to load deleted activities:', deletedErr);
-      setErrorMessageState(deletedErr.message);
-      setShowSetupWizardState(true);
-      setIsLoadingState(false);
-      return [null, deletedErr];
-    }
-
-    const [loadedBoardingPasses, boardingPassErr] = await getAllBoardingPasses();
-    if (boardingPassErr) {
-      console.error('❌ Failed to load boarding passes:', boardingPassErr);
-      setErrorMessageState(boardingPassErr.message);
-      setShowSetupWizardState(true);
-      setIsLoadingState(false);
-      return [null, boardingPassErr];
-    }
-
-    if (!isValidItineraryData(loadedItineraryData)) {
+    if (!isValidItineraryData(loadedTripData.itineraryData)) {
       console.warn('⚠️ No itinerary data found, showing setup wizard');
       setShowSetupWizardState(true);
       setIsLoadingState(false);
       return [false, null];
     }
 
-    setItineraryDataState(loadedItineraryData);
-    setManualActivitiesState(loadedManualActivities);
-    setDeletedActivitiesState(loadedDeletedActivities);
-    setBoardingPassesState(organizeBoardingPassesBySegment(loadedBoardingPasses));
+    applyTripDataToState(tripId, loadedTripData);
     setIsDataReadyState(true);
     setIsLoadingState(false);
     return [true, null];
@@ -479,7 +745,7 @@ export function useItineraryDB() {
   // ==========================================================================
   
   /**
-   * Imports user-provided JSON data to IndexedDB.
+   * Imports user-provided JSON data to IndexedDB as a new trip and makes it active.
    * Called from setup wizard after user uploads a JSON file.
    * 
    * @param {Object} jsonItineraryData - The parsed JSON itinerary data
@@ -489,7 +755,7 @@ export function useItineraryDB() {
     console.log('🚀 Importing user JSON data to IndexedDB...');
     
     // CRITICAL PATH: Import data
-    const [, importErr] = await importItineraryData(jsonItineraryData);
+    const [importedTripId, importErr] = await importItineraryData(jsonItineraryData);
     if (importErr) {
       console.error('❌ Import failed:', importErr);
       return [null, importErr];
@@ -501,6 +767,12 @@ export function useItineraryDB() {
       console.error('❌ Failed to mark initialized:', markErr);
       return [null, markErr];
     }
+
+    const [, activateErr] = await setActiveTripId(importedTripId);
+    if (activateErr) {
+      console.error('❌ Failed to activate imported trip:', activateErr);
+      return [null, activateErr];
+    }
     
     console.log('✅ Data import complete!');
     
@@ -508,23 +780,15 @@ export function useItineraryDB() {
     const importStatistics = calculateImportStatistics(jsonItineraryData);
     
     // CRITICAL PATH: Load data directly (avoid stale closure issues)
-    const [loadedItineraryData, itineraryErr] = await getItineraryData();
-    if (itineraryErr) return [null, itineraryErr];
-
-    const [loadedManualActivities, manualErr] = await getAllManualActivities();
-    if (manualErr) return [null, manualErr];
-
-    const [loadedDeletedActivities, deletedErr] = await getAllDeletedActivities();
-    if (deletedErr) return [null, deletedErr];
+    const [tripLibrary, libraryErr] = await getAllTripMetas();
+    if (libraryErr) return [null, libraryErr];
 
-    const [loadedBoardingPasses, boardingPassErr] = await getAllBoardingPasses();
-    if (boardingPassErr) return [null, boardingPassErr];
+    const [loadedTripData, loadErr] = await loadTripScopedData(importedTripId);
+    if (loadErr) return [null, loadErr];
     
     // Update all state at once
-    setItineraryDataState(loadedItineraryData);
-    setManualActivitiesState(loadedManualActivities);
-    setDeletedActivitiesState(loadedDeletedActivities);
-    setBoardingPassesState(organizeBoardingPassesBySegment(loadedBoardingPasses));
+    setTripLibraryState(tripLibrary);
+    applyTripDataToState(importedTripId, loadedTripData);
     setIsDataReadyState(true);
     setIsLoadingState(false);
     setShowSetupWizardState(false);
@@ -538,11 +802,87 @@ export function useItineraryDB() {
   
   /**
    * Completes setup without showing wizard again.
+   * Also used to cancel adding another trip to the library.
    */
   const completeSetupWizard = useCallback(() => {
     setShowSetupWizardState(false);
   }, []);
 
+  // ==========================================================================
+  // CALLBACK: TRIP LIBRARY
+  // ==========================================================================
+
+  /**
+   * Opens the setup wizard to import another trip into the library.
+   */
+  const openSetupWizardForNewTrip = useCallback(() => {
+    setShowSetupWizardState(true);
+  }, []);
+
+  /**
+   * Makes another trip of the library active and loads its data.
+   * 
+   * @param {string} tripId - ID of the trip to switch to
+   * @returns {Promise<[boolean, null] | [null, Error]>} Go-style result tuple
+   */
+  const switchActiveTrip = useCallback(async (tripId) => {
+    const [, activateErr] = await setActiveTripId(tripId);
+    if (activateErr) {
+      console.error('Failed to switch trip:', activateErr);
+      return [null, activateErr];
+    }
+    
+    return loadDataFromDatabase(tripId);
+  }, [loadDataFromDatabase]);
+
+  /**
+   * Deletes a trip and its user data. If the active trip is deleted, the
+   * most recent remaining trip is loaded, or the setup wizard is shown.
+   * 
+   * @param {string} tripId - ID of the trip to delete
+   * @returns {Promise<[void, null] | [null, Error]>} Go-style result tuple
+   */
+  const deleteTripFromLibrary = useCallback(async (tripId) => {
+    const [, deleteErr] = await deleteTripFromDB(tripId);
+    if (deleteErr) {
+      console.error('Failed to delete trip:', deleteErr);
+      return [null, deleteErr];
+    }
+
+    const [remainingTrips, libraryErr] = await getAllTripMetas();
+    if (libraryErr) return [null, libraryErr];
+    setTripLibraryState(remainingTrips);
+
+    if (tripId !== activeTripIdState) return [undefined, null];
+
+    // CRITICAL PATH: The active trip is gone - fall back to another one
+    const nextTripId = resolveActiveTripId(remainingTrips, null);
+    if (!nextTripId) {
+      setActiveTripIdState(null);
+      setItineraryDataState(null);
+      setManualActivitiesState({});
+      setDeletedActivitiesState({});
+      setManualMealsState({});
+      setDeletedMealsState({});
+      setBoardingPassesState({});
+      setBackupPlansState({});
+      setItemStatusesState({});
+      setExpensesState([]);
+      setCostSplitsState({});
+      setActiveRateTable(createDefaultRateTable(DEFAULT_HOME_CURRENCY));
+      setRateTableState(createDefaultRateTable(DEFAULT_HOME_CURRENCY));
+      setReminderSettingsState(createDefaultReminderSettings());
+      setRemindersState([]);
+      setIsDataReadyState(false);
+      setShowSetupWizardState(true);
+      return [undefined, null];
+    }
+
+    const [, switchErr] = await switchActiveTrip(nextTripId);
+    if (switchErr) return [null, switchErr];
+    return [undefined, null];
+  }, [activeTripIdState, switchActiveTrip]);
+
   // ==========================================================================
   // CALLBACK: ADD ACTIVITY
   // ==========================================================================
@@ -555,7 +895,7 @@ export function useItineraryDB() {
    * @returns {Promise<[Object, null] | [null, Error]>} Go-style result tuple with added activity
    */
   const addNewUserActivity = useCallback(async (dateString, activityData) => {
-    const [, addErr] = await addActivity(dateString, activityData);
+    const [, addErr] = await addActivity(activeTripIdState, dateString, activityData);
     if (addErr) {
       console.error('Failed to add activity:', addErr);
       return [null, addErr];
@@ -565,7 +905,7 @@ export function useItineraryDB() {
       addActivityToState(previousState, dateString, activityData)
     );
     return [activityData, null];
-  }, []);
+  }, [activeTripIdState]);
 
   // ==========================================================================
   // CALLBACK: UPDATE ACTIVITY
@@ -580,7 +920,7 @@ export function useItineraryDB() {
    * @returns {Promise<[void, null] | [null, Error]>} Go-style result tuple
    */
   const updateExistingUserActivity = useCallback(async (dateString, activityId, activityUpdates) => {
-    const [, updateErr] = await updateActivity(dateString, activityId, activityUpdates);
+    const [, updateErr] = await updateActivity(activeTripIdState, dateString, activityId, activityUpdates);
     if (updateErr) {
       console.error('Failed to update activity:', updateErr);
       return [null, updateErr];
@@ -590,7 +930,7 @@ export function useItineraryDB() {
       updateActivityInState(previousState, dateString, activityId, activityUpdates)
     );
     return [undefined, null];
-  }, []);
+  }, [activeTripIdState]);
 
   // ==========================================================================
   // CALLBACK: REMOVE ACTIVITY
@@ -604,7 +944,7 @@ export function useItineraryDB() {
    * @returns {Promise<[void, null] | [null, Error]>} Go-style result tuple
    */
   const removeUserActivity = useCallback(async (dateString, activityId) => {
-    const [, removeErr] = await removeActivity(dateString, activityId);
+    const [, removeErr] = await removeActivity(activeTripIdState, dateString, activityId);
     if (removeErr) {
       console.error('Failed to remove activity:', removeErr);
       return [null, removeErr];
@@ -614,7 +954,7 @@ export function useItineraryDB() {
       removeActivityFromState(previousState, dateString, activityId)
     );
     return [undefined, null];
-  }, []);
+  }, [activeTripIdState]);
 
   // ==========================================================================
   // CALLBACK: DELETE ORIGINAL ACTIVITY
@@ -628,7 +968,7 @@ export function useItineraryDB() {
    * @returns {Promise<[void, null] | [null, Error]>} Go-style result tuple
    */
   const deleteOriginalActivityById = useCallback(async (dateString, activityId) => {
-    const [, deleteErr] = await markActivityDeleted(dateString, activityId);
+    const [, deleteErr] = await markActivityDeleted(activeTripIdState, dateString, activityId);
     if (deleteErr) {
       console.error('Failed to delete activity:', deleteErr);
       return [null, deleteErr];
@@ -638,8 +978,353 @@ export function useItineraryDB() {
       addDeletedActivityIdToState(previousState, dateString, activityId)
     );
     return [undefined, null];
+  }, [activeTripIdState]);
+
+  // ==========================================================================
+  // CALLBACKS: MEALS
+  // ==========================================================================
+
+  // Meals are date-keyed lists like activities, so they share the activity state helpers
+
+  /**
+   * Adds a new user meal to a specific date.
+   * 
+   * @param {string} dateString - The date to add the meal to
+   * @param {Object} mealData - The meal data to add
+   * @returns {Promise<[Object, null] | [null, Error]>} Go-style result tuple with added meal
+   */
+  const addNewUserMeal = useCallback(async (dateString, mealData) => {
+    const [, addErr] = await addMeal(activeTripIdState, dateString, mealData);
+    if (addErr) {
+      console.error('Failed to add meal:', addErr);
+      return [null, addErr];
+    }
+
+    setManualMealsState(previousState =>
+      addActivityToState(previousState, dateString, mealData)
+    );
+    return [mealData, null];
+  }, [activeTripIdState]);
+
+  /**
+   * Updates an existing user meal.
+   * 
+   * @param {string} dateString - The date of the meal
+   * @param {string} mealId - ID of the meal to update
+   * @param {Object} mealUpdates - Fields to update
+   * @returns {Promise<[void, null] | [null, Error]>} Go-style result tuple
+   */
+  const updateExistingUserMeal = useCallback(async (dateString, mealId, mealUpdates) => {
+    const [, updateErr] = await updateMeal(activeTripIdState, dateString, mealId, mealUpdates);
+    if (updateErr) {
+      console.error('Failed to update meal:', updateErr);
+      return [null, updateErr];
+    }
+
+    setManualMealsState(previousState =>
+      updateActivityInState(previousState, dateString, mealId, mealUpdates)
+    );
+    return [undefined, null];
+  }, [activeTripIdState]);
+
+  /**
+   * Removes a manual (user-added) meal.
+   * 
+   * @param {string} dateString - The date of the meal
+   * @param {string} mealId - ID of the meal to remove
+   * @returns {Promise<[void, null] | [null, Error]>} Go-style result tuple
+   */
+  const removeUserMeal = useCallback(async (dateString, mealId) => {
+    const [, removeErr] = await removeMeal(activeTripIdState, dateString, mealId);
+    if (removeErr) {
+      console.error('Failed to remove meal:', removeErr);
+      return [null, removeErr];
+    }
+
+    setManualMealsState(previousState =>
+      removeActivityFromState(previousState, dateString, mealId)
+    );
+    return [undefined, null];
+  }, [activeTripIdState]);
+
+  /**
+   * Marks an original (JSON-sourced) meal as deleted.
+   * 
+   * @param {string} dateString - The date of the meal
+   * @param {string} mealId - ID of the meal segment to delete
+   * @returns {Promise<[void, null] | [null, Error]>} Go-style result tuple
+   */
+  const deleteOriginalMealById = useCallback(async (dateString, mealId) => {
+    const [, deleteErr] = await markMealDeleted(activeTripIdState, dateString, mealId);
+    if (deleteErr) {
+      console.error('Failed to delete meal:', deleteErr);
+      return [null, deleteErr];
+    }
+
+    setDeletedMealsState(previousState =>
+      addDeletedActivityIdToState(previousState, dateString, mealId)
+    );
+    return [undefined, null];
+  }, [activeTripIdState]);
+
+  // ==========================================================================
+  // CALLBACK: CHANGE ITEM STATUS
+  // ==========================================================================
+
+  /**
+   * Moves a segment, meal or activity to another status and appends the
+   * change to its history.
+   * 
+   * @param {Object} item - Item being changed (needs id and current status)
+   * @param {string} nextStatus - Status code to move to
+   * @param {Object|null} [bookingDetails] - Booking details when moving to BOOKED
+   * @returns {Promise<[Object, null] | [null, Error]>} Go-style result tuple with the stored record
+   */
+  const changeItemStatus = useCallback(async (item, nextStatus, bookingDetails = null) => {
+    const statusRecord = createStatusChange(itemStatusesState[item.id], item, nextStatus, bookingDetails);
+
+    const [storedRecord, saveErr] = await saveItemStatus(activeTripIdState, item.id, statusRecord);
+    if (saveErr) {
+      console.error('Failed to change item status:', saveErr);
+      return [null, saveErr];
+    }
+
+    setItemStatusesState(previousState => ({ ...previousState, [item.id]: storedRecord }));
+    return [storedRecord, null];
+  }, [activeTripIdState, itemStatusesState]);
+
+  // ==========================================================================
+  // CALLBACK: SAVE CUSTOM STATUSES
+  // ==========================================================================
+
+  /**
+   * Replaces the user-defined statuses of the status registry.
+   * 
+   * @param {Array<Object>} statusDefinitions - Definitions ({ code, label, icon, color })
+   * @returns {Promise<[Array<Object>, null] | [null, Error]>} Go-style result tuple
+   */
+  const saveStatusDefinitions = useCallback(async (statusDefinitions) => {
+    const [savedDefinitions, saveErr] = await saveCustomStatusesToDB(statusDefinitions);
+    if (saveErr) {
+      console.error('Failed to save custom statuses:', saveErr);
+      return [null, saveErr];
+    }
+
+    setCustomStatuses(savedDefinitions);
+    setCustomStatusesState(savedDefinitions);
+    return [savedDefinitions, null];
   }, []);
 
+  // ==========================================================================
+  // CALLBACK: EXPENSES
+  // ==========================================================================
+
+  /**
+   * Adds a new expense or updates an existing one (matched by id).
+   * 
+   * @param {Object} expenseData - Expense fields ({ id?, date, amount, currency, category, payer, split, linkedItemId, note })
+   * @returns {Promise<[Object, null] | [null, Error]>} Go-style result tuple with the stored expense
+   */
+  const saveExpense = useCallback(async (expenseData) => {
+    const [storedExpense, saveErr] = await saveExpenseToDB(activeTripIdState, expenseData);
+    if (saveErr) {
+      console.error('Failed to save expense:', saveErr);
+      return [null, saveErr];
+    }
+
+    // CRITICAL PATH: Edits keep their position, new expenses go last
+    setExpensesState(previousState => (
+      previousState.some(expense => expense.id === storedExpense.id)
+        ? previousState.map(expense => (expense.id === storedExpense.id ? storedExpense : expense))
+        : [...previousState, storedExpense]
+    ));
+    return [storedExpense, null];
+  }, [activeTripIdState]);
+
+  /**
+   * Deletes an expense.
+   * 
+   * @param {string} expenseId - ID of the expense to delete
+   * @returns {Promise<[void, null] | [null, Error]>} Go-style result tuple
+   */
+  const removeExpense = useCallback(async (expenseId) => {
+    const [, deleteErr] = await deleteExpenseFromDB(activeTripIdState, expenseId);
+    if (deleteErr) {
+      console.error('Failed to delete expense:', deleteErr);
+      return [null, deleteErr];
+    }
+
+    setExpensesState(previousState => previousState.filter(expense => expense.id !== expenseId));
+    return [undefined, null];
+  }, [activeTripIdState]);
+
+  // ==========================================================================
+  // CALLBACK: COST SPLITS
+  // ==========================================================================
+
+  /**
+   * Sets who pays an item's estimated cost and how it is shared, or clears
+   * the assignment when costSplit is null.
+   * 
+   * @param {string} itemId - Segment, meal or activity ID
+   * @param {{payer: string, split: Object|null}|null} costSplit - Payer and split, null to unassign
+   * @returns {Promise<[Object|null, null] | [null, Error]>} Go-style result tuple with the stored record
+   */
+  const assignCostSplit = useCallback(async (itemId, costSplit) => {
+    if (!costSplit) {
+      const [, deleteErr] = await deleteCostSplitFromDB(activeTripIdState, itemId);
+      if (deleteErr) {
+        console.error('Failed to clear cost split:', deleteErr);
+        return [null, deleteErr];
+      }
+
+      setCostSplitsState(previousState => {
+        const remainingSplits = { ...previousState };
+        delete remainingSplits[itemId];
+        return remainingSplits;
+      });
+      return [null, null];
+    }
+
+    const [storedSplit, saveErr] = await saveCostSplitToDB(activeTripIdState, itemId, costSplit);
+    if (saveErr) {
+      console.error('Failed to save cost split:', saveErr);
+      return [null, saveErr];
+    }
+
+    setCostSplitsState(previousState => ({ ...previousState, [itemId]: storedSplit }));
+    return [storedSplit, null];
+  }, [activeTripIdState]);
+
+  // ==========================================================================
+  // CALLBACK: EXCHANGE RATES
+  // ==========================================================================
+
+  /**
+   * Replaces the trip's exchange rates and home currency.
+   * 
+   * @param {Object} rateTable - Table ({ homeCurrency, rates: [{ currency, rate, lockedOn }] })
+   * @returns {Promise<[Object, null] | [null, Error]>} Go-style result tuple with the stored table
+   */
+  const saveRateTable = useCallback(async (rateTable) => {
+    const [storedRateTable, saveErr] = await saveRateTableToDB(activeTripIdState, rateTable);
+    if (saveErr) {
+      console.error('Failed to save exchange rates:', saveErr);
+      return [null, saveErr];
+    }
+
+    setActiveRateTable(storedRateTable);
+    setRateTableState(storedRateTable);
+    return [storedRateTable, null];
+  }, [activeTripIdState]);
+
+  // ==========================================================================
+  // CALLBACK: REMINDERS
+  // ==========================================================================
+
+  /**
+   * Replaces the trip's reminder settings. The caller reschedules with
+   * syncReminders, which picks up the new lead times.
+   * 
+   * @param {Object} reminderSettings - Settings ({ isEnabled, leadMinutesByKind })
+   * @returns {Promise<[Object, null] | [null, Error]>} Go-style result tuple with the stored settings
+   */
+  const saveReminderSettings = useCallback(async (reminderSettings) => {
+    const [storedReminderSettings, saveErr] = await saveReminderSettingsToDB(activeTripIdState, reminderSettings);
+    if (saveErr) {
+      console.error('Failed to save reminder settings:', saveErr);
+      return [null, saveErr];
+    }
+
+    setReminderSettingsState(storedReminderSettings);
+    return [storedReminderSettings, null];
+  }, [activeTripIdState]);
+
+  /**
+   * Reschedules the trip's reminders for its current moments, keeping the
+   * shown state of reminders whose time did not change.
+   * 
+   * @param {Array<Object>} reminderMoments - Moments from collectReminderMoments
+   * @returns {Promise<[Array<Object>, null] | [null, Error]>} Go-style result tuple with the scheduled reminders
+   */
+  const syncReminders = useCallback(async (reminderMoments) => {
+    if (!activeTripIdState) return [null, new Error('No trip loaded')];
+
+    // CRITICAL PATH: Read the stored schedule so reminders shown meanwhile are not repeated
+    const [storedReminders, getErr] = await getAllReminders(activeTripIdState);
+    if (getErr) {
+      console.error('Failed to read reminders:', getErr);
+      return [null, getErr];
+    }
+
+    const scheduledReminders = scheduleReminders(reminderMoments, reminderSettingsState, storedReminders);
+    const [, saveErr] = await replaceReminders(activeTripIdState, scheduledReminders);
+    if (saveErr) {
+      console.error('Failed to save reminders:', saveErr);
+      return [null, saveErr];
+    }
+
+    setRemindersState(scheduledReminders);
+    return [scheduledReminders, null];
+  }, [activeTripIdState, reminderSettingsState]);
+
+  /**
+   * Records that reminders were shown, so they are not shown again.
+   * 
+   * @param {Array<string>} reminderIds - IDs of the shown reminders
+   * @returns {Promise<[Array<Object>, null] | [null, Error]>} Go-style result tuple with the updated reminders
+   */
+  const markRemindersNotified = useCallback(async (reminderIds) => {
+    const notifiedAt = Date.now();
+    const updatedReminders = remindersState.map(reminder => (
+      reminderIds.includes(reminder.reminderId) ? { ...reminder, notifiedAt } : reminder
+    ));
+
+    const [, saveErr] = await replaceReminders(activeTripIdState, updatedReminders);
+    if (saveErr) {
+      console.error('Failed to record shown reminders:', saveErr);
+      return [null, saveErr];
+    }
+
+    setRemindersState(updatedReminders);
+    return [updatedReminders, null];
+  }, [activeTripIdState, remindersState]);
+
+  // ==========================================================================
+  // CALLBACK: UPDATE SEGMENT
+  // ==========================================================================
+
+  /**
+   * Edits an imported segment of the active trip and updates the itinerary
+   * state, so the change shows without reloading.
+   * 
+   * @param {string} segmentId - ID of the segment to edit
+   * @param {Object} segmentUpdates - Raw segment fields to overwrite
+   * @returns {Promise<[Object, null] | [null, Error]>} Go-style result tuple with the updated segment
+   */
+  const updateSegment = useCallback(async (segmentId, segmentUpdates) => {
+    // CRITICAL PATH: Segments are stored inside their trip leg, keyed by the leg name
+    const segmentLocation = findRawSegment(itineraryDataState, segmentId);
+    if (!segmentLocation) return [null, new Error(`Segment ${segmentId} not found`)];
+
+    const [updatedSegment, updateErr] = await updateTripSegment(
+      activeTripIdState,
+      segmentLocation.tripLeg.name,
+      segmentId,
+      segmentUpdates
+    );
+    if (updateErr) {
+      console.error('Failed to update segment:', updateErr);
+      return [null, updateErr];
+    }
+    if (!updatedSegment) return [null, new Error(`Segment ${segmentId} not found`)];
+
+    setItineraryDataState(previousItineraryData =>
+      replaceSegmentInItineraryData(previousItineraryData, segmentId, updatedSegment)
+    );
+    return [updatedSegment, null];
+  }, [activeTripIdState, itineraryDataState]);
+
   // ==========================================================================
   // CALLBACK: RESET DATABASE
   // ==========================================================================
@@ -659,10 +1344,24 @@ export function useItineraryDB() {
     }
     
     // Reset all state to initial values
+    setActiveTripIdState(null);
+    setTripLibraryState([]);
     setItineraryDataState(null);
     setManualActivitiesState({});
     setDeletedActivitiesState({});
+    setManualMealsState({});
+    setDeletedMealsState({});
     setBoardingPassesState({});
+    setBackupPlansState({});
+    setItemStatusesState({});
+    setExpensesState([]);
+    setCostSplitsState({});
+    setActiveRateTable(createDefaultRateTable(DEFAULT_HOME_CURRENCY));
+    setRateTableState(createDefaultRateTable(DEFAULT_HOME_CURRENCY));
+    setReminderSettingsState(createDefaultReminderSettings());
+    setRemindersState([]);
+    setCustomStatuses([]);
+    setCustomStatusesState([]);
     setIsDataReadyState(false);
     setShowSetupWizardState(true);
     
@@ -682,7 +1381,7 @@ export function useItineraryDB() {
    * @returns {Promise<[Object, null] | [null, Error]>} Go-style result tuple with added boarding pass
    */
   const addBoardingPass = useCallback(async (segmentId, boardingPassData) => {
-    const dataWithSegment = { ...boardingPassData, segmentId };
+    const dataWithSegment = { ...boardingPassData, segmentId, tripId: activeTripIdState };
     
     const [addedPass, addErr] = await addBoardingPassToDB(dataWithSegment);
     if (addErr) {
@@ -694,7 +1393,7 @@ export function useItineraryDB() {
       addBoardingPassToState(previousState, addedPass)
     );
     return [addedPass, null];
-  }, []);
+  }, [activeTripIdState]);
 
   // ==========================================================================
   // CALLBACK: DELETE BOARDING PASS
@@ -720,6 +1419,103 @@ export function useItineraryDB() {
     return [undefined, null];
   }, []);
 
+  // ==========================================================================
+  // CALLBACK: BACKUP PLANS
+  // ==========================================================================
+
+  /**
+   * Stores the edited backup plan of a segment.
+   * 
+   * @param {string} segmentId - The segment the plan belongs to
+   * @param {Object} backupPlan - Plan with trigger and options
+   * @returns {Promise<[Object, null] | [null, Error]>} Go-style result tuple with the stored plan
+   */
+  const saveBackupPlan = useCallback(async (segmentId, backupPlan) => {
+    const [savedPlan, saveErr] = await saveBackupPlanToDB(activeTripIdState, segmentId, backupPlan);
+    if (saveErr) {
+      console.error('Failed to save backup plan:', saveErr);
+      return [null, saveErr];
+    }
+
+    setBackupPlansState(previousState => ({ ...previousState, [segmentId]: savedPlan }));
+    return [savedPlan, null];
+  }, [activeTripIdState]);
+
+  /**
+   * Deletes the edited backup plan of a segment so its template shows again.
+   * 
+   * @param {string} segmentId - The segment the plan belongs to
+   * @returns {Promise<[void, null] | [null, Error]>} Go-style result tuple
+   */
+  const resetBackupPlan = useCallback(async (segmentId) => {
+    const [, deleteErr] = await deleteBackupPlanFromDB(activeTripIdState, segmentId);
+    if (deleteErr) {
+      console.error('Failed to reset backup plan:', deleteErr);
+      return [null, deleteErr];
+    }
+
+    setBackupPlansState(previousState => removeBackupPlanFromState(previousState, segmentId));
+    return [undefined, null];
+  }, [activeTripIdState]);
+
+  /**
+   * Reloads the itinerary and backup plans after a segment's status changed.
+   * 
+   * @param {string} tripId - ID of the trip to reload
+   * @returns {Promise<[void, null] | [null, Error]>} Go-style result tuple
+   */
+  const reloadItineraryAndBackupPlans = useCallback(async (tripId) => {
+    const [reloadedItineraryData, itineraryErr] = await getItineraryData(tripId);
+    if (itineraryErr) return [null, itineraryErr];
+
+    const [reloadedBackupPlans, backupPlanErr] = await getAllBackupPlans(tripId);
+    if (backupPlanErr) return [null, backupPlanErr];
+
+    setItineraryDataState(reloadedItineraryData);
+    setBackupPlansState(organizeBackupPlansBySegment(reloadedBackupPlans));
+    return [undefined, null];
+  }, []);
+
+  /**
+   * Activates a backup option: the segment becomes DISRUPTED and records
+   * the chosen alternative.
+   * 
+   * @param {string} segmentId - The disrupted segment
+   * @param {Object} backupPlan - Plan shown for the segment (template or stored)
+   * @param {string} optionId - ID of the option taken instead
+   * @returns {Promise<[Object, null] | [null, Error]>} Go-style result tuple with the updated segment
+   */
+  const activateBackupOption = useCallback(async (segmentId, backupPlan, optionId) => {
+    const [disruptedSegment, activateErr] = await activateBackupOptionInDB(activeTripIdState, segmentId, backupPlan, optionId);
+    if (activateErr) {
+      console.error('Failed to activate backup option:', activateErr);
+      return [null, activateErr];
+    }
+    if (!disruptedSegment) return [null, new Error(`Segment ${segmentId} not found`)];
+
+    const [, reloadErr] = await reloadItineraryAndBackupPlans(activeTripIdState);
+    if (reloadErr) return [null, reloadErr];
+    return [disruptedSegment, null];
+  }, [activeTripIdState, reloadItineraryAndBackupPlans]);
+
+  /**
+   * Restores a disrupted segment to its previous status.
+   * 
+   * @param {string} segmentId - The disrupted segment
+   * @returns {Promise<[Object, null] | [null, Error]>} Go-style result tuple with the restored segment
+   */
+  const deactivateBackupPlan = useCallback(async (segmentId) => {
+    const [restoredSegment, deactivateErr] = await deactivateBackupPlanInDB(activeTripIdState, segmentId);
+    if (deactivateErr) {
+      console.error('Failed to restore disrupted segment:', deactivateErr);
+      return [null, deactivateErr];
+    }
+
+    const [, reloadErr] = await reloadItineraryAndBackupPlans(activeTripIdState);
+    if (reloadErr) return [null, reloadErr];
+    return [restoredSegment, null];
+  }, [activeTripIdState, reloadItineraryAndBackupPlans]);
+
   // ==========================================================================
   // RETURN HOOK API
   // ==========================================================================
@@ -733,19 +1529,66 @@ export function useItineraryDB() {
     itineraryData: itineraryDataState,
     manualActivities: manualActivitiesState,
     deletedActivities: deletedActivitiesState,
+    manualMeals: manualMealsState,
+    deletedMeals: deletedMealsState,
     boardingPasses: boardingPassesState,
+    backupPlans: backupPlansState,
+    itemStatuses: itemStatusesState,
+    expenses: expensesState,
+    costSplits: costSplitsState,
+    rateTable: rateTableState,
+    reminderSettings: reminderSettingsState,
+    reminders: remindersState,
+    customStatuses: customStatusesState,
+    activeTripId: activeTripIdState,
+    tripLibrary: tripLibraryState,
     
     // Methods (with backward-compatible names)
     addActivity: addNewUserActivity,
     updateActivity: updateExistingUserActivity,
     removeActivity: removeUserActivity,
     deleteOriginalActivity: deleteOriginalActivityById,
+    addMeal: addNewUserMeal,
+    updateMeal: updateExistingUserMeal,
+    removeMeal: removeUserMeal,
+    deleteOriginalMeal: deleteOriginalMealById,
+    updateSegment,
     importJsonData: importJsonDataToDatabase,
     completeSetup: completeSetupWizard,
     resetDatabase: resetDatabaseToCleanState,
     
+    // Trip library methods
+    switchTrip: switchActiveTrip,
+    addTrip: openSetupWizardForNewTrip,
+    deleteTrip: deleteTripFromLibrary,
+    
     // Boarding pass methods
     addBoardingPass,
-    deleteBoardingPass
+    deleteBoardingPass,
+
+    // Backup plan methods
+    saveBackupPlan,
+    resetBackupPlan,
+    activateBackupOption,
+    deactivateBackupPlan,
+
+    // Status workflow methods
+    changeItemStatus,
+    saveCustomStatuses: saveStatusDefinitions,
+
+    // Expense methods
+    saveExpense,
+    removeExpense,
+
+    // Cost splitting methods
+    assignCostSplit,
+
+    // Exchange rate methods
+    saveRateTable,
+
+    // Reminder methods
+    saveReminderSettings,
+    syncReminders,
+    markRemindersNotified
   };
 }
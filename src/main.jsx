@@ -9,3 +9,13 @@ ReactDOM.createRoot(document.getElementById('root')).render(
     <App />
   </React.StrictMode>,
 )
+
+// Offline support: precached app shell and downloaded map tiles (production builds only)
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).then(
+      () => console.log('📦 Service worker registered'),
+      (error) => console.error('❌ Service worker registration failed:', error)
+    )
+  })
+}
@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Service worker - keeps the app usable offline
+ *
+ * Not bundled with the app: the build (serviceWorkerPlugin in
+ * vite.config.js) fills in the precache list and the cache version, then
+ * emits this file as sw.js next to index.html.
+ *
+ * - App shell: every built file is precached on install; pages are
+ *   network-first so a new deploy shows up as soon as there is a connection
+ * - Map tiles: answered from the tiles downloaded for the trip
+ *   (utils/offlineMaps), falling back to the network. Browsed tiles are not
+ *   stored, so the cache only holds what the user chose to download
+ * - Marker icons (unpkg): cached the first time they load
+ * - Reminder notifications (utils/notifications): a click focuses the app,
+ *   or opens it when no window is left
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** @constant {Array<string>} PRECACHE_URLS - Built files, relative to the service worker */
+const PRECACHE_URLS = __PRECACHE_URLS__;
+
+/** @constant {string} SHELL_CACHE_NAME - Cache of the current build */
+const SHELL_CACHE_NAME = 'iten-shell-__SHELL_CACHE_VERSION__';
+
+/** @constant {string} SHELL_CACHE_PREFIX - Prefix of every build's cache */
+const SHELL_CACHE_PREFIX = 'iten-shell-';
+
+/** @constant {string} MAP_TILE_CACHE_NAME - Downloaded tiles (must match utils/offlineMaps) */
+const MAP_TILE_CACHE_NAME = 'iten-map-tiles';
+
+/** @constant {string} MAP_TILE_HOST_SUFFIX - Host of the map tiles */
+const MAP_TILE_HOST_SUFFIX = '.basemaps.cartocdn.com';
+
+/** @constant {string} MARKER_ICON_CACHE_NAME - Cache of Leaflet marker images */
+const MARKER_ICON_CACHE_NAME = 'iten-marker-icons';
+
+/** @constant {string} MARKER_ICON_HOST - Host serving the Leaflet marker images */
+const MARKER_ICON_HOST = 'unpkg.com';
+
+// =============================================================================
+// REQUEST STRATEGIES
+// =============================================================================
+
+/**
+ * Network first, falling back to the cached app shell.
+ * @param {Request} pageRequest - Navigation request
+ * @returns {Promise<Response>} Page response
+ */
+async function respondToPageRequest(pageRequest) {
+  const shellCache = await caches.open(SHELL_CACHE_NAME);
+  try {
+    const pageResponse = await fetch(pageRequest);
+    if (pageResponse.ok) await shellCache.put('./', pageResponse.clone());
+    return pageResponse;
+  } catch (networkError) {
+    const cachedPage = await shellCache.match('./');
+    if (cachedPage) return cachedPage;
+    throw networkError;
+  }
+}
+
+/**
+ * Cache first, optionally storing network responses.
+ * @param {Request} request - Request to answer
+ * @param {string} cacheName - Cache to look in
+ * @param {boolean} isStoringResponses - Whether network responses are added to the cache
+ * @returns {Promise<Response>} Cached or network response
+ */
+async function respondFromCacheFirst(request, cacheName, isStoringResponses) {
+  const requestCache = await caches.open(cacheName);
+  const cachedResponse = await requestCache.match(request, { ignoreVary: true });
+  if (cachedResponse) return cachedResponse;
+
+  const networkResponse = await fetch(request);
+  // Opaque responses (no-cors images) have status 0 but are still usable
+  if (isStoringResponses && (networkResponse.ok || networkResponse.type === 'opaque')) {
+    await requestCache.put(request, networkResponse.clone());
+  }
+  return networkResponse;
+}
+
+// =============================================================================
+// LIFECYCLE
+// =============================================================================
+
+self.addEventListener('install', (installEvent) => {
+  installEvent.waitUntil(
+    caches.open(SHELL_CACHE_NAME)
+      .then(shellCache => shellCache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (activateEvent) => {
+  // CRITICAL PATH: Only shell caches of older builds are removed - downloaded tiles stay
+  activateEvent.waitUntil(
+    caches.keys()
+      .then(cacheNames => Promise.all(
+        cacheNames
+          .filter(cacheName => cacheName.startsWith(SHELL_CACHE_PREFIX) && cacheName !== SHELL_CACHE_NAME)
+          .map(cacheName => caches.delete(cacheName))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (fetchEvent) => {
+  const { request } = fetchEvent;
+  if (request.method !== 'GET') return;
+
+  const requestUrl = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    fetchEvent.respondWith(respondToPageRequest(request));
+  } else if (requestUrl.hostname.endsWith(MAP_TILE_HOST_SUFFIX)) {
+    fetchEvent.respondWith(respondFromCacheFirst(request, MAP_TILE_CACHE_NAME, false));
+  } else if (requestUrl.hostname === MARKER_ICON_HOST) {
+    fetchEvent.respondWith(respondFromCacheFirst(request, MARKER_ICON_CACHE_NAME, true));
+  } else if (requestUrl.origin === self.location.origin) {
+    fetchEvent.respondWith(respondFromCacheFirst(request, SHELL_CACHE_NAME, true));
+  }
+});
+
+self.addEventListener('notificationclick', (clickEvent) => {
+  clickEvent.notification.close();
+  clickEvent.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windowClients) => {
+      const appWindow = windowClients.find(windowClient => windowClient.url.startsWith(self.registration.scope));
+      return appWindow ? appWindow.focus() : self.clients.openWindow('./');
+    })
+  );
+});
@@ -0,0 +1,236 @@
+/**
+ * @fileoverview Offline airport lookup shared by the parser and the maps
+ *
+ * The worldwide airport table (src/data/airports.json, derived from the
+ * OpenFlights airports.dat under the Open Database License) is ~750KB, so it
+ * is loaded with a dynamic import() into its own chunk. Lookups are
+ * synchronous: callers start loadAirportDatabase() early and re-render or
+ * re-parse once it resolves. Until then only the built-in rail stations
+ * resolve and lookups return null.
+ *
+ * @module utils/airports
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * @typedef {Object} AirportRecord
+ * @property {string} code - Code the record was looked up by
+ * @property {string|null} iata - 3-letter IATA code
+ * @property {string|null} icao - 4-letter ICAO code
+ * @property {string} name - Airport or station name
+ * @property {string} city - Served city
+ * @property {string} country - Country name
+ * @property {string|null} countryCode - ISO 3166-1 alpha-2 country code
+ * @property {number} lat - Latitude
+ * @property {number} lng - Longitude
+ * @property {string|null} tz - IANA time zone
+ */
+
+/**
+ * @constant {Object<string, AirportRecord>} RAIL_STATIONS - Stations used as
+ * route endpoints (Shinkansen legs). Not part of the airport dataset.
+ */
+const RAIL_STATIONS = {
+  UENO: {
+    code: 'UENO', iata: null, icao: null, name: 'Ueno Station', city: 'Tokyo', country: 'Japan',
+    countryCode: 'JP', lat: 35.7141, lng: 139.7774, tz: 'Asia/Tokyo'
+  },
+  JOETSU: {
+    code: 'JOETSU', iata: null, icao: null, name: 'Jōetsumyōkō Station', city: 'Joetsu', country: 'Japan',
+    countryCode: 'JP', lat: 37.1033, lng: 138.2531, tz: 'Asia/Tokyo'
+  }
+};
+
+/** @constant {number} REGIONAL_INDICATOR_OFFSET - 🇦 minus 'A', for flag emoji */
+const REGIONAL_INDICATOR_OFFSET = 0x1F1E6 - 'A'.charCodeAt(0);
+
+// =============================================================================
+// MODULE STATE
+// =============================================================================
+
+/** @type {Map<string, Array>|null} Dataset rows keyed by IATA and ICAO code */
+let airportRowsByCode = null;
+
+/** @type {Map<string, string>|null} ISO country code keyed by lowercase city name */
+let countryCodeByCity = null;
+
+/** @type {Array<string>} Column names of the dataset rows */
+let airportFieldNames = [];
+
+/** @type {Promise<[number, null] | [null, Error]>|null} In-flight or settled load */
+let airportDatabaseLoad = null;
+
+// =============================================================================
+// PURE HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Converts a dataset row to an airport record.
+ * @pure
+ * @param {Array} airportRow - Row in airportFieldNames order
+ * @param {Array<string>} fieldNames - Column names
+ * @param {string} lookupCode - Code the row was found by
+ * @returns {AirportRecord} Airport record
+ */
+function createAirportRecord(airportRow, fieldNames, lookupCode) {
+  const airportRecord = { code: lookupCode };
+  fieldNames.forEach((fieldName, fieldIndex) => {
+    airportRecord[fieldName] = airportRow[fieldIndex] === '' ? null : airportRow[fieldIndex];
+  });
+  return airportRecord;
+}
+
+/**
+ * Builds the code and city indexes over the dataset rows.
+ * IATA codes are indexed first so a clashing ICAO code never shadows one.
+ * @pure
+ * @param {Array<Array>} airportRows - Dataset rows
+ * @param {Array<string>} fieldNames - Column names
+ * @returns {{rowsByCode: Map<string, Array>, countryByCity: Map<string, string>}} Indexes
+ */
+function indexAirportRows(airportRows, fieldNames) {
+  const iataIndex = fieldNames.indexOf('iata');
+  const icaoIndex = fieldNames.indexOf('icao');
+  const cityIndex = fieldNames.indexOf('city');
+  const countryCodeIndex = fieldNames.indexOf('countryCode');
+
+  const rowsByCode = new Map();
+  const countryByCity = new Map();
+
+  for (const airportRow of airportRows) {
+    if (airportRow[iataIndex]) rowsByCode.set(airportRow[iataIndex], airportRow);
+
+    const cityKey = airportRow[cityIndex]?.toLowerCase();
+    if (cityKey && airportRow[countryCodeIndex] && !countryByCity.has(cityKey)) {
+      countryByCity.set(cityKey, airportRow[countryCodeIndex]);
+    }
+  }
+  for (const airportRow of airportRows) {
+    const icaoCode = airportRow[icaoIndex];
+    if (icaoCode && !rowsByCode.has(icaoCode)) rowsByCode.set(icaoCode, airportRow);
+  }
+
+  return { rowsByCode, countryByCity };
+}
+
+/**
+ * Converts an ISO country code to its flag emoji ("PH" → 🇵🇭).
+ * @pure
+ * @param {string|null} countryCode - ISO 3166-1 alpha-2 code
+ * @returns {string} Flag emoji, or empty string if the code is invalid
+ */
+export function countryCodeToFlagEmoji(countryCode) {
+  if (!/^[A-Z]{2}$/.test(countryCode || '')) return '';
+  return String.fromCodePoint(...[...countryCode].map(letter => letter.charCodeAt(0) + REGIONAL_INDICATOR_OFFSET));
+}
+
+/**
+ * Finds candidate airport/station codes in free text, in order of appearance.
+ * Matches "FLL - Fort Lauderdale", "Tokyo (NRT)", "SFO → MNL" and "UENO".
+ * @pure
+ * @param {string|null|undefined} locationText - Text containing codes
+ * @returns {Array<string>} Uppercase 3-6 letter tokens
+ */
+export function findAirportCodeCandidates(locationText) {
+  if (!locationText) return [];
+  return String(locationText).match(/\b[A-Z]{3,6}\b/g) || [];
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Loads the airport dataset chunk. Safe to call repeatedly; all callers
+ * share one load.
+ *
+ * @async
+ * @returns {Promise<[number, null] | [null, Error]>} Go-style tuple with the number of indexed codes
+ */
+export function loadAirportDatabase() {
+  if (airportDatabaseLoad) return airportDatabaseLoad;
+
+  airportDatabaseLoad = import('../data/airports.json')
+    .then((loadedModule) => {
+      const airportDataset = loadedModule.default || loadedModule;
+      const { rowsByCode, countryByCity } = indexAirportRows(airportDataset.airports, airportDataset.fields);
+      airportFieldNames = airportDataset.fields;
+      airportRowsByCode = rowsByCode;
+      countryCodeByCity = countryByCity;
+      console.log(`✈️ Airport database loaded: ${rowsByCode.size} codes`);
+      return [rowsByCode.size, null];
+    })
+    .catch((error) => {
+      console.error('❌ Failed to load airport database:', error);
+      // Allow a retry on the next call (e.g. chunk fetch failed while offline)
+      airportDatabaseLoad = null;
+      return [null, error];
+    });
+
+  return airportDatabaseLoad;
+}
+
+/**
+ * Whether loadAirportDatabase() has finished.
+ * @returns {boolean} True once airport lookups can hit the dataset
+ */
+export function isAirportDatabaseLoaded() {
+  return airportRowsByCode !== null;
+}
+
+/**
+ * Looks up an airport by IATA or ICAO code, or a rail station by its code.
+ *
+ * @param {string|null|undefined} airportCode - "MNL", "RPLL", "UENO", ...
+ * @returns {AirportRecord|null} Airport record, or null if unknown or not loaded yet
+ *
+ * @example
+ * lookupAirport('MNL') // { iata: 'MNL', city: 'Manila', countryCode: 'PH', tz: 'Asia/Manila', ... }
+ */
+export function lookupAirport(airportCode) {
+  if (!airportCode) return null;
+  const normalizedCode = String(airportCode).trim().toUpperCase();
+
+  if (RAIL_STATIONS[normalizedCode]) return RAIL_STATIONS[normalizedCode];
+
+  const airportRow = airportRowsByCode?.get(normalizedCode);
+  return airportRow ? createAirportRecord(airportRow, airportFieldNames, normalizedCode) : null;
+}
+
+/**
+ * Finds the first known airport or station mentioned in free text.
+ *
+ * @param {string|null|undefined} locationText - "FLL - Fort Lauderdale", "Tokyo (NRT)", ...
+ * @returns {AirportRecord|null} First resolvable airport, or null
+ */
+export function findAirportInText(locationText) {
+  for (const candidateCode of findAirportCodeCandidates(locationText)) {
+    const airportRecord = lookupAirport(candidateCode);
+    if (airportRecord) return airportRecord;
+  }
+  return null;
+}
+
+/**
+ * Looks up the country of a city served by an airport in the dataset.
+ *
+ * @param {string|null|undefined} cityName - City name ("Bacolod")
+ * @returns {string|null} ISO country code, or null if unknown or not loaded yet
+ */
+export function lookupCityCountryCode(cityName) {
+  if (!cityName || !countryCodeByCity) return null;
+  return countryCodeByCity.get(String(cityName).trim().toLowerCase()) || null;
+}
+
+/**
+ * Formats an airport as "MNL - Ninoy Aquino International Airport".
+ * @pure
+ * @param {AirportRecord} airportRecord - Airport record
+ * @returns {string} Display label
+ */
+export function formatAirportLabel(airportRecord) {
+  return `${airportRecord.code} - ${airportRecord.name}`;
+}
@@ -0,0 +1,314 @@
+/**
+ * @fileoverview Backup plan templates and editing helpers
+ *
+ * A backup plan is the list of alternatives to fall back on when a travel
+ * segment is disrupted. Plans start from templates produced by a small rule
+ * system - each rule looks at the segment (and the connection into it) and
+ * contributes options when it applies, e.g. "for self-transfer flights add
+ * rebooking the onward ticket yourself" or "for rail segments suggest the
+ * next train". Once the user edits a plan it is stored per segment in
+ * IndexedDB and replaces the template.
+ *
+ * @module utils/backupPlans
+ */
+
+import { isFlightSegment } from './boardingPassCheck';
+import { formatDurationMinutes } from './timezones';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** @constant {string} DEFAULT_BACKUP_OPTION_STATUS - Status of template and new options */
+const DEFAULT_BACKUP_OPTION_STATUS = 'TO_BOOK';
+
+/** @constant {RegExp} RAIL_KEYWORD_PATTERN - Words that mark a segment or leg as rail travel */
+const RAIL_KEYWORD_PATTERN = /shinkansen|\btrains?\b|\brail|\bjr\b|express/i;
+
+/** @constant {Array<string>} GROUND_SEGMENT_TYPES - Non-flight travel types covered by the ground rule */
+const GROUND_SEGMENT_TYPES = ['travel', 'transit', 'bus'];
+
+/** @constant {Array<string>} WORRISOME_CONNECTION_RISKS - Connection risks that call for a faster transfer */
+const WORRISOME_CONNECTION_RISKS = ['tight', 'risky', 'missed'];
+
+// =============================================================================
+// PURE HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Checks whether a segment travels by rail, from its type, details or legs.
+ * @pure
+ * @param {Object} segment - Parsed travel segment
+ * @returns {boolean} True for train segments
+ */
+function isRailSegment(segment) {
+  if (RAIL_KEYWORD_PATTERN.test(segment.type || '') || RAIL_KEYWORD_PATTERN.test(segment.details || '')) return true;
+  return (segment.legs || []).some(leg => RAIL_KEYWORD_PATTERN.test(leg.type || '') || RAIL_KEYWORD_PATTERN.test(leg.train || ''));
+}
+
+/**
+ * Checks whether a segment is road travel (transfer, bus, car).
+ * @pure
+ * @param {Object} segment - Parsed travel segment
+ * @returns {boolean} True for non-flight, non-rail travel
+ */
+function isGroundSegment(segment) {
+  return GROUND_SEGMENT_TYPES.includes((segment.type || '').toLowerCase())
+    && !isFlightSegment(segment)
+    && !isRailSegment(segment);
+}
+
+/**
+ * Short label of the flight feeding a connection ("UA189").
+ * @pure
+ * @param {Object} connection - Flight connection into the segment
+ * @returns {string} Flight number or route of the inbound flight
+ */
+function getInboundFlightLabel(connection) {
+  return connection.inboundFlight.flight || connection.inboundFlight.route || 'the previous flight';
+}
+
+// =============================================================================
+// RULES
+// =============================================================================
+
+/**
+ * @typedef {Object} BackupPlanContext
+ * @property {import('./connections').FlightConnection} [connection] - Connection into the segment, if it is an onward flight
+ */
+
+/**
+ * @typedef {Object} BackupPlanRule
+ * @property {string} id - Rule identifier, part of the option IDs it produces
+ * @property {function(Object, BackupPlanContext): boolean} appliesTo - Whether the rule covers a segment
+ * @property {function(Object, BackupPlanContext): string} trigger - Disruption the options answer
+ * @property {function(Object, BackupPlanContext): Array<{title: string, description: string, contact: string}>} options - Options the rule contributes
+ */
+
+/**
+ * Template rules, most specific first. The first applying rule names the
+ * plan's trigger; every applying rule contributes its options in order.
+ * @constant {Array<BackupPlanRule>}
+ */
+export const BACKUP_PLAN_RULES = [
+  {
+    id: 'self-transfer',
+    appliesTo: (segment, context) => Boolean(context.connection?.isSelfTransfer),
+    trigger: (segment, context) => `Missed self-transfer from ${getInboundFlightLabel(context.connection)}`,
+    options: (segment, context) => [
+      {
+        title: 'Rebook this flight yourself',
+        description: `Separate tickets: ${segment.airline || 'the airline'} will not protect a delay on ${getInboundFlightLabel(context.connection)}. Buy or change to the next departure`,
+        contact: `${segment.airline || 'Airline'} reservations / app`
+      },
+      {
+        title: 'Warn the airline before departure',
+        description: 'Report the late arrival before check-in closes so later flights on the booking are not cancelled as a no-show',
+        contact: `${segment.airline || 'Airline'} customer service`
+      }
+    ]
+  },
+  {
+    id: 'tight-connection',
+    appliesTo: (segment, context) => Boolean(context.connection)
+      && !context.connection.isSelfTransfer
+      && WORRISOME_CONNECTION_RISKS.includes(context.connection.risk),
+    trigger: (segment, context) => `Short connection at ${context.connection.airportCode || 'the airport'} (${formatDurationMinutes(Math.max(0, context.connection.connectionMinutes))})`,
+    options: (segment, context) => [
+      {
+        title: 'Ask for a priority transfer',
+        description: `Tell the crew of ${getInboundFlightLabel(context.connection)} about the connection; ask for a seat near the door and fast track`,
+        contact: 'Cabin crew / transfer desk'
+      },
+      {
+        title: 'Accept automatic reprotection',
+        description: 'On one ticket the airline rebooks a missed connection; check the app for the new flight before queuing',
+        contact: `${segment.airline || 'Airline'} app / transfer desk`
+      }
+    ]
+  },
+  {
+    id: 'flight-rebooking',
+    appliesTo: (segment) => isFlightSegment(segment),
+    trigger: () => 'Flight delay (>2 hrs) or cancellation',
+    options: () => [
+      {
+        title: 'Next available flight same route',
+        description: 'Rebook on next available flight to same destination',
+        contact: 'Airline customer service / online rebooking'
+      },
+      {
+        title: 'Alternate route via different hub',
+        description: 'Consider booking via alternate routing if available',
+        contact: 'Airline customer service'
+      },
+      {
+        title: 'Ground transportation alternative',
+        description: 'Use ground transport if delay < 24hrs and destination reachable',
+        contact: 'Local transportation providers'
+      }
+    ]
+  },
+  {
+    id: 'rail-next-train',
+    appliesTo: (segment) => !isFlightSegment(segment) && isRailSegment(segment),
+    trigger: () => 'Missed or cancelled train',
+    options: () => [
+      {
+        title: 'Next train on the same line',
+        description: 'Change the seat reservation to the next departure at a ticket office or machine',
+        contact: 'Station ticket office'
+      },
+      {
+        title: 'Non-reserved car',
+        description: 'Ride in the non-reserved cars of the next train if reserved seats are sold out',
+        contact: 'Station staff'
+      }
+    ]
+  },
+  {
+    id: 'ground-ride-hail',
+    appliesTo: (segment) => isGroundSegment(segment),
+    trigger: () => 'Transfer late or unavailable',
+    options: () => [
+      {
+        title: 'Taxi or ride-hail',
+        description: 'Book a taxi or ride-hail for the same route',
+        contact: 'Taxi rank / ride-hail app'
+      },
+      {
+        title: 'Next scheduled departure',
+        description: 'Take the next bus or shuttle on the same route',
+        contact: 'Operator timetable'
+      }
+    ]
+  }
+];
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * @typedef {Object} BackupOption
+ * @property {string} id - Option identifier
+ * @property {number} priority - Priority level (1 = highest)
+ * @property {string} title - Option title
+ * @property {string} description - Option description
+ * @property {string} [contact] - Contact information
+ * @property {string} status - Option status code
+ */
+
+/**
+ * @typedef {Object} BackupPlan
+ * @property {string} segmentId - Segment the plan belongs to
+ * @property {string} trigger - Condition that triggers the plan
+ * @property {Array<BackupOption>} options - Options in priority order
+ * @property {boolean} isCustom - True when the plan was edited and stored by the user
+ * @property {string|null} [activeOptionId] - Option in use while the segment is disrupted
+ * @property {number|null} [activatedAt] - When that option was activated
+ */
+
+/**
+ * Builds the template backup plan of a segment from BACKUP_PLAN_RULES.
+ *
+ * @pure
+ * @param {Object} segment - Parsed travel segment
+ * @param {BackupPlanContext} [context] - Connection into the segment
+ * @returns {BackupPlan|null} Template plan, or null if no rule applies
+ */
+export function buildTemplateBackupPlan(segment, context = {}) {
+  const applyingRules = BACKUP_PLAN_RULES.filter(rule => rule.appliesTo(segment, context));
+  if (applyingRules.length === 0) return null;
+
+  const options = [];
+  for (const rule of applyingRules) {
+    rule.options(segment, context).forEach((ruleOption, ruleOptionIndex) => {
+      options.push({
+        ...ruleOption,
+        id: `bp-${segment.id}-${rule.id}-${ruleOptionIndex + 1}`,
+        priority: options.length + 1,
+        status: DEFAULT_BACKUP_OPTION_STATUS
+      });
+    });
+  }
+
+  return {
+    segmentId: segment.id,
+    trigger: applyingRules[0].trigger(segment, context),
+    options,
+    isCustom: false,
+    activeOptionId: null,
+    activatedAt: null
+  };
+}
+
+/**
+ * Picks the plan to show for a segment: the stored one if the user edited
+ * it, otherwise the template.
+ *
+ * @pure
+ * @param {Object} segment - Parsed travel segment
+ * @param {Object|undefined} storedPlan - Plan record from IndexedDB
+ * @param {BackupPlanContext} [context] - Connection into the segment
+ * @returns {BackupPlan|null} Plan, or null if none is stored and no rule applies
+ */
+export function resolveSegmentBackupPlan(segment, storedPlan, context = {}) {
+  if (storedPlan) {
+    return {
+      segmentId: segment.id,
+      trigger: storedPlan.trigger,
+      options: storedPlan.options || [],
+      isCustom: true,
+      activeOptionId: storedPlan.activeOptionId || null,
+      activatedAt: storedPlan.activatedAt || null
+    };
+  }
+  return buildTemplateBackupPlan(segment, context);
+}
+
+/**
+ * Sets each option's priority from its position.
+ * @pure
+ * @param {Array<BackupOption>} options - Options in the desired order
+ * @returns {Array<BackupOption>} New options numbered from 1
+ */
+export function renumberBackupOptions(options) {
+  return options.map((option, optionIndex) => ({ ...option, priority: optionIndex + 1 }));
+}
+
+/**
+ * Moves an option up or down and renumbers the list.
+ * @pure
+ * @param {Array<BackupOption>} options - Current options
+ * @param {string} optionId - Option to move
+ * @param {number} offset - -1 to move up, 1 to move down
+ * @returns {Array<BackupOption>} Reordered options (unchanged order if the move is out of range)
+ */
+export function moveBackupOption(options, optionId, offset) {
+  const fromIndex = options.findIndex(option => option.id === optionId);
+  const toIndex = fromIndex + offset;
+  if (fromIndex === -1 || toIndex < 0 || toIndex >= options.length) return options;
+
+  const reorderedOptions = [...options];
+  const [movedOption] = reorderedOptions.splice(fromIndex, 1);
+  reorderedOptions.splice(toIndex, 0, movedOption);
+  return renumberBackupOptions(reorderedOptions);
+}
+
+/**
+ * Creates an empty user-authored option at the end of a list.
+ * @param {string} segmentId - Segment the option belongs to
+ * @param {number} optionCount - Number of options already in the plan
+ * @returns {BackupOption} New option
+ */
+export function createBackupOption(segmentId, optionCount) {
+  return {
+    id: `bp-${segmentId}-custom-${Date.now()}`,
+    priority: optionCount + 1,
+    title: '',
+    description: '',
+    contact: '',
+    status: DEFAULT_BACKUP_OPTION_STATUS
+  };
+}
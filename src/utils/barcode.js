@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Offline barcode rendering for boarding passes
+ *
+ * Renders BCBP strings as PDF417 or Aztec SVG markup with bwip-js.
+ * Only the two encoders are imported so the rest of bwip-js is tree-shaken;
+ * callers load this module with a dynamic import() to keep it out of the
+ * main bundle.
+ *
+ * @module utils/barcode
+ */
+
+import { pdf417, azteccode, drawingSVG } from 'bwip-js/browser';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * @constant {Object<string, {label: string, encoder: Function, options: Object}>} BARCODE_SYMBOLOGIES -
+ * Symbologies airlines use for BCBP (IATA Resolution 792) and their render options
+ */
+export const BARCODE_SYMBOLOGIES = {
+  pdf417: {
+    label: 'PDF417',
+    encoder: pdf417,
+    // Error correction level 5 and 2:1 rows follow the IATA BCBP recommendation
+    options: { eclevel: 5, columns: 6, rowmult: 2 }
+  },
+  aztec: {
+    label: 'Aztec',
+    encoder: azteccode,
+    options: { eclevel: 23 }
+  }
+};
+
+/** @constant {string} DEFAULT_BARCODE_SYMBOLOGY - PDF417 is accepted by every gate scanner */
+export const DEFAULT_BARCODE_SYMBOLOGY = 'pdf417';
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Renders barcode text as SVG markup.
+ *
+ * @param {string} barcodeText - Text to encode (a BCBP string)
+ * @param {string} [symbology] - Key of BARCODE_SYMBOLOGIES
+ * @returns {[string, null] | [null, Error]} Go-style result tuple with the SVG markup
+ */
+export function renderBarcodeSvg(barcodeText, symbology = DEFAULT_BARCODE_SYMBOLOGY) {
+  const symbologyConfig = BARCODE_SYMBOLOGIES[symbology];
+  if (!symbologyConfig) {
+    return [null, new Error(`Unknown barcode symbology: ${symbology}`)];
+  }
+
+  try {
+    const svgMarkup = symbologyConfig.encoder({
+      text: barcodeText,
+      scale: 3,
+      paddingwidth: 4,
+      paddingheight: 4,
+      backgroundcolor: 'FFFFFF',
+      ...symbologyConfig.options
+    }, drawingSVG());
+    return [svgMarkup, null];
+  } catch (error) {
+    return [null, error instanceof Error ? error : new Error(String(error))];
+  }
+}
+
+/**
+ * Converts SVG markup to a data URL usable as an <img> source.
+ * @pure
+ * @param {string} svgMarkup - SVG document text
+ * @returns {string} data:image/svg+xml URL
+ */
+export function svgToDataUrl(svgMarkup) {
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgMarkup)}`;
+}
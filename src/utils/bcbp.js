@@ -0,0 +1,490 @@
+/**
+ * @fileoverview IATA Bar Coded Boarding Pass (BCBP) parser
+ *
+ * Decodes the text stored in the PDF417/Aztec code of a boarding pass
+ * (IATA Resolution 792) into the field names BoardingPassCard reads
+ * (passenger, pnr, flight, seat, sequence, date, ...).
+ *
+ * FORMAT OVERVIEW:
+ * ================
+ * - Mandatory unique items: format code 'M', leg count, passenger name,
+ *   electronic ticket indicator
+ * - Per leg: 37 characters of mandatory items (PNR, airports, carrier,
+ *   flight number, Julian date, compartment, seat, sequence, status)
+ *   followed by a hex-sized variable field
+ * - The first leg's variable field starts with '>' + version and the
+ *   unique conditional items; every leg may carry repeated conditional
+ *   items and airline-specific data
+ * - Optional security data ('^...') follows the last leg
+ *
+ * @module utils/bcbp
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** @constant {string} BCBP_FORMAT_CODE - Format code of multi-purpose boarding passes */
+const BCBP_FORMAT_CODE = 'M';
+
+/** @constant {number} MANDATORY_UNIQUE_LENGTH - Format code, leg count, name and e-ticket indicator */
+const MANDATORY_UNIQUE_LENGTH = 23;
+
+/** @constant {number} MANDATORY_LEG_LENGTH - Mandatory repeated items incl. the variable field size */
+const MANDATORY_LEG_LENGTH = 37;
+
+/** @constant {number} MAX_LEG_COUNT - Legs a single BCBP can encode */
+const MAX_LEG_COUNT = 4;
+
+/**
+ * @constant {Array<[string, number]>} MANDATORY_LEG_FIELDS - Mandatory repeated
+ * items of each leg as [fieldName, length]
+ */
+const MANDATORY_LEG_FIELDS = [
+  ['pnr', 7],
+  ['departure', 3],
+  ['arrival', 3],
+  ['carrier', 3],
+  ['flightNumber', 5],
+  ['julianDate', 3],
+  ['compartment', 1],
+  ['seat', 4],
+  ['sequence', 5],
+  ['passengerStatus', 1],
+  ['variableFieldSize', 2]
+];
+
+/**
+ * @constant {Array<[string, number]>} UNIQUE_CONDITIONAL_FIELDS - Conditional items
+ * that appear once, after the version number in the first leg
+ */
+const UNIQUE_CONDITIONAL_FIELDS = [
+  ['passengerDescription', 1],
+  ['checkInSource', 1],
+  ['issuanceSource', 1],
+  ['issueDate', 4],
+  ['documentType', 1],
+  ['issuingAirline', 3],
+  ['baggageTag', 13],
+  ['baggageTag2', 13],
+  ['baggageTag3', 13]
+];
+
+/**
+ * @constant {Array<[string, number]>} REPEATED_CONDITIONAL_FIELDS - Conditional items
+ * that each leg may carry
+ */
+const REPEATED_CONDITIONAL_FIELDS = [
+  ['airlineNumericCode', 3],
+  ['documentNumber', 10],
+  ['selecteeIndicator', 1],
+  ['documentVerification', 1],
+  ['marketingCarrier', 3],
+  ['frequentFlyerAirline', 3],
+  ['frequentFlyerNumber', 16],
+  ['idAdIndicator', 1],
+  ['freeBaggageAllowance', 3],
+  ['fastTrack', 1]
+];
+
+/**
+ * @constant {Object<string, string>} COMPARTMENT_CLASS_NAMES - Usual cabin of
+ * IATA compartment codes (airlines may deviate)
+ */
+const COMPARTMENT_CLASS_NAMES = {
+  F: 'First',
+  A: 'First',
+  P: 'First',
+  J: 'Business',
+  C: 'Business',
+  D: 'Business',
+  I: 'Business',
+  Z: 'Business',
+  W: 'Premium Economy',
+  R: 'Premium Economy'
+};
+
+// =============================================================================
+// PURE HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Reads consecutive fixed-width fields from a string.
+ * Fields past the end of the text are left out, which is how BCBP
+ * truncates conditional blocks.
+ * @pure
+ * @param {string} text - Text to read from
+ * @param {Array<[string, number]>} fieldLayout - Field names and widths
+ * @returns {Object<string, string>} Raw field values keyed by name
+ */
+function readFixedWidthFields(text, fieldLayout) {
+  const fieldValues = {};
+  let readOffset = 0;
+
+  for (const [fieldName, fieldLength] of fieldLayout) {
+    if (readOffset >= text.length) break;
+    fieldValues[fieldName] = text.slice(readOffset, readOffset + fieldLength);
+    readOffset += fieldLength;
+  }
+
+  return fieldValues;
+}
+
+/**
+ * Parses a two-character hexadecimal field size.
+ * @pure
+ * @param {string} sizeText - Hex digits (e.g., '4B')
+ * @returns {number|null} Size in characters, or null if not hex
+ */
+function parseHexFieldSize(sizeText) {
+  return /^[0-9A-Fa-f]{2}$/.test(sizeText) ? parseInt(sizeText, 16) : null;
+}
+
+/**
+ * Trims a raw field and returns null for blank values.
+ * @pure
+ * @param {string|undefined} rawValue - Raw fixed-width value
+ * @returns {string|null} Trimmed value or null
+ */
+function cleanFieldValue(rawValue) {
+  const trimmedValue = rawValue?.trim();
+  return trimmedValue ? trimmedValue : null;
+}
+
+/**
+ * Strips the zero padding of a numeric BCBP item with optional letter suffix.
+ * @pure
+ * @param {string} rawValue - Raw value (e.g., '0249 ', '024A', '0025 ')
+ * @returns {string|null} Unpadded value (e.g., '249', '24A', '25'), or trimmed raw text
+ */
+function stripZeroPadding(rawValue) {
+  const trimmedValue = cleanFieldValue(rawValue);
+  if (!trimmedValue) return null;
+
+  const paddedMatch = trimmedValue.match(/^(\d+)([A-Z]?)$/);
+  if (!paddedMatch) return trimmedValue;
+
+  return `${Number(paddedMatch[1])}${paddedMatch[2]}`;
+}
+
+/**
+ * Formats a UTC date as a YYYY-MM-DD key.
+ * @pure
+ * @param {number} year - Full year
+ * @param {number} dayOfYear - Day of year (1-366)
+ * @returns {string} ISO date string
+ */
+function dayOfYearToDateKey(year, dayOfYear) {
+  return new Date(Date.UTC(year, 0, dayOfYear)).toISOString().split('T')[0];
+}
+
+/**
+ * Resolves a BCBP Julian day (no year) to a calendar date.
+ * Uses the boarding pass issue date when present (flights are on or after
+ * issue), otherwise the year that puts the date closest to the reference date.
+ *
+ * @pure
+ * @param {number} dayOfYear - Julian day of the flight (1-366)
+ * @param {string|null} issueDateText - Issue date item 'YDDD' (last digit of year + day)
+ * @param {string} referenceDateKey - Date the pass is expected near (YYYY-MM-DD)
+ * @returns {string} Flight date (YYYY-MM-DD)
+ */
+function resolveJulianFlightDate(dayOfYear, issueDateText, referenceDateKey) {
+  const referenceYear = Number(referenceDateKey.slice(0, 4));
+  const referenceMilliseconds = Date.parse(referenceDateKey);
+
+  const issueDateMatch = issueDateText?.match(/^(\d)(\d{3})$/);
+  if (issueDateMatch) {
+    // Pick the year ending in the issue digit that is closest to the reference
+    const issueYearDigit = Number(issueDateMatch[1]);
+    const candidateIssueYears = [-10, 0, 10].map(decadeShift =>
+      Math.floor(referenceYear / 10) * 10 + decadeShift + issueYearDigit
+    );
+    const issueYear = candidateIssueYears.reduce((closestYear, candidateYear) =>
+      Math.abs(candidateYear - referenceYear) < Math.abs(closestYear - referenceYear) ? candidateYear : closestYear
+    );
+    const issueDayOfYear = Number(issueDateMatch[2]);
+    return dayOfYearToDateKey(dayOfYear >= issueDayOfYear ? issueYear : issueYear + 1, dayOfYear);
+  }
+
+  const candidateDateKeys = [referenceYear - 1, referenceYear, referenceYear + 1]
+    .map(candidateYear => dayOfYearToDateKey(candidateYear, dayOfYear));
+
+  return candidateDateKeys.reduce((closestDateKey, candidateDateKey) =>
+    Math.abs(Date.parse(candidateDateKey) - referenceMilliseconds) < Math.abs(Date.parse(closestDateKey) - referenceMilliseconds)
+      ? candidateDateKey
+      : closestDateKey
+  );
+}
+
+/**
+ * Builds the boarding pass fields of one leg.
+ * @pure
+ * @param {Object<string, string>} mandatoryFields - Raw mandatory leg items
+ * @param {Object<string, string>} conditionalFields - Raw repeated conditional items
+ * @param {string} flightDate - Resolved flight date (YYYY-MM-DD)
+ * @param {string} airlineData - Airline individual use data
+ * @returns {Object} Normalized leg fields
+ */
+function createLegFields(mandatoryFields, conditionalFields, flightDate, airlineData) {
+  const carrierCode = cleanFieldValue(mandatoryFields.carrier);
+  const compartmentCode = cleanFieldValue(mandatoryFields.compartment);
+  const frequentFlyerNumber = cleanFieldValue(conditionalFields.frequentFlyerNumber);
+  const frequentFlyerAirline = cleanFieldValue(conditionalFields.frequentFlyerAirline);
+
+  return {
+    pnr: cleanFieldValue(mandatoryFields.pnr),
+    departure: cleanFieldValue(mandatoryFields.departure),
+    arrival: cleanFieldValue(mandatoryFields.arrival),
+    airline: carrierCode,
+    flight: `${carrierCode || ''}${stripZeroPadding(mandatoryFields.flightNumber) || ''}` || null,
+    date: flightDate,
+    julianDate: Number(mandatoryFields.julianDate),
+    compartment: compartmentCode,
+    class: COMPARTMENT_CLASS_NAMES[compartmentCode] || (compartmentCode ? 'Economy' : null),
+    seat: stripZeroPadding(mandatoryFields.seat),
+    sequence: stripZeroPadding(mandatoryFields.sequence),
+    passengerStatus: cleanFieldValue(mandatoryFields.passengerStatus),
+    marketingCarrier: cleanFieldValue(conditionalFields.marketingCarrier),
+    ticketNumber: conditionalFields.airlineNumericCode && conditionalFields.documentNumber
+      ? cleanFieldValue(`${conditionalFields.airlineNumericCode}${conditionalFields.documentNumber}`)
+      : null,
+    selectee: cleanFieldValue(conditionalFields.selecteeIndicator),
+    frequentFlyer: frequentFlyerNumber ? `${frequentFlyerAirline ? frequentFlyerAirline + ' ' : ''}${frequentFlyerNumber}` : null,
+    freeBaggageAllowance: cleanFieldValue(conditionalFields.freeBaggageAllowance),
+    fastTrack: cleanFieldValue(conditionalFields.fastTrack),
+    airlineData: cleanFieldValue(airlineData)
+  };
+}
+
+/**
+ * Removes null values so stored passes only contain decoded fields.
+ * @pure
+ * @param {Object} fieldValues - Object with possibly-null values
+ * @returns {Object} Copy without null values
+ */
+function omitNullFields(fieldValues) {
+  return Object.fromEntries(Object.entries(fieldValues).filter(([, fieldValue]) => fieldValue !== null));
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Checks whether text looks like a BCBP string rather than JSON.
+ * @pure
+ * @param {string} text - Pasted text
+ * @returns {boolean} True if the text starts with the BCBP format code and a leg count
+ */
+export function isBoardingPassBarcode(text) {
+  return /^M[1-4]/.test(text?.trimStart() ?? '');
+}
+
+/**
+ * Parses an IATA BCBP string into boarding pass fields.
+ * The top-level fields describe the first leg; multi-leg passes list every
+ * leg in `legs`. The original string is kept in `bcbp`.
+ *
+ * @pure
+ * @param {string} barcodeText - BCBP string (as decoded from the barcode)
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.referenceDate] - Date the flight is expected near (YYYY-MM-DD), used
+ *   to pick the year of the Julian flight date; defaults to today
+ * @returns {[Object, null] | [null, Error]} Go-style result tuple
+ *
+ * @example
+ * parseBoardingPassBarcode('M1CAMERON/EARL        EABC123 FLLSFOUA 0249 030Y024A0025 100', { referenceDate: '2026-01-20' })
+ * // Returns [{ passenger: 'CAMERON/EARL', pnr: 'ABC123', flight: 'UA249', date: '2026-01-30', ... }, null]
+ */
+export function parseBoardingPassBarcode(barcodeText, options = {}) {
+  const { referenceDate = new Date().toISOString().split('T')[0] } = options;
+
+  // Scanner apps append line breaks; spaces are significant padding and are kept
+  const bcbpText = typeof barcodeText === 'string' ? barcodeText.replace(/^[\r\n]+|[\r\n]+$/g, '') : '';
+
+  if (bcbpText[0] !== BCBP_FORMAT_CODE) {
+    return [null, new Error(`Not a BCBP string: must start with "${BCBP_FORMAT_CODE}"`)];
+  }
+
+  const legCount = Number(bcbpText[1]);
+  if (!Number.isInteger(legCount) || legCount < 1 || legCount > MAX_LEG_COUNT) {
+    return [null, new Error(`Invalid number of legs "${bcbpText[1]}" (expected 1-${MAX_LEG_COUNT})`)];
+  }
+
+  if (bcbpText.length < MANDATORY_UNIQUE_LENGTH + MANDATORY_LEG_LENGTH) {
+    return [null, new Error(`BCBP string is too short (${bcbpText.length} characters, at least ${MANDATORY_UNIQUE_LENGTH + MANDATORY_LEG_LENGTH} required) - check that trailing spaces were not removed`)];
+  }
+
+  const passengerName = cleanFieldValue(bcbpText.slice(2, 22));
+  if (!passengerName) {
+    return [null, new Error('Passenger name is missing')];
+  }
+
+  const decodedLegs = [];
+  let uniqueConditionalFields = {};
+  let versionNumber = null;
+  let readOffset = MANDATORY_UNIQUE_LENGTH;
+
+  // CRITICAL PATH: Walk the legs; each variable field size tells where the next leg starts
+  for (let legIndex = 0; legIndex < legCount; legIndex++) {
+    const legLabel = `Leg ${legIndex + 1}`;
+    const mandatoryLegText = bcbpText.slice(readOffset, readOffset + MANDATORY_LEG_LENGTH);
+    if (mandatoryLegText.length < MANDATORY_LEG_LENGTH) {
+      return [null, new Error(`${legLabel}: mandatory items are truncated`)];
+    }
+
+    const mandatoryFields = readFixedWidthFields(mandatoryLegText, MANDATORY_LEG_FIELDS);
+    if (!/^[A-Z]{3}$/.test(mandatoryFields.departure) || !/^[A-Z]{3}$/.test(mandatoryFields.arrival)) {
+      return [null, new Error(`${legLabel}: invalid airport codes "${mandatoryFields.departure}"/"${mandatoryFields.arrival}"`)];
+    }
+
+    const julianDay = Number(mandatoryFields.julianDate);
+    if (!/^\d{3}$/.test(mandatoryFields.julianDate) || julianDay < 1 || julianDay > 366) {
+      return [null, new Error(`${legLabel}: invalid Julian flight date "${mandatoryFields.julianDate}"`)];
+    }
+
+    const variableFieldSize = parseHexFieldSize(mandatoryFields.variableFieldSize);
+    if (variableFieldSize === null) {
+      return [null, new Error(`${legLabel}: invalid variable field size "${mandatoryFields.variableFieldSize}"`)];
+    }
+
+    readOffset += MANDATORY_LEG_LENGTH;
+    let variableFieldText = bcbpText.slice(readOffset, readOffset + variableFieldSize);
+    if (variableFieldText.length < variableFieldSize) {
+      return [null, new Error(`${legLabel}: conditional data is truncated`)];
+    }
+    readOffset += variableFieldSize;
+
+    // First leg: version number and unique conditional items
+    if (legIndex === 0 && variableFieldText.startsWith('>')) {
+      versionNumber = cleanFieldValue(variableFieldText[1]);
+      const uniqueFieldSize = parseHexFieldSize(variableFieldText.slice(2, 4));
+      if (uniqueFieldSize === null) {
+        return [null, new Error(`${legLabel}: invalid conditional field size "${variableFieldText.slice(2, 4)}"`)];
+      }
+      uniqueConditionalFields = readFixedWidthFields(variableFieldText.slice(4, 4 + uniqueFieldSize), UNIQUE_CONDITIONAL_FIELDS);
+      variableFieldText = variableFieldText.slice(4 + uniqueFieldSize);
+    }
+
+    // Repeated conditional items, then airline individual use
+    let repeatedConditionalFields = {};
+    let airlineData = variableFieldText;
+    const repeatedFieldSize = variableFieldText.length >= 2 ? parseHexFieldSize(variableFieldText.slice(0, 2)) : null;
+    if (versionNumber !== null && repeatedFieldSize !== null) {
+      repeatedConditionalFields = readFixedWidthFields(variableFieldText.slice(2, 2 + repeatedFieldSize), REPEATED_CONDITIONAL_FIELDS);
+      airlineData = variableFieldText.slice(2 + repeatedFieldSize);
+    }
+
+    const flightDate = resolveJulianFlightDate(julianDay, cleanFieldValue(uniqueConditionalFields.issueDate), referenceDate);
+    decodedLegs.push(omitNullFields(createLegFields(mandatoryFields, repeatedConditionalFields, flightDate, airlineData)));
+  }
+
+  const securityText = bcbpText.slice(readOffset);
+  if (securityText && !securityText.startsWith('^')) {
+    return [null, new Error(`Unexpected data after leg ${legCount}: "${securityText.slice(0, 10)}"`)];
+  }
+
+  const [firstLeg] = decodedLegs;
+  const boardingPassFields = omitNullFields({
+    format: 'BCBP',
+    bcbp: bcbpText,
+    version: versionNumber,
+    passenger: passengerName,
+    electronicTicket: bcbpText[22] === 'E',
+    ...firstLeg,
+    passengerDescription: cleanFieldValue(uniqueConditionalFields.passengerDescription),
+    documentType: cleanFieldValue(uniqueConditionalFields.documentType),
+    issuingAirline: cleanFieldValue(uniqueConditionalFields.issuingAirline),
+    baggageTags: [uniqueConditionalFields.baggageTag, uniqueConditionalFields.baggageTag2, uniqueConditionalFields.baggageTag3]
+      .map(cleanFieldValue)
+      .filter(Boolean),
+    hasSecurityData: securityText.length > 0,
+    legs: decodedLegs.length > 1 ? decodedLegs : null
+  });
+
+  if (boardingPassFields.baggageTags.length === 0) delete boardingPassFields.baggageTags;
+
+  return [boardingPassFields, null];
+}
+
+/**
+ * Returns a copy of a multi-leg pass whose top-level fields describe another leg,
+ * so the pass can be saved against that leg's flight segment.
+ *
+ * @pure
+ * @param {Object} boardingPassFields - Result of parseBoardingPassBarcode
+ * @param {number} legIndex - Index into boardingPassFields.legs
+ * @returns {Object} Boarding pass fields focused on the selected leg
+ */
+export function selectBoardingPassLeg(boardingPassFields, legIndex) {
+  const selectedLeg = boardingPassFields.legs?.[legIndex];
+  if (!selectedLeg) return boardingPassFields;
+
+  const legFieldNames = new Set(boardingPassFields.legs.flatMap(legFields => Object.keys(legFields)));
+  const passWithoutLegFields = Object.fromEntries(
+    Object.entries(boardingPassFields).filter(([fieldName]) => !legFieldNames.has(fieldName))
+  );
+
+  return { ...passWithoutLegFields, ...selectedLeg, legIndex };
+}
+
+/**
+ * Builds a single-leg BCBP string (mandatory items only) from stored pass fields.
+ * Used for passes imported as JSON, which have no original barcode. Missing
+ * route, flight and date fall back to the linked flight segment.
+ *
+ * @pure
+ * @param {Object} boardingPassFields - Stored boarding pass (passenger, pnr, flight, seat, ...)
+ * @param {Object} [flightSegment] - Linked flight segment (flight, route, date)
+ * @returns {[string, null] | [null, Error]} Go-style result tuple with the BCBP string
+ */
+export function buildBoardingPassBarcode(boardingPassFields, flightSegment = {}) {
+  const routeAirportCodes = flightSegment.route?.match(/[A-Z]{3}/g) || [];
+  const passengerName = boardingPassFields.passenger || boardingPassFields.passengerName || boardingPassFields.name;
+  const departureCode = boardingPassFields.departure || boardingPassFields.from || routeAirportCodes[0];
+  const arrivalCode = boardingPassFields.arrival || boardingPassFields.to || routeAirportCodes[routeAirportCodes.length - 1];
+  const flightText = String(boardingPassFields.flight || boardingPassFields.flightNumber || flightSegment.flight || '').replace(/\s+/g, '');
+  const flightDate = boardingPassFields.date || flightSegment.date;
+
+  const flightMatch = flightText.match(/^([A-Z0-9]{2}[A-Z]?)(\d{1,4})([A-Z]?)$/);
+  const missingFieldNames = [
+    !passengerName && 'passenger',
+    !/^[A-Z]{3}$/.test(departureCode || '') && 'departure airport',
+    !/^[A-Z]{3}$/.test(arrivalCode || '') && 'arrival airport',
+    !flightMatch && 'flight number',
+    !/^\d{4}-\d{2}-\d{2}$/.test(flightDate || '') && 'flight date'
+  ].filter(Boolean);
+
+  if (missingFieldNames.length > 0) {
+    return [null, new Error(`Cannot build a barcode without: ${missingFieldNames.join(', ')}`)];
+  }
+
+  const [, carrierCode, flightDigits, flightSuffix] = flightMatch;
+  const dayOfYear = Math.round(
+    (Date.parse(flightDate) - Date.UTC(Number(flightDate.slice(0, 4)), 0, 1)) / (24 * 60 * 60 * 1000)
+  ) + 1;
+  const seatMatch = String(boardingPassFields.seat || '').match(/^(\d{1,3})([A-Z])$/);
+  const sequenceMatch = String(boardingPassFields.sequence || '').match(/^(\d{1,4})([A-Z]?)$/);
+  const compartmentCode = boardingPassFields.compartment || 'Y';
+
+  const bcbpText = [
+    BCBP_FORMAT_CODE,
+    '1',
+    String(passengerName).toUpperCase().slice(0, 20).padEnd(20),
+    'E',
+    String(boardingPassFields.pnr || boardingPassFields.confirmation || '').toUpperCase().slice(0, 7).padEnd(7),
+    departureCode,
+    arrivalCode,
+    carrierCode.padEnd(3),
+    `${flightDigits.padStart(4, '0')}${flightSuffix || ' '}`,
+    String(dayOfYear).padStart(3, '0'),
+    compartmentCode.slice(0, 1),
+    seatMatch ? `${seatMatch[1].padStart(3, '0')}${seatMatch[2]}` : '    ',
+    sequenceMatch ? `${sequenceMatch[1].padStart(4, '0')}${sequenceMatch[2] || ' '}` : '     ',
+    '1',
+    '00'
+  ].join('');
+
+  return [bcbpText, null];
+}
@@ -0,0 +1,176 @@
+/**
+ * @fileoverview Boarding pass cross-checks against flight segments
+ *
+ * Boarding passes are linked to a segment by ID only. These helpers compare
+ * the pass's flight number, airports and date with the linked segment, and
+ * list flights that still have no pass, so a pass saved on the wrong leg is
+ * noticed before reaching the airport.
+ *
+ * @module utils/boardingPassCheck
+ */
+
+// =============================================================================
+// PURE HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Checks if a travel item is a flight (the only travel type with boarding passes).
+ * @pure
+ * @param {Object} travelItem - Travel segment from the day model
+ * @returns {boolean} True for flights
+ */
+export function isFlightSegment(travelItem) {
+  return travelItem.type === 'Flight' || Boolean(travelItem.flight);
+}
+
+/**
+ * Normalizes a flight number for comparison ("5J 474", "UA0249" → "5J474", "UA249").
+ * @pure
+ * @param {string|null|undefined} flightText - Flight number as written
+ * @returns {string|null} Normalized flight number, or null if none
+ */
+function normalizeFlightNumber(flightText) {
+  if (!flightText) return null;
+
+  const compactFlight = String(flightText).toUpperCase().replace(/\s+/g, '');
+  const flightMatch = compactFlight.match(/^([A-Z0-9]{2}[A-Z]?)(\d{1,4})([A-Z]?)$/);
+  if (!flightMatch) return compactFlight;
+
+  return `${flightMatch[1]}${Number(flightMatch[2])}${flightMatch[3]}`;
+}
+
+/**
+ * Extracts an IATA airport code from airport text ("FLL - Fort Lauderdale", "Tokyo (NRT)", "SFO").
+ * @pure
+ * @param {string|null|undefined} airportText - Airport description
+ * @returns {string|null} Three-letter code or null
+ */
+function extractAirportCode(airportText) {
+  if (!airportText) return null;
+  const codeMatch = String(airportText).match(/^([A-Z]{3})\b/) || String(airportText).match(/\(([A-Z]{3})\)/);
+  return codeMatch ? codeMatch[1] : null;
+}
+
+/**
+ * Resolves the departure and arrival codes of a flight segment.
+ * Airport fields win over the route ("FLL → SFO").
+ * @pure
+ * @param {Object} flightSegment - Flight segment
+ * @returns {{departureCode: string|null, arrivalCode: string|null}} Airport codes
+ */
+function resolveSegmentAirportCodes(flightSegment) {
+  const routeAirportCodes = flightSegment.route?.match(/\b[A-Z]{3}\b/g) || [];
+
+  return {
+    departureCode: extractAirportCode(flightSegment.departureAirport) || routeAirportCodes[0] || null,
+    arrivalCode: extractAirportCode(flightSegment.arrivalAirport) || routeAirportCodes[routeAirportCodes.length - 1] || null
+  };
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * @typedef {Object} BoardingPassMismatch
+ * @property {'flight'|'departure'|'arrival'|'date'} field - Compared field
+ * @property {string} expected - Value from the flight segment
+ * @property {string} actual - Value from the boarding pass
+ * @property {string} message - Human-readable warning
+ */
+
+/**
+ * Compares a boarding pass with the flight segment it is linked to.
+ * Fields missing on either side are not compared.
+ *
+ * @pure
+ * @param {Object} boardingPass - Stored boarding pass data
+ * @param {Object} flightSegment - Linked flight segment (flight, route, airports, date)
+ * @returns {Array<BoardingPassMismatch>} Mismatches, empty if the pass matches
+ *
+ * @example
+ * findBoardingPassMismatches({ flight: 'UA189', date: '2026-01-30' }, { flight: 'UA249', date: '2026-01-30' })
+ * // Returns [{ field: 'flight', expected: 'UA249', actual: 'UA189', message: '...' }]
+ */
+export function findBoardingPassMismatches(boardingPass, flightSegment) {
+  if (!boardingPass || !flightSegment) return [];
+
+  const mismatches = [];
+  const passFlight = normalizeFlightNumber(boardingPass.flight || boardingPass.flightNumber || boardingPass.flightNo);
+  const segmentFlight = normalizeFlightNumber(flightSegment.flight);
+  if (passFlight && segmentFlight && passFlight !== segmentFlight) {
+    mismatches.push({
+      field: 'flight',
+      expected: segmentFlight,
+      actual: passFlight,
+      message: `Pass is for flight ${passFlight}, this segment is ${segmentFlight}`
+    });
+  }
+
+  const { departureCode, arrivalCode } = resolveSegmentAirportCodes(flightSegment);
+  const passDepartureCode = extractAirportCode(boardingPass.departure || boardingPass.from);
+  const passArrivalCode = extractAirportCode(boardingPass.arrival || boardingPass.to);
+  if (passDepartureCode && departureCode && passDepartureCode !== departureCode) {
+    mismatches.push({
+      field: 'departure',
+      expected: departureCode,
+      actual: passDepartureCode,
+      message: `Pass departs ${passDepartureCode}, this segment departs ${departureCode}`
+    });
+  }
+  if (passArrivalCode && arrivalCode && passArrivalCode !== arrivalCode) {
+    mismatches.push({
+      field: 'arrival',
+      expected: arrivalCode,
+      actual: passArrivalCode,
+      message: `Pass arrives ${passArrivalCode}, this segment arrives ${arrivalCode}`
+    });
+  }
+
+  const passDate = /^\d{4}-\d{2}-\d{2}$/.test(boardingPass.date || '') ? boardingPass.date : null;
+  if (passDate && flightSegment.date && passDate !== flightSegment.date) {
+    mismatches.push({
+      field: 'date',
+      expected: flightSegment.date,
+      actual: passDate,
+      message: `Pass is dated ${passDate}, this segment departs ${flightSegment.date}`
+    });
+  }
+
+  return mismatches;
+}
+
+/**
+ * Summarizes boarding pass coverage across the whole trip.
+ * Each flight is counted once, on its departure day.
+ *
+ * @pure
+ * @param {Array<Object>} parsedDays - Days from parseItineraryData
+ * @param {Object<string, Array<Object>>} boardingPassesBySegment - Passes keyed by segment ID
+ * @param {string} [fromDateKey] - Only flights departing on or after this date count as missing
+ * @returns {{flightsMissingPasses: Array<Object>, mismatchedPassCount: number, flightCount: number}} Coverage summary
+ */
+export function summarizeBoardingPassCoverage(parsedDays, boardingPassesBySegment, fromDateKey) {
+  const flightsMissingPasses = [];
+  let mismatchedPassCount = 0;
+  let flightCount = 0;
+
+  for (const dayEntry of parsedDays) {
+    for (const travelItem of dayEntry.travel) {
+      if (!isFlightSegment(travelItem) || travelItem.isArrival) continue;
+      flightCount++;
+
+      const segmentPasses = boardingPassesBySegment[travelItem.id] || [];
+      if (segmentPasses.length === 0) {
+        if (!fromDateKey || travelItem.date >= fromDateKey) flightsMissingPasses.push(travelItem);
+        continue;
+      }
+
+      for (const boardingPass of segmentPasses) {
+        if (findBoardingPassMismatches(boardingPass, travelItem).length > 0) mismatchedPassCount++;
+      }
+    }
+  }
+
+  return { flightsMissingPasses, mismatchedPassCount, flightCount };
+}
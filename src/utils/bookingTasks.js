@@ -0,0 +1,176 @@
+/**
+ * @fileoverview Booking tasks: every item across the trip that still needs
+ * booking or checking
+ *
+ * Collects TO_BOOK, PLANNED_WARN and IF_CONDITIONAL items from the live days
+ * (statuses applied), works out how many days are left before each one, and
+ * groups them by urgency or by type for the "To book" dashboard. Items
+ * spanning several days are listed once, on their first day.
+ *
+ * @module utils/bookingTasks
+ */
+
+import { listDayItems, describeDayItem } from './statusWorkflow';
+import { MILLISECONDS_PER_DAY, parseClockTime } from './timezones';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Statuses that put an item on the dashboard.
+ * @constant {Array<string>}
+ */
+export const BOOKING_TASK_STATUS_CODES = ['TO_BOOK', 'PLANNED_WARN', 'IF_CONDITIONAL'];
+
+/**
+ * Urgency levels, most urgent first. An item falls in the first level
+ * whose maxDaysUntil it does not exceed.
+ * @constant {Array<{key: string, label: string, maxDaysUntil: number}>}
+ */
+export const URGENCY_LEVELS = [
+  { key: 'pastDue', label: 'Past due', maxDaysUntil: -1 },
+  { key: 'thisWeek', label: 'Within a week', maxDaysUntil: 7 },
+  { key: 'thisMonth', label: 'Within a month', maxDaysUntil: 30 },
+  { key: 'later', label: 'Later', maxDaysUntil: Infinity }
+];
+
+/**
+ * Item kinds in dashboard order, with their group labels.
+ * @constant {Array<{key: string, label: string}>}
+ */
+export const ITEM_KIND_GROUPS = [
+  { key: 'travel', label: 'Travel' },
+  { key: 'shelter', label: 'Stays' },
+  { key: 'meal', label: 'Meals' },
+  { key: 'activity', label: 'Activities' }
+];
+
+// =============================================================================
+// PURE HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Counts calendar days between two date keys.
+ * @pure
+ * @param {string} fromDateKey - Start date (YYYY-MM-DD)
+ * @param {string} toDateKey - End date (YYYY-MM-DD)
+ * @returns {number} Whole days from start to end (negative if end is earlier)
+ */
+function countDaysBetweenDateKeys(fromDateKey, toDateKey) {
+  const toUtcMilliseconds = (dateKey) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+  };
+  return Math.round((toUtcMilliseconds(toDateKey) - toUtcMilliseconds(fromDateKey)) / MILLISECONDS_PER_DAY);
+}
+
+/**
+ * Minutes after midnight of an item's start, for ordering items on the same day.
+ * @pure
+ * @param {Object} item - Travel, stay, meal or activity
+ * @returns {number} Minutes after midnight, or Infinity when the item has no time
+ */
+function getItemStartMinutes(item) {
+  const startClockTime = parseClockTime(item.timeStart || item.time || item.checkIn);
+  return startClockTime ? startClockTime.hours * 60 + startClockTime.minutes : Infinity;
+}
+
+/**
+ * Finds the urgency level for a number of days left.
+ * @pure
+ * @param {number} daysUntil - Days until the item's date
+ * @returns {string} Urgency level key
+ */
+function resolveUrgencyKey(daysUntil) {
+  return URGENCY_LEVELS.find(urgencyLevel => daysUntil <= urgencyLevel.maxDaysUntil).key;
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * @typedef {Object} BookingTask
+ * @property {Object} item - Item to book (status applied)
+ * @property {'travel'|'shelter'|'meal'|'activity'} itemKind - What the item is
+ * @property {string} itemLabel - Display name
+ * @property {string} dateKey - Day of the item (first day for multi-day items)
+ * @property {number} daysUntil - Days from today to that day
+ * @property {string} urgencyKey - Key of the matching URGENCY_LEVELS entry
+ */
+
+/**
+ * Collects every item waiting on a booking decision, ordered by date
+ * (the deadline) and then by start time.
+ *
+ * @pure
+ * @param {Array<Object>} liveDays - Days with live statuses (applyLiveStatuses)
+ * @param {import('./statusWorkflow').DayUserItems} userItems - User-added and soft-deleted items
+ * @param {string} todayDateKey - Today's date (YYYY-MM-DD)
+ * @returns {Array<BookingTask>} Tasks, soonest first
+ */
+export function collectBookingTasks(liveDays, userItems, todayDateKey) {
+  const listedItemIds = new Set();
+  const bookingTasks = [];
+
+  liveDays.forEach(dayEntry => {
+    listDayItems(dayEntry, userItems).forEach(({ itemKind, item }) => {
+      if (!BOOKING_TASK_STATUS_CODES.includes(item.status) || listedItemIds.has(item.id)) return;
+      listedItemIds.add(item.id);
+
+      const daysUntil = countDaysBetweenDateKeys(todayDateKey, dayEntry.dateKey);
+      bookingTasks.push({
+        item,
+        itemKind,
+        itemLabel: describeDayItem(itemKind, item),
+        dateKey: dayEntry.dateKey,
+        daysUntil,
+        urgencyKey: resolveUrgencyKey(daysUntil)
+      });
+    });
+  });
+
+  // Days are already in order; stable sort keeps that and orders each day by time
+  return bookingTasks.sort((firstTask, secondTask) =>
+    firstTask.dateKey.localeCompare(secondTask.dateKey)
+    || getItemStartMinutes(firstTask.item) - getItemStartMinutes(secondTask.item)
+  );
+}
+
+/**
+ * Splits ordered tasks into groups, keeping the order inside each group.
+ * Empty groups are left out.
+ *
+ * @pure
+ * @param {Array<BookingTask>} bookingTasks - Tasks from collectBookingTasks
+ * @param {'urgency'|'kind'} groupBy - Group by urgency level or by item kind
+ * @returns {Array<{key: string, label: string, tasks: Array<BookingTask>}>} Non-empty groups
+ */
+export function groupBookingTasks(bookingTasks, groupBy) {
+  const groupDefinitions = groupBy === 'kind' ? ITEM_KIND_GROUPS : URGENCY_LEVELS;
+  const readGroupKey = (bookingTask) => (groupBy === 'kind' ? bookingTask.itemKind : bookingTask.urgencyKey);
+
+  return groupDefinitions
+    .map(groupDefinition => ({
+      key: groupDefinition.key,
+      label: groupDefinition.label,
+      tasks: bookingTasks.filter(bookingTask => readGroupKey(bookingTask) === groupDefinition.key)
+    }))
+    .filter(taskGroup => taskGroup.tasks.length > 0);
+}
+
+/**
+ * Sums the estimated costs of tasks per currency.
+ *
+ * @pure
+ * @param {Array<BookingTask>} bookingTasks - Tasks to total
+ * @returns {Object<string, number>} Totals keyed by currency code
+ */
+export function sumEstimatedCostsByCurrency(bookingTasks) {
+  return bookingTasks.reduce((costTotals, { item }) => {
+    if (!item.estimatedCost) return costTotals;
+    const costCurrency = item.currency || 'USD';
+    return { ...costTotals, [costCurrency]: (costTotals[costCurrency] || 0) + item.estimatedCost };
+  }, {});
+}
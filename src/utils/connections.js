@@ -0,0 +1,352 @@
+/**
+ * @fileoverview Minimum connection time analysis
+ *
+ * Pairs every arriving flight with the next departing flight and measures
+ * the connection in absolute time (the parser's UTC instants), so zone
+ * changes and the date line cannot fake a long or short layover. Each
+ * connection is compared with a minimum connection time (MCT) built from:
+ * - the transfer type (domestic/international in, domestic/international out)
+ * - per-airport overrides
+ * - a terminal or airport change
+ * - a self-transfer on separate tickets (bags re-checked, check-in closes early)
+ *
+ * Rules can be overridden per trip with a top-level `connectionRules`
+ * object in the itinerary JSON (same shape as DEFAULT_CONNECTION_RULES).
+ *
+ * @module utils/connections
+ */
+
+import { findAirportCodeCandidates, lookupAirport } from './airports';
+import { isFlightSegment } from './boardingPassCheck';
+import { BUFFER_STATUS } from './statusWorkflow';
+import { MILLISECONDS_PER_MINUTE, formatDurationMinutes } from './timezones';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * @typedef {'domestic-domestic'|'domestic-international'|'international-domestic'|'international-international'} TransferType
+ */
+
+/**
+ * @typedef {Object} AirportConnectionRules
+ * @property {Object<TransferType, number>} [transferTypes] - Minimum minutes per transfer type at this airport
+ * @property {number} [terminalChangeMinutes] - Extra minutes when arriving and departing terminals differ
+ * @property {number} [selfTransferMinutes] - Extra minutes for a self-transfer at this airport
+ */
+
+/**
+ * @typedef {Object} ConnectionRules
+ * @property {Object<TransferType, number>} transferTypes - Minimum minutes per transfer type
+ * @property {number} terminalChangeMinutes - Extra minutes when arriving and departing terminals differ
+ * @property {number} selfTransferMinutes - Extra minutes to collect bags and check in again on separate tickets
+ * @property {number} airportChangeMinutes - Minimum minutes when the next flight leaves from another airport
+ * @property {number} comfortMarginMinutes - Connections within this margin above the minimum are "tight"
+ * @property {number} maximumConnectionMinutes - Longer gaps are stopovers, not connections
+ * @property {Object<string, AirportConnectionRules>} airports - Overrides keyed by IATA code
+ */
+
+/**
+ * Default minimum connection rules. Values follow typical published MCTs
+ * for large hubs; arriving international and leaving domestic takes the
+ * longest because of immigration, customs and re-checking bags.
+ * @constant {ConnectionRules}
+ */
+export const DEFAULT_CONNECTION_RULES = {
+  transferTypes: {
+    'domestic-domestic': 45,
+    'domestic-international': 60,
+    'international-domestic': 90,
+    'international-international': 60
+  },
+  terminalChangeMinutes: 30,
+  selfTransferMinutes: 60,
+  airportChangeMinutes: 240,
+  comfortMarginMinutes: 30,
+  maximumConnectionMinutes: 24 * 60,
+  airports: {
+    // NAIA terminals are separate buildings linked by a landside shuttle through city traffic
+    MNL: { terminalChangeMinutes: 60 },
+    // Arriving international passengers clear US customs at the first airport
+    SFO: { transferTypes: { 'international-domestic': 90 } }
+  }
+};
+
+/**
+ * @constant {Object<string, string>} TRANSFER_TYPE_LABELS - Display names of transfer types
+ */
+export const TRANSFER_TYPE_LABELS = {
+  'domestic-domestic': 'Domestic → domestic',
+  'domestic-international': 'Domestic → international',
+  'international-domestic': 'International → domestic',
+  'international-international': 'International → international'
+};
+
+// =============================================================================
+// PURE HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Departure and arrival airport codes of a flight ("MNL - Ninoy Aquino Intl. T1", "SFO → MNL").
+ * @pure
+ * @param {Object} flightSegment - Flight segment
+ * @returns {{departureCode: string|null, arrivalCode: string|null}} Airport codes
+ */
+function getFlightAirportCodes(flightSegment) {
+  const routeParts = flightSegment.route ? flightSegment.route.split('→') : [];
+  return {
+    departureCode: findAirportCodeCandidates(flightSegment.departureAirport)[0]
+      || findAirportCodeCandidates(routeParts[0])[0]
+      || null,
+    arrivalCode: findAirportCodeCandidates(flightSegment.arrivalAirport)[0]
+      || (routeParts.length > 1 ? findAirportCodeCandidates(routeParts[routeParts.length - 1])[0] : null)
+      || null
+  };
+}
+
+/**
+ * Extracts a terminal from airport text ("Ninoy Aquino Intl. T3", "Narita Terminal 2").
+ * @pure
+ * @param {string|null|undefined} airportText - Airport description
+ * @returns {string|null} Terminal identifier such as "3", or null if not written
+ */
+function extractTerminal(airportText) {
+  const terminalMatch = String(airportText || '').match(/\b(?:T|Terminal\s*)(\d{1,2}[A-Z]?)\b/i);
+  return terminalMatch ? terminalMatch[1].toUpperCase() : null;
+}
+
+/**
+ * Extracts the two-character carrier code from a flight number ("5J 474" → "5J").
+ * @pure
+ * @param {string|null|undefined} flightNumber - Flight number as written
+ * @returns {string|null} Carrier code or null
+ */
+function extractCarrierCode(flightNumber) {
+  const carrierMatch = String(flightNumber || '').toUpperCase().replace(/\s+/g, '').match(/^([A-Z0-9]{2})\d/);
+  return carrierMatch ? carrierMatch[1] : null;
+}
+
+/**
+ * Decides whether a connection is a self-transfer (separate tickets).
+ * An explicit "self-transfer" note wins, then booking references, then a
+ * change of airline.
+ * @pure
+ * @param {Object} inboundFlight - Arriving flight
+ * @param {Object} outboundFlight - Departing flight
+ * @returns {{isSelfTransfer: boolean, reason: string|null}} Verdict and why
+ */
+function resolveSelfTransfer(inboundFlight, outboundFlight) {
+  const mentionsSelfTransfer = (flightSegment) => /self[\s-]?transfer/i.test(flightSegment.details || '');
+  if (mentionsSelfTransfer(inboundFlight) || mentionsSelfTransfer(outboundFlight)) {
+    return { isSelfTransfer: true, reason: 'Marked as a self-transfer' };
+  }
+
+  if (inboundFlight.bookingRef && outboundFlight.bookingRef) {
+    return inboundFlight.bookingRef === outboundFlight.bookingRef
+      ? { isSelfTransfer: false, reason: null }
+      : { isSelfTransfer: true, reason: 'Separate booking references' };
+  }
+
+  const inboundCarrier = extractCarrierCode(inboundFlight.flight);
+  const outboundCarrier = extractCarrierCode(outboundFlight.flight);
+  if (inboundCarrier && outboundCarrier && inboundCarrier !== outboundCarrier) {
+    return { isSelfTransfer: true, reason: `Different airlines (${inboundCarrier} → ${outboundCarrier}) - likely separate tickets` };
+  }
+
+  return { isSelfTransfer: false, reason: null };
+}
+
+/**
+ * Checks if a flight stays within one country. Needs the airport database.
+ * @pure
+ * @param {{departureCode: string|null, arrivalCode: string|null}} airportCodes - Flight endpoints
+ * @returns {boolean|null} True for domestic, false for international, null if unknown
+ */
+function isDomesticFlight(airportCodes) {
+  const departureCountry = lookupAirport(airportCodes.departureCode)?.countryCode;
+  const arrivalCountry = lookupAirport(airportCodes.arrivalCode)?.countryCode;
+  if (!departureCountry || !arrivalCountry) return null;
+  return departureCountry === arrivalCountry;
+}
+
+/**
+ * Combines the inbound and outbound scopes into a transfer type.
+ * @pure
+ * @param {boolean|null} isInboundDomestic - Inbound flight scope
+ * @param {boolean|null} isOutboundDomestic - Outbound flight scope
+ * @returns {TransferType|null} Transfer type, or null if either scope is unknown
+ */
+function getTransferType(isInboundDomestic, isOutboundDomestic) {
+  if (isInboundDomestic === null || isOutboundDomestic === null) return null;
+  return `${isInboundDomestic ? 'domestic' : 'international'}-${isOutboundDomestic ? 'domestic' : 'international'}`;
+}
+
+/**
+ * Collects each timed flight once, in departure order. Flights crossing the
+ * date line are listed on two days; buffers are not flights.
+ * @pure
+ * @param {Array<Object>} parsedDays - Days from parseItineraryData
+ * @returns {Array<Object>} Flights with instants, sorted by departure
+ */
+function collectTimedFlights(parsedDays) {
+  const flightsById = new Map();
+  for (const dayEntry of parsedDays) {
+    for (const travelItem of dayEntry.travel) {
+      if (flightsById.has(travelItem.id) || travelItem.status === BUFFER_STATUS || !isFlightSegment(travelItem)) continue;
+      if (!travelItem.instants || travelItem.instants.isAllDay) continue;
+      flightsById.set(travelItem.id, travelItem);
+    }
+  }
+  return Array.from(flightsById.values()).sort((flightA, flightB) => flightA.instants.startUtc - flightB.instants.startUtc);
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Merges trip-level overrides into the default rules. Transfer types and
+ * airports merge key by key, so an override only needs the values it changes.
+ *
+ * @pure
+ * @param {Partial<ConnectionRules>|null|undefined} ruleOverrides - `connectionRules` from the itinerary JSON
+ * @returns {ConnectionRules} Effective rules
+ *
+ * @example
+ * resolveConnectionRules({ airports: { NRT: { terminalChangeMinutes: 45 } } })
+ */
+export function resolveConnectionRules(ruleOverrides) {
+  if (!ruleOverrides) return DEFAULT_CONNECTION_RULES;
+
+  const mergedAirports = { ...DEFAULT_CONNECTION_RULES.airports };
+  for (const [airportCode, airportOverrides] of Object.entries(ruleOverrides.airports || {})) {
+    const normalizedCode = airportCode.toUpperCase();
+    const defaultAirportRules = mergedAirports[normalizedCode] || {};
+    mergedAirports[normalizedCode] = {
+      ...defaultAirportRules,
+      ...airportOverrides,
+      transferTypes: { ...defaultAirportRules.transferTypes, ...airportOverrides.transferTypes }
+    };
+  }
+
+  return {
+    ...DEFAULT_CONNECTION_RULES,
+    ...ruleOverrides,
+    transferTypes: { ...DEFAULT_CONNECTION_RULES.transferTypes, ...ruleOverrides.transferTypes },
+    airports: mergedAirports
+  };
+}
+
+/**
+ * @typedef {Object} FlightConnection
+ * @property {string} id - "<inbound id>-<outbound id>"
+ * @property {Object} inboundFlight - Arriving flight segment
+ * @property {Object} outboundFlight - Departing flight segment
+ * @property {string} dateKey - Local date the outbound flight departs
+ * @property {string|null} airportCode - Connecting airport (arrival of the inbound flight)
+ * @property {string|null} departureAirportCode - Airport the outbound flight leaves from
+ * @property {boolean} isAirportChange - True if the outbound flight leaves from another airport
+ * @property {string|null} arrivalTerminal - Terminal the inbound flight arrives at
+ * @property {string|null} departureTerminal - Terminal the outbound flight leaves from
+ * @property {number} connectionMinutes - Landing to departure, in absolute time (negative if impossible)
+ * @property {TransferType|null} transferType - Null until both flights' countries are known
+ * @property {boolean} isSelfTransfer - True for separate tickets
+ * @property {string|null} selfTransferReason - Why the connection counts as a self-transfer
+ * @property {number} requiredMinutes - Minimum connection time that applies
+ * @property {'ok'|'tight'|'risky'|'missed'} risk - Verdict
+ * @property {string} message - Human-readable verdict
+ */
+
+/**
+ * Finds every flight connection in a trip and rates it against the
+ * minimum connection rules. Two consecutive flights connect when the
+ * second leaves within maximumConnectionMinutes of the first landing.
+ * Airport countries (and so transfer types) resolve once the airport
+ * database has loaded; until then the strictest transfer type applies.
+ *
+ * @pure
+ * @param {Array<Object>} parsedDays - Days from parseItineraryData
+ * @param {ConnectionRules} [connectionRules] - Rules from resolveConnectionRules
+ * @returns {Array<FlightConnection>} Connections in trip order
+ *
+ * @example
+ * analyzeTripConnections(parsedDays)
+ * // Returns [{ airportCode: 'MNL', connectionMinutes: 225, transferType: 'international-domestic', isSelfTransfer: true, risk: 'tight', ... }]
+ */
+export function analyzeTripConnections(parsedDays, connectionRules = DEFAULT_CONNECTION_RULES) {
+  const timedFlights = collectTimedFlights(parsedDays);
+  const connections = [];
+
+  for (let flightIndex = 0; flightIndex < timedFlights.length - 1; flightIndex++) {
+    const inboundFlight = timedFlights[flightIndex];
+    const outboundFlight = timedFlights[flightIndex + 1];
+
+    // Without an arrival time the landing is unknown
+    if (!inboundFlight.timeEnd) continue;
+
+    const connectionMinutes = (outboundFlight.instants.startUtc - inboundFlight.instants.endUtc) / MILLISECONDS_PER_MINUTE;
+    if (connectionMinutes > connectionRules.maximumConnectionMinutes) continue;
+
+    const inboundCodes = getFlightAirportCodes(inboundFlight);
+    const outboundCodes = getFlightAirportCodes(outboundFlight);
+    const airportCode = inboundCodes.arrivalCode || outboundCodes.departureCode;
+    const isAirportChange = Boolean(inboundCodes.arrivalCode && outboundCodes.departureCode
+      && inboundCodes.arrivalCode !== outboundCodes.departureCode);
+
+    const airportRules = connectionRules.airports[airportCode] || {};
+    const transferTypeMinutes = { ...connectionRules.transferTypes, ...airportRules.transferTypes };
+    const transferType = getTransferType(isDomesticFlight(inboundCodes), isDomesticFlight(outboundCodes));
+
+    const arrivalTerminal = extractTerminal(inboundFlight.arrivalAirport);
+    const departureTerminal = extractTerminal(outboundFlight.departureAirport);
+    const { isSelfTransfer, reason: selfTransferReason } = resolveSelfTransfer(inboundFlight, outboundFlight);
+
+    // CRITICAL PATH: Build the minimum from the transfer, then add what makes it longer
+    let requiredMinutes = transferType
+      ? transferTypeMinutes[transferType]
+      : Math.max(...Object.values(transferTypeMinutes));
+    if (isAirportChange) {
+      requiredMinutes = Math.max(requiredMinutes, connectionRules.airportChangeMinutes);
+    } else if (arrivalTerminal && departureTerminal && arrivalTerminal !== departureTerminal) {
+      requiredMinutes += airportRules.terminalChangeMinutes ?? connectionRules.terminalChangeMinutes;
+    }
+    if (isSelfTransfer) {
+      requiredMinutes += airportRules.selfTransferMinutes ?? connectionRules.selfTransferMinutes;
+    }
+
+    let risk = 'ok';
+    if (connectionMinutes < 0) risk = 'missed';
+    else if (connectionMinutes < requiredMinutes) risk = 'risky';
+    else if (connectionMinutes < requiredMinutes + connectionRules.comfortMarginMinutes) risk = 'tight';
+
+    const connectionLabel = `${inboundFlight.flight || 'Flight'} → ${outboundFlight.flight || 'flight'} at ${airportCode || 'the airport'}`;
+    const messageByRisk = {
+      missed: `${connectionLabel}: the next flight leaves ${formatDurationMinutes(connectionMinutes)} before this one lands`,
+      risky: `${connectionLabel}: ${formatDurationMinutes(connectionMinutes)} is below the ${formatDurationMinutes(requiredMinutes)} minimum connection time`,
+      tight: `${connectionLabel}: ${formatDurationMinutes(connectionMinutes)} is only just above the ${formatDurationMinutes(requiredMinutes)} minimum`,
+      ok: `${connectionLabel}: ${formatDurationMinutes(connectionMinutes)} (minimum ${formatDurationMinutes(requiredMinutes)})`
+    };
+
+    connections.push({
+      id: `${inboundFlight.id}-${outboundFlight.id}`,
+      inboundFlight,
+      outboundFlight,
+      dateKey: outboundFlight.date,
+      airportCode,
+      departureAirportCode: outboundCodes.departureCode,
+      isAirportChange,
+      arrivalTerminal,
+      departureTerminal,
+      connectionMinutes,
+      transferType,
+      isSelfTransfer,
+      selfTransferReason,
+      requiredMinutes,
+      risk,
+      message: messageByRisk[risk]
+    });
+  }
+
+  return connections;
+}
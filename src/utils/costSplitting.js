@@ -0,0 +1,356 @@
+/**
+ * @fileoverview Cost splitting: who paid, who owes, and who settles with whom
+ *
+ * Two kinds of costs are split between the trip's travelers:
+ * - Item estimates (`estimatedCost` on travel, stays, meals and activities),
+ *   whose payer and split live in the costSplits store
+ * - Recorded expenses, which carry their own payer and split
+ *
+ * An expense linked to an item replaces that item's estimate, so a cost is
+ * never shared twice. A cost takes part in the settle-up once it has a
+ * payer. Every split is a mode plus a portion per traveler:
+ * - even:   portions are 1 (in) or 0 (out), the amount is divided equally
+ * - shares: portions are share counts, the amount is divided proportionally
+ * - exact:  portions are amounts in the cost's currency; whatever is left
+ *           over stays with the payer
+ * A missing split shares the cost evenly between every traveler.
+ *
+ * Balances and transfers are computed in one settlement currency; the
+ * caller converts amounts, since it owns the exchange rates.
+ *
+ * @module utils/costSplitting
+ */
+
+import { listDayItems, describeDayItem } from './statusWorkflow';
+import { getExpenseCategory } from './expenses';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Ways to split a cost, in display order.
+ * @constant {Array<{key: string, label: string}>}
+ */
+export const SPLIT_MODES = [
+  { key: 'even', label: 'Evenly' },
+  { key: 'shares', label: 'By shares' },
+  { key: 'exact', label: 'Exact amounts' }
+];
+
+/** @constant {number} SETTLEMENT_TOLERANCE - Balances smaller than this count as settled */
+const SETTLEMENT_TOLERANCE = 0.01;
+
+// =============================================================================
+// TYPE DEFINITIONS
+// =============================================================================
+
+/**
+ * @typedef {Object} CostSplit
+ * @property {'even'|'shares'|'exact'} mode - How the amount is divided
+ * @property {Object<string, number>} portions - Portion of each traveler (see module docs)
+ */
+
+/**
+ * @typedef {Object} SplittableCost
+ * @property {string} costId - Item ID or expense ID
+ * @property {'item'|'expense'} source - Where the cost comes from
+ * @property {string} dateKey - Day of the cost (first day for multi-day items)
+ * @property {string} label - Display name
+ * @property {number} amount - Amount to split
+ * @property {string} currency - ISO currency code
+ * @property {string} payer - Traveler who pays, empty while unassigned
+ * @property {CostSplit|null} split - How the amount is shared, null for evenly between everyone
+ * @property {Object} [expense] - The expense itself, for expense costs
+ */
+
+/**
+ * @typedef {Object} TravelerBalance
+ * @property {string} traveler - Traveler name
+ * @property {number} paid - Total paid, in the settlement currency
+ * @property {number} owed - Total share of the costs, in the settlement currency
+ * @property {number} balance - paid minus owed; positive means others owe them
+ */
+
+/**
+ * @typedef {Object} SettlementTransfer
+ * @property {string} from - Traveler who pays
+ * @property {string} to - Traveler who is paid
+ * @property {number} amount - Amount in the settlement currency
+ */
+
+// =============================================================================
+// PURE HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Rounds an amount to cents.
+ * @pure
+ * @param {number} amount - Amount to round
+ * @returns {number} Amount with at most two decimals
+ */
+function roundToCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Sums the portions of a split.
+ * @pure
+ * @param {Object<string, number>} portions - Portion of each traveler
+ * @returns {number} Sum of all portions
+ */
+function sumPortions(portions) {
+  return Object.values(portions).reduce((portionTotal, portion) => portionTotal + (Number(portion) || 0), 0);
+}
+
+/**
+ * Lists the travelers who take part in a split.
+ * @pure
+ * @param {Object<string, number>} portions - Portion of each traveler
+ * @returns {Array<string>} Names of travelers with a positive portion
+ */
+function listParticipants(portions) {
+  return Object.keys(portions).filter(travelerName => Number(portions[travelerName]) > 0);
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Creates a split sharing a cost evenly between travelers.
+ *
+ * @pure
+ * @param {Array<string>} travelerNames - Travelers sharing the cost
+ * @returns {CostSplit} Even split
+ */
+export function createEvenSplit(travelerNames) {
+  return { mode: 'even', portions: Object.fromEntries(travelerNames.map(travelerName => [travelerName, 1])) };
+}
+
+/**
+ * Switches a split to another mode, keeping the same participants. Exact
+ * amounts start from an even division of the cost.
+ *
+ * @pure
+ * @param {CostSplit|null} split - Current split (null for evenly between everyone)
+ * @param {'even'|'shares'|'exact'} nextMode - Mode to switch to
+ * @param {number} amount - Amount of the cost
+ * @param {Array<string>} travelerNames - All travelers of the trip
+ * @returns {CostSplit} Split in the new mode
+ */
+export function changeSplitMode(split, nextMode, amount, travelerNames) {
+  const currentSplit = split || createEvenSplit(travelerNames);
+  const participantNames = listParticipants(currentSplit.portions);
+  const splitParticipants = participantNames.length > 0 ? participantNames : travelerNames;
+
+  if (nextMode === 'exact') {
+    const evenAmount = splitParticipants.length > 0 ? roundToCents(amount / splitParticipants.length) : 0;
+    return { mode: 'exact', portions: Object.fromEntries(splitParticipants.map(travelerName => [travelerName, evenAmount])) };
+  }
+  return { mode: nextMode, portions: Object.fromEntries(splitParticipants.map(travelerName => [travelerName, 1])) };
+}
+
+/**
+ * Checks that a split can divide its cost.
+ *
+ * @pure
+ * @param {CostSplit|null} split - Split to check (null is always valid)
+ * @param {number} amount - Amount of the cost
+ * @returns {string|null} Problem to show the user, or null when valid
+ */
+export function validateSplit(split, amount) {
+  if (!split) return null;
+  if (listParticipants(split.portions).length === 0) return 'Pick at least one traveler to share the cost';
+
+  if (split.mode === 'exact') {
+    const assignedTotal = sumPortions(split.portions);
+    if (assignedTotal - amount >= SETTLEMENT_TOLERANCE) {
+      return `Exact amounts add up to ${roundToCents(assignedTotal)}, more than the cost of ${amount}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Divides a cost between travelers. Exact amounts that add up to less
+ * than the cost leave the rest with the payer.
+ *
+ * @pure
+ * @param {number} amount - Amount of the cost
+ * @param {CostSplit|null} split - How to share it (null for evenly between everyone)
+ * @param {Array<string>} travelerNames - All travelers of the trip
+ * @param {string} payer - Traveler who paid
+ * @returns {Object<string, number>} Share of each participant in the cost's currency
+ */
+export function divideCost(amount, split, travelerNames, payer) {
+  const costSplit = split || createEvenSplit(travelerNames);
+  const participantNames = listParticipants(costSplit.portions);
+  if (participantNames.length === 0) return { [payer]: amount };
+
+  if (costSplit.mode === 'exact') {
+    const sharesByTraveler = Object.fromEntries(participantNames.map(travelerName => [travelerName, Number(costSplit.portions[travelerName])]));
+    const unassignedAmount = amount - sumPortions(sharesByTraveler);
+    if (unassignedAmount > 0) sharesByTraveler[payer] = (sharesByTraveler[payer] || 0) + unassignedAmount;
+    return sharesByTraveler;
+  }
+
+  const portionTotal = costSplit.mode === 'shares' ? sumPortions(costSplit.portions) : participantNames.length;
+  return Object.fromEntries(participantNames.map(travelerName => [
+    travelerName,
+    amount * (costSplit.mode === 'shares' ? Number(costSplit.portions[travelerName]) : 1) / portionTotal
+  ]));
+}
+
+/**
+ * Collects every cost that can be split: item estimates not replaced by a
+ * linked expense, then the recorded expenses. Items spanning several days
+ * count once, on their first day.
+ *
+ * @pure
+ * @param {Array<Object>} liveDays - Days with live statuses (applyLiveStatuses)
+ * @param {import('./statusWorkflow').DayUserItems} userItems - User-added and soft-deleted items
+ * @param {Array<import('./expenses').Expense>} expenses - Recorded expenses
+ * @param {Object<string, {payer: string, split: CostSplit|null}>} costSplitsById - Item cost splits keyed by item ID
+ * @returns {Array<SplittableCost>} Item costs in day order, then expenses
+ */
+export function collectSplittableCosts(liveDays, userItems, expenses, costSplitsById) {
+  const itemIdsPaidByExpenses = new Set(expenses.map(expense => expense.linkedItemId).filter(Boolean));
+  const countedItemIds = new Set();
+  const splittableCosts = [];
+
+  liveDays.forEach(dayEntry => {
+    listDayItems(dayEntry, userItems).forEach(({ itemKind, item }) => {
+      if (!item.id || !item.estimatedCost || !item.currency) return;
+      if (countedItemIds.has(item.id) || itemIdsPaidByExpenses.has(item.id)) return;
+      countedItemIds.add(item.id);
+
+      const costSplit = costSplitsById[item.id];
+      splittableCosts.push({
+        costId: item.id,
+        source: 'item',
+        dateKey: dayEntry.dateKey,
+        label: describeDayItem(itemKind, item),
+        amount: item.estimatedCost,
+        currency: item.currency,
+        payer: costSplit?.payer || '',
+        split: costSplit?.split || null
+      });
+    });
+  });
+
+  expenses.forEach(expense => {
+    const expenseCategory = getExpenseCategory(expense.category);
+    splittableCosts.push({
+      costId: expense.id,
+      source: 'expense',
+      dateKey: expense.date,
+      label: expense.note || `${expenseCategory.emoji} ${expenseCategory.label}`,
+      amount: expense.amount,
+      currency: expense.currency,
+      payer: expense.payer || '',
+      split: expense.split || null,
+      expense
+    });
+  });
+
+  return splittableCosts;
+}
+
+/**
+ * Totals what each traveler paid and owes over every cost with a payer,
+ * in the settlement currency. Payers and participants missing from the
+ * trip's traveler list get a balance of their own.
+ *
+ * @pure
+ * @param {Array<SplittableCost>} splittableCosts - From collectSplittableCosts
+ * @param {Array<string>} travelerNames - All travelers of the trip
+ * @param {Function} convertAmount - (amount, currencyCode, dateKey) => amount in the settlement currency
+ * @returns {Array<TravelerBalance>} Balances, trip travelers first
+ */
+export function computeTravelerBalances(splittableCosts, travelerNames, convertAmount) {
+  const balancesByTraveler = new Map(travelerNames.map(travelerName => [travelerName, { traveler: travelerName, paid: 0, owed: 0, balance: 0 }]));
+
+  /**
+   * Finds or creates the balance of a traveler.
+   * @param {string} travelerName - Traveler to look up
+   * @returns {TravelerBalance} Mutable balance entry
+   */
+  const getTravelerBalance = (travelerName) => {
+    if (!balancesByTraveler.has(travelerName)) {
+      balancesByTraveler.set(travelerName, { traveler: travelerName, paid: 0, owed: 0, balance: 0 });
+    }
+    return balancesByTraveler.get(travelerName);
+  };
+
+  splittableCosts
+    .filter(splittableCost => splittableCost.payer)
+    .forEach(splittableCost => {
+      getTravelerBalance(splittableCost.payer).paid += convertAmount(splittableCost.amount, splittableCost.currency, splittableCost.dateKey);
+
+      const sharesByTraveler = divideCost(splittableCost.amount, splittableCost.split, travelerNames, splittableCost.payer);
+      Object.entries(sharesByTraveler).forEach(([travelerName, shareAmount]) => {
+        getTravelerBalance(travelerName).owed += convertAmount(shareAmount, splittableCost.currency, splittableCost.dateKey);
+      });
+    });
+
+  return [...balancesByTraveler.values()].map(travelerBalance => ({
+    ...travelerBalance,
+    balance: travelerBalance.paid - travelerBalance.owed
+  }));
+}
+
+/**
+ * Computes the transfers that settle everyone's balance by pairing the
+ * largest debtor with the largest creditor until everyone is settled. Each
+ * transfer settles at least one traveler, so there are at most one fewer
+ * transfers than travelers with a balance.
+ *
+ * @pure
+ * @param {Array<TravelerBalance>} travelerBalances - From computeTravelerBalances
+ * @returns {Array<SettlementTransfer>} Transfers in the settlement currency, largest first
+ */
+export function computeSettlement(travelerBalances) {
+  const remainingBalances = travelerBalances
+    .filter(travelerBalance => Math.abs(travelerBalance.balance) >= SETTLEMENT_TOLERANCE)
+    .map(travelerBalance => ({ traveler: travelerBalance.traveler, balance: travelerBalance.balance }));
+  const settlementTransfers = [];
+
+  while (remainingBalances.length > 1) {
+    remainingBalances.sort((firstBalance, secondBalance) => firstBalance.balance - secondBalance.balance);
+    const largestDebtor = remainingBalances[0];
+    const largestCreditor = remainingBalances[remainingBalances.length - 1];
+    if (largestDebtor.balance > -SETTLEMENT_TOLERANCE || largestCreditor.balance < SETTLEMENT_TOLERANCE) break;
+
+    const transferAmount = Math.min(-largestDebtor.balance, largestCreditor.balance);
+    settlementTransfers.push({ from: largestDebtor.traveler, to: largestCreditor.traveler, amount: roundToCents(transferAmount) });
+    largestDebtor.balance += transferAmount;
+    largestCreditor.balance -= transferAmount;
+
+    // CRITICAL PATH: Drop whoever is settled so the loop always shrinks
+    for (let balanceIndex = remainingBalances.length - 1; balanceIndex >= 0; balanceIndex--) {
+      if (Math.abs(remainingBalances[balanceIndex].balance) < SETTLEMENT_TOLERANCE) remainingBalances.splice(balanceIndex, 1);
+    }
+  }
+
+  return settlementTransfers;
+}
+
+/**
+ * Summarizes how a cost is shared ("Evenly · 2 people", "By shares · 2:1").
+ *
+ * @pure
+ * @param {CostSplit|null} split - Split to describe (null for evenly between everyone)
+ * @param {Array<string>} travelerNames - All travelers of the trip
+ * @returns {string} Short description
+ */
+export function describeSplit(split, travelerNames) {
+  const costSplit = split || createEvenSplit(travelerNames);
+  const participantNames = listParticipants(costSplit.portions);
+  const splitMode = SPLIT_MODES.find(mode => mode.key === costSplit.mode) || SPLIT_MODES[0];
+
+  if (costSplit.mode === 'shares') {
+    return `${splitMode.label} · ${participantNames.map(travelerName => costSplit.portions[travelerName]).join(':')}`;
+  }
+  return `${splitMode.label} · ${participantNames.length} ${participantNames.length === 1 ? 'person' : 'people'}`;
+}
@@ -0,0 +1,325 @@
+/**
+ * @fileoverview Exchange rates: a per-trip rate table and a home currency
+ *
+ * Every trip has a rate table stored in settings. It names the home
+ * currency that totals are shown in, and how many units of each other
+ * currency one unit of the home currency buys ("1 USD = 150 JPY"). A rate
+ * can be locked on a date - e.g. the day cash was exchanged - and then
+ * applies to costs from that day on:
+ * - A cost uses the latest rate locked on or before its day
+ * - Costs before every locked rate use the currency's unlocked rate,
+ *   or the earliest locked one when there is none
+ * Currencies without any rate are not converted at all (never 1:1); the
+ * budget reports them so the user can add the missing rate.
+ *
+ * Trips without a stored table start from approximate defaults. The DB
+ * hook installs the active trip's table here so formatting is synchronous,
+ * like the status registry; amount displays subscribe to it so memoized
+ * sections re-render when rates change.
+ *
+ * @module utils/exchangeRates
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** @constant {string} DEFAULT_HOME_CURRENCY - Home currency of trips without a budget currency */
+export const DEFAULT_HOME_CURRENCY = 'USD';
+
+/**
+ * Approximate value of one unit in USD, used to seed new rate tables.
+ * These are for rough budget tracking, not financial transactions.
+ * @constant {Object<string, number>}
+ */
+const DEFAULT_USD_VALUE_PER_UNIT = {
+  USD: 1,
+  PHP: 0.018,  // ~56 PHP per USD
+  JPY: 0.0067  // ~150 JPY per USD
+};
+
+/**
+ * Currency codes offered when the browser cannot list ISO 4217 codes.
+ * @constant {Array<string>}
+ */
+const FALLBACK_CURRENCY_CODES = [
+  'AUD', 'CAD', 'CHF', 'CNY', 'EUR', 'GBP', 'HKD', 'IDR', 'INR', 'JPY', 'KRW',
+  'MXN', 'MYR', 'NZD', 'PHP', 'SGD', 'THB', 'TWD', 'USD', 'VND'
+];
+
+/** @constant {RegExp} CURRENCY_CODE_PATTERN - Shape of an ISO 4217 code */
+const CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/;
+
+// =============================================================================
+// TYPE DEFINITIONS
+// =============================================================================
+
+/**
+ * @typedef {Object} ExchangeRate
+ * @property {string} currency - ISO 4217 code
+ * @property {number} rate - Units of the currency per one unit of the home currency
+ * @property {string|null} lockedOn - Day the rate applies from (YYYY-MM-DD), null when unlocked
+ */
+
+/**
+ * @typedef {Object} RateTable
+ * @property {string} homeCurrency - ISO 4217 code totals are shown in
+ * @property {Array<ExchangeRate>} rates - Rates of the other currencies
+ */
+
+// =============================================================================
+// MODULE STATE
+// =============================================================================
+
+/** @type {RateTable} Rate table of the active trip */
+let activeRateTable = createDefaultRateTable(DEFAULT_HOME_CURRENCY);
+
+/** @type {Set<Function>} Listeners notified when the active rate table changes */
+const rateTableListeners = new Set();
+
+// =============================================================================
+// PURE HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Picks the rate of a currency that applies on a day.
+ * @pure
+ * @param {Array<ExchangeRate>} currencyRates - Rates of one currency
+ * @param {string} [dateKey] - Day of the cost (YYYY-MM-DD); latest rate when omitted
+ * @returns {ExchangeRate|null} Applicable rate, or null when there is none
+ */
+function pickApplicableRate(currencyRates, dateKey) {
+  if (currencyRates.length === 0) return null;
+
+  const lockedRates = currencyRates
+    .filter(exchangeRate => exchangeRate.lockedOn)
+    .sort((firstRate, secondRate) => firstRate.lockedOn.localeCompare(secondRate.lockedOn));
+  const unlockedRate = currencyRates.find(exchangeRate => !exchangeRate.lockedOn) || null;
+
+  const ratesLockedByDay = dateKey
+    ? lockedRates.filter(exchangeRate => exchangeRate.lockedOn <= dateKey)
+    : lockedRates;
+  if (ratesLockedByDay.length > 0) return ratesLockedByDay[ratesLockedByDay.length - 1];
+
+  return unlockedRate || lockedRates[0];
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Creates a rate table seeded with the approximate default rates.
+ *
+ * @pure
+ * @param {string} homeCurrency - ISO 4217 home currency
+ * @returns {RateTable} New rate table
+ */
+export function createDefaultRateTable(homeCurrency) {
+  const homeValueInUSD = DEFAULT_USD_VALUE_PER_UNIT[homeCurrency];
+  const rates = homeValueInUSD
+    ? Object.entries(DEFAULT_USD_VALUE_PER_UNIT)
+      .filter(([currencyCode]) => currencyCode !== homeCurrency)
+      .map(([currencyCode, valueInUSD]) => ({ currency: currencyCode, rate: Number((homeValueInUSD / valueInUSD).toPrecision(6)), lockedOn: null }))
+    : [];
+  return { homeCurrency, rates };
+}
+
+/**
+ * Lists every ISO 4217 currency code the browser knows.
+ *
+ * @pure
+ * @returns {Array<string>} Sorted currency codes
+ */
+export function listCurrencyCodes() {
+  if (typeof Intl.supportedValuesOf === 'function') return Intl.supportedValuesOf('currency');
+  return FALLBACK_CURRENCY_CODES;
+}
+
+/**
+ * Checks that a string looks like an ISO 4217 code.
+ *
+ * @pure
+ * @param {string} currencyCode - Code to check
+ * @returns {boolean} True for three upper-case letters
+ */
+export function isValidCurrencyCode(currencyCode) {
+  return CURRENCY_CODE_PATTERN.test(currencyCode || '');
+}
+
+/**
+ * Checks a rate before it is added to a table.
+ *
+ * @pure
+ * @param {ExchangeRate} exchangeRate - Rate to check
+ * @param {RateTable} rateTable - Table it joins
+ * @returns {string|null} Problem description, or null when valid
+ */
+export function validateExchangeRate(exchangeRate, rateTable) {
+  if (!isValidCurrencyCode(exchangeRate.currency)) return 'Pick a currency';
+  if (exchangeRate.currency === rateTable.homeCurrency) return `${exchangeRate.currency} is the home currency`;
+  if (!(exchangeRate.rate > 0)) return 'Rate must be greater than 0';
+  const isDuplicate = rateTable.rates.some(existingRate => (
+    existingRate.currency === exchangeRate.currency && (existingRate.lockedOn || null) === (exchangeRate.lockedOn || null)
+  ));
+  if (isDuplicate) {
+    return exchangeRate.lockedOn
+      ? `${exchangeRate.currency} already has a rate locked on ${exchangeRate.lockedOn}`
+      : `${exchangeRate.currency} already has an unlocked rate`;
+  }
+  return null;
+}
+
+/**
+ * Converts an amount with a rate table.
+ *
+ * @pure
+ * @param {RateTable} rateTable - Rates to use
+ * @param {number} amount - Amount in the source currency
+ * @param {string} fromCurrency - ISO code of the source currency
+ * @param {string} toCurrency - ISO code of the target currency
+ * @param {string} [dateKey] - Day of the amount, for locked rates
+ * @returns {number|null} Converted amount, or null when a rate is missing
+ */
+export function convertWithRateTable(rateTable, amount, fromCurrency, toCurrency, dateKey) {
+  if (fromCurrency === toCurrency) return amount;
+
+  /**
+   * Units of a currency per unit of the home currency.
+   * @param {string} currencyCode - ISO code
+   * @returns {number|null} Rate, or null when missing
+   */
+  const getUnitsPerHome = (currencyCode) => {
+    if (currencyCode === rateTable.homeCurrency) return 1;
+    const currencyRates = rateTable.rates.filter(exchangeRate => exchangeRate.currency === currencyCode);
+    return pickApplicableRate(currencyRates, dateKey)?.rate ?? null;
+  };
+
+  const fromUnitsPerHome = getUnitsPerHome(fromCurrency);
+  const toUnitsPerHome = getUnitsPerHome(toCurrency);
+  if (!fromUnitsPerHome || !toUnitsPerHome) return null;
+  return amount / fromUnitsPerHome * toUnitsPerHome;
+}
+
+/**
+ * Re-expresses a rate table in another home currency. Each rate is divided
+ * by the new home currency's rate that applied on the same day, and the old
+ * home currency joins the table.
+ *
+ * @pure
+ * @param {RateTable} rateTable - Table to re-base
+ * @param {string} nextHomeCurrency - ISO code of the new home currency
+ * @returns {RateTable|null} Re-based table, or null when the new home currency has no rate
+ */
+export function rebaseRateTable(rateTable, nextHomeCurrency) {
+  if (nextHomeCurrency === rateTable.homeCurrency) return rateTable;
+
+  const nextHomeRates = rateTable.rates.filter(exchangeRate => exchangeRate.currency === nextHomeCurrency);
+  if (nextHomeRates.length === 0) return null;
+
+  /**
+   * Rate of the new home currency that applied when a rate was locked.
+   * @param {string|null} lockedOn - Lock day of the rate being re-based
+   * @returns {number} Units of the new home currency per old home unit
+   */
+  const getNextHomeRate = (lockedOn) => (
+    lockedOn
+      ? pickApplicableRate(nextHomeRates, lockedOn).rate
+      : (nextHomeRates.find(exchangeRate => !exchangeRate.lockedOn) || pickApplicableRate(nextHomeRates)).rate
+  );
+
+  const rebasedRates = rateTable.rates
+    .filter(exchangeRate => exchangeRate.currency !== nextHomeCurrency)
+    .map(exchangeRate => ({
+      ...exchangeRate,
+      rate: Number((exchangeRate.rate / getNextHomeRate(exchangeRate.lockedOn)).toPrecision(6))
+    }));
+  const previousHomeRates = nextHomeRates.map(exchangeRate => ({
+    currency: rateTable.homeCurrency,
+    rate: Number((1 / exchangeRate.rate).toPrecision(6)),
+    lockedOn: exchangeRate.lockedOn
+  }));
+
+  return { homeCurrency: nextHomeCurrency, rates: [...previousHomeRates, ...rebasedRates] };
+}
+
+/**
+ * Finds the currencies a rate table cannot convert to its home currency.
+ *
+ * @pure
+ * @param {RateTable} rateTable - Rates to check
+ * @param {Array<string>} currencyCodes - Currencies in use
+ * @returns {Array<string>} Sorted codes without a rate
+ */
+export function findCurrenciesWithoutRate(rateTable, currencyCodes) {
+  const missingCodes = new Set(currencyCodes.filter(currencyCode => (
+    currencyCode !== rateTable.homeCurrency
+    && !rateTable.rates.some(exchangeRate => exchangeRate.currency === currencyCode)
+  )));
+  return [...missingCodes].sort();
+}
+
+/**
+ * Formats an amount in a currency with its symbol ("¥12,300", "$45.50").
+ *
+ * @pure
+ * @param {number} amount - Amount to format
+ * @param {string} currencyCode - ISO 4217 code
+ * @param {boolean} [isRounded=false] - Drop the decimals
+ * @returns {string} Formatted amount
+ */
+export function formatCurrencyAmount(amount, currencyCode, isRounded = false) {
+  return new Intl.NumberFormat(undefined, {
+    style: 'currency',
+    currency: currencyCode,
+    ...(isRounded ? { minimumFractionDigits: 0, maximumFractionDigits: 0 } : {})
+  }).format(amount);
+}
+
+/**
+ * Installs the rate table of the active trip.
+ * @param {RateTable} rateTable - Stored or default rate table
+ */
+export function setActiveRateTable(rateTable) {
+  activeRateTable = rateTable;
+  rateTableListeners.forEach(rateTableListener => rateTableListener());
+}
+
+/**
+ * Subscribes to rate table changes (for useSyncExternalStore).
+ * @param {Function} rateTableListener - Called after every change
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToExchangeRates(rateTableListener) {
+  rateTableListeners.add(rateTableListener);
+  return () => rateTableListeners.delete(rateTableListener);
+}
+
+/**
+ * Current rate table snapshot (for useSyncExternalStore). The table is
+ * replaced on every change, so its identity tells React when to re-render.
+ * @returns {RateTable} Rate table of the active trip
+ */
+export function getExchangeRatesSnapshot() {
+  return activeRateTable;
+}
+
+/**
+ * Converts an amount to the active trip's home currency.
+ * @param {number} amount - Amount in the source currency
+ * @param {string} currencyCode - ISO code of the source currency
+ * @param {string} [dateKey] - Day of the amount, for locked rates
+ * @returns {number|null} Amount in the home currency, or null when a rate is missing
+ */
+export function convertToHomeCurrency(amount, currencyCode, dateKey) {
+  return convertWithRateTable(activeRateTable, amount, currencyCode, activeRateTable.homeCurrency, dateKey);
+}
+
+/**
+ * Formats an amount in the active trip's home currency for totals ("$1,234").
+ * @param {number} amount - Amount in the home currency
+ * @returns {string} Rounded amount with currency sign
+ */
+export function formatHomeAmount(amount) {
+  return formatCurrencyAmount(amount, activeRateTable.homeCurrency, true);
+}
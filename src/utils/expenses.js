@@ -0,0 +1,246 @@
+/**
+ * @fileoverview Expenses: what was actually spent, next to the estimates
+ *
+ * Estimated costs come from the items themselves (`estimatedCost` on
+ * travel, stays, meals and activities). Actual costs are expenses the user
+ * records per day in the expenses store, optionally linked to the item
+ * they paid for. Both are bucketed by day and by category so the budget
+ * card and the day cards can compare them. Converting amounts to the
+ * home currency is left to the caller, which owns the exchange rates.
+ *
+ * @module utils/expenses
+ */
+
+import { listDayItems, describeDayItem } from './statusWorkflow';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Expense categories in display order.
+ * @constant {Array<{key: string, label: string, emoji: string}>}
+ */
+export const EXPENSE_CATEGORIES = [
+  { key: 'transport', label: 'Transport', emoji: '✈️' },
+  { key: 'lodging', label: 'Lodging', emoji: '🏨' },
+  { key: 'food', label: 'Food & drink', emoji: '🍽️' },
+  { key: 'activities', label: 'Activities', emoji: '🎯' },
+  { key: 'shopping', label: 'Shopping', emoji: '🛍️' },
+  { key: 'other', label: 'Other', emoji: '💸' }
+];
+
+/** @constant {string} FALLBACK_CATEGORY_KEY - Category of expenses with an unknown category */
+const FALLBACK_CATEGORY_KEY = 'other';
+
+/**
+ * Category that an item's estimated cost counts towards.
+ * @constant {Object<string, string>}
+ */
+const ITEM_KIND_CATEGORY_KEYS = {
+  travel: 'transport',
+  shelter: 'lodging',
+  meal: 'food',
+  activity: 'activities'
+};
+
+// =============================================================================
+// TYPE DEFINITIONS
+// =============================================================================
+
+/**
+ * @typedef {Object} Expense
+ * @property {string} id - Expense ID ('expense-' prefix)
+ * @property {string} date - Day the money was spent (YYYY-MM-DD)
+ * @property {number} amount - Amount paid
+ * @property {string} currency - ISO currency code
+ * @property {string} category - Key of EXPENSE_CATEGORIES
+ * @property {string} payer - Traveler who paid
+ * @property {string|null} linkedItemId - Segment, meal or activity the expense is for
+ * @property {string} note - Free-text description
+ */
+
+/**
+ * @typedef {Object} EstimatedCost
+ * @property {string} itemId - Item the estimate belongs to
+ * @property {string} dateKey - Day it counts on (first day for multi-day items)
+ * @property {string} categoryKey - Key of EXPENSE_CATEGORIES
+ * @property {number} amount - Estimated amount
+ * @property {string} currency - ISO currency code
+ */
+
+/**
+ * @typedef {Object} CostComparison
+ * @property {number} estimated - Estimated total in the home currency
+ * @property {number} actual - Actual total in the home currency
+ */
+
+/**
+ * @typedef {Object} ExpenseLinkOption
+ * @property {string} itemId - Item ID stored as linkedItemId
+ * @property {string} label - Display name
+ * @property {string} categoryKey - Category the item's cost belongs to
+ * @property {number|null} estimatedCost - Estimate used to prefill the amount
+ * @property {string|null} currency - Currency of the estimate
+ */
+
+// =============================================================================
+// PURE HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Resolves the category an item kind's costs belong to.
+ * @pure
+ * @param {string} itemKind - travel, shelter, meal or activity
+ * @returns {string} Key of EXPENSE_CATEGORIES
+ */
+export function resolveItemCategoryKey(itemKind) {
+  return ITEM_KIND_CATEGORY_KEYS[itemKind] || FALLBACK_CATEGORY_KEY;
+}
+
+/**
+ * Looks up a category, falling back to "Other" for unknown keys.
+ * @pure
+ * @param {string} categoryKey - Key of EXPENSE_CATEGORIES
+ * @returns {{key: string, label: string, emoji: string}} Category
+ */
+export function getExpenseCategory(categoryKey) {
+  return EXPENSE_CATEGORIES.find(expenseCategory => expenseCategory.key === categoryKey)
+    || EXPENSE_CATEGORIES.find(expenseCategory => expenseCategory.key === FALLBACK_CATEGORY_KEY);
+}
+
+/**
+ * Creates an empty estimated/actual pair.
+ * @pure
+ * @returns {CostComparison} Zeroed comparison
+ */
+function createCostComparison() {
+  return { estimated: 0, actual: 0 };
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Collects the estimated cost of every item across the trip. Items
+ * spanning several days count once, on their first day; items without a
+ * cost or currency are skipped.
+ *
+ * @pure
+ * @param {Array<Object>} liveDays - Days with live statuses (applyLiveStatuses)
+ * @param {import('./statusWorkflow').DayUserItems} userItems - User-added and soft-deleted items
+ * @returns {Array<EstimatedCost>} Estimated costs in day order
+ */
+export function collectEstimatedCosts(liveDays, userItems) {
+  const countedItemIds = new Set();
+  const estimatedCosts = [];
+
+  liveDays.forEach(dayEntry => {
+    listDayItems(dayEntry, userItems).forEach(({ itemKind, item }) => {
+      if (!item.estimatedCost || !item.currency || countedItemIds.has(item.id)) return;
+      countedItemIds.add(item.id);
+
+      estimatedCosts.push({
+        itemId: item.id,
+        dateKey: dayEntry.dateKey,
+        categoryKey: resolveItemCategoryKey(itemKind),
+        amount: item.estimatedCost,
+        currency: item.currency
+      });
+    });
+  });
+
+  return estimatedCosts;
+}
+
+/**
+ * Sums amounts per currency, without conversion.
+ *
+ * @pure
+ * @param {Array<{amount: number, currency: string}>} costEntries - Estimated costs or expenses
+ * @returns {Object<string, number>} Totals keyed by currency code
+ */
+export function sumAmountsByCurrency(costEntries) {
+  return costEntries.reduce((currencyTotals, { amount, currency }) => ({
+    ...currencyTotals,
+    [currency]: (currencyTotals[currency] || 0) + amount
+  }), {});
+}
+
+/**
+ * Totals estimated and actual costs trip-wide, per category and per day,
+ * in the home currency.
+ *
+ * @pure
+ * @param {Array<EstimatedCost>} estimatedCosts - From collectEstimatedCosts
+ * @param {Array<Expense>} expenses - Recorded expenses
+ * @param {Function} convertAmount - (amount, currencyCode, dateKey) => amount in the home currency
+ * @returns {{trip: CostComparison, byCategory: Object<string, CostComparison>, byDate: Object<string, CostComparison>}}
+ *   Comparisons; byCategory has every category, byDate only days with costs
+ */
+export function compareEstimatedAndActual(estimatedCosts, expenses, convertAmount) {
+  const tripComparison = createCostComparison();
+  const comparisonByCategory = Object.fromEntries(
+    EXPENSE_CATEGORIES.map(expenseCategory => [expenseCategory.key, createCostComparison()])
+  );
+  const comparisonByDate = {};
+
+  /**
+   * Adds a converted amount to the trip, category and day totals.
+   * @param {'estimated'|'actual'} comparisonField - Which side to add to
+   * @param {string} dateKey - Day of the cost
+   * @param {string} categoryKey - Category of the cost
+   * @param {number} convertedAmount - Amount in the home currency
+   */
+  const addToComparisons = (comparisonField, dateKey, categoryKey, convertedAmount) => {
+    if (!comparisonByDate[dateKey]) comparisonByDate[dateKey] = createCostComparison();
+    tripComparison[comparisonField] += convertedAmount;
+    comparisonByCategory[getExpenseCategory(categoryKey).key][comparisonField] += convertedAmount;
+    comparisonByDate[dateKey][comparisonField] += convertedAmount;
+  };
+
+  estimatedCosts.forEach(estimatedCost => addToComparisons(
+    'estimated', estimatedCost.dateKey, estimatedCost.categoryKey, convertAmount(estimatedCost.amount, estimatedCost.currency, estimatedCost.dateKey)
+  ));
+  expenses.forEach(expense => addToComparisons(
+    'actual', expense.date, expense.category, convertAmount(expense.amount, expense.currency, expense.date)
+  ));
+
+  return { trip: tripComparison, byCategory: comparisonByCategory, byDate: comparisonByDate };
+}
+
+/**
+ * Groups expenses by the day they were spent, oldest entry first.
+ *
+ * @pure
+ * @param {Array<Expense>} expenses - Recorded expenses
+ * @returns {Object<string, Array<Expense>>} Expenses keyed by date
+ */
+export function groupExpensesByDate(expenses) {
+  const expensesByDate = {};
+  for (const expense of expenses) {
+    if (!expensesByDate[expense.date]) expensesByDate[expense.date] = [];
+    expensesByDate[expense.date].push(expense);
+  }
+  return expensesByDate;
+}
+
+/**
+ * Builds the "paid for" choices of the expense form from a day's items.
+ *
+ * @pure
+ * @param {Array<import('./statusWorkflow').DayItemEntry>} dayItemEntries - Items of the day with their kind
+ * @returns {Array<ExpenseLinkOption>} Items that can be linked, in day order
+ */
+export function buildExpenseLinkOptions(dayItemEntries) {
+  return dayItemEntries
+    .filter(({ item }) => item.id)
+    .map(({ itemKind, item }) => ({
+      itemId: item.id,
+      label: describeDayItem(itemKind, item),
+      categoryKey: resolveItemCategoryKey(itemKind),
+      estimatedCost: item.estimatedCost || null,
+      currency: item.currency || null
+    }));
+}
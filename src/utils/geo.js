@@ -0,0 +1,230 @@
+/**
+ * @fileoverview Great-circle geometry for route maps
+ *
+ * Flight paths are drawn as true great-circle arcs (the shortest path on
+ * the globe), not straight lines in lat/lng space. Leaflet draws polylines
+ * in plain lng/lat, so arcs are placed in a 360° longitude window centred
+ * on the route and split wherever they cross that window's seam (the
+ * antimeridian for a window centred on 0°). SFO → MNL therefore crosses
+ * the Pacific instead of the whole map.
+ *
+ * @module utils/geo
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** @constant {number} EARTH_RADIUS_KM - Mean Earth radius */
+const EARTH_RADIUS_KM = 6371.0088;
+
+/** @constant {number} KILOMETERS_PER_MILE */
+const KILOMETERS_PER_MILE = 1.609344;
+
+/** @constant {number} DEFAULT_ARC_POINT_COUNT - Interpolated points per arc */
+const DEFAULT_ARC_POINT_COUNT = 64;
+
+/** @constant {number} AIRLINER_CRUISE_SPEED_KMH - Typical jet block speed over long distances */
+const AIRLINER_CRUISE_SPEED_KMH = 800;
+
+/** @constant {number} TAXI_CLIMB_DESCENT_MINUTES - Fixed overhead added to every flight */
+const TAXI_CLIMB_DESCENT_MINUTES = 30;
+
+// =============================================================================
+// PURE HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * @pure
+ * @param {number} degrees
+ * @returns {number} Radians
+ */
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * @pure
+ * @param {number} radians
+ * @returns {number} Degrees
+ */
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+/**
+ * Moves a longitude into the 360° window centred on centerLongitude.
+ * @pure
+ * @param {number} longitude - Longitude in degrees
+ * @param {number} [centerLongitude=0] - Window centre
+ * @returns {number} Longitude in [centerLongitude - 180, centerLongitude + 180)
+ */
+export function normalizeLongitude(longitude, centerLongitude = 0) {
+  return ((((longitude - centerLongitude + 180) % 360) + 360) % 360) - 180 + centerLongitude;
+}
+
+/**
+ * Great-circle distance between two points (haversine).
+ *
+ * @pure
+ * @param {{lat: number, lng: number}} fromPoint - Start point
+ * @param {{lat: number, lng: number}} toPoint - End point
+ * @returns {number} Distance in kilometres
+ *
+ * @example
+ * calculateGreatCircleDistanceKm({ lat: 37.62, lng: -122.38 }, { lat: 14.51, lng: 121.02 }) // ≈ 11,200
+ */
+export function calculateGreatCircleDistanceKm(fromPoint, toPoint) {
+  const latitudeDelta = toRadians(toPoint.lat - fromPoint.lat);
+  const longitudeDelta = toRadians(toPoint.lng - fromPoint.lng);
+  const haversine = Math.sin(latitudeDelta / 2) ** 2
+    + Math.cos(toRadians(fromPoint.lat)) * Math.cos(toRadians(toPoint.lat)) * Math.sin(longitudeDelta / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(haversine)));
+}
+
+/**
+ * Converts kilometres to statute miles.
+ * @pure
+ * @param {number} distanceKm
+ * @returns {number} Miles
+ */
+export function kilometersToMiles(distanceKm) {
+  return distanceKm / KILOMETERS_PER_MILE;
+}
+
+/**
+ * Rough scheduled flight time for a distance: fixed taxi/climb/descent
+ * overhead plus cruise at a typical airliner block speed. Ignores winds.
+ *
+ * @pure
+ * @param {number} distanceKm - Great-circle distance
+ * @returns {number} Minutes, rounded to 5
+ */
+export function estimateFlightMinutes(distanceKm) {
+  const flightMinutes = TAXI_CLIMB_DESCENT_MINUTES + (distanceKm / AIRLINER_CRUISE_SPEED_KMH) * 60;
+  return Math.round(flightMinutes / 5) * 5;
+}
+
+/**
+ * Interpolates points along the great circle between two points
+ * (spherical linear interpolation).
+ *
+ * @pure
+ * @param {{lat: number, lng: number}} fromPoint - Start point
+ * @param {{lat: number, lng: number}} toPoint - End point
+ * @param {number} [pointCount] - Number of segments (points returned = pointCount + 1)
+ * @returns {Array<[number, number]>} [lat, lng] points with longitudes in [-180, 180)
+ */
+export function interpolateGreatCircle(fromPoint, toPoint, pointCount = DEFAULT_ARC_POINT_COUNT) {
+  const fromLatitude = toRadians(fromPoint.lat);
+  const fromLongitude = toRadians(fromPoint.lng);
+  const toLatitude = toRadians(toPoint.lat);
+  const toLongitude = toRadians(toPoint.lng);
+
+  const angularDistance = calculateGreatCircleDistanceKm(fromPoint, toPoint) / EARTH_RADIUS_KM;
+
+  // Same point (or numerically indistinguishable) - nothing to interpolate
+  if (angularDistance < 1e-9) {
+    return [[fromPoint.lat, normalizeLongitude(fromPoint.lng)], [toPoint.lat, normalizeLongitude(toPoint.lng)]];
+  }
+
+  const arcPoints = [];
+  for (let pointIndex = 0; pointIndex <= pointCount; pointIndex++) {
+    const interpolationFactor = pointIndex / pointCount;
+    const fromWeight = Math.sin((1 - interpolationFactor) * angularDistance) / Math.sin(angularDistance);
+    const toWeight = Math.sin(interpolationFactor * angularDistance) / Math.sin(angularDistance);
+
+    const x = fromWeight * Math.cos(fromLatitude) * Math.cos(fromLongitude) + toWeight * Math.cos(toLatitude) * Math.cos(toLongitude);
+    const y = fromWeight * Math.cos(fromLatitude) * Math.sin(fromLongitude) + toWeight * Math.cos(toLatitude) * Math.sin(toLongitude);
+    const z = fromWeight * Math.sin(fromLatitude) + toWeight * Math.sin(toLatitude);
+
+    arcPoints.push([
+      toDegrees(Math.atan2(z, Math.sqrt(x * x + y * y))),
+      normalizeLongitude(toDegrees(Math.atan2(y, x)))
+    ]);
+  }
+  return arcPoints;
+}
+
+/**
+ * Picks the centre of the longitude window that keeps a set of points
+ * together (circular mean), so routes across the Pacific are centred near
+ * 180° rather than 0°.
+ *
+ * @pure
+ * @param {Array<[number, number]>} points - [lat, lng] points
+ * @returns {number} Centre longitude in [-180, 180)
+ */
+export function calculateCenterLongitude(points) {
+  if (points.length === 0) return 0;
+
+  let sumX = 0;
+  let sumY = 0;
+  for (const [, longitude] of points) {
+    sumX += Math.cos(toRadians(longitude));
+    sumY += Math.sin(toRadians(longitude));
+  }
+  if (Math.abs(sumX) < 1e-9 && Math.abs(sumY) < 1e-9) return 0;
+  return normalizeLongitude(toDegrees(Math.atan2(sumY, sumX)));
+}
+
+/**
+ * Places a path in the longitude window centred on centerLongitude and
+ * splits it where it crosses the window's seam (centerLongitude ± 180,
+ * the antimeridian when centred on 0). Split points are interpolated onto
+ * the seam so each piece reaches the map edge.
+ *
+ * @pure
+ * @param {Array<[number, number]>} points - [lat, lng] path
+ * @param {number} [centerLongitude=0] - Window centre
+ * @returns {Array<Array<[number, number]>>} Path pieces, each drawable as one polyline
+ */
+export function splitPathAtAntimeridian(points, centerLongitude = 0) {
+  const pathPieces = [];
+  let currentPiece = [];
+  let previousPoint = null;
+
+  for (const [latitude, rawLongitude] of points) {
+    const longitude = normalizeLongitude(rawLongitude, centerLongitude);
+
+    if (previousPoint && Math.abs(longitude - previousPoint[1]) > 180) {
+      // Crossed the seam: finish this piece on the seam and start the next one on the other side
+      const isEastwardCrossing = longitude < previousPoint[1];
+      const seamLongitude = centerLongitude + (isEastwardCrossing ? 180 : -180);
+      const unwrappedLongitude = longitude + (isEastwardCrossing ? 360 : -360);
+      const seamFactor = (seamLongitude - previousPoint[1]) / (unwrappedLongitude - previousPoint[1]);
+      const seamLatitude = previousPoint[0] + (latitude - previousPoint[0]) * seamFactor;
+
+      currentPiece.push([seamLatitude, seamLongitude]);
+      pathPieces.push(currentPiece);
+      currentPiece = [[seamLatitude, seamLongitude + (isEastwardCrossing ? -360 : 360)]];
+    }
+
+    currentPiece.push([latitude, longitude]);
+    previousPoint = [latitude, longitude];
+  }
+
+  if (currentPiece.length > 0) pathPieces.push(currentPiece);
+  return pathPieces;
+}
+
+/**
+ * Bounding box of path pieces, in the form Leaflet's fitBounds accepts.
+ *
+ * @pure
+ * @param {Array<Array<[number, number]>>} pathPieces - Output of splitPathAtAntimeridian
+ * @returns {[[number, number], [number, number]]|null} [[south, west], [north, east]] or null if empty
+ */
+export function calculatePathBounds(pathPieces) {
+  let south = Infinity;
+  let west = Infinity;
+  let north = -Infinity;
+  let east = -Infinity;
+
+  for (const pathPiece of pathPieces) {
+    for (const [latitude, longitude] of pathPiece) {
+      south = Math.min(south, latitude);
+      north = Math.max(north, latitude);
+      west = Math.min(west, longitude);
+      east = Math.max(east, longitude);
+    }
+  }
+
+  return Number.isFinite(south) ? [[south, west], [north, east]] : null;
+}
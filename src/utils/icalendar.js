@@ -0,0 +1,541 @@
+/**
+ * @fileoverview iCalendar (RFC 5545) export of parsed itinerary days
+ *
+ * Turns the day model produced by parseItineraryData into a VCALENDAR
+ * string. Every flight, transfer, stay (check-in and check-out), meal,
+ * imported activity and manual activity becomes a VEVENT.
+ *
+ * CALENDAR RULES:
+ * ===============
+ * - Times are written in the segment's own zone (DTSTART;TZID=...) with a
+ *   VTIMEZONE per zone, so flights start in tzFrom and end in tzTo
+ * - Items without a parseable time become all-day events
+ * - BOOKED maps to STATUS:CONFIRMED, every other status to TENTATIVE
+ * - UIDs derive from segment/activity IDs and the trip name, so importing a
+ *   newer export into a calendar updates events instead of duplicating them
+ *
+ * @module utils/icalendar
+ */
+
+import {
+  MILLISECONDS_PER_MINUTE,
+  resolveSegmentTimeZones,
+  resolveDayTimeZone,
+  addDaysToDateKey,
+  resolveWallClockTiming,
+  wallClockPointToUtc,
+  getTimeZoneOffsetMinutes
+} from './timezones';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** @constant {string} CALENDAR_PRODUCT_ID - PRODID written to every export */
+const CALENDAR_PRODUCT_ID = '-//Iten//Travel Itinerary//EN';
+
+/** @constant {string} UID_DOMAIN - Domain suffix that makes UIDs globally unique */
+const UID_DOMAIN = 'iten.travel';
+
+/** @constant {number} MAX_LINE_OCTETS - RFC 5545 content line limit (excluding CRLF) */
+const MAX_LINE_OCTETS = 75;
+
+/** @constant {number} TIMEZONE_SCAN_STEP_HOURS - Step used to detect DST transitions */
+const TIMEZONE_SCAN_STEP_HOURS = 6;
+
+/**
+ * @constant {Object<string, string>} TRAVEL_TYPE_EMOJI - Summary prefix per travel segment type
+ */
+const TRAVEL_TYPE_EMOJI = {
+  flight: '✈️',
+  bus: '🚌',
+  transit: '🚆',
+  travel: '🚆',
+  airport: '🛄'
+};
+
+// =============================================================================
+// PURE HELPER FUNCTIONS - Formatting
+// =============================================================================
+
+/**
+ * Escapes a TEXT property value (RFC 5545 section 3.3.11).
+ * @pure
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line at 75 octets without splitting UTF-8 characters.
+ * @pure
+ * @param {string} contentLine - Unfolded content line
+ * @returns {string} Folded line(s) joined with CRLF + space
+ */
+function foldContentLine(contentLine) {
+  const textEncoder = new TextEncoder();
+  const foldedSegments = [];
+  let currentSegment = '';
+  let currentOctets = 0;
+
+  for (const character of contentLine) {
+    const characterOctets = textEncoder.encode(character).length;
+    // Continuation lines start with a space, which counts toward the limit
+    const lineLimit = foldedSegments.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (currentOctets + characterOctets > lineLimit) {
+      foldedSegments.push(currentSegment);
+      currentSegment = '';
+      currentOctets = 0;
+    }
+    currentSegment += character;
+    currentOctets += characterOctets;
+  }
+  foldedSegments.push(currentSegment);
+
+  return foldedSegments.join('\r\n ');
+}
+
+/**
+ * Formats a YYYY-MM-DD date key as an iCalendar DATE (YYYYMMDD).
+ * @pure
+ * @param {string} dateKey - ISO date string
+ * @returns {string} iCalendar date
+ */
+function formatIcsDate(dateKey) {
+  return dateKey.replace(/-/g, '');
+}
+
+/**
+ * Formats a local date and time as an iCalendar DATE-TIME without zone suffix.
+ * @pure
+ * @param {string} dateKey - ISO date string
+ * @param {number} hours - Hours (0-23)
+ * @param {number} minutes - Minutes (0-59)
+ * @returns {string} Local DATE-TIME (YYYYMMDDTHHMMSS)
+ */
+function formatIcsLocalDateTime(dateKey, hours, minutes) {
+  return `${formatIcsDate(dateKey)}T${String(hours).padStart(2, '0')}${String(minutes).padStart(2, '0')}00`;
+}
+
+/**
+ * Formats an instant as a UTC iCalendar DATE-TIME.
+ * @pure
+ * @param {number} utcMilliseconds - Epoch milliseconds
+ * @returns {string} UTC DATE-TIME (YYYYMMDDTHHMMSSZ)
+ */
+function formatIcsUtcDateTime(utcMilliseconds) {
+  return new Date(utcMilliseconds).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Formats a UTC offset for TZOFFSETFROM/TZOFFSETTO (e.g., '+0900').
+ * @pure
+ * @param {number} offsetMinutes - Offset in minutes east of UTC
+ * @returns {string} Signed HHMM offset
+ */
+function formatIcsUtcOffset(offsetMinutes) {
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const absoluteMinutes = Math.abs(offsetMinutes);
+  return `${sign}${String(Math.floor(absoluteMinutes / 60)).padStart(2, '0')}${String(absoluteMinutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Converts a trip name into a UID-safe slug.
+ * @pure
+ * @param {string} tripName - Trip name
+ * @returns {string} Lowercase slug (e.g., 'philippines-japan-trip-2026')
+ */
+function slugifyTripName(tripName) {
+  return String(tripName || 'trip')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'trip';
+}
+
+/**
+ * Maps an itinerary status code to an iCalendar VEVENT STATUS.
+ * @pure
+ * @param {string} [statusCode] - Itinerary status (BOOKED, PLANNED, ...)
+ * @returns {string} 'CONFIRMED' or 'TENTATIVE'
+ */
+function mapStatusToIcsStatus(statusCode) {
+  return statusCode === 'BOOKED' ? 'CONFIRMED' : 'TENTATIVE';
+}
+
+// =============================================================================
+// PURE HELPER FUNCTIONS - Event timing
+// =============================================================================
+
+/**
+ * Formats DTSTART/DTEND property lines for an event point.
+ * @param {string} propertyName - 'DTSTART' or 'DTEND'
+ * @param {Object} eventPoint - { dateKey, hours, minutes, timeZone }
+ * @param {boolean} isAllDay - Whether the event is all-day
+ * @returns {string} Content line
+ */
+function formatEventPointProperty(propertyName, eventPoint, isAllDay) {
+  if (isAllDay) {
+    return `${propertyName};VALUE=DATE:${formatIcsDate(eventPoint.dateKey)}`;
+  }
+  const localDateTime = formatIcsLocalDateTime(eventPoint.dateKey, eventPoint.hours, eventPoint.minutes);
+  return eventPoint.timeZone
+    ? `${propertyName};TZID=${eventPoint.timeZone}:${localDateTime}`
+    : `${propertyName}:${localDateTime}`;
+}
+
+// =============================================================================
+// EVENT COLLECTION
+// =============================================================================
+
+/**
+ * Joins non-empty description lines.
+ * @pure
+ * @param {Array<*>} descriptionLines - Candidate lines
+ * @returns {string} Description text
+ */
+function joinDescriptionLines(descriptionLines) {
+  return descriptionLines.filter(Boolean).join('\n');
+}
+
+/**
+ * Creates calendar events for the travel segments of a day.
+ * Arrival-day copies of multi-day segments are skipped (the departure entry carries the whole flight).
+ * Segments without zone labels fall back to the day's zone, as in the day model.
+ *
+ * @param {Object} dayEntry - Parsed day
+ * @returns {Array<Object>} Calendar events
+ */
+function collectTravelEvents(dayEntry) {
+  const dayTimeZone = resolveDayTimeZone(dayEntry);
+
+  return (dayEntry.travel || [])
+    .filter(travelSegment => travelSegment.isDeparture !== false)
+    .map(travelSegment => {
+      const resolvedZones = resolveSegmentTimeZones(travelSegment);
+      const startTimeZone = resolvedZones.startTimeZone || dayTimeZone;
+      const endTimeZone = resolvedZones.endTimeZone || startTimeZone;
+      const segmentType = (travelSegment.type || '').toLowerCase();
+      const summaryLabel = [travelSegment.flight, travelSegment.route].filter(Boolean).join(' ') || travelSegment.details;
+
+      return {
+        uidKey: travelSegment.id,
+        summary: `${TRAVEL_TYPE_EMOJI[segmentType] || '🧭'} ${summaryLabel}`,
+        location: travelSegment.departureAirport || travelSegment.route || travelSegment.location,
+        description: joinDescriptionLines([
+          travelSegment.details,
+          travelSegment.departureAirport && `From: ${travelSegment.departureAirport}`,
+          travelSegment.arrivalAirport && `To: ${travelSegment.arrivalAirport}`,
+          travelSegment.cabinClass && `Cabin: ${travelSegment.cabinClass}`,
+          travelSegment.duration && `Duration: ${travelSegment.duration}`,
+          `Status: ${travelSegment.status}`
+        ]),
+        status: travelSegment.status,
+        timing: resolveWallClockTiming({
+          startDate: travelSegment.date || dayEntry.dateKey,
+          startTime: travelSegment.timeStart,
+          endTime: travelSegment.timeEnd,
+          endDate: travelSegment.dateEnd,
+          startTimeZone,
+          endTimeZone
+        })
+      };
+    });
+}
+
+/**
+ * Creates check-in and check-out events for a stay.
+ *
+ * @param {Object} shelter - Parsed shelter of the first night
+ * @param {string|null} timeZone - IANA zone of the stay
+ * @returns {Array<Object>} Calendar events
+ */
+function collectStayEvents(shelter, timeZone) {
+  // Single-date stays have no checkout date in the data - assume one night
+  const checkOutDate = shelter.dateEnd && shelter.dateEnd !== shelter.dateStart
+    ? shelter.dateEnd
+    : addDaysToDateKey(shelter.dateStart, 1);
+  const stayDescription = joinDescriptionLines([
+    shelter.address,
+    shelter.host && `Host: ${shelter.host}`,
+    shelter.notes,
+    `Status: ${shelter.status}`
+  ]);
+
+  return [
+    {
+      uidKey: `${shelter.id}-checkin`,
+      summary: `🏨 Check-in: ${shelter.name}`,
+      location: shelter.address || shelter.name,
+      description: stayDescription,
+      status: shelter.status,
+      timing: resolveWallClockTiming({
+        startDate: shelter.dateStart,
+        startTime: shelter.checkIn,
+        endTime: null,
+        startTimeZone: timeZone,
+        endTimeZone: timeZone
+      })
+    },
+    {
+      uidKey: `${shelter.id}-checkout`,
+      summary: `🧳 Check-out: ${shelter.name}`,
+      location: shelter.address || shelter.name,
+      description: stayDescription,
+      status: shelter.status,
+      timing: resolveWallClockTiming({
+        startDate: checkOutDate,
+        startTime: shelter.checkOut,
+        endTime: null,
+        startTimeZone: timeZone,
+        endTimeZone: timeZone
+      })
+    }
+  ];
+}
+
+/**
+ * Creates an event for a meal, activity or manual activity.
+ *
+ * @param {Object} dayItem - Meal or activity from the day model
+ * @param {string} dateKey - Date of the day
+ * @param {string|null} timeZone - IANA zone of the day
+ * @param {string} summaryPrefix - Emoji prefix for the summary
+ * @returns {Object} Calendar event
+ */
+function createDayItemEvent(dayItem, dateKey, timeZone, summaryPrefix) {
+  return {
+    uidKey: dayItem.id,
+    summary: `${dayItem.icon || summaryPrefix} ${dayItem.name || dayItem.details || dayItem.type}`,
+    location: dayItem.location,
+    description: joinDescriptionLines([
+      dayItem.notes || (dayItem.description !== dayItem.name ? dayItem.description : null),
+      dayItem.category && `Category: ${dayItem.category}`,
+      dayItem.restaurant && `Restaurant: ${dayItem.restaurant}`,
+      dayItem.partySize && `Party of ${dayItem.partySize}`,
+      dayItem.confirmationNumber && `Confirmation: ${dayItem.confirmationNumber}`,
+      dayItem.estimatedCost && `Estimated cost: ${dayItem.estimatedCost} ${dayItem.currency || ''}`.trim()
+    ]),
+    status: dayItem.status,
+    timing: resolveWallClockTiming({
+      startDate: dateKey,
+      startTime: dayItem.timeStart,
+      endTime: dayItem.timeEnd,
+      startTimeZone: timeZone,
+      endTimeZone: timeZone
+    })
+  };
+}
+
+/**
+ * Collects all calendar events of the itinerary.
+ *
+ * @param {Array<Object>} parsedDays - Days from parseItineraryData
+ * @param {Object} manualActivitiesByDate - User-added activities keyed by date
+ * @param {Object} deletedActivityIdsByDate - Soft-deleted activity IDs keyed by date
+ * @param {Object} manualMealsByDate - User-added meals keyed by date
+ * @param {Object} deletedMealIdsByDate - Soft-deleted meal IDs keyed by date
+ * @returns {Array<Object>} Calendar events
+ */
+function collectCalendarEvents(parsedDays, manualActivitiesByDate, deletedActivityIdsByDate, manualMealsByDate, deletedMealIdsByDate) {
+  const calendarEvents = [];
+  const exportedStayIds = new Set();
+
+  for (const dayEntry of parsedDays) {
+    const dayTimeZone = resolveDayTimeZone(dayEntry);
+    const deletedIdsForDay = deletedActivityIdsByDate[dayEntry.dateKey] || [];
+
+    calendarEvents.push(...collectTravelEvents(dayEntry));
+
+    // CRITICAL PATH: A stay appears on every night - export it once
+    if (dayEntry.shelter?.id && !exportedStayIds.has(dayEntry.shelter.id)) {
+      exportedStayIds.add(dayEntry.shelter.id);
+      const stayTimeZone = resolveSegmentTimeZones(dayEntry.shelter).startTimeZone || dayTimeZone;
+      calendarEvents.push(...collectStayEvents(dayEntry.shelter, stayTimeZone));
+    }
+
+    const deletedMealIdsForDay = deletedMealIdsByDate[dayEntry.dateKey] || [];
+    for (const mealItem of [...(dayEntry.meals || []), ...(manualMealsByDate[dayEntry.dateKey] || [])]) {
+      if (deletedMealIdsForDay.includes(mealItem.id)) continue;
+      calendarEvents.push(createDayItemEvent(mealItem, dayEntry.dateKey, dayTimeZone, '🍽️'));
+    }
+
+    for (const activityItem of dayEntry.activities || []) {
+      if (deletedIdsForDay.includes(activityItem.id)) continue;
+      calendarEvents.push(createDayItemEvent(activityItem, dayEntry.dateKey, dayTimeZone, '📍'));
+    }
+
+    for (const manualActivity of manualActivitiesByDate[dayEntry.dateKey] || []) {
+      calendarEvents.push(createDayItemEvent(manualActivity, dayEntry.dateKey, dayTimeZone, '📌'));
+    }
+  }
+
+  return calendarEvents;
+}
+
+// =============================================================================
+// VTIMEZONE GENERATION
+// =============================================================================
+
+/**
+ * Finds the instant an offset change happens between two instants.
+ * @param {string} timeZone - IANA zone
+ * @param {number} beforeMilliseconds - Instant with the old offset
+ * @param {number} afterMilliseconds - Instant with the new offset
+ * @returns {number} First instant (to the minute) with the new offset
+ */
+function findOffsetTransitionInstant(timeZone, beforeMilliseconds, afterMilliseconds) {
+  const beforeOffset = getTimeZoneOffsetMinutes(timeZone, beforeMilliseconds);
+  let lowerBound = beforeMilliseconds;
+  let upperBound = afterMilliseconds;
+
+  while (upperBound - lowerBound > MILLISECONDS_PER_MINUTE) {
+    const midpoint = Math.floor((lowerBound + upperBound) / 2 / MILLISECONDS_PER_MINUTE) * MILLISECONDS_PER_MINUTE;
+    if (getTimeZoneOffsetMinutes(timeZone, midpoint) === beforeOffset) {
+      lowerBound = midpoint;
+    } else {
+      upperBound = midpoint;
+    }
+  }
+
+  return upperBound;
+}
+
+/**
+ * Builds a VTIMEZONE component covering the exported date range.
+ * Observances are listed explicitly for each transition inside the range,
+ * which is exact for the trip without shipping recurrence rules.
+ *
+ * @param {string} timeZone - IANA zone
+ * @param {number} rangeStartMilliseconds - First instant that must be covered
+ * @param {number} rangeEndMilliseconds - Last instant that must be covered
+ * @returns {Array<string>} Content lines
+ */
+function buildTimeZoneComponent(timeZone, rangeStartMilliseconds, rangeEndMilliseconds) {
+  const scanStepMilliseconds = TIMEZONE_SCAN_STEP_HOURS * 60 * MILLISECONDS_PER_MINUTE;
+  const rangeYear = new Date(rangeStartMilliseconds).getUTCFullYear();
+  const standardOffset = Math.min(
+    getTimeZoneOffsetMinutes(timeZone, Date.UTC(rangeYear, 0, 1)),
+    getTimeZoneOffsetMinutes(timeZone, Date.UTC(rangeYear, 6, 1))
+  );
+
+  const initialOffset = getTimeZoneOffsetMinutes(timeZone, rangeStartMilliseconds);
+  const observances = [{ startLocal: '19700101T000000', offsetFrom: initialOffset, offsetTo: initialOffset }];
+
+  // CRITICAL PATH: Scan the range for offset changes (DST transitions)
+  let previousOffset = initialOffset;
+  for (let scanInstant = rangeStartMilliseconds + scanStepMilliseconds; scanInstant <= rangeEndMilliseconds + scanStepMilliseconds; scanInstant += scanStepMilliseconds) {
+    const scannedOffset = getTimeZoneOffsetMinutes(timeZone, scanInstant);
+    if (scannedOffset === previousOffset) continue;
+
+    const transitionInstant = findOffsetTransitionInstant(timeZone, scanInstant - scanStepMilliseconds, scanInstant);
+    // DTSTART of an observance is local time expressed in the previous offset
+    const transitionLocal = formatIcsUtcDateTime(transitionInstant + previousOffset * MILLISECONDS_PER_MINUTE).replace('Z', '');
+    observances.push({ startLocal: transitionLocal, offsetFrom: previousOffset, offsetTo: scannedOffset });
+    previousOffset = scannedOffset;
+  }
+
+  const componentLines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+  for (const observance of observances) {
+    const observanceType = observance.offsetTo > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+    componentLines.push(
+      `BEGIN:${observanceType}`,
+      `DTSTART:${observance.startLocal}`,
+      `TZOFFSETFROM:${formatIcsUtcOffset(observance.offsetFrom)}`,
+      `TZOFFSETTO:${formatIcsUtcOffset(observance.offsetTo)}`,
+      `END:${observanceType}`
+    );
+  }
+  componentLines.push('END:VTIMEZONE');
+
+  return componentLines;
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Builds an RFC 5545 calendar from parsed itinerary days.
+ *
+ * @param {Array<Object>} parsedDays - Days from parseItineraryData
+ * @param {Object} [options] - Export options
+ * @param {string} [options.tripName] - Calendar name, also used for UIDs
+ * @param {Object} [options.manualActivities] - User-added activities keyed by date
+ * @param {Object} [options.deletedActivities] - Soft-deleted activity IDs keyed by date
+ * @param {Object} [options.manualMeals] - User-added meals keyed by date
+ * @param {Object} [options.deletedMeals] - Soft-deleted meal IDs keyed by date
+ * @param {number} [options.generatedAt] - DTSTAMP instant (defaults to now)
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+export function buildItineraryCalendar(parsedDays, options = {}) {
+  const {
+    tripName = 'Travel Itinerary',
+    manualActivities = {},
+    deletedActivities = {},
+    manualMeals = {},
+    deletedMeals = {},
+    generatedAt = Date.now()
+  } = options;
+
+  const tripSlug = slugifyTripName(tripName);
+  const timestampValue = formatIcsUtcDateTime(generatedAt);
+  const calendarEvents = collectCalendarEvents(parsedDays, manualActivities, deletedActivities, manualMeals, deletedMeals);
+
+  // Collect zones and the covered range for VTIMEZONE components
+  const usedTimeZones = new Set();
+  let earliestInstant = Infinity;
+  let latestInstant = -Infinity;
+  for (const calendarEvent of calendarEvents) {
+    if (calendarEvent.timing.isAllDay) continue;
+    for (const eventPoint of [calendarEvent.timing.start, calendarEvent.timing.end]) {
+      if (!eventPoint.timeZone) continue;
+      usedTimeZones.add(eventPoint.timeZone);
+      const eventInstant = wallClockPointToUtc(eventPoint);
+      earliestInstant = Math.min(earliestInstant, eventInstant);
+      latestInstant = Math.max(latestInstant, eventInstant);
+    }
+  }
+
+  const calendarLines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${CALENDAR_PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(tripName)}`
+  ];
+
+  for (const timeZone of usedTimeZones) {
+    calendarLines.push(...buildTimeZoneComponent(timeZone, earliestInstant, latestInstant));
+  }
+
+  for (const calendarEvent of calendarEvents) {
+    calendarLines.push(
+      'BEGIN:VEVENT',
+      `UID:${calendarEvent.uidKey}.${tripSlug}@${UID_DOMAIN}`,
+      `DTSTAMP:${timestampValue}`,
+      formatEventPointProperty('DTSTART', calendarEvent.timing.start, calendarEvent.timing.isAllDay),
+      formatEventPointProperty('DTEND', calendarEvent.timing.end, calendarEvent.timing.isAllDay),
+      `SUMMARY:${escapeText(calendarEvent.summary)}`
+    );
+    if (calendarEvent.location) calendarLines.push(`LOCATION:${escapeText(calendarEvent.location)}`);
+    if (calendarEvent.description) calendarLines.push(`DESCRIPTION:${escapeText(calendarEvent.description)}`);
+    calendarLines.push(
+      `STATUS:${mapStatusToIcsStatus(calendarEvent.status)}`,
+      `TRANSP:${calendarEvent.timing.isAllDay ? 'TRANSPARENT' : 'OPAQUE'}`,
+      'END:VEVENT'
+    );
+  }
+
+  calendarLines.push('END:VCALENDAR');
+
+  return calendarLines.map(foldContentLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,824 @@
+/**
+ * @fileoverview iCalendar (RFC 5545) import into itinerary JSON
+ *
+ * Reads the VEVENTs of an .ics file (airline, hotel and booking-site
+ * invites) and maps them to the { tripName, trips: [{ segments }] } shape
+ * that importItineraryData stores, so a trip can be bootstrapped from a
+ * calendar instead of a hand-written JSON file.
+ *
+ * IMPORT RULES:
+ * =============
+ * - Each VEVENT is classified as a flight, a stay or a generic event by
+ *   heuristics; the setup wizard lets the user override the guess
+ * - TZID times keep their wall clock and zone, floating times stay zone-less
+ * - UTC times (usual in airline invites) of flights are shown in the zones
+ *   of the route airports; for other events the review step picks the zone,
+ *   suggesting the arrival zone of the flight before. The device zone only
+ *   stands in when no flight hints at one
+ * - TZIDs may be IANA or Windows zone names (Outlook, Exchange); unknown
+ *   ones fall back to the standard offset of their VTIMEZONE
+ * - Separate check-in and check-out events of a stay (as the app's own
+ *   export writes them) are joined into one stay
+ * - CANCELLED events are dropped; CONFIRMED (or missing) STATUS on flights
+ *   and stays imports as BOOKED, everything else as PLANNED
+ *
+ * @module utils/icsImport
+ */
+
+import {
+  MILLISECONDS_PER_MINUTE,
+  MILLISECONDS_PER_DAY,
+  resolveIanaTimeZone,
+  addDaysToDateKey,
+  zonedDateTimeToUtc,
+  utcToZonedDateTime
+} from './timezones';
+import { lookupAirport } from './airports';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * @constant {Object<string, string>} CALENDAR_EVENT_CATEGORIES - Categories an
+ * imported event can be mapped to, with the label shown in the wizard
+ */
+export const CALENDAR_EVENT_CATEGORIES = {
+  flight: 'Flight',
+  stay: 'Lodging',
+  event: 'Event',
+  skip: 'Skip'
+};
+
+/** @constant {RegExp} FLIGHT_KEYWORD_PATTERN - Words that mark an airline invite */
+const FLIGHT_KEYWORD_PATTERN = /\bflights?\b|✈|\bairlines?\b|\bairways\b|\bboarding\b|\bdeparture\b/i;
+
+/** @constant {RegExp} LODGING_KEYWORD_PATTERN - Words that mark a hotel or rental invite */
+const LODGING_KEYWORD_PATTERN = /\b(hotels?|hostels?|motels?|resorts?|inn|airbnb|vrbo|lodging|accommodation|check-?in|check-?out|stay|ryokan|guest ?house|apartment|booking\.com)\b/i;
+
+/** @constant {RegExp} ROUTE_PATTERN - Explicit IATA route ("SFO → NRT", "SFO-NRT", "SFO to NRT") */
+const ROUTE_PATTERN = /\b([A-Z]{3})\s*(?:→|->|–|—|-|\bto\b)\s*([A-Z]{3})\b/;
+
+/** @constant {RegExp} PARENTHESIZED_AIRPORT_PATTERN - Airport codes in parentheses ("Tokyo (NRT)") */
+const PARENTHESIZED_AIRPORT_PATTERN = /\(([A-Z]{3})\)/g;
+
+/** @constant {RegExp} FLIGHT_NUMBER_PATTERN - IATA flight number ("UA 837", "5J483") */
+const FLIGHT_NUMBER_PATTERN = /\b([A-Z]{2}|[A-Z]\d|\d[A-Z])\s?(\d{1,4})\b/;
+
+/** @constant {RegExp} CHECK_IN_SUMMARY_PATTERN - Check-in half of a split stay ("🏨 Check-in: APA Hotel") */
+const CHECK_IN_SUMMARY_PATTERN = /^(?:🏨\s*)?check-?in:\s*(.+)$/iu;
+
+/** @constant {RegExp} CHECK_OUT_SUMMARY_PATTERN - Check-out half of a split stay ("🧳 Check-out: APA Hotel") */
+const CHECK_OUT_SUMMARY_PATTERN = /^(?:🧳\s*)?check-?out:\s*(.+)$/iu;
+
+/** @constant {RegExp} CHECK_IN_UID_PATTERN - UID marker of the app's own check-in events ("seg-004-checkin.trip@...") */
+const CHECK_IN_UID_PATTERN = /-checkin(?=[.@]|$)/;
+
+// =============================================================================
+// PURE HELPER FUNCTIONS - Content lines
+// =============================================================================
+
+/**
+ * Unfolds continuation lines and splits the calendar into content lines.
+ * @pure
+ * @param {string} icsText - Raw .ics file content
+ * @returns {Array<string>} Non-empty unfolded content lines
+ */
+function unfoldContentLines(icsText) {
+  return icsText
+    .replace(/\r\n?/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(contentLine => contentLine.trim() !== '');
+}
+
+/**
+ * Splits a content line into name, parameters and value.
+ * Colons and semicolons inside quoted parameter values are respected.
+ * @pure
+ * @param {string} contentLine - Unfolded content line
+ * @returns {{name: string, params: Object<string, string>, value: string}|null} Parsed line or null
+ */
+function parseContentLine(contentLine) {
+  let isInsideQuotes = false;
+  let valueSeparatorIndex = -1;
+
+  for (let characterIndex = 0; characterIndex < contentLine.length; characterIndex++) {
+    const character = contentLine[characterIndex];
+    if (character === '"') isInsideQuotes = !isInsideQuotes;
+    if (character === ':' && !isInsideQuotes) {
+      valueSeparatorIndex = characterIndex;
+      break;
+    }
+  }
+  if (valueSeparatorIndex === -1) return null;
+
+  const [name, ...paramParts] = contentLine.slice(0, valueSeparatorIndex).match(/(?:[^;"]|"[^"]*")+/g) || [];
+  if (!name) return null;
+
+  const params = {};
+  for (const paramPart of paramParts) {
+    const [paramName, ...paramValueParts] = paramPart.split('=');
+    params[paramName.toUpperCase()] = paramValueParts.join('=').replace(/^"|"$/g, '');
+  }
+
+  return {
+    name: name.toUpperCase(),
+    params,
+    value: contentLine.slice(valueSeparatorIndex + 1)
+  };
+}
+
+/**
+ * Reverses TEXT escaping (RFC 5545 section 3.3.11).
+ * @pure
+ * @param {string} value - Escaped text
+ * @returns {string} Plain text
+ */
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (escapeSequence, escapedCharacter) =>
+    escapedCharacter.toLowerCase() === 'n' ? '\n' : escapedCharacter
+  );
+}
+
+// =============================================================================
+// PURE HELPER FUNCTIONS - Dates and times
+// =============================================================================
+
+/**
+ * @typedef {Object} CalendarEventPoint
+ * @property {string} dateKey - Local date (YYYY-MM-DD)
+ * @property {number|null} hours - Local hours, null for all-day values
+ * @property {number|null} minutes - Local minutes, null for all-day values
+ * @property {string|null} timeZone - IANA zone ('UTC' for UTC values), null for floating and all-day values
+ * @property {boolean} isUtc - Whether the value was given in UTC and still has to be placed in a local zone
+ */
+
+/**
+ * Maps a VTIMEZONE offset to a fixed-offset IANA zone ("+0900" → "Etc/GMT-9").
+ * Etc zones know no DST and whole hours only - a last resort for TZIDs
+ * that no table resolves.
+ * @pure
+ * @param {string} offsetText - TZOFFSETTO value
+ * @returns {string|null} IANA zone, or null for malformed or fractional offsets
+ */
+function offsetToFixedTimeZone(offsetText) {
+  const offsetMatch = offsetText.trim().match(/^([+-])(\d{2})(\d{2})$/);
+  if (!offsetMatch || offsetMatch[3] !== '00') return null;
+
+  const offsetHours = Number(offsetMatch[2]);
+  if (offsetHours === 0) return 'UTC';
+  if (offsetHours > 14) return null;
+  // Etc/GMT signs are inverted: Etc/GMT-9 is 9 hours east of UTC
+  return `Etc/GMT${offsetMatch[1] === '+' ? '-' : '+'}${offsetHours}`;
+}
+
+/**
+ * Parses a DTSTART/DTEND property into a wall-clock point.
+ *
+ * @param {{params: Object<string, string>, value: string}} dateProperty - Parsed property
+ * @param {Object<string, string>} calendarTimeZones - Zones of TZIDs defined by the calendar's VTIMEZONEs
+ * @returns {CalendarEventPoint|null} Parsed point, or null for malformed values
+ */
+function parseDateProperty(dateProperty, calendarTimeZones) {
+  const dateMatch = dateProperty.value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!dateMatch) return null;
+
+  const [, year, month, day, hoursText, minutesText, , utcSuffix] = dateMatch;
+  const dateKey = `${year}-${month}-${day}`;
+
+  if (hoursText === undefined) {
+    return { dateKey, hours: null, minutes: null, timeZone: null, isUtc: false };
+  }
+
+  const hours = Number(hoursText);
+  const minutes = Number(minutesText);
+
+  // UTC values are placed in a local zone later (see resolveCalendarEventPoints)
+  if (utcSuffix) {
+    return { dateKey, hours, minutes, timeZone: 'UTC', isUtc: true };
+  }
+
+  const timeZoneId = dateProperty.params.TZID;
+  return {
+    dateKey,
+    hours,
+    minutes,
+    timeZone: resolveIanaTimeZone(timeZoneId) || calendarTimeZones[timeZoneId] || null,
+    isUtc: false
+  };
+}
+
+/**
+ * Parses an RFC 5545 DURATION value ("PT1H30M", "P2D", "P1W").
+ * @pure
+ * @param {string} durationText - Duration value
+ * @returns {number|null} Duration in milliseconds, or null if malformed
+ */
+function parseDurationMilliseconds(durationText) {
+  const durationMatch = durationText.trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!durationMatch) return null;
+
+  const [, sign, weeks, days, hours, minutes, seconds] = durationMatch.map(part => part ?? 0);
+  const totalMilliseconds = (Number(weeks) * 7 + Number(days)) * MILLISECONDS_PER_DAY
+    + (Number(hours) * 60 + Number(minutes)) * MILLISECONDS_PER_MINUTE
+    + Number(seconds) * 1000;
+
+  return sign === '-' ? -totalMilliseconds : totalMilliseconds;
+}
+
+/**
+ * Derives an end point from a start point and a duration.
+ *
+ * @param {CalendarEventPoint} startPoint - Event start
+ * @param {number} durationMilliseconds - Event length
+ * @returns {CalendarEventPoint} Event end in the start's zone
+ */
+function addDurationToPoint(startPoint, durationMilliseconds) {
+  if (startPoint.hours === null) {
+    const dayCount = Math.max(1, Math.round(durationMilliseconds / MILLISECONDS_PER_DAY));
+    return { ...startPoint, dateKey: addDaysToDateKey(startPoint.dateKey, dayCount) };
+  }
+
+  const startTimeZone = startPoint.timeZone || 'UTC';
+  const startInstant = zonedDateTimeToUtc(startPoint.dateKey, startPoint.hours, startPoint.minutes, startTimeZone);
+  return {
+    ...utcToZonedDateTime(startInstant + durationMilliseconds, startTimeZone),
+    timeZone: startPoint.timeZone,
+    isUtc: startPoint.isUtc
+  };
+}
+
+/**
+ * Re-expresses a UTC point in a local zone; other points are returned as they are.
+ * @pure
+ * @param {CalendarEventPoint} eventPoint - Event start or end
+ * @param {string|null} timeZone - Zone to show the UTC time in
+ * @returns {CalendarEventPoint} Point in the zone
+ */
+function expressPointInTimeZone(eventPoint, timeZone) {
+  if (!eventPoint.isUtc || !timeZone) return eventPoint;
+
+  const utcMilliseconds = zonedDateTimeToUtc(eventPoint.dateKey, eventPoint.hours, eventPoint.minutes, 'UTC');
+  return { ...utcToZonedDateTime(utcMilliseconds, timeZone), timeZone, isUtc: false };
+}
+
+/**
+ * Counts calendar days between two date keys.
+ * @pure
+ * @param {string} fromDateKey - Earlier date (YYYY-MM-DD)
+ * @param {string} toDateKey - Later date (YYYY-MM-DD)
+ * @returns {number} Whole days from fromDateKey to toDateKey
+ */
+function countDaysBetween(fromDateKey, toDateKey) {
+  return Math.round((Date.parse(toDateKey) - Date.parse(fromDateKey)) / MILLISECONDS_PER_DAY);
+}
+
+/**
+ * Formats a wall-clock time the way itinerary JSON writes it (e.g., "6:10 PM").
+ * @pure
+ * @param {CalendarEventPoint} eventPoint - Point with hours and minutes
+ * @returns {string|undefined} Formatted time, undefined for all-day points
+ */
+function formatClockTime(eventPoint) {
+  if (eventPoint.hours === null) return undefined;
+  const meridiem = eventPoint.hours < 12 ? 'AM' : 'PM';
+  const displayHours = eventPoint.hours % 12 || 12;
+  return `${displayHours}:${String(eventPoint.minutes).padStart(2, '0')} ${meridiem}`;
+}
+
+/**
+ * Returns the instant an event starts at, for sorting. All-day and floating
+ * starts are read in the fallback zone; all-day events sort first on their day.
+ *
+ * @param {Object} calendarEvent - Parsed calendar event
+ * @param {string|null} fallbackTimeZone - Zone of zone-less starts
+ * @returns {number} Epoch milliseconds
+ */
+function getEventSortInstant(calendarEvent, fallbackTimeZone) {
+  const { dateKey, hours, minutes, timeZone } = calendarEvent.start;
+  const sortTimeZone = timeZone || fallbackTimeZone || 'UTC';
+  if (hours === null) return zonedDateTimeToUtc(dateKey, 0, 0, sortTimeZone);
+  return zonedDateTimeToUtc(dateKey, hours, minutes, sortTimeZone);
+}
+
+// =============================================================================
+// PURE HELPER FUNCTIONS - Stay pairing
+// =============================================================================
+
+/**
+ * Joins separate check-in and check-out events into one stay event running
+ * from check-in to check-out. Pairs by UID ("...-checkin." with
+ * "...-checkout.") first, else by the stay name in the summaries.
+ *
+ * @pure
+ * @param {Array<Object>} calendarEvents - Parsed events, in file order
+ * @returns {Array<Object>} Events with each pair replaced by one stay event
+ *
+ * @example
+ * // '🏨 Check-in: APA Hotel' (Feb 6) + '🧳 Check-out: APA Hotel' (Feb 9)
+ * pairStayEvents(events) // [{ summary: 'APA Hotel', start: Feb 6, end: Feb 9, isStayPair: true, ... }]
+ */
+function pairStayEvents(calendarEvents) {
+  const checkOutIndexByCheckInIndex = new Map();
+  const pairedCheckOutIndexes = new Set();
+
+  const checkOutNames = calendarEvents.map(calendarEvent => (
+    calendarEvent.summary.match(CHECK_OUT_SUMMARY_PATTERN)?.[1].trim() || null
+  ));
+
+  calendarEvents.forEach((calendarEvent, checkInIndex) => {
+    const checkInName = calendarEvent.summary.match(CHECK_IN_SUMMARY_PATTERN)?.[1].trim();
+    if (!checkInName) return;
+
+    const checkOutUid = CHECK_IN_UID_PATTERN.test(calendarEvent.uid)
+      ? calendarEvent.uid.replace(CHECK_IN_UID_PATTERN, '-checkout')
+      : null;
+    const isAvailableCheckOut = (candidateIndex) => (
+      checkOutNames[candidateIndex] !== null
+      && !pairedCheckOutIndexes.has(candidateIndex)
+      && calendarEvents[candidateIndex].start.dateKey >= calendarEvent.start.dateKey
+    );
+
+    let checkOutIndex = checkOutUid
+      ? calendarEvents.findIndex((candidateEvent, candidateIndex) => (
+        candidateEvent.uid === checkOutUid && isAvailableCheckOut(candidateIndex)
+      ))
+      : -1;
+    if (checkOutIndex === -1) {
+      // The earliest check-out of the same stay after the check-in
+      checkOutIndex = calendarEvents.reduce((earliestIndex, candidateEvent, candidateIndex) => {
+        if (checkOutNames[candidateIndex] !== checkInName || !isAvailableCheckOut(candidateIndex)) return earliestIndex;
+        if (earliestIndex === -1 || candidateEvent.start.dateKey < calendarEvents[earliestIndex].start.dateKey) return candidateIndex;
+        return earliestIndex;
+      }, -1);
+    }
+    if (checkOutIndex === -1) return;
+
+    checkOutIndexByCheckInIndex.set(checkInIndex, checkOutIndex);
+    pairedCheckOutIndexes.add(checkOutIndex);
+  });
+
+  return calendarEvents.flatMap((calendarEvent, eventIndex) => {
+    if (pairedCheckOutIndexes.has(eventIndex)) return [];
+    if (!checkOutIndexByCheckInIndex.has(eventIndex)) return [calendarEvent];
+
+    // CRITICAL PATH: The stay ends where the check-out starts (createStaySegment reads it as the checkout)
+    const checkOutEvent = calendarEvents[checkOutIndexByCheckInIndex.get(eventIndex)];
+    return [{
+      ...calendarEvent,
+      summary: calendarEvent.summary.match(CHECK_IN_SUMMARY_PATTERN)[1].trim(),
+      end: checkOutEvent.start,
+      isStayPair: true
+    }];
+  });
+}
+
+// =============================================================================
+// PURE HELPER FUNCTIONS - Classification
+// =============================================================================
+
+/**
+ * Joins the searchable text of an event.
+ * @pure
+ * @param {Object} calendarEvent - Parsed calendar event
+ * @returns {string} Summary, location and description joined by newlines
+ */
+function getEventSearchText(calendarEvent) {
+  return [calendarEvent.summary, calendarEvent.location, calendarEvent.description].filter(Boolean).join('\n');
+}
+
+/**
+ * Finds the origin and destination airport codes of a flight invite.
+ * @pure
+ * @param {Object} calendarEvent - Parsed calendar event
+ * @returns {{originCode: string, destinationCode: string}|null} Airport codes or null
+ */
+function extractFlightRoute(calendarEvent) {
+  const searchText = getEventSearchText(calendarEvent);
+
+  const routeMatch = searchText.match(ROUTE_PATTERN);
+  if (routeMatch) return { originCode: routeMatch[1], destinationCode: routeMatch[2] };
+
+  // LOCATION and DESCRIPTION often repeat the origin, so keep each code once
+  const parenthesizedCodes = [...new Set(
+    [...searchText.matchAll(PARENTHESIZED_AIRPORT_PATTERN)].map(codeMatch => codeMatch[1])
+  )];
+  if (parenthesizedCodes.length >= 2) {
+    return { originCode: parenthesizedCodes[0], destinationCode: parenthesizedCodes[1] };
+  }
+
+  return null;
+}
+
+/**
+ * Looks up the zones of a flight's route airports (needs the airport database loaded).
+ * @param {Object} calendarEvent - Parsed calendar event
+ * @returns {{startTimeZone: string, endTimeZone: string}|null} Zones, null unless both airports are known
+ */
+function findFlightAirportTimeZones(calendarEvent) {
+  const flightRoute = extractFlightRoute(calendarEvent);
+  const originTimeZone = lookupAirport(flightRoute?.originCode)?.tz;
+  const destinationTimeZone = lookupAirport(flightRoute?.destinationCode)?.tz;
+  if (!originTimeZone || !destinationTimeZone) return null;
+  return { startTimeZone: originTimeZone, endTimeZone: destinationTimeZone };
+}
+
+/**
+ * Suggests the zone of each event's UTC times for when the airports cannot
+ * place them: the arrival zone of the last flight before the event, else the
+ * departure zone of the next flight, else the fallback zone.
+ *
+ * @param {Array<Object>} calendarEvents - Parsed events sorted by start
+ * @param {string|null} fallbackTimeZone - Zone when no flight hints at one
+ * @returns {Array<Object>} Events with timeZone set
+ */
+function suggestCalendarTimeZones(calendarEvents, fallbackTimeZone) {
+  const flightTimeZones = calendarEvents.map(calendarEvent => (
+    calendarEvent.category === 'flight' ? findFlightAirportTimeZones(calendarEvent) : null
+  ));
+
+  let lastArrivalTimeZone = null;
+  return calendarEvents.map((calendarEvent, eventIndex) => {
+    const nextFlightTimeZones = flightTimeZones.slice(eventIndex).find(Boolean);
+    const suggestedTimeZone = lastArrivalTimeZone || nextFlightTimeZones?.startTimeZone || fallbackTimeZone;
+    if (flightTimeZones[eventIndex]) lastArrivalTimeZone = flightTimeZones[eventIndex].endTimeZone;
+    return { ...calendarEvent, timeZone: suggestedTimeZone };
+  });
+}
+
+/**
+ * Finds the flight number of a flight invite, preferring the summary.
+ * @pure
+ * @param {Object} calendarEvent - Parsed calendar event
+ * @returns {{airlineCode: string, flightNumber: string}|null} Flight number or null
+ */
+function extractFlightNumber(calendarEvent) {
+  for (const fieldText of [calendarEvent.summary, calendarEvent.description]) {
+    const flightMatch = fieldText?.match(FLIGHT_NUMBER_PATTERN);
+    if (flightMatch) {
+      return { airlineCode: flightMatch[1], flightNumber: `${flightMatch[1]}${flightMatch[2]}` };
+    }
+  }
+  return null;
+}
+
+/**
+ * Guesses whether an event is a flight, a stay or a generic event.
+ *
+ * @pure
+ * @param {Object} calendarEvent - Parsed calendar event
+ * @returns {'flight'|'stay'|'event'} Guessed category
+ *
+ * @example
+ * classifyCalendarEvent({ summary: 'UA 837 SFO → NRT', ... }) // Returns 'flight'
+ * classifyCalendarEvent({ summary: 'Stay at APA Hotel', ... }) // Returns 'stay'
+ */
+export function classifyCalendarEvent(calendarEvent) {
+  if (calendarEvent.isStayPair) return 'stay';
+
+  const searchText = getEventSearchText(calendarEvent);
+  const hasRoute = extractFlightRoute(calendarEvent) !== null;
+  const hasFlightNumber = extractFlightNumber(calendarEvent) !== null;
+
+  // CRITICAL PATH: Flights first - airline invites often mention "check-in"
+  if ((FLIGHT_KEYWORD_PATTERN.test(searchText) && (hasRoute || hasFlightNumber)) || (hasRoute && hasFlightNumber)) {
+    return 'flight';
+  }
+
+  const spansSeveralDays = countDaysBetween(calendarEvent.start.dateKey, calendarEvent.end.dateKey) >= 2;
+  if (LODGING_KEYWORD_PATTERN.test(searchText) || (calendarEvent.isAllDay && spansSeveralDays && calendarEvent.location)) {
+    return 'stay';
+  }
+
+  return 'event';
+}
+
+// =============================================================================
+// PURE HELPER FUNCTIONS - Segment mapping
+// =============================================================================
+
+/**
+ * Maps a VEVENT STATUS to an itinerary status code.
+ * @pure
+ * @param {string|null} icsStatus - STATUS value (CONFIRMED, TENTATIVE, ...)
+ * @param {string} category - Event category
+ * @returns {string} 'BOOKED' or 'PLANNED'
+ */
+function mapIcsStatusToStatusCode(icsStatus, category) {
+  if (icsStatus === 'CONFIRMED') return 'BOOKED';
+  if (!icsStatus && category !== 'event') return 'BOOKED';
+  return 'PLANNED';
+}
+
+/**
+ * Returns the last date an event covers (all-day DTEND is exclusive).
+ * @pure
+ * @param {Object} calendarEvent - Parsed calendar event
+ * @returns {string} Inclusive end date (YYYY-MM-DD)
+ */
+function getInclusiveEndDateKey(calendarEvent) {
+  if (!calendarEvent.isAllDay) return calendarEvent.end.dateKey;
+  const inclusiveEndDateKey = addDaysToDateKey(calendarEvent.end.dateKey, -1);
+  return inclusiveEndDateKey > calendarEvent.start.dateKey ? inclusiveEndDateKey : calendarEvent.start.dateKey;
+}
+
+/**
+ * Builds a flight segment from a calendar event.
+ * @pure
+ * @param {Object} calendarEvent - Parsed calendar event
+ * @param {Object} baseSegment - Fields shared by every segment type
+ * @returns {Object} Flight segment
+ */
+function createFlightSegment(calendarEvent, baseSegment) {
+  const flightRoute = extractFlightRoute(calendarEvent);
+  const flightNumberMatch = extractFlightNumber(calendarEvent);
+  const arrivalDayOffset = countDaysBetween(calendarEvent.start.dateKey, calendarEvent.end.dateKey);
+  const arrivalTime = formatClockTime(calendarEvent.end);
+
+  return {
+    ...baseSegment,
+    type: 'Flight',
+    dateEnd: arrivalDayOffset > 0 ? calendarEvent.end.dateKey : undefined,
+    timeEnd: arrivalTime && arrivalDayOffset > 0 ? `${arrivalTime} +${arrivalDayOffset}` : arrivalTime,
+    tzFrom: calendarEvent.start.timeZone || undefined,
+    tzTo: calendarEvent.end.timeZone || undefined,
+    route: flightRoute ? `${flightRoute.originCode} → ${flightRoute.destinationCode}` : undefined,
+    airline: flightNumberMatch?.airlineCode,
+    flight: flightNumberMatch?.flightNumber,
+    departureAirport: flightRoute?.originCode,
+    arrivalAirport: flightRoute?.destinationCode
+  };
+}
+
+/**
+ * Builds a stay segment from a calendar event.
+ * Hotel invites run from check-in to check-out, so the end date is the checkout day.
+ * @pure
+ * @param {Object} calendarEvent - Parsed calendar event
+ * @param {Object} baseSegment - Fields shared by every segment type
+ * @returns {Object} Stay segment
+ */
+function createStaySegment(calendarEvent, baseSegment) {
+  const checkoutDateKey = calendarEvent.end.dateKey;
+
+  return {
+    ...baseSegment,
+    type: 'Stay',
+    dateEnd: checkoutDateKey > calendarEvent.start.dateKey ? checkoutDateKey : undefined,
+    timeEnd: undefined,
+    shelter: {
+      name: calendarEvent.summary || calendarEvent.location || 'Lodging',
+      address: calendarEvent.location || null,
+      checkIn: formatClockTime(calendarEvent.start) || null,
+      checkOut: formatClockTime(calendarEvent.end) || null,
+      notes: calendarEvent.description || null
+    }
+  };
+}
+
+/**
+ * Builds a generic activity segment from a calendar event.
+ * @pure
+ * @param {Object} calendarEvent - Parsed calendar event
+ * @param {Object} baseSegment - Fields shared by every segment type
+ * @returns {Object} Activity segment
+ */
+function createEventSegment(calendarEvent, baseSegment) {
+  const inclusiveEndDateKey = getInclusiveEndDateKey(calendarEvent);
+
+  return {
+    ...baseSegment,
+    type: 'Activity',
+    dateEnd: inclusiveEndDateKey > calendarEvent.start.dateKey ? inclusiveEndDateKey : undefined
+  };
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * @typedef {Object} ParsedCalendarEvent
+ * @property {string} uid - Event UID (generated when missing)
+ * @property {string} summary - SUMMARY text
+ * @property {string|null} description - DESCRIPTION text
+ * @property {string|null} location - LOCATION text
+ * @property {string|null} status - STATUS value
+ * @property {boolean} isAllDay - Whether DTSTART is a DATE value
+ * @property {CalendarEventPoint} start - Event start
+ * @property {CalendarEventPoint} end - Event end (exclusive date for all-day events)
+ * @property {string} category - Guessed category (see classifyCalendarEvent)
+ * @property {boolean} [isStayPair] - Joined from separate check-in and check-out events
+ * @property {string|null} timeZone - Zone UTC times are shown in when the airports cannot place them (suggested, changed in the review step)
+ */
+
+/**
+ * Whether the review step has to ask which zone an event's UTC times are
+ * shown in. Flights whose route airports are known need no answer.
+ *
+ * @param {ParsedCalendarEvent} calendarEvent - Parsed calendar event
+ * @returns {boolean} True for included events with UTC times the airports cannot place
+ */
+export function needsCalendarTimeZoneChoice(calendarEvent) {
+  if (calendarEvent.category === 'skip' || !(calendarEvent.start.isUtc || calendarEvent.end.isUtc)) return false;
+  return !(calendarEvent.category === 'flight' && findFlightAirportTimeZones(calendarEvent));
+}
+
+/**
+ * Resolves the start and end of an event in local time. UTC times of flights
+ * move to the route airports' zones, other UTC times to calendarEvent.timeZone.
+ *
+ * @param {ParsedCalendarEvent} calendarEvent - Parsed calendar event
+ * @returns {{start: CalendarEventPoint, end: CalendarEventPoint}} Local start and end
+ *
+ * @example
+ * // DTSTART:20260206T033500Z for "Flight 5J5056 (MNL) to (NRT)"
+ * resolveCalendarEventPoints(flightEvent).start // { dateKey: '2026-02-06', hours: 11, minutes: 35, timeZone: 'Asia/Manila', ... }
+ */
+export function resolveCalendarEventPoints(calendarEvent) {
+  const airportTimeZones = calendarEvent.category === 'flight' ? findFlightAirportTimeZones(calendarEvent) : null;
+  return {
+    start: expressPointInTimeZone(calendarEvent.start, airportTimeZones?.startTimeZone || calendarEvent.timeZone),
+    end: expressPointInTimeZone(calendarEvent.end, airportTimeZones?.endTimeZone || calendarEvent.timeZone)
+  };
+}
+
+/**
+ * Parses the VEVENTs of an .ics file, sorted by start.
+ * Load the airport database first so flights in UTC find their zones.
+ *
+ * @param {string} icsText - Raw .ics file content
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.fallbackTimeZone] - Zone suggested for UTC times when no flight hints at one (defaults to the device zone)
+ * @returns {[{calendarName: string|null, events: Array<ParsedCalendarEvent>}, null] | [null, Error]} Go-style result tuple
+ */
+export function parseIcsCalendar(icsText, options = {}) {
+  const {
+    fallbackTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || null
+  } = options;
+
+  if (typeof icsText !== 'string' || !/BEGIN:VCALENDAR/i.test(icsText)) {
+    return [null, new Error('File is not an iCalendar (.ics) calendar')];
+  }
+
+  const parsedEvents = [];
+  const calendarTimeZones = {};
+  let calendarName = null;
+  let currentEventProperties = null;
+  let nestedComponentDepth = 0;
+  let currentTimeZoneDefinition = null;
+
+  for (const contentLine of unfoldContentLines(icsText)) {
+    const parsedLine = parseContentLine(contentLine);
+    if (!parsedLine) continue;
+
+    if (parsedLine.name === 'BEGIN') {
+      const componentName = parsedLine.value.toUpperCase();
+      if (componentName === 'VEVENT') currentEventProperties = {};
+      else if (currentEventProperties) nestedComponentDepth++;
+      else if (componentName === 'VTIMEZONE') currentTimeZoneDefinition = { timeZoneId: null, standardOffset: null, subComponent: null };
+      else if (currentTimeZoneDefinition) currentTimeZoneDefinition.subComponent = componentName;
+      continue;
+    }
+    if (parsedLine.name === 'END') {
+      const componentName = parsedLine.value.toUpperCase();
+      if (componentName === 'VEVENT' && currentEventProperties) {
+        parsedEvents.push(currentEventProperties);
+        currentEventProperties = null;
+      } else if (nestedComponentDepth > 0) {
+        nestedComponentDepth--;
+      } else if (componentName === 'VTIMEZONE' && currentTimeZoneDefinition) {
+        const { timeZoneId, standardOffset } = currentTimeZoneDefinition;
+        const fixedTimeZone = standardOffset && offsetToFixedTimeZone(standardOffset);
+        if (timeZoneId && fixedTimeZone) calendarTimeZones[timeZoneId] = fixedTimeZone;
+        currentTimeZoneDefinition = null;
+      } else if (currentTimeZoneDefinition) {
+        currentTimeZoneDefinition.subComponent = null;
+      }
+      continue;
+    }
+
+    if (currentTimeZoneDefinition) {
+      if (parsedLine.name === 'TZID' && !currentTimeZoneDefinition.subComponent) {
+        currentTimeZoneDefinition.timeZoneId = parsedLine.value.trim();
+      } else if (parsedLine.name === 'TZOFFSETTO' && currentTimeZoneDefinition.subComponent === 'STANDARD'
+        && !currentTimeZoneDefinition.standardOffset) {
+        currentTimeZoneDefinition.standardOffset = parsedLine.value;
+      }
+      continue;
+    }
+
+    if (parsedLine.name === 'X-WR-CALNAME' && !currentEventProperties) {
+      calendarName = unescapeText(parsedLine.value).trim() || null;
+      continue;
+    }
+
+    // CRITICAL PATH: Ignore VALARM and other nested component properties
+    if (currentEventProperties && nestedComponentDepth === 0 && !(parsedLine.name in currentEventProperties)) {
+      currentEventProperties[parsedLine.name] = parsedLine;
+    }
+  }
+
+  const calendarEvents = [];
+  for (const [eventIndex, eventProperties] of parsedEvents.entries()) {
+    if (!eventProperties.DTSTART) continue;
+
+    const eventStatus = eventProperties.STATUS?.value.trim().toUpperCase() || null;
+    if (eventStatus === 'CANCELLED') continue;
+
+    const startPoint = parseDateProperty(eventProperties.DTSTART, calendarTimeZones);
+    if (!startPoint) continue;
+
+    const isAllDay = startPoint.hours === null;
+    const durationMilliseconds = eventProperties.DURATION
+      ? parseDurationMilliseconds(eventProperties.DURATION.value)
+      : null;
+    const endPoint = (eventProperties.DTEND && parseDateProperty(eventProperties.DTEND, calendarTimeZones))
+      || (durationMilliseconds !== null && addDurationToPoint(startPoint, durationMilliseconds))
+      || (isAllDay ? { ...startPoint, dateKey: addDaysToDateKey(startPoint.dateKey, 1) } : startPoint);
+
+    const calendarEvent = {
+      uid: eventProperties.UID?.value.trim() || `ics-event-${eventIndex + 1}`,
+      summary: eventProperties.SUMMARY ? unescapeText(eventProperties.SUMMARY.value).trim() : '',
+      description: eventProperties.DESCRIPTION ? unescapeText(eventProperties.DESCRIPTION.value).trim() || null : null,
+      location: eventProperties.LOCATION ? unescapeText(eventProperties.LOCATION.value).trim() || null : null,
+      status: eventStatus,
+      isAllDay,
+      start: startPoint,
+      end: endPoint
+    };
+    calendarEvents.push(calendarEvent);
+  }
+
+  if (calendarEvents.length === 0) {
+    return [null, new Error('No events found in the calendar')];
+  }
+
+  const classifiedEvents = pairStayEvents(calendarEvents)
+    .map(calendarEvent => ({ ...calendarEvent, category: classifyCalendarEvent(calendarEvent) }))
+    .sort((eventA, eventB) => (
+      getEventSortInstant(eventA, fallbackTimeZone) - getEventSortInstant(eventB, fallbackTimeZone)
+    ));
+
+  return [{ calendarName, events: suggestCalendarTimeZones(classifiedEvents, fallbackTimeZone) }, null];
+}
+
+/**
+ * Maps calendar events to itinerary JSON accepted by importItineraryData.
+ * Each event's category (possibly overridden by the user) picks the segment type;
+ * events categorized as 'skip' are left out. UTC times are placed per
+ * resolveCalendarEventPoints.
+ *
+ * @param {Array<ParsedCalendarEvent>} calendarEvents - Events from parseIcsCalendar
+ * @param {Object} [options] - Build options
+ * @param {string} [options.tripName] - Name of the new trip
+ * @returns {Object} Itinerary JSON ({ tripName, budget, travelers, trips })
+ */
+export function buildItineraryFromCalendarEvents(calendarEvents, options = {}) {
+  const { tripName = 'Imported Calendar' } = options;
+
+  const importedSegments = calendarEvents
+    .filter(calendarEvent => calendarEvent.category !== 'skip')
+    .map((reviewedEvent, segmentIndex) => {
+      const calendarEvent = { ...reviewedEvent, ...resolveCalendarEventPoints(reviewedEvent) };
+      const eventTimeZone = calendarEvent.start.timeZone || undefined;
+      const baseSegment = {
+        id: `seg-${String(segmentIndex + 1).padStart(3, '0')}`,
+        date: calendarEvent.start.dateKey,
+        timeStart: formatClockTime(calendarEvent.start),
+        timeEnd: formatClockTime(calendarEvent.end),
+        tz: eventTimeZone,
+        tzLabel: eventTimeZone,
+        details: calendarEvent.summary || 'Untitled event',
+        location: calendarEvent.location || undefined,
+        note: calendarEvent.description || undefined,
+        status: mapIcsStatusToStatusCode(calendarEvent.status, calendarEvent.category),
+        calendarUid: calendarEvent.uid
+      };
+
+      switch (calendarEvent.category) {
+        case 'flight':
+          return createFlightSegment(calendarEvent, baseSegment);
+        case 'stay':
+          return createStaySegment(calendarEvent, baseSegment);
+        default:
+          return createEventSegment(calendarEvent, baseSegment);
+      }
+    })
+    // Drop undefined fields so stored segments look like hand-written JSON
+    .map(segmentData => JSON.parse(JSON.stringify(segmentData)));
+
+  return {
+    tripName,
+    budget: { total: 0, currency: 'USD' },
+    travelers: [],
+    trips: [
+      {
+        name: tripName,
+        region: null,
+        segments: importedSegments
+      }
+    ]
+  };
+}
@@ -0,0 +1,276 @@
+/**
+ * @fileoverview Live "Now / Next" state of a trip
+ *
+ * Works out where the traveler is in the itinerary at a given instant:
+ * - The traveler's zone follows the itinerary: the zone of the item they
+ *   are in, or the arrival zone of the last item that ended. The device
+ *   zone is not trusted, phones often keep the home zone
+ * - The trip day is the local date in that zone (not the UTC date)
+ * - While aboard a flight the date depends on the side of the date line,
+ *   so the in-flight day (when the data has one) stands for the whole
+ *   flight, else the departure day
+ * - The current item, the next one and the stay to head to for the night
+ *
+ * Items are compared through the instants the parser attaches; user-added
+ * activities and meals get theirs here.
+ *
+ * @module utils/liveTrip
+ */
+
+import { resolveDayItemInstants } from '../data/itinerary';
+import { listDayItems, describeDayItem, BUFFER_STATUS } from './statusWorkflow';
+import { isFlightSegment } from './boardingPassCheck';
+import { MILLISECONDS_PER_MINUTE, resolveDayTimeZone, utcToZonedDateTime, getDeviceTimeZone } from './timezones';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** @constant {Object<string, string>} KIND_EMOJI - Emoji per item kind */
+const KIND_EMOJI = {
+  flight: '✈️',
+  travel: '🧭',
+  shelter: '🏨',
+  meal: '🍽️',
+  activity: '📍'
+};
+
+// =============================================================================
+// TYPE DEFINITIONS
+// =============================================================================
+
+/**
+ * @typedef {Object} TimelineEntry
+ * @property {string} entryId - Item ID
+ * @property {'travel'|'shelter'|'meal'|'activity'} itemKind - What the item is
+ * @property {Object} item - The item itself
+ * @property {string} dateKey - Day the item is listed on (first day for multi-day items)
+ * @property {string} label - Emoji and display name
+ * @property {number} startUtc - Start as epoch milliseconds
+ * @property {number} endUtc - End as epoch milliseconds (exclusive)
+ * @property {string} startTimeZone - IANA zone the item starts in
+ * @property {string} endTimeZone - IANA zone the item ends in
+ */
+
+/**
+ * @typedef {Object} LiveTripState
+ * @property {'before'|'during'|'after'} phase - Where now falls relative to the trip days
+ * @property {string} liveDateKey - Trip day of the traveler (YYYY-MM-DD)
+ * @property {Object|null} liveDay - Parsed day of liveDateKey, null on a date the itinerary skips
+ * @property {string|null} timeZone - Zone of the traveler, null while aboard a flight
+ * @property {boolean} isInFlight - Whether the traveler is aboard a flight
+ * @property {TimelineEntry|null} currentEntry - Item running now (a stay only when nothing else is)
+ * @property {TimelineEntry|null} nextEntry - First item starting after now (stays excluded)
+ * @property {{shelter: Object, dateKey: string, isTonight: boolean}|null} nextStay - Stay for tonight, or the next one
+ */
+
+// =============================================================================
+// PURE HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Creates a timeline entry for a timed item.
+ * @pure
+ * @param {string} itemKind - travel, shelter, meal or activity
+ * @param {Object} item - The item
+ * @param {string} dateKey - Day the item is listed on
+ * @param {import('./timezones').ItemInstants|null} instants - Instants of the item
+ * @returns {TimelineEntry|null} Entry, null for all-day or zone-less items
+ */
+function createTimelineEntry(itemKind, item, dateKey, instants) {
+  if (!instants || instants.isAllDay) return null;
+
+  const isFlight = itemKind === 'travel' && isFlightSegment(item);
+  const itemEmoji = itemKind === 'activity' && item.icon ? item.icon : KIND_EMOJI[isFlight ? 'flight' : itemKind];
+  return {
+    entryId: item.id,
+    itemKind,
+    item,
+    dateKey,
+    label: `${itemEmoji} ${describeDayItem(itemKind, item)}`,
+    startUtc: instants.startUtc,
+    endUtc: instants.endUtc,
+    startTimeZone: instants.startTimeZone,
+    endTimeZone: instants.endTimeZone
+  };
+}
+
+/**
+ * Picks the trip day standing for a flight in progress.
+ * @pure
+ * @param {Array<Object>} liveDays - Parsed days
+ * @param {TimelineEntry} flightEntry - Flight the traveler is aboard
+ * @param {number} nowMilliseconds - Current time
+ * @returns {string} Date key
+ */
+function resolveInFlightDateKey(liveDays, flightEntry, nowMilliseconds) {
+  const departureDateKey = flightEntry.item.date || flightEntry.dateKey;
+  const arrivalDateKey = flightEntry.item.dateEnd || departureDateKey;
+
+  const inFlightDay = liveDays.find(dayEntry => (
+    dayEntry.isInFlight && dayEntry.dateKey > departureDateKey && dayEntry.dateKey < arrivalDateKey
+  ));
+  if (inFlightDay) return inFlightDay.dateKey;
+
+  // CRITICAL PATH: Keep the departure-side date within the flight's own days
+  const departureSideDateKey = utcToZonedDateTime(nowMilliseconds, flightEntry.startTimeZone).dateKey;
+  if (departureSideDateKey < departureDateKey) return departureDateKey;
+  return departureSideDateKey > arrivalDateKey ? arrivalDateKey : departureSideDateKey;
+}
+
+/**
+ * Resolves the zone the traveler is in when not aboard a flight.
+ * @pure
+ * @param {Array<TimelineEntry>} tripTimeline - Timeline sorted by start
+ * @param {Array<Object>} liveDays - Parsed days
+ * @param {number} nowMilliseconds - Current time
+ * @returns {string} IANA zone
+ */
+function resolveTravelerTimeZone(tripTimeline, liveDays, nowMilliseconds) {
+  const startedEntries = tripTimeline.filter(timelineEntry => timelineEntry.startUtc <= nowMilliseconds);
+  if (startedEntries.length > 0) {
+    // The most recent item decides: its arrival zone once it ended
+    const latestEntry = startedEntries.reduce((latest, timelineEntry) => (
+      Math.min(timelineEntry.endUtc, nowMilliseconds) >= Math.min(latest.endUtc, nowMilliseconds) ? timelineEntry : latest
+    ));
+    return latestEntry.endUtc <= nowMilliseconds ? latestEntry.endTimeZone : latestEntry.startTimeZone;
+  }
+
+  return liveDays.map(resolveDayTimeZone).find(Boolean) || getDeviceTimeZone();
+}
+
+/**
+ * Finds the stay for the night of a day, or the next stay after it.
+ * @pure
+ * @param {Array<Object>} liveDays - Parsed days
+ * @param {string} liveDateKey - Trip day of the traveler
+ * @returns {{shelter: Object, dateKey: string, isTonight: boolean}|null} Stay, null when none is ahead
+ */
+function findNextStay(liveDays, liveDateKey) {
+  const stayDay = liveDays.find(dayEntry => dayEntry.dateKey >= liveDateKey && dayEntry.shelter?.id);
+  if (!stayDay) return null;
+  return { shelter: stayDay.shelter, dateKey: stayDay.dateKey, isTonight: stayDay.dateKey === liveDateKey };
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Collects every timed item of the trip once, sorted by start. Multi-day
+ * travel counts from its departure day, stays from their first night;
+ * buffers and all-day items are left out.
+ *
+ * @pure
+ * @param {Array<Object>} liveDays - Days with live statuses applied
+ * @param {import('./statusWorkflow').DayUserItems} userItems - User-added and soft-deleted items
+ * @returns {Array<TimelineEntry>} Timeline sorted by start
+ */
+export function collectTripTimeline(liveDays, userItems) {
+  const timelineEntries = [];
+  const collectedItemIds = new Set();
+
+  for (const dayEntry of liveDays) {
+    const dayTimeZone = resolveDayTimeZone(dayEntry) || getDeviceTimeZone();
+
+    for (const { itemKind, item } of listDayItems(dayEntry, userItems)) {
+      if (collectedItemIds.has(item.id) || item.status === BUFFER_STATUS) continue;
+      collectedItemIds.add(item.id);
+
+      // User-added items are not parsed, so they carry no instants yet
+      const instants = item.instants !== undefined || itemKind === 'travel' || itemKind === 'shelter'
+        ? item.instants
+        : resolveDayItemInstants(item, dayEntry.dateKey, dayTimeZone);
+      const timelineEntry = createTimelineEntry(itemKind, item, dayEntry.dateKey, instants);
+      if (timelineEntry) timelineEntries.push(timelineEntry);
+    }
+  }
+
+  return timelineEntries.sort((firstEntry, secondEntry) => firstEntry.startUtc - secondEntry.startUtc);
+}
+
+/**
+ * Works out the traveler's trip day, current and next item at an instant.
+ *
+ * @pure
+ * @param {Array<Object>} liveDays - Days with live statuses applied
+ * @param {Array<TimelineEntry>} tripTimeline - From collectTripTimeline
+ * @param {number} nowMilliseconds - Current time
+ * @returns {LiveTripState|null} Live state, null for a trip without days
+ *
+ * @example
+ * // 9 PM in Tokyo is still the same trip day, although UTC is already past noon
+ * resolveLiveTripState(days, collectTripTimeline(days, userItems), Date.now()).liveDateKey
+ */
+export function resolveLiveTripState(liveDays, tripTimeline, nowMilliseconds) {
+  if (liveDays.length === 0) return null;
+
+  const runningEntries = tripTimeline.filter(timelineEntry => (
+    timelineEntry.startUtc <= nowMilliseconds && nowMilliseconds < timelineEntry.endUtc
+  ));
+  // CRITICAL PATH: A stay runs all night - it is only "now" when nothing else is
+  const currentEntry = runningEntries.filter(timelineEntry => timelineEntry.itemKind !== 'shelter').pop()
+    || runningEntries.pop()
+    || null;
+  const nextEntry = tripTimeline.find(timelineEntry => (
+    timelineEntry.itemKind !== 'shelter' && timelineEntry.startUtc > nowMilliseconds
+  )) || null;
+
+  const isInFlight = currentEntry?.itemKind === 'travel' && isFlightSegment(currentEntry.item);
+  const timeZone = isInFlight ? null : resolveTravelerTimeZone(tripTimeline, liveDays, nowMilliseconds);
+  const liveDateKey = isInFlight
+    ? resolveInFlightDateKey(liveDays, currentEntry, nowMilliseconds)
+    : utcToZonedDateTime(nowMilliseconds, timeZone).dateKey;
+
+  let phase = 'during';
+  if (liveDateKey < liveDays[0].dateKey) phase = 'before';
+  if (liveDateKey > liveDays[liveDays.length - 1].dateKey) phase = 'after';
+
+  return {
+    phase,
+    liveDateKey,
+    liveDay: liveDays.find(dayEntry => dayEntry.dateKey === liveDateKey) || null,
+    timeZone,
+    isInFlight,
+    currentEntry,
+    nextEntry,
+    nextStay: findNextStay(liveDays, liveDateKey)
+  };
+}
+
+/**
+ * Formats the time left until an instant ("now", "25m", "2h 05m", "3d 4h").
+ *
+ * @pure
+ * @param {number} targetMilliseconds - Instant counted down to
+ * @param {number} nowMilliseconds - Current time
+ * @returns {string} Countdown label
+ */
+export function formatCountdown(targetMilliseconds, nowMilliseconds) {
+  const totalMinutes = Math.ceil((targetMilliseconds - nowMilliseconds) / MILLISECONDS_PER_MINUTE);
+  if (totalMinutes <= 0) return 'now';
+
+  const days = Math.floor(totalMinutes / 1440);
+  const hours = Math.floor((totalMinutes % 1440) / 60);
+  const minutes = totalMinutes % 60;
+  if (days > 0) return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  return `${minutes}m`;
+}
+
+/**
+ * Formats an instant as a clock time in a zone ("7:30 PM GMT+9").
+ *
+ * @pure
+ * @param {number} utcMilliseconds - Instant
+ * @param {string|null} timeZone - IANA zone, null for the device zone
+ * @returns {string} Local time with zone
+ */
+export function formatLocalClockTime(utcMilliseconds, timeZone) {
+  return new Intl.DateTimeFormat(undefined, {
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: timeZone || undefined,
+    timeZoneName: 'short'
+  }).format(utcMilliseconds);
+}
@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Notification API helpers
+ *
+ * Notifications are shown through the service worker registration when
+ * there is one (mobile browsers only allow that, and the worker brings the
+ * app back into focus on click), otherwise with the page-level constructor.
+ *
+ * @module utils/notifications
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** @constant {string} NOTIFICATION_ICON_PATH - Icon shown next to notifications, relative to the app */
+const NOTIFICATION_ICON_PATH = 'icon.svg';
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Current notification permission.
+ * @returns {'granted'|'denied'|'default'|'unsupported'} Permission state
+ */
+export function getNotificationPermission() {
+  if (typeof Notification === 'undefined') return 'unsupported';
+  return Notification.permission;
+}
+
+/**
+ * Asks the user to allow notifications.
+ *
+ * @async
+ * @returns {Promise<[string, null] | [null, Error]>} Go-style result tuple with the resulting permission
+ */
+export async function requestNotificationPermission() {
+  if (typeof Notification === 'undefined') return [null, new Error('This browser cannot show notifications')];
+
+  return Notification.requestPermission().then(
+    (permission) => [permission, null],
+    (error) => [null, error]
+  );
+}
+
+/**
+ * Shows a notification. Notifications with the same tag replace each other.
+ *
+ * @async
+ * @param {string} title - Notification title
+ * @param {string} body - Notification text
+ * @param {string} tag - Tag identifying the notification
+ * @returns {Promise<[boolean, null] | [null, Error]>} Go-style result tuple
+ */
+export async function showNotification(title, body, tag) {
+  if (getNotificationPermission() !== 'granted') return [null, new Error('Notifications are not allowed')];
+
+  const notificationOptions = { body, tag, icon: `${import.meta.env.BASE_URL}${NOTIFICATION_ICON_PATH}` };
+  const serviceWorkerRegistration = await navigator.serviceWorker?.getRegistration();
+
+  if (serviceWorkerRegistration) {
+    return serviceWorkerRegistration.showNotification(title, notificationOptions).then(
+      () => [true, null],
+      (error) => [null, error]
+    );
+  }
+
+  try {
+    new Notification(title, notificationOptions);
+    return [true, null];
+  } catch (error) {
+    return [null, error];
+  }
+}
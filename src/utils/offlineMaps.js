@@ -0,0 +1,309 @@
+/**
+ * @fileoverview Offline map tiles
+ *
+ * Every map in the app draws the same CartoDB dark tiles. The service worker
+ * (src/serviceWorker.js) answers tile requests from the MAP_TILE_CACHE_NAME
+ * cache first, so downloading a trip's tiles ahead of time keeps the maps
+ * working without a connection:
+ * - Each day gets a bounding box around its stays and activities
+ * - Airports get a small box of their own (a flight day would otherwise
+ *   span half the globe)
+ * - The lowest zoom levels of the whole world are always included for the
+ *   flight route maps
+ *
+ * Tile URLs are built exactly like Leaflet builds them (same subdomain and
+ * retina suffix), otherwise the cached tiles would never be hit.
+ *
+ * @module utils/offlineMaps
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** @constant {string} MAP_TILE_URL_TEMPLATE - Leaflet URL template of the map tiles */
+export const MAP_TILE_URL_TEMPLATE = 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png';
+
+/** @constant {string} MAP_TILE_ATTRIBUTION - Attribution of the map tiles */
+export const MAP_TILE_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> &copy; <a href="https://carto.com/attributions">CARTO</a>';
+
+/** @constant {string} MAP_TILE_CACHE_NAME - Cache holding downloaded tiles (must match src/serviceWorker.js) */
+export const MAP_TILE_CACHE_NAME = 'iten-map-tiles';
+
+/** @constant {Array<number>} OFFLINE_ZOOM_LEVELS - Zoom levels the user can download */
+export const OFFLINE_ZOOM_LEVELS = [10, 11, 12, 13, 14, 15, 16, 17];
+
+/** @constant {Array<number>} DEFAULT_OFFLINE_ZOOM_LEVELS - Zoom levels selected by default */
+export const DEFAULT_OFFLINE_ZOOM_LEVELS = [12, 13, 14, 15];
+
+/** @constant {number} MAX_OFFLINE_TILE_COUNT - Largest download offered in one go */
+export const MAX_OFFLINE_TILE_COUNT = 20000;
+
+/** @constant {number} APPROXIMATE_TILE_BYTES - Average size of a dark tile, for estimates */
+export const APPROXIMATE_TILE_BYTES = 12 * 1024;
+
+/** @constant {string} MAP_TILE_SUBDOMAINS - Leaflet's default tile subdomains */
+const MAP_TILE_SUBDOMAINS = 'abc';
+
+/** @constant {Array<number>} WORLD_OVERVIEW_ZOOM_LEVELS - Zoom levels cached for the whole world */
+const WORLD_OVERVIEW_ZOOM_LEVELS = [0, 1, 2, 3];
+
+/** @constant {number} BOUNDS_PADDING_DEGREES - Margin around each box (~1 km) */
+const BOUNDS_PADDING_DEGREES = 0.01;
+
+/** @constant {number} MAX_MERCATOR_LATITUDE - Latitude limit of Web Mercator tiles */
+const MAX_MERCATOR_LATITUDE = 85.0511;
+
+/** @constant {number} DOWNLOAD_CONCURRENCY - Tiles fetched in parallel */
+const DOWNLOAD_CONCURRENCY = 6;
+
+// =============================================================================
+// TYPE DEFINITIONS
+// =============================================================================
+
+/**
+ * @typedef {Object} TileBounds
+ * @property {string} label - What the box covers (date key or airport)
+ * @property {number} south - Southern latitude
+ * @property {number} west - Western longitude
+ * @property {number} north - Northern latitude
+ * @property {number} east - Eastern longitude
+ */
+
+/**
+ * @typedef {Object} TileCoordinate
+ * @property {number} z - Zoom level
+ * @property {number} x - Tile column
+ * @property {number} y - Tile row
+ */
+
+// =============================================================================
+// PURE HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Tile column containing a longitude.
+ * @pure
+ * @param {number} longitude - Longitude in degrees
+ * @param {number} zoom - Zoom level
+ * @returns {number} Tile column
+ */
+function longitudeToTileX(longitude, zoom) {
+  const tileCount = 2 ** zoom;
+  return Math.min(tileCount - 1, Math.max(0, Math.floor((longitude + 180) / 360 * tileCount)));
+}
+
+/**
+ * Tile row containing a latitude.
+ * @pure
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} zoom - Zoom level
+ * @returns {number} Tile row
+ */
+function latitudeToTileY(latitude, zoom) {
+  const tileCount = 2 ** zoom;
+  const clampedLatitude = Math.min(MAX_MERCATOR_LATITUDE, Math.max(-MAX_MERCATOR_LATITUDE, latitude));
+  const latitudeRadians = clampedLatitude * Math.PI / 180;
+  const mercatorY = (1 - Math.log(Math.tan(latitudeRadians) + 1 / Math.cos(latitudeRadians)) / Math.PI) / 2;
+  return Math.min(tileCount - 1, Math.max(0, Math.floor(mercatorY * tileCount)));
+}
+
+/**
+ * Padded box around a set of points.
+ * @pure
+ * @param {string} label - What the box covers
+ * @param {Array<{lat: number, lng: number}>} points - Points to enclose
+ * @returns {TileBounds} Bounding box
+ */
+function buildPaddedBounds(label, points) {
+  return {
+    label,
+    south: Math.min(...points.map(point => point.lat)) - BOUNDS_PADDING_DEGREES,
+    west: Math.min(...points.map(point => point.lng)) - BOUNDS_PADDING_DEGREES,
+    north: Math.max(...points.map(point => point.lat)) + BOUNDS_PADDING_DEGREES,
+    east: Math.max(...points.map(point => point.lng)) + BOUNDS_PADDING_DEGREES
+  };
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Collects the boxes to download from the trip map stops: one per day
+ * around its stays and activities, and one per airport.
+ *
+ * @pure
+ * @param {Array<import('./tripMap').TripMapStop>} tripMapStops - Stops from collectTripMapData
+ * @param {Array<Object>} parsedDays - Days of the trip
+ * @returns {Array<TileBounds>} Boxes to cover
+ */
+export function collectTripTileBounds(tripMapStops, parsedDays) {
+  const placeStops = tripMapStops.filter(tripMapStop => tripMapStop.kind !== 'airport');
+  const dayBounds = parsedDays
+    .map((dayEntry, dayIndex) => {
+      const dayStops = placeStops.filter(tripMapStop => tripMapStop.dayIndex <= dayIndex && dayIndex <= tripMapStop.lastDayIndex);
+      return dayStops.length > 0 ? buildPaddedBounds(dayEntry.dateKey, dayStops) : null;
+    })
+    .filter(Boolean);
+
+  const airportStopsByName = new Map(
+    tripMapStops.filter(tripMapStop => tripMapStop.kind === 'airport').map(airportStop => [airportStop.name, airportStop])
+  );
+  const airportBounds = [...airportStopsByName.values()].map(airportStop => buildPaddedBounds(airportStop.name, [airportStop]));
+
+  return [...dayBounds, ...airportBounds];
+}
+
+/**
+ * Lists the distinct tiles covering boxes at zoom levels, plus the world
+ * overview tiles.
+ *
+ * @pure
+ * @param {Array<TileBounds>} tileBounds - Boxes to cover
+ * @param {Array<number>} zoomLevels - Zoom levels to download
+ * @returns {Array<TileCoordinate>} Tiles, without duplicates
+ */
+export function listTilesForBounds(tileBounds, zoomLevels) {
+  const tilesByKey = new Map();
+  const addTile = (z, x, y) => tilesByKey.set(`${z}/${x}/${y}`, { z, x, y });
+
+  WORLD_OVERVIEW_ZOOM_LEVELS.forEach(zoom => {
+    const tileCount = 2 ** zoom;
+    for (let x = 0; x < tileCount; x++) {
+      for (let y = 0; y < tileCount; y++) addTile(zoom, x, y);
+    }
+  });
+
+  zoomLevels.forEach(zoom => {
+    tileBounds.forEach(bounds => {
+      const [westX, eastX] = [longitudeToTileX(bounds.west, zoom), longitudeToTileX(bounds.east, zoom)];
+      const [northY, southY] = [latitudeToTileY(bounds.north, zoom), latitudeToTileY(bounds.south, zoom)];
+      for (let x = westX; x <= eastX; x++) {
+        for (let y = northY; y <= southY; y++) addTile(zoom, x, y);
+      }
+    });
+  });
+
+  return [...tilesByKey.values()];
+}
+
+/**
+ * Builds the URL Leaflet requests for a tile.
+ *
+ * @pure
+ * @param {TileCoordinate} tile - Tile to build the URL of
+ * @param {boolean} isRetina - Whether the screen is high-density (Leaflet adds "@2x")
+ * @returns {string} Tile URL
+ */
+export function buildTileUrl(tile, isRetina) {
+  // Leaflet picks the subdomain from the tile position
+  const subdomain = MAP_TILE_SUBDOMAINS[Math.abs(tile.x + tile.y) % MAP_TILE_SUBDOMAINS.length];
+  return MAP_TILE_URL_TEMPLATE
+    .replace('{s}', subdomain)
+    .replace('{z}', tile.z)
+    .replace('{x}', tile.x)
+    .replace('{y}', tile.y)
+    .replace('{r}', isRetina ? '@2x' : '');
+}
+
+/**
+ * Downloads tiles into the tile cache, skipping those already cached.
+ *
+ * @async
+ * @param {Array<string>} tileUrls - URLs from buildTileUrl
+ * @param {Function} onProgress - Called with (finishedCount, totalCount) after every tile
+ * @param {AbortSignal} [abortSignal] - Stops the download when aborted
+ * @returns {Promise<[{downloadedCount: number, failedCount: number}, null] | [null, Error]>} Go-style result tuple
+ */
+export async function downloadMapTiles(tileUrls, onProgress, abortSignal) {
+  if (typeof caches === 'undefined') return [null, new Error('This browser cannot store map tiles')];
+
+  const [tileCache, openErr] = await caches.open(MAP_TILE_CACHE_NAME).then(
+    (openedCache) => [openedCache, null],
+    (error) => [null, error]
+  );
+  if (openErr) return [null, openErr];
+
+  // Ask the browser not to evict the tiles under storage pressure
+  await navigator.storage?.persist?.();
+
+  let nextTileIndex = 0;
+  let finishedCount = 0;
+  let downloadedCount = 0;
+  let failedCount = 0;
+
+  /**
+   * Fetches tiles one after another until none are left.
+   * @returns {Promise<void>}
+   */
+  const downloadNextTiles = async () => {
+    while (nextTileIndex < tileUrls.length && !abortSignal?.aborted) {
+      const tileUrl = tileUrls[nextTileIndex++];
+      const cachedResponse = await tileCache.match(tileUrl);
+      if (!cachedResponse) {
+        const [, fetchErr] = await fetch(tileUrl, { signal: abortSignal })
+          .then((tileResponse) => {
+            if (!tileResponse.ok) throw new Error(`Tile request failed: ${tileResponse.status}`);
+            return tileCache.put(tileUrl, tileResponse);
+          })
+          .then(() => [true, null], (error) => [null, error]);
+        if (fetchErr) failedCount += 1;
+        else downloadedCount += 1;
+      }
+      finishedCount += 1;
+      onProgress(finishedCount, tileUrls.length);
+    }
+  };
+
+  await Promise.all(Array.from({ length: DOWNLOAD_CONCURRENCY }, downloadNextTiles));
+
+  if (abortSignal?.aborted) return [null, new Error('Download cancelled')];
+  console.log(`🗺️ Map tiles downloaded: ${downloadedCount} new, ${failedCount} failed, ${tileUrls.length} total`);
+  return [{ downloadedCount, failedCount }, null];
+}
+
+/**
+ * Reports how much storage the app uses and how many tiles are cached.
+ *
+ * @async
+ * @returns {Promise<[{usageBytes: number|null, quotaBytes: number|null, cachedTileCount: number}, null] | [null, Error]>} Go-style result tuple
+ */
+export async function getOfflineStorageUsage() {
+  if (typeof caches === 'undefined') return [null, new Error('This browser cannot store map tiles')];
+
+  const [storageEstimate, estimateErr] = await (navigator.storage?.estimate?.() ?? Promise.resolve({})).then(
+    (estimate) => [estimate, null],
+    (error) => [null, error]
+  );
+  if (estimateErr) return [null, estimateErr];
+
+  const [cachedTileRequests, keysErr] = await caches.open(MAP_TILE_CACHE_NAME)
+    .then(tileCache => tileCache.keys())
+    .then((requests) => [requests, null], (error) => [null, error]);
+  if (keysErr) return [null, keysErr];
+
+  return [{
+    usageBytes: storageEstimate.usage ?? null,
+    quotaBytes: storageEstimate.quota ?? null,
+    cachedTileCount: cachedTileRequests.length
+  }, null];
+}
+
+/**
+ * Removes every downloaded tile.
+ *
+ * @async
+ * @returns {Promise<[boolean, null] | [null, Error]>} Go-style result tuple
+ */
+export async function clearMapTiles() {
+  if (typeof caches === 'undefined') return [false, null];
+
+  return caches.delete(MAP_TILE_CACHE_NAME).then(
+    (wasDeleted) => {
+      console.log('🗑️ Offline map tiles cleared');
+      return [wasDeleted, null];
+    },
+    (error) => [null, error]
+  );
+}
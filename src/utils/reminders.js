@@ -0,0 +1,330 @@
+/**
+ * @fileoverview Reminders before key moments of the trip
+ *
+ * Turns the day model into reminders - boarding (from boarding passes),
+ * flight and ground departures, check-ins, check-outs and activity starts - each due a
+ * configurable lead time before the moment:
+ * - Moments are absolute instants computed in the segment's own zone, so
+ *   a reminder fires at the right time whatever zone the phone is in
+ * - Items without a parseable time get no reminder; stays without times
+ *   use the usual hotel times from the parsed stay instants
+ * - Items without a known zone are read in the device's zone (stays
+ *   without one get no reminder)
+ *
+ * The DB hook stores the reminders with the time they were shown, so a
+ * reload neither repeats nor loses them; the itinerary page shows the due
+ * ones as notifications (see utils/notifications). Only an open page does:
+ * the service worker has no way to wake up at a set time, so a reminder due
+ * while the app is closed is shown late on the next open, or not at all
+ * once its moment has passed.
+ *
+ * @module utils/reminders
+ */
+
+import { listDayItems, describeDayItem, BUFFER_STATUS } from './statusWorkflow';
+import { isFlightSegment } from './boardingPassCheck';
+import {
+  MILLISECONDS_PER_MINUTE,
+  resolveSegmentTimeZones,
+  resolveDayTimeZone,
+  resolveWallClockTiming,
+  wallClockPointToUtc,
+  parseClockTime,
+  addDaysToDateKey,
+  utcToZonedDateTime,
+  getDeviceTimeZone
+} from './timezones';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * @constant {Object<string, {label: string, emoji: string, defaultLeadMinutes: number}>}
+ * REMINDER_KINDS - Moments that can be reminded of, in display order
+ */
+export const REMINDER_KINDS = {
+  boarding: { label: 'Boarding', emoji: '🎫', defaultLeadMinutes: 30 },
+  departure: { label: 'Flight departure', emoji: '✈️', defaultLeadMinutes: 180 },
+  groundDeparture: { label: 'Ground departure', emoji: '🚆', defaultLeadMinutes: 30 },
+  checkIn: { label: 'Check-in', emoji: '🏨', defaultLeadMinutes: 60 },
+  checkOut: { label: 'Check-out', emoji: '🧳', defaultLeadMinutes: 60 },
+  activity: { label: 'Activity start', emoji: '📍', defaultLeadMinutes: 30 }
+};
+
+// =============================================================================
+// TYPE DEFINITIONS
+// =============================================================================
+
+/**
+ * @typedef {Object} ReminderSettings
+ * @property {boolean} isEnabled - Whether notifications are shown at all
+ * @property {Object<string, number|null>} leadMinutesByKind - Minutes before the moment, null to skip the kind
+ */
+
+/**
+ * @typedef {Object} ReminderMoment
+ * @property {string} reminderId - Stable ID (kind and item ID)
+ * @property {string} kind - Key of REMINDER_KINDS
+ * @property {string} itemId - Segment, stay or activity ID
+ * @property {string} dateKey - Day the moment belongs to
+ * @property {string} title - Notification title
+ * @property {string} timeZone - IANA zone the moment is shown in
+ * @property {number} eventAt - Moment as epoch milliseconds
+ */
+
+/**
+ * @typedef {Object} Reminder
+ * @property {string} reminderId - Stable ID (kind and item ID)
+ * @property {string} kind - Key of REMINDER_KINDS
+ * @property {string} itemId - Segment, stay or activity ID
+ * @property {string} dateKey - Day the moment belongs to
+ * @property {string} title - Notification title
+ * @property {string} timeZone - IANA zone the moment is shown in
+ * @property {number} eventAt - Moment as epoch milliseconds
+ * @property {number} remindAt - When to notify, as epoch milliseconds
+ * @property {number|null} notifiedAt - When the notification was shown, null if not yet
+ */
+
+// =============================================================================
+// PURE HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Instant of a free-text time on a day, or null without a parseable time.
+ * @pure
+ * @param {string} dateKey - Local date (YYYY-MM-DD)
+ * @param {string|null|undefined} timeText - Free-text time ("6:50 AM", "After 3 PM")
+ * @param {string} timeZone - IANA zone of the time
+ * @returns {number|null} Epoch milliseconds
+ */
+function resolveMomentInstant(dateKey, timeText, timeZone) {
+  const wallClockTiming = resolveWallClockTiming({
+    startDate: dateKey,
+    startTime: timeText,
+    endTime: null,
+    startTimeZone: timeZone,
+    endTimeZone: timeZone
+  });
+  return wallClockTiming.isAllDay ? null : wallClockPointToUtc(wallClockTiming.start);
+}
+
+/**
+ * Earliest boarding time on the boarding passes of a flight.
+ * @pure
+ * @param {Array<Object>} boardingPasses - Passes saved for the segment
+ * @param {string} dateKey - Departure date
+ * @param {string} timeZone - Departure zone
+ * @param {number} departureAt - Departure instant
+ * @returns {number|null} Boarding instant, or null when no pass has a boarding time
+ */
+function resolveBoardingInstant(boardingPasses, dateKey, timeZone, departureAt) {
+  const boardingInstants = boardingPasses
+    .map(boardingPass => boardingPass.boardingTime || boardingPass.boarding || boardingPass.boardTime)
+    .filter(boardingTimeText => parseClockTime(boardingTimeText))
+    .map(boardingTimeText => {
+      const boardingAt = resolveMomentInstant(dateKey, boardingTimeText, timeZone);
+      // Boarding before midnight for a flight just after it belongs to the day before
+      return boardingAt > departureAt ? resolveMomentInstant(addDaysToDateKey(dateKey, -1), boardingTimeText, timeZone) : boardingAt;
+    });
+  return boardingInstants.length > 0 ? Math.min(...boardingInstants) : null;
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Settings of a trip without stored ones: every kind at its default lead
+ * time, notifications off until the user allows them.
+ *
+ * @pure
+ * @returns {ReminderSettings} Default settings
+ */
+export function createDefaultReminderSettings() {
+  return {
+    isEnabled: false,
+    leadMinutesByKind: Object.fromEntries(
+      Object.entries(REMINDER_KINDS).map(([kindKey, reminderKind]) => [kindKey, reminderKind.defaultLeadMinutes])
+    )
+  };
+}
+
+/**
+ * Fills in the lead time of kinds missing from stored settings (kinds
+ * added after the settings were saved) with their default.
+ *
+ * @pure
+ * @param {ReminderSettings|null} storedSettings - Settings from the DB, null if none
+ * @returns {ReminderSettings} Settings covering every kind
+ */
+export function completeReminderSettings(storedSettings) {
+  const defaultSettings = createDefaultReminderSettings();
+  if (!storedSettings) return defaultSettings;
+  return {
+    ...defaultSettings,
+    ...storedSettings,
+    leadMinutesByKind: { ...defaultSettings.leadMinutesByKind, ...storedSettings.leadMinutesByKind }
+  };
+}
+
+/**
+ * Collects every moment of the trip that can be reminded of.
+ * Multi-day segments count on their departure day, stays once; buffer
+ * placeholders are not departures. Flights and ground legs (trains,
+ * transfers) are separate kinds, since a flight needs far more lead time.
+ *
+ * @param {Array<Object>} liveDays - Days with live statuses applied
+ * @param {Object} userItems - Manual and deleted activities and meals ({manualActivitiesByDate, ...})
+ * @param {Object<string, Array<Object>>} boardingPassesBySegment - Boarding passes keyed by segment ID
+ * @returns {Array<ReminderMoment>} Moments in trip order
+ */
+export function collectReminderMoments(liveDays, userItems, boardingPassesBySegment) {
+  const reminderMoments = [];
+  const remindedStayIds = new Set();
+
+  /**
+   * Adds a moment when its time could be resolved.
+   * @param {string} kind - Key of REMINDER_KINDS
+   * @param {string} itemId - Item ID
+   * @param {string} dateKey - Day of the moment
+   * @param {string} itemName - Display name
+   * @param {string} timeZone - Zone of the moment
+   * @param {number|null} eventAt - Moment, null to skip
+   */
+  const addMoment = (kind, itemId, dateKey, itemName, timeZone, eventAt) => {
+    if (eventAt === null) return;
+    reminderMoments.push({
+      reminderId: `${kind}:${itemId}`,
+      kind,
+      itemId,
+      dateKey,
+      title: `${REMINDER_KINDS[kind].emoji} ${REMINDER_KINDS[kind].label}: ${itemName}`,
+      timeZone,
+      eventAt
+    });
+  };
+
+  for (const dayEntry of liveDays) {
+    const dayTimeZone = resolveDayTimeZone(dayEntry) || getDeviceTimeZone();
+
+    for (const { itemKind, item } of listDayItems(dayEntry, userItems)) {
+      const itemName = describeDayItem(itemKind, item);
+
+      if (itemKind === 'travel' && item.isDeparture !== false && item.status !== BUFFER_STATUS) {
+        const timeZone = resolveSegmentTimeZones(item).startTimeZone || dayTimeZone;
+        const departureDateKey = item.date || dayEntry.dateKey;
+        const departureAt = resolveMomentInstant(departureDateKey, item.timeStart, timeZone);
+        const isFlight = isFlightSegment(item);
+        addMoment(isFlight ? 'departure' : 'groundDeparture', item.id, departureDateKey, itemName, timeZone, departureAt);
+
+        const boardingPasses = boardingPassesBySegment[item.id] || [];
+        if (departureAt !== null && isFlight && boardingPasses.length > 0) {
+          addMoment('boarding', item.id, departureDateKey, itemName, timeZone, resolveBoardingInstant(boardingPasses, departureDateKey, timeZone, departureAt));
+        }
+      } else if (itemKind === 'shelter' && !remindedStayIds.has(item.id)) {
+        // CRITICAL PATH: A stay appears on every night - remind of it once
+        remindedStayIds.add(item.id);
+        // Stay instants already carry the usual hotel times when the data gives none
+        const stayInstants = item.instants;
+        if (stayInstants && !stayInstants.isAllDay) {
+          const checkInDateKey = utcToZonedDateTime(stayInstants.startUtc, stayInstants.startTimeZone).dateKey;
+          const checkOutDateKey = utcToZonedDateTime(stayInstants.endUtc, stayInstants.endTimeZone).dateKey;
+          addMoment('checkIn', item.id, checkInDateKey, itemName, stayInstants.startTimeZone, stayInstants.startUtc);
+          addMoment('checkOut', item.id, checkOutDateKey, itemName, stayInstants.endTimeZone, stayInstants.endUtc);
+        }
+      } else if (itemKind === 'activity') {
+        addMoment('activity', item.id, dayEntry.dateKey, itemName, dayTimeZone, resolveMomentInstant(dayEntry.dateKey, item.timeStart, dayTimeZone));
+      }
+    }
+  }
+
+  return reminderMoments;
+}
+
+/**
+ * Schedules reminders for moments, carrying over when already shown
+ * reminders were notified (as long as their time did not change).
+ *
+ * @pure
+ * @param {Array<ReminderMoment>} reminderMoments - From collectReminderMoments
+ * @param {ReminderSettings} reminderSettings - Lead time per kind
+ * @param {Array<Reminder>} storedReminders - Reminders stored before
+ * @returns {Array<Reminder>} Reminders sorted by due time
+ */
+export function scheduleReminders(reminderMoments, reminderSettings, storedReminders) {
+  const storedRemindersById = new Map(storedReminders.map(storedReminder => [storedReminder.reminderId, storedReminder]));
+
+  return reminderMoments
+    .filter(reminderMoment => Number.isFinite(reminderSettings.leadMinutesByKind[reminderMoment.kind]))
+    .map(reminderMoment => {
+      const remindAt = reminderMoment.eventAt - reminderSettings.leadMinutesByKind[reminderMoment.kind] * MILLISECONDS_PER_MINUTE;
+      const storedReminder = storedRemindersById.get(reminderMoment.reminderId);
+      return {
+        ...reminderMoment,
+        remindAt,
+        notifiedAt: storedReminder?.remindAt === remindAt ? storedReminder.notifiedAt : null
+      };
+    })
+    .sort((firstReminder, secondReminder) => firstReminder.remindAt - secondReminder.remindAt);
+}
+
+/**
+ * Finds the reminders to show now: due, not shown yet, and the moment
+ * has not passed (no reminders for a flight that already left).
+ *
+ * @pure
+ * @param {Array<Reminder>} reminders - Scheduled reminders
+ * @param {number} nowMilliseconds - Current time
+ * @returns {Array<Reminder>} Reminders to notify
+ */
+export function findDueReminders(reminders, nowMilliseconds) {
+  return reminders.filter(reminder => (
+    !reminder.notifiedAt && reminder.remindAt <= nowMilliseconds && nowMilliseconds < reminder.eventAt
+  ));
+}
+
+/**
+ * Finds the reminders still ahead.
+ *
+ * @pure
+ * @param {Array<Reminder>} reminders - Scheduled reminders
+ * @param {number} nowMilliseconds - Current time
+ * @returns {Array<Reminder>} Reminders not shown whose moment is still ahead, soonest first
+ */
+export function findUpcomingReminders(reminders, nowMilliseconds) {
+  return reminders.filter(reminder => !reminder.notifiedAt && nowMilliseconds < reminder.eventAt);
+}
+
+/**
+ * Formats the moment of a reminder in its own zone ("Sat 1 Feb, 6:50 AM GMT+8").
+ *
+ * @pure
+ * @param {Reminder|ReminderMoment} reminder - Reminder to format
+ * @returns {string} Local date and time with zone
+ */
+export function formatReminderMoment(reminder) {
+  return new Intl.DateTimeFormat(undefined, {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: reminder.timeZone,
+    timeZoneName: 'short'
+  }).format(reminder.eventAt);
+}
+
+/**
+ * Builds the notification text of a reminder ("Departs in 3 h · Sat 1 Feb, 6:50 AM GMT+8").
+ *
+ * @pure
+ * @param {Reminder} reminder - Reminder to describe
+ * @param {number} nowMilliseconds - Current time
+ * @returns {string} Notification body
+ */
+export function describeReminder(reminder, nowMilliseconds) {
+  const minutesUntil = Math.max(0, Math.round((reminder.eventAt - nowMilliseconds) / MILLISECONDS_PER_MINUTE));
+  const timeUntil = minutesUntil >= 120 ? `${Math.round(minutesUntil / 60)} h` : `${minutesUntil} min`;
+  return `In ${timeUntil} · ${formatReminderMoment(reminder)}`;
+}
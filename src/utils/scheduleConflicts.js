@@ -0,0 +1,356 @@
+/**
+ * @fileoverview Schedule conflict detection within a day
+ *
+ * Lays a day's travel, meals and activities on one absolute timeline (the
+ * UTC instants attached by the parser) and flags what cannot work as
+ * planned: items that overlap, sequences that are impossible (a leg that
+ * lands before it takes off, a leg leaving from another airport than the
+ * previous one landed at, settling into a stay before check-in) and gaps
+ * too tight to get from one item to the next.
+ *
+ * Flight-to-flight connection times are not judged here.
+ *
+ * @module utils/scheduleConflicts
+ */
+
+import { findAirportCodeCandidates } from './airports';
+import { isFlightSegment } from './boardingPassCheck';
+import { BUFFER_STATUS } from './statusWorkflow';
+import { MILLISECONDS_PER_MINUTE, formatDurationMinutes } from './timezones';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** @constant {number} AIRPORT_LEAD_MINUTES - Time to reach the airport, check in and clear security before a flight */
+const AIRPORT_LEAD_MINUTES = 120;
+
+/** @constant {number} AIRPORT_EXIT_MINUTES - Time to deplane, collect bags and leave the airport after landing */
+const AIRPORT_EXIT_MINUTES = 45;
+
+/** @constant {number} MINIMUM_TRANSITION_MINUTES - Time to get between two places in the same city */
+const MINIMUM_TRANSITION_MINUTES = 15;
+
+/**
+ * @typedef {Object} ScheduleConflict
+ * @property {string} id - Stable key for rendering
+ * @property {'overlap'|'sequence'|'tight-gap'} type - What kind of problem it is
+ * @property {'error'|'warning'} severity - Errors cannot work as planned, warnings might
+ * @property {Array<string>} itemIds - IDs of the travel items, meals and activities involved
+ * @property {string} message - Human-readable description naming the items
+ */
+
+// =============================================================================
+// PURE HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Display name of a timeline item, quoted for use inside messages.
+ * @pure
+ * @param {'travel'|'meal'|'activity'} kind - Item kind
+ * @param {Object} item - Travel item, meal or activity
+ * @returns {string} Label such as 'flight UA189' or '"Snorkel tour"'
+ */
+function getItemLabel(kind, item) {
+  if (kind === 'travel') {
+    if (item.flight) return `flight ${item.flight}`;
+    return `"${item.route || item.type || 'Travel'}"`;
+  }
+  if (kind === 'meal') return `"${item.type || 'Meal'}"`;
+  return `"${item.name || 'Activity'}"`;
+}
+
+/**
+ * Places an item on the timeline. All-day items and items without a known
+ * zone have no place on it. Items without an end time are a single point:
+ * the placeholder length the parser gives them is not a plan.
+ *
+ * @pure
+ * @param {'travel'|'meal'|'activity'} kind - Item kind
+ * @param {Object} item - Item carrying instants
+ * @returns {Object|null} Timeline entry or null if the item is not timed
+ */
+function createTimelineEntry(kind, item) {
+  const instants = item.instants;
+  if (!instants || instants.isAllDay) return null;
+
+  const hasEndTime = Boolean(item.timeEnd);
+  return {
+    kind,
+    item,
+    id: item.id,
+    label: getItemLabel(kind, item),
+    startUtc: instants.startUtc,
+    endUtc: hasEndTime ? instants.endUtc : instants.startUtc,
+    hasEndTime
+  };
+}
+
+/**
+ * Airport codes a travel item leaves from and arrives at, without needing
+ * the airport database ("FLL - Fort Lauderdale", "SFO → MNL").
+ * @pure
+ * @param {Object} travelItem - Travel item
+ * @returns {{departureCode: string|null, arrivalCode: string|null}} Codes, null when not written
+ */
+function getTravelEndpointCodes(travelItem) {
+  const routeParts = travelItem.route ? travelItem.route.split('→') : [];
+  const departureCode = findAirportCodeCandidates(travelItem.departureAirport)[0]
+    || findAirportCodeCandidates(routeParts[0])[0]
+    || null;
+  const arrivalCode = findAirportCodeCandidates(travelItem.arrivalAirport)[0]
+    || (routeParts.length > 1 ? findAirportCodeCandidates(routeParts[routeParts.length - 1])[0] : null)
+    || null;
+  return { departureCode, arrivalCode };
+}
+
+/**
+ * Checks if an item takes place at the day's shelter.
+ * @pure
+ * @param {Object} item - Meal or activity
+ * @param {Object} shelter - Day shelter
+ * @returns {boolean} True if the item's location names the shelter or its address
+ */
+function isAtShelter(item, shelter) {
+  const itemLocation = (item.location || '').trim().toLowerCase();
+  if (!itemLocation) return false;
+
+  const shelterName = (shelter.name || '').trim().toLowerCase();
+  const shelterAddress = (shelter.address || '').trim().toLowerCase();
+  return Boolean((shelterName && itemLocation.includes(shelterName)) || (shelterAddress && itemLocation === shelterAddress));
+}
+
+/**
+ * Describes how two timeline entries overlap, or returns null if they do not.
+ * Touching entries (one ends as the next starts) do not overlap.
+ * @pure
+ * @param {Object} firstEntry - Entry that starts first
+ * @param {Object} secondEntry - Entry that starts at the same time or later
+ * @returns {string|null} Message, or null if no overlap
+ */
+function describeOverlap(firstEntry, secondEntry) {
+  if (firstEntry.startUtc === secondEntry.startUtc) {
+    return `${firstEntry.label} and ${secondEntry.label} start at the same time`;
+  }
+  if (secondEntry.startUtc >= firstEntry.endUtc) return null;
+
+  if (!secondEntry.hasEndTime) {
+    return `${secondEntry.label} starts during ${firstEntry.label}`;
+  }
+  const overlapMinutes = (Math.min(firstEntry.endUtc, secondEntry.endUtc) - secondEntry.startUtc) / MILLISECONDS_PER_MINUTE;
+  return `${firstEntry.label} and ${secondEntry.label} overlap by ${formatDurationMinutes(overlapMinutes)}`;
+}
+
+// =============================================================================
+// CONFLICT RULES
+// =============================================================================
+
+/**
+ * Flags every pair of timed items that overlap. Overlaps involving travel
+ * are errors - nobody can be on a flight and at dinner.
+ * @pure
+ * @param {Array<Object>} timelineEntries - Entries sorted by start
+ * @returns {Array<ScheduleConflict>} Overlap conflicts
+ */
+function findOverlaps(timelineEntries) {
+  const conflicts = [];
+
+  for (let firstIndex = 0; firstIndex < timelineEntries.length; firstIndex++) {
+    const firstEntry = timelineEntries[firstIndex];
+    for (let secondIndex = firstIndex + 1; secondIndex < timelineEntries.length; secondIndex++) {
+      const secondEntry = timelineEntries[secondIndex];
+      // Entries are sorted - nothing further can start inside the first one
+      if (secondEntry.startUtc > firstEntry.endUtc) break;
+
+      const overlapMessage = describeOverlap(firstEntry, secondEntry);
+      if (!overlapMessage) continue;
+
+      const involvesTravel = firstEntry.kind === 'travel' || secondEntry.kind === 'travel';
+      conflicts.push({
+        id: `overlap-${firstEntry.id}-${secondEntry.id}`,
+        type: 'overlap',
+        severity: involvesTravel ? 'error' : 'warning',
+        itemIds: [firstEntry.id, secondEntry.id],
+        message: overlapMessage
+      });
+    }
+  }
+
+  return conflicts;
+}
+
+/**
+ * Flags travel that cannot happen in the order written: arriving before
+ * departing, or leaving from another airport than the previous leg arrived
+ * at with nothing planned in between.
+ * @pure
+ * @param {Array<Object>} travelEntries - Travel entries sorted by start
+ * @returns {Array<ScheduleConflict>} Sequence conflicts
+ */
+function findTravelSequenceProblems(travelEntries) {
+  const conflicts = [];
+
+  travelEntries.forEach((travelEntry, entryIndex) => {
+    if (travelEntry.hasEndTime && travelEntry.endUtc <= travelEntry.startUtc) {
+      conflicts.push({
+        id: `sequence-${travelEntry.id}-times`,
+        type: 'sequence',
+        severity: 'error',
+        itemIds: [travelEntry.id],
+        message: `${travelEntry.label} arrives before it departs - check its times, zones and dates`
+      });
+    }
+
+    const nextTravelEntry = travelEntries[entryIndex + 1];
+    if (!nextTravelEntry) return;
+
+    const { arrivalCode } = getTravelEndpointCodes(travelEntry.item);
+    const { departureCode } = getTravelEndpointCodes(nextTravelEntry.item);
+    if (arrivalCode && departureCode && arrivalCode !== departureCode) {
+      conflicts.push({
+        id: `sequence-${travelEntry.id}-${nextTravelEntry.id}`,
+        type: 'sequence',
+        severity: 'warning',
+        itemIds: [travelEntry.id, nextTravelEntry.id],
+        message: `${travelEntry.label} arrives at ${arrivalCode} but ${nextTravelEntry.label} leaves from ${departureCode} - no transfer planned`
+      });
+    }
+  });
+
+  return conflicts;
+}
+
+/**
+ * Flags items held at the stay that start before check-in on the first night.
+ * @pure
+ * @param {Array<Object>} timelineEntries - Meal and activity entries
+ * @param {Object} shelter - Day shelter (with instants)
+ * @returns {Array<ScheduleConflict>} Sequence conflicts
+ */
+function findItemsBeforeCheckIn(timelineEntries, shelter) {
+  if (!shelter?.instants || shelter.dayOfStay !== 1) return [];
+
+  return timelineEntries
+    .filter(timelineEntry => timelineEntry.kind !== 'travel'
+      && timelineEntry.startUtc < shelter.instants.startUtc
+      && isAtShelter(timelineEntry.item, shelter))
+    .map(timelineEntry => ({
+      id: `sequence-${timelineEntry.id}-check-in`,
+      type: 'sequence',
+      severity: 'warning',
+      itemIds: [timelineEntry.id],
+      message: `${timelineEntry.label} starts ${formatDurationMinutes((shelter.instants.startUtc - timelineEntry.startUtc) / MILLISECONDS_PER_MINUTE)} before check-in at ${shelter.name}`
+    }));
+}
+
+/**
+ * Flags gaps too short to get from one item to the next: reaching the
+ * airport before a flight, leaving it after landing, and moving between two
+ * places in town.
+ * @pure
+ * @param {Array<Object>} timelineEntries - Entries sorted by start
+ * @param {{startUtc: number, endUtc: number}|null} dayInstants - The day's local midnight to midnight
+ * @returns {Array<ScheduleConflict>} Tight-gap conflicts
+ */
+function findTightGaps(timelineEntries, dayInstants) {
+  const conflicts = [];
+  const isWithinDay = (utcMilliseconds) => !dayInstants
+    || (utcMilliseconds >= dayInstants.startUtc && utcMilliseconds < dayInstants.endUtc);
+
+  for (let entryIndex = 0; entryIndex < timelineEntries.length - 1; entryIndex++) {
+    const earlierEntry = timelineEntries[entryIndex];
+    const laterEntry = timelineEntries[entryIndex + 1];
+    const gapMinutes = (laterEntry.startUtc - earlierEntry.endUtc) / MILLISECONDS_PER_MINUTE;
+
+    // Overlaps are reported separately; connections between legs are not judged here
+    if (gapMinutes < 0) continue;
+    if (earlierEntry.kind === 'travel' && laterEntry.kind === 'travel') continue;
+
+    let requiredMinutes = MINIMUM_TRANSITION_MINUTES;
+    let reason = 'to get there';
+    if (laterEntry.kind === 'travel' && isFlightSegment(laterEntry.item) && !laterEntry.item.isArrival) {
+      requiredMinutes = AIRPORT_LEAD_MINUTES;
+      reason = 'to reach the airport and check in';
+    } else if (earlierEntry.kind === 'travel' && isFlightSegment(earlierEntry.item)) {
+      // Without an arrival time there is no landing to measure from
+      if (!earlierEntry.hasEndTime || !isWithinDay(earlierEntry.endUtc)) continue;
+      requiredMinutes = AIRPORT_EXIT_MINUTES;
+      reason = 'to get out of the airport';
+    } else if (!earlierEntry.hasEndTime) {
+      // An item without an end time only marks when it starts
+      continue;
+    }
+
+    if (gapMinutes >= requiredMinutes) continue;
+
+    conflicts.push({
+      id: `tight-gap-${earlierEntry.id}-${laterEntry.id}`,
+      type: 'tight-gap',
+      severity: 'warning',
+      itemIds: [earlierEntry.id, laterEntry.id],
+      message: `Only ${formatDurationMinutes(gapMinutes)} between ${earlierEntry.label} and ${laterEntry.label} - allow ${formatDurationMinutes(requiredMinutes)} ${reason}`
+    });
+  }
+
+  return conflicts;
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Finds the schedule conflicts of one day. Buffer segments are deliberate
+ * slack and all-day items have no time to clash with, so both are ignored.
+ *
+ * @pure
+ * @param {Object} dayEntry - Parsed day (travel, meals, shelter and instants)
+ * @param {Array<Object>} [dayActivities] - Activities to check, including user-added ones; each needs instants
+ * @returns {Array<ScheduleConflict>} Conflicts, errors first
+ *
+ * @example
+ * findDayScheduleConflicts(dayEntry, [...dayEntry.activities, snorkelTourWithInstants])
+ * // Returns [{ type: 'overlap', severity: 'error', message: 'flight 5J474 and "Snorkel tour" overlap by 40m', ... }]
+ */
+export function findDayScheduleConflicts(dayEntry, dayActivities = dayEntry.activities) {
+  const travelEntries = dayEntry.travel
+    .filter(travelItem => travelItem.status !== BUFFER_STATUS)
+    .map(travelItem => createTimelineEntry('travel', travelItem))
+    .filter(Boolean);
+
+  const timelineEntries = [
+    ...travelEntries,
+    ...dayEntry.meals.map(mealItem => createTimelineEntry('meal', mealItem)).filter(Boolean),
+    ...dayActivities.map(activityItem => createTimelineEntry('activity', activityItem)).filter(Boolean)
+  ].sort((entryA, entryB) => entryA.startUtc - entryB.startUtc || entryA.endUtc - entryB.endUtc);
+
+  travelEntries.sort((entryA, entryB) => entryA.startUtc - entryB.startUtc);
+
+  const conflicts = [
+    ...findOverlaps(timelineEntries),
+    ...findTravelSequenceProblems(travelEntries),
+    ...findItemsBeforeCheckIn(timelineEntries, dayEntry.shelter),
+    ...findTightGaps(timelineEntries, dayEntry.instants)
+  ];
+
+  return conflicts.sort((conflictA, conflictB) =>
+    (conflictA.severity === 'error' ? 0 : 1) - (conflictB.severity === 'error' ? 0 : 1)
+  );
+}
+
+/**
+ * Indexes conflicts by the items they involve, for showing them inline.
+ * @pure
+ * @param {Array<ScheduleConflict>} conflicts - Output of findDayScheduleConflicts
+ * @returns {Object<string, Array<ScheduleConflict>>} Conflicts keyed by item ID
+ */
+export function groupConflictsByItemId(conflicts) {
+  const conflictsByItemId = {};
+  for (const conflict of conflicts) {
+    for (const itemId of conflict.itemIds) {
+      if (!conflictsByItemId[itemId]) conflictsByItemId[itemId] = [];
+      conflictsByItemId[itemId].push(conflict);
+    }
+  }
+  return conflictsByItemId;
+}
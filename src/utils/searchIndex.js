@@ -0,0 +1,249 @@
+/**
+ * @fileoverview Full-text search over the day model
+ *
+ * Builds one document per day and per item (travel, stay, meal, activity,
+ * user-added ones included) holding every text field of it, recursively:
+ * names, notes, locations, addresses, flight numbers, booking details and
+ * the boarding passes saved for a segment (PNR, seat, ...).
+ *
+ * - Matching ignores case and accents ("cafe" finds "Café")
+ * - Every word of the query must appear somewhere in the day; items
+ *   containing any of the words are the ones highlighted
+ * - Match ranges are reported in the original text, so the UI can mark
+ *   them without normalizing what it shows
+ *
+ * @module utils/searchIndex
+ */
+
+import { listDayItems } from './statusWorkflow';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * @constant {Set<string>} SKIPPED_FIELD_NAMES - Fields that hold no searchable text
+ * (IDs, computed instants, map points, raw barcodes)
+ */
+const SKIPPED_FIELD_NAMES = new Set(['id', 'segmentId', 'tripId', 'instants', 'coordinates', 'bcbp']);
+
+/**
+ * @constant {Object<string, string>} ITEM_KIND_SECTIONS - DayCard section of each item kind
+ */
+const ITEM_KIND_SECTIONS = {
+  travel: 'travel',
+  shelter: 'shelter',
+  meal: 'meals',
+  activity: 'activities'
+};
+
+/** @constant {RegExp} COMBINING_MARKS_PATTERN - Accents left over after NFD decomposition */
+const COMBINING_MARKS_PATTERN = /[\u0300-\u036f]/g;
+
+// =============================================================================
+// TYPE DEFINITIONS
+// =============================================================================
+
+/**
+ * @typedef {Object} SearchDocument
+ * @property {string} dateKey - Day the document belongs to
+ * @property {string|null} sectionName - DayCard section of the item, null for the day itself
+ * @property {string|null} itemId - Item ID, null for the day itself
+ * @property {string} searchText - Normalized text of every field
+ */
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {Set<string>} matchingDateKeys - Days containing every search term
+ * @property {Set<string>} matchedSectionKeys - "dateKey:section" keys of sections with a matching item
+ * @property {Set<string>} matchedItemIds - Items containing a search term
+ */
+
+/**
+ * @typedef {Object} SearchHighlight
+ * @property {Array<string>} searchTerms - Normalized terms to mark
+ * @property {Set<string>} matchedItemIds - Items to outline
+ */
+
+// =============================================================================
+// PURE HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Collects every text value of an item, descending into nested objects and arrays.
+ * @pure
+ * @param {*} fieldValue - Value to read
+ * @param {Array<string>} textParts - Collected text (appended to)
+ * @returns {Array<string>} The collected text
+ */
+function collectTextValues(fieldValue, textParts = []) {
+  if (typeof fieldValue === 'string') {
+    textParts.push(fieldValue);
+  } else if (typeof fieldValue === 'number') {
+    textParts.push(String(fieldValue));
+  } else if (Array.isArray(fieldValue)) {
+    fieldValue.forEach(nestedValue => collectTextValues(nestedValue, textParts));
+  } else if (fieldValue && typeof fieldValue === 'object') {
+    for (const [fieldName, nestedValue] of Object.entries(fieldValue)) {
+      if (!SKIPPED_FIELD_NAMES.has(fieldName)) collectTextValues(nestedValue, textParts);
+    }
+  }
+  return textParts;
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Normalizes text for matching: lowercase, without accents.
+ * @pure
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+export function normalizeSearchText(text) {
+  return text.normalize('NFD').replace(COMBINING_MARKS_PATTERN, '').toLowerCase();
+}
+
+/**
+ * Splits a search query into unique normalized terms.
+ * @pure
+ * @param {string} searchQuery - Query typed by the user
+ * @returns {Array<string>} Terms, empty for a blank query
+ *
+ * @example
+ * parseSearchTerms('  Ramen  TOKYO ramen') // Returns ['ramen', 'tokyo']
+ */
+export function parseSearchTerms(searchQuery) {
+  return Array.from(new Set(normalizeSearchText(searchQuery).split(/\s+/).filter(Boolean)));
+}
+
+/**
+ * Builds the search index of a trip.
+ *
+ * @pure
+ * @param {Array<Object>} liveDays - Days with live statuses applied
+ * @param {import('./statusWorkflow').DayUserItems} userItems - User-added and soft-deleted items
+ * @param {Object<string, Array<Object>>} boardingPassesBySegment - Boarding passes keyed by segment ID
+ * @returns {Array<SearchDocument>} One document per day and per item
+ */
+export function buildSearchIndex(liveDays, userItems, boardingPassesBySegment) {
+  const searchDocuments = [];
+
+  for (const dayEntry of liveDays) {
+    searchDocuments.push({
+      dateKey: dayEntry.dateKey,
+      sectionName: null,
+      itemId: null,
+      searchText: normalizeSearchText(collectTextValues([
+        dayEntry.dateDisplay,
+        dayEntry.summary,
+        dayEntry.timezone,
+        dayEntry.location,
+        dayEntry.region,
+        dayEntry.inFlightDetails
+      ]).join('\n'))
+    });
+
+    for (const { itemKind, item } of listDayItems(dayEntry, userItems)) {
+      const boardingPasses = itemKind === 'travel' ? boardingPassesBySegment[item.id] || [] : [];
+      searchDocuments.push({
+        dateKey: dayEntry.dateKey,
+        sectionName: ITEM_KIND_SECTIONS[itemKind],
+        itemId: item.id,
+        searchText: normalizeSearchText(collectTextValues([item, boardingPasses]).join('\n'))
+      });
+    }
+  }
+
+  return searchDocuments;
+}
+
+/**
+ * Searches the index. A day matches when each term appears in the day or
+ * one of its items; within matching days, items containing any term are
+ * reported with their section.
+ *
+ * @pure
+ * @param {Array<SearchDocument>} searchIndex - From buildSearchIndex
+ * @param {Array<string>} searchTerms - From parseSearchTerms (not empty)
+ * @returns {SearchResult} Matching days, sections and items
+ */
+export function searchItinerary(searchIndex, searchTerms) {
+  const documentsByDate = new Map();
+  for (const searchDocument of searchIndex) {
+    if (!documentsByDate.has(searchDocument.dateKey)) documentsByDate.set(searchDocument.dateKey, []);
+    documentsByDate.get(searchDocument.dateKey).push(searchDocument);
+  }
+
+  const searchResult = { matchingDateKeys: new Set(), matchedSectionKeys: new Set(), matchedItemIds: new Set() };
+
+  for (const [dateKey, dayDocuments] of documentsByDate) {
+    const isDayMatching = searchTerms.every(searchTerm => (
+      dayDocuments.some(searchDocument => searchDocument.searchText.includes(searchTerm))
+    ));
+    if (!isDayMatching) continue;
+
+    searchResult.matchingDateKeys.add(dateKey);
+    for (const searchDocument of dayDocuments) {
+      if (!searchDocument.itemId) continue;
+      if (!searchTerms.some(searchTerm => searchDocument.searchText.includes(searchTerm))) continue;
+      searchResult.matchedItemIds.add(searchDocument.itemId);
+      searchResult.matchedSectionKeys.add(`${dateKey}:${searchDocument.sectionName}`);
+    }
+  }
+
+  return searchResult;
+}
+
+/**
+ * Finds where search terms occur in a text, ignoring case and accents.
+ * Overlapping matches are merged.
+ *
+ * @pure
+ * @param {string} text - Text as displayed
+ * @param {Array<string>} searchTerms - Normalized terms
+ * @returns {Array<[number, number]>} [start, end) ranges in the original text, in order
+ *
+ * @example
+ * findMatchRanges('Café Ramen', ['cafe']) // Returns [[0, 4]]
+ */
+export function findMatchRanges(text, searchTerms) {
+  if (!text || searchTerms.length === 0) return [];
+
+  // CRITICAL PATH: Map each normalized character back to the original character it came from
+  let normalizedText = '';
+  const originalStartByIndex = [];
+  const originalEndByIndex = [];
+  let originalIndex = 0;
+  for (const character of text) {
+    const normalizedCharacter = normalizeSearchText(character);
+    for (let pieceIndex = 0; pieceIndex < normalizedCharacter.length; pieceIndex++) {
+      originalStartByIndex.push(originalIndex);
+      originalEndByIndex.push(originalIndex + character.length);
+    }
+    normalizedText += normalizedCharacter;
+    originalIndex += character.length;
+  }
+
+  const matchRanges = [];
+  for (const searchTerm of searchTerms) {
+    let matchIndex = normalizedText.indexOf(searchTerm);
+    while (matchIndex !== -1) {
+      matchRanges.push([originalStartByIndex[matchIndex], originalEndByIndex[matchIndex + searchTerm.length - 1]]);
+      matchIndex = normalizedText.indexOf(searchTerm, matchIndex + 1);
+    }
+  }
+
+  return matchRanges
+    .sort((firstRange, secondRange) => firstRange[0] - secondRange[0])
+    .reduce((mergedRanges, matchRange) => {
+      const lastRange = mergedRanges[mergedRanges.length - 1];
+      if (lastRange && matchRange[0] <= lastRange[1]) {
+        lastRange[1] = Math.max(lastRange[1], matchRange[1]);
+      } else {
+        mergedRanges.push([...matchRange]);
+      }
+      return mergedRanges;
+    }, []);
+}
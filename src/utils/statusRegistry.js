@@ -0,0 +1,197 @@
+/**
+ * @fileoverview Status registry: built-in statuses plus user-defined ones
+ *
+ * Built-in statuses (constants/status) carry workflow meaning - TO_BOOK is
+ * counted as unbooked, BOOKED asks for booking details, DISRUPTED belongs to
+ * backup plans - and cannot be changed. Users can register more statuses
+ * (e.g. WAITLISTED, PAID_DEPOSIT) with their own label, icon and color;
+ * those definitions are persisted in settings and installed here by the DB
+ * hook. Lookups are synchronous, like the airport database; pills subscribe
+ * to the registry so memoized sections re-render when it changes.
+ *
+ * Codes that are neither built in nor registered still render, with a
+ * neutral style and a label derived from the code, and are offered for
+ * registration.
+ *
+ * @module utils/statusRegistry
+ */
+
+import { STATUS, STATUS_ICON_OPTIONS, STATUS_COLOR_OPTIONS } from '../constants/status';
+import { SELECTABLE_STATUS_CODES } from './statusWorkflow';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** @constant {string} DEFAULT_STATUS_ICON - Icon of new and unregistered statuses */
+export const DEFAULT_STATUS_ICON = 'HelpCircle';
+
+/** @constant {string} DEFAULT_STATUS_COLOR - Color of new and unregistered statuses */
+export const DEFAULT_STATUS_COLOR = 'zinc';
+
+/** @constant {RegExp} STATUS_CODE_PATTERN - Valid status codes: letters, digits and underscores */
+const STATUS_CODE_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+
+// =============================================================================
+// TYPE DEFINITIONS
+// =============================================================================
+
+/**
+ * @typedef {Object} CustomStatusDefinition
+ * @property {string} code - Status code as it appears in the data (e.g., WAITLISTED)
+ * @property {string} label - Human-readable label
+ * @property {string} icon - Key of STATUS_ICON_OPTIONS
+ * @property {string} color - Key of STATUS_COLOR_OPTIONS
+ */
+
+// =============================================================================
+// MODULE STATE
+// =============================================================================
+
+/** @type {Array<CustomStatusDefinition>} Registered user-defined statuses, in registration order */
+let customStatusDefinitions = [];
+
+/** @type {Set<Function>} Listeners notified when the registry changes */
+const registryListeners = new Set();
+
+// =============================================================================
+// PURE HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Turns a status code into a readable label ("PAID_DEPOSIT" → "Paid deposit").
+ * @pure
+ * @param {string} statusCode - Status code
+ * @returns {string} Label
+ */
+export function formatStatusCodeLabel(statusCode) {
+  const spacedCode = statusCode.replace(/_/g, ' ').toLowerCase();
+  return spacedCode.charAt(0).toUpperCase() + spacedCode.slice(1);
+}
+
+/**
+ * Normalizes a status string from imported data to a code
+ * ("paid deposit" → "PAID_DEPOSIT").
+ * @pure
+ * @param {string|null|undefined} rawStatus - Status as written in the JSON
+ * @returns {string|null} Status code, or null when empty
+ */
+export function normalizeStatusCode(rawStatus) {
+  if (!rawStatus || typeof rawStatus !== 'string') return null;
+  const statusCode = rawStatus.trim().toUpperCase().replace(/[\s-]+/g, '_');
+  return statusCode || null;
+}
+
+/**
+ * Builds the display configuration of a user-defined status.
+ * @pure
+ * @param {CustomStatusDefinition} statusDefinition - Stored definition
+ * @returns {import('../constants/status').StatusConfiguration} Display configuration
+ */
+function buildStatusConfiguration(statusDefinition) {
+  return {
+    label: statusDefinition.label || formatStatusCodeLabel(statusDefinition.code),
+    icon: STATUS_ICON_OPTIONS[statusDefinition.icon] || STATUS_ICON_OPTIONS[DEFAULT_STATUS_ICON],
+    cls: STATUS_COLOR_OPTIONS[statusDefinition.color] || STATUS_COLOR_OPTIONS[DEFAULT_STATUS_COLOR]
+  };
+}
+
+/**
+ * Checks a definition before it is stored.
+ * @pure
+ * @param {CustomStatusDefinition} statusDefinition - Definition to check
+ * @param {Array<CustomStatusDefinition>} existingDefinitions - Definitions it joins (without itself)
+ * @returns {string|null} Problem description, or null when valid
+ */
+export function validateCustomStatus(statusDefinition, existingDefinitions) {
+  if (!STATUS_CODE_PATTERN.test(statusDefinition.code)) {
+    return 'Code must start with a letter and use only A-Z, 0-9 and _';
+  }
+  if (STATUS[statusDefinition.code]) return `${statusDefinition.code} is a built-in status`;
+  if (existingDefinitions.some(existingDefinition => existingDefinition.code === statusDefinition.code)) {
+    return `${statusDefinition.code} is already registered`;
+  }
+  if (!statusDefinition.label.trim()) return 'Label is required';
+  return null;
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Installs the user-defined statuses loaded from settings.
+ * @param {Array<CustomStatusDefinition>} statusDefinitions - Stored definitions
+ */
+export function setCustomStatuses(statusDefinitions) {
+  customStatusDefinitions = Array.isArray(statusDefinitions) ? statusDefinitions : [];
+  registryListeners.forEach(registryListener => registryListener());
+}
+
+/**
+ * Subscribes to registry changes (for useSyncExternalStore).
+ * @param {Function} registryListener - Called after every change
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToStatusRegistry(registryListener) {
+  registryListeners.add(registryListener);
+  return () => registryListeners.delete(registryListener);
+}
+
+/**
+ * Current registry snapshot (for useSyncExternalStore). The array is
+ * replaced on every change, so its identity tells React when to re-render.
+ * @returns {Array<CustomStatusDefinition>} Registered user-defined statuses
+ */
+export function getStatusRegistrySnapshot() {
+  return customStatusDefinitions;
+}
+
+/**
+ * Retrieves the display configuration of a status code: built-in, then
+ * user-defined, then a neutral fallback that keeps the code's own name.
+ * Missing codes show as UNSET.
+ * @param {string|null|undefined} statusCode - Status code to look up
+ * @returns {import('../constants/status').StatusConfiguration} Display configuration
+ */
+export function getStatusConfiguration(statusCode) {
+  if (!statusCode) return STATUS.UNSET;
+  if (STATUS[statusCode]) return STATUS[statusCode];
+
+  const customDefinition = customStatusDefinitions.find(statusDefinition => statusDefinition.code === statusCode);
+  return buildStatusConfiguration(customDefinition || { code: statusCode });
+}
+
+/**
+ * Status codes offered in the status menu: selectable built-ins, then
+ * user-defined statuses.
+ * @returns {Array<string>} Status codes in menu order
+ */
+export function listSelectableStatusCodes() {
+  return [...SELECTABLE_STATUS_CODES, ...customStatusDefinitions.map(statusDefinition => statusDefinition.code)];
+}
+
+/**
+ * Finds status codes used in a trip's segments that are neither built in
+ * nor registered, so they can be offered for registration.
+ * @pure
+ * @param {Object|null} itineraryData - Stored itinerary JSON
+ * @param {Array<CustomStatusDefinition>} statusDefinitions - Registered definitions
+ * @returns {Array<string>} Unregistered codes, sorted
+ */
+export function findUnregisteredStatusCodes(itineraryData, statusDefinitions) {
+  const registeredCodes = new Set([
+    ...Object.keys(STATUS),
+    ...statusDefinitions.map(statusDefinition => statusDefinition.code)
+  ]);
+  const unregisteredCodes = new Set();
+
+  for (const tripData of itineraryData?.trips || []) {
+    for (const segmentData of tripData.segments || []) {
+      const statusCode = normalizeStatusCode(segmentData.status);
+      if (statusCode && !registeredCodes.has(statusCode)) unregisteredCodes.add(statusCode);
+    }
+  }
+
+  return [...unregisteredCodes].sort();
+}
@@ -0,0 +1,250 @@
+/**
+ * @fileoverview Status workflow: user status changes on itinerary items
+ *
+ * Imported statuses are static values from the JSON. Users can move any
+ * segment, meal or activity to another status; each change is stored as a
+ * status record per item ID (see the itemStatuses store) holding the
+ * current status, the booking details once BOOKED, and the history of
+ * changes. Records are laid over the parsed days the same way soft-deletes
+ * are, and the unbooked count of every day is recomputed from the result.
+ *
+ * @module utils/statusWorkflow
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** @constant {string} BOOKED_STATUS - Status that asks for booking details */
+export const BOOKED_STATUS = 'BOOKED';
+
+/** @constant {string} UNBOOKED_STATUS - Status counted as "to book" */
+const UNBOOKED_STATUS = 'TO_BOOK';
+
+/** @constant {string} BUFFER_STATUS - Travel placeholders (layover, buffer time) that are not a real trip */
+export const BUFFER_STATUS = 'BUFFER';
+
+/** @constant {string} DISRUPTED_STATUS - Set by backup plan activation, wins over user statuses */
+const DISRUPTED_STATUS = 'DISRUPTED';
+
+/**
+ * Statuses the user can pick from the status menu, in menu order.
+ * DISRUPTED is left out: it is set and cleared through backup plans.
+ * @constant {Array<string>}
+ */
+export const SELECTABLE_STATUS_CODES = [
+  'TO_BOOK',
+  'BOOKED',
+  'PLANNED',
+  'PLANNED_WARN',
+  'OPTIONAL',
+  'IF_CONDITIONAL',
+  'BUFFER',
+  'WEEKEND_SKI',
+  'UNSET'
+];
+
+// =============================================================================
+// TYPE DEFINITIONS
+// =============================================================================
+
+/**
+ * @typedef {Object} BookingDetails
+ * @property {string} confirmationNumber - Booking confirmation number
+ * @property {string} vendor - Who the booking was made with
+ * @property {number|null} price - Booked price
+ * @property {string} currency - Currency of the price
+ * @property {string} bookedOn - Date the booking was made (YYYY-MM-DD)
+ */
+
+/**
+ * @typedef {Object} StatusChange
+ * @property {string} from - Status before the change
+ * @property {string} to - Status after the change
+ * @property {number} changedAt - When the change was made (epoch ms)
+ * @property {BookingDetails|null} booking - Booking details entered with the change
+ */
+
+/**
+ * @typedef {Object} StatusRecord
+ * @property {string} itemId - Segment, meal or activity ID
+ * @property {string} status - Current status code
+ * @property {BookingDetails|null} booking - Booking details while BOOKED
+ * @property {Array<StatusChange>} history - Changes, oldest first
+ */
+
+// =============================================================================
+// STATUS RECORDS
+// =============================================================================
+
+/**
+ * Records a status change on top of an item's previous record.
+ *
+ * @pure
+ * @param {StatusRecord|undefined} previousRecord - Stored record, if the item was changed before
+ * @param {Object} item - Item being changed (its current status is the "from")
+ * @param {string} nextStatus - Status to move to
+ * @param {BookingDetails|null} [bookingDetails] - Details when moving to BOOKED
+ * @param {number} [changedAt] - Instant of the change (defaults to now)
+ * @returns {StatusRecord} New record for the item
+ *
+ * @example
+ * createStatusChange(undefined, { id: 'seg-004', status: 'TO_BOOK' }, 'BOOKED', { vendor: 'ANA', ... })
+ * // Returns { itemId: 'seg-004', status: 'BOOKED', booking: {...}, history: [{ from: 'TO_BOOK', to: 'BOOKED', ... }] }
+ */
+export function createStatusChange(previousRecord, item, nextStatus, bookingDetails = null, changedAt = Date.now()) {
+  const recordedBooking = nextStatus === BOOKED_STATUS ? bookingDetails : null;
+  return {
+    itemId: item.id,
+    status: nextStatus,
+    booking: recordedBooking,
+    history: [
+      ...(previousRecord?.history || []),
+      { from: item.status || 'UNSET', to: nextStatus, changedAt, booking: recordedBooking }
+    ]
+  };
+}
+
+/**
+ * Lays an item's status record over it. Disrupted items keep their
+ * status until the backup plan is deactivated.
+ *
+ * @pure
+ * @param {Object} item - Parsed or user-added item
+ * @param {StatusRecord|undefined} statusRecord - Record stored for the item
+ * @returns {Object} Item with the user's status, booking and history
+ */
+export function applyStatusRecord(item, statusRecord) {
+  if (!statusRecord) return item;
+  return {
+    ...item,
+    status: item.status === DISRUPTED_STATUS ? item.status : statusRecord.status,
+    booking: statusRecord.booking || null,
+    statusHistory: statusRecord.history || []
+  };
+}
+
+/**
+ * Lays status records over every item of a date-keyed lookup
+ * (manual activities or meals).
+ *
+ * @pure
+ * @param {Object<string, Array<Object>>} itemsByDate - Items keyed by date
+ * @param {Object<string, StatusRecord>} statusRecordsById - Records keyed by item ID
+ * @returns {Object<string, Array<Object>>} New lookup with statuses applied
+ */
+export function applyStatusRecordsToLookup(itemsByDate, statusRecordsById) {
+  return Object.fromEntries(
+    Object.entries(itemsByDate).map(([dateKey, dateItems]) => [
+      dateKey,
+      dateItems.map(dateItem => applyStatusRecord(dateItem, statusRecordsById[dateItem.id]))
+    ])
+  );
+}
+
+// =============================================================================
+// LIVE DAY METADATA
+// =============================================================================
+
+/**
+ * @typedef {Object} DayUserItems
+ * @property {Object<string, Array<Object>>} manualActivitiesByDate - User-added activities (statuses applied)
+ * @property {Object<string, Array<string>>} deletedActivityIdsByDate - Soft-deleted activity IDs
+ * @property {Object<string, Array<Object>>} manualMealsByDate - User-added meals (statuses applied)
+ * @property {Object<string, Array<string>>} deletedMealIdsByDate - Soft-deleted meal IDs
+ */
+
+/**
+ * @typedef {Object} DayItemEntry
+ * @property {'travel'|'shelter'|'meal'|'activity'} itemKind - What the item is
+ * @property {Object} item - The item itself
+ */
+
+/**
+ * Lists every item of a day: imported travel, stay, meals and activities
+ * (minus soft-deleted ones) plus user-added meals and activities.
+ *
+ * @pure
+ * @param {Object} dayEntry - Parsed day with statuses applied
+ * @param {DayUserItems} userItems - User-added and soft-deleted items
+ * @returns {Array<DayItemEntry>} Items of the day with their kind
+ */
+export function listDayItems(dayEntry, userItems) {
+  const deletedActivityIds = userItems.deletedActivityIdsByDate[dayEntry.dateKey] || [];
+  const deletedMealIds = userItems.deletedMealIdsByDate[dayEntry.dateKey] || [];
+  const tagItems = (itemKind, dayItems) => dayItems.map(item => ({ itemKind, item }));
+
+  return [
+    ...tagItems('travel', dayEntry.travel),
+    ...tagItems('shelter', dayEntry.shelter?.id ? [dayEntry.shelter] : []),
+    ...tagItems('meal', dayEntry.meals.filter(mealItem => !deletedMealIds.includes(mealItem.id))),
+    ...tagItems('meal', userItems.manualMealsByDate[dayEntry.dateKey] || []),
+    ...tagItems('activity', dayEntry.activities.filter(activityItem => !deletedActivityIds.includes(activityItem.id))),
+    ...tagItems('activity', userItems.manualActivitiesByDate[dayEntry.dateKey] || [])
+  ];
+}
+
+/**
+ * Builds the name shown for a day item in lists outside its section.
+ * @pure
+ * @param {string} itemKind - travel, shelter, meal or activity
+ * @param {Object} item - The item
+ * @returns {string} Display name
+ */
+export function describeDayItem(itemKind, item) {
+  if (itemKind === 'travel') return [item.route, item.flight].filter(Boolean).join(' · ') || item.type || 'Travel';
+  if (itemKind === 'meal') return [item.type, item.restaurant].filter(Boolean).join(' · ') || 'Meal';
+  return item.name || (itemKind === 'shelter' ? 'Stay' : 'Activity');
+}
+
+/**
+ * Lists the items of a day still to book.
+ *
+ * @pure
+ * @param {Object} dayEntry - Parsed day with statuses applied
+ * @param {DayUserItems} userItems - User-added and soft-deleted items
+ * @returns {Array<Object>} TO_BOOK items of the day
+ */
+export function listUnbookedDayItems(dayEntry, userItems) {
+  return listDayItems(dayEntry, userItems)
+    .map(dayItemEntry => dayItemEntry.item)
+    .filter(dayItem => dayItem.status === UNBOOKED_STATUS);
+}
+
+/**
+ * Applies status records to parsed days and recomputes each day's
+ * unbooked count from the result, so badges follow every status change.
+ * Items spanning several days count on their first day only.
+ *
+ * @pure
+ * @param {Array<Object>} parsedDays - Days from parseItineraryData
+ * @param {Object<string, StatusRecord>} statusRecordsById - Records keyed by item ID
+ * @param {DayUserItems} userItems - User-added and soft-deleted items
+ * @returns {Array<Object>} Days with live statuses and metadata
+ */
+export function applyLiveStatuses(parsedDays, statusRecordsById, userItems) {
+  const countedItemIds = new Set();
+
+  return parsedDays.map(dayEntry => {
+    const liveDayEntry = {
+      ...dayEntry,
+      travel: dayEntry.travel.map(travelItem => applyStatusRecord(travelItem, statusRecordsById[travelItem.id])),
+      shelter: dayEntry.shelter?.id ? applyStatusRecord(dayEntry.shelter, statusRecordsById[dayEntry.shelter.id]) : dayEntry.shelter,
+      meals: dayEntry.meals.map(mealItem => applyStatusRecord(mealItem, statusRecordsById[mealItem.id])),
+      activities: dayEntry.activities.map(activityItem => applyStatusRecord(activityItem, statusRecordsById[activityItem.id]))
+    };
+
+    const newUnbookedItems = listUnbookedDayItems(liveDayEntry, userItems)
+      .filter(unbookedItem => !countedItemIds.has(unbookedItem.id));
+    newUnbookedItems.forEach(unbookedItem => countedItemIds.add(unbookedItem.id));
+
+    return {
+      ...liveDayEntry,
+      metadata: {
+        ...dayEntry.metadata,
+        unbootedCount: newUnbookedItems.length,
+        hasUnbooked: newUnbookedItems.length > 0
+      }
+    };
+  });
+}
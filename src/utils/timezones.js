@@ -0,0 +1,495 @@
+/**
+ * @fileoverview Timezone helpers for itinerary segments
+ *
+ * Itinerary JSON describes time zones with short labels (tz: 'JP',
+ * tzFrom: 'PT', tzLabel: 'PHT', ...) and wall-clock strings ("6:50 AM +2").
+ * These helpers map the labels to IANA zones and convert local wall-clock
+ * times to UTC instants using the Intl API (no timezone database bundled).
+ *
+ * @module utils/timezones
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** @constant {number} MILLISECONDS_PER_MINUTE */
+export const MILLISECONDS_PER_MINUTE = 60 * 1000;
+
+/** @constant {number} MILLISECONDS_PER_DAY */
+export const MILLISECONDS_PER_DAY = 24 * 60 * MILLISECONDS_PER_MINUTE;
+
+/** @constant {number} DEFAULT_TIMED_ITEM_MINUTES - Duration used when an item has a start time only */
+const DEFAULT_TIMED_ITEM_MINUTES = 60;
+
+/**
+ * @constant {Object<string, string>} TIMEZONE_LABEL_TO_IANA - Maps labels used in
+ * itinerary JSON (abbreviations and country codes) to IANA zone names.
+ * Country codes spanning several zones (e.g. 'US') are deliberately absent.
+ */
+export const TIMEZONE_LABEL_TO_IANA = {
+  UTC: 'UTC',
+  GMT: 'UTC',
+  Z: 'UTC',
+  ET: 'America/New_York',
+  EST: 'America/New_York',
+  EDT: 'America/New_York',
+  CT: 'America/Chicago',
+  CST: 'America/Chicago',
+  CDT: 'America/Chicago',
+  MT: 'America/Denver',
+  MST: 'America/Denver',
+  MDT: 'America/Denver',
+  PT: 'America/Los_Angeles',
+  PST: 'America/Los_Angeles',
+  PDT: 'America/Los_Angeles',
+  AKT: 'America/Anchorage',
+  HT: 'Pacific/Honolulu',
+  HST: 'Pacific/Honolulu',
+  PH: 'Asia/Manila',
+  PHT: 'Asia/Manila',
+  PHST: 'Asia/Manila',
+  JP: 'Asia/Tokyo',
+  JST: 'Asia/Tokyo',
+  KR: 'Asia/Seoul',
+  KST: 'Asia/Seoul',
+  TW: 'Asia/Taipei',
+  HK: 'Asia/Hong_Kong',
+  HKT: 'Asia/Hong_Kong',
+  SG: 'Asia/Singapore',
+  SGT: 'Asia/Singapore',
+  TH: 'Asia/Bangkok',
+  ICT: 'Asia/Bangkok',
+  VN: 'Asia/Ho_Chi_Minh'
+};
+
+/**
+ * @constant {Object<string, string>} WINDOWS_TIMEZONE_TO_IANA - Maps Windows zone
+ * names (sent as TZID by Outlook and Exchange) to IANA zone names, per the
+ * CLDR windowsZones table (territory 001)
+ */
+export const WINDOWS_TIMEZONE_TO_IANA = {
+  'Dateline Standard Time': 'Etc/GMT+12',
+  'UTC-11': 'Etc/GMT+11',
+  'Hawaiian Standard Time': 'Pacific/Honolulu',
+  'Alaskan Standard Time': 'America/Anchorage',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'Pacific Standard Time (Mexico)': 'America/Tijuana',
+  'US Mountain Standard Time': 'America/Phoenix',
+  'Mountain Standard Time': 'America/Denver',
+  'Central America Standard Time': 'America/Guatemala',
+  'Central Standard Time': 'America/Chicago',
+  'Central Standard Time (Mexico)': 'America/Mexico_City',
+  'Canada Central Standard Time': 'America/Regina',
+  'SA Pacific Standard Time': 'America/Bogota',
+  'Eastern Standard Time': 'America/New_York',
+  'US Eastern Standard Time': 'America/Indiana/Indianapolis',
+  'Atlantic Standard Time': 'America/Halifax',
+  'Venezuela Standard Time': 'America/Caracas',
+  'SA Western Standard Time': 'America/La_Paz',
+  'Pacific SA Standard Time': 'America/Santiago',
+  'Newfoundland Standard Time': 'America/St_Johns',
+  'E. South America Standard Time': 'America/Sao_Paulo',
+  'Argentina Standard Time': 'America/Argentina/Buenos_Aires',
+  'SA Eastern Standard Time': 'America/Cayenne',
+  'GMT Standard Time': 'Europe/London',
+  'Greenwich Standard Time': 'Atlantic/Reykjavik',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central European Standard Time': 'Europe/Warsaw',
+  'W. Central Africa Standard Time': 'Africa/Lagos',
+  'GTB Standard Time': 'Europe/Bucharest',
+  'FLE Standard Time': 'Europe/Kiev',
+  'Egypt Standard Time': 'Africa/Cairo',
+  'Israel Standard Time': 'Asia/Jerusalem',
+  'South Africa Standard Time': 'Africa/Johannesburg',
+  'Turkey Standard Time': 'Europe/Istanbul',
+  'Arab Standard Time': 'Asia/Riyadh',
+  'Arabic Standard Time': 'Asia/Baghdad',
+  'Russian Standard Time': 'Europe/Moscow',
+  'E. Africa Standard Time': 'Africa/Nairobi',
+  'Iran Standard Time': 'Asia/Tehran',
+  'Arabian Standard Time': 'Asia/Dubai',
+  'Pakistan Standard Time': 'Asia/Karachi',
+  'India Standard Time': 'Asia/Kolkata',
+  'Sri Lanka Standard Time': 'Asia/Colombo',
+  'Nepal Standard Time': 'Asia/Kathmandu',
+  'Bangladesh Standard Time': 'Asia/Dhaka',
+  'Myanmar Standard Time': 'Asia/Yangon',
+  'SE Asia Standard Time': 'Asia/Bangkok',
+  'China Standard Time': 'Asia/Shanghai',
+  'Singapore Standard Time': 'Asia/Singapore',
+  'Taipei Standard Time': 'Asia/Taipei',
+  'W. Australia Standard Time': 'Australia/Perth',
+  'Tokyo Standard Time': 'Asia/Tokyo',
+  'Korea Standard Time': 'Asia/Seoul',
+  'Cen. Australia Standard Time': 'Australia/Adelaide',
+  'AUS Central Standard Time': 'Australia/Darwin',
+  'E. Australia Standard Time': 'Australia/Brisbane',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+  'West Pacific Standard Time': 'Pacific/Port_Moresby',
+  'New Zealand Standard Time': 'Pacific/Auckland',
+  'Fiji Standard Time': 'Pacific/Fiji',
+  'Tonga Standard Time': 'Pacific/Tongatapu'
+};
+
+// =============================================================================
+// MODULE STATE
+// =============================================================================
+
+/**
+ * @type {Map<string, Intl.DateTimeFormat>}
+ * Cached formatters keyed by IANA zone (creating them is comparatively slow)
+ */
+const zonedFormatterCache = new Map();
+
+// =============================================================================
+// TIMEZONE RESOLUTION
+// =============================================================================
+
+/**
+ * Checks whether the runtime knows an IANA zone name.
+ * @param {string} timeZone - Candidate IANA zone (e.g., 'Asia/Tokyo')
+ * @returns {boolean} True if Intl accepts the zone
+ */
+function isSupportedTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Resolves a timezone label from itinerary data to an IANA zone.
+ *
+ * @param {string|null|undefined} timezoneLabel - Label such as 'PT', 'JST', 'JP', a Windows zone name or an IANA name
+ * @returns {string|null} IANA zone name, or null if the label is unknown or ambiguous
+ *
+ * @example
+ * resolveIanaTimeZone('PHT') // Returns 'Asia/Manila'
+ * resolveIanaTimeZone('Tokyo Standard Time') // Returns 'Asia/Tokyo'
+ * resolveIanaTimeZone('US')  // Returns null (several zones)
+ */
+export function resolveIanaTimeZone(timezoneLabel) {
+  if (!timezoneLabel || typeof timezoneLabel !== 'string') return null;
+
+  const trimmedLabel = timezoneLabel.trim();
+  if (trimmedLabel.includes('/')) {
+    return isSupportedTimeZone(trimmedLabel) ? trimmedLabel : null;
+  }
+
+  return TIMEZONE_LABEL_TO_IANA[trimmedLabel.toUpperCase()] || WINDOWS_TIMEZONE_TO_IANA[trimmedLabel] || null;
+}
+
+/**
+ * Resolves the departure and arrival zones of a segment.
+ * tzFrom/tzTo win over the segment-wide tzLabel/tz.
+ *
+ * @param {Object} segmentData - Segment with tz, tzFrom, tzTo and/or tzLabel
+ * @returns {{startTimeZone: string|null, endTimeZone: string|null}} IANA zones
+ */
+export function resolveSegmentTimeZones(segmentData) {
+  const startTimeZone = resolveIanaTimeZone(segmentData?.tzFrom)
+    || resolveIanaTimeZone(segmentData?.tzLabel)
+    || resolveIanaTimeZone(segmentData?.tz);
+  const endTimeZone = resolveIanaTimeZone(segmentData?.tzTo) || startTimeZone;
+
+  return { startTimeZone, endTimeZone };
+}
+
+/**
+ * Resolves the zone of a day-level item (stay, meal, activity).
+ * Prefers the zone the parser resolved for the day.
+ * @pure
+ * @param {Object} dayEntry - Parsed day
+ * @returns {string|null} IANA zone or null (floating time)
+ */
+export function resolveDayTimeZone(dayEntry) {
+  return dayEntry.ianaTimeZone || resolveIanaTimeZone(dayEntry.tz) || resolveIanaTimeZone(dayEntry.timezone);
+}
+
+/**
+ * Zone of the device, used for items without a known zone.
+ * @returns {string} IANA zone name
+ */
+export function getDeviceTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+// =============================================================================
+// WALL-CLOCK PARSING
+// =============================================================================
+
+/**
+ * Parses the first clock time found in a free-text string.
+ * Accepts "6:50 AM", "14:05", "4 PM", "After 4:00 PM (lockbox)" and the
+ * "+N" day suffix used for overnight arrivals ("6:50 AM +2").
+ *
+ * @pure
+ * @param {string|null|undefined} timeText - Text containing a time
+ * @returns {{hours: number, minutes: number, dayOffset: number}|null} Parsed time or null
+ */
+export function parseClockTime(timeText) {
+  if (!timeText || typeof timeText !== 'string') return null;
+
+  const clockMatch = timeText.match(/\b(\d{1,2}):(\d{2})\s*([AaPp])?\.?[Mm]?\.?(?:\s*\+\s*(\d+))?/)
+    || timeText.match(/\b(\d{1,2})()\s*([AaPp])\.?[Mm]\.?(?:\s*\+\s*(\d+))?/);
+  if (!clockMatch) return null;
+
+  let hours = Number(clockMatch[1]);
+  const minutes = Number(clockMatch[2] || 0);
+  const meridiem = clockMatch[3]?.toUpperCase();
+
+  if (meridiem === 'P' && hours < 12) hours += 12;
+  if (meridiem === 'A' && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59) return null;
+
+  return {
+    hours,
+    minutes,
+    dayOffset: clockMatch[4] ? Number(clockMatch[4]) : 0
+  };
+}
+
+/**
+ * Adds whole days to a YYYY-MM-DD date key.
+ *
+ * @pure
+ * @param {string} dateKey - ISO date string (YYYY-MM-DD)
+ * @param {number} dayCount - Days to add (may be negative)
+ * @returns {string} Shifted ISO date string
+ */
+export function addDaysToDateKey(dateKey, dayCount) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day) + dayCount * MILLISECONDS_PER_DAY)
+    .toISOString()
+    .split('T')[0];
+}
+
+/**
+ * Formats a number of minutes as "1h 20m", "45m" or "2h".
+ *
+ * @pure
+ * @param {number} totalMinutes - Minutes (sign ignored)
+ * @returns {string} Duration label
+ */
+export function formatDurationMinutes(totalMinutes) {
+  const roundedMinutes = Math.round(Math.abs(totalMinutes));
+  const hours = Math.floor(roundedMinutes / 60);
+  const minutes = roundedMinutes % 60;
+  if (hours === 0) return `${minutes}m`;
+  return minutes === 0 ? `${hours}h` : `${hours}h ${minutes}m`;
+}
+
+// =============================================================================
+// INSTANT CONVERSION
+// =============================================================================
+
+/**
+ * Returns the UTC offset of a zone at a given instant.
+ *
+ * @param {string} timeZone - IANA zone name
+ * @param {number} utcMilliseconds - Instant as epoch milliseconds
+ * @returns {number} Offset in minutes east of UTC (e.g., 540 for Asia/Tokyo)
+ */
+export function getTimeZoneOffsetMinutes(timeZone, utcMilliseconds) {
+  if (!zonedFormatterCache.has(timeZone)) {
+    zonedFormatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+
+  const dateParts = {};
+  for (const part of zonedFormatterCache.get(timeZone).formatToParts(new Date(utcMilliseconds))) {
+    dateParts[part.type] = part.value;
+  }
+
+  const wallClockAsUtc = Date.UTC(
+    Number(dateParts.year),
+    Number(dateParts.month) - 1,
+    Number(dateParts.day),
+    Number(dateParts.hour),
+    Number(dateParts.minute),
+    Number(dateParts.second)
+  );
+  const truncatedInstant = Math.floor(utcMilliseconds / 1000) * 1000;
+
+  return Math.round((wallClockAsUtc - truncatedInstant) / MILLISECONDS_PER_MINUTE);
+}
+
+/**
+ * Converts a wall-clock date and time in a zone to a UTC instant.
+ * Times skipped by a DST jump resolve to the later offset.
+ *
+ * @param {string} dateKey - Local date (YYYY-MM-DD)
+ * @param {number} hours - Local hours (0-23)
+ * @param {number} minutes - Local minutes (0-59)
+ * @param {string} timeZone - IANA zone name
+ * @returns {number} Epoch milliseconds
+ */
+export function zonedDateTimeToUtc(dateKey, hours, minutes, timeZone) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hours, minutes);
+
+  // CRITICAL PATH: Two passes settle the offset around DST transitions
+  const firstGuessOffset = getTimeZoneOffsetMinutes(timeZone, wallClockAsUtc);
+  const firstGuessInstant = wallClockAsUtc - firstGuessOffset * MILLISECONDS_PER_MINUTE;
+  const settledOffset = getTimeZoneOffsetMinutes(timeZone, firstGuessInstant);
+
+  return wallClockAsUtc - settledOffset * MILLISECONDS_PER_MINUTE;
+}
+
+/**
+ * Converts a UTC instant to the wall-clock date and time of a zone.
+ *
+ * @param {number} utcMilliseconds - Instant as epoch milliseconds
+ * @param {string} timeZone - IANA zone name
+ * @returns {{dateKey: string, hours: number, minutes: number}} Local wall-clock time
+ */
+export function utcToZonedDateTime(utcMilliseconds, timeZone) {
+  const offsetMinutes = getTimeZoneOffsetMinutes(timeZone, utcMilliseconds);
+  const wallClockDate = new Date(utcMilliseconds + offsetMinutes * MILLISECONDS_PER_MINUTE);
+
+  return {
+    dateKey: wallClockDate.toISOString().split('T')[0],
+    hours: wallClockDate.getUTCHours(),
+    minutes: wallClockDate.getUTCMinutes()
+  };
+}
+
+// =============================================================================
+// ITEM TIMING
+// =============================================================================
+
+/**
+ * @typedef {Object} WallClockPoint
+ * @property {string} dateKey - Local date (YYYY-MM-DD)
+ * @property {number} [hours] - Local hours (absent for all-day points)
+ * @property {number} [minutes] - Local minutes (absent for all-day points)
+ * @property {string|null} [timeZone] - IANA zone, null for floating times
+ */
+
+/**
+ * Converts a timed wall-clock point to epoch milliseconds.
+ * Floating points (no zone) are read as UTC.
+ *
+ * @param {WallClockPoint} wallClockPoint - Timed point
+ * @returns {number} Epoch milliseconds
+ */
+export function wallClockPointToUtc(wallClockPoint) {
+  if (wallClockPoint.timeZone) {
+    return zonedDateTimeToUtc(wallClockPoint.dateKey, wallClockPoint.hours, wallClockPoint.minutes, wallClockPoint.timeZone);
+  }
+  const [year, month, day] = wallClockPoint.dateKey.split('-').map(Number);
+  return Date.UTC(year, month - 1, day, wallClockPoint.hours, wallClockPoint.minutes);
+}
+
+/**
+ * Resolves the local start and end of an itinerary item from its date and
+ * free-text times. Items without a parseable start time are all-day, with an
+ * exclusive end date.
+ *
+ * @param {Object} timing - Timing inputs
+ * @param {string} timing.startDate - Local start date (YYYY-MM-DD)
+ * @param {string|null} timing.startTime - Free-text start time
+ * @param {string|null} timing.endTime - Free-text end time (may carry "+N")
+ * @param {string|null} [timing.endDate] - Local end date if known
+ * @param {string|null} timing.startTimeZone - IANA zone of the start
+ * @param {string|null} timing.endTimeZone - IANA zone of the end
+ * @returns {{isAllDay: boolean, start: WallClockPoint, end: WallClockPoint}} Local start and end
+ */
+export function resolveWallClockTiming({ startDate, startTime, endTime, endDate, startTimeZone, endTimeZone }) {
+  const parsedStart = parseClockTime(startTime);
+
+  if (!parsedStart) {
+    return {
+      isAllDay: true,
+      start: { dateKey: startDate, timeZone: startTimeZone },
+      end: { dateKey: addDaysToDateKey(endDate || startDate, 1), timeZone: endTimeZone || startTimeZone }
+    };
+  }
+
+  const start = {
+    dateKey: addDaysToDateKey(startDate, parsedStart.dayOffset),
+    hours: parsedStart.hours,
+    minutes: parsedStart.minutes,
+    timeZone: startTimeZone
+  };
+
+  const parsedEnd = parseClockTime(endTime);
+  if (!parsedEnd) {
+    const defaultEndMinutes = start.hours * 60 + start.minutes + DEFAULT_TIMED_ITEM_MINUTES;
+    return {
+      isAllDay: false,
+      start,
+      end: {
+        dateKey: addDaysToDateKey(start.dateKey, Math.floor(defaultEndMinutes / 1440)),
+        hours: Math.floor(defaultEndMinutes / 60) % 24,
+        minutes: defaultEndMinutes % 60,
+        timeZone: startTimeZone
+      }
+    };
+  }
+
+  // CRITICAL PATH: "+N" is authoritative, otherwise fall back to the segment end date
+  const endDateKey = parsedEnd.dayOffset > 0
+    ? addDaysToDateKey(startDate, parsedEnd.dayOffset)
+    : (endDate || startDate);
+  const end = {
+    dateKey: endDateKey,
+    hours: parsedEnd.hours,
+    minutes: parsedEnd.minutes,
+    timeZone: endTimeZone || startTimeZone
+  };
+
+  // An end before the start without explicit offset means an overnight item
+  if (wallClockPointToUtc(end) <= wallClockPointToUtc(start) && !parsedEnd.dayOffset && !endDate) {
+    end.dateKey = addDaysToDateKey(end.dateKey, 1);
+  }
+
+  return { isAllDay: false, start, end };
+}
+
+/**
+ * @typedef {Object} ItemInstants
+ * @property {number} startUtc - Start as epoch milliseconds
+ * @property {number} endUtc - End as epoch milliseconds (exclusive)
+ * @property {string} startTimeZone - IANA zone the item starts in
+ * @property {string} endTimeZone - IANA zone the item ends in
+ * @property {boolean} isAllDay - True if no start time was given (spans whole local days)
+ */
+
+/**
+ * Converts resolved wall-clock timing to absolute instants.
+ * All-day items run from local midnight to local midnight.
+ *
+ * @param {{isAllDay: boolean, start: WallClockPoint, end: WallClockPoint}} wallClockTiming - From resolveWallClockTiming
+ * @returns {ItemInstants|null} Instants, or null if the start zone is unknown
+ */
+export function wallClockTimingToInstants(wallClockTiming) {
+  const { isAllDay, start, end } = wallClockTiming;
+  if (!start.timeZone) return null;
+
+  const endTimeZone = end.timeZone || start.timeZone;
+  return {
+    startUtc: isAllDay
+      ? zonedDateTimeToUtc(start.dateKey, 0, 0, start.timeZone)
+      : wallClockPointToUtc(start),
+    endUtc: isAllDay
+      ? zonedDateTimeToUtc(end.dateKey, 0, 0, endTimeZone)
+      : wallClockPointToUtc({ ...end, timeZone: endTimeZone }),
+    startTimeZone: start.timeZone,
+    endTimeZone,
+    isAllDay
+  };
+}
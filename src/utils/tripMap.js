@@ -0,0 +1,246 @@
+/**
+ * @fileoverview Trip overview map data
+ *
+ * Collects everything that can be placed on one map for the whole trip -
+ * shelters and activities with coordinates, and flights whose airports are
+ * in the airport database - plus the colour and clustering helpers the
+ * overview map uses.
+ *
+ * @module utils/tripMap
+ */
+
+import { findAirportInText } from './airports';
+import { isFlightSegment } from './boardingPassCheck';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * @constant {Array<string>} REGION_COLOR_PALETTE - Colours assigned to regions
+ * in order of first appearance
+ */
+const REGION_COLOR_PALETTE = ['#f59e0b', '#ef4444', '#3b82f6', '#22c55e', '#a855f7', '#ec4899', '#14b8a6', '#f97316'];
+
+/** @constant {number} DAY_HUE_START - Hue of the first day (teal) */
+const DAY_HUE_START = 190;
+
+/** @constant {number} DAY_HUE_RANGE - Hue span from the first to the last day (ends on orange) */
+const DAY_HUE_RANGE = 160;
+
+// =============================================================================
+// PURE HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Checks that a coordinates object holds usable numbers.
+ * @pure
+ * @param {{lat: number, lng: number}|null|undefined} coordinates - Candidate coordinates
+ * @returns {boolean} True if both are finite numbers
+ */
+function hasValidCoordinates(coordinates) {
+  return Number.isFinite(coordinates?.lat) && Number.isFinite(coordinates?.lng);
+}
+
+/**
+ * Region key of a day, using the arrival side of transit regions ("US → PH" → "PH").
+ * @pure
+ * @param {Object} dayEntry - Parsed day
+ * @returns {string} Region key, or 'Other'
+ */
+function getDayRegionKey(dayEntry) {
+  if (!dayEntry.region) return 'Other';
+  const regionParts = dayEntry.region.split('→');
+  return regionParts[regionParts.length - 1].trim() || 'Other';
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * @typedef {Object} TripMapStop
+ * @property {string} id - Unique marker ID
+ * @property {'shelter'|'activity'|'airport'} kind - What the marker represents
+ * @property {string} dateKey - Day the marker belongs to (first night for shelters)
+ * @property {number} dayIndex - Index of that day in the trip
+ * @property {number} lastDayIndex - Last day the marker applies to (later than dayIndex for multi-night stays)
+ * @property {string} region - Region key of that day
+ * @property {string} name - Display name
+ * @property {string|null} detail - Secondary line (address, time, flight)
+ * @property {number} [nightCount] - Nights at a shelter
+ * @property {number} lat - Latitude
+ * @property {number} lng - Longitude
+ */
+
+/**
+ * @typedef {Object} TripMapFlight
+ * @property {string} id - Segment ID
+ * @property {string} dateKey - Departure day
+ * @property {number} dayIndex - Index of that day in the trip
+ * @property {string} region - Region key of that day
+ * @property {string} label - Flight number and route
+ * @property {Object} departure - Departure airport record
+ * @property {Object} arrival - Arrival airport record
+ */
+
+/**
+ * Collects the markers and flight arcs of a whole trip.
+ * Consecutive nights in the same shelter become one marker. Airport lookups
+ * only resolve once the airport database has loaded.
+ *
+ * @param {Array<Object>} parsedDays - Days from parseItineraryData
+ * @param {Object<string, Array<Object>>} manualActivitiesByDate - User-added activities keyed by date
+ * @param {Object<string, Array<string>>} deletedActivityIdsByDate - Hidden activity IDs keyed by date
+ * @returns {{stops: Array<TripMapStop>, flights: Array<TripMapFlight>, regions: Array<string>}} Map data
+ */
+export function collectTripMapData(parsedDays, manualActivitiesByDate = {}, deletedActivityIdsByDate = {}) {
+  const stops = [];
+  const flights = [];
+  const regions = [];
+  let previousShelterStop = null;
+
+  parsedDays.forEach((dayEntry, dayIndex) => {
+    const region = getDayRegionKey(dayEntry);
+    if (!regions.includes(region)) regions.push(region);
+
+    // Shelters - extend the previous marker while the guest stays put
+    const shelter = dayEntry.shelter;
+    if (hasValidCoordinates(shelter?.coordinates)) {
+      const isSameShelter = previousShelterStop
+        && previousShelterStop.name === shelter.name
+        && previousShelterStop.lastDayIndex === dayIndex - 1;
+
+      if (isSameShelter) {
+        previousShelterStop.nightCount += 1;
+        previousShelterStop.lastDayIndex = dayIndex;
+      } else {
+        previousShelterStop = {
+          id: `shelter-${dayEntry.dateKey}`,
+          kind: 'shelter',
+          dateKey: dayEntry.dateKey,
+          dayIndex,
+          lastDayIndex: dayIndex,
+          nightCount: 1,
+          region,
+          name: shelter.name || 'Stay',
+          detail: shelter.address || null,
+          lat: shelter.coordinates.lat,
+          lng: shelter.coordinates.lng
+        };
+        stops.push(previousShelterStop);
+      }
+    } else {
+      previousShelterStop = null;
+    }
+
+    // Activities - original ones not deleted, plus user-added ones
+    const deletedIds = deletedActivityIdsByDate[dayEntry.dateKey] || [];
+    const dayActivities = [
+      ...dayEntry.activities.filter(activity => !deletedIds.includes(activity.id)),
+      ...(manualActivitiesByDate[dayEntry.dateKey] || [])
+    ];
+    for (const activity of dayActivities) {
+      if (!hasValidCoordinates(activity.coordinates)) continue;
+      stops.push({
+        id: `activity-${dayEntry.dateKey}-${activity.id}`,
+        kind: 'activity',
+        dateKey: dayEntry.dateKey,
+        dayIndex,
+        lastDayIndex: dayIndex,
+        region,
+        name: activity.name || 'Activity',
+        detail: activity.time || activity.location || null,
+        lat: activity.coordinates.lat,
+        lng: activity.coordinates.lng
+      });
+    }
+
+    // Flights - counted on their departure day only
+    for (const travelItem of dayEntry.travel) {
+      if (!isFlightSegment(travelItem) || travelItem.isArrival) continue;
+
+      const routeParts = travelItem.route ? travelItem.route.split('→') : [];
+      const departure = findAirportInText(travelItem.departureAirport) || findAirportInText(routeParts[0]);
+      const arrival = findAirportInText(travelItem.arrivalAirport)
+        || (routeParts.length > 1 ? findAirportInText(routeParts[routeParts.length - 1]) : null);
+      if (!departure || !arrival) continue;
+
+      const routeLabel = `${departure.code} → ${arrival.code}`;
+      flights.push({
+        id: travelItem.id,
+        dateKey: dayEntry.dateKey,
+        dayIndex,
+        region,
+        label: travelItem.flight ? `${travelItem.flight} · ${routeLabel}` : routeLabel,
+        departure,
+        arrival
+      });
+
+      for (const [airportRole, airport] of [['departure', departure], ['arrival', arrival]]) {
+        stops.push({
+          id: `airport-${travelItem.id}-${airportRole}`,
+          kind: 'airport',
+          dateKey: dayEntry.dateKey,
+          dayIndex,
+          lastDayIndex: dayIndex,
+          region,
+          name: `${airport.code} · ${airport.city || airport.name}`,
+          detail: travelItem.flight || routeLabel,
+          lat: airport.lat,
+          lng: airport.lng
+        });
+      }
+    }
+  });
+
+  return { stops, flights, regions };
+}
+
+/**
+ * Colour of a day along the trip (teal at the start, orange at the end).
+ * @pure
+ * @param {number} dayIndex - Index of the day
+ * @param {number} dayCount - Number of days in the trip
+ * @returns {string} CSS hsl() colour
+ */
+export function getDayColor(dayIndex, dayCount) {
+  const tripProgress = dayCount > 1 ? dayIndex / (dayCount - 1) : 0;
+  const dayHue = (DAY_HUE_START + tripProgress * DAY_HUE_RANGE) % 360;
+  return `hsl(${Math.round(dayHue)}, 85%, 55%)`;
+}
+
+/**
+ * Colour of a region, stable for the order regions first appear in.
+ * @pure
+ * @param {string} region - Region key
+ * @param {Array<string>} regions - All region keys in order of appearance
+ * @returns {string} Hex colour
+ */
+export function getRegionColor(region, regions) {
+  const regionIndex = Math.max(0, regions.indexOf(region));
+  return REGION_COLOR_PALETTE[regionIndex % REGION_COLOR_PALETTE.length];
+}
+
+/**
+ * Greedily groups points that are within radiusPixels of a cluster's first
+ * point. Points are in screen pixels, so clusters change with the zoom level.
+ *
+ * @pure
+ * @param {Array<{x: number, y: number}>} projectedPoints - Points in pixel space (any extra fields are kept)
+ * @param {number} radiusPixels - Cluster radius
+ * @returns {Array<Array<Object>>} Clusters, each a non-empty array of the input points
+ */
+export function clusterProjectedPoints(projectedPoints, radiusPixels) {
+  const clusters = [];
+
+  for (const projectedPoint of projectedPoints) {
+    const nearbyCluster = clusters.find(cluster =>
+      Math.hypot(cluster[0].x - projectedPoint.x, cluster[0].y - projectedPoint.y) <= radiusPixels
+    );
+    if (nearbyCluster) nearbyCluster.push(projectedPoint);
+    else clusters.push([projectedPoint]);
+  }
+
+  return clusters;
+}
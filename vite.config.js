@@ -1,8 +1,33 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { readFileSync } from 'node:fs'
+import { createHash } from 'node:crypto'
+
+/**
+ * Emits the service worker (src/serviceWorker.js) as sw.js, with the list
+ * of built files to precache and a cache version derived from them.
+ * @returns {import('vite').Plugin} Vite plugin
+ */
+function serviceWorkerPlugin() {
+  return {
+    name: 'iten-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(outputOptions, bundle) {
+      const precacheUrls = ['./', ...Object.keys(bundle).filter(fileName => fileName !== 'index.html' && !fileName.endsWith('.map'))]
+        .concat(['manifest.webmanifest', 'icon.svg'])
+      const shellCacheVersion = createHash('sha256').update(precacheUrls.join('\n')).digest('hex').slice(0, 12)
+      const serviceWorkerSource = readFileSync(new URL('./src/serviceWorker.js', import.meta.url), 'utf8')
+        .replace('__PRECACHE_URLS__', JSON.stringify(precacheUrls))
+        .replace('__SHELL_CACHE_VERSION__', shellCacheVersion)
+
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source: serviceWorkerSource })
+    }
+  }
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorkerPlugin()],
   base: '/Iten/',
   build: {
     outDir: 'docs'